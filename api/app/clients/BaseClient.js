@@ -556,6 +556,7 @@ class BaseClient {
             model: this.modelOptions?.model ?? this.model,
             endpointTokenConfig: this.options.endpointTokenConfig,
           },
+          onBudgetWarning: opts?.onBudgetWarning,
         },
         {
           logViolation,
@@ -564,6 +565,7 @@ class BaseClient {
           createAutoRefillTransaction: db.createAutoRefillTransaction,
           balanceConfig,
           upsertBalanceFields: db.upsertBalanceFields,
+          getUserBudgets: db.getUserBudgets,
         },
       );
     }
@@ -56,6 +56,7 @@ const namespaces = {
     CacheKeys.ADMIN_OAUTH_EXCHANGE,
     Time.THIRTY_SECONDS,
   ),
+  [CacheKeys.SEARCH_INDEX_JOBS]: standardCache(CacheKeys.SEARCH_INDEX_JOBS, Time.ONE_DAY),
 };
 
 /**
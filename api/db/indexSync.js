@@ -1,9 +1,10 @@
 const mongoose = require('mongoose');
 const { MeiliSearch } = require('meilisearch');
-const { logger } = require('@librechat/data-schemas');
+const { logger, getSearchBackend } = require('@librechat/data-schemas');
 const { CacheKeys } = require('librechat-data-provider');
 const { isEnabled, FlowStateManager } = require('@librechat/api');
 const { getLogStores } = require('~/cache');
+const { recordSyncError } = require('./searchIndexAdmin');
 const { batchResetMeiliFlags } = require('./utils');
 
 const searchEnabled = isEnabled(process.env.SEARCH);
@@ -310,7 +311,7 @@ async function performSync(flowManager, flowId, flowType) {
  * Main index sync function that uses FlowStateManager to prevent concurrent execution
  */
 async function indexSync() {
-  if (!searchEnabled) {
+  if (!searchEnabled || getSearchBackend() !== 'meilisearch') {
     return;
   }
 
@@ -365,12 +366,14 @@ async function indexSync() {
           await Conversation.syncWithMeili();
         } catch (err) {
           logger.error('[indexSync] Trouble creating indices, try restarting the server.', err);
+          await recordSyncError('indexSync', err);
         }
       }, 750);
     } else if (err.message.includes('Meilisearch not configured')) {
       logger.info('[indexSync] Meilisearch not configured, search will be disabled.');
     } else {
       logger.error('[indexSync] error', err);
+      await recordSyncError('indexSync', err);
     }
   }
 }
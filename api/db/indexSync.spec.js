@@ -34,6 +34,7 @@ const originalConversationModel = mongoose.models.Conversation;
 // Mock external modules
 jest.mock('@librechat/data-schemas', () => ({
   logger: mockLogger,
+  getSearchBackend: jest.requireActual('@librechat/data-schemas').getSearchBackend,
 }));
 
 jest.mock('meilisearch', () => ({
@@ -117,6 +118,17 @@ describe('performSync() - syncThreshold logic', () => {
     mongoose.models.Conversation = originalConversationModel;
   });
 
+  test('skips sync when MongoDB text search is the search backend', async () => {
+    process.env.SEARCH_BACKEND = 'mongodb';
+
+    const indexSync = require('./indexSync');
+    const result = await indexSync();
+
+    expect(result).toBeUndefined();
+    expect(Message.getSyncProgress).not.toHaveBeenCalled();
+    expect(mockMeiliHealth).not.toHaveBeenCalled();
+  });
+
   test('triggers sync when unindexed messages exceed syncThreshold', async () => {
     // Arrange: Set threshold before module load
     process.env.MEILI_SYNC_THRESHOLD = '1000';
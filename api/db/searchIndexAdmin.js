@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { MeiliSearch } = require('meilisearch');
+const { FlowStateManager } = require('@librechat/api');
+const { logger, runAsSystem } = require('@librechat/data-schemas');
+const { Time, CacheKeys } = require('librechat-data-provider');
+const { getLogStores } = require('~/cache');
+const { batchResetMeiliFlags } = require('./utils');
+
+const SYNC_ERRORS_KEY = 'sync-errors';
+const ACTIVE_JOB_KEY = 'active-job';
+const MAX_SYNC_ERRORS = 20;
+const REINDEX_FLOW_ID = 'search-reindex';
+const REINDEX_FLOW_TYPE = 'SEARCH_REINDEX';
+
+/** Claimed synchronously so concurrent requests to this instance cannot both start a reindex */
+let startingReindex = false;
+
+/** Meilisearch index names and the models they mirror */
+const SEARCH_INDEXES = [
+  { name: 'messages', model: 'Message' },
+  { name: 'convos', model: 'Conversation' },
+];
+
+const getJobKey = (jobId) => `job:${jobId}`;
+
+function getClient() {
+  return new MeiliSearch({
+    host: process.env.MEILI_HOST,
+    apiKey: process.env.MEILI_MASTER_KEY,
+  });
+}
+
+function getModel(modelName) {
+  const Model = mongoose.models[modelName];
+  if (!Model) {
+    throw new Error(`[searchIndexAdmin] Model ${modelName} is not registered`);
+  }
+  return Model;
+}
+
+/**
+ * Records a search sync error so admins can inspect recent failures.
+ * Only the most recent errors are kept.
+ * @param {string} source - Where the error happened, e.g. `indexSync`.
+ * @param {unknown} error
+ * @returns {Promise<void>}
+ */
+async function recordSyncError(source, error) {
+  try {
+    const cache = getLogStores(CacheKeys.SEARCH_INDEX_JOBS);
+    const errors = (await cache.get(SYNC_ERRORS_KEY)) ?? [];
+    errors.unshift({
+      source,
+      message: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    });
+    await cache.set(SYNC_ERRORS_KEY, errors.slice(0, MAX_SYNC_ERRORS));
+  } catch (cacheError) {
+    logger.warn('[searchIndexAdmin] Could not record sync error:', cacheError);
+  }
+}
+
+/**
+ * @returns {Promise<import('@librechat/api').SearchSyncError[]>}
+ */
+async function getSyncErrors() {
+  const cache = getLogStores(CacheKeys.SEARCH_INDEX_JOBS);
+  return (await cache.get(SYNC_ERRORS_KEY)) ?? [];
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<import('@librechat/api').SearchReindexJob | null>}
+ */
+async function getSearchReindexJob(jobId) {
+  const cache = getLogStores(CacheKeys.SEARCH_INDEX_JOBS);
+  return (await cache.get(getJobKey(jobId))) ?? null;
+}
+
+/**
+ * Compares each Meilisearch index with its MongoDB collection.
+ * Counts span every tenant, so callers must be system administrators.
+ * @returns {Promise<import('@librechat/api').SearchIndexStatus>}
+ */
+async function getSearchIndexStatus() {
+  const client = getClient();
+  const cache = getLogStores(CacheKeys.SEARCH_INDEX_JOBS);
+
+  let healthy = false;
+  try {
+    const { status } = await client.health();
+    healthy = status === 'available';
+  } catch (error) {
+    logger.debug('[searchIndexAdmin] Meilisearch health check failed:', error.message);
+  }
+
+  const indexes = await runAsSystem(() =>
+    Promise.all(
+      SEARCH_INDEXES.map(async ({ name, model }) => {
+        const Model = getModel(model);
+        const [mongoDocuments, mongoIndexed] = await Promise.all([
+          Model.countDocuments({ expiredAt: null }),
+          Model.countDocuments({ expiredAt: null, _meiliIndex: true }),
+        ]);
+
+        let meiliDocuments = null;
+        let isIndexing = false;
+        if (healthy) {
+          try {
+            const stats = await client.index(name).getStats();
+            meiliDocuments = stats.numberOfDocuments;
+            isIndexing = stats.isIndexing;
+          } catch (error) {
+            if (error.code !== 'index_not_found') {
+              logger.warn(`[searchIndexAdmin] Could not read ${name} index stats:`, error.message);
+            } else {
+              meiliDocuments = 0;
+            }
+          }
+        }
+
+        return {
+          name,
+          meiliDocuments,
+          mongoDocuments,
+          mongoIndexed,
+          isIndexing,
+          drift: meiliDocuments == null ? null : meiliDocuments - mongoDocuments,
+        };
+      }),
+    ),
+  );
+
+  const activeJobId = await cache.get(ACTIVE_JOB_KEY);
+  return {
+    healthy,
+    indexes,
+    lastErrors: await getSyncErrors(),
+    activeJob: activeJobId ? await getSearchReindexJob(activeJobId) : null,
+  };
+}
+
+/**
+ * Flags documents for reindexing and syncs them to Meilisearch.
+ * @param {import('@librechat/api').SearchReindexJob} job
+ * @returns {Promise<Record<string, number>>} Documents queued, by index
+ */
+async function runReindex(job) {
+  const queued = {};
+  for (const { name, model } of SEARCH_INDEXES) {
+    const Model = getModel(model);
+    if (job.userId) {
+      const result = await Model.collection.updateMany(
+        { user: job.userId, expiredAt: null },
+        { $set: { _meiliIndex: false } },
+      );
+      queued[name] = result.modifiedCount;
+    } else {
+      queued[name] = await batchResetMeiliFlags(Model.collection);
+    }
+  }
+
+  for (const { model } of SEARCH_INDEXES) {
+    await getModel(model).syncWithMeili();
+  }
+  return queued;
+}
+
+/**
+ * Runs the reindex under a flow lock so only one instance reindexes at a time.
+ * @param {import('@librechat/api').SearchReindexJob} job
+ * @returns {Promise<Record<string, number>>} Documents queued, by index
+ * @throws {Error} If another instance is already reindexing.
+ */
+async function runLockedReindex(job) {
+  const flowsCache = getLogStores(CacheKeys.FLOWS);
+  if (!flowsCache) {
+    return await runAsSystem(() => runReindex(job));
+  }
+
+  const flowManager = new FlowStateManager(flowsCache, { ttl: Time.ONE_DAY });
+  let queued = null;
+  try {
+    await flowManager.createFlowWithHandler(REINDEX_FLOW_ID, REINDEX_FLOW_TYPE, async () => {
+      queued = await runAsSystem(() => runReindex(job));
+      return true;
+    });
+  } finally {
+    await flowManager.deleteFlow(REINDEX_FLOW_ID, REINDEX_FLOW_TYPE).catch((error) => {
+      logger.debug('[searchIndexAdmin] Could not clean up flow state:', error.message);
+    });
+  }
+
+  if (!queued) {
+    throw new Error('Another reindex was already running');
+  }
+  return queued;
+}
+
+/**
+ * Starts a full or per-user reindex in the background.
+ * Only one reindex runs at a time.
+ * @param {{ userId?: string, requestedBy?: string }} options
+ * @returns {Promise<import('@librechat/api').SearchReindexJob | null>} The job, or null if one is already running
+ */
+async function startSearchReindex({ userId, requestedBy } = {}) {
+  if (startingReindex) {
+    return null;
+  }
+  startingReindex = true;
+  try {
+    return await createReindexJob({ userId, requestedBy });
+  } finally {
+    startingReindex = false;
+  }
+}
+
+/**
+ * @param {{ userId?: string, requestedBy?: string }} options
+ * @returns {Promise<import('@librechat/api').SearchReindexJob | null>}
+ */
+async function createReindexJob({ userId, requestedBy }) {
+  const cache = getLogStores(CacheKeys.SEARCH_INDEX_JOBS);
+  if (await cache.get(ACTIVE_JOB_KEY)) {
+    return null;
+  }
+
+  /** @type {import('@librechat/api').SearchReindexJob} */
+  const job = {
+    jobId: uuidv4(),
+    userId: userId ?? null,
+    status: 'running',
+    requestedBy,
+    startedAt: new Date().toISOString(),
+  };
+  await cache.set(getJobKey(job.jobId), job);
+  await cache.set(ACTIVE_JOB_KEY, job.jobId);
+
+  logger.info(
+    `[searchIndexAdmin] Starting ${userId ? `reindex for user ${userId}` : 'full reindex'} (job ${job.jobId})`,
+  );
+
+  runLockedReindex(job)
+    .then((queued) => {
+      Object.assign(job, { status: 'completed', queued });
+      logger.info(`[searchIndexAdmin] Reindex job ${job.jobId} completed`);
+    })
+    .catch(async (error) => {
+      Object.assign(job, { status: 'failed', error: error.message });
+      logger.error(`[searchIndexAdmin] Reindex job ${job.jobId} failed:`, error);
+      await recordSyncError('reindex', error);
+    })
+    .finally(async () => {
+      job.finishedAt = new Date().toISOString();
+      try {
+        await cache.set(getJobKey(job.jobId), job);
+        await cache.delete(ACTIVE_JOB_KEY);
+      } catch (error) {
+        logger.error(`[searchIndexAdmin] Could not store reindex job ${job.jobId}:`, error);
+      }
+    });
+
+  return { ...job };
+}
+
+module.exports = {
+  recordSyncError,
+  getSyncErrors,
+  getSearchIndexStatus,
+  startSearchReindex,
+  getSearchReindexJob,
+};
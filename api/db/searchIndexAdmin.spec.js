@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+
+const mockMeiliHealth = jest.fn();
+const mockMeiliIndex = jest.fn();
+const mockBatchResetMeiliFlags = jest.fn();
+const mockCache = new Map();
+const mockCreateFlowWithHandler = jest.fn((flowId, type, handler) => handler());
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  runAsSystem: (fn) => fn(),
+}));
+
+jest.mock('@librechat/api', () => ({
+  FlowStateManager: jest.fn(() => ({
+    createFlowWithHandler: mockCreateFlowWithHandler,
+    deleteFlow: jest.fn().mockResolvedValue(true),
+  })),
+}));
+
+jest.mock('meilisearch', () => ({
+  MeiliSearch: jest.fn(() => ({
+    health: mockMeiliHealth,
+    index: mockMeiliIndex,
+  })),
+}));
+
+jest.mock('./utils', () => ({
+  batchResetMeiliFlags: mockBatchResetMeiliFlags,
+}));
+
+jest.mock('~/cache', () => ({
+  getLogStores: () => ({
+    get: async (key) => mockCache.get(key),
+    set: async (key, value) => mockCache.set(key, structuredClone(value)),
+    delete: async (key) => mockCache.delete(key),
+  }),
+}));
+
+const {
+  recordSyncError,
+  getSyncErrors,
+  getSearchIndexStatus,
+  startSearchReindex,
+  getSearchReindexJob,
+} = require('./searchIndexAdmin');
+
+const createMockModel = (collectionName) => ({
+  collection: { name: collectionName, updateMany: jest.fn() },
+  countDocuments: jest.fn(),
+  syncWithMeili: jest.fn(),
+});
+
+/** Lets the background reindex settle */
+const flushJob = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('searchIndexAdmin', () => {
+  const originalMessage = mongoose.models.Message;
+  const originalConversation = mongoose.models.Conversation;
+  let Message;
+  let Conversation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCache.clear();
+    Message = createMockModel('messages');
+    Conversation = createMockModel('conversations');
+    mongoose.models.Message = Message;
+    mongoose.models.Conversation = Conversation;
+  });
+
+  afterAll(() => {
+    mongoose.models.Message = originalMessage;
+    mongoose.models.Conversation = originalConversation;
+  });
+
+  describe('recordSyncError', () => {
+    it('keeps the most recent errors first', async () => {
+      for (let i = 0; i < 25; i++) {
+        await recordSyncError('indexSync', new Error(`error ${i}`));
+      }
+
+      const errors = await getSyncErrors();
+      expect(errors).toHaveLength(20);
+      expect(errors[0]).toEqual({
+        source: 'indexSync',
+        message: 'error 24',
+        timestamp: expect.any(String),
+      });
+      expect(errors[19].message).toBe('error 5');
+    });
+  });
+
+  describe('getSearchIndexStatus', () => {
+    it('compares Meilisearch document counts with MongoDB', async () => {
+      mockMeiliHealth.mockResolvedValue({ status: 'available' });
+      mockMeiliIndex.mockImplementation((name) => ({
+        getStats: jest.fn().mockResolvedValue({
+          numberOfDocuments: name === 'messages' ? 95 : 10,
+          isIndexing: name === 'messages',
+        }),
+      }));
+      Message.countDocuments.mockImplementation(async (filter) => (filter._meiliIndex ? 98 : 100));
+      Conversation.countDocuments.mockResolvedValue(10);
+      await recordSyncError('indexSync', new Error('timeout'));
+
+      const status = await getSearchIndexStatus();
+
+      expect(Message.countDocuments).toHaveBeenCalledWith({ expiredAt: null });
+      expect(Message.countDocuments).toHaveBeenCalledWith({ expiredAt: null, _meiliIndex: true });
+      expect(status).toEqual({
+        healthy: true,
+        indexes: [
+          {
+            name: 'messages',
+            meiliDocuments: 95,
+            mongoDocuments: 100,
+            mongoIndexed: 98,
+            isIndexing: true,
+            drift: -5,
+          },
+          {
+            name: 'convos',
+            meiliDocuments: 10,
+            mongoDocuments: 10,
+            mongoIndexed: 10,
+            isIndexing: false,
+            drift: 0,
+          },
+        ],
+        lastErrors: [expect.objectContaining({ message: 'timeout' })],
+        activeJob: null,
+      });
+    });
+
+    it('reports MongoDB counts when Meilisearch is unreachable', async () => {
+      mockMeiliHealth.mockRejectedValue(new Error('ECONNREFUSED'));
+      Message.countDocuments.mockResolvedValue(3);
+      Conversation.countDocuments.mockResolvedValue(1);
+
+      const status = await getSearchIndexStatus();
+
+      expect(status.healthy).toBe(false);
+      expect(status.indexes[0]).toEqual(
+        expect.objectContaining({ meiliDocuments: null, mongoDocuments: 3, drift: null }),
+      );
+      expect(mockMeiliIndex).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startSearchReindex', () => {
+    it('runs a full reindex as a tracked job', async () => {
+      mockBatchResetMeiliFlags.mockResolvedValueOnce(100).mockResolvedValueOnce(10);
+
+      const job = await startSearchReindex({ requestedBy: 'admin-1' });
+
+      expect(job).toEqual(
+        expect.objectContaining({ userId: null, status: 'running', requestedBy: 'admin-1' }),
+      );
+      expect(await startSearchReindex({})).toBeNull();
+
+      await flushJob();
+
+      expect(mockBatchResetMeiliFlags).toHaveBeenCalledWith(Message.collection);
+      expect(mockBatchResetMeiliFlags).toHaveBeenCalledWith(Conversation.collection);
+      expect(Message.syncWithMeili).toHaveBeenCalled();
+      expect(Conversation.syncWithMeili).toHaveBeenCalled();
+      expect(await getSearchReindexJob(job.jobId)).toEqual(
+        expect.objectContaining({
+          status: 'completed',
+          queued: { messages: 100, convos: 10 },
+          finishedAt: expect.any(String),
+        }),
+      );
+      expect(await startSearchReindex({})).not.toBeNull();
+    });
+
+    it('starts only one of several concurrent reindex requests', async () => {
+      mockBatchResetMeiliFlags.mockResolvedValue(0);
+
+      const jobs = await Promise.all([startSearchReindex({}), startSearchReindex({})]);
+      await flushJob();
+
+      expect(jobs.filter(Boolean)).toHaveLength(1);
+      expect(mockCreateFlowWithHandler).toHaveBeenCalledTimes(1);
+      expect(mockCreateFlowWithHandler).toHaveBeenCalledWith(
+        'search-reindex',
+        'SEARCH_REINDEX',
+        expect.any(Function),
+      );
+    });
+
+    it('fails the job when another instance is already reindexing', async () => {
+      mockCreateFlowWithHandler.mockResolvedValueOnce(true);
+
+      const job = await startSearchReindex({});
+      await flushJob();
+
+      expect(mockBatchResetMeiliFlags).not.toHaveBeenCalled();
+      expect(await getSearchReindexJob(job.jobId)).toEqual(
+        expect.objectContaining({ status: 'failed', error: 'Another reindex was already running' }),
+      );
+      expect(await startSearchReindex({})).not.toBeNull();
+    });
+
+    it("only flags the user's documents for a per-user reindex", async () => {
+      Message.collection.updateMany.mockResolvedValue({ modifiedCount: 7 });
+      Conversation.collection.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const job = await startSearchReindex({ userId: 'user-1' });
+      await flushJob();
+
+      expect(mockBatchResetMeiliFlags).not.toHaveBeenCalled();
+      expect(Message.collection.updateMany).toHaveBeenCalledWith(
+        { user: 'user-1', expiredAt: null },
+        { $set: { _meiliIndex: false } },
+      );
+      expect((await getSearchReindexJob(job.jobId)).queued).toEqual({ messages: 7, convos: 2 });
+    });
+
+    it('marks the job failed and records the error', async () => {
+      mockBatchResetMeiliFlags.mockResolvedValue(0);
+      Message.syncWithMeili.mockRejectedValue(new Error('Meilisearch unavailable'));
+
+      const job = await startSearchReindex({});
+      await flushJob();
+
+      expect(await getSearchReindexJob(job.jobId)).toEqual(
+        expect.objectContaining({ status: 'failed', error: 'Meilisearch unavailable' }),
+      );
+      expect(await getSyncErrors()).toEqual([
+        expect.objectContaining({ source: 'reindex', message: 'Meilisearch unavailable' }),
+      ]);
+    });
+  });
+});
@@ -7,6 +7,9 @@ const methods = createMethods(mongoose, {
   matchModelName,
   findMatchingPattern,
   getCache: getLogStores,
+  /** Required on first use, as the alert service depends on these methods */
+  onBalanceUpdate: (balance) =>
+    require('~/server/services/BalanceAlertService').notifyBalanceAlerts(balance),
 });
 
 const seedDatabase = async () => {
@@ -163,7 +163,7 @@ const refreshController = async (req, res) => {
       const reuseUserId = reusableSessionToken ? getValidOpenIDReuseUserId(parsedCookies) : null;
       if (reuseUserId) {
         const user = await getUserById(reuseUserId, AUTH_REFRESH_USER_PROJECTION);
-        if (user) {
+        if (user && !user.deactivatedAt) {
           const cloudFrontCookiesSet = setCloudFrontAuthCookies(req, res, user);
           logger.debug('[refreshController] OpenID session token reused', {
             token_type: reusableSessionToken.type,
@@ -210,7 +210,7 @@ const refreshController = async (req, res) => {
         `[refreshController] findOpenIDUser result: user=${user?.email ?? 'null'}, error=${error ?? 'null'}, migration=${migration}, userOpenidId=${user?.openidId ?? 'null'}, claimsSub=${claims.sub}`,
       );
 
-      if (error || !user) {
+      if (error || !user || user.deactivatedAt) {
         logger.warn(
           `[refreshController] Redirecting to /login: error=${error ?? 'null'}, user=${user ? 'exists' : 'null'}`,
         );
@@ -253,7 +253,7 @@ const refreshController = async (req, res) => {
   try {
     const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     const user = await getUserById(payload.id, AUTH_REFRESH_USER_PROJECTION);
-    if (!user) {
+    if (!user || user.deactivatedAt) {
       return res.status(401).redirect('/login');
     }
 
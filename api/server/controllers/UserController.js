@@ -302,6 +302,44 @@ const updateUserPluginsController = async (req, res) => {
   }
 };
 
+/**
+ * Deletes everything a user owns: conversations, files, agents, keys, sessions,
+ * memberships and permissions. The user document itself is left to the caller.
+ * @param {ServerRequest} req - `req.user` is the user whose data is deleted;
+ * `req.config` resolves file storage.
+ */
+const deleteUserData = async (req) => {
+  const { user } = req;
+  await db.deleteMessages({ user: user.id });
+  await db.deleteAllUserSessions({ userId: user.id });
+  await db.deleteTransactions({ user: user.id });
+  await db.deleteUserKey({ userId: user.id, all: true });
+  await db.deleteBalances({ user: user._id });
+  await db.deletePresets(user.id);
+  try {
+    await db.deleteConvos(user.id);
+  } catch (error) {
+    logger.error('[deleteUserData] Error deleting user convos, likely no convos', error);
+  }
+  await deleteUserPluginAuth(user.id, null, true);
+  await db.deleteAllSharedLinks(user.id);
+  await deleteUserFiles(req);
+  await db.deleteFiles(null, user.id);
+  await db.deleteToolCalls(user.id);
+  await db.deleteUserAgents(user.id);
+  await db.deleteAllAgentApiKeys(user._id);
+  await db.deleteAssistants({ user: user.id });
+  await db.deleteConversationTags({ user: user.id });
+  await db.deleteAllUserMemories(user.id);
+  await db.deleteUserPrompts(user.id);
+  await db.deleteUserSkills(user.id);
+  await deleteUserMcpServers(user.id);
+  await db.deleteActions({ user: user.id });
+  await db.deleteTokens({ userId: user.id });
+  await db.removeUserFromAllGroups(user.id);
+  await db.deleteAclEntries({ principalId: user._id });
+};
+
 const deleteUserController = async (req, res) => {
   const { user } = req;
 
@@ -322,35 +360,8 @@ const deleteUserController = async (req, res) => {
       }
     }
 
-    await db.deleteMessages({ user: user.id });
-    await db.deleteAllUserSessions({ userId: user.id });
-    await db.deleteTransactions({ user: user.id });
-    await db.deleteUserKey({ userId: user.id, all: true });
-    await db.deleteBalances({ user: user._id });
-    await db.deletePresets(user.id);
-    try {
-      await db.deleteConvos(user.id);
-    } catch (error) {
-      logger.error('[deleteUserController] Error deleting user convos, likely no convos', error);
-    }
-    await deleteUserPluginAuth(user.id, null, true);
+    await deleteUserData(req);
     await db.deleteUserById(user.id);
-    await db.deleteAllSharedLinks(user.id);
-    await deleteUserFiles(req);
-    await db.deleteFiles(null, user.id);
-    await db.deleteToolCalls(user.id);
-    await db.deleteUserAgents(user.id);
-    await db.deleteAllAgentApiKeys(user._id);
-    await db.deleteAssistants({ user: user.id });
-    await db.deleteConversationTags({ user: user.id });
-    await db.deleteAllUserMemories(user.id);
-    await db.deleteUserPrompts(user.id);
-    await db.deleteUserSkills(user.id);
-    await deleteUserMcpServers(user.id);
-    await db.deleteActions({ user: user.id });
-    await db.deleteTokens({ userId: user.id });
-    await db.removeUserFromAllGroups(user.id);
-    await db.deleteAclEntries({ principalId: user._id });
     logger.info(`User deleted account. Email: ${user.email} ID: ${user.id}`);
     res.status(200).send({ message: 'User deleted' });
   } catch (err) {
@@ -554,6 +565,7 @@ module.exports = {
   getUserController,
   getTermsStatusController,
   acceptTermsController,
+  deleteUserData,
   deleteUserController,
   verifyEmailController,
   updateUserPluginsController,
@@ -16,6 +16,7 @@ const HANDLED_RESOURCE_TYPES = {
   [ResourceType.PROMPTGROUP]: 'deleteUserPrompts',
   [ResourceType.MCPSERVER]: 'deleteUserMcpServers',
   [ResourceType.SKILL]: 'deleteUserSkills',
+  [ResourceType.PRESET]: 'deletePresets',
 };
 
 /**
@@ -99,6 +99,9 @@ jest.mock('@librechat/api', () => ({
     usage: { promptTokens: 100, completionTokens: 50 },
   }),
   sendResponsesErrorResponse: jest.fn(),
+  isAgentInApiKeyScope: jest.fn(
+    (req, agentId) => !req.apiKeyAgentIds?.length || req.apiKeyAgentIds.includes(agentId),
+  ),
   createResponsesEventHandlers: jest.fn().mockReturnValue({
     handlers: {
       on_message_delta: { handle: jest.fn() },
@@ -304,6 +307,33 @@ describe('createResponse controller', () => {
       );
     });
 
+    it('should return 404 when the conversation agent is outside the API key scope', async () => {
+      const { validateResponseRequest, sendResponsesErrorResponse } = require('@librechat/api');
+      const { getConvo } = require('~/models');
+      validateResponseRequest.mockReturnValueOnce({
+        request: {
+          model: 'agent-123',
+          input: 'Hello',
+          stream: false,
+          previous_response_id: 'resp_abc',
+        },
+      });
+      getConvo.mockResolvedValueOnce({
+        conversationId: 'resp_abc',
+        user: 'user-123',
+        agent_id: 'agent-other',
+      });
+      req.apiKeyAgentIds = ['agent-123'];
+
+      await createResponse(req, res);
+      expect(sendResponsesErrorResponse).toHaveBeenCalledWith(
+        res,
+        404,
+        'Conversation not found',
+        'not_found',
+      );
+    });
+
     it('should return 500 when getConvo throws a DB error', async () => {
       const { validateResponseRequest, sendResponsesErrorResponse } = require('@librechat/api');
       const { getConvo } = require('~/models');
@@ -459,3 +489,35 @@ describe('createResponse controller', () => {
     });
   });
 });
+
+describe('getResponse controller', () => {
+  let getResponse;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getResponse = require('../responses').getResponse;
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  });
+
+  it('should return 404 when the conversation agent is outside the API key scope', async () => {
+    const { sendResponsesErrorResponse } = require('@librechat/api');
+    const { getConvo, getMessages } = require('~/models');
+    getConvo.mockResolvedValueOnce({ conversationId: 'resp_abc', agent_id: 'agent-other' });
+    const req = {
+      params: { id: 'resp_abc' },
+      user: { id: 'user-123' },
+      apiKeyAgentIds: ['agent-123'],
+    };
+
+    await getResponse(req, res);
+    expect(sendResponsesErrorResponse).toHaveBeenCalledWith(
+      res,
+      404,
+      'Response not found: resp_abc',
+      'not_found',
+      'response_not_found',
+    );
+    expect(getMessages).not.toHaveBeenCalled();
+  });
+});
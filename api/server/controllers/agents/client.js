@@ -25,6 +25,7 @@ const {
   getTransactionsConfig,
   resolveRecursionLimit,
   createMemoryProcessor,
+  resolveAgentMemoryScopes,
   loadAgent: loadAgentFn,
   createMultiAgentMapper,
   filterMalformedContentParts,
@@ -535,11 +536,12 @@ class AgentClient extends BaseClient {
     }
 
     const userId = this.options.req.user.id + '';
+    const scopes = resolveAgentMemoryScopes(this.options.agent);
     this.processMemory = undefined;
 
     if (!isMemoryAgentEnabled(memoryConfig)) {
       try {
-        const { withoutKeys } = await db.getFormattedMemories({ userId });
+        const { withoutKeys } = await db.getFormattedMemories({ userId, scopes });
         return withoutKeys;
       } catch (error) {
         logger.error(
@@ -647,6 +649,8 @@ class AgentClient extends BaseClient {
       messageId,
       streamId,
       conversationId,
+      agentId: this.options.agent.id,
+      scopes,
       memoryMethods: {
         setMemory: db.setMemory,
         deleteMemory: db.deleteMemory,
@@ -776,7 +780,11 @@ class AgentClient extends BaseClient {
         spendTokens: db.spendTokens,
         spendStructuredTokens: db.spendStructuredTokens,
         pricing: { getMultiplier: db.getMultiplier, getCacheMultiplier: db.getCacheMultiplier },
-        bulkWriteOps: { insertMany: db.bulkInsertTransactions, updateBalance: db.updateBalance },
+        bulkWriteOps: {
+          insertMany: db.bulkInsertTransactions,
+          updateBalance: db.updateBalance,
+          recordBudgetSpend: db.recordBudgetSpend,
+        },
       },
       {
         user: this.user ?? this.options.req.user?.id,
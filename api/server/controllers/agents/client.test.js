@@ -2404,6 +2404,9 @@ describe('AgentClient - titleConvo', () => {
 
       await client.useMemory();
 
+      expect(mockCreateMemoryProcessor).toHaveBeenCalledWith(
+        expect.objectContaining({ agentId: 'agent-123', scopes: ['global'] }),
+      );
       expect(mockLoadAgent).not.toHaveBeenCalled();
       expect(mockInitializeAgent).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -2471,12 +2474,35 @@ describe('AgentClient - titleConvo', () => {
       const result = await client.useMemory();
 
       expect(result).toBe('likes pasta');
-      expect(mockGetFormattedMemories).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(mockGetFormattedMemories).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scopes: ['global'],
+      });
       expect(mockInitializeAgent).not.toHaveBeenCalled();
       expect(mockCreateMemoryProcessor).not.toHaveBeenCalled();
       expect(client.processMemory).toBeUndefined();
     });
 
+    it('should only load the memory scopes the agent is configured for', async () => {
+      mockReq.config.memory = {
+        personalize: true,
+      };
+      mockOptions.agent = { ...mockAgent, memory_scopes: ['agent', 'project:novel'] };
+
+      mockCheckAccess.mockResolvedValue(true);
+
+      client = new AgentClient(mockOptions);
+      client.conversationId = 'convo-123';
+      client.responseMessageId = 'response-123';
+
+      await client.useMemory();
+
+      expect(mockGetFormattedMemories).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scopes: ['agent:agent-123', 'project:novel'],
+      });
+    });
+
     it('should not initialize auto-processing when no memories exist', async () => {
       mockReq.config.memory = {
         personalize: true,
@@ -2496,7 +2522,10 @@ describe('AgentClient - titleConvo', () => {
       const result = await client.useMemory();
 
       expect(result).toBe('');
-      expect(mockGetFormattedMemories).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(mockGetFormattedMemories).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scopes: ['global'],
+      });
       expect(mockInitializeAgent).not.toHaveBeenCalled();
       expect(mockCreateMemoryProcessor).not.toHaveBeenCalled();
       expect(client.processMemory).toBeUndefined();
@@ -2543,7 +2572,10 @@ describe('AgentClient - titleConvo', () => {
       const result = await client.useMemory();
 
       expect(result).toBeUndefined();
-      expect(mockGetFormattedMemories).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(mockGetFormattedMemories).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scopes: ['global'],
+      });
       expect(mockInitializeAgent).not.toHaveBeenCalled();
       expect(mockCreateMemoryProcessor).not.toHaveBeenCalled();
       expect(client.processMemory).toBeUndefined();
@@ -32,6 +32,7 @@ const {
   createOpenAIStreamTracker,
   resolveAgentScopedSkillIds,
   createOpenAIContentAggregator,
+  isAgentInApiKeyScope,
   isChatCompletionValidationFailure,
 } = require('@librechat/api');
 const {
@@ -731,7 +732,11 @@ const OpenAIChatCompletionController = async (req, res) => {
         spendTokens: db.spendTokens,
         spendStructuredTokens: db.spendStructuredTokens,
         pricing: { getMultiplier: db.getMultiplier, getCacheMultiplier: db.getCacheMultiplier },
-        bulkWriteOps: { insertMany: db.bulkInsertTransactions, updateBalance: db.updateBalance },
+        bulkWriteOps: {
+          insertMany: db.bulkInsertTransactions,
+          updateBalance: db.updateBalance,
+          recordBudgetSpend: db.recordBudgetSpend,
+        },
       },
       {
         user: userId,
@@ -846,6 +851,7 @@ const ListModelsController = async (req, res) => {
     if (accessibleAgentIds.length > 0) {
       agents = await db.getAgents({ _id: { $in: accessibleAgentIds } });
     }
+    agents = agents.filter((agent) => isAgentInApiKeyScope(req, agent.id));
 
     const models = agents.map((agent) => ({
       id: agent.id,
@@ -907,7 +913,9 @@ const GetModelController = async (req, res) => {
       requiredPermissions: PermissionBits.VIEW,
     });
 
-    const hasAccess = accessibleAgentIds.some((id) => id.toString() === agent._id.toString());
+    const hasAccess =
+      isAgentInApiKeyScope(req, agent.id) &&
+      accessibleAgentIds.some((id) => id.toString() === agent._id.toString());
 
     if (!hasAccess) {
       return sendErrorResponse(
@@ -265,9 +265,15 @@ const ResumableAgentController = async (req, res, next, initializeClient, addTit
           });
         };
 
+        /** Soft-cap warnings of the group and role budgets the request draws down */
+        const onBudgetWarning = (budgetWarnings) => {
+          GenerationJobManager.emitChunk(streamId, { budgetWarnings });
+        };
+
         const messageOptions = {
           user: userId,
           onStart,
+          onBudgetWarning,
           getReqData,
           isContinued,
           isRegenerate,
@@ -657,9 +663,15 @@ const _LegacyAgentController = async (req, res, next, initializeClient, addTitle
       });
     };
 
+    /** Soft-cap warnings of the group and role budgets the request draws down */
+    const onBudgetWarning = (budgetWarnings) => {
+      sendEvent(res, { budgetWarnings });
+    };
+
     const messageOptions = {
       user: userId,
       onStart,
+      onBudgetWarning,
       getReqData,
       isContinued,
       isRegenerate,
@@ -23,6 +23,7 @@ const {
   injectSkillPrimes,
   createToolExecuteHandler,
   discoverConnectedAgents,
+  isAgentInApiKeyScope,
   getRemoteAgentPermissions,
   // Responses API
   writeDone,
@@ -335,7 +336,8 @@ const createResponse = async (req, res) => {
           'invalid_request',
         );
       }
-      if (!(await db.getConvo(req.user?.id, request.previous_response_id))) {
+      const previousConvo = await db.getConvo(req.user?.id, request.previous_response_id);
+      if (!previousConvo || !isAgentInApiKeyScope(req, previousConvo.agent_id)) {
         return sendResponsesErrorResponse(res, 404, 'Conversation not found', 'not_found');
       }
     }
@@ -739,7 +741,11 @@ const createResponse = async (req, res) => {
           spendTokens: db.spendTokens,
           spendStructuredTokens: db.spendStructuredTokens,
           pricing: { getMultiplier: db.getMultiplier, getCacheMultiplier: db.getCacheMultiplier },
-          bulkWriteOps: { insertMany: db.bulkInsertTransactions, updateBalance: db.updateBalance },
+          bulkWriteOps: {
+            insertMany: db.bulkInsertTransactions,
+            updateBalance: db.updateBalance,
+            recordBudgetSpend: db.recordBudgetSpend,
+          },
         },
         {
           user: userId,
@@ -912,7 +918,11 @@ const createResponse = async (req, res) => {
           spendTokens: db.spendTokens,
           spendStructuredTokens: db.spendStructuredTokens,
           pricing: { getMultiplier: db.getMultiplier, getCacheMultiplier: db.getCacheMultiplier },
-          bulkWriteOps: { insertMany: db.bulkInsertTransactions, updateBalance: db.updateBalance },
+          bulkWriteOps: {
+            insertMany: db.bulkInsertTransactions,
+            updateBalance: db.updateBalance,
+            recordBudgetSpend: db.recordBudgetSpend,
+          },
         },
         {
           user: userId,
@@ -1013,6 +1023,7 @@ const listModels = async (req, res) => {
     if (accessibleAgentIds.length > 0) {
       agents = await db.getAgents({ _id: { $in: accessibleAgentIds } });
     }
+    agents = agents.filter((agent) => isAgentInApiKeyScope(req, agent.id));
 
     // Convert to models format
     const models = agents.map((agent) => ({
@@ -1063,7 +1074,7 @@ const getResponse = async (req, res) => {
     // Try to find a conversation with this ID
     const conversation = await db.getConvo(userId, responseId);
 
-    if (!conversation) {
+    if (!conversation || !isAgentInApiKeyScope(req, conversation.agent_id)) {
       return sendResponsesErrorResponse(
         res,
         404,
@@ -39,6 +39,7 @@ const { createRunBody } = require('~/server/services/createRunBody');
 const { sendResponse } = require('~/server/middleware/error');
 const {
   createAutoRefillTransaction,
+  getUserBudgets,
   findBalanceByUser,
   upsertBalanceFields,
   getTransactions,
@@ -304,6 +305,7 @@ const chatV1 = async (req, res) => {
           logViolation,
           balanceConfig,
           upsertBalanceFields,
+          getUserBudgets,
         },
       );
     };
@@ -36,6 +36,7 @@ const {
   getConvo,
   getMultiplier,
   getTransactions,
+  getUserBudgets,
   findBalanceByUser,
   upsertBalanceFields,
   createAutoRefillTransaction,
@@ -177,6 +178,7 @@ const chatV2 = async (req, res) => {
           logViolation,
           balanceConfig,
           upsertBalanceFields,
+          getUserBudgets,
         },
       );
     };
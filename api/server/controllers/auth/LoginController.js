@@ -8,6 +8,10 @@ const loginController = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (req.user.deactivatedAt) {
+      return res.status(403).json({ message: 'Your account has been deactivated.' });
+    }
+
     if (req.user.twoFactorEnabled) {
       const tempToken = generate2FATempToken(req.user._id);
       return res.status(200).json({ twoFAPending: true, tempToken });
@@ -1,4 +1,4 @@
-const { CacheKeys } = require('librechat-data-provider');
+const { CacheKeys, ErrorTypes } = require('librechat-data-provider');
 const { logger, DEFAULT_SESSION_EXPIRY } = require('@librechat/data-schemas');
 const {
   isEnabled,
@@ -36,6 +36,13 @@ function createOAuthHandler(redirectUri = domains.client) {
         return;
       }
 
+      if (req.user?.deactivatedAt) {
+        logger.warn(`[OAuth] Sign-in rejected for deactivated user: ${req.user._id}`);
+        return res.redirect(
+          `${domains.client}/login?redirect=false&error=${ErrorTypes.AUTH_FAILED}`,
+        );
+      }
+
       /** Check if this is an admin panel redirect (cross-origin) */
       if (isAdminPanelRedirect(redirectUri, getAdminPanelUrl(), domains.client)) {
         /** For admin panel, generate exchange code instead of setting cookies */
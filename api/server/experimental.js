@@ -36,6 +36,9 @@ const { checkMigrations } = require('./services/start/migration');
 const initializeMCPs = require('./services/initializeMCPs');
 const configureSocialLogins = require('./socialLogins');
 const { getAppConfig } = require('./services/Config');
+const { resumeImportJobs } = require('./utils/import');
+const { startRetentionSweeper } = require('./services/RetentionService');
+const { startLdapGroupSync } = require('./services/LdapGroupService');
 const staticCache = require('./utils/staticCache');
 const optionalJwtAuth = require('./middleware/optionalJwtAuth');
 const noIndex = require('./middleware/noIndex');
@@ -235,6 +238,11 @@ if (cluster.isMaster) {
     initializeFileStorage(appConfig);
     await performStartupChecks(appConfig);
     await updateInterfacePerms({ appConfig, getRoleByName, updateAccessPermissions });
+    runAsSystem(resumeImportJobs).catch((err) => {
+      logger.error('[resumeImportJobs] Failed to resume import jobs:', err);
+    });
+    startRetentionSweeper();
+    startLdapGroupSync();
 
     /** Load index.html for SPA serving */
     const indexPath = path.join(appConfig.paths.dist, 'index.html');
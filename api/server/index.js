@@ -36,10 +36,13 @@ const { capabilityContextMiddleware } = require('./middleware/roles/capabilities
 const createValidateImageRequest = require('./middleware/validateImageRequest');
 const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
 const { checkMigrations } = require('./services/start/migration');
+const { startRetentionSweeper } = require('./services/RetentionService');
+const { startLdapGroupSync } = require('./services/LdapGroupService');
 const optionalJwtAuth = require('./middleware/optionalJwtAuth');
 const initializeMCPs = require('./services/initializeMCPs');
 const configureSocialLogins = require('./socialLogins');
 const { getAppConfig } = require('./services/Config');
+const { resumeImportJobs } = require('./utils/import');
 const staticCache = require('./utils/staticCache');
 const noIndex = require('./middleware/noIndex');
 const routes = require('./routes');
@@ -93,6 +96,14 @@ const startServer = async () => {
     await performStartupChecks(appConfig);
     await updateInterfacePermissions({ appConfig, getRoleByName, updateAccessPermissions });
   });
+  /* Resume conversation imports interrupted by a restart; each job restores its own tenant */
+  runAsSystem(resumeImportJobs).catch((err) => {
+    logger.error('[resumeImportJobs] Failed to resume import jobs:', err);
+  });
+  /* Purge conversations and files past their retention policy; each tenant is swept in its own context */
+  startRetentionSweeper();
+  /* Keep LDAP group memberships in line with the directory when LDAP_GROUP_SYNC is enabled */
+  startLdapGroupSync();
 
   const indexPath = path.join(appConfig.paths.dist, 'index.html');
   let indexHTML = fs.readFileSync(indexPath, 'utf8');
@@ -177,10 +188,15 @@ const startServer = async () => {
   /* API Endpoints */
   app.use('/api/auth', preAuthTenantMiddleware, routes.auth);
   app.use('/api/admin', routes.adminAuth);
+  app.use('/api/admin/audit', routes.adminAudit);
+  app.use('/api/admin/balance', routes.adminBalance);
+  app.use('/api/admin/banners', routes.adminBanners);
   app.use('/api/admin/config', routes.adminConfig);
   app.use('/api/admin/grants', routes.adminGrants);
   app.use('/api/admin/groups', routes.adminGroups);
+  app.use('/api/admin/retention', routes.adminRetention);
   app.use('/api/admin/roles', routes.adminRoles);
+  app.use('/api/admin/search', routes.adminSearch);
   app.use('/api/admin/users', routes.adminUsers);
   app.use('/api/actions', routes.actions);
   app.use('/api/keys', routes.keys);
@@ -210,6 +226,8 @@ const startServer = async () => {
   app.use('/api/tags', routes.tags);
   app.use('/api/mcp', routes.mcp);
 
+  app.use('/scim/v2', routes.scim);
+
   app.use('/metrics', metricsRouter);
 
   /** 404 for unmatched API routes */
@@ -45,7 +45,11 @@ async function spendCollectedUsage({
       spendTokens: db.spendTokens,
       spendStructuredTokens: db.spendStructuredTokens,
       pricing: { getMultiplier: db.getMultiplier, getCacheMultiplier: db.getCacheMultiplier },
-      bulkWriteOps: { insertMany: db.bulkInsertTransactions, updateBalance: db.updateBalance },
+      bulkWriteOps: {
+        insertMany: db.bulkInsertTransactions,
+        updateBalance: db.updateBalance,
+        recordBudgetSpend: db.recordBudgetSpend,
+      },
     },
     {
       user: userId,
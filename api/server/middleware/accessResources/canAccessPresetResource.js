@@ -0,0 +1,33 @@
+const { ResourceType } = require('librechat-data-provider');
+const { canAccessResource } = require('./canAccessResource');
+const { getPresetById } = require('~/models');
+
+/**
+ * Preset-specific middleware factory that checks preset access permissions.
+ * Wraps the generic `canAccessResource` with the PRESET resource type and
+ * `getPresetById` as the ID resolver. Presets are addressed by `_id` rather than
+ * `presetId`, so the checked preset is the one the route handler acts on.
+ *
+ * @param {Object} options
+ * @param {number} options.requiredPermission - Permission bit required (1=view, 2=edit, 4=delete, 8=share)
+ * @param {string} [options.resourceIdParam='id'] - Route parameter name holding the preset `_id`
+ * @returns {Function} Express middleware
+ */
+const canAccessPresetResource = (options) => {
+  const { requiredPermission, resourceIdParam = 'id' } = options || {};
+
+  if (!requiredPermission || typeof requiredPermission !== 'number') {
+    throw new Error('canAccessPresetResource: requiredPermission is required and must be a number');
+  }
+
+  return canAccessResource({
+    resourceType: ResourceType.PRESET,
+    requiredPermission,
+    resourceIdParam,
+    idResolver: getPresetById,
+  });
+};
+
+module.exports = {
+  canAccessPresetResource,
+};
@@ -5,6 +5,7 @@ const { canAccessPromptViaGroup } = require('./canAccessPromptViaGroup');
 const { canAccessPromptGroupResource } = require('./canAccessPromptGroupResource');
 const { canAccessMCPServerResource } = require('./canAccessMCPServerResource');
 const { canAccessSkillResource } = require('./canAccessSkillResource');
+const { canAccessPresetResource } = require('./canAccessPresetResource');
 
 module.exports = {
   canAccessResource,
@@ -14,4 +15,5 @@ module.exports = {
   canAccessPromptGroupResource,
   canAccessMCPServerResource,
   canAccessSkillResource,
+  canAccessPresetResource,
 };
@@ -142,4 +142,19 @@ const checkBan = async (req, res, next = () => {}) => {
   }
 };
 
+/**
+ * Drops a user's cached ban so that lifting the ban takes effect immediately.
+ *
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const clearCachedUserBan = async (userId) => {
+  const userKey = getBanCacheKey('user', userId, isEnabled(process.env.USE_REDIS));
+  if (userKey) {
+    await banCache.delete(userKey);
+  }
+};
+
+checkBan.clearCachedUserBan = clearCachedUserBan;
+
 module.exports = checkBan;
@@ -0,0 +1,23 @@
+const { logger } = require('@librechat/data-schemas');
+
+/**
+ * Rejects requests made with an impersonation token. Guards actions that change how
+ * the account is accessed (passwords, two-factor authentication, API keys, deletion)
+ * or that impersonate another user.
+ *
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ * @param {Function} next
+ */
+const denyImpersonation = (req, res, next) => {
+  const impersonatedBy = req.user?.impersonatedBy;
+  if (!impersonatedBy) {
+    return next();
+  }
+  logger.warn(
+    `[denyImpersonation] Blocked ${req.method} ${req.originalUrl} for user ${req.user.id} impersonated by ${impersonatedBy}`,
+  );
+  return res.status(403).json({ message: 'This action is not available while impersonating' });
+};
+
+module.exports = denyImpersonation;
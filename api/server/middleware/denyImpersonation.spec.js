@@ -0,0 +1,40 @@
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), debug: jest.fn(), info: jest.fn() },
+}));
+
+const denyImpersonation = require('./denyImpersonation');
+
+function createRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+describe('denyImpersonation', () => {
+  it('passes requests made with the account owner token', () => {
+    const next = jest.fn();
+    const res = createRes();
+
+    denyImpersonation({ user: { id: 'user-1' } }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests made with an impersonation token', () => {
+    const next = jest.fn();
+    const res = createRes();
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/auth/2fa/disable',
+      user: { id: 'user-1', impersonatedBy: 'admin-1' },
+    };
+
+    denyImpersonation(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -4,6 +4,7 @@ const buildEndpointOption = require('./buildEndpointOption');
 const validateMessageReq = require('./validateMessageReq');
 const checkDomainAllowed = require('./checkDomainAllowed');
 const requireLocalAuth = require('./requireLocalAuth');
+const denyImpersonation = require('./denyImpersonation');
 const canDeleteAccount = require('./canDeleteAccount');
 const accessResources = require('./accessResources');
 const requireLdapAuth = require('./requireLdapAuth');
@@ -41,6 +42,7 @@ module.exports = {
   requireLocalAuth,
   canDeleteAccount,
   configMiddleware,
+  denyImpersonation,
   checkDomainAllowed,
   validateMessageReq,
   buildEndpointOption,
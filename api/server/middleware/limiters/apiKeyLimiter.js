@@ -0,0 +1,27 @@
+const rateLimit = require('express-rate-limit');
+const { limiterCache } = require('@librechat/api');
+
+const API_KEY_WINDOW_MS = 60 * 1000; // 1 minute
+
+/**
+ * Limits requests made with an agent API key to the key's own `rateLimit`
+ * per minute. Requests without a key, or with a key without a limit, pass.
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: API_KEY_WINDOW_MS,
+  max: (req) => req.apiKeyRateLimit,
+  skip: (req) => !req.apiKeyId || !req.apiKeyRateLimit,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: {
+        message: `Rate limit of ${req.apiKeyRateLimit} requests per minute exceeded for this API key`,
+        type: 'rate_limit_error',
+        code: 'rate_limit_exceeded',
+      },
+    });
+  },
+  keyGenerator: (req) => req.apiKeyId.toString(),
+  store: limiterCache('api_key_limiter'),
+});
+
+module.exports = { apiKeyLimiter };
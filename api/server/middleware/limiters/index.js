@@ -9,6 +9,7 @@ const registerLimiter = require('./registerLimiter');
 const toolCallLimiter = require('./toolCallLimiter');
 const messageLimiters = require('./messageLimiters');
 const promptUsageLimiter = require('./promptUsageLimiter');
+const apiKeyLimiter = require('./apiKeyLimiter');
 const verifyEmailLimiter = require('./verifyEmailLimiter');
 const resetPasswordLimiter = require('./resetPasswordLimiter');
 
@@ -18,6 +19,7 @@ module.exports = {
   ...messageLimiters,
   ...forkLimiters,
   ...promptUsageLimiter,
+  ...apiKeyLimiter,
   loginLimiter,
   registerLimiter,
   toolCallLimiter,
@@ -4,6 +4,7 @@ module.exports = {
   api: (overrides = {}) => ({
     isEnabled: jest.fn(),
     resolveImportMaxFileSize: jest.fn(() => 262144000),
+    resolveImportStreamingThreshold: jest.fn(() => 10485760),
     createAxiosInstance: jest.fn(() => ({
       get: jest.fn(),
       post: jest.fn(),
@@ -36,6 +37,12 @@ module.exports = {
       azureAssistants: 'azureAssistants',
       assistants: 'assistants',
     },
+    ForkOptions: {
+      DIRECT_PATH: 'directPath',
+      INCLUDE_BRANCHES: 'includeBranches',
+      TARGET_LEVEL: 'targetLevel',
+      DEFAULT: 'default',
+    },
     ...overrides,
   }),
 
@@ -56,6 +63,7 @@ module.exports = {
     deleteAllSharedLinks: jest.fn(),
     deleteConvoSharedLink: jest.fn(),
     deleteToolCalls: jest.fn(),
+    getImportJob: jest.fn(),
   }),
 
   requireJwtAuth: () => (req, res, next) => next(),
@@ -75,10 +83,21 @@ module.exports = {
 
   forkUtils: () => ({
     forkConversation: jest.fn(),
+    mergeConversations: jest.fn(),
     duplicateConversation: jest.fn(),
   }),
 
-  importUtils: () => ({ importConversations: jest.fn() }),
+  importUtils: () => ({
+    ExportFormats: {
+      LIBRECHAT: 'librechat',
+      CHATGPT: 'chatgpt',
+      MARKDOWN: 'markdown',
+      TEXT: 'text',
+    },
+    enqueueImportJob: jest.fn(),
+    importConversations: jest.fn(),
+    exportConversations: jest.fn(),
+  }),
 
   logStores: () => jest.fn(),
 
@@ -90,7 +109,12 @@ module.exports = {
   multerLib: () =>
     jest.fn(() => ({
       single: jest.fn(() => (req, res, next) => {
-        req.file = { path: '/tmp/test-file.json' };
+        /** Tests can simulate a large upload by sending `fileSize` in the body */
+        req.file = {
+          path: '/tmp/test-file.json',
+          originalname: 'test-file.json',
+          size: req.body?.fileSize ?? 1024,
+        };
         next();
       }),
     })),
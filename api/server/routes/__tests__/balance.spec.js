@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('~/models', () => ({
+  findBalanceByUser: jest.fn(),
+  getTransactionLedger: jest.fn(),
+  getConversationCostRollups: jest.fn(),
+}));
+
+jest.mock('~/server/middleware/', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+}));
+
+const transaction = (id) => ({
+  _id: id,
+  user: 'user-123',
+  conversationId: 'convo-1',
+  endpoint: 'openAI',
+  tokenType: 'prompt',
+  model: 'gpt-4o',
+  rawAmount: -100,
+  rate: 2.5,
+  tokenValue: -250,
+  createdAt: '2025-01-01T00:00:00.000Z',
+});
+
+describe('Balance routes', () => {
+  let app;
+  const { getTransactionLedger, getConversationCostRollups } = require('~/models');
+
+  beforeAll(() => {
+    const balanceRouter = require('../balance');
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user-123' };
+      next();
+    });
+    app.use('/api/balance', balanceRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("lists only the user's transactions", async () => {
+    getTransactionLedger.mockResolvedValue({
+      transactions: [transaction('tx-1')],
+      nextCursor: null,
+    });
+
+    const res = await request(app).get('/api/balance/transactions?endpoint=openAI&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.transactions).toHaveLength(1);
+    expect(getTransactionLedger).toHaveBeenCalledWith(
+      expect.objectContaining({ users: ['user-123'], endpoint: 'openAI' }),
+      { cursor: undefined, limit: 10 },
+    );
+  });
+
+  it('rejects invalid filters', async () => {
+    const res = await request(app).get('/api/balance/transactions?startDate=soon');
+
+    expect(res.status).toBe(400);
+    expect(getTransactionLedger).not.toHaveBeenCalled();
+  });
+
+  it('returns per-conversation cost rollups', async () => {
+    const rollups = {
+      conversations: [{ conversationId: 'convo-1', cost: 650, transactions: 2 }],
+      totals: { promptTokens: 100, completionTokens: 40, cost: 650, credits: 0, transactions: 2 },
+    };
+    getConversationCostRollups.mockResolvedValue(rollups);
+
+    const res = await request(app).get('/api/balance/transactions/conversations');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(rollups);
+  });
+
+  it('exports transactions as CSV', async () => {
+    getTransactionLedger
+      .mockResolvedValueOnce({ transactions: [transaction('tx-1')], nextCursor: 'next' })
+      .mockResolvedValueOnce({ transactions: [transaction('tx-2')], nextCursor: null });
+
+    const res = await request(app).get('/api/balance/transactions/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(
+      /attachment; filename="transactions-.*\.csv"/,
+    );
+    expect(res.text.trim().split('\n')).toHaveLength(3);
+  });
+});
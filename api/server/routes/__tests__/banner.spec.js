@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('~/models', () => ({
+  getBanner: jest.fn(),
+  getActiveBanners: jest.fn(),
+  dismissBanner: jest.fn(),
+}));
+
+jest.mock('~/server/middleware/optionalJwtAuth', () => (req, res, next) => next());
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+}));
+
+describe('Banner Routes', () => {
+  let app;
+  const { getActiveBanners, dismissBanner } = require('~/models');
+
+  beforeAll(() => {
+    const bannerRouter = require('../banner');
+
+    app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      req.user = { id: 'test-user-123', role: 'USER' };
+      next();
+    });
+
+    app.use('/api/banner', bannerRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /active', () => {
+    it('lists the banners shown to the user', async () => {
+      const banners = [{ bannerId: 'b1', message: 'Hello', severity: 'warning' }];
+      getActiveBanners.mockResolvedValue(banners);
+
+      const response = await request(app).get('/api/banner/active');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(banners);
+      expect(getActiveBanners).toHaveBeenCalledWith({ id: 'test-user-123', role: 'USER' });
+    });
+  });
+
+  describe('POST /:bannerId/dismiss', () => {
+    it('dismisses the banner for the authenticated user', async () => {
+      dismissBanner.mockResolvedValue(true);
+
+      const response = await request(app).post('/api/banner/b1/dismiss');
+
+      expect(response.status).toBe(204);
+      expect(dismissBanner).toHaveBeenCalledWith('b1', 'test-user-123');
+    });
+
+    it('returns 404 for banners that cannot be dismissed', async () => {
+      dismissBanner.mockResolvedValue(false);
+
+      const response = await request(app).post('/api/banner/b1/dismiss');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
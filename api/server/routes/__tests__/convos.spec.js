@@ -48,6 +48,50 @@ describe('Convos Routes', () => {
     jest.clearAllMocks();
   });
 
+  describe('GET /', () => {
+    const { getConvosByCursor } = require('~/models');
+
+    it('should pass search filters to the conversation query', async () => {
+      getConvosByCursor.mockResolvedValue({ conversations: [], nextCursor: null });
+
+      const response = await request(app)
+        .get('/api/convos')
+        .query({
+          search: 'deploy',
+          endpoint: 'openAI',
+          model: 'gpt-4o',
+          tags: ['work', 'ops'],
+          startDate: '2025-01-01',
+          endDate: 'not-a-date',
+          cursor: 'abc',
+        });
+
+      expect(response.status).toBe(200);
+      expect(getConvosByCursor).toHaveBeenCalledWith(
+        'test-user-123',
+        expect.objectContaining({
+          cursor: 'abc',
+          limit: 25,
+          search: 'deploy',
+          endpoint: 'openAI',
+          model: 'gpt-4o',
+          tags: ['work', 'ops'],
+          startDate: new Date('2025-01-01'),
+        }),
+      );
+      expect(getConvosByCursor.mock.calls[0][1]).not.toHaveProperty('endDate');
+    });
+
+    it('should return 500 when the search fails', async () => {
+      getConvosByCursor.mockRejectedValue(new Error('Error during search'));
+
+      const response = await request(app).get('/api/convos').query({ search: 'deploy' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Error fetching conversations' });
+    });
+  });
+
   describe('DELETE /all', () => {
     it('should delete all conversations, tool calls, and shared links for a user', async () => {
       const mockDbResponse = {
@@ -544,6 +588,335 @@ describe('Convos Routes', () => {
       expect(response.body).toEqual({ error: 'conversationId is required' });
     });
   });
+
+  describe('GET /:conversationId/export', () => {
+    const { exportConversations } = require('~/server/utils/import');
+
+    it('should export a conversation as a file download', async () => {
+      exportConversations.mockResolvedValue({
+        data: '{"conversationId":"conv-123"}',
+        contentType: 'application/json',
+        extension: 'json',
+        count: 1,
+      });
+
+      const response = await request(app).get('/api/convos/conv-123/export?format=librechat');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="conv-123.json"');
+      expect(response.text).toBe('{"conversationId":"conv-123"}');
+      expect(exportConversations).toHaveBeenCalledWith({
+        requestUserId: 'test-user-123',
+        conversationIds: ['conv-123'],
+        format: 'librechat',
+      });
+    });
+
+    it('should sanitize the conversation ID in the download filename', async () => {
+      exportConversations.mockResolvedValue({
+        data: '{}',
+        contentType: 'application/json',
+        extension: 'json',
+        count: 1,
+      });
+
+      const response = await request(app).get('/api/convos/conv%22%3B%0D%0Ax/export');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe(
+        'attachment; filename="conv____x.json"',
+      );
+    });
+
+    it('should default to the LibreChat format', async () => {
+      exportConversations.mockResolvedValue({
+        data: '{}',
+        contentType: 'application/json',
+        extension: 'json',
+        count: 1,
+      });
+
+      await request(app).get('/api/convos/conv-123/export');
+
+      expect(exportConversations).toHaveBeenCalledWith(
+        expect.objectContaining({ format: 'librechat' }),
+      );
+    });
+
+    it('should return 400 for an unsupported format', async () => {
+      const response = await request(app).get('/api/convos/conv-123/export?format=pdf');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unsupported export format' });
+      expect(exportConversations).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the conversation does not exist', async () => {
+      exportConversations.mockResolvedValue({
+        data: '',
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        count: 0,
+      });
+
+      const response = await request(app).get('/api/convos/missing/export?format=markdown');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 500 when the export fails', async () => {
+      exportConversations.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/api/convos/conv-123/export');
+
+      expect(response.status).toBe(500);
+      expect(response.text).toBe('Error exporting conversation');
+    });
+  });
+
+  describe('POST /export', () => {
+    const { exportConversations } = require('~/server/utils/import');
+
+    it('should export multiple conversations in bulk', async () => {
+      exportConversations.mockResolvedValue({
+        data: '[]',
+        contentType: 'application/json',
+        extension: 'json',
+        count: 2,
+      });
+
+      const response = await request(app)
+        .post('/api/convos/export')
+        .send({ conversationIds: ['conv-1', 'conv-2', 'conv-1'], format: 'chatgpt' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe(
+        'attachment; filename="conversations.json"',
+      );
+      expect(exportConversations).toHaveBeenCalledWith({
+        requestUserId: 'test-user-123',
+        conversationIds: ['conv-1', 'conv-2'],
+        format: 'chatgpt',
+        bulk: true,
+      });
+    });
+
+    it('should return 400 when conversationIds is missing or empty', async () => {
+      const missing = await request(app).post('/api/convos/export').send({});
+      const empty = await request(app).post('/api/convos/export').send({ conversationIds: [] });
+
+      expect(missing.status).toBe(400);
+      expect(empty.status).toBe(400);
+      expect(exportConversations).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when too many conversations are requested', async () => {
+      const conversationIds = Array.from({ length: 101 }, (_, i) => `conv-${i}`);
+
+      const response = await request(app).post('/api/convos/export').send({ conversationIds });
+
+      expect(response.status).toBe(400);
+      expect(exportConversations).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unsupported format', async () => {
+      const response = await request(app)
+        .post('/api/convos/export')
+        .send({ conversationIds: ['conv-1'], format: 'pdf' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unsupported export format' });
+    });
+
+    it('should return 404 when none of the conversations exist', async () => {
+      exportConversations.mockResolvedValue({
+        data: '',
+        contentType: 'text/plain; charset=utf-8',
+        extension: 'txt',
+        count: 0,
+      });
+
+      const response = await request(app)
+        .post('/api/convos/export')
+        .send({ conversationIds: ['missing'], format: 'text' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+  describe('POST /import', () => {
+    const { enqueueImportJob, importConversations } = require('~/server/utils/import');
+
+    it('should import small files synchronously', async () => {
+      importConversations.mockResolvedValue();
+
+      const response = await request(app).post('/api/convos/import').send({ fileSize: 2048 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ message: 'Conversation(s) imported successfully' });
+      expect(importConversations).toHaveBeenCalledWith({
+        filepath: '/tmp/test-file.json',
+        requestUserId: 'test-user-123',
+        userRole: undefined,
+      });
+      expect(enqueueImportJob).not.toHaveBeenCalled();
+    });
+
+    it('should start a background job for files at or above the streaming threshold', async () => {
+      enqueueImportJob.mockResolvedValue({ jobId: 'job-123', status: 'pending' });
+
+      const response = await request(app).post('/api/convos/import').send({ fileSize: 10485760 });
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({
+        message: 'Conversation import started',
+        jobId: 'job-123',
+        status: 'pending',
+      });
+      expect(enqueueImportJob).toHaveBeenCalledWith({
+        filepath: '/tmp/test-file.json',
+        filename: 'test-file.json',
+        fileSize: 10485760,
+        requestUserId: 'test-user-123',
+        userRole: undefined,
+      });
+      expect(importConversations).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the job cannot be created', async () => {
+      enqueueImportJob.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).post('/api/convos/import').send({ fileSize: 20971520 });
+
+      expect(response.status).toBe(500);
+      expect(response.text).toBe('Error processing file');
+    });
+  });
+
+  describe('POST /merge', () => {
+    const { mergeConversations } = require('~/server/utils/import/fork');
+
+    const body = {
+      targetConversationId: 'target-convo',
+      targetMessageId: 'target-msg',
+      sourceConversationId: 'source-convo',
+    };
+
+    it('should merge the conversations and return the new conversation', async () => {
+      const merged = {
+        conversation: { conversationId: 'merged-convo', title: 'Target' },
+        messages: [{ messageId: 'msg-1' }],
+      };
+      mergeConversations.mockResolvedValue(merged);
+
+      const response = await request(app)
+        .post('/api/convos/merge')
+        .send({ ...body, sourceMessageId: 'source-msg', option: 'directPath', title: 'Merged' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(merged);
+      expect(mergeConversations).toHaveBeenCalledWith({
+        requestUserId: 'test-user-123',
+        targetConvoId: 'target-convo',
+        targetMessageId: 'target-msg',
+        sourceConvoId: 'source-convo',
+        sourceMessageId: 'source-msg',
+        option: 'directPath',
+        newTitle: 'Merged',
+      });
+    });
+
+    it.each([
+      [
+        { targetMessageId: undefined },
+        'targetConversationId, targetMessageId and sourceConversationId are required',
+      ],
+      [{ sourceConversationId: 'target-convo' }, 'Cannot merge a conversation into itself'],
+      [{ sourceMessageId: 42 }, 'sourceMessageId must be a string'],
+      [{ option: 'default' }, 'Unsupported merge option'],
+    ])('should reject invalid requests (%j)', async (overrides, error) => {
+      const response = await request(app)
+        .post('/api/convos/merge')
+        .send({ ...body, ...overrides });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error });
+      expect(mergeConversations).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when a conversation or message is not found', async () => {
+      mergeConversations.mockResolvedValue(null);
+
+      const response = await request(app).post('/api/convos/merge').send(body);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Conversation or message not found' });
+    });
+
+    it('should return 500 when the merge fails', async () => {
+      mergeConversations.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).post('/api/convos/merge').send(body);
+
+      expect(response.status).toBe(500);
+      expect(response.text).toBe('Error merging conversations');
+    });
+  });
+
+  describe('GET /import/:jobId', () => {
+    const { getImportJob } = require('~/models');
+
+    it('should return the job progress', async () => {
+      getImportJob.mockResolvedValue({
+        jobId: 'job-123',
+        user: 'test-user-123',
+        status: 'running',
+        filename: 'conversations.json',
+        fileSize: 4000,
+        bytesProcessed: 1000,
+        processedCount: 50,
+        importedCount: 49,
+        failedCount: 1,
+        failures: [{ index: 7, title: 'Broken', error: 'Invalid LibreChat file format' }],
+        pendingConversationIds: [],
+      });
+
+      const response = await request(app).get('/api/convos/import/job-123');
+
+      expect(response.status).toBe(200);
+      expect(getImportJob).toHaveBeenCalledWith('test-user-123', 'job-123');
+      expect(response.body).toEqual({
+        jobId: 'job-123',
+        status: 'running',
+        filename: 'conversations.json',
+        fileSize: 4000,
+        bytesProcessed: 1000,
+        progress: 0.25,
+        processedCount: 50,
+        importedCount: 49,
+        failedCount: 1,
+        failures: [{ index: 7, title: 'Broken', error: 'Invalid LibreChat file format' }],
+      });
+    });
+
+    it('should return 404 when the job does not exist or belongs to another user', async () => {
+      getImportJob.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/convos/import/job-404');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Import job not found' });
+    });
+
+    it('should return 500 when the lookup fails', async () => {
+      getImportJob.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/api/convos/import/job-123');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Error getting import job' });
+    });
+  });
 });
 
 /**
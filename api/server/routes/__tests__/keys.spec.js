@@ -1,21 +1,38 @@
 const express = require('express');
 const request = require('supertest');
 
+const mockCheckUserKeysHealth = jest.fn();
+
 jest.mock('~/models', () => ({
+  getUserKey: jest.fn(),
+  getUserKeys: jest.fn(),
   updateUserKey: jest.fn(),
   deleteUserKey: jest.fn(),
   getUserKeyExpiry: jest.fn(),
 }));
 
+jest.mock('@librechat/api', () => ({
+  validateProviderKey: jest.fn(),
+  createUserKeyHealthCheck: jest.fn(() => mockCheckUserKeysHealth),
+}));
+
+jest.mock('~/server/services/Config', () => ({
+  loadConfigModels: jest.fn().mockResolvedValue({}),
+}));
+
 jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => next());
 
 jest.mock('~/server/middleware', () => ({
   requireJwtAuth: (req, res, next) => next(),
+  configMiddleware: (req, res, next) => next(),
+  denyImpersonation: (req, res, next) => next(),
 }));
 
 describe('Keys Routes', () => {
   let app;
   const { updateUserKey, deleteUserKey, getUserKeyExpiry } = require('~/models');
+  const { validateProviderKey } = require('@librechat/api');
+  const { loadConfigModels } = require('~/server/services/Config');
 
   beforeAll(() => {
     const keysRouter = require('../keys');
@@ -119,6 +136,95 @@ describe('Keys Routes', () => {
     });
   });
 
+  describe('PUT / with validation', () => {
+    it('saves a valid key and reports its models', async () => {
+      validateProviderKey.mockResolvedValue({ status: 'valid', models: ['gpt-4o'] });
+
+      const response = await request(app)
+        .put('/api/keys')
+        .send({ name: 'openAI', value: 'sk-valid', validate: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ validation: { status: 'valid', models: ['gpt-4o'] } });
+      expect(validateProviderKey).toHaveBeenCalledWith(
+        expect.objectContaining({ endpoint: 'openAI', value: 'sk-valid' }),
+      );
+      expect(updateUserKey).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports the models of custom endpoints from the models config', async () => {
+      validateProviderKey.mockResolvedValue({ status: 'valid', models: ['raw-model'] });
+      loadConfigModels.mockResolvedValueOnce({ Local: ['llama3'] });
+
+      const response = await request(app)
+        .put('/api/keys')
+        .send({ name: 'Local', value: '{"apiKey":"local"}', validate: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.validation.models).toEqual(['llama3']);
+    });
+
+    it('does not save a key rejected by the provider', async () => {
+      validateProviderKey.mockResolvedValue({ status: 'invalid', statusCode: 401 });
+
+      const response = await request(app)
+        .put('/api/keys')
+        .send({ name: 'openAI', value: 'sk-revoked', validate: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.validation).toEqual({ status: 'invalid', statusCode: 401 });
+      expect(updateUserKey).not.toHaveBeenCalled();
+    });
+
+    it('does not save a key that could not be checked', async () => {
+      validateProviderKey.mockResolvedValue({ status: 'unreachable' });
+
+      const response = await request(app)
+        .put('/api/keys')
+        .send({ name: 'openAI', value: 'sk-test', validate: true });
+
+      expect(response.status).toBe(502);
+      expect(updateUserKey).not.toHaveBeenCalled();
+    });
+
+    it('saves keys of endpoints that cannot be checked', async () => {
+      validateProviderKey.mockResolvedValue({ status: 'unsupported' });
+
+      const response = await request(app)
+        .put('/api/keys')
+        .send({ name: 'google', value: '{}', validate: true });
+
+      expect(response.status).toBe(201);
+      expect(updateUserKey).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /health', () => {
+    it('flags expired and rejected keys', async () => {
+      mockCheckUserKeysHealth.mockResolvedValue([
+        { name: 'openAI', status: 'valid', expiresAt: 'never' },
+        { name: 'anthropic', status: 'invalid', expiresAt: 'never' },
+      ]);
+
+      const response = await request(app).get('/api/keys/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.healthy).toBe(false);
+      expect(response.body.keys).toHaveLength(2);
+      expect(mockCheckUserKeysHealth).toHaveBeenCalledWith('test-user-123', undefined);
+    });
+
+    it('is healthy without problem keys', async () => {
+      mockCheckUserKeysHealth.mockResolvedValue([
+        { name: 'google', status: 'unsupported', expiresAt: 'never' },
+      ]);
+
+      const response = await request(app).get('/api/keys/health');
+
+      expect(response.body.healthy).toBe(true);
+    });
+  });
+
   describe('DELETE /:name', () => {
     it('should delete a user key by name', async () => {
       deleteUserKey.mockResolvedValue({});
@@ -0,0 +1,346 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Permissions } = require('librechat-data-provider');
+
+/** Permissions the test user lacks */
+const mockDeniedPermissions = new Set();
+
+jest.mock('@librechat/api', () => ({
+  ...jest.requireActual('@librechat/api'),
+  Tokenizer: { getTokenCount: jest.fn((value) => value.length) },
+  generateCheckAccess: jest.fn(({ permissions }) => (req, res, next) => {
+    if (permissions.some((permission) => mockDeniedPermissions.has(permission))) {
+      return res.status(403).json({ message: 'Forbidden: Insufficient permissions' });
+    }
+    next();
+  }),
+}));
+
+jest.mock('~/models', () => ({
+  getAllUserMemories: jest.fn(),
+  getUserMemoryScopes: jest.fn(),
+  bulkUpdateMemories: jest.fn(),
+  toggleUserMemories: jest.fn(),
+  getMemoryHistory: jest.fn(),
+  getMemoryVersion: jest.fn(),
+  getRoleByName: jest.fn(),
+  createMemory: jest.fn(),
+  deleteMemory: jest.fn(),
+  setMemory: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  configMiddleware: (req, res, next) => {
+    req.config = { memory: { tokenLimit: 100 } };
+    next();
+  },
+}));
+
+const memory = (key, value, tokenCount = 10) => ({
+  _id: new mongoose.Types.ObjectId(),
+  key,
+  value,
+  tokenCount,
+  updated_at: new Date('2025-01-01T00:00:00.000Z'),
+});
+
+describe('Memories routes', () => {
+  let app;
+  let current;
+  const {
+    getAllUserMemories,
+    getUserMemoryScopes,
+    bulkUpdateMemories,
+    getMemoryHistory,
+    getMemoryVersion,
+    deleteMemory,
+    setMemory,
+  } = require('~/models');
+
+  beforeAll(() => {
+    const memoriesRouter = require('../memories');
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user-123' };
+      next();
+    });
+    app.use('/api/memories', memoriesRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDeniedPermissions.clear();
+    current = [memory('name', 'Ada'), memory('work', 'Engineer')];
+    getAllUserMemories.mockImplementation(async () => current);
+    bulkUpdateMemories.mockImplementation(async (userId, resolveChanges) => {
+      const changes = await resolveChanges(current);
+      return current
+        .filter(({ key }) => !changes.delete.includes(key))
+        .filter(({ key }) => !changes.set.some((memory) => memory.key === key))
+        .concat(changes.set.map(({ key, value, tokenCount }) => memory(key, value, tokenCount)));
+    });
+  });
+
+  describe('scopes', () => {
+    it('lists the memories and usage of the requested scope', async () => {
+      const scopes = [
+        { scope: 'global', count: 2, totalTokens: 20 },
+        { scope: 'project:novel', count: 1, totalTokens: 40 },
+      ];
+      getUserMemoryScopes.mockResolvedValue(scopes);
+      current = [memory('plot', 'A heist', 40)];
+
+      const res = await request(app).get('/api/memories?scope=project:novel');
+
+      expect(res.status).toBe(200);
+      expect(getAllUserMemories).toHaveBeenCalledWith('user-123', 'project:novel');
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          scope: 'project:novel',
+          scopes,
+          totalTokens: 40,
+          usagePercentage: 40,
+        }),
+      );
+    });
+
+    it('defaults to the global scope', async () => {
+      getUserMemoryScopes.mockResolvedValue([]);
+
+      const res = await request(app).get('/api/memories');
+
+      expect(res.status).toBe(200);
+      expect(res.body.scope).toBe('global');
+      expect(getAllUserMemories).toHaveBeenCalledWith('user-123', 'global');
+    });
+
+    it('rejects invalid scopes', async () => {
+      const res = await request(app).get('/api/memories?scope=team:core');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Scope must be/);
+      expect(getAllUserMemories).not.toHaveBeenCalled();
+    });
+
+    it('applies bulk updates to the requested scope', async () => {
+      current = [memory('style', 'Terse', 60)];
+
+      const res = await request(app)
+        .patch('/api/memories?scope=agent:agent_1')
+        .send({ set: [{ key: 'tone', value: 'Dry' }] });
+
+      expect(res.status).toBe(200);
+      expect(getAllUserMemories).not.toHaveBeenCalled();
+      expect(bulkUpdateMemories).toHaveBeenCalledWith('user-123', expect.any(Function), {
+        scope: 'agent:agent_1',
+        source: { type: 'user' },
+      });
+    });
+
+    it('deletes memories from the requested scope', async () => {
+      deleteMemory.mockResolvedValue({ ok: true });
+
+      const res = await request(app).delete('/api/memories/plot?scope=project:novel');
+
+      expect(res.status).toBe(200);
+      expect(deleteMemory).toHaveBeenCalledWith(
+        expect.objectContaining({ key: 'plot', scope: 'project:novel' }),
+      );
+    });
+  });
+
+  describe('GET /export', () => {
+    it('downloads memories as JSON', async () => {
+      const res = await request(app).get('/api/memories/export');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toMatch(
+        /attachment; filename="memories-.*\.json"/,
+      );
+      expect(res.body.memories).toEqual([
+        { key: 'name', value: 'Ada', updated_at: '2025-01-01T00:00:00.000Z' },
+        { key: 'work', value: 'Engineer', updated_at: '2025-01-01T00:00:00.000Z' },
+      ]);
+    });
+
+    it('downloads memories as Markdown', async () => {
+      const res = await request(app).get('/api/memories/export?format=markdown');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/markdown/);
+      expect(res.text).toBe('# Memories\n\n## name\n\nAda\n\n## work\n\nEngineer\n');
+    });
+
+    it('rejects unknown formats', async () => {
+      const res = await request(app).get('/api/memories/export?format=csv');
+
+      expect(res.status).toBe(400);
+      expect(getAllUserMemories).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /import', () => {
+    it('imports memories with the requested strategy', async () => {
+      const res = await request(app)
+        .post('/api/memories/import')
+        .send({
+          strategy: 'overwrite',
+          memories: [
+            { key: 'name', value: 'Ada Lovelace' },
+            { key: 'city', value: 'London' },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        imported: true,
+        summary: { created: 1, updated: 1, merged: 0, skipped: 0 },
+      });
+      expect(bulkUpdateMemories).toHaveBeenCalledWith('user-123', expect.any(Function), {
+        scope: 'global',
+        source: { type: 'import' },
+      });
+    });
+
+    it('imports a Markdown export', async () => {
+      const res = await request(app)
+        .post('/api/memories/import')
+        .send({ markdown: '# Memories\n\n## city\n\nLondon\n' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toEqual({ created: 1, updated: 0, merged: 0, skipped: 0 });
+    });
+
+    it('rejects unknown strategies', async () => {
+      const res = await request(app)
+        .post('/api/memories/import')
+        .send({ strategy: 'replace', memories: [{ key: 'city', value: 'London' }] });
+
+      expect(res.status).toBe(400);
+      expect(bulkUpdateMemories).not.toHaveBeenCalled();
+    });
+
+    it('rejects invalid memories without writing any', async () => {
+      const res = await request(app)
+        .post('/api/memories/import')
+        .send({
+          memories: [
+            { key: 'city', value: 'London' },
+            { key: 'Bad Key', value: 'x' },
+          ],
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Invalid key "Bad Key"/);
+      expect(bulkUpdateMemories).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /', () => {
+    it('applies sets and deletes together', async () => {
+      const res = await request(app)
+        .patch('/api/memories')
+        .send({ set: [{ key: 'city', value: 'London' }], delete: ['work'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toEqual({ created: 1, updated: 0, deleted: 1 });
+      expect(res.body.memories.map(({ key }) => key)).toEqual(['name', 'city']);
+    });
+
+    it('rejects changes that exceed the aggregate token limit', async () => {
+      current = [memory('name', 'Ada', 95)];
+
+      const res = await request(app)
+        .patch('/api/memories')
+        .send({ set: [{ key: 'city', value: 'London and a good deal more' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/exceed the token limit of 100/);
+    });
+
+    it('requires permission to create memories', async () => {
+      mockDeniedPermissions.add(Permissions.CREATE);
+
+      const res = await request(app)
+        .patch('/api/memories')
+        .send({ set: [{ key: 'city', value: 'London' }] });
+
+      expect(res.status).toBe(403);
+      expect(bulkUpdateMemories).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /:key', () => {
+    it('records the user as the source of the change', async () => {
+      setMemory.mockResolvedValue({ ok: true });
+
+      const res = await request(app).patch('/api/memories/name').send({ value: 'Ada Lovelace' });
+
+      expect(res.status).toBe(200);
+      expect(setMemory).toHaveBeenCalledWith(
+        expect.objectContaining({ key: 'name', source: { type: 'user' }, scope: 'global' }),
+      );
+    });
+  });
+
+  describe('GET /:key/history', () => {
+    it('returns the versions of a memory', async () => {
+      const versions = [
+        { version: 2, action: 'delete', value: null, source: { type: 'user' } },
+        { version: 1, action: 'set', value: 'Ada', source: { type: 'agent', agentId: 'agent-1' } },
+      ];
+      getMemoryHistory.mockResolvedValue(versions);
+
+      const res = await request(app).get('/api/memories/name/history');
+
+      expect(res.status).toBe(200);
+      expect(getMemoryHistory).toHaveBeenCalledWith('user-123', 'name', 'global');
+      expect(res.body).toEqual({ key: 'name', versions });
+    });
+  });
+
+  describe('POST /:key/revert', () => {
+    it('restores the value of a previous version', async () => {
+      getMemoryVersion.mockResolvedValue({ key: 'name', version: 1, value: 'Ada L.' });
+
+      const res = await request(app).post('/api/memories/name/revert').send({ version: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.memory).toEqual(expect.objectContaining({ key: 'name', value: 'Ada L.' }));
+      expect(getMemoryVersion).toHaveBeenCalledWith('user-123', 'name', 1, 'global');
+      expect(bulkUpdateMemories).toHaveBeenCalledWith('user-123', expect.any(Function), {
+        scope: 'global',
+        source: { type: 'user' },
+        revertedFrom: 1,
+      });
+    });
+
+    it('deletes the memory when reverting to a deletion', async () => {
+      getMemoryVersion.mockResolvedValue({ key: 'work', version: 3, value: null });
+
+      const res = await request(app).post('/api/memories/work/revert').send({ version: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ reverted: true, memory: null });
+    });
+
+    it('returns 404 for an unknown version', async () => {
+      getMemoryVersion.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/memories/name/revert').send({ version: 9 });
+
+      expect(res.status).toBe(404);
+      expect(bulkUpdateMemories).not.toHaveBeenCalled();
+    });
+
+    it('rejects an invalid version', async () => {
+      const res = await request(app).post('/api/memories/name/revert').send({ version: '1' });
+
+      expect(res.status).toBe(400);
+      expect(getMemoryVersion).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/agents', () => ({
+  sleep: jest.fn(),
+}));
+
+jest.mock('@librechat/api', () => ({
+  unescapeLaTeX: jest.fn((x) => x),
+  countTokens: jest.fn().mockResolvedValue(10),
+  compareBranches: jest.fn(),
+}));
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('~/models', () => ({
+  getMessages: jest.fn(),
+}));
+
+jest.mock('~/server/services/Artifacts/update', () => ({
+  findAllArtifacts: jest.fn(),
+  replaceArtifactContent: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  validateMessageReq: (req, res, next) => next(),
+}));
+
+describe('GET /:conversationId/diff', () => {
+  let app;
+  const { getMessages } = require('~/models');
+  const { compareBranches } = require('@librechat/api');
+
+  const messages = [{ messageId: 'left' }, { messageId: 'right' }];
+
+  beforeAll(() => {
+    const messagesRouter = require('../messages');
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-123' };
+      next();
+    });
+    app.use('/api/messages', messagesRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should compare the branches of the requested messages', async () => {
+    const comparison = {
+      commonAncestorId: 'parent',
+      common: [],
+      left: [messages[0]],
+      right: [messages[1]],
+      responses: [],
+    };
+    getMessages.mockResolvedValue(messages);
+    compareBranches.mockReturnValue(comparison);
+
+    const response = await request(app).get('/api/messages/convo-1/diff?left=left&right=right');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(comparison);
+    expect(getMessages).toHaveBeenCalledWith(
+      { conversationId: 'convo-1', user: 'user-123' },
+      '-_id -__v -user',
+    );
+    expect(compareBranches).toHaveBeenCalledWith(messages, 'left', 'right');
+  });
+
+  it('should return 400 when a message ID is missing', async () => {
+    const response = await request(app).get('/api/messages/convo-1/diff?left=left');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'left and right message IDs are required' });
+    expect(getMessages).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 when a message is not in the conversation', async () => {
+    getMessages.mockResolvedValue(messages);
+    compareBranches.mockReturnValue(null);
+
+    const response = await request(app).get('/api/messages/convo-1/diff?left=left&right=gone');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Message not found' });
+  });
+
+  it('should return 500 when loading the messages fails', async () => {
+    getMessages.mockRejectedValue(new Error('DB failure'));
+
+    const response = await request(app).get('/api/messages/convo-1/diff?left=left&right=right');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Internal server error' });
+  });
+});
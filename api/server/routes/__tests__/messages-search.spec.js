@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/agents', () => ({
+  sleep: jest.fn(),
+}));
+
+jest.mock('@librechat/api', () => ({
+  unescapeLaTeX: jest.fn((x) => x),
+  countTokens: jest.fn().mockResolvedValue(10),
+  compareBranches: jest.fn(),
+}));
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('~/models', () => ({
+  getMessages: jest.fn(),
+  searchMessages: jest.fn(),
+  getConvosQueried: jest.fn(),
+}));
+
+jest.mock('~/server/services/Artifacts/update', () => ({
+  findAllArtifacts: jest.fn(),
+  replaceArtifactContent: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  validateMessageReq: (req, res, next) => next(),
+}));
+
+describe('GET /?search=', () => {
+  let app;
+  const { getMessages, searchMessages, getConvosQueried } = require('~/models');
+
+  beforeAll(() => {
+    const messagesRouter = require('../messages');
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-123' };
+      next();
+    });
+    app.use('/api/messages', messagesRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should search with filters and return hits with their highlighted snippets', async () => {
+    searchMessages.mockResolvedValue({
+      hits: [
+        {
+          messageId: 'msg-1',
+          conversationId: 'convo-1',
+          text: 'Deploy with docker compose',
+          _formatted: { text: '<em>Deploy</em> with docker compose' },
+        },
+        { messageId: 'msg-2', conversationId: 'deleted-convo', text: 'Deploy' },
+      ],
+    });
+    getConvosQueried.mockResolvedValue({
+      convoMap: { 'convo-1': { title: 'Ops', model: 'gpt-4o' } },
+    });
+    getMessages.mockResolvedValue([
+      { messageId: 'msg-1', isCreatedByUser: false, endpoint: 'openAI' },
+    ]);
+
+    const response = await request(app)
+      .get('/api/messages')
+      .query({ search: 'deploy', endpoint: 'openAI', tags: 'ops', startDate: '2025-01-01' });
+
+    expect(response.status).toBe(200);
+    expect(searchMessages).toHaveBeenCalledWith('deploy', {
+      user: 'user-123',
+      filters: { endpoint: 'openAI', tags: ['ops'], startDate: new Date('2025-01-01') },
+    });
+    expect(response.body.messages).toEqual([
+      expect.objectContaining({
+        messageId: 'msg-1',
+        title: 'Ops',
+        model: 'gpt-4o',
+        endpoint: 'openAI',
+        _formatted: { text: '<em>Deploy</em> with docker compose' },
+      }),
+    ]);
+  });
+
+  it('should return 500 when the search backend fails', async () => {
+    searchMessages.mockRejectedValue(new Error('text index required for $text query'));
+
+    const response = await request(app).get('/api/messages').query({ search: 'deploy' });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Internal server error' });
+  });
+});
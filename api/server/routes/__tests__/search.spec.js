@@ -0,0 +1,197 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockHealth = jest.fn();
+
+jest.mock('meilisearch', () => ({
+  MeiliSearch: jest.fn(() => ({ health: mockHealth })),
+}));
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => next());
+
+jest.mock('~/models', () => ({
+  getMessages: jest.fn(),
+  searchMessages: jest.fn(),
+  getConvosQueried: jest.fn(),
+}));
+
+describe('Search Routes', () => {
+  const originalEnv = process.env;
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user-123' };
+      next();
+    });
+    app.use('/api/search', require('../search'));
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, SEARCH: 'true' };
+    delete process.env.SEARCH_BACKEND;
+    delete process.env.MEILI_HOST;
+    delete process.env.MEILI_MASTER_KEY;
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('GET /enable', () => {
+    it('should report search as disabled when SEARCH is off', async () => {
+      process.env.SEARCH = 'false';
+
+      const response = await request(app).get('/api/search/enable');
+
+      expect(response.body).toBe(false);
+    });
+
+    it('should enable MongoDB text search without contacting Meilisearch', async () => {
+      const response = await request(app).get('/api/search/enable');
+
+      expect(response.body).toBe(true);
+      expect(mockHealth).not.toHaveBeenCalled();
+    });
+
+    it('should report Meilisearch health when it is the backend', async () => {
+      process.env.MEILI_HOST = 'http://localhost:7700';
+      process.env.MEILI_MASTER_KEY = 'key';
+      mockHealth.mockResolvedValueOnce({ status: 'available' });
+
+      const available = await request(app).get('/api/search/enable');
+      mockHealth.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      const unavailable = await request(app).get('/api/search/enable');
+
+      expect(available.body).toBe(true);
+      expect(unavailable.body).toBe(false);
+    });
+  });
+
+  describe('GET /messages', () => {
+    const { getMessages, searchMessages, getConvosQueried } = require('~/models');
+
+    /**
+     *  question (user)
+     *  ├── old-answer (assistant)
+     *  └── answer (assistant, matching)
+     *      └── thanks (user)
+     */
+    const conversation = [
+      { messageId: 'question', parentMessageId: '00000000-0000-0000-0000-000000000000' },
+      { messageId: 'old-answer', parentMessageId: 'question', createdAt: '2025-01-01T00:00:01Z' },
+      { messageId: 'answer', parentMessageId: 'question', createdAt: '2025-01-01T00:00:02Z' },
+      { messageId: 'thanks', parentMessageId: 'answer', createdAt: '2025-01-01T00:00:03Z' },
+    ].map((message) => ({
+      conversationId: 'convo-1',
+      isCreatedByUser: !message.messageId.includes('answer'),
+      text: `Text of ${message.messageId}`,
+      ...message,
+    }));
+
+    const answerHit = {
+      messageId: 'answer',
+      conversationId: 'convo-1',
+      sender: 'GPT-4o',
+      isCreatedByUser: false,
+      endpoint: 'openAI',
+      model: 'gpt-4o',
+      text: 'Use a partial index',
+      _formatted: { text: 'Use a <em>partial</em> index' },
+    };
+
+    it('should return matching messages with their context, branch and anchor', async () => {
+      searchMessages.mockResolvedValue({
+        hits: [answerHit, { messageId: 'gone', conversationId: 'deleted-convo' }],
+        nextOffset: 9,
+      });
+      getConvosQueried.mockResolvedValue({ convoMap: { 'convo-1': { title: 'Indexes' } } });
+      getMessages.mockResolvedValue(conversation);
+
+      const response = await request(app)
+        .get('/api/search/messages')
+        .query({ q: ' partial ', limit: '2', offset: '4', model: 'gpt-4o' });
+
+      expect(response.status).toBe(200);
+      expect(searchMessages).toHaveBeenCalledWith('partial', {
+        user: 'user-123',
+        filters: { model: 'gpt-4o' },
+        limit: 2,
+        offset: 4,
+      });
+      expect(getMessages).toHaveBeenCalledWith(
+        { user: 'user-123', conversationId: { $in: ['convo-1'] } },
+        expect.any(String),
+      );
+      expect(response.body).toEqual({
+        results: [
+          {
+            messageId: 'answer',
+            conversationId: 'convo-1',
+            title: 'Indexes',
+            sender: 'GPT-4o',
+            isCreatedByUser: false,
+            endpoint: 'openAI',
+            model: 'gpt-4o',
+            snippet: 'Use a <em>partial</em> index',
+            previous: { messageId: 'question', isCreatedByUser: true, text: 'Text of question' },
+            next: {
+              messageId: 'thanks',
+              isCreatedByUser: true,
+              text: 'Text of thanks',
+              createdAt: '2025-01-01T00:00:03Z',
+            },
+            path: [
+              { messageId: 'question', siblingIndex: 0, siblingCount: 1 },
+              { messageId: 'answer', siblingIndex: 1, siblingCount: 2 },
+            ],
+            anchor: '/c/convo-1#answer',
+          },
+        ],
+        limit: 2,
+        offset: 4,
+        nextOffset: 9,
+      });
+    });
+
+    it('should cap the limit and stop paginating after the last page', async () => {
+      searchMessages.mockResolvedValue({ hits: [], nextOffset: null });
+      getConvosQueried.mockResolvedValue({ convoMap: {} });
+
+      const response = await request(app)
+        .get('/api/search/messages')
+        .query({ q: 'partial', limit: '500' });
+
+      expect(response.body).toEqual({ results: [], limit: 50, offset: 0, nextOffset: null });
+      expect(getMessages).not.toHaveBeenCalled();
+    });
+
+    it('should require a query', async () => {
+      const response = await request(app).get('/api/search/messages').query({ q: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'q is required' });
+      expect(searchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should reject searches when search is disabled', async () => {
+      process.env.SEARCH = 'false';
+
+      const response = await request(app).get('/api/search/messages').query({ q: 'partial' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Search is disabled' });
+    });
+
+    it('should return 500 when the search fails', async () => {
+      searchMessages.mockRejectedValue(new Error('text index required for $text query'));
+
+      const response = await request(app).get('/api/search/messages').query({ q: 'partial' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Error searching messages' });
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const express = require('express');
+const { createAdminAuditHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadAudit = requireCapability(SystemCapabilities.READ_AUDIT);
+
+const handlers = createAdminAuditHandlers({
+  getAdminAuditLogs: db.getAdminAuditLogs,
+  streamAdminAuditLogs: db.streamAdminAuditLogs,
+});
+
+router.use(requireJwtAuth, requireAdminAccess);
+
+router.get('/', requireReadAudit, handlers.listAuditLogs);
+router.get('/export', requireReadAudit, handlers.exportAuditLogs);
+
+module.exports = router;
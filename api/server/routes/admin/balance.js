@@ -0,0 +1,27 @@
+const express = require('express');
+const { createAdminTransactionsHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadUsage = requireCapability(SystemCapabilities.READ_USAGE);
+
+const handlers = createAdminTransactionsHandlers({
+  getTransactionLedger: db.getTransactionLedger,
+  getConversationCostRollups: db.getConversationCostRollups,
+  findUser: db.findUser,
+  findGroupById: db.findGroupById,
+  findUsers: db.findUsers,
+});
+
+router.use(requireJwtAuth, requireAdminAccess, requireReadUsage);
+
+router.get('/transactions', handlers.listTransactions);
+router.get('/transactions/conversations', handlers.getConversationCosts);
+router.get('/transactions/export', handlers.exportTransactions);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { createAdminBannersHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadBanners = requireCapability(SystemCapabilities.READ_BANNERS);
+const requireManageBanners = requireCapability(SystemCapabilities.MANAGE_BANNERS);
+
+const handlers = createAdminBannersHandlers({
+  listBanners: db.listBanners,
+  getBannerById: db.getBannerById,
+  createBanner: db.createBanner,
+  updateBanner: db.updateBanner,
+  deleteBanner: db.deleteBanner,
+});
+
+router.use(requireJwtAuth, requireAdminAccess);
+
+router.get('/', requireReadBanners, handlers.listBanners);
+router.post('/', requireManageBanners, handlers.createBanner);
+router.get('/:bannerId', requireReadBanners, handlers.getBanner);
+router.patch('/:bannerId', requireManageBanners, handlers.updateBanner);
+router.delete('/:bannerId', requireManageBanners, handlers.deleteBanner);
+
+module.exports = router;
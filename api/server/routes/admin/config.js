@@ -21,6 +21,7 @@ const handlers = createAdminConfigHandlers({
   unsetConfigField: db.unsetConfigField,
   deleteConfig: db.deleteConfig,
   toggleConfigActive: db.toggleConfigActive,
+  recordAdminAudit: db.recordAdminAudit,
   hasConfigCapability,
   getAppConfig,
   invalidateConfigCaches,
@@ -19,6 +19,7 @@ const handlers = createAdminGrantsHandlers({
   getUserPrincipals: db.getUserPrincipals,
   hasCapabilityForPrincipals: db.hasCapabilityForPrincipals,
   getHeldCapabilities: db.getHeldCapabilities,
+  recordAdminAudit: db.recordAdminAudit,
   getCachedPrincipals,
   checkRoleExists: async (name) => (await db.getRoleByName(name)) != null,
 });
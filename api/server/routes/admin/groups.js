@@ -1,5 +1,5 @@
 const express = require('express');
-const { createAdminGroupsHandlers } = require('@librechat/api');
+const { createAdminBudgetsHandlers, createAdminGroupsHandlers } = require('@librechat/api');
 const { SystemCapabilities } = require('@librechat/data-schemas');
 const { requireCapability } = require('~/server/middleware/roles/capabilities');
 const { requireJwtAuth } = require('~/server/middleware');
@@ -24,6 +24,16 @@ const handlers = createAdminGroupsHandlers({
   findUsers: db.findUsers,
   deleteConfig: db.deleteConfig,
   deleteAclEntries: db.deleteAclEntries,
+  deleteBudget: db.deleteBudget,
+  recordAdminAudit: db.recordAdminAudit,
+});
+
+const budgetHandlers = createAdminBudgetsHandlers({
+  getBudget: db.getBudget,
+  setBudget: db.setBudget,
+  deleteBudget: db.deleteBudget,
+  findGroupById: db.findGroupById,
+  getRoleByName: db.getRoleByName,
 });
 
 router.use(requireJwtAuth, requireAdminAccess);
@@ -36,5 +46,8 @@ router.delete('/:id', requireManageGroups, handlers.deleteGroup);
 router.get('/:id/members', requireReadGroups, handlers.getGroupMembers);
 router.post('/:id/members', requireManageGroups, handlers.addGroupMember);
 router.delete('/:id/members/:userId', requireManageGroups, handlers.removeGroupMember);
+router.get('/:id/budget', requireReadGroups, budgetHandlers.getGroupBudget);
+router.put('/:id/budget', requireManageGroups, budgetHandlers.setGroupBudget);
+router.delete('/:id/budget', requireManageGroups, budgetHandlers.deleteGroupBudget);
 
 module.exports = router;
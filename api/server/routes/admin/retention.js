@@ -0,0 +1,27 @@
+const express = require('express');
+const { createAdminRetentionHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const { startRetentionRun } = require('~/server/services/RetentionService');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadRetention = requireCapability(SystemCapabilities.READ_RETENTION);
+const requireManageRetention = requireCapability(SystemCapabilities.MANAGE_RETENTION);
+
+const handlers = createAdminRetentionHandlers({
+  getRetentionRuns: db.getRetentionRuns,
+  getRetentionRun: db.getRetentionRun,
+  startRetentionRun,
+});
+
+router.use(requireJwtAuth, requireAdminAccess);
+
+router.get('/runs', requireReadRetention, handlers.listRuns);
+router.post('/runs', requireManageRetention, handlers.startRun);
+router.get('/runs/:runId', requireReadRetention, handlers.getRun);
+
+module.exports = router;
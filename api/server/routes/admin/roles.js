@@ -1,5 +1,5 @@
 const express = require('express');
-const { createAdminRolesHandlers } = require('@librechat/api');
+const { createAdminBudgetsHandlers, createAdminRolesHandlers } = require('@librechat/api');
 const { SystemCapabilities } = require('@librechat/data-schemas');
 const { requireCapability } = require('~/server/middleware/roles/capabilities');
 const { requireJwtAuth } = require('~/server/middleware');
@@ -29,6 +29,16 @@ const handlers = createAdminRolesHandlers({
   deleteConfig: db.deleteConfig,
   deleteAclEntries: db.deleteAclEntries,
   deleteGrantsForPrincipal: db.deleteGrantsForPrincipal,
+  deleteBudget: db.deleteBudget,
+  recordAdminAudit: db.recordAdminAudit,
+});
+
+const budgetHandlers = createAdminBudgetsHandlers({
+  getBudget: db.getBudget,
+  setBudget: db.setBudget,
+  deleteBudget: db.deleteBudget,
+  findGroupById: db.findGroupById,
+  getRoleByName: db.getRoleByName,
 });
 
 router.use(requireJwtAuth, requireAdminAccess);
@@ -42,5 +52,8 @@ router.patch('/:name/permissions', requireManageRoles, handlers.updateRolePermis
 router.get('/:name/members', requireReadRoles, handlers.getRoleMembers);
 router.post('/:name/members', requireManageRoles, handlers.addRoleMember);
 router.delete('/:name/members/:userId', requireManageRoles, handlers.removeRoleMember);
+router.get('/:name/budget', requireReadRoles, budgetHandlers.getRoleBudget);
+router.put('/:name/budget', requireManageRoles, budgetHandlers.setRoleBudget);
+router.delete('/:name/budget', requireManageRoles, budgetHandlers.deleteRoleBudget);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { createAdminSearchHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const {
+  getSearchIndexStatus,
+  startSearchReindex,
+  getSearchReindexJob,
+} = require('~/db/searchIndexAdmin');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadSearch = requireCapability(SystemCapabilities.READ_SEARCH);
+const requireManageSearch = requireCapability(SystemCapabilities.MANAGE_SEARCH);
+
+const handlers = createAdminSearchHandlers({
+  getSearchIndexStatus,
+  startSearchReindex,
+  getSearchReindexJob,
+  findUser: db.findUser,
+});
+
+router.use(requireJwtAuth, requireAdminAccess);
+
+router.get('/', requireReadSearch, handlers.getStatus);
+router.post('/reindex', requireManageSearch, handlers.reindex);
+router.get('/reindex/:jobId', requireReadSearch, handlers.getReindexJob);
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
+const { Types } = require('mongoose');
 const { createAdminUsersHandlers } = require('@librechat/api');
 const { SystemCapabilities } = require('@librechat/data-schemas');
+const {
+  suspendUser,
+  unsuspendUser,
+  getUserSuspension,
+  isSuspensionEnforced,
+} = require('~/server/services/SuspensionService');
+const { registerUser, issuePasswordReset } = require('~/server/services/AuthService');
 const { requireCapability } = require('~/server/middleware/roles/capabilities');
-const { requireJwtAuth } = require('~/server/middleware');
+const { requireJwtAuth, configMiddleware, denyImpersonation } = require('~/server/middleware');
+const { deleteUserData } = require('~/server/controllers/UserController');
 const db = require('~/models');
 
 const router = express.Router();
 
 const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
 const requireReadUsers = requireCapability(SystemCapabilities.READ_USERS);
-// const requireManageUsers = requireCapability(SystemCapabilities.MANAGE_USERS);
+const requireManageUsers = requireCapability(SystemCapabilities.MANAGE_USERS);
+const requireImpersonateUsers = requireCapability(SystemCapabilities.IMPERSONATE_USERS);
 
 const handlers = createAdminUsersHandlers({
   findUsers: db.findUsers,
@@ -17,12 +27,52 @@ const handlers = createAdminUsersHandlers({
   deleteUserById: db.deleteUserById,
   deleteConfig: db.deleteConfig,
   deleteAclEntries: db.deleteAclEntries,
+  /** File deletion resolves storage from `req.config`, so the admin's request is reused */
+  deleteUserData: (userId, req) =>
+    deleteUserData({
+      user: { id: userId, _id: new Types.ObjectId(userId) },
+      config: req.config,
+      body: {},
+    }),
+  registerUser,
+  getRoleByName: db.getRoleByName,
+  updateUser: db.updateUser,
+  deleteAllUserSessions: db.deleteAllUserSessions,
+  generateToken: db.generateToken,
+  issuePasswordReset,
+  isSuspensionEnforced,
+  suspendUser,
+  unsuspendUser,
+  getUserSuspension,
+  getUserPrincipals: db.getUserPrincipals,
+  getCapabilitiesForPrincipals: db.getCapabilitiesForPrincipals,
+  getHeldCapabilities: db.getHeldCapabilities,
+  recordAdminAudit: db.recordAdminAudit,
+  getAdminAuditLogs: db.getAdminAuditLogs,
 });
 
 router.use(requireJwtAuth, requireAdminAccess);
 
 router.get('/', requireReadUsers, handlers.listUsers);
+router.post('/', requireManageUsers, handlers.createUser);
 router.get('/search', requireReadUsers, handlers.searchUsers);
-// router.delete('/:id', requireManageUsers, handlers.deleteUser);
+router.delete('/:id', requireManageUsers, configMiddleware, handlers.deleteUser);
+router.get('/:id/audit', requireReadUsers, handlers.getAuditLog);
+router.get('/:id/suspension', requireReadUsers, handlers.getSuspension);
+router.post('/:id/suspension', requireManageUsers, handlers.suspendUser);
+router.delete('/:id/suspension', requireManageUsers, handlers.unsuspendUser);
+router.post(
+  '/:id/password-reset',
+  denyImpersonation,
+  requireManageUsers,
+  handlers.forcePasswordReset,
+);
+router.post('/:id/2fa-reset', denyImpersonation, requireManageUsers, handlers.resetTwoFactor);
+router.post(
+  '/:id/impersonate',
+  denyImpersonation,
+  requireImpersonateUsers,
+  handlers.impersonateUser,
+);
 
 module.exports = router;
@@ -7,6 +7,7 @@ const {
   createCheckRemoteAgentAccess,
 } = require('@librechat/api');
 const { getEffectivePermissions } = require('~/server/services/PermissionService');
+const { apiKeyLimiter } = require('~/server/middleware/limiters');
 const { getAppConfig } = require('~/server/services/Config');
 const db = require('~/models');
 
@@ -17,6 +18,7 @@ const apiKeyMiddleware = createRequireApiKeyAuth({
 
 const requireRemoteAgentAuth = createRemoteAgentAuth({
   apiKeyMiddleware,
+  apiKeyRateLimiter: apiKeyLimiter,
   findUser: db.findUser,
   updateUser: db.updateUser,
   getAppConfig,
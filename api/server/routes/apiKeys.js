@@ -6,9 +6,10 @@ const {
   createAgentApiKey,
   deleteAgentApiKey,
   listAgentApiKeys,
+  rotateAgentApiKey,
   getRoleByName,
 } = require('~/models');
-const { requireJwtAuth } = require('~/server/middleware');
+const { requireJwtAuth, denyImpersonation } = require('~/server/middleware');
 
 const router = express.Router();
 
@@ -17,6 +18,7 @@ const handlers = createApiKeyHandlers({
   listAgentApiKeys,
   deleteAgentApiKey,
   getAgentApiKeyById,
+  rotateAgentApiKey,
 });
 
 const checkRemoteAgentsUse = generateCheckAccess({
@@ -25,12 +27,26 @@ const checkRemoteAgentsUse = generateCheckAccess({
   getRoleByName,
 });
 
-router.post('/', requireJwtAuth, checkRemoteAgentsUse, handlers.createApiKey);
+router.post('/', requireJwtAuth, denyImpersonation, checkRemoteAgentsUse, handlers.createApiKey);
 
 router.get('/', requireJwtAuth, checkRemoteAgentsUse, handlers.listApiKeys);
 
 router.get('/:id', requireJwtAuth, checkRemoteAgentsUse, handlers.getApiKey);
 
-router.delete('/:id', requireJwtAuth, checkRemoteAgentsUse, handlers.deleteApiKey);
+router.post(
+  '/:id/rotate',
+  requireJwtAuth,
+  denyImpersonation,
+  checkRemoteAgentsUse,
+  handlers.rotateApiKey,
+);
+
+router.delete(
+  '/:id',
+  requireJwtAuth,
+  denyImpersonation,
+  checkRemoteAgentsUse,
+  handlers.deleteApiKey,
+);
 
 module.exports = router;
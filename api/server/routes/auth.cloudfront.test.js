@@ -58,6 +58,7 @@ jest.mock('~/server/middleware', () => {
     validateRegistration: pass,
     resetPasswordLimiter: pass,
     validatePasswordReset: pass,
+    denyImpersonation: pass,
     requireJwtAuth: jest.fn((req, res, next) => {
       if (req.headers.authorization !== 'Bearer ok') {
         return res.status(401).json({ message: 'Unauthorized' });
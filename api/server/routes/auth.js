@@ -85,12 +85,14 @@ router.post(
   resetPasswordController,
 );
 
-router.post('/2fa/enable', middleware.requireJwtAuth, enable2FA);
-router.post('/2fa/verify', middleware.requireJwtAuth, verify2FA);
+const require2FAAccess = [middleware.requireJwtAuth, middleware.denyImpersonation];
+
+router.post('/2fa/enable', require2FAAccess, enable2FA);
+router.post('/2fa/verify', require2FAAccess, verify2FA);
 router.post('/2fa/verify-temp', middleware.checkBan, verify2FAWithTempToken);
-router.post('/2fa/confirm', middleware.requireJwtAuth, confirm2FA);
-router.post('/2fa/disable', middleware.requireJwtAuth, disable2FA);
-router.post('/2fa/backup/regenerate', middleware.requireJwtAuth, regenerateBackupCodes);
+router.post('/2fa/confirm', require2FAAccess, confirm2FA);
+router.post('/2fa/disable', require2FAAccess, disable2FA);
+router.post('/2fa/backup/regenerate', require2FAAccess, regenerateBackupCodes);
 
 router.get('/graph-token', middleware.requireJwtAuth, graphTokenController);
 
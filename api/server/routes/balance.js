@@ -1,8 +1,38 @@
 const express = require('express');
-const router = express.Router();
+const { createTransactionLedgerHandlers } = require('@librechat/api');
 const controller = require('../controllers/Balance');
 const { requireJwtAuth } = require('../middleware/');
+const db = require('~/models');
+
+const router = express.Router();
+
+const ledger = createTransactionLedgerHandlers({
+  getTransactionLedger: db.getTransactionLedger,
+  getConversationCostRollups: db.getConversationCostRollups,
+  resolveUsers: async (req) => [req.user.id],
+});
 
 router.get('/', requireJwtAuth, controller);
 
+/**
+ * GET /balance/transactions
+ * Lists the user's transactions, newest first.
+ * Query: { model?, endpoint?, conversationId?, tokenType?, startDate?, endDate?, cursor?, limit? }
+ * Returns { transactions, nextCursor }.
+ */
+router.get('/transactions', requireJwtAuth, ledger.listTransactions);
+
+/**
+ * GET /balance/transactions/conversations
+ * Rolls up the usage and cost of the matching transactions per conversation, most expensive first.
+ * Returns { conversations, totals }.
+ */
+router.get('/transactions/conversations', requireJwtAuth, ledger.getConversationCosts);
+
+/**
+ * GET /balance/transactions/export
+ * Downloads the matching transactions as CSV.
+ */
+router.get('/transactions/export', requireJwtAuth, ledger.exportTransactions);
+
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { logger } = require('@librechat/data-schemas');
 const optionalJwtAuth = require('~/server/middleware/optionalJwtAuth');
-const { getBanner } = require('~/models');
+const { requireJwtAuth } = require('~/server/middleware');
+const { getBanner, getActiveBanners, dismissBanner } = require('~/models');
 
 const router = express.Router();
 
@@ -14,4 +15,35 @@ router.get('/', optionalJwtAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /banner/active
+ * Lists every banner currently shown to the user, most severe first,
+ * leaving out banners the user dismissed.
+ */
+router.get('/active', optionalJwtAuth, async (req, res) => {
+  try {
+    res.status(200).send(await getActiveBanners(req.user));
+  } catch (error) {
+    logger.error('[getActiveBanners] Error getting banners', error);
+    res.status(500).json({ message: 'Error getting banners' });
+  }
+});
+
+/**
+ * POST /banner/:bannerId/dismiss
+ * Hides a banner from the user on every device. Persistable banners cannot be dismissed.
+ */
+router.post('/:bannerId/dismiss', requireJwtAuth, async (req, res) => {
+  try {
+    const dismissed = await dismissBanner(req.params.bannerId, req.user.id);
+    if (!dismissed) {
+      return res.status(404).json({ message: 'Banner not found or cannot be dismissed' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    logger.error('[dismissBanner] Error dismissing banner', error);
+    res.status(500).json({ message: 'Error dismissing banner' });
+  }
+});
+
 module.exports = router;
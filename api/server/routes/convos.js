@@ -4,20 +4,31 @@ const { sleep } = require('@librechat/agents');
 const {
   isEnabled,
   resolveImportMaxFileSize,
+  resolveImportStreamingThreshold,
   restoreTenantContextFromReq,
 } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
-const { CacheKeys, EModelEndpoint } = require('librechat-data-provider');
+const { CacheKeys, ForkOptions, EModelEndpoint } = require('librechat-data-provider');
 const {
   createImportLimiters,
   validateConvoAccess,
   createForkLimiters,
   configMiddleware,
 } = require('~/server/middleware');
-const { forkConversation, duplicateConversation } = require('~/server/utils/import/fork');
+const {
+  forkConversation,
+  mergeConversations,
+  duplicateConversation,
+} = require('~/server/utils/import/fork');
 const { storage, importFileFilter } = require('~/server/routes/files/multer');
+const { parseSearchFilters } = require('~/server/utils/search');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
-const { importConversations } = require('~/server/utils/import');
+const {
+  ExportFormats,
+  enqueueImportJob,
+  importConversations,
+  exportConversations,
+} = require('~/server/utils/import');
 const getLogStores = require('~/cache/getLogStores');
 const db = require('~/models');
 
@@ -37,20 +48,17 @@ router.get('/', async (req, res) => {
   const sortBy = req.query.sortBy || 'updatedAt';
   const sortDirection = req.query.sortDirection || 'desc';
 
-  let tags;
-  if (req.query.tags) {
-    tags = Array.isArray(req.query.tags) ? req.query.tags : [req.query.tags];
-  }
+  const filters = parseSearchFilters(req.query);
 
   try {
     const result = await db.getConvosByCursor(req.user.id, {
       cursor,
       limit,
       isArchived,
-      tags,
       search,
       sortBy,
       sortDirection,
+      ...filters,
     });
     res.status(200).json(result);
   } catch (error) {
@@ -234,9 +242,10 @@ router.post('/update', validateConvoAccess, async (req, res) => {
 });
 
 const { importIpLimiter, importUserLimiter } = createImportLimiters();
-/** Fork and duplicate share one rate-limit budget (same "clone" operation class) */
+/** Fork, duplicate and export share one rate-limit budget (each reads a full conversation tree) */
 const { forkIpLimiter, forkUserLimiter } = createForkLimiters();
 const importMaxFileSize = resolveImportMaxFileSize();
+const importStreamingThreshold = resolveImportStreamingThreshold();
 const upload = multer({
   storage,
   fileFilter: importFileFilter,
@@ -258,9 +267,12 @@ function handleUpload(req, res, next) {
 
 /**
  * Imports a conversation from a JSON file and saves it to the database.
+ * Files at or above the streaming threshold are imported by a background job instead;
+ * poll `GET /import/:jobId` for its progress.
  * @route POST /import
  * @param {Express.Multer.File} req.file - The JSON file to import.
  * @returns {object} 201 - success response - application/json
+ * @returns {object} 202 - job accepted response - application/json
  */
 router.post(
   '/import',
@@ -271,6 +283,21 @@ router.post(
   restoreTenantContextFromReq,
   async (req, res) => {
     try {
+      if (req.file.size >= importStreamingThreshold) {
+        const job = await enqueueImportJob({
+          filepath: req.file.path,
+          filename: req.file.originalname,
+          fileSize: req.file.size,
+          requestUserId: req.user.id,
+          userRole: req.user.role,
+        });
+        return res.status(202).json({
+          message: 'Conversation import started',
+          jobId: job.jobId,
+          status: job.status,
+        });
+      }
+
       /* TODO: optimize to return imported conversations and add manually */
       await importConversations({
         filepath: req.file.path,
@@ -285,6 +312,48 @@ router.post(
   },
 );
 
+/**
+ * Ratio of the conversations JSON processed by an import job, from 0 to 1.
+ * @param {IImportJob} job
+ * @returns {number}
+ */
+function getImportProgress(job) {
+  const totalBytes = job.contentSize ?? job.fileSize;
+  return totalBytes ? Math.min(job.bytesProcessed / totalBytes, 1) : 0;
+}
+
+/**
+ * Retrieves the status and progress of a background import job.
+ * @route GET /import/:jobId
+ * @returns {TImportJob} 200 - the import job - application/json
+ */
+router.get('/import/:jobId', async (req, res) => {
+  try {
+    const job = await db.getImportJob(req.user.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+    res.status(200).json({
+      jobId: job.jobId,
+      status: job.status,
+      filename: job.filename,
+      fileSize: job.fileSize,
+      bytesProcessed: job.bytesProcessed,
+      progress: getImportProgress(job),
+      processedCount: job.processedCount,
+      importedCount: job.importedCount,
+      failedCount: job.failedCount,
+      failures: job.failures,
+      error: job.error,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+    });
+  } catch (error) {
+    logger.error('Error getting import job', error);
+    res.status(500).json({ error: 'Error getting import job' });
+  }
+});
+
 /**
  * POST /fork
  * This route handles forking a conversation based on the TForkConvoRequest and responds with TForkConvoResponse.
@@ -330,4 +399,172 @@ router.post('/duplicate', forkIpLimiter, forkUserLimiter, async (req, res) => {
   }
 });
 
+/** Fork options that select the branch of the source conversation to merge */
+const mergeOptions = new Set([
+  ForkOptions.DIRECT_PATH,
+  ForkOptions.INCLUDE_BRANCHES,
+  ForkOptions.TARGET_LEVEL,
+]);
+
+/**
+ * Merges a conversation, or a branch of it, into another by grafting it beneath a message
+ * of the target conversation. The result is saved as a new conversation.
+ * @route POST /merge
+ * @param {express.Request<{}, TMergeConvoResponse, TMergeConvoRequest>} req - Express request object.
+ * @returns {TMergeConvoResponse} 201 - The merged conversation and its messages.
+ */
+router.post('/merge', forkIpLimiter, forkUserLimiter, async (req, res) => {
+  /** @type {TMergeConvoRequest} */
+  const {
+    targetConversationId,
+    targetMessageId,
+    sourceConversationId,
+    sourceMessageId,
+    option,
+    title,
+  } = req.body ?? {};
+
+  if (
+    [targetConversationId, targetMessageId, sourceConversationId].some(
+      (value) => typeof value !== 'string' || !value,
+    )
+  ) {
+    return res.status(400).json({
+      error: 'targetConversationId, targetMessageId and sourceConversationId are required',
+    });
+  }
+
+  if (targetConversationId === sourceConversationId) {
+    return res.status(400).json({ error: 'Cannot merge a conversation into itself' });
+  }
+
+  if (sourceMessageId != null && typeof sourceMessageId !== 'string') {
+    return res.status(400).json({ error: 'sourceMessageId must be a string' });
+  }
+
+  if (option != null && !mergeOptions.has(option)) {
+    return res.status(400).json({ error: 'Unsupported merge option' });
+  }
+
+  try {
+    const result = await mergeConversations({
+      requestUserId: req.user.id,
+      targetConvoId: targetConversationId,
+      targetMessageId,
+      sourceConvoId: sourceConversationId,
+      sourceMessageId,
+      option,
+      newTitle: typeof title === 'string' ? title : undefined,
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation or message not found' });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error merging conversations:', error);
+    res.status(500).send('Error merging conversations');
+  }
+});
+
+/** Maximum number of conversations accepted by a single bulk export */
+const MAX_BULK_EXPORT = 100;
+const exportFormats = new Set(Object.values(ExportFormats));
+
+/**
+ * Sends an export result as a file download.
+ * @param {express.Response} res - Express response object.
+ * @param {{ data: string, contentType: string, extension: string }} result - The export result.
+ * @param {string} filename - The download filename, without extension; may come from the URL,
+ * so anything but word characters, dots and dashes is replaced.
+ */
+function sendExport(res, result, filename) {
+  const safeName = filename.replace(/[^\w.-]/g, '_') || 'conversation';
+  res.attachment(`${safeName}.${result.extension}`);
+  res.setHeader('Content-Type', result.contentType);
+  res.status(200).send(result.data);
+}
+
+/**
+ * Exports a single conversation, including all branches, attachment metadata and feedback.
+ * @route GET /:conversationId/export
+ * @param {string} req.params.conversationId - The conversation ID to export.
+ * @param {string} [req.query.format=librechat] - One of `librechat`, `chatgpt`, `markdown`, `text`.
+ * @returns {string} 200 - The exported conversation as a file download.
+ */
+router.get('/:conversationId/export', forkIpLimiter, forkUserLimiter, async (req, res) => {
+  const { conversationId } = req.params;
+  const format = req.query.format || ExportFormats.LIBRECHAT;
+
+  if (!exportFormats.has(format)) {
+    return res.status(400).json({ error: 'Unsupported export format' });
+  }
+
+  try {
+    const result = await exportConversations({
+      requestUserId: req.user.id,
+      conversationIds: [conversationId],
+      format,
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    sendExport(res, result, conversationId);
+  } catch (error) {
+    logger.error('Error exporting conversation', error);
+    res.status(500).send('Error exporting conversation');
+  }
+});
+
+/**
+ * Exports multiple conversations into a single document.
+ * JSON formats produce an array that can be imported again through `POST /import`.
+ * @route POST /export
+ * @param {string[]} req.body.conversationIds - The conversation IDs to export.
+ * @param {string} [req.body.format=librechat] - One of `librechat`, `chatgpt`, `markdown`, `text`.
+ * @returns {string} 200 - The exported conversations as a file download.
+ */
+router.post('/export', forkIpLimiter, forkUserLimiter, async (req, res) => {
+  const { conversationIds, format = ExportFormats.LIBRECHAT } = req.body ?? {};
+
+  if (!Array.isArray(conversationIds) || conversationIds.length === 0) {
+    return res.status(400).json({ error: 'conversationIds must be a non-empty array' });
+  }
+
+  if (conversationIds.length > MAX_BULK_EXPORT) {
+    return res
+      .status(400)
+      .json({ error: `Cannot export more than ${MAX_BULK_EXPORT} conversations at once` });
+  }
+
+  if (conversationIds.some((id) => typeof id !== 'string')) {
+    return res.status(400).json({ error: 'conversationIds must contain strings' });
+  }
+
+  if (!exportFormats.has(format)) {
+    return res.status(400).json({ error: 'Unsupported export format' });
+  }
+
+  try {
+    const result = await exportConversations({
+      requestUserId: req.user.id,
+      conversationIds: [...new Set(conversationIds)],
+      format,
+      bulk: true,
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'No conversations found' });
+    }
+
+    sendExport(res, result, 'conversations');
+  } catch (error) {
+    logger.error('Error exporting conversations', error);
+    res.status(500).send('Error exporting conversations');
+  }
+});
+
 module.exports = router;
@@ -27,13 +27,21 @@ const storage = multer.diskStorage({
   },
 });
 
+/** ZIP archives are accepted for ChatGPT and Claude exports, which bundle `conversations.json` */
+const importMimeTypes = new Set([
+  'application/json',
+  'application/zip',
+  'application/x-zip-compressed',
+]);
+const importExtensions = new Set(['.json', '.zip']);
+
 const importFileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/json') {
+  if (importMimeTypes.has(file.mimetype)) {
     cb(null, true);
-  } else if (path.extname(file.originalname).toLowerCase() === '.json') {
+  } else if (importExtensions.has(path.extname(file.originalname).toLowerCase())) {
     cb(null, true);
   } else {
-    cb(new Error('Only JSON files are allowed'), false);
+    cb(new Error('Only JSON or ZIP files are allowed'), false);
   }
 };
 
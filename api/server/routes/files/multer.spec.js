@@ -214,7 +214,7 @@ describe('Multer Configuration', () => {
 
       const cb = jest.fn((err, result) => {
         expect(err).toBeInstanceOf(Error);
-        expect(err.message).toBe('Only JSON files are allowed');
+        expect(err.message).toBe('Only JSON or ZIP files are allowed');
         expect(result).toBe(false);
         done();
       });
@@ -237,6 +237,22 @@ describe('Multer Configuration', () => {
 
       importFileFilter(mockReq, jsonFile, cb);
     });
+
+    it('should accept ZIP export archives', (done) => {
+      const zipFile = {
+        ...mockFile,
+        mimetype: 'application/x-zip-compressed',
+        originalname: 'chatgpt-export.zip',
+      };
+
+      const cb = jest.fn((err, result) => {
+        expect(err).toBeNull();
+        expect(result).toBe(true);
+        done();
+      });
+
+      importFileFilter(mockReq, zipFile, cb);
+    });
   });
 
   describe('File Filter with Real defaultFileConfig', () => {
@@ -1,11 +1,16 @@
 const accessPermissions = require('./accessPermissions');
 const assistants = require('./assistants');
 const categories = require('./categories');
+const adminAudit = require('./admin/audit');
 const adminAuth = require('./admin/auth');
+const adminBalance = require('./admin/balance');
+const adminBanners = require('./admin/banners');
 const adminConfig = require('./admin/config');
 const adminGrants = require('./admin/grants');
 const adminGroups = require('./admin/groups');
+const adminRetention = require('./admin/retention');
 const adminRoles = require('./admin/roles');
+const adminSearch = require('./admin/search');
 const adminUsers = require('./admin/users');
 const endpoints = require('./endpoints');
 const staticRoute = require('./static');
@@ -27,6 +32,7 @@ const roles = require('./roles');
 const oauth = require('./oauth');
 const files = require('./files');
 const share = require('./share');
+const scim = require('./scim');
 const tags = require('./tags');
 const auth = require('./auth');
 const keys = require('./keys');
@@ -36,11 +42,16 @@ const mcp = require('./mcp');
 module.exports = {
   mcp,
   auth,
+  adminAudit,
   adminAuth,
+  adminBalance,
+  adminBanners,
   adminConfig,
   adminGrants,
   adminGroups,
+  adminRetention,
   adminRoles,
+  adminSearch,
   adminUsers,
   keys,
   apiKeys,
@@ -50,6 +61,7 @@ module.exports = {
   oauth,
   files,
   share,
+  scim,
   banner,
   agents,
   convos,
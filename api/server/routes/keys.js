@@ -1,25 +1,89 @@
 const express = require('express');
-const { updateUserKey, deleteUserKey, getUserKeyExpiry } = require('~/models');
-const { requireJwtAuth } = require('~/server/middleware');
+const { logger } = require('@librechat/data-schemas');
+const { normalizeEndpointName } = require('librechat-data-provider');
+const { validateProviderKey, createUserKeyHealthCheck } = require('@librechat/api');
+const {
+  getUserKey,
+  getUserKeys,
+  updateUserKey,
+  deleteUserKey,
+  getUserKeyExpiry,
+} = require('~/models');
+const { requireJwtAuth, configMiddleware, denyImpersonation } = require('~/server/middleware');
+const { loadConfigModels } = require('~/server/services/Config');
 
 const router = express.Router();
 
-router.put('/', requireJwtAuth, async (req, res) => {
+const checkUserKeysHealth = createUserKeyHealthCheck({ getUserKeys, getUserKey });
+
+/**
+ * PUT /keys
+ * Stores a user-provided key.
+ * Body: { name, value, expiresAt?, validate? }
+ * With `validate: true`, the key is first checked against the provider and is
+ * not saved if the provider rejects it (400) or cannot be reached (502).
+ * Returns 201, with `{ validation: { status, models? } }` when validated.
+ */
+router.put('/', requireJwtAuth, denyImpersonation, configMiddleware, async (req, res) => {
   if (req.body == null || typeof req.body !== 'object') {
     return res.status(400).send({ error: 'Invalid request body.' });
   }
-  const { name, value, expiresAt } = req.body;
-  await updateUserKey({ userId: req.user.id, name, value, expiresAt });
-  res.status(201).send();
+  const { name, value, expiresAt, validate } = req.body;
+
+  if (validate !== true) {
+    await updateUserKey({ userId: req.user.id, name, value, expiresAt });
+    return res.status(201).send();
+  }
+
+  try {
+    const validation = await validateProviderKey({ endpoint: name, value, appConfig: req.config });
+    if (validation.status === 'invalid') {
+      return res.status(400).send({ error: 'The key was rejected by the provider.', validation });
+    }
+    if (validation.status === 'unreachable') {
+      return res.status(502).send({ error: 'The key could not be validated.', validation });
+    }
+
+    await updateUserKey({ userId: req.user.id, name, value, expiresAt });
+
+    const modelsConfig = await loadConfigModels(req);
+    const configModels = modelsConfig[normalizeEndpointName(name)];
+    if (configModels?.length) {
+      validation.models = configModels;
+    }
+
+    res.status(201).send({ validation });
+  } catch (error) {
+    logger.error('[/keys] Error validating key', error);
+    res.status(500).send({ error: 'There was an error validating the key.' });
+  }
+});
+
+/**
+ * GET /keys/health
+ * Checks every stored key against its provider, flagging keys that are
+ * expired or no longer accepted.
+ */
+router.get('/health', requireJwtAuth, configMiddleware, async (req, res) => {
+  try {
+    const keys = await checkUserKeysHealth(req.user.id, req.config);
+    res.status(200).send({
+      healthy: keys.every((key) => key.status !== 'expired' && key.status !== 'invalid'),
+      keys,
+    });
+  } catch (error) {
+    logger.error('[/keys/health] Error checking keys', error);
+    res.status(500).send({ error: 'There was an error checking the keys.' });
+  }
 });
 
-router.delete('/:name', requireJwtAuth, async (req, res) => {
+router.delete('/:name', requireJwtAuth, denyImpersonation, async (req, res) => {
   const { name } = req.params;
   await deleteUserKey({ userId: req.user.id, name });
   res.status(204).send();
 });
 
-router.delete('/', requireJwtAuth, async (req, res) => {
+router.delete('/', requireJwtAuth, denyImpersonation, async (req, res) => {
   const { all } = req.query;
 
   if (all !== 'true') {
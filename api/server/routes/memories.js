@@ -1,9 +1,25 @@
 const express = require('express');
-const { Tokenizer, generateCheckAccess } = require('@librechat/api');
+const {
+  Tokenizer,
+  parseMemoryScope,
+  parseMemoryImport,
+  planMemoryImport,
+  buildMemoryExport,
+  generateCheckAccess,
+  planMemoryBulkUpdate,
+  MemoryValidationError,
+  formatMemoriesMarkdown,
+  MEMORY_IMPORT_STRATEGIES,
+  DEFAULT_MEMORY_CHAR_LIMIT,
+} = require('@librechat/api');
 const { PermissionTypes, Permissions } = require('librechat-data-provider');
 const {
   getAllUserMemories,
+  getUserMemoryScopes,
+  bulkUpdateMemories,
   toggleUserMemories,
+  getMemoryHistory,
+  getMemoryVersion,
   getRoleByName,
   createMemory,
   deleteMemory,
@@ -14,6 +30,7 @@ const { requireJwtAuth, configMiddleware } = require('~/server/middleware');
 const router = express.Router();
 
 const memoryPayloadLimit = express.json({ limit: '100kb' });
+const memoryImportPayloadLimit = express.json({ limit: '2mb' });
 
 const checkMemoryRead = generateCheckAccess({
   permissionType: PermissionTypes.MEMORIES,
@@ -41,16 +58,41 @@ const checkMemoryOptOut = generateCheckAccess({
   getRoleByName,
 });
 
+/** Provenance of memories written through this API */
+const userSource = { type: 'user' };
+const importSource = { type: 'import' };
+
+/**
+ * Reads the memory scope of a request from the `scope` query parameter
+ * (`global`, `agent:<agentId>` or `project:<name>`), defaulting to the global scope.
+ * Token limits apply to each scope separately.
+ */
+function resolveMemoryScope(req, res, next) {
+  try {
+    req.memoryScope = parseMemoryScope(req.query.scope);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
 router.use(requireJwtAuth);
+router.use(resolveMemoryScope);
 
 /**
  * GET /memories
- * Returns all memories for the authenticated user, sorted by updated_at (newest first).
- * Also includes memory usage percentage based on token limit.
+ * Returns the memories of a scope for the authenticated user, sorted by updated_at (newest first).
+ * Each memory includes its `source`: who last wrote it and, for agents, the conversation,
+ * message and agent it came from.
+ * Also includes memory usage percentage of the scope based on token limit, and the
+ * scopes the user has memories in.
  */
 router.get('/', checkMemoryRead, configMiddleware, async (req, res) => {
   try {
-    const memories = await getAllUserMemories(req.user.id);
+    const [memories, scopes] = await Promise.all([
+      getAllUserMemories(req.user.id, req.memoryScope),
+      getUserMemoryScopes(req.user.id),
+    ]);
 
     const sortedMemories = memories.sort(
       (a, b) => new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime(),
@@ -71,6 +113,8 @@ router.get('/', checkMemoryRead, configMiddleware, async (req, res) => {
     }
 
     res.json({
+      scope: req.memoryScope,
+      scopes,
       memories: sortedMemories,
       totalTokens,
       tokenLimit: tokenLimit || null,
@@ -82,6 +126,86 @@ router.get('/', checkMemoryRead, configMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /memories/export
+ * Downloads the memories of a scope for the authenticated user.
+ * Query: { format?: 'json' | 'markdown' } (defaults to json)
+ */
+router.get('/export', checkMemoryRead, async (req, res) => {
+  const format = req.query.format ?? 'json';
+  if (format !== 'json' && format !== 'markdown') {
+    return res.status(400).json({ error: 'format must be "json" or "markdown".' });
+  }
+
+  try {
+    const memories = await getAllUserMemories(req.user.id, req.memoryScope);
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'markdown') {
+      res.attachment(`memories-${date}.md`);
+      res.type('text/markdown');
+      return res.send(formatMemoriesMarkdown(memories));
+    }
+
+    res.attachment(`memories-${date}.json`);
+    res.json(buildMemoryExport(memories, req.memoryScope));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /memories/import
+ * Imports memories for the authenticated user, e.g. from an export of another account.
+ * Body: { memories?: Array<{ key, value }>, markdown?: string, strategy?: 'skip' | 'overwrite' | 'merge' }
+ * `strategy` decides what happens to keys that already exist (defaults to skip).
+ * The import is rejected as a whole if any memory is invalid or the token limit would be exceeded.
+ * Returns 200 and { imported: true, summary: { created, updated, merged, skipped } }.
+ */
+router.post(
+  '/import',
+  memoryImportPayloadLimit,
+  checkMemoryCreate,
+  checkMemoryUpdate,
+  configMiddleware,
+  async (req, res) => {
+    const { strategy = 'skip' } = req.body ?? {};
+    if (!MEMORY_IMPORT_STRATEGIES.includes(strategy)) {
+      return res
+        .status(400)
+        .json({ error: `strategy must be one of: ${MEMORY_IMPORT_STRATEGIES.join(', ')}.` });
+    }
+
+    const memoryConfig = req.config?.memory;
+    const limits = {
+      charLimit: memoryConfig?.charLimit || DEFAULT_MEMORY_CHAR_LIMIT,
+      tokenLimit: memoryConfig?.tokenLimit,
+      countTokens: (value) => Tokenizer.getTokenCount(value, 'o200k_base'),
+    };
+
+    try {
+      const memories = parseMemoryImport(req.body, limits.charLimit);
+      let summary;
+      await bulkUpdateMemories(
+        req.user.id,
+        (current) => {
+          const plan = planMemoryImport(current, memories, strategy, limits);
+          summary = plan.summary;
+          return plan.changes;
+        },
+        { scope: req.memoryScope, source: importSource },
+      );
+
+      res.json({ imported: true, summary });
+    } catch (error) {
+      if (error instanceof MemoryValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 /**
  * POST /memories
  * Creates a new memory entry for the authenticated user.
@@ -118,7 +242,7 @@ router.post('/', memoryPayloadLimit, checkMemoryCreate, configMiddleware, async
   try {
     const tokenCount = Tokenizer.getTokenCount(value, 'o200k_base');
 
-    const memories = await getAllUserMemories(req.user.id);
+    const memories = await getAllUserMemories(req.user.id, req.memoryScope);
 
     const appConfig = req.config;
     const memoryConfig = appConfig?.memory;
@@ -141,13 +265,15 @@ router.post('/', memoryPayloadLimit, checkMemoryCreate, configMiddleware, async
       key: key.trim(),
       value: value.trim(),
       tokenCount,
+      source: userSource,
+      scope: req.memoryScope,
     });
 
     if (!result.ok) {
       return res.status(500).json({ error: 'Failed to create memory.' });
     }
 
-    const updatedMemories = await getAllUserMemories(req.user.id);
+    const updatedMemories = await getAllUserMemories(req.user.id, req.memoryScope);
     const newMemory = updatedMemories.find((m) => m.key === key.trim());
 
     res.status(201).json({ created: true, memory: newMemory });
@@ -190,6 +316,50 @@ router.patch('/preferences', checkMemoryOptOut, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /memories
+ * Creates, updates and deletes several memories for the authenticated user at once.
+ * Body: { set?: Array<{ key, value }>, delete?: string[] }
+ * The changes are validated together, including the aggregate token limit, and
+ * either all of them are applied or none.
+ * Returns 200 and { updated: true, summary: { created, updated, deleted }, memories }.
+ */
+router.patch(
+  '/',
+  memoryPayloadLimit,
+  checkMemoryCreate,
+  checkMemoryUpdate,
+  configMiddleware,
+  async (req, res) => {
+    const memoryConfig = req.config?.memory;
+    const limits = {
+      charLimit: memoryConfig?.charLimit || DEFAULT_MEMORY_CHAR_LIMIT,
+      tokenLimit: memoryConfig?.tokenLimit,
+      countTokens: (value) => Tokenizer.getTokenCount(value, 'o200k_base'),
+    };
+
+    try {
+      let summary;
+      const memories = await bulkUpdateMemories(
+        req.user.id,
+        (current) => {
+          const plan = planMemoryBulkUpdate(current, req.body, limits);
+          summary = plan.summary;
+          return plan.changes;
+        },
+        { scope: req.memoryScope, source: userSource },
+      );
+
+      res.json({ updated: true, summary, memories });
+    } catch (error) {
+      if (error instanceof MemoryValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 /**
  * PATCH /memories/:key
  * Updates the value of an existing memory entry for the authenticated user.
@@ -224,7 +394,7 @@ router.patch('/:key', memoryPayloadLimit, checkMemoryUpdate, configMiddleware, a
   try {
     const tokenCount = Tokenizer.getTokenCount(value, 'o200k_base');
 
-    const memories = await getAllUserMemories(req.user.id);
+    const memories = await getAllUserMemories(req.user.id, req.memoryScope);
     const existingMemory = memories.find((m) => m.key === urlKey);
 
     if (!existingMemory) {
@@ -242,13 +412,20 @@ router.patch('/:key', memoryPayloadLimit, checkMemoryUpdate, configMiddleware, a
         key: newKey,
         value,
         tokenCount,
+        source: userSource,
+        scope: req.memoryScope,
       });
 
       if (!createResult.ok) {
         return res.status(500).json({ error: 'Failed to create new memory.' });
       }
 
-      const deleteResult = await deleteMemory({ userId: req.user.id, key: urlKey });
+      const deleteResult = await deleteMemory({
+        userId: req.user.id,
+        key: urlKey,
+        source: userSource,
+        scope: req.memoryScope,
+      });
       if (!deleteResult.ok) {
         return res.status(500).json({ error: 'Failed to delete old memory.' });
       }
@@ -258,6 +435,8 @@ router.patch('/:key', memoryPayloadLimit, checkMemoryUpdate, configMiddleware, a
         key: newKey,
         value,
         tokenCount,
+        source: userSource,
+        scope: req.memoryScope,
       });
 
       if (!result.ok) {
@@ -265,7 +444,7 @@ router.patch('/:key', memoryPayloadLimit, checkMemoryUpdate, configMiddleware, a
       }
     }
 
-    const updatedMemories = await getAllUserMemories(req.user.id);
+    const updatedMemories = await getAllUserMemories(req.user.id, req.memoryScope);
     const updatedMemory = updatedMemories.find((m) => m.key === newKey);
 
     res.json({ updated: true, memory: updatedMemory });
@@ -274,6 +453,70 @@ router.patch('/:key', memoryPayloadLimit, checkMemoryUpdate, configMiddleware, a
   }
 });
 
+/**
+ * GET /memories/:key/history
+ * Returns the retained versions of a memory key, newest first, including deleted values.
+ * Each version records its action (set, delete or revert), value and source.
+ */
+router.get('/:key/history', checkMemoryRead, async (req, res) => {
+  try {
+    const versions = await getMemoryHistory(req.user.id, req.params.key, req.memoryScope);
+    res.json({ key: req.params.key, versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /memories/:key/revert
+ * Restores a memory key to a previous version; reverting to a deletion deletes the memory.
+ * The revert is recorded as a new version and is subject to the token limit.
+ * Body: { version: number }
+ * Returns 200 and { reverted: true, memory: <restoredDoc> | null }.
+ */
+router.post(
+  '/:key/revert',
+  memoryPayloadLimit,
+  checkMemoryUpdate,
+  configMiddleware,
+  async (req, res) => {
+    const { key } = req.params;
+    const { version } = req.body ?? {};
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer.' });
+    }
+
+    const memoryConfig = req.config?.memory;
+    const limits = {
+      charLimit: memoryConfig?.charLimit || DEFAULT_MEMORY_CHAR_LIMIT,
+      tokenLimit: memoryConfig?.tokenLimit,
+      countTokens: (value) => Tokenizer.getTokenCount(value, 'o200k_base'),
+    };
+
+    try {
+      const target = await getMemoryVersion(req.user.id, key, version, req.memoryScope);
+      if (!target) {
+        return res.status(404).json({ error: 'Memory version not found.' });
+      }
+
+      const update =
+        target.value == null ? { delete: [key] } : { set: [{ key, value: target.value }] };
+      const memories = await bulkUpdateMemories(
+        req.user.id,
+        (current) => planMemoryBulkUpdate(current, update, limits).changes,
+        { scope: req.memoryScope, source: userSource, revertedFrom: version },
+      );
+
+      res.json({ reverted: true, memory: memories.find((m) => m.key === key) ?? null });
+    } catch (error) {
+      if (error instanceof MemoryValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 /**
  * DELETE /memories/:key
  * Deletes a memory entry for the authenticated user.
@@ -283,7 +526,12 @@ router.delete('/:key', checkMemoryDelete, async (req, res) => {
   const { key } = req.params;
 
   try {
-    const result = await deleteMemory({ userId: req.user.id, key });
+    const result = await deleteMemory({
+      userId: req.user.id,
+      key,
+      source: userSource,
+      scope: req.memoryScope,
+    });
 
     if (!result.ok) {
       return res.status(404).json({ error: 'Memory not found.' });
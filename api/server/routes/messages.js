@@ -2,9 +2,10 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('@librechat/data-schemas');
 const { ContentTypes } = require('librechat-data-provider');
-const { unescapeLaTeX, countTokens } = require('@librechat/api');
+const { unescapeLaTeX, countTokens, compareBranches } = require('@librechat/api');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
 const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
+const { parseSearchFilters } = require('~/server/utils/search');
 const db = require('~/models');
 
 const router = express.Router();
@@ -39,7 +40,10 @@ router.get('/', async (req, res) => {
         { sortField, sortOrder, limit: pageSize, cursor },
       );
     } else if (search) {
-      const searchResults = await db.searchMessages(search, { filter: `user = "${user}"` }, true);
+      const searchResults = await db.searchMessages(search, {
+        user,
+        filters: parseSearchFilters(req.query),
+      });
 
       const messages = searchResults.hits || [];
 
@@ -301,6 +305,34 @@ router.post('/:conversationId', validateMessageReq, async (req, res) => {
   }
 });
 
+/**
+ * Compares the branches of a conversation ending at two messages, typically two leaves
+ * (e.g. regenerations or responses from different models).
+ * @route GET /:conversationId/diff
+ * @param {string} req.query.left - The ID of the last message of the left branch.
+ * @param {string} req.query.right - The ID of the last message of the right branch.
+ * @returns {object} 200 - The common ancestor, divergent messages and word-level diffs of the assistant responses.
+ */
+router.get('/:conversationId/diff', validateMessageReq, async (req, res) => {
+  const { left, right } = req.query;
+  if (typeof left !== 'string' || !left || typeof right !== 'string' || !right) {
+    return res.status(400).json({ error: 'left and right message IDs are required' });
+  }
+
+  try {
+    const { conversationId } = req.params;
+    const messages = await db.getMessages({ conversationId, user: req.user.id }, '-_id -__v -user');
+    const comparison = compareBranches(messages, left, right);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.status(200).json(comparison);
+  } catch (error) {
+    logger.error('Error comparing branches:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.get('/:conversationId/:messageId', validateMessageReq, async (req, res) => {
   try {
     const { conversationId, messageId } = req.params;
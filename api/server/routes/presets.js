@@ -1,24 +1,165 @@
 const crypto = require('crypto');
 const express = require('express');
 const { logger } = require('@librechat/data-schemas');
-const { getPresets, savePreset, deletePresets } = require('~/models');
-const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const { buildPresetExport, parsePresetImport, PresetValidationError } = require('@librechat/api');
+const {
+  ResourceType,
+  AccessRoleIds,
+  PrincipalType,
+  PermissionBits,
+} = require('librechat-data-provider');
+const {
+  getPreset,
+  getPresets,
+  savePreset,
+  createPresets,
+  deletePresets,
+  getPresetsByIds,
+  getPresetVersions,
+  updatePresetConfig,
+  revertPresetVersion,
+} = require('~/models');
+const {
+  findPubliclyAccessibleResources,
+  findAccessibleResources,
+  grantPermission,
+} = require('~/server/services/PermissionService');
+const { requireJwtAuth, canAccessPresetResource } = require('~/server/middleware');
 
 const router = express.Router();
 router.use(requireJwtAuth);
 
+/**
+ * Grants a user ownership of presets so they can be shared through the ACL system.
+ * Failures are logged rather than thrown; presets remain usable by their owner.
+ * @param {string} userId
+ * @param {Array<import('mongoose').Types.ObjectId>} resourceIds
+ */
+async function grantPresetOwnership(userId, resourceIds) {
+  try {
+    await Promise.all(
+      resourceIds.map((resourceId) =>
+        grantPermission({
+          principalType: PrincipalType.USER,
+          principalId: userId,
+          resourceType: ResourceType.PRESET,
+          resourceId,
+          accessRoleId: AccessRoleIds.PRESET_OWNER,
+          grantedBy: userId,
+        }),
+      ),
+    );
+  } catch (error) {
+    logger.error(`[/presets] Failed to grant preset owner permissions to user ${userId}`, error);
+  }
+}
+
+/**
+ * Presets shared with the user, directly or publicly, that they do not own.
+ * @param {ServerRequest} req
+ */
+async function getSharedPresets(req) {
+  const [accessibleIds, publicIds] = await Promise.all([
+    findAccessibleResources({
+      userId: req.user.id,
+      role: req.user.role,
+      resourceType: ResourceType.PRESET,
+      requiredPermissions: PermissionBits.VIEW,
+    }),
+    findPubliclyAccessibleResources({
+      resourceType: ResourceType.PRESET,
+      requiredPermissions: PermissionBits.VIEW,
+    }),
+  ]);
+  const ids = [...accessibleIds, ...publicIds];
+  if (ids.length === 0) {
+    return [];
+  }
+  return await getPresetsByIds(ids, req.user.id);
+}
+
 router.get('/', async (req, res) => {
   const presets = (await getPresets(req.user.id)).map((preset) => preset);
   res.status(200).json(presets);
 });
 
+/**
+ * GET /presets/shared
+ * Lists the presets other users have shared with the authenticated user.
+ */
+router.get('/shared', async (req, res) => {
+  try {
+    const presets = await getSharedPresets(req);
+    res.status(200).json(presets);
+  } catch (error) {
+    logger.error('[/presets/shared] error listing shared presets', error);
+    res.status(500).send('There was an error listing the shared presets');
+  }
+});
+
+/**
+ * GET /presets/export
+ * Downloads a JSON bundle of the user's own presets and those shared with them.
+ * Query: { presetIds?: string } comma-separated presetIds to limit the bundle to.
+ */
+router.get('/export', async (req, res) => {
+  const presetIds =
+    typeof req.query.presetIds === 'string' && req.query.presetIds
+      ? new Set(req.query.presetIds.split(','))
+      : null;
+
+  try {
+    const [own, shared] = await Promise.all([getPresets(req.user.id), getSharedPresets(req)]);
+    const presets = [...own, ...shared].filter(
+      (preset) => !presetIds || presetIds.has(preset.presetId),
+    );
+    const date = new Date().toISOString().split('T')[0];
+    res.attachment(`presets-${date}.json`);
+    res.json(buildPresetExport(presets));
+  } catch (error) {
+    logger.error('[/presets/export] error exporting presets', error);
+    res.status(500).send('There was an error exporting the presets');
+  }
+});
+
+/**
+ * POST /presets/import
+ * Imports a JSON bundle of presets as new presets owned by the authenticated user.
+ * Body: { version?: number, presets: Array<object> }
+ * The import is rejected as a whole if any preset is invalid.
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const presets = parsePresetImport(req.body).map((preset) => ({
+      ...preset,
+      presetId: crypto.randomUUID(),
+    }));
+    const created = await createPresets(req.user.id, presets);
+    await grantPresetOwnership(
+      req.user.id,
+      created.map((preset) => preset._id),
+    );
+    res.status(201).json(created);
+  } catch (error) {
+    if (error instanceof PresetValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('[/presets/import] error importing presets', error);
+    res.status(500).send('There was an error importing the presets');
+  }
+});
+
 router.post('/', async (req, res) => {
   const update = req.body || {};
 
   update.presetId = update?.presetId || crypto.randomUUID();
 
   try {
+    const existing = await getPreset(req.user.id, update.presetId);
     const preset = await savePreset(req.user.id, update);
+    if (!existing && preset?._id) {
+      await grantPresetOwnership(req.user.id, [preset._id]);
+    }
     res.status(201).json(preset);
   } catch (error) {
     logger.error('[/presets] error saving preset', error);
@@ -45,4 +186,77 @@ router.post('/delete', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /presets/:id
+ * Updates the configuration of a preset the user can edit, including shared presets.
+ * Presets are addressed by `_id`, as listed by GET /presets/shared.
+ */
+router.patch(
+  '/:id',
+  canAccessPresetResource({ requiredPermission: PermissionBits.EDIT }),
+  async (req, res) => {
+    try {
+      const preset = await updatePresetConfig(req.params.id, req.body || {}, req.user.id);
+      if (!preset) {
+        return res.status(404).json({ error: 'Preset not found' });
+      }
+      res.status(200).json(preset);
+    } catch (error) {
+      logger.error('[/presets/:id] error updating preset', error);
+      res.status(500).send('There was an error updating the preset');
+    }
+  },
+);
+
+/**
+ * GET /presets/:id/versions
+ * Lists the saved versions of a preset, oldest first.
+ */
+router.get(
+  '/:id/versions',
+  canAccessPresetResource({ requiredPermission: PermissionBits.VIEW }),
+  async (req, res) => {
+    try {
+      const versions = await getPresetVersions(req.params.id);
+      if (!versions) {
+        return res.status(404).json({ error: 'Preset not found' });
+      }
+      res.status(200).json(versions);
+    } catch (error) {
+      logger.error('[/presets/:id/versions] error listing preset versions', error);
+      res.status(500).send('There was an error listing the preset versions');
+    }
+  },
+);
+
+/**
+ * POST /presets/:id/revert
+ * Restores a preset to one of its versions.
+ * Body: { versionIndex: number }
+ */
+router.post(
+  '/:id/revert',
+  canAccessPresetResource({ requiredPermission: PermissionBits.EDIT }),
+  async (req, res) => {
+    const { versionIndex } = req.body || {};
+    if (!Number.isInteger(versionIndex) || versionIndex < 0) {
+      return res.status(400).json({ error: 'versionIndex must be a non-negative integer' });
+    }
+
+    try {
+      const preset = await revertPresetVersion(req.params.id, versionIndex, req.user.id);
+      if (!preset) {
+        return res.status(404).json({ error: 'Preset not found' });
+      }
+      res.status(200).json(preset);
+    } catch (error) {
+      if (error.message?.startsWith('Version ')) {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('[/presets/:id/revert] error reverting preset', error);
+      res.status(500).send('There was an error reverting the preset');
+    }
+  },
+);
+
 module.exports = router;
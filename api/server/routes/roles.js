@@ -12,6 +12,7 @@ const {
   peoplePickerPermissionsSchema,
   remoteAgentsPermissionsSchema,
   skillPermissionsSchema,
+  presetPermissionsSchema,
 } = require('librechat-data-provider');
 const { hasCapability, requireCapability } = require('~/server/middleware/roles/capabilities');
 const { updateRoleByName, getRoleByName } = require('~/models');
@@ -66,6 +67,11 @@ const permissionConfigs = {
     permissionType: PermissionTypes.SKILLS,
     errorMessage: 'Invalid skill permissions.',
   },
+  presets: {
+    schema: presetPermissionsSchema,
+    permissionType: PermissionTypes.PRESETS,
+    errorMessage: 'Invalid preset permissions.',
+  },
 };
 
 /**
@@ -189,4 +195,10 @@ router.put('/:roleName/remote-agents', manageRoles, createPermissionUpdateHandle
  */
 router.put('/:roleName/skills', manageRoles, createPermissionUpdateHandler('skills'));
 
+/**
+ * PUT /api/roles/:roleName/presets
+ * Update preset sharing permissions for a specific role
+ */
+router.put('/:roleName/presets', manageRoles, createPermissionUpdateHandler('presets'));
+
 module.exports = router;
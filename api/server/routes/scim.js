@@ -0,0 +1,69 @@
+const express = require('express');
+const { Types } = require('mongoose');
+const { createScimHandlers, requireScimAuth, getBalanceConfig } = require('@librechat/api');
+const { deleteUserData } = require('~/server/controllers/UserController');
+const { getAppConfig } = require('~/server/services/Config');
+const { configMiddleware } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const handlers = createScimHandlers(
+  {
+    findUsers: db.findUsers,
+    countUsers: db.countUsers,
+    createUser: async (data) => {
+      const appConfig = await getAppConfig({ baseOnly: true });
+      return await db.createUser(data, getBalanceConfig(appConfig), true, true);
+    },
+    updateUser: db.updateUser,
+    deleteUserById: db.deleteUserById,
+    /** File deletion resolves storage from `req.config` */
+    deleteUserData: (userId, req) =>
+      deleteUserData({
+        user: { id: userId, _id: new Types.ObjectId(userId) },
+        config: req.config,
+        body: {},
+      }),
+    deleteAllUserSessions: db.deleteAllUserSessions,
+    deleteAllAgentApiKeys: db.deleteAllAgentApiKeys,
+    findGroups: db.findGroups,
+    countGroupsByQuery: db.countGroupsByQuery,
+    createGroup: db.createGroup,
+    updateGroupById: db.updateGroupById,
+    deleteGroup: db.deleteGroup,
+    deleteConfig: db.deleteConfig,
+    deleteAclEntries: db.deleteAclEntries,
+    deleteBudget: db.deleteBudget,
+  },
+  {
+    baseUrl: `${process.env.DOMAIN_SERVER ?? ''}/scim/v2`,
+    provider: process.env.SCIM_USER_PROVIDER || 'openid',
+  },
+);
+
+router.use(requireScimAuth);
+router.use(express.json({ type: ['application/json', 'application/scim+json'], limit: '3mb' }));
+router.use((req, res, next) => {
+  res.type('application/scim+json');
+  next();
+});
+
+router.get('/ServiceProviderConfig', handlers.getServiceProviderConfig);
+router.get('/ResourceTypes', handlers.getResourceTypes);
+
+router.get('/Users', handlers.listUsers);
+router.post('/Users', handlers.createUser);
+router.get('/Users/:id', handlers.getUser);
+router.put('/Users/:id', handlers.replaceUser);
+router.patch('/Users/:id', handlers.patchUser);
+router.delete('/Users/:id', configMiddleware, handlers.deleteUser);
+
+router.get('/Groups', handlers.listGroups);
+router.post('/Groups', handlers.createGroup);
+router.get('/Groups/:id', handlers.getGroup);
+router.put('/Groups/:id', handlers.replaceGroup);
+router.patch('/Groups/:id', handlers.patchGroup);
+router.delete('/Groups/:id', handlers.deleteGroup);
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require('express');
 const { MeiliSearch } = require('meilisearch');
-const { isEnabled } = require('@librechat/api');
+const { isEnabled, getMessageSearchContext } = require('@librechat/api');
+const { logger, getSearchBackend } = require('@librechat/data-schemas');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const { parseSearchFilters } = require('~/server/utils/search');
+const db = require('~/models');
+
+/** Message fields needed to locate search results within their conversations */
+const CONTEXT_FIELDS =
+  'messageId parentMessageId conversationId sender isCreatedByUser text content createdAt';
+const DEFAULT_RESULTS_LIMIT = 20;
+const MAX_RESULTS_LIMIT = 50;
 
 const router = express.Router();
 
@@ -12,6 +21,11 @@ router.get('/enable', async function (req, res) {
     return res.send(false);
   }
 
+  /** MongoDB text search needs no external service */
+  if (getSearchBackend() === 'mongodb') {
+    return res.send(true);
+  }
+
   try {
     const client = new MeiliSearch({
       host: process.env.MEILI_HOST,
@@ -25,4 +39,100 @@ router.get('/enable', async function (req, res) {
   }
 });
 
+/**
+ * Searches the user's messages and returns each match with the messages around it,
+ * the branch leading to it from the root of its conversation, and a link to jump to it.
+ *
+ * @route GET /messages
+ * @param {string} req.query.q - The search query
+ * @param {number} [req.query.limit=20] - Maximum number of results, up to 50
+ * @param {number} [req.query.offset=0] - Number of matches to skip
+ * @param {string} [req.query.endpoint] - Only messages from this endpoint
+ * @param {string} [req.query.model] - Only messages from this model
+ * @param {string | string[]} [req.query.tags] - Only messages in conversations with these tags
+ * @param {string} [req.query.startDate] - Only messages created on or after this date
+ * @param {string} [req.query.endDate] - Only messages created on or before this date
+ * @returns {{ results: object[], limit: number, offset: number, nextOffset: number | null }}
+ */
+router.get('/messages', async function (req, res) {
+  if (!isEnabled(process.env.SEARCH)) {
+    return res.status(403).json({ error: 'Search is disabled' });
+  }
+
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_RESULTS_LIMIT, 1),
+    MAX_RESULTS_LIMIT,
+  );
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const user = req.user.id;
+
+  try {
+    const { hits, nextOffset } = await db.searchMessages(q, {
+      user,
+      filters: parseSearchFilters(req.query),
+      limit,
+      offset,
+    });
+
+    const conversationIds = [...new Set(hits.map((hit) => hit.conversationId))];
+    const { convoMap } = await db.getConvosQueried(
+      user,
+      conversationIds.map((conversationId) => ({ conversationId })),
+      null,
+      conversationIds.length,
+    );
+    const activeIds = conversationIds.filter((conversationId) => convoMap[conversationId]);
+    const messages = activeIds.length
+      ? await db.getMessages({ user, conversationId: { $in: activeIds } }, CONTEXT_FIELDS)
+      : [];
+
+    /** @type {Map<string, TMessage[]>} */
+    const messagesByConvo = new Map();
+    for (const message of messages) {
+      const convoMessages = messagesByConvo.get(message.conversationId) ?? [];
+      convoMessages.push(message);
+      messagesByConvo.set(message.conversationId, convoMessages);
+    }
+
+    const results = [];
+    for (const hit of hits) {
+      const convo = convoMap[hit.conversationId];
+      const context =
+        convo &&
+        getMessageSearchContext(messagesByConvo.get(hit.conversationId) ?? [], hit.messageId);
+      if (!context) {
+        continue;
+      }
+      results.push({
+        messageId: hit.messageId,
+        conversationId: hit.conversationId,
+        title: convo.title,
+        sender: hit.sender,
+        isCreatedByUser: hit.isCreatedByUser,
+        endpoint: hit.endpoint,
+        model: hit.model,
+        createdAt: hit.createdAt,
+        snippet: hit._formatted?.text ?? hit.text ?? '',
+        ...context,
+        anchor: `/c/${encodeURIComponent(hit.conversationId)}#${encodeURIComponent(hit.messageId)}`,
+      });
+    }
+
+    res.status(200).json({
+      results,
+      limit,
+      offset,
+      nextOffset,
+    });
+  } catch (error) {
+    logger.error('[/search/messages] Error searching messages', error);
+    res.status(500).json({ error: 'Error searching messages' });
+  }
+});
+
 module.exports = router;
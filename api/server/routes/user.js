@@ -13,6 +13,7 @@ const {
   configMiddleware,
   canDeleteAccount,
   requireJwtAuth,
+  denyImpersonation,
 } = require('~/server/middleware');
 
 const settings = require('./settings');
@@ -24,7 +25,14 @@ router.get('/', requireJwtAuth, getUserController);
 router.get('/terms', requireJwtAuth, getTermsStatusController);
 router.post('/terms/accept', requireJwtAuth, acceptTermsController);
 router.post('/plugins', requireJwtAuth, updateUserPluginsController);
-router.delete('/delete', requireJwtAuth, canDeleteAccount, configMiddleware, deleteUserController);
+router.delete(
+  '/delete',
+  requireJwtAuth,
+  denyImpersonation,
+  canDeleteAccount,
+  configMiddleware,
+  deleteUserController,
+);
 router.post('/verify', verifyEmailController);
 router.post('/verify/resend', verifyEmailLimiter, resendVerificationController);
 
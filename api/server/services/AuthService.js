@@ -334,6 +334,33 @@ const requestPasswordReset = async (req) => {
     };
   }
 
+  const { link } = await issuePasswordReset(user, emailEnabled);
+
+  if (emailEnabled) {
+    logger.info(
+      `[requestPasswordReset] Link emailed. [Email: ${email}] [ID: ${user._id}] [IP: ${req.ip}]`,
+    );
+  } else {
+    logger.info(
+      `[requestPasswordReset] Link issued. [Email: ${email}] [ID: ${user._id}] [IP: ${req.ip}]`,
+    );
+    return { link };
+  }
+
+  return {
+    message: 'If an account with that email exists, a password reset link has been sent to it.',
+  };
+};
+
+/**
+ * Replaces any outstanding password reset token of a user with a new one,
+ * emailing the reset link when email is configured.
+ *
+ * @param {Pick<IUser, '_id' | 'email' | 'name' | 'username'>} user
+ * @param {boolean} [emailEnabled=checkEmailConfig()]
+ * @returns {Promise<{ link: string, emailed: boolean }>}
+ */
+const issuePasswordReset = async (user, emailEnabled = checkEmailConfig()) => {
   await deleteTokens({ userId: user._id });
 
   const [resetToken, hash] = createTokenHash();
@@ -359,19 +386,9 @@ const requestPasswordReset = async (req) => {
       },
       template: 'requestPasswordReset.handlebars',
     });
-    logger.info(
-      `[requestPasswordReset] Link emailed. [Email: ${email}] [ID: ${user._id}] [IP: ${req.ip}]`,
-    );
-  } else {
-    logger.info(
-      `[requestPasswordReset] Link issued. [Email: ${email}] [ID: ${user._id}] [IP: ${req.ip}]`,
-    );
-    return { link };
   }
 
-  return {
-    message: 'If an account with that email exists, a password reset link has been sent to it.',
-  };
+  return { link, emailed: emailEnabled };
 };
 
 /**
@@ -776,6 +793,7 @@ module.exports = {
   registerUser,
   setAuthTokens,
   resetPassword,
+  issuePasswordReset,
   setOpenIDAuthTokens,
   setCloudFrontAuthCookies,
   requestPasswordReset,
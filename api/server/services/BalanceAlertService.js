@@ -0,0 +1,17 @@
+const { createBalanceAlertNotifier } = require('@librechat/api');
+const { getAppConfig } = require('~/server/services/Config/app');
+const { sendEmail } = require('~/server/utils');
+const db = require('~/models');
+
+/**
+ * Alerts a user by email and webhook when their spend reaches a `balance.alerts`
+ * threshold. Called by the transaction methods after each spend.
+ */
+const notifyBalanceAlerts = createBalanceAlertNotifier({
+  getAppConfig,
+  getUserById: db.getUserById,
+  claimBalanceAlerts: db.claimBalanceAlerts,
+  sendEmail,
+});
+
+module.exports = { notifyBalanceAlerts };
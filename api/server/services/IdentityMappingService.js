@@ -0,0 +1,56 @@
+const { logger } = require('@librechat/data-schemas');
+const { SystemRoles } = require('librechat-data-provider');
+const { resolveClaimMapping } = require('@librechat/api');
+const { syncUserMappedGroupMemberships } = require('~/server/services/PermissionService');
+const { getRoleByName, countUsers } = require('~/models');
+
+/**
+ * Applies the `identityMapping` rules of an identity provider to a user at login.
+ * The role and `roleManagedByIdp` are set on the user object and saved by the caller;
+ * memberships of the groups named by the rules are synced right away. The last admin
+ * is never demoted.
+ *
+ * @param {IUser} user - The user, already created
+ * @param {Record<string, unknown>} claims - OpenID claims or SAML profile attributes
+ * @param {'openid' | 'saml'} provider
+ * @param {AppConfig} [appConfig]
+ * @returns {Promise<void>}
+ */
+async function applyIdentityMapping(user, claims, provider, appConfig) {
+  const mapping = resolveClaimMapping(claims, appConfig?.identityMapping?.[provider]);
+
+  if (mapping?.role === undefined) {
+    /** Rules no longer assign roles, so the role can be managed locally again */
+    if (user.roleManagedByIdp) {
+      user.roleManagedByIdp = false;
+    }
+  } else if (mapping.role !== user.role && !(await getRoleByName(mapping.role, '_id'))) {
+    logger.error(
+      `[IdentityMappingService] Role "${mapping.role}" of the ${provider} identity mapping does not exist; keeping role "${user.role}" of user ${user._id}`,
+    );
+    user.roleManagedByIdp = true;
+  } else if (
+    user.role === SystemRoles.ADMIN &&
+    mapping.role !== SystemRoles.ADMIN &&
+    (await countUsers({ role: SystemRoles.ADMIN })) <= 1
+  ) {
+    logger.warn(
+      `[IdentityMappingService] User ${user._id} is the last admin; keeping role "${user.role}" instead of "${mapping.role}" mapped from ${provider} claims`,
+    );
+    user.roleManagedByIdp = true;
+  } else {
+    if (mapping.role !== user.role) {
+      logger.info(
+        `[IdentityMappingService] Role of user ${user._id} mapped from ${provider} claims: ${user.role} -> ${mapping.role}`,
+      );
+    }
+    user.role = mapping.role;
+    user.roleManagedByIdp = true;
+  }
+
+  if (mapping?.managedGroups.length) {
+    await syncUserMappedGroupMemberships(user, mapping.groups, mapping.managedGroups);
+  }
+}
+
+module.exports = { applyIdentityMapping };
@@ -0,0 +1,98 @@
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('~/models', () => ({
+  getRoleByName: jest.fn(),
+  countUsers: jest.fn(),
+}));
+
+jest.mock('~/server/services/PermissionService', () => ({
+  syncUserMappedGroupMemberships: jest.fn(),
+}));
+
+const { getRoleByName, countUsers } = require('~/models');
+const { syncUserMappedGroupMemberships } = require('~/server/services/PermissionService');
+const { applyIdentityMapping } = require('./IdentityMappingService');
+
+describe('applyIdentityMapping', () => {
+  const appConfig = {
+    identityMapping: {
+      openid: {
+        rules: [
+          { claim: 'groups', value: 'ai-admins', role: 'ADMIN', groups: ['AI Admins'] },
+          { claim: 'groups', value: 'researchers', groups: ['Research'] },
+        ],
+      },
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRoleByName.mockImplementation(async (name) =>
+      ['ADMIN', 'USER'].includes(name) ? { _id: name } : null,
+    );
+    countUsers.mockResolvedValue(2);
+  });
+
+  it('assigns the mapped role and syncs the mapped groups', async () => {
+    const user = { _id: 'user-1', role: 'USER' };
+
+    await applyIdentityMapping(user, { groups: ['ai-admins'] }, 'openid', appConfig);
+
+    expect(user).toEqual({ _id: 'user-1', role: 'ADMIN', roleManagedByIdp: true });
+    expect(syncUserMappedGroupMemberships).toHaveBeenCalledWith(
+      user,
+      ['AI Admins'],
+      ['AI Admins', 'Research'],
+    );
+  });
+
+  it('demotes users no rule assigns a role to', async () => {
+    const user = { _id: 'user-1', role: 'ADMIN', roleManagedByIdp: true };
+
+    await applyIdentityMapping(user, { groups: ['researchers'] }, 'openid', appConfig);
+
+    expect(user.role).toBe('USER');
+    expect(user.roleManagedByIdp).toBe(true);
+    expect(syncUserMappedGroupMemberships).toHaveBeenCalledWith(
+      user,
+      ['Research'],
+      ['AI Admins', 'Research'],
+    );
+  });
+
+  it('does not demote the last admin', async () => {
+    countUsers.mockResolvedValue(1);
+    const user = { _id: 'user-1', role: 'ADMIN', roleManagedByIdp: true };
+
+    await applyIdentityMapping(user, { groups: ['researchers'] }, 'openid', appConfig);
+
+    expect(countUsers).toHaveBeenCalledWith({ role: 'ADMIN' });
+    expect(user.role).toBe('ADMIN');
+    expect(user.roleManagedByIdp).toBe(true);
+    expect(syncUserMappedGroupMemberships).toHaveBeenCalled();
+  });
+
+  it('keeps the current role when the mapped role does not exist', async () => {
+    const user = { _id: 'user-1', role: 'USER' };
+    const config = {
+      identityMapping: { saml: { rules: [{ claim: 'groups', value: 'ops', role: 'OPS' }] } },
+    };
+
+    await applyIdentityMapping(user, { groups: 'ops' }, 'saml', config);
+
+    expect(user).toEqual({ _id: 'user-1', role: 'USER', roleManagedByIdp: true });
+    expect(syncUserMappedGroupMemberships).not.toHaveBeenCalled();
+  });
+
+  it('releases the role once the provider has no mapping', async () => {
+    const user = { _id: 'user-1', role: 'ADMIN', roleManagedByIdp: true };
+
+    await applyIdentityMapping(user, { groups: ['ai-admins'] }, 'saml', appConfig);
+
+    expect(user).toEqual({ _id: 'user-1', role: 'ADMIN', roleManagedByIdp: false });
+    expect(syncUserMappedGroupMemberships).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const ldap = require('ldapjs');
+const mongoose = require('mongoose');
+const { CacheKeys } = require('librechat-data-provider');
+const { isEnabled, FlowStateManager } = require('@librechat/api');
+const { logger, getTenantId, runAsSystem, tenantStorage } = require('@librechat/data-schemas');
+const { syncUserLdapGroupMemberships } = require('~/server/services/PermissionService');
+const { getIntervalMs } = require('~/server/utils/timers');
+const { getLogStores } = require('~/cache');
+
+/** Delay before the first scheduled sync, so it does not compete with server startup */
+const INITIAL_SYNC_DELAY_MS = 2 * 60 * 1000;
+
+const DEFAULT_SYNC_INTERVAL_HOURS = 24;
+
+const DEFAULT_GROUP_SEARCH_FILTER = '(member={{dn}})';
+
+/**
+ * Checks if LDAP groups are synchronized into group principals
+ * @returns {boolean}
+ */
+const ldapGroupSyncEnabled = () =>
+  !!process.env.LDAP_URL &&
+  !!process.env.LDAP_USER_SEARCH_BASE &&
+  isEnabled(process.env.LDAP_GROUP_SYNC);
+
+/** @returns {string} The group attribute used as the group name */
+const getGroupNameAttribute = () => process.env.LDAP_GROUP_NAME_ATTRIBUTE || 'cn';
+
+/**
+ * Group search options of `passport-ldapauth`, which then lists a user's groups under
+ * `_groups` on login. Without `LDAP_GROUP_SEARCH_BASE`, groups are read from `memberOf`.
+ * @returns {Object | null}
+ */
+const getLdapGroupSearchOptions = () => {
+  if (!process.env.LDAP_GROUP_SEARCH_BASE) {
+    return null;
+  }
+  return {
+    groupSearchBase: process.env.LDAP_GROUP_SEARCH_BASE,
+    groupSearchFilter: process.env.LDAP_GROUP_SEARCH_FILTER || DEFAULT_GROUP_SEARCH_FILTER,
+    groupSearchAttributes: ['dn', getGroupNameAttribute()],
+  };
+};
+
+/**
+ * DNs are case-insensitive; groups are keyed by a normalized DN so that `memberOf`
+ * values and group search results match
+ * @param {string} dn
+ * @returns {string}
+ */
+const normalizeDn = (dn) =>
+  dn
+    .trim()
+    .replace(/\s*(?<!\\),\s*/g, ',')
+    .toLowerCase();
+
+/**
+ * Reads the value of the first RDN, e.g. `Engineering` for `cn=Engineering,ou=groups,dc=example`
+ * @param {string} dn
+ * @returns {string}
+ */
+const getNameFromDn = (dn) => {
+  const match = /^[^=]+=((?:\\.|[^,\\])*)/.exec(dn.trim());
+  return match ? match[1].replace(/\\(.)/g, '$1').trim() : dn;
+};
+
+/**
+ * Escapes a value for use in an LDAP search filter (RFC 4515)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeFilterValue = (value) =>
+  value.replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+/**
+ * @param {unknown} value - A single or multi-valued attribute
+ * @returns {string[]}
+ */
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * Lists the groups of a directory entry, from a group search (`_groups`) when configured,
+ * otherwise from its `memberOf` attribute
+ * @param {Object} entry - The user's directory entry
+ * @returns {Array<{ dn: string, name: string }>}
+ */
+const getLdapGroupsFromEntry = (entry) => {
+  const nameAttribute = getGroupNameAttribute();
+  /** @type {Map<string, { dn: string, name: string }>} */
+  const groups = new Map();
+  const addGroup = (dn, name) => {
+    const key = normalizeDn(dn);
+    if (!groups.has(key)) {
+      groups.set(key, { dn: key, name });
+    }
+  };
+
+  if (getLdapGroupSearchOptions()) {
+    for (const group of entry._groups ?? []) {
+      if (!group?.dn) {
+        continue;
+      }
+      addGroup(group.dn, toArray(group[nameAttribute])[0] || getNameFromDn(group.dn));
+    }
+  } else {
+    for (const dn of toArray(entry.memberOf)) {
+      addGroup(dn, getNameFromDn(dn));
+    }
+  }
+
+  return [...groups.values()];
+};
+
+/** @returns {Object | undefined} */
+const getTlsOptions = () => {
+  if (!process.env.LDAP_CA_CERT_PATH) {
+    return undefined;
+  }
+  return {
+    rejectUnauthorized: isEnabled(process.env.LDAP_TLS_REJECT_UNAUTHORIZED),
+    ca: [fs.readFileSync(process.env.LDAP_CA_CERT_PATH)],
+  };
+};
+
+/**
+ * Connects and binds to the directory with the service account
+ * @returns {Promise<import('ldapjs').Client>}
+ */
+const connectLdapClient = async () => {
+  const tlsOptions = getTlsOptions();
+  const client = ldap.createClient({ url: process.env.LDAP_URL, tlsOptions });
+  client.on('error', (error) => {
+    logger.error('[LdapGroupService] LDAP client error:', error);
+  });
+
+  try {
+    if (isEnabled(process.env.LDAP_STARTTLS)) {
+      await new Promise((resolve, reject) =>
+        client.starttls(tlsOptions ?? {}, [], (error) => (error ? reject(error) : resolve())),
+      );
+    }
+    if (process.env.LDAP_BIND_DN) {
+      await new Promise((resolve, reject) =>
+        client.bind(process.env.LDAP_BIND_DN, process.env.LDAP_BIND_CREDENTIALS ?? '', (error) =>
+          error ? reject(error) : resolve(),
+        ),
+      );
+    }
+    return client;
+  } catch (error) {
+    client.destroy();
+    throw error;
+  }
+};
+
+/**
+ * @param {import('ldapjs').Client} client
+ * @param {string} base
+ * @param {string} filter
+ * @param {string[]} attributes
+ * @returns {Promise<Object[]>} The matching entries
+ */
+const searchEntries = (client, base, filter, attributes) =>
+  new Promise((resolve, reject) => {
+    client.search(base, { filter, scope: 'sub', attributes }, (error, res) => {
+      if (error) {
+        return reject(error);
+      }
+      const entries = [];
+      res.on('searchEntry', (entry) => entries.push(entry.object));
+      res.on('error', reject);
+      res.on('end', () => resolve(entries));
+    });
+  });
+
+/**
+ * Finds the directory entry of a user, with their groups, by the ID stored on login
+ * @param {import('ldapjs').Client} client
+ * @param {string} ldapId
+ * @returns {Promise<Object | null>} The entry, or null if the user is not in the directory
+ */
+const findLdapUserEntry = async (client, ldapId) => {
+  const value = escapeFilterValue(ldapId);
+  const filter = process.env.LDAP_ID
+    ? `(${process.env.LDAP_ID}=${value})`
+    : `(|(uid=${value})(sAMAccountName=${value})(mail=${value}))`;
+  const [entry] = await searchEntries(client, process.env.LDAP_USER_SEARCH_BASE, filter, [
+    'dn',
+    'memberOf',
+  ]);
+  if (!entry) {
+    return null;
+  }
+
+  const groupSearch = getLdapGroupSearchOptions();
+  if (groupSearch) {
+    entry._groups = await searchEntries(
+      client,
+      groupSearch.groupSearchBase,
+      groupSearch.groupSearchFilter.replace(/{{dn}}/g, escapeFilterValue(entry.dn)),
+      groupSearch.groupSearchAttributes,
+    );
+  }
+  return entry;
+};
+
+/**
+ * Syncs the LDAP group memberships of every LDAP user of the current tenant with the directory.
+ * Users no longer found in the directory are removed from their LDAP groups.
+ * @param {import('ldapjs').Client} client
+ * @returns {Promise<number>} The number of users synced
+ */
+const syncTenantLdapGroups = async (client) => {
+  const tenantId = getTenantId();
+  const cursor = mongoose.models.User.find({ provider: 'ldap', tenantId: tenantId ?? null })
+    .select('_id ldapId idOnTheSource')
+    .lean()
+    .cursor();
+
+  let synced = 0;
+  for await (const user of cursor) {
+    if (!user.ldapId) {
+      continue;
+    }
+    try {
+      const entry = await findLdapUserEntry(client, user.ldapId);
+      await syncUserLdapGroupMemberships(user, entry ? getLdapGroupsFromEntry(entry) : []);
+      synced++;
+    } catch (error) {
+      logger.error(`[LdapGroupService] Error syncing groups of user ${user._id}`, error);
+    }
+  }
+  return synced;
+};
+
+/**
+ * Syncs the LDAP group memberships of all LDAP users, each tenant in its own context.
+ * Must be called in a system tenant context.
+ * @returns {Promise<void>}
+ */
+const syncLdapGroups = async () => {
+  const User = mongoose.models.User;
+  const tenantIds = (await User.distinct('tenantId', { provider: 'ldap' })).filter(Boolean);
+  if (
+    !isEnabled(process.env.TENANT_ISOLATION_STRICT) &&
+    (await User.exists({ provider: 'ldap', tenantId: null }))
+  ) {
+    tenantIds.unshift(undefined);
+  }
+  if (tenantIds.length === 0) {
+    return;
+  }
+
+  const client = await connectLdapClient();
+  try {
+    for (const tenantId of tenantIds) {
+      const synced = await tenantStorage.run({ tenantId }, () => syncTenantLdapGroups(client));
+      logger.info(
+        `[LdapGroupService] Synced LDAP groups of ${synced} users for tenant ${tenantId ?? 'default'}`,
+      );
+    }
+  } finally {
+    client.unbind((error) => {
+      if (error) {
+        logger.debug('[LdapGroupService] Could not unbind:', error.message);
+      }
+    });
+  }
+};
+
+/**
+ * Runs the scheduled sync on one instance at a time.
+ * @returns {Promise<void>}
+ */
+const runScheduledSync = async () => {
+  const flowsCache = getLogStores(CacheKeys.FLOWS);
+  if (!flowsCache) {
+    return await runAsSystem(syncLdapGroups);
+  }
+
+  const flowManager = new FlowStateManager(flowsCache, { ttl: 60 * 60 * 1000 });
+  const flowId = 'ldap-group-sync';
+  const flowType = 'LDAP_GROUP_SYNC';
+  /** Other instances wait for the running sync instead of starting their own */
+  try {
+    await flowManager.createFlowWithHandler(flowId, flowType, async () => {
+      await runAsSystem(syncLdapGroups);
+      return true;
+    });
+  } finally {
+    await flowManager.deleteFlow(flowId, flowType).catch((error) => {
+      logger.debug('[LdapGroupService] Could not clean up flow state:', error.message);
+    });
+  }
+};
+
+/**
+ * Schedules the LDAP group sync when `LDAP_GROUP_SYNC` is enabled. The interval is set with
+ * `LDAP_GROUP_SYNC_INTERVAL_HOURS` (default 24).
+ * @returns {NodeJS.Timeout | null} The interval timer, or null if the sync is disabled.
+ */
+const startLdapGroupSync = () => {
+  if (!ldapGroupSyncEnabled()) {
+    return null;
+  }
+  const intervalMs = getIntervalMs(
+    process.env.LDAP_GROUP_SYNC_INTERVAL_HOURS,
+    DEFAULT_SYNC_INTERVAL_HOURS,
+    'LDAP_GROUP_SYNC_INTERVAL_HOURS',
+  );
+  const sync = () =>
+    runScheduledSync().catch((error) => {
+      logger.error('[LdapGroupService] Scheduled sync failed', error);
+    });
+
+  setTimeout(sync, INITIAL_SYNC_DELAY_MS).unref();
+  const interval = setInterval(sync, intervalMs);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  ldapGroupSyncEnabled,
+  getLdapGroupSearchOptions,
+  getLdapGroupsFromEntry,
+  findLdapUserEntry,
+  syncLdapGroups,
+  startLdapGroupSync,
+};
@@ -0,0 +1,271 @@
+const ldap = require('ldapjs');
+const mongoose = require('mongoose');
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isEnabled: jest.fn((value) => value === 'true'),
+  FlowStateManager: jest.fn(),
+}));
+
+jest.mock('~/cache', () => ({
+  getLogStores: jest.fn(),
+}));
+
+jest.mock('~/server/services/PermissionService', () => ({
+  syncUserLdapGroupMemberships: jest.fn(),
+}));
+
+const { tenantStorage, runAsSystem } = require('@librechat/data-schemas');
+const { syncUserLdapGroupMemberships } = require('~/server/services/PermissionService');
+const { MAX_TIMER_DELAY_MS } = require('~/server/utils/timers');
+const {
+  getLdapGroupsFromEntry,
+  findLdapUserEntry,
+  syncLdapGroups,
+  startLdapGroupSync,
+} = require('./LdapGroupService');
+
+const BIND_DN = 'cn=admin,dc=example,dc=com';
+const BIND_PASSWORD = 'secret';
+const ALICE_DN = 'uid=alice,ou=users,dc=example,dc=com';
+
+/** In-process directory served by the test LDAP server */
+const directory = {
+  [ALICE_DN]: {
+    objectclass: ['person'],
+    uid: ['alice'],
+    memberOf: [
+      'cn=Engineering,ou=groups,dc=example,dc=com',
+      'cn=Ops\\, EU,ou=groups,dc=example,dc=com',
+    ],
+  },
+  'uid=bob,ou=users,dc=example,dc=com': {
+    objectclass: ['person'],
+    uid: ['bob'],
+  },
+  'cn=Engineering,ou=groups,dc=example,dc=com': {
+    objectclass: ['groupOfNames'],
+    cn: ['Engineering'],
+    description: ['Engineering team'],
+    member: [ALICE_DN],
+  },
+  'cn=Ops\\, EU,ou=groups,dc=example,dc=com': {
+    objectclass: ['groupOfNames'],
+    cn: ['Ops, EU'],
+    member: [ALICE_DN],
+  },
+};
+
+/** Mocks `User.find(filter).select().lean().cursor()` and the tenant lookups */
+function mockUsers(users) {
+  mongoose.models.User = {
+    find: jest.fn((filter) => {
+      const matching = users.filter((user) => (user.tenantId ?? null) === filter.tenantId);
+      return { select: () => ({ lean: () => ({ cursor: () => matching[Symbol.iterator]() }) }) };
+    }),
+    distinct: jest.fn(async () => [...new Set(users.map((user) => user.tenantId))]),
+    exists: jest.fn(async () => (users.some((user) => !user.tenantId) ? { _id: 'id' } : null)),
+  };
+}
+
+describe('LdapGroupService', () => {
+  const originalUserModel = mongoose.models.User;
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = ldap.createServer();
+    server.bind(BIND_DN, (req, res, next) => {
+      if (req.credentials !== BIND_PASSWORD) {
+        return next(new ldap.InvalidCredentialsError());
+      }
+      res.end();
+      return next();
+    });
+    server.search('dc=example,dc=com', (req, res, next) => {
+      for (const [dn, attributes] of Object.entries(directory)) {
+        if (ldap.parseDN(dn).childOf(req.dn) && req.filter.matches(attributes)) {
+          res.send({ dn, attributes });
+        }
+      }
+      res.end();
+      return next();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    mongoose.models.User = originalUserModel;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.LDAP_URL = server.url;
+    process.env.LDAP_BIND_DN = BIND_DN;
+    process.env.LDAP_BIND_CREDENTIALS = BIND_PASSWORD;
+    process.env.LDAP_USER_SEARCH_BASE = 'ou=users,dc=example,dc=com';
+    delete process.env.LDAP_ID;
+    delete process.env.LDAP_GROUP_SEARCH_BASE;
+    delete process.env.LDAP_GROUP_SEARCH_FILTER;
+    delete process.env.LDAP_GROUP_NAME_ATTRIBUTE;
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await new Promise((resolve) => client.unbind(resolve));
+      client = undefined;
+    }
+  });
+
+  const connect = async () => {
+    client = ldap.createClient({ url: server.url });
+    await new Promise((resolve, reject) =>
+      client.bind(BIND_DN, BIND_PASSWORD, (error) => (error ? reject(error) : resolve())),
+    );
+    return client;
+  };
+
+  describe('getLdapGroupsFromEntry', () => {
+    it('reads groups from memberOf, keyed by normalized DN', () => {
+      const groups = getLdapGroupsFromEntry({
+        memberOf: [
+          'CN=Engineering, OU=Groups,DC=example,DC=com',
+          'cn=engineering,ou=groups,dc=example,dc=com',
+          'cn=Ops\\, EU,ou=groups,dc=example,dc=com',
+        ],
+      });
+
+      expect(groups).toEqual([
+        { dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering' },
+        { dn: 'cn=ops\\, eu,ou=groups,dc=example,dc=com', name: 'Ops, EU' },
+      ]);
+    });
+
+    it('accepts a single memberOf value', () => {
+      expect(getLdapGroupsFromEntry({ memberOf: 'cn=Sales,ou=groups,dc=example,dc=com' })).toEqual([
+        { dn: 'cn=sales,ou=groups,dc=example,dc=com', name: 'Sales' },
+      ]);
+      expect(getLdapGroupsFromEntry({})).toEqual([]);
+    });
+
+    it('reads searched groups with the configured name attribute', () => {
+      process.env.LDAP_GROUP_SEARCH_BASE = 'ou=groups,dc=example,dc=com';
+      process.env.LDAP_GROUP_NAME_ATTRIBUTE = 'description';
+
+      const groups = getLdapGroupsFromEntry({
+        memberOf: ['cn=Ignored,ou=groups,dc=example,dc=com'],
+        _groups: [
+          { dn: 'cn=Engineering,ou=groups,dc=example,dc=com', description: 'Engineering team' },
+          { dn: 'cn=Sales,ou=groups,dc=example,dc=com' },
+        ],
+      });
+
+      expect(groups).toEqual([
+        { dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering team' },
+        { dn: 'cn=sales,ou=groups,dc=example,dc=com', name: 'Sales' },
+      ]);
+    });
+  });
+
+  describe('findLdapUserEntry', () => {
+    it('finds a user and their memberOf groups', async () => {
+      const entry = await findLdapUserEntry(await connect(), 'alice');
+
+      expect(entry.dn).toBe(ALICE_DN);
+      expect(getLdapGroupsFromEntry(entry).map((group) => group.name)).toEqual([
+        'Engineering',
+        'Ops, EU',
+      ]);
+    });
+
+    it('searches for the groups of a user when a group search base is set', async () => {
+      process.env.LDAP_GROUP_SEARCH_BASE = 'ou=groups,dc=example,dc=com';
+
+      const entry = await findLdapUserEntry(await connect(), 'alice');
+
+      expect(entry._groups).toHaveLength(2);
+      expect(getLdapGroupsFromEntry(entry)).toEqual(
+        expect.arrayContaining([
+          { dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering' },
+          { dn: 'cn=ops\\, eu,ou=groups,dc=example,dc=com', name: 'Ops, EU' },
+        ]),
+      );
+    });
+
+    it('escapes the LDAP ID in the search filter', async () => {
+      const ldapClient = await connect();
+
+      expect(await findLdapUserEntry(ldapClient, '*')).toBeNull();
+      expect(await findLdapUserEntry(ldapClient, 'alice)(uid=*')).toBeNull();
+    });
+  });
+
+  describe('syncLdapGroups', () => {
+    it('syncs the groups of each LDAP user in their tenant context', async () => {
+      const alice = { _id: 'u1', ldapId: 'alice', tenantId: 'tenant-a' };
+      const carol = { _id: 'u2', ldapId: 'carol', tenantId: 'tenant-b' };
+      mockUsers([alice, carol]);
+      const syncedTenants = [];
+      syncUserLdapGroupMemberships.mockImplementation(async () => {
+        syncedTenants.push(tenantStorage.getStore()?.tenantId);
+      });
+
+      await runAsSystem(syncLdapGroups);
+
+      expect(syncUserLdapGroupMemberships).toHaveBeenCalledWith(alice, [
+        { dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering' },
+        { dn: 'cn=ops\\, eu,ou=groups,dc=example,dc=com', name: 'Ops, EU' },
+      ]);
+      /** Users no longer in the directory lose their LDAP groups */
+      expect(syncUserLdapGroupMemberships).toHaveBeenCalledWith(carol, []);
+      expect(syncedTenants).toEqual(['tenant-a', 'tenant-b']);
+    });
+
+    it('does not connect when there are no LDAP users', async () => {
+      mockUsers([]);
+      process.env.LDAP_URL = 'ldap://127.0.0.1:1';
+
+      await expect(runAsSystem(syncLdapGroups)).resolves.toBeUndefined();
+      expect(syncUserLdapGroupMemberships).not.toHaveBeenCalled();
+    });
+
+    it('fails when the service account cannot bind', async () => {
+      mockUsers([{ _id: 'u1', ldapId: 'alice' }]);
+      process.env.LDAP_BIND_CREDENTIALS = 'wrong';
+
+      await expect(runAsSystem(syncLdapGroups)).rejects.toThrow();
+      expect(syncUserLdapGroupMemberships).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startLdapGroupSync', () => {
+    afterEach(() => {
+      delete process.env.LDAP_GROUP_SYNC;
+      delete process.env.LDAP_GROUP_SYNC_INTERVAL_HOURS;
+      jest.restoreAllMocks();
+    });
+
+    it.each([
+      ['abc', 24 * 60 * 60 * 1000],
+      ['-1', 24 * 60 * 60 * 1000],
+      ['1e9', MAX_TIMER_DELAY_MS],
+      ['0.0001', 60 * 1000],
+    ])('clamps LDAP_GROUP_SYNC_INTERVAL_HOURS=%s', (value, expectedMs) => {
+      process.env.LDAP_GROUP_SYNC = 'true';
+      process.env.LDAP_GROUP_SYNC_INTERVAL_HOURS = value;
+      jest.spyOn(global, 'setTimeout').mockReturnValue({ unref: jest.fn() });
+      const setIntervalSpy = jest
+        .spyOn(global, 'setInterval')
+        .mockReturnValue({ unref: jest.fn() });
+
+      startLdapGroupSync();
+
+      expect(setIntervalSpy).toHaveBeenCalledWith(expect.any(Function), expectedMs);
+    });
+  });
+});
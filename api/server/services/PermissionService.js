@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { isEnabled } = require('@librechat/api');
+const { isEnabled, diffValues } = require('@librechat/api');
 const { getTransactionSupport, logger } = require('@librechat/data-schemas');
 const { ResourceType, PrincipalType, PrincipalModel } = require('librechat-data-provider');
 const {
@@ -354,8 +354,8 @@ const ensurePrincipalExists = async function (principal) {
  * @param {string} principal.name - Display name
  * @param {string} [principal.email] - Email address
  * @param {string} [principal.description] - Group description
- * @param {string} [principal.source] - 'local' or 'entra'
- * @param {string} [principal.idOnTheSource] - Entra ID object ID for external principals
+ * @param {string} [principal.source] - 'local', 'entra' or 'ldap'
+ * @param {string} [principal.idOnTheSource] - Entra ID object ID or LDAP DN for external principals
  * @param {Object} [authContext] - Optional authentication context for fetching member data
  * @param {string} [authContext.accessToken] - Access token for Graph API calls
  * @param {string} [authContext.sub] - Subject identifier
@@ -454,6 +454,29 @@ const ensureGroupPrincipalExists = async function (principal, authContext = null
     const newGroup = await db.createGroup(groupData);
     return newGroup._id.toString();
   }
+
+  if (principal.source === 'ldap') {
+    if (!principal.name || !principal.idOnTheSource) {
+      throw new Error('LDAP group principals must have name and idOnTheSource');
+    }
+
+    const existingGroup = await db.findGroupByExternalId(principal.idOnTheSource, 'ldap');
+    if (existingGroup) {
+      if (existingGroup.name !== principal.name) {
+        await db.updateGroupById(existingGroup._id, { name: principal.name });
+      }
+      return existingGroup._id.toString();
+    }
+
+    const newGroup = await db.createGroup({
+      name: principal.name,
+      source: 'ldap',
+      idOnTheSource: principal.idOnTheSource,
+      memberIds: [],
+    });
+    return newGroup._id.toString();
+  }
+
   if (principal.id && authContext == null) {
     return principal.id;
   }
@@ -619,6 +642,102 @@ const syncUserEntraGroupMemberships = async (user, accessToken, session = null)
   }
 };
 
+/**
+ * Sync a user's LDAP group memberships with the groups reported by the directory.
+ * Missing groups are created as group principals, so resources can be shared with them;
+ * the user is removed from LDAP groups the directory no longer lists.
+ *
+ * @param {Object} user - User object
+ * @param {string|mongoose.Types.ObjectId} user._id - The user ID
+ * @param {string} [user.idOnTheSource] - Member ID stored in groups; the user ID when unset
+ * @param {Array<{ dn: string, name: string }>} groups - The user's directory groups
+ * @returns {Promise<void>}
+ */
+const syncUserLdapGroupMemberships = async (user, groups) => {
+  try {
+    const memberId = user.idOnTheSource || user._id.toString();
+    const groupDns = [];
+
+    for (const group of groups) {
+      await ensureGroupPrincipalExists({
+        type: PrincipalType.GROUP,
+        source: 'ldap',
+        name: group.name,
+        idOnTheSource: group.dn,
+      });
+      groupDns.push(group.dn);
+    }
+
+    const addResult = await db.bulkUpdateGroups(
+      {
+        idOnTheSource: { $in: groupDns },
+        source: 'ldap',
+        memberIds: { $ne: memberId },
+      },
+      { $addToSet: { memberIds: memberId } },
+    );
+
+    const removeResult = await db.bulkUpdateGroups(
+      {
+        source: 'ldap',
+        memberIds: memberId,
+        idOnTheSource: { $nin: groupDns },
+      },
+      { $pullAll: { memberIds: [memberId] } },
+    );
+
+    logger.debug(
+      `[PermissionService.syncUserLdapGroupMemberships] Added user ${user._id} to ${addResult.modifiedCount || 0} and removed from ${removeResult.modifiedCount || 0} groups`,
+    );
+  } catch (error) {
+    // Group sync is best-effort and should not block authentication
+    logger.error(`[PermissionService.syncUserLdapGroupMemberships] Error syncing groups:`, error);
+  }
+};
+
+/**
+ * Sync a user's memberships of the local groups named by identity provider mapping rules.
+ * Groups are matched by name; memberships of groups the mapping does not name are left alone.
+ *
+ * @param {Object} user - User object
+ * @param {string|mongoose.Types.ObjectId} user._id - The user ID
+ * @param {string} [user.idOnTheSource] - Member ID stored in groups; the user ID when unset
+ * @param {string[]} groupNames - Groups the user belongs to under the mapping
+ * @param {string[]} managedGroupNames - Every group named by the mapping
+ * @returns {Promise<void>}
+ */
+const syncUserMappedGroupMemberships = async (user, groupNames, managedGroupNames) => {
+  try {
+    const memberId = user.idOnTheSource || user._id.toString();
+    const removedGroupNames = managedGroupNames.filter((name) => !groupNames.includes(name));
+
+    const addResult = await db.bulkUpdateGroups(
+      {
+        name: { $in: groupNames },
+        source: 'local',
+        memberIds: { $ne: memberId },
+      },
+      { $addToSet: { memberIds: memberId } },
+    );
+
+    const removeResult = await db.bulkUpdateGroups(
+      {
+        name: { $in: removedGroupNames },
+        source: 'local',
+        memberIds: memberId,
+      },
+      { $pullAll: { memberIds: [memberId] } },
+    );
+
+    logger.debug(
+      `[PermissionService.syncUserMappedGroupMemberships] Added user ${user._id} to ${addResult.modifiedCount || 0} and removed from ${removeResult.modifiedCount || 0} groups`,
+    );
+  } catch (error) {
+    // Group sync is best-effort and should not block authentication
+    logger.error(`[PermissionService.syncUserMappedGroupMemberships] Error syncing groups:`, error);
+  }
+};
+
 /**
  * Check if public has a specific permission on a resource
  * @param {Object} params - Parameters for checking public permission
@@ -656,6 +775,56 @@ const hasPublicPermission = async ({ resourceType, resourceId, requiredPermissio
   }
 };
 
+/**
+ * Builds the audit key of a principal; public access has no principal ID
+ * @param {string} principalType - The type of principal
+ * @param {string|mongoose.Types.ObjectId|null} [principalId] - The ID of the principal
+ * @returns {string}
+ */
+const getPrincipalAuditKey = (principalType, principalId) =>
+  principalType === PrincipalType.PUBLIC ? principalType : `${principalType}:${principalId}`;
+
+/**
+ * Records the access role changes of a bulk permission update in the admin audit log.
+ * Failures are logged; the permission changes are already committed.
+ * @param {Object} params
+ * @param {string} params.resourceType - Type of resource
+ * @param {string|mongoose.Types.ObjectId} params.resourceId - The ID of the resource
+ * @param {string|mongoose.Types.ObjectId} params.grantedBy - User ID making the changes
+ * @param {Record<string, string>} params.before - Access role per principal before the update
+ * @param {Object} params.results - Results of the bulk update
+ */
+const auditPermissionChanges = async ({ resourceType, resourceId, grantedBy, before, results }) => {
+  try {
+    const after = { ...before };
+    for (const principal of results.granted) {
+      after[getPrincipalAuditKey(principal.type, principal.id)] = principal.accessRoleId;
+    }
+    for (const principal of results.revoked) {
+      delete after[getPrincipalAuditKey(principal.type, principal.id)];
+    }
+
+    const changes = diffValues(before, after);
+    if (Object.keys(changes.before).length === 0 && Object.keys(changes.after).length === 0) {
+      return;
+    }
+
+    await db.recordAdminAudit({
+      action: 'permissions_updated',
+      actorId: grantedBy,
+      targetType: 'resource',
+      targetId: resourceId.toString(),
+      details: { resourceType },
+      ...changes,
+    });
+  } catch (error) {
+    logger.error(
+      '[PermissionService.bulkUpdateResourcePermissions] Failed to record audit entry:',
+      error,
+    );
+  }
+};
+
 /**
  * Bulk update permissions for a resource (grant, update, revoke)
  * Efficiently handles multiple permission changes in a single transaction
@@ -665,7 +834,7 @@ const hasPublicPermission = async ({ resourceType, resourceId, requiredPermissio
  * @param {string|mongoose.Types.ObjectId} params.resourceId - The ID of the resource
  * @param {Array<TPrincipal>} params.updatedPrincipals - Array of principals to grant/update permissions for
  * @param {Array<TPrincipal>} params.revokedPrincipals - Array of principals to revoke permissions from
- * @param {string|mongoose.Types.ObjectId} params.grantedBy - User ID making the changes
+ * @param {string|mongoose.Types.ObjectId} params.grantedBy - User ID making the changes; the changes are audited when set
  * @param {mongoose.ClientSession} [params.session] - Optional MongoDB session for transactions
  * @returns {Promise<Object>} Results object with granted, updated, revoked arrays and error details
  */
@@ -709,6 +878,18 @@ const bulkUpdateResourcePermissions = async ({
       rolesMap.set(role.accessRoleId, role);
     });
 
+    /** @type {Record<string, string> | undefined} */
+    let previousAccess;
+    if (grantedBy) {
+      const accessRoleIds = new Map(roles.map((role) => [role._id.toString(), role.accessRoleId]));
+      const entries = await db.findEntriesByResource(resourceType, resourceId);
+      previousAccess = {};
+      for (const entry of entries) {
+        previousAccess[getPrincipalAuditKey(entry.principalType, entry.principalId)] =
+          accessRoleIds.get(entry.roleId?.toString()) ?? `permBits:${entry.permBits}`;
+      }
+    }
+
     const results = {
       granted: [],
       updated: [],
@@ -855,6 +1036,16 @@ const bulkUpdateResourcePermissions = async ({
       await localSession.commitTransaction();
     }
 
+    if (previousAccess) {
+      await auditPermissionChanges({
+        resourceType,
+        resourceId,
+        grantedBy,
+        before: previousAccess,
+        results,
+      });
+    }
+
     return results;
   } catch (error) {
     if (shouldEndSession && supportsTransactions) {
@@ -917,5 +1108,7 @@ module.exports = {
   ensurePrincipalExists,
   ensureGroupPrincipalExists,
   syncUserEntraGroupMemberships,
+  syncUserLdapGroupMemberships,
+  syncUserMappedGroupMemberships,
   removeAllPermissions,
 };
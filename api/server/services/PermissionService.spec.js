@@ -10,13 +10,20 @@ const {
 const {
   bulkUpdateResourcePermissions,
   syncUserEntraGroupMemberships,
+  syncUserLdapGroupMemberships,
+  syncUserMappedGroupMemberships,
   getEffectivePermissions,
   findAccessibleResources,
   getAvailableRoles,
   grantPermission,
   checkPermission,
 } = require('./PermissionService');
-const { findRoleByIdentifier, getUserPrincipals, seedDefaultRoles } = require('~/models');
+const {
+  findRoleByIdentifier,
+  purgeAdminAuditLogs,
+  getUserPrincipals,
+  seedDefaultRoles,
+} = require('~/models');
 
 // Mock the getTransactionSupport function for testing
 jest.mock('@librechat/data-schemas', () => ({
@@ -879,6 +886,45 @@ describe('PermissionService', () => {
       expect(otherUserEntry.roleId.accessRoleId).toBe(AccessRoleIds.AGENT_VIEWER);
     });
 
+    test('should record the access changes in the admin audit log', async () => {
+      await purgeAdminAuditLogs(new Date(Date.now() + 60000));
+
+      await bulkUpdateResourcePermissions({
+        resourceType: ResourceType.AGENT,
+        resourceId,
+        updatedPrincipals: [
+          {
+            type: PrincipalType.USER,
+            id: userId,
+            accessRoleId: AccessRoleIds.AGENT_OWNER,
+          },
+          {
+            type: PrincipalType.GROUP,
+            id: groupId,
+            accessRoleId: AccessRoleIds.AGENT_EDITOR, // Unchanged
+          },
+        ],
+        revokedPrincipals: [{ type: PrincipalType.PUBLIC }],
+        grantedBy: grantedById,
+      });
+
+      const entries = await mongoose.models.AdminAuditLog.find({
+        targetId: resourceId.toString(),
+      }).lean();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        action: 'permissions_updated',
+        targetType: 'resource',
+        details: { resourceType: ResourceType.AGENT },
+        before: {
+          [`${PrincipalType.USER}:${userId}`]: AccessRoleIds.AGENT_VIEWER,
+          [PrincipalType.PUBLIC]: AccessRoleIds.AGENT_VIEWER,
+        },
+        after: { [`${PrincipalType.USER}:${userId}`]: AccessRoleIds.AGENT_OWNER },
+      });
+      expect(entries[0].actorId.toString()).toBe(grantedById.toString());
+    });
+
     test('should handle errors for invalid roles gracefully', async () => {
       const updatedPrincipals = [
         {
@@ -2112,3 +2158,96 @@ describe('syncUserEntraGroupMemberships - $pullAll on Group.memberIds', () => {
     getEntraGroupDetailsBatch.mockResolvedValue([]);
   });
 });
+
+describe('syncUserLdapGroupMemberships', () => {
+  const { Group } = require('~/db/models');
+
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const memberId = user._id.toString();
+
+  beforeEach(async () => {
+    await Group.deleteMany({});
+  });
+
+  it('should create missing LDAP groups and add the user to them', async () => {
+    await syncUserLdapGroupMemberships(user, [
+      { dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering' },
+    ]);
+
+    const group = await Group.findOne({ source: 'ldap' }).lean();
+    expect(group.name).toBe('Engineering');
+    expect(group.idOnTheSource).toBe('cn=engineering,ou=groups,dc=example,dc=com');
+    expect(group.memberIds).toEqual([memberId]);
+  });
+
+  it('should remove the user from LDAP groups the directory no longer lists', async () => {
+    await Group.create([
+      { name: 'Keep', source: 'ldap', idOnTheSource: 'cn=keep,dc=example', memberIds: [memberId] },
+      {
+        name: 'Remove',
+        source: 'ldap',
+        idOnTheSource: 'cn=remove,dc=example',
+        memberIds: [memberId, 'other-user'],
+      },
+      { name: 'Local Group', source: 'local', memberIds: [memberId] },
+    ]);
+
+    await syncUserLdapGroupMemberships(user, [{ dn: 'cn=keep,dc=example', name: 'Keep' }]);
+
+    const keep = await Group.findOne({ idOnTheSource: 'cn=keep,dc=example' }).lean();
+    const remove = await Group.findOne({ idOnTheSource: 'cn=remove,dc=example' }).lean();
+    const local = await Group.findOne({ source: 'local' }).lean();
+    expect(keep.memberIds).toEqual([memberId]);
+    expect(remove.memberIds).toEqual(['other-user']);
+    expect(local.memberIds).toContain(memberId);
+  });
+
+  it('should rename an existing LDAP group and keep its members', async () => {
+    const existing = await Group.create({
+      name: 'Old Name',
+      source: 'ldap',
+      idOnTheSource: 'cn=team,dc=example',
+      memberIds: ['other-user'],
+    });
+
+    await syncUserLdapGroupMemberships(user, [{ dn: 'cn=team,dc=example', name: 'Team' }]);
+
+    const group = await Group.findById(existing._id).lean();
+    expect(group.name).toBe('Team');
+    expect(group.memberIds).toEqual(['other-user', memberId]);
+    expect(await Group.countDocuments({ source: 'ldap' })).toBe(1);
+  });
+});
+
+describe('syncUserMappedGroupMemberships', () => {
+  const { Group } = require('~/db/models');
+
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const memberId = user._id.toString();
+
+  beforeEach(async () => {
+    await Group.deleteMany({});
+  });
+
+  it('should only change memberships of the local groups named by the mapping', async () => {
+    await Group.create([
+      { name: 'AI Admins', source: 'local', memberIds: [] },
+      { name: 'Research', source: 'local', memberIds: [memberId, 'other-user'] },
+      { name: 'Support', source: 'local', memberIds: [memberId] },
+      { name: 'AI Admins', source: 'entra', idOnTheSource: 'entra-1', memberIds: [] },
+    ]);
+
+    await syncUserMappedGroupMemberships(user, ['AI Admins'], ['AI Admins', 'Research']);
+
+    const groups = await Group.find({}).lean();
+    const members = Object.fromEntries(
+      groups.map((group) => [`${group.source}:${group.name}`, group.memberIds]),
+    );
+    expect(members).toEqual({
+      'local:AI Admins': [memberId],
+      'local:Research': ['other-user'],
+      'local:Support': [memberId],
+      'entra:AI Admins': [],
+    });
+  });
+});
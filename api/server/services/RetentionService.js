@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { CacheKeys } = require('librechat-data-provider');
+const { isEnabled, FlowStateManager } = require('@librechat/api');
+const { logger, getTenantId, runAsSystem, tenantStorage } = require('@librechat/data-schemas');
+const { processDeleteRequest } = require('~/server/services/Files/process');
+const { getAppConfig } = require('~/server/services/Config/app');
+const { getIntervalMs } = require('~/server/utils/timers');
+const { getLogStores } = require('~/cache');
+const db = require('~/models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Delay before the first scheduled sweep, so it does not compete with server startup */
+const INITIAL_SWEEP_DELAY_MS = 60 * 1000;
+
+const DEFAULT_SWEEP_INTERVAL_HOURS = 24;
+
+/** Tenants with a sweep in progress on this instance */
+const activeSweeps = new Set();
+
+const tenantKey = (tenantId) => tenantId ?? '__default__';
+
+/**
+ * Resolves the retention policy of a user from the app config, including
+ * role, group and tenant overrides.
+ *
+ * @param {{ _id: import('mongoose').Types.ObjectId, role?: string, tenantId?: string }} user
+ * @returns {Promise<{ appConfig: AppConfig, policy: TRetentionConfig | undefined }>}
+ */
+async function getRetentionPolicy(user) {
+  const appConfig = await getAppConfig({
+    role: user.role,
+    userId: user._id.toString(),
+    tenantId: user.tenantId,
+  });
+  const policy = appConfig?.retention;
+  if (!policy?.conversationDays && !policy?.fileDays) {
+    return { appConfig, policy: undefined };
+  }
+  return { appConfig, policy };
+}
+
+/**
+ * Purges a user's conversations and files that fall outside their retention policy.
+ * In a dry run, only counts what would be purged.
+ *
+ * @param {{ _id: import('mongoose').Types.ObjectId, role?: string, tenantId?: string }} user
+ * @param {object} options
+ * @param {boolean} options.dryRun
+ * @param {Date} options.now
+ * @returns {Promise<IRetentionRunUser | null>} What was purged, or null if no policy applies
+ */
+async function applyUserRetention(user, { dryRun, now }) {
+  const { appConfig, policy } = await getRetentionPolicy(user);
+  if (!policy) {
+    return null;
+  }
+
+  const userId = user._id.toString();
+  const isDryRun = dryRun || policy.dryRun === true;
+  /** @type {IRetentionRunUser} */
+  const entry = {
+    user: userId,
+    conversations: 0,
+    messages: 0,
+    files: 0,
+    conversationDays: policy.conversationDays,
+    fileDays: policy.fileDays,
+    includeArchived: policy.includeArchived === true,
+  };
+
+  if (policy.conversationDays) {
+    const conversationIds = await db.findExpiredConversationIds(userId, {
+      before: new Date(now.getTime() - policy.conversationDays * DAY_MS),
+      includeArchived: policy.includeArchived,
+    });
+    if (conversationIds.length && isDryRun) {
+      entry.conversations = conversationIds.length;
+      entry.messages = await db.countConversationMessages(userId, conversationIds);
+    } else if (conversationIds.length) {
+      const result = await db.deleteConvos(userId, { conversationId: { $in: conversationIds } });
+      await db.deleteConversationArtifacts(userId, conversationIds);
+      entry.conversations = result.deletedCount ?? 0;
+      entry.messages = result.messages?.deletedCount ?? 0;
+    }
+  }
+
+  if (policy.fileDays) {
+    const files = await db.findExpiredFiles(
+      userId,
+      new Date(now.getTime() - policy.fileDays * DAY_MS),
+    );
+    if (files.length && !isDryRun) {
+      await processDeleteRequest({
+        req: {
+          user: { id: userId, role: user.role, tenantId: user.tenantId },
+          body: {},
+          config: appConfig,
+        },
+        files,
+      });
+    }
+    entry.files = files.length;
+  }
+
+  return entry;
+}
+
+/**
+ * Applies retention policies to every user of the current tenant and records
+ * the outcome as a retention run.
+ *
+ * @param {object} params
+ * @param {'scheduled' | 'manual'} params.trigger
+ * @param {string} [params.triggeredBy] - ID of the admin starting a manual run.
+ * @param {boolean} [params.dryRun=false] - Report what would be purged without deleting anything.
+ * @returns {Promise<IRetentionRun>} The finished run.
+ */
+async function runRetentionSweep({ trigger, triggeredBy, dryRun = false }) {
+  const run = await db.createRetentionRun({ runId: uuidv4(), trigger, triggeredBy, dryRun });
+  return await executeRetentionRun(run);
+}
+
+/**
+ * @param {IRetentionRun} run
+ * @returns {Promise<IRetentionRun>}
+ */
+async function executeRetentionRun(run) {
+  const tenantId = getTenantId();
+  const now = new Date();
+  const totals = { conversations: 0, messages: 0, files: 0 };
+  /** @type {IRetentionRunUser[]} */
+  const users = [];
+  let usersAffected = 0;
+
+  try {
+    const cursor = mongoose.models.User.find({ tenantId: tenantId ?? null })
+      .select('_id role tenantId')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        const entry = await applyUserRetention(user, { dryRun: run.dryRun, now });
+        if (!entry) {
+          continue;
+        }
+        usersAffected++;
+        totals.conversations += entry.conversations;
+        totals.messages += entry.messages;
+        totals.files += entry.files;
+        if (entry.conversations || entry.files) {
+          users.push(entry);
+        }
+      } catch (error) {
+        logger.error(`[retention] Error applying retention for user ${user._id}`, error);
+      }
+    }
+
+    logger.info(
+      `[retention] ${run.dryRun ? 'Dry run' : 'Run'} ${run.runId} ${run.dryRun ? 'found' : 'purged'} ` +
+        `${totals.conversations} conversations, ${totals.messages} messages and ${totals.files} files ` +
+        `for ${users.length} users`,
+    );
+    return await db.finishRetentionRun(run.runId, {
+      status: 'completed',
+      usersAffected,
+      totals,
+      users,
+    });
+  } catch (error) {
+    logger.error(`[retention] Run ${run.runId} failed`, error);
+    return await db.finishRetentionRun(run.runId, {
+      status: 'failed',
+      usersAffected,
+      totals,
+      users,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Starts a retention run for the current tenant in the background.
+ *
+ * @param {object} params
+ * @param {string} [params.triggeredBy] - ID of the admin starting the run.
+ * @param {boolean} [params.dryRun=true] - Report what would be purged without deleting anything.
+ * @returns {Promise<IRetentionRun | null>} The started run, or null if one is already running.
+ */
+async function startRetentionRun({ triggeredBy, dryRun = true }) {
+  const key = tenantKey(getTenantId());
+  if (activeSweeps.has(key)) {
+    return null;
+  }
+  activeSweeps.add(key);
+
+  try {
+    const run = await db.createRetentionRun({
+      runId: uuidv4(),
+      trigger: 'manual',
+      triggeredBy,
+      dryRun,
+    });
+    executeRetentionRun(run)
+      .catch((error) => logger.error(`[retention] Run ${run.runId} failed`, error))
+      .finally(() => activeSweeps.delete(key));
+    return run;
+  } catch (error) {
+    activeSweeps.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Whether a retention policy is configured for the current tenant, either in
+ * the base config or in a role, group or user override.
+ * @returns {Promise<boolean>}
+ */
+async function isRetentionConfigured() {
+  const baseConfig = await getAppConfig({ baseOnly: true });
+  if (baseConfig?.retention?.conversationDays || baseConfig?.retention?.fileDays) {
+    return true;
+  }
+  return await db.hasRetentionConfigOverrides();
+}
+
+/**
+ * Purges the current tenant's admin audit entries older than `retention.auditDays`.
+ * Only the base config applies: role and group overrides are scoped to users, not to the audit log.
+ * Nothing is purged when the base policy is a dry run.
+ * @param {Date} now
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredAuditLogs(now) {
+  const baseConfig = await getAppConfig({ baseOnly: true });
+  const auditDays = baseConfig?.retention?.auditDays;
+  if (!auditDays || baseConfig.retention.dryRun === true) {
+    return;
+  }
+  try {
+    const purged = await db.purgeAdminAuditLogs(new Date(now.getTime() - auditDays * DAY_MS));
+    if (purged > 0) {
+      logger.info(`[retention] Purged ${purged} admin audit entries older than ${auditDays} days`);
+    }
+  } catch (error) {
+    logger.error('[retention] Failed to purge admin audit entries', error);
+  }
+}
+
+/**
+ * Runs the scheduled retention sweep for every tenant that has a retention policy,
+ * and purges each tenant's expired admin audit entries.
+ * Must be called in a system tenant context; each tenant is swept in its own context.
+ * @returns {Promise<void>}
+ */
+async function sweepRetention() {
+  const User = mongoose.models.User;
+  const tenantIds = (await User.distinct('tenantId')).filter(Boolean);
+  if (!isEnabled(process.env.TENANT_ISOLATION_STRICT) && (await User.exists({ tenantId: null }))) {
+    tenantIds.unshift(undefined);
+  }
+
+  for (const tenantId of tenantIds) {
+    const key = tenantKey(tenantId);
+    if (activeSweeps.has(key)) {
+      continue;
+    }
+    activeSweeps.add(key);
+    try {
+      await tenantStorage.run({ tenantId }, async () => {
+        if (await isRetentionConfigured()) {
+          await runRetentionSweep({ trigger: 'scheduled' });
+        }
+        await purgeExpiredAuditLogs(new Date());
+      });
+    } catch (error) {
+      logger.error(`[retention] Sweep failed for tenant ${key}`, error);
+    } finally {
+      activeSweeps.delete(key);
+    }
+  }
+}
+
+/**
+ * Runs the scheduled sweep on one instance at a time.
+ * @returns {Promise<void>}
+ */
+async function runScheduledSweep() {
+  const flowsCache = getLogStores(CacheKeys.FLOWS);
+  if (!flowsCache) {
+    return await runAsSystem(sweepRetention);
+  }
+
+  const flowManager = new FlowStateManager(flowsCache, { ttl: 60 * 60 * 1000 });
+  const flowId = 'retention-sweep';
+  const flowType = 'RETENTION_SWEEP';
+  /** Other instances wait for the running sweep instead of starting their own */
+  try {
+    await flowManager.createFlowWithHandler(flowId, flowType, async () => {
+      await runAsSystem(sweepRetention);
+      return true;
+    });
+  } finally {
+    await flowManager.deleteFlow(flowId, flowType).catch((error) => {
+      logger.debug('[retention] Could not clean up flow state:', error.message);
+    });
+  }
+}
+
+/**
+ * Schedules the retention sweeper. The interval is set with
+ * `RETENTION_SWEEP_INTERVAL_HOURS` (default 24).
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+function startRetentionSweeper() {
+  const intervalMs = getIntervalMs(
+    process.env.RETENTION_SWEEP_INTERVAL_HOURS,
+    DEFAULT_SWEEP_INTERVAL_HOURS,
+    'RETENTION_SWEEP_INTERVAL_HOURS',
+  );
+  const sweep = () =>
+    runScheduledSweep().catch((error) => {
+      logger.error('[retention] Scheduled sweep failed', error);
+    });
+
+  setTimeout(sweep, INITIAL_SWEEP_DELAY_MS).unref();
+  const interval = setInterval(sweep, intervalMs);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  getRetentionPolicy,
+  applyUserRetention,
+  runRetentionSweep,
+  startRetentionRun,
+  sweepRetention,
+  startRetentionSweeper,
+};
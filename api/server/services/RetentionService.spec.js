@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+
+const mockGetAppConfig = jest.fn();
+const mockProcessDeleteRequest = jest.fn();
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isEnabled: jest.fn((value) => value === 'true'),
+  FlowStateManager: jest.fn(),
+}));
+
+jest.mock('~/server/services/Config/app', () => ({
+  getAppConfig: (...args) => mockGetAppConfig(...args),
+}));
+
+jest.mock('~/server/services/Files/process', () => ({
+  processDeleteRequest: (...args) => mockProcessDeleteRequest(...args),
+}));
+
+jest.mock('~/cache', () => ({
+  getLogStores: jest.fn(),
+}));
+
+jest.mock('~/models', () => ({
+  createRetentionRun: jest.fn(),
+  finishRetentionRun: jest.fn(),
+  findExpiredConversationIds: jest.fn(),
+  countConversationMessages: jest.fn(),
+  deleteConversationArtifacts: jest.fn(),
+  deleteConvos: jest.fn(),
+  findExpiredFiles: jest.fn(),
+  hasRetentionConfigOverrides: jest.fn(),
+  purgeAdminAuditLogs: jest.fn(),
+}));
+
+const { tenantStorage, runAsSystem } = require('@librechat/data-schemas');
+const db = require('~/models');
+const {
+  applyUserRetention,
+  runRetentionSweep,
+  startRetentionRun,
+  sweepRetention,
+} = require('./RetentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00.000Z');
+
+const createUser = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: 'USER',
+  ...overrides,
+});
+
+/** Mocks `User.find(filter).select().lean().cursor()` and the tenant lookups */
+function mockUsers(users) {
+  const find = jest.fn((filter) => {
+    const matching = users.filter((user) => (user.tenantId ?? null) === filter.tenantId);
+    return {
+      select: () => ({
+        lean: () => ({
+          cursor: () => matching[Symbol.iterator](),
+        }),
+      }),
+    };
+  });
+  mongoose.models.User = {
+    find,
+    distinct: jest.fn(async () => [...new Set(users.map((user) => user.tenantId))]),
+    exists: jest.fn(async () => (users.some((user) => !user.tenantId) ? { _id: 'id' } : null)),
+  };
+  return find;
+}
+
+describe('RetentionService', () => {
+  const originalUserModel = mongoose.models.User;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.createRetentionRun.mockImplementation(async (data) => ({ ...data, status: 'running' }));
+    db.finishRetentionRun.mockImplementation(async (runId, result) => ({ runId, ...result }));
+    db.findExpiredConversationIds.mockResolvedValue([]);
+    db.findExpiredFiles.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    mongoose.models.User = originalUserModel;
+  });
+
+  describe('applyUserRetention', () => {
+    it('returns null when no retention policy applies to the user', async () => {
+      mockGetAppConfig.mockResolvedValue({ retention: { dryRun: true } });
+
+      const entry = await applyUserRetention(createUser(), { dryRun: false, now });
+
+      expect(entry).toBeNull();
+      expect(db.findExpiredConversationIds).not.toHaveBeenCalled();
+    });
+
+    it('resolves the policy from the user role and tenant overrides', async () => {
+      const user = createUser({ role: 'ADMIN', tenantId: 'tenant-a' });
+      mockGetAppConfig.mockResolvedValue({});
+
+      await applyUserRetention(user, { dryRun: false, now });
+
+      expect(mockGetAppConfig).toHaveBeenCalledWith({
+        role: 'ADMIN',
+        userId: user._id.toString(),
+        tenantId: 'tenant-a',
+      });
+    });
+
+    it('deletes expired conversations, their artifacts and expired files', async () => {
+      const user = createUser();
+      const userId = user._id.toString();
+      const appConfig = { retention: { conversationDays: 90, fileDays: 30 } };
+      const files = [{ file_id: 'file-1' }, { file_id: 'file-2' }];
+      mockGetAppConfig.mockResolvedValue(appConfig);
+      db.findExpiredConversationIds.mockResolvedValue(['convo-1', 'convo-2']);
+      db.deleteConvos.mockResolvedValue({ deletedCount: 2, messages: { deletedCount: 14 } });
+      db.findExpiredFiles.mockResolvedValue(files);
+
+      const entry = await applyUserRetention(user, { dryRun: false, now });
+
+      expect(db.findExpiredConversationIds).toHaveBeenCalledWith(userId, {
+        before: new Date(now.getTime() - 90 * DAY_MS),
+        includeArchived: undefined,
+      });
+      expect(db.deleteConvos).toHaveBeenCalledWith(userId, {
+        conversationId: { $in: ['convo-1', 'convo-2'] },
+      });
+      expect(db.deleteConversationArtifacts).toHaveBeenCalledWith(userId, ['convo-1', 'convo-2']);
+      expect(db.findExpiredFiles).toHaveBeenCalledWith(
+        userId,
+        new Date(now.getTime() - 30 * DAY_MS),
+      );
+      expect(mockProcessDeleteRequest).toHaveBeenCalledWith({
+        req: {
+          user: { id: userId, role: 'USER', tenantId: undefined },
+          body: {},
+          config: appConfig,
+        },
+        files,
+      });
+      expect(entry).toEqual({
+        user: userId,
+        conversations: 2,
+        messages: 14,
+        files: 2,
+        conversationDays: 90,
+        fileDays: 30,
+        includeArchived: false,
+      });
+    });
+
+    it('only counts what would be purged in a dry run', async () => {
+      mockGetAppConfig.mockResolvedValue({
+        retention: { conversationDays: 30, fileDays: 30, includeArchived: true },
+      });
+      db.findExpiredConversationIds.mockResolvedValue(['convo-1']);
+      db.countConversationMessages.mockResolvedValue(6);
+      db.findExpiredFiles.mockResolvedValue([{ file_id: 'file-1' }]);
+
+      const entry = await applyUserRetention(createUser(), { dryRun: true, now });
+
+      expect(db.deleteConvos).not.toHaveBeenCalled();
+      expect(db.deleteConversationArtifacts).not.toHaveBeenCalled();
+      expect(mockProcessDeleteRequest).not.toHaveBeenCalled();
+      expect(entry).toEqual(
+        expect.objectContaining({ conversations: 1, messages: 6, files: 1, includeArchived: true }),
+      );
+    });
+
+    it('honors a dry-run policy on a scheduled run', async () => {
+      mockGetAppConfig.mockResolvedValue({ retention: { conversationDays: 30, dryRun: true } });
+      db.findExpiredConversationIds.mockResolvedValue(['convo-1']);
+
+      await applyUserRetention(createUser(), { dryRun: false, now });
+
+      expect(db.deleteConvos).not.toHaveBeenCalled();
+      expect(db.countConversationMessages).toHaveBeenCalled();
+    });
+  });
+
+  describe('runRetentionSweep', () => {
+    it('records what was purged for each user the policy applies to', async () => {
+      const purged = createUser();
+      const untouched = createUser();
+      const exempt = createUser({ role: 'ADMIN' });
+      mockUsers([purged, untouched, exempt]);
+      mockGetAppConfig.mockImplementation(async ({ role }) =>
+        role === 'ADMIN' ? {} : { retention: { conversationDays: 30 } },
+      );
+      db.findExpiredConversationIds.mockImplementation(async (userId) =>
+        userId === purged._id.toString() ? ['convo-1'] : [],
+      );
+      db.deleteConvos.mockResolvedValue({ deletedCount: 1, messages: { deletedCount: 3 } });
+
+      const run = await runRetentionSweep({ trigger: 'scheduled' });
+
+      expect(db.createRetentionRun).toHaveBeenCalledWith({
+        runId: expect.any(String),
+        trigger: 'scheduled',
+        triggeredBy: undefined,
+        dryRun: false,
+      });
+      expect(run).toEqual(
+        expect.objectContaining({
+          status: 'completed',
+          usersAffected: 2,
+          totals: { conversations: 1, messages: 3, files: 0 },
+          users: [expect.objectContaining({ user: purged._id.toString(), conversations: 1 })],
+        }),
+      );
+    });
+
+    it('keeps sweeping when one user fails', async () => {
+      const failing = createUser();
+      const purged = createUser();
+      mockUsers([failing, purged]);
+      mockGetAppConfig.mockResolvedValue({ retention: { fileDays: 7 } });
+      db.findExpiredFiles.mockImplementation(async (userId) => {
+        if (userId === failing._id.toString()) {
+          throw new Error('storage unavailable');
+        }
+        return [{ file_id: 'file-1' }];
+      });
+
+      const run = await runRetentionSweep({ trigger: 'scheduled' });
+
+      expect(run.status).toBe('completed');
+      expect(run.totals.files).toBe(1);
+    });
+
+    it('only sweeps users of the current tenant', async () => {
+      const find = mockUsers([createUser({ tenantId: 'tenant-a' }), createUser()]);
+      mockGetAppConfig.mockResolvedValue({});
+
+      await tenantStorage.run({ tenantId: 'tenant-a' }, () =>
+        runRetentionSweep({ trigger: 'scheduled' }),
+      );
+
+      expect(find).toHaveBeenCalledWith({ tenantId: 'tenant-a' });
+      expect(mockGetAppConfig).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('startRetentionRun', () => {
+    it('starts one manual run at a time per tenant', async () => {
+      mockUsers([]);
+      let finish;
+      db.finishRetentionRun.mockReturnValue(new Promise((resolve) => (finish = resolve)));
+
+      const run = await startRetentionRun({ triggeredBy: 'admin-1' });
+      const concurrent = await startRetentionRun({ triggeredBy: 'admin-1' });
+
+      expect(run).toEqual(
+        expect.objectContaining({ trigger: 'manual', triggeredBy: 'admin-1', dryRun: true }),
+      );
+      expect(concurrent).toBeNull();
+
+      finish();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(await startRetentionRun({ triggeredBy: 'admin-1' })).not.toBeNull();
+    });
+  });
+
+  describe('sweepRetention', () => {
+    it('sweeps each tenant that has a retention policy in its own context', async () => {
+      mockUsers([createUser({ tenantId: 'tenant-a' }), createUser({ tenantId: 'tenant-b' })]);
+      mockGetAppConfig.mockResolvedValue({});
+      const sweptTenants = [];
+      db.hasRetentionConfigOverrides.mockImplementation(async () => true);
+      db.createRetentionRun.mockImplementation(async (data) => {
+        sweptTenants.push(tenantStorage.getStore()?.tenantId);
+        return { ...data, status: 'running' };
+      });
+
+      await runAsSystem(sweepRetention);
+
+      expect(sweptTenants).toEqual(['tenant-a', 'tenant-b']);
+    });
+
+    it('skips tenants without a retention policy', async () => {
+      mockUsers([createUser({ tenantId: 'tenant-a' })]);
+      mockGetAppConfig.mockResolvedValue({});
+      db.hasRetentionConfigOverrides.mockResolvedValue(false);
+
+      await runAsSystem(sweepRetention);
+
+      expect(db.createRetentionRun).not.toHaveBeenCalled();
+      expect(db.purgeAdminAuditLogs).not.toHaveBeenCalled();
+    });
+
+    it('purges admin audit entries older than auditDays in each tenant', async () => {
+      jest.useFakeTimers({ now, doNotFake: ['setImmediate', 'nextTick'] });
+      mockUsers([createUser({ tenantId: 'tenant-a' })]);
+      mockGetAppConfig.mockResolvedValue({ retention: { auditDays: 90 } });
+      db.hasRetentionConfigOverrides.mockResolvedValue(false);
+      const purgedTenants = [];
+      db.purgeAdminAuditLogs.mockImplementation(async () => {
+        purgedTenants.push(tenantStorage.getStore()?.tenantId);
+        return 3;
+      });
+
+      try {
+        await runAsSystem(sweepRetention);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(mockGetAppConfig).toHaveBeenCalledWith({ baseOnly: true });
+      expect(db.purgeAdminAuditLogs).toHaveBeenCalledWith(new Date(now.getTime() - 90 * DAY_MS));
+      expect(purgedTenants).toEqual(['tenant-a']);
+      expect(db.createRetentionRun).not.toHaveBeenCalled();
+    });
+
+    it('keeps admin audit entries in a dry run', async () => {
+      mockUsers([createUser({ tenantId: 'tenant-a' })]);
+      mockGetAppConfig.mockResolvedValue({ retention: { auditDays: 90, dryRun: true } });
+      db.hasRetentionConfigOverrides.mockResolvedValue(false);
+
+      await runAsSystem(sweepRetention);
+
+      expect(db.purgeAdminAuditLogs).not.toHaveBeenCalled();
+    });
+  });
+});
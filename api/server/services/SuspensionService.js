@@ -0,0 +1,73 @@
+const { isEnabled } = require('@librechat/api');
+const { ViolationTypes } = require('librechat-data-provider');
+const { clearCachedUserBan } = require('~/server/middleware/checkBan');
+const { deleteAllUserSessions } = require('~/models');
+const { getLogStores } = require('~/cache');
+
+const SUSPENSION_TYPE = 'suspension';
+
+/**
+ * Suspensions are stored in the `BAN` log store, so they are only enforced
+ * when `BAN_VIOLATIONS` is enabled and `BAN_DURATION` is positive.
+ * @returns {boolean}
+ */
+const isSuspensionEnforced = () =>
+  isEnabled(process.env.BAN_VIOLATIONS) && getLogStores(ViolationTypes.BAN).opts.ttl > 0;
+
+/**
+ * Suspends a user and ends their sessions. Without a duration, the
+ * suspension lasts until lifted.
+ *
+ * @param {string} userId
+ * @param {{ durationMs?: number, reason?: string }} [options]
+ * @returns {Promise<{ expiresAt?: number }>}
+ */
+const suspendUser = async (userId, { durationMs, reason } = {}) => {
+  const banLogs = getLogStores(ViolationTypes.BAN);
+  const expiresAt = durationMs ? Date.now() + durationMs : undefined;
+  await banLogs.set(
+    userId,
+    { type: SUSPENSION_TYPE, reason, duration: durationMs, expiresAt },
+    durationMs ?? 0,
+  );
+  await clearCachedUserBan(userId);
+  await deleteAllUserSessions({ userId });
+  return { expiresAt };
+};
+
+/**
+ * Lifts a user's suspension or ban.
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether the user was suspended or banned
+ */
+const unsuspendUser = async (userId) => {
+  const banLogs = getLogStores(ViolationTypes.BAN);
+  const existing = await banLogs.get(userId);
+  await banLogs.delete(userId);
+  await clearCachedUserBan(userId);
+  return existing != null;
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<{ type?: string, reason?: string, expiresAt?: number } | null>}
+ */
+const getUserSuspension = async (userId) => {
+  const banData = await getLogStores(ViolationTypes.BAN).get(userId);
+  if (!banData) {
+    return null;
+  }
+  const expiresAt = Number(banData.expiresAt);
+  if (banData.expiresAt && !isNaN(expiresAt) && expiresAt <= Date.now()) {
+    return null;
+  }
+  return { type: banData.type, reason: banData.reason, expiresAt: banData.expiresAt };
+};
+
+module.exports = {
+  isSuspensionEnforced,
+  suspendUser,
+  unsuspendUser,
+  getUserSuspension,
+};
@@ -3,8 +3,10 @@ const { logger } = require('@librechat/data-schemas');
 const {
   logAgentMigrationWarning,
   logPromptMigrationWarning,
+  logPresetMigrationWarning,
   checkAgentPermissionsMigration,
   checkPromptPermissionsMigration,
+  checkPresetPermissionsMigration,
 } = require('@librechat/api');
 const { findRoleByIdentifier } = require('~/models');
 
@@ -37,6 +39,18 @@ async function checkMigrations() {
   } catch (error) {
     logger.error('Failed to check prompt permissions migration:', error);
   }
+  try {
+    const presetMigrationResult = await checkPresetPermissionsMigration({
+      mongoose,
+      methods: {
+        findRoleByIdentifier,
+      },
+      PresetModel: mongoose.models.Preset,
+    });
+    logPresetMigrationWarning(presetMigrationResult);
+  } catch (error) {
+    logger.error('Failed to check preset permissions migration:', error);
+  }
 }
 
 module.exports = {
@@ -0,0 +1,33 @@
+const { parseSearchFilters } = require('../search');
+
+describe('parseSearchFilters', () => {
+  it('should parse every filter', () => {
+    expect(
+      parseSearchFilters({
+        endpoint: 'openAI',
+        model: 'gpt-4o',
+        tags: 'work',
+        startDate: '2025-01-01',
+        endDate: '2025-02-01T12:00:00Z',
+      }),
+    ).toEqual({
+      endpoint: 'openAI',
+      model: 'gpt-4o',
+      tags: ['work'],
+      startDate: new Date('2025-01-01'),
+      endDate: new Date('2025-02-01T12:00:00Z'),
+    });
+  });
+
+  it('should ignore empty, malformed and non-string values', () => {
+    expect(
+      parseSearchFilters({
+        endpoint: ['openAI', 'google'],
+        model: '',
+        tags: ['work', '', { $ne: null }],
+        startDate: 'yesterday',
+        endDate: { $gt: '' },
+      }),
+    ).toEqual({ tags: ['work'] });
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { megabyte } = require('librechat-data-provider');
+const { resolveImportMaxFileSize } = require('@librechat/api');
+
+/** Name of the conversations file in ChatGPT and Claude export archives */
+const CONVERSATIONS_FILE = 'conversations.json';
+
+/** Maximum number of entries read from an archive */
+const MAX_ARCHIVE_ENTRIES = 50000;
+
+/** Maximum decompressed size of a single asset */
+const MAX_ASSET_BYTES = 100 * megabyte;
+
+/** Maximum decompressed size of all extracted entries combined */
+const MAX_ARCHIVE_BYTES = 4096 * megabyte;
+
+/**
+ * Matches ChatGPT asset file names, which start with the asset ID referenced by
+ * `asset_pointer` and `metadata.attachments`, e.g. `file-AbC123-photo.png` or `file_00000000abcd-uuid.png`.
+ */
+const ASSET_NAME_PATTERN = /^(file[-_][A-Za-z0-9]+)(?:[-.].*)?$/;
+
+/**
+ * Checks whether a file is a ZIP archive by reading its signature.
+ *
+ * @param {string} filepath - The path of the file.
+ * @returns {Promise<boolean>}
+ */
+async function isZipArchive(filepath) {
+  const handle = await fs.promises.open(filepath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Returns the asset ID of an archive entry, or null if the entry is not an asset.
+ * @param {string} entryName - The path of the entry within the archive.
+ * @returns {string | null}
+ */
+function getAssetIdFromEntry(entryName) {
+  const match = path.posix.basename(entryName).match(ASSET_NAME_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Streams a single archive entry to disk, counting real decompressed bytes
+ * so a falsified `uncompressedSize` cannot bypass the caps.
+ *
+ * @param {yauzl.ZipFile} zipfile
+ * @param {yauzl.Entry} entry
+ * @param {string} destination
+ * @param {{ maxEntryBytes: number, remainingBytes: number }} limits
+ * @returns {Promise<number>} The number of bytes written.
+ */
+function extractEntry(zipfile, entry, destination, { maxEntryBytes, remainingBytes }) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, readStream) => {
+      if (err || !readStream) {
+        return reject(err ?? new Error('Failed to open archive entry'));
+      }
+
+      let bytes = 0;
+      const counter = new Transform({
+        transform(chunk, _encoding, callback) {
+          bytes += chunk.length;
+          if (bytes > maxEntryBytes) {
+            return callback(new Error(`Archive entry "${entry.fileName}" is too large`));
+          }
+          if (bytes > remainingBytes) {
+            return callback(new Error('Archive exceeds the maximum decompressed size'));
+          }
+          callback(null, chunk);
+        },
+      });
+
+      pipeline(readStream, counter, fs.createWriteStream(destination)).then(
+        () => resolve(bytes),
+        reject,
+      );
+    });
+  });
+}
+
+/**
+ * Iterates the entries of a lazily-read archive one at a time.
+ * @param {yauzl.ZipFile} zipfile
+ * @returns {AsyncGenerator<yauzl.Entry>}
+ */
+async function* readEntries(zipfile) {
+  while (true) {
+    const entry = await new Promise((resolve, reject) => {
+      const onEntry = (value) => {
+        zipfile.off('end', onEnd);
+        zipfile.off('error', onError);
+        resolve(value);
+      };
+      const onEnd = () => {
+        zipfile.off('entry', onEntry);
+        zipfile.off('error', onError);
+        resolve(null);
+      };
+      const onError = (err) => {
+        zipfile.off('entry', onEntry);
+        zipfile.off('end', onEnd);
+        reject(err);
+      };
+      zipfile.once('entry', onEntry);
+      zipfile.once('end', onEnd);
+      zipfile.once('error', onError);
+      zipfile.readEntry();
+    });
+    if (!entry) {
+      return;
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Unpacks a ChatGPT (or Claude) export archive next to the uploaded file.
+ * Only `conversations.json` and files named after ChatGPT asset IDs are extracted;
+ * everything else in the archive (e.g. `chat.html`) is skipped.
+ *
+ * @param {string} filepath - The path of the uploaded ZIP archive.
+ * @returns {Promise<{
+ *   conversationsPath: string,
+ *   assets: Map<string, { path: string, filename: string, bytes: number }>,
+ *   cleanup: () => Promise<void>,
+ * }>} The extracted archive.
+ * @throws {Error} If the archive is invalid, exceeds the size limits or has no `conversations.json`.
+ */
+async function extractImportArchive(filepath) {
+  const directory = `${filepath}.extracted`;
+  await fs.promises.rm(directory, { recursive: true, force: true });
+  await fs.promises.mkdir(directory, { recursive: true });
+  const cleanup = () => fs.promises.rm(directory, { recursive: true, force: true });
+
+  const maxConversationsBytes = resolveImportMaxFileSize();
+  /** @type {Map<string, { path: string, filename: string, bytes: number }>} */
+  const assets = new Map();
+  let conversationsPath = null;
+
+  try {
+    const zipfile = await new Promise((resolve, reject) => {
+      yauzl.open(filepath, { lazyEntries: true }, (err, zip) =>
+        err || !zip ? reject(err ?? new Error('Failed to open archive')) : resolve(zip),
+      );
+    });
+
+    try {
+      let entryCount = 0;
+      let totalBytes = 0;
+
+      for await (const entry of readEntries(zipfile)) {
+        if (++entryCount > MAX_ARCHIVE_ENTRIES) {
+          throw new Error('Archive contains too many entries');
+        }
+        const entryName = entry.fileName.replace(/\\/g, '/');
+        if (entryName.endsWith('/')) {
+          continue;
+        }
+
+        const isConversations =
+          path.posix.basename(entryName) === CONVERSATIONS_FILE &&
+          entryName.split('/').filter(Boolean).length <= 2;
+        const assetId = isConversations ? null : getAssetIdFromEntry(entryName);
+        if ((!isConversations || conversationsPath) && (!assetId || assets.has(assetId))) {
+          continue;
+        }
+
+        /* Entries are written under generated names; archive paths are never used on disk */
+        const destination = path.join(directory, `${entryCount}`);
+        const bytes = await extractEntry(zipfile, entry, destination, {
+          maxEntryBytes: isConversations ? maxConversationsBytes : MAX_ASSET_BYTES,
+          remainingBytes: MAX_ARCHIVE_BYTES - totalBytes,
+        });
+        totalBytes += bytes;
+
+        if (isConversations) {
+          conversationsPath = destination;
+        } else {
+          assets.set(assetId, {
+            path: destination,
+            filename: path.posix.basename(entryName),
+            bytes,
+          });
+        }
+      }
+    } finally {
+      zipfile.close();
+    }
+
+    if (!conversationsPath) {
+      throw new Error(`Archive does not contain a ${CONVERSATIONS_FILE} file`);
+    }
+
+    return { conversationsPath, assets, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+module.exports = { isZipArchive, extractImportArchive, getAssetIdFromEntry };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { isZipArchive, extractImportArchive, getAssetIdFromEntry } = require('./archive');
+
+describe('archive', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.CONVERSATION_IMPORT_MAX_FILE_SIZE_BYTES;
+  });
+
+  /**
+   * @param {Record<string, string | Buffer>} entries
+   * @returns {Promise<string>} The path of the written archive.
+   */
+  const writeZip = async (entries) => {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(entries)) {
+      zip.file(name, content);
+    }
+    const filepath = path.join(tmpDir, 'export.zip');
+    fs.writeFileSync(filepath, await zip.generateAsync({ type: 'nodebuffer' }));
+    return filepath;
+  };
+
+  describe('isZipArchive', () => {
+    it('should detect ZIP archives by their signature', async () => {
+      const zipPath = await writeZip({ 'conversations.json': '[]' });
+      const jsonPath = path.join(tmpDir, 'conversations.json');
+      fs.writeFileSync(jsonPath, '[]');
+
+      expect(await isZipArchive(zipPath)).toBe(true);
+      expect(await isZipArchive(jsonPath)).toBe(false);
+    });
+  });
+
+  describe('getAssetIdFromEntry', () => {
+    it.each([
+      ['file-AbC123-photo.png', 'file-AbC123'],
+      ['dalle-generations/file-XyZ789-0a1b2c3d.webp', 'file-XyZ789'],
+      ['user-abc/file_00000000abcd1234-5e6f.png', 'file_00000000abcd1234'],
+      ['file-NoSuffix', 'file-NoSuffix'],
+      ['chat.html', null],
+      ['profile-file-AbC123.png', null],
+    ])('should parse %s', (entryName, expected) => {
+      expect(getAssetIdFromEntry(entryName)).toBe(expected);
+    });
+  });
+
+  describe('extractImportArchive', () => {
+    it('should extract conversations.json and referenced assets only', async () => {
+      const filepath = await writeZip({
+        'conversations.json': '[{"title":"Chat"}]',
+        'chat.html': '<html></html>',
+        'user.json': '{}',
+        'file-AbC123-photo.png': Buffer.from([1, 2, 3]),
+        'dalle-generations/file-XyZ789-generated.webp': Buffer.from([4, 5]),
+      });
+
+      const archive = await extractImportArchive(filepath);
+
+      expect(fs.readFileSync(archive.conversationsPath, 'utf8')).toBe('[{"title":"Chat"}]');
+      expect([...archive.assets.keys()].sort()).toEqual(['file-AbC123', 'file-XyZ789']);
+      const photo = archive.assets.get('file-AbC123');
+      expect(photo).toEqual({
+        path: expect.any(String),
+        filename: 'file-AbC123-photo.png',
+        bytes: 3,
+      });
+      expect(fs.readFileSync(photo.path)).toEqual(Buffer.from([1, 2, 3]));
+
+      await archive.cleanup();
+      expect(fs.existsSync(archive.conversationsPath)).toBe(false);
+    });
+
+    it('should find conversations.json inside a top-level folder', async () => {
+      const filepath = await writeZip({ 'export/conversations.json': '[]' });
+
+      const archive = await extractImportArchive(filepath);
+
+      expect(fs.readFileSync(archive.conversationsPath, 'utf8')).toBe('[]');
+      await archive.cleanup();
+    });
+
+    it('should reject entries with unsafe paths', async () => {
+      const filepath = await writeZip({
+        'conversations.json': '[]',
+        '../file-Escape-evil.png': 'x',
+      });
+
+      await expect(extractImportArchive(filepath)).rejects.toThrow('invalid relative path');
+      expect(fs.existsSync(path.join(path.dirname(tmpDir), 'file-Escape-evil.png'))).toBe(false);
+      expect(fs.existsSync(`${filepath}.extracted`)).toBe(false);
+    });
+
+    it('should reject archives without conversations.json and clean up', async () => {
+      const filepath = await writeZip({ 'file-AbC123-photo.png': 'x' });
+
+      await expect(extractImportArchive(filepath)).rejects.toThrow(
+        'Archive does not contain a conversations.json file',
+      );
+      expect(fs.existsSync(`${filepath}.extracted`)).toBe(false);
+    });
+
+    it('should reject a conversations.json larger than the import size limit', async () => {
+      process.env.CONVERSATION_IMPORT_MAX_FILE_SIZE_BYTES = '10';
+      const filepath = await writeZip({ 'conversations.json': JSON.stringify([{ a: 'long' }]) });
+
+      await expect(extractImportArchive(filepath)).rejects.toThrow(
+        'Archive entry "conversations.json" is too large',
+      );
+      expect(fs.existsSync(`${filepath}.extracted`)).toBe(false);
+    });
+
+    it('should reject files that are not valid archives', async () => {
+      const filepath = path.join(tmpDir, 'broken.zip');
+      fs.writeFileSync(filepath, 'PK\u0003\u0004 not really a zip');
+
+      await expect(extractImportArchive(filepath)).rejects.toThrow();
+    });
+  });
+});
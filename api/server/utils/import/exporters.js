@@ -0,0 +1,432 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('@librechat/data-schemas');
+const { ContentTypes, buildTree } = require('librechat-data-provider');
+const { getConvo, getMessages } = require('~/models');
+
+/** Supported export formats */
+const ExportFormats = {
+  LIBRECHAT: 'librechat',
+  CHATGPT: 'chatgpt',
+  MARKDOWN: 'markdown',
+  TEXT: 'text',
+};
+
+/** Conversation fields that are not carried over into exported `options` */
+const NON_OPTION_FIELDS = new Set([
+  '_id',
+  '__v',
+  'user',
+  'conversationId',
+  'title',
+  'messages',
+  'files',
+  'tags',
+  'isArchived',
+  'expiredAt',
+  'createdAt',
+  'updatedAt',
+]);
+
+/** Message fields stripped from exported messages */
+const NON_EXPORT_MESSAGE_FIELDS = ['_id', '__v', 'user', '_meiliIndex', 'expiredAt'];
+
+/**
+ * Returns a copy of the message without database-only fields.
+ * @param {TMessage} message
+ * @returns {TMessage}
+ */
+function sanitizeMessage(message) {
+  const result = { ...message };
+  for (const field of NON_EXPORT_MESSAGE_FIELDS) {
+    delete result[field];
+  }
+  return result;
+}
+
+/**
+ * Extracts the conversation options (endpoint settings) from a conversation document.
+ * @param {TConversation} conversation
+ * @returns {Partial<TConversation>}
+ */
+function getConvoOptions(conversation) {
+  const options = {};
+  for (const [key, value] of Object.entries(conversation ?? {})) {
+    if (NON_OPTION_FIELDS.has(key) || value == null) {
+      continue;
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * Sorts messages so parents always precede their children, which `buildTree` relies on.
+ * @param {TMessage[]} messages
+ * @returns {TMessage[]}
+ */
+function sortMessages(messages) {
+  return [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Returns the plain text of a message, falling back to its text content parts.
+ * @param {TMessage} message
+ * @returns {string}
+ */
+function getMessageText(message) {
+  if (message.text) {
+    return message.text;
+  }
+
+  if (!Array.isArray(message.content)) {
+    return '';
+  }
+
+  return message.content
+    .filter((part) => part?.type === ContentTypes.TEXT || part?.type === ContentTypes.ERROR)
+    .map((part) => {
+      const textPart = part[ContentTypes.TEXT];
+      return typeof textPart === 'string' ? textPart : (textPart?.value ?? '');
+    })
+    .filter((text) => text.length > 0)
+    .join('\n');
+}
+
+/**
+ * Returns the reasoning ("think") content of a message, if any.
+ * @param {TMessage} message
+ * @returns {string}
+ */
+function getMessageThinking(message) {
+  if (!Array.isArray(message.content)) {
+    return '';
+  }
+
+  return message.content
+    .filter((part) => part?.type === ContentTypes.THINK && part[ContentTypes.THINK])
+    .map((part) => part[ContentTypes.THINK])
+    .join('\n\n');
+}
+
+/**
+ * Returns attachment metadata (no file contents) for a message's uploaded files.
+ * @param {TMessage} message
+ * @returns {Array<{ file_id: string, filename?: string, type?: string, bytes?: number, width?: number, height?: number }>}
+ */
+function getAttachmentsMetadata(message) {
+  if (!Array.isArray(message.files)) {
+    return [];
+  }
+
+  return message.files.map((file) => ({
+    file_id: file.file_id,
+    filename: file.filename,
+    type: file.type,
+    bytes: file.bytes,
+    width: file.width,
+    height: file.height,
+  }));
+}
+
+/**
+ * Exports a conversation as LibreChat JSON, matching the client export with branches
+ * and recursion enabled, so the result can be re-imported by `importLibreChatConvo`.
+ *
+ * @param {TConversation} conversation - The conversation document.
+ * @param {TMessage[]} messages - All messages of the conversation.
+ * @returns {object} The LibreChat export object.
+ */
+function exportLibreChatConvo(conversation, messages) {
+  const messagesTree = buildTree({ messages: sortMessages(messages).map(sanitizeMessage) });
+
+  return {
+    conversationId: conversation.conversationId,
+    endpoint: conversation.endpoint,
+    title: conversation.title,
+    exportAt: new Date().toTimeString(),
+    branches: true,
+    recursive: true,
+    options: getConvoOptions(conversation),
+    messagesTree,
+  };
+}
+
+/**
+ * Exports a conversation in the ChatGPT `mapping` format read by `importChatGptConvo`.
+ * Reasoning content is emitted as a preceding `thoughts` node, mirroring ChatGPT exports.
+ *
+ * @param {TConversation} conversation - The conversation document.
+ * @param {TMessage[]} messages - All messages of the conversation.
+ * @returns {ChatGPTConvo} The ChatGPT conversation object.
+ */
+function exportChatGptConvo(conversation, messages) {
+  const toSeconds = (date) => (date ? new Date(date).getTime() / 1000 : null);
+  const rootId = uuidv4();
+  const mapping = {
+    [rootId]: { id: rootId, message: null, parent: null, children: [] },
+  };
+
+  const sorted = sortMessages(messages);
+  const messageIds = new Set(sorted.map((message) => message.messageId));
+
+  const addNode = (id, message, parent) => {
+    mapping[id] = { id, message, parent, children: [] };
+  };
+
+  for (const message of sorted) {
+    let parent =
+      message.parentMessageId && messageIds.has(message.parentMessageId)
+        ? message.parentMessageId
+        : rootId;
+    const create_time = toSeconds(message.createdAt);
+    const role = message.isCreatedByUser ? 'user' : 'assistant';
+
+    const thinking = getMessageThinking(message);
+    if (thinking && !message.isCreatedByUser) {
+      const thoughtsId = `${message.messageId}-thoughts`;
+      addNode(
+        thoughtsId,
+        {
+          id: thoughtsId,
+          author: { role, name: null, metadata: {} },
+          create_time,
+          content: { content_type: 'thoughts', thoughts: [{ summary: '', content: thinking }] },
+          metadata: {},
+        },
+        parent,
+      );
+      parent = thoughtsId;
+    }
+
+    const metadata = { model_slug: message.model ?? conversation.model ?? undefined };
+    const attachments = getAttachmentsMetadata(message);
+    if (attachments.length > 0) {
+      metadata.attachments = attachments.map((file) => ({
+        id: file.file_id,
+        name: file.filename,
+        mime_type: file.type,
+        size: file.bytes,
+        width: file.width,
+        height: file.height,
+      }));
+    }
+    if (message.feedback) {
+      metadata.feedback = message.feedback;
+    }
+
+    addNode(
+      message.messageId,
+      {
+        id: message.messageId,
+        author: { role, name: null, metadata: {} },
+        create_time,
+        content: { content_type: 'text', parts: [getMessageText(message)] },
+        status: message.unfinished ? 'in_progress' : 'finished_successfully',
+        metadata,
+      },
+      parent,
+    );
+  }
+
+  /** Children are linked after all nodes exist, since timestamps may not follow the tree order */
+  for (const node of Object.values(mapping)) {
+    if (node.parent) {
+      mapping[node.parent].children.push(node.id);
+    }
+  }
+
+  const latestMessage = sorted[sorted.length - 1];
+  return {
+    title: conversation.title,
+    create_time: toSeconds(conversation.createdAt),
+    update_time: toSeconds(conversation.updatedAt),
+    mapping,
+    current_node: latestMessage?.messageId ?? rootId,
+    conversation_id: conversation.conversationId,
+  };
+}
+
+/**
+ * Renders a conversation as a human-readable transcript, walking every branch depth-first.
+ * Each alternate branch is labeled with its path (e.g. `Branch 1.2`) so regenerations stay legible.
+ *
+ * @param {TConversation} conversation - The conversation document.
+ * @param {TMessage[]} messages - All messages of the conversation.
+ * @param {'markdown' | 'text'} format - The transcript flavor.
+ * @returns {string} The transcript.
+ */
+function renderTranscript(conversation, messages, format) {
+  const isMarkdown = format === ExportFormats.MARKDOWN;
+  const heading = (title) =>
+    isMarkdown ? `## ${title}\n` : `\n${title}\n########################\n`;
+  const field = (key, value) => (isMarkdown ? `- ${key}: ${value}\n` : `${key}: ${value}\n`);
+
+  let data = isMarkdown ? '# Conversation\n' : 'Conversation\n########################\n';
+  data += field('conversationId', conversation.conversationId);
+  data += field('endpoint', conversation.endpoint);
+  data += field('title', conversation.title);
+  data += field('exportAt', new Date().toTimeString());
+
+  const options = getConvoOptions(conversation);
+  if (Object.keys(options).length > 0) {
+    data += isMarkdown ? '\n' : '';
+    data += heading('Options');
+    for (const [key, value] of Object.entries(options)) {
+      data += field(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  }
+
+  data += isMarkdown ? '\n' : '';
+  data += heading('History');
+
+  /**
+   * @param {TMessage} message
+   * @returns {string}
+   */
+  const renderMessage = (message) => {
+    const sender = message.sender || (message.isCreatedByUser ? 'User' : 'Assistant');
+    let text = isMarkdown
+      ? `**${sender}**\n${getMessageText(message)}\n`
+      : `>> ${sender}:\n${getMessageText(message)}\n`;
+
+    const attachments = getAttachmentsMetadata(message);
+    if (attachments.length > 0) {
+      const names = attachments
+        .map((file) => `${file.filename ?? file.file_id}${file.type ? ` (${file.type})` : ''}`)
+        .join(', ');
+      text += isMarkdown ? `*(Attachments: ${names})*\n` : `(Attachments: ${names})\n`;
+    }
+    if (message.feedback?.rating) {
+      const comment = message.feedback.text ? `: ${message.feedback.text}` : '';
+      text += isMarkdown
+        ? `*(Feedback: ${message.feedback.rating}${comment})*\n`
+        : `(Feedback: ${message.feedback.rating}${comment})\n`;
+    }
+    if (message.error) {
+      text += isMarkdown ? '*(This is an error message)*\n' : '(This is an error message)\n';
+    }
+    if (message.unfinished === true) {
+      text += isMarkdown
+        ? '*(This is an unfinished message)*\n'
+        : '(This is an unfinished message)\n';
+    }
+    return `${text}\n\n`;
+  };
+
+  /**
+   * @param {TMessage[]} nodes - Sibling messages.
+   * @param {string} branchPath - The path label of the branch containing these siblings.
+   */
+  const walk = (nodes, branchPath) => {
+    nodes.forEach((node, index) => {
+      const path = nodes.length > 1 ? `${branchPath}.${index + 1}` : branchPath;
+      if (nodes.length > 1) {
+        data += isMarkdown ? `### Branch ${path}\n` : `[Branch ${path}]\n`;
+      }
+      data += renderMessage(node);
+      walk(node.children ?? [], path);
+    });
+  };
+
+  walk(buildTree({ messages: sortMessages(messages) }) ?? [], '1');
+  return data;
+}
+
+/**
+ * Export format definitions: how each conversation is serialized and how several are combined.
+ * Combined JSON output stays importable through `getImporter`.
+ * @type {Record<string, { contentType: string, extension: string, serialize: Function, combine: Function }>}
+ */
+const exporters = {
+  [ExportFormats.LIBRECHAT]: {
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: exportLibreChatConvo,
+    combine: (results, bulk) => JSON.stringify(bulk ? results : results[0]),
+  },
+  [ExportFormats.CHATGPT]: {
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: exportChatGptConvo,
+    combine: (results) => JSON.stringify(results),
+  },
+  [ExportFormats.MARKDOWN]: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    serialize: (conversation, messages) =>
+      renderTranscript(conversation, messages, ExportFormats.MARKDOWN),
+    combine: (results) => results.join('\n---\n\n'),
+  },
+  [ExportFormats.TEXT]: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    serialize: (conversation, messages) =>
+      renderTranscript(conversation, messages, ExportFormats.TEXT),
+    combine: (results) => results.join('\n\n'),
+  },
+};
+
+/**
+ * Returns the exporter definition for the given format.
+ *
+ * @param {string} [format='librechat'] - The export format.
+ * @returns {{ contentType: string, extension: string, serialize: Function, combine: Function }}
+ * @throws {Error} - If the export format is not supported.
+ */
+function getExporter(format = ExportFormats.LIBRECHAT) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error('Unsupported export format');
+  }
+  return exporter;
+}
+
+/**
+ * Exports one or more of the user's conversations in the requested format.
+ * Conversations that do not exist or belong to another user are skipped.
+ *
+ * @param {object} params
+ * @param {string} params.requestUserId - The ID of the user making the request.
+ * @param {string[]} params.conversationIds - The conversations to export.
+ * @param {string} [params.format='librechat'] - The export format.
+ * @param {boolean} [params.bulk=false] - Whether to always produce a multi-conversation document.
+ * @returns {Promise<{ data: string, contentType: string, extension: string, count: number }>}
+ */
+async function exportConversations({
+  requestUserId,
+  conversationIds,
+  format = ExportFormats.LIBRECHAT,
+  bulk = false,
+}) {
+  const exporter = getExporter(format);
+  const results = [];
+
+  for (const conversationId of conversationIds) {
+    const conversation = await getConvo(requestUserId, conversationId);
+    if (!conversation) {
+      logger.debug(`user: ${requestUserId} | Skipping export of missing conversation`, {
+        conversationId,
+      });
+      continue;
+    }
+
+    const messages = await getMessages({ user: requestUserId, conversationId });
+    results.push(exporter.serialize(conversation, messages));
+  }
+
+  return {
+    data: results.length > 0 ? exporter.combine(results, bulk) : '',
+    contentType: exporter.contentType,
+    extension: exporter.extension,
+    count: results.length,
+  };
+}
+
+module.exports = {
+  ExportFormats,
+  getExporter,
+  exportConversations,
+  exportChatGptConvo,
+  exportLibreChatConvo,
+  renderTranscript,
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { EModelEndpoint, Constants } = require('librechat-data-provider');
+const { getImporter } = require('./importers');
+const { ImportBatchBuilder } = require('./importBatchBuilder');
+const {
+  ExportFormats,
+  getExporter,
+  renderTranscript,
+  exportChatGptConvo,
+  exportConversations,
+  exportLibreChatConvo,
+} = require('./exporters');
+const { getConvo, getMessages } = require('~/models');
+
+const mockGetEndpointsConfig = jest.fn().mockResolvedValue({
+  [EModelEndpoint.openAI]: { userProvide: false },
+});
+
+jest.mock('~/server/services/Config', () => ({
+  getEndpointsConfig: (...args) => mockGetEndpointsConfig(...args),
+}));
+
+jest.mock('~/server/controllers/ModelController', () => ({
+  getModelsConfig: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock('~/models', () => ({
+  getConvo: jest.fn(),
+  getMessages: jest.fn(),
+  bulkSaveConvos: jest.fn(),
+  bulkSaveMessages: jest.fn(),
+  bulkIncrementTagCounts: jest.fn(),
+}));
+
+const requestUserId = 'user-123';
+
+const readFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, '__data__', name), 'utf8'));
+
+/**
+ * Runs the matching importer against the data and returns the populated batch builder.
+ * @param {object} jsonData
+ * @returns {Promise<ImportBatchBuilder>}
+ */
+async function runImport(jsonData) {
+  const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+  jest.spyOn(importBatchBuilder, 'saveBatch').mockResolvedValue();
+  const importer = getImporter(jsonData);
+  await importer(jsonData, requestUserId, () => importBatchBuilder);
+  return importBatchBuilder;
+}
+
+/**
+ * Describes a message tree independently of message IDs: one entry per message,
+ * listing the texts on the path from the root to that message.
+ * @param {TMessage[]} messages
+ * @returns {string[]}
+ */
+function getTreeShape(messages) {
+  const byId = new Map(messages.map((message) => [message.messageId, message]));
+  return messages
+    .map((message) => {
+      const texts = [];
+      let current = message;
+      while (current) {
+        texts.unshift(current.text);
+        current =
+          current.parentMessageId !== Constants.NO_PARENT
+            ? byId.get(current.parentMessageId)
+            : undefined;
+      }
+      return texts.join(' > ');
+    })
+    .sort();
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('exportLibreChatConvo', () => {
+  it('should round-trip the LibreChat tree fixture through export and re-import', async () => {
+    const original = await runImport(readFixture('librechat-tree.json'));
+    const [conversation] = original.conversations;
+
+    const exported = exportLibreChatConvo(conversation, original.messages);
+
+    expect(exported.recursive).toBe(true);
+    expect(exported.branches).toBe(true);
+    expect(exported.options.model).toBe('gpt-4-turbo');
+
+    const reimported = await runImport(JSON.parse(JSON.stringify(exported)));
+
+    expect(reimported.messages).toHaveLength(original.messages.length);
+    expect(getTreeShape(reimported.messages)).toEqual(getTreeShape(original.messages));
+    expect(reimported.conversations[0].title).toBe(conversation.title);
+  });
+
+  it('should round-trip the linear LibreChat fixture', async () => {
+    const original = await runImport(readFixture('librechat-linear.json'));
+    const exported = exportLibreChatConvo(original.conversations[0], original.messages);
+    const reimported = await runImport(JSON.parse(JSON.stringify(exported)));
+
+    expect(getTreeShape(reimported.messages)).toEqual(getTreeShape(original.messages));
+  });
+
+  it('should keep attachment metadata and feedback and strip database fields', () => {
+    const messages = [
+      {
+        _id: 'db-id',
+        __v: 0,
+        user: requestUserId,
+        messageId: 'msg-1',
+        parentMessageId: Constants.NO_PARENT,
+        text: 'See attached',
+        isCreatedByUser: true,
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        files: [{ file_id: 'file-1', filename: 'chart.png', type: 'image/png' }],
+      },
+      {
+        messageId: 'msg-2',
+        parentMessageId: 'msg-1',
+        text: 'Nice chart',
+        isCreatedByUser: false,
+        createdAt: new Date('2024-01-01T00:00:01Z'),
+        feedback: { rating: 'thumbsUp', text: 'Accurate' },
+      },
+    ];
+
+    const exported = exportLibreChatConvo(
+      { conversationId: 'convo-1', title: 'Charts', endpoint: EModelEndpoint.openAI },
+      messages,
+    );
+
+    const [root] = exported.messagesTree;
+    expect(root._id).toBeUndefined();
+    expect(root.user).toBeUndefined();
+    expect(root.files).toEqual(messages[0].files);
+    expect(root.children[0].feedback).toEqual({ rating: 'thumbsUp', text: 'Accurate' });
+  });
+});
+
+describe('exportChatGptConvo', () => {
+  it('should round-trip the ChatGPT tree fixture through export and re-import', async () => {
+    const original = await runImport(readFixture('chatgpt-tree.json'));
+
+    const exported = exportChatGptConvo(original.conversations[0], original.messages);
+    const reimported = await runImport(JSON.parse(JSON.stringify([exported])));
+
+    expect(reimported.messages).toHaveLength(original.messages.length);
+    expect(getTreeShape(reimported.messages)).toEqual(getTreeShape(original.messages));
+  });
+
+  it('should convert LibreChat branches into an equivalent ChatGPT mapping', async () => {
+    const original = await runImport(readFixture('librechat-tree.json'));
+
+    const exported = exportChatGptConvo(original.conversations[0], original.messages);
+    const reimported = await runImport(JSON.parse(JSON.stringify([exported])));
+
+    expect(getTreeShape(reimported.messages)).toEqual(getTreeShape(original.messages));
+  });
+
+  it('should emit reasoning as a thoughts node that re-imports as thinking content', async () => {
+    const messages = [
+      {
+        messageId: 'msg-1',
+        parentMessageId: Constants.NO_PARENT,
+        text: 'What is 2 + 2?',
+        isCreatedByUser: true,
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+      },
+      {
+        messageId: 'msg-2',
+        parentMessageId: 'msg-1',
+        text: '',
+        model: 'gpt-4o',
+        isCreatedByUser: false,
+        createdAt: new Date('2024-01-01T00:00:01Z'),
+        content: [
+          { type: 'think', think: 'Adding two and two.' },
+          { type: 'text', text: '4' },
+        ],
+      },
+    ];
+
+    const exported = exportChatGptConvo({ conversationId: 'convo-1', title: 'Math' }, messages);
+
+    expect(exported.mapping['msg-2-thoughts'].message.content.content_type).toBe('thoughts');
+    expect(exported.mapping['msg-2'].parent).toBe('msg-2-thoughts');
+    expect(exported.mapping['msg-2'].message.metadata.model_slug).toBe('gpt-4o');
+
+    const reimported = await runImport([exported]);
+    const assistant = reimported.messages.find((message) => !message.isCreatedByUser);
+
+    expect(reimported.messages).toHaveLength(2);
+    expect(assistant.text).toBe('4');
+    expect(assistant.content).toEqual([
+      { type: 'think', think: 'Adding two and two.' },
+      { type: 'text', text: '4' },
+    ]);
+  });
+
+  it('should include attachment metadata and feedback in message metadata', () => {
+    const exported = exportChatGptConvo({ conversationId: 'convo-1', title: 'Files' }, [
+      {
+        messageId: 'msg-1',
+        parentMessageId: Constants.NO_PARENT,
+        text: 'Summarize',
+        isCreatedByUser: true,
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        files: [{ file_id: 'file-1', filename: 'report.pdf', type: 'application/pdf', bytes: 42 }],
+        feedback: { rating: 'thumbsDown' },
+      },
+    ]);
+
+    const { metadata } = exported.mapping['msg-1'].message;
+    expect(metadata.attachments).toEqual([
+      expect.objectContaining({
+        id: 'file-1',
+        name: 'report.pdf',
+        mime_type: 'application/pdf',
+        size: 42,
+      }),
+    ]);
+    expect(metadata.feedback).toEqual({ rating: 'thumbsDown' });
+  });
+});
+
+describe('renderTranscript', () => {
+  const conversation = {
+    conversationId: 'convo-1',
+    title: 'Branches',
+    endpoint: EModelEndpoint.openAI,
+    model: 'gpt-4o',
+  };
+  const messages = [
+    {
+      messageId: 'msg-1',
+      parentMessageId: Constants.NO_PARENT,
+      sender: 'User',
+      text: 'Hello',
+      isCreatedByUser: true,
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      files: [{ file_id: 'file-1', filename: 'notes.txt', type: 'text/plain' }],
+    },
+    {
+      messageId: 'msg-2',
+      parentMessageId: 'msg-1',
+      sender: 'GPT-4o',
+      text: 'First answer',
+      isCreatedByUser: false,
+      createdAt: new Date('2024-01-01T00:00:01Z'),
+    },
+    {
+      messageId: 'msg-3',
+      parentMessageId: 'msg-1',
+      sender: 'GPT-4o',
+      text: 'Regenerated answer',
+      isCreatedByUser: false,
+      createdAt: new Date('2024-01-01T00:00:02Z'),
+      feedback: { rating: 'thumbsUp', text: 'Better' },
+    },
+  ];
+
+  it('should render every branch, attachments and feedback as Markdown', () => {
+    const markdown = renderTranscript(conversation, messages, ExportFormats.MARKDOWN);
+
+    expect(markdown).toContain('# Conversation\n- conversationId: convo-1\n');
+    expect(markdown).toContain('- model: gpt-4o\n');
+    expect(markdown).toContain('**User**\nHello\n*(Attachments: notes.txt (text/plain))*');
+    expect(markdown).toContain('### Branch 1.1\n**GPT-4o**\nFirst answer');
+    expect(markdown).toContain('### Branch 1.2\n**GPT-4o**\nRegenerated answer');
+    expect(markdown).toContain('*(Feedback: thumbsUp: Better)*');
+  });
+
+  it('should render a plain-text transcript', () => {
+    const text = renderTranscript(conversation, messages, ExportFormats.TEXT);
+
+    expect(text).toContain('Conversation\n########################\nconversationId: convo-1\n');
+    expect(text).toContain('>> User:\nHello\n(Attachments: notes.txt (text/plain))');
+    expect(text).toContain('[Branch 1.2]\n>> GPT-4o:\nRegenerated answer');
+    expect(text).not.toContain('**');
+  });
+});
+
+describe('getExporter', () => {
+  it('should throw an error if the export format is not supported', () => {
+    expect(() => getExporter('pdf')).toThrow('Unsupported export format');
+  });
+});
+
+describe('exportConversations', () => {
+  const conversation = {
+    _id: 'db-id',
+    user: requestUserId,
+    conversationId: 'convo-1',
+    title: 'Bulk',
+    endpoint: EModelEndpoint.openAI,
+  };
+  const messages = [
+    {
+      messageId: 'msg-1',
+      conversationId: 'convo-1',
+      parentMessageId: Constants.NO_PARENT,
+      text: 'Hi',
+      isCreatedByUser: true,
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+    },
+  ];
+
+  it("should only export the requesting user's conversations", async () => {
+    getConvo.mockImplementation(async (user, conversationId) =>
+      conversationId === 'convo-1' ? conversation : null,
+    );
+    getMessages.mockResolvedValue(messages);
+
+    const result = await exportConversations({
+      requestUserId,
+      conversationIds: ['convo-1', 'missing'],
+      format: ExportFormats.TEXT,
+    });
+
+    expect(result.count).toBe(1);
+    expect(result.extension).toBe('txt');
+    expect(getConvo).toHaveBeenCalledWith(requestUserId, 'missing');
+    expect(getMessages).toHaveBeenCalledTimes(1);
+    expect(getMessages).toHaveBeenCalledWith({ user: requestUserId, conversationId: 'convo-1' });
+  });
+
+  it('should produce a bulk LibreChat export that can be imported again', async () => {
+    getConvo.mockResolvedValue(conversation);
+    getMessages.mockResolvedValue(messages);
+
+    const result = await exportConversations({
+      requestUserId,
+      conversationIds: ['convo-1', 'convo-2'],
+      bulk: true,
+    });
+
+    const jsonData = JSON.parse(result.data);
+    expect(result.contentType).toBe('application/json');
+    expect(jsonData).toHaveLength(2);
+
+    const reimported = await runImport(jsonData);
+    expect(reimported.conversations).toHaveLength(2);
+    expect(reimported.messages).toHaveLength(2);
+  });
+
+  it('should return a single object for a non-bulk LibreChat export', async () => {
+    getConvo.mockResolvedValue(conversation);
+    getMessages.mockResolvedValue(messages);
+
+    const result = await exportConversations({ requestUserId, conversationIds: ['convo-1'] });
+
+    expect(JSON.parse(result.data).conversationId).toBe('convo-1');
+  });
+});
@@ -68,6 +68,30 @@ function cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder) {
   return idMapping;
 }
 
+/**
+ * Selects the messages of a conversation to copy from a target message, according to a fork option.
+ * @param {TMessage[]} messages - The messages of the conversation.
+ * @param {string} targetMessageId - The ID of the target message.
+ * @param {string} [option=ForkOptions.TARGET_LEVEL] - The fork option.
+ * @returns {TMessage[]} The selected messages.
+ */
+function getMessagesForForkOption(messages, targetMessageId, option) {
+  if (option === ForkOptions.DIRECT_PATH) {
+    // Direct path only
+    return BaseClient.getMessagesForConversation({
+      messages,
+      parentMessageId: targetMessageId,
+    });
+  } else if (option === ForkOptions.INCLUDE_BRANCHES) {
+    // Direct path and siblings
+    return getAllMessagesUpToParent(messages, targetMessageId);
+  } else if (option === ForkOptions.TARGET_LEVEL || !option) {
+    // Direct path, siblings, and all descendants
+    return getMessagesUpToTargetLevel(messages, targetMessageId);
+  }
+  return [];
+}
+
 /**
  *
  * @param {object} params - The parameters for the importer.
@@ -111,21 +135,7 @@ async function forkConversation({
     const importBatchBuilder = builderFactory(requestUserId);
     importBatchBuilder.startConversation(originalConvo.endpoint ?? EModelEndpoint.openAI);
 
-    let messagesToClone = [];
-
-    if (option === ForkOptions.DIRECT_PATH) {
-      // Direct path only
-      messagesToClone = BaseClient.getMessagesForConversation({
-        messages: originalMessages,
-        parentMessageId: targetMessageId,
-      });
-    } else if (option === ForkOptions.INCLUDE_BRANCHES) {
-      // Direct path and siblings
-      messagesToClone = getAllMessagesUpToParent(originalMessages, targetMessageId);
-    } else if (option === ForkOptions.TARGET_LEVEL || !option) {
-      // Direct path, siblings, and all descendants
-      messagesToClone = getMessagesUpToTargetLevel(originalMessages, targetMessageId);
-    }
+    const messagesToClone = getMessagesForForkOption(originalMessages, targetMessageId, option);
 
     cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder);
 
@@ -400,8 +410,93 @@ async function duplicateConversation({ userId, conversationId, title }) {
   };
 }
 
+/**
+ * Merges one conversation, or a branch of it, into another by grafting it beneath a message
+ * of the target conversation. The roots of the grafted messages are re-parented onto the target
+ * message; both original conversations are left untouched and the merged tree is saved as a new
+ * conversation with the target's settings.
+ *
+ * @param {object} params - The parameters for the merge.
+ * @param {string} params.requestUserId - The ID of the user making the request.
+ * @param {string} params.targetConvoId - The ID of the conversation to graft onto.
+ * @param {string} params.targetMessageId - The ID of the message to graft beneath.
+ * @param {string} params.sourceConvoId - The ID of the conversation to graft.
+ * @param {string} [params.sourceMessageId] - Grafts only the branch of this message, selected by `option`.
+ * @param {string} [params.option=ForkOptions.TARGET_LEVEL] - The fork option selecting the source branch.
+ * @param {string} [params.newTitle] - Optional title for the merged conversation, uses the target's title if not provided.
+ * @param {(userId: string) => ImportBatchBuilder} [params.builderFactory] - Optional factory function for creating an ImportBatchBuilder instance.
+ * @returns {Promise<{ conversation: TConversation, messages: TMessage[] } | null>} The merged conversation
+ *   and messages, or null if a conversation or message was not found.
+ */
+async function mergeConversations({
+  requestUserId,
+  targetConvoId,
+  targetMessageId,
+  sourceConvoId,
+  sourceMessageId,
+  option = ForkOptions.TARGET_LEVEL,
+  newTitle,
+  builderFactory = createImportBatchBuilder,
+}) {
+  const [targetConvo, sourceConvo] = await Promise.all([
+    getConvo(requestUserId, targetConvoId),
+    getConvo(requestUserId, sourceConvoId),
+  ]);
+  if (!targetConvo || !sourceConvo) {
+    return null;
+  }
+
+  const [targetMessages, sourceMessages] = await Promise.all([
+    getMessages({ user: requestUserId, conversationId: targetConvoId }),
+    getMessages({ user: requestUserId, conversationId: sourceConvoId }),
+  ]);
+  if (!targetMessages.some((message) => message.messageId === targetMessageId)) {
+    return null;
+  }
+
+  let graftedMessages = sourceMessages;
+  if (sourceMessageId) {
+    if (!sourceMessages.some((message) => message.messageId === sourceMessageId)) {
+      return null;
+    }
+    graftedMessages = getMessagesForForkOption(sourceMessages, sourceMessageId, option);
+  }
+
+  const graftedIds = new Set(graftedMessages.map((message) => message.messageId));
+  const reparentedMessages = graftedMessages.map((message) =>
+    graftedIds.has(message.parentMessageId)
+      ? message
+      : { ...message, parentMessageId: targetMessageId },
+  );
+
+  const importBatchBuilder = builderFactory(requestUserId);
+  importBatchBuilder.startConversation(targetConvo.endpoint ?? EModelEndpoint.openAI);
+
+  // Target messages come first so the graft point is cloned before the grafted roots
+  cloneMessagesWithTimestamps([...targetMessages, ...reparentedMessages], importBatchBuilder);
+
+  const mergedTitle = newTitle || targetConvo.title;
+  const result = importBatchBuilder.finishConversation(mergedTitle, new Date(), targetConvo);
+  await importBatchBuilder.saveBatch();
+  logger.debug(
+    `user: ${requestUserId} | New conversation "${mergedTitle}" merged from conversation ID ${sourceConvoId} into ${targetConvoId}`,
+  );
+
+  const conversation = await getConvo(requestUserId, result.conversation.conversationId);
+  const messages = await getMessages({
+    user: requestUserId,
+    conversationId: conversation.conversationId,
+  });
+
+  return {
+    conversation,
+    messages,
+  };
+}
+
 module.exports = {
   forkConversation,
+  mergeConversations,
   splitAtTargetLevel,
   duplicateConversation,
   getAllMessagesUpToParent,
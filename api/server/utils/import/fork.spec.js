@@ -20,6 +20,7 @@ jest.mock('uuid', () => {
 
 const {
   forkConversation,
+  mergeConversations,
   duplicateConversation,
   splitAtTargetLevel,
   getAllMessagesUpToParent,
@@ -301,6 +302,146 @@ describe('duplicateConversation', () => {
   });
 });
 
+describe('mergeConversations', () => {
+  const targetMessages = [
+    {
+      messageId: 't1',
+      parentMessageId: Constants.NO_PARENT,
+      text: 'Target question',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    },
+    {
+      messageId: 't2',
+      parentMessageId: 't1',
+      text: 'Target answer',
+      createdAt: '2024-01-01T00:00:01.000Z',
+    },
+  ];
+  const sourceMessages = [
+    {
+      messageId: 's1',
+      parentMessageId: Constants.NO_PARENT,
+      text: 'Source question',
+      createdAt: '2023-06-01T00:00:00.000Z',
+    },
+    {
+      messageId: 's2',
+      parentMessageId: 's1',
+      text: 'Source answer A',
+      createdAt: '2023-06-01T00:00:01.000Z',
+    },
+    {
+      messageId: 's3',
+      parentMessageId: 's1',
+      text: 'Source answer B',
+      createdAt: '2023-06-01T00:00:02.000Z',
+    },
+  ];
+
+  let savedMessages;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIdCounter = 0;
+    savedMessages = [];
+    getConvo.mockImplementation(async (_user, conversationId) => {
+      if (conversationId === 'target') {
+        return { conversationId, title: 'Target', endpoint: 'anthropic', model: 'claude' };
+      }
+      if (conversationId === 'source') {
+        return { conversationId, title: 'Source' };
+      }
+      return { conversationId, title: 'Merged' };
+    });
+    getMessages.mockImplementation(async ({ conversationId }) => {
+      if (conversationId === 'target') {
+        return targetMessages;
+      }
+      if (conversationId === 'source') {
+        return sourceMessages;
+      }
+      return savedMessages;
+    });
+    bulkSaveMessages.mockImplementation(async (messages) => {
+      savedMessages = messages;
+    });
+  });
+
+  test('should graft the whole source conversation beneath the target message', async () => {
+    const { messages } = await mergeConversations({
+      requestUserId: 'user1',
+      targetConvoId: 'target',
+      targetMessageId: 't2',
+      sourceConvoId: 'source',
+    });
+
+    expect(messages).toHaveLength(5);
+    const targetRoot = messages.find((m) => m.text === 'Target question');
+    const graftPoint = messages.find((m) => m.text === 'Target answer');
+    const sourceRoot = messages.find((m) => m.text === 'Source question');
+    expect(graftPoint.parentMessageId).toBe(targetRoot.messageId);
+    expect(sourceRoot.parentMessageId).toBe(graftPoint.messageId);
+    expect(sourceRoot.createdAt.getTime()).toBeGreaterThan(
+      new Date(graftPoint.createdAt).getTime(),
+    );
+
+    const answers = messages.filter((m) => m.parentMessageId === sourceRoot.messageId);
+    expect(answers.map((m) => m.text).sort()).toEqual(['Source answer A', 'Source answer B']);
+    expect(answers.every((m) => m.createdAt > sourceRoot.createdAt)).toBe(true);
+    expect(messages.some((m) => ['t1', 't2', 's1', 's2', 's3'].includes(m.messageId))).toBe(false);
+    expect(new Set(messages.map((m) => m.conversationId)).size).toBe(1);
+
+    const [[[savedConvo]]] = bulkSaveConvos.mock.calls;
+    expect(savedConvo).toEqual(
+      expect.objectContaining({ title: 'Target', endpoint: 'anthropic', model: 'claude' }),
+    );
+    expect(savedConvo.conversationId).not.toBe('target');
+  });
+
+  test('should graft only the selected branch of the source conversation', async () => {
+    const { messages } = await mergeConversations({
+      requestUserId: 'user1',
+      targetConvoId: 'target',
+      targetMessageId: 't1',
+      sourceConvoId: 'source',
+      sourceMessageId: 's3',
+      option: ForkOptions.DIRECT_PATH,
+      newTitle: 'Consolidated',
+    });
+
+    expect(messages.map((m) => m.text)).toEqual([
+      'Target question',
+      'Target answer',
+      'Source question',
+      'Source answer B',
+    ]);
+    expect(messages[2].parentMessageId).toBe(messages[0].messageId);
+    expect(bulkSaveConvos.mock.calls[0][0][0].title).toBe('Consolidated');
+  });
+
+  test.each([
+    ['target conversation', { targetConvoId: 'missing' }],
+    ['target message', { targetMessageId: 'missing' }],
+    ['source message', { sourceMessageId: 'missing' }],
+  ])('should return null without saving for a missing %s', async (_name, overrides) => {
+    getConvo.mockImplementation(async (_user, conversationId) =>
+      conversationId === 'missing' ? null : { conversationId, title: 'Convo' },
+    );
+
+    const result = await mergeConversations({
+      requestUserId: 'user1',
+      targetConvoId: 'target',
+      targetMessageId: 't2',
+      sourceConvoId: 'source',
+      ...overrides,
+    });
+
+    expect(result).toBeNull();
+    expect(bulkSaveConvos).not.toHaveBeenCalled();
+    expect(bulkSaveMessages).not.toHaveBeenCalled();
+  });
+});
+
 const mockMessagesComplex = [
   { messageId: '7', parentMessageId: Constants.NO_PARENT, text: 'Message 7' },
   { messageId: '8', parentMessageId: Constants.NO_PARENT, text: 'Message 8' },
@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const mime = require('mime');
+const { v4: uuidv4 } = require('uuid');
+const {
+  megabyte,
+  FileContext,
+  imageMimeTypes,
+  mergeFileConfig,
+  getEndpointFileConfig,
+} = require('librechat-data-provider');
+const { logger, getTenantId } = require('@librechat/data-schemas');
+const { getStorageMetadata, sanitizeFileForTransmit } = require('@librechat/api');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { uploadImageBuffer } = require('~/server/services/Files/process');
+const { getFileStrategy } = require('~/server/utils/getFileStrategy');
+const { getAppConfig } = require('~/server/services/Config');
+const { createFile } = require('~/models');
+
+/**
+ * Extracts the asset ID from a ChatGPT asset pointer,
+ * e.g. `file-service://file-AbC123` or `sediment://file_00000000abcd`.
+ *
+ * @param {string} [assetPointer]
+ * @returns {string | null}
+ */
+function getAssetPointerId(assetPointer) {
+  if (typeof assetPointer !== 'string' || !assetPointer) {
+    return null;
+  }
+  const separator = assetPointer.indexOf('://');
+  return separator === -1 ? assetPointer : assetPointer.slice(separator + 3) || null;
+}
+
+/**
+ * Collects the assets referenced by a ChatGPT conversation, from image parts
+ * (`asset_pointer`) and from uploaded files (`metadata.attachments`).
+ *
+ * @param {ChatGPTConvo} conv
+ * @returns {Map<string, { name?: string, mimeType?: string, width?: number, height?: number }>}
+ *   Asset hints keyed by asset ID.
+ */
+function collectConversationAssets(conv) {
+  const assets = new Map();
+  const addAsset = (assetId, hints) => {
+    if (assetId) {
+      assets.set(assetId, { ...hints, ...assets.get(assetId) });
+    }
+  };
+
+  for (const node of Object.values(conv.mapping ?? {})) {
+    const message = node?.message;
+    if (!message) {
+      continue;
+    }
+    for (const part of message.content?.parts ?? []) {
+      if (part && typeof part === 'object' && part.asset_pointer) {
+        addAsset(getAssetPointerId(part.asset_pointer), {
+          width: part.width,
+          height: part.height,
+        });
+      }
+    }
+    for (const attachment of message.metadata?.attachments ?? []) {
+      addAsset(attachment?.id, {
+        name: attachment.name,
+        mimeType: attachment.mime_type ?? attachment.mimeType,
+        width: attachment.width,
+        height: attachment.height,
+      });
+    }
+  }
+  return assets;
+}
+
+/**
+ * Applies the file config limits of uploads to an asset.
+ *
+ * @param {AppConfig} appConfig
+ * @param {{ type: string, bytes: number }} asset
+ * @throws {Error} If the asset is too large or of a type the file config does not allow.
+ */
+function validateAsset(appConfig, { type, bytes }) {
+  const fileConfig = mergeFileConfig(appConfig.fileConfig);
+  const endpointFileConfig = getEndpointFileConfig({ fileConfig });
+
+  if (bytes > endpointFileConfig.fileSizeLimit) {
+    throw new Error(
+      `File size limit of ${endpointFileConfig.fileSizeLimit / megabyte} MB exceeded`,
+    );
+  }
+  if (!fileConfig.checkType(type, endpointFileConfig.supportedMimeTypes)) {
+    throw new Error(`Unsupported file type: ${type}`);
+  }
+}
+
+/**
+ * Creates a store that uploads the assets of an extracted export archive through the
+ * configured file strategy, once per asset, and creates their file records.
+ * Assets are held to the file config limits of uploads; images are resized and
+ * converted like uploaded images.
+ *
+ * @param {object} params
+ * @param {Map<string, { path: string, filename: string, bytes: number }>} params.assets - Extracted assets keyed by asset ID.
+ * @param {string} params.requestUserId - The ID of the user making the import request.
+ * @param {string} [params.userRole] - The role of the user making the import request.
+ * @returns {{ getFiles: (conv: ChatGPTConvo) => Promise<Map<string, Partial<MongoFile>>> }}
+ */
+function createImportAssetStore({ assets, requestUserId, userRole }) {
+  const tenantId = getTenantId();
+  /** @type {Map<string, Promise<Partial<MongoFile> | null>>} */
+  const uploads = new Map();
+  let appConfigPromise;
+
+  /**
+   * @param {string} assetId
+   * @param {{ name?: string, mimeType?: string, width?: number, height?: number }} hints
+   * @returns {Promise<Partial<MongoFile> | null>}
+   */
+  const uploadAsset = async (assetId, hints) => {
+    const asset = assets.get(assetId);
+    if (!asset) {
+      return null;
+    }
+
+    appConfigPromise ??= getAppConfig({ role: userRole, userId: requestUserId, tenantId });
+    const appConfig = await appConfigPromise;
+
+    const filename = hints.name || asset.filename;
+    const type =
+      mime.getType(filename) ??
+      mime.getType(asset.filename) ??
+      hints.mimeType ??
+      'application/octet-stream';
+    validateAsset(appConfig, { type, bytes: asset.bytes });
+
+    const buffer = await fs.readFile(asset.path);
+    if (imageMimeTypes.test(type)) {
+      const file = await uploadImageBuffer({
+        req: {
+          config: appConfig,
+          user: { id: requestUserId, tenantId },
+          file: { originalname: filename },
+        },
+        context: FileContext.message_attachment,
+        metadata: { buffer },
+      });
+      return sanitizeFileForTransmit(file);
+    }
+
+    const source = getFileStrategy(appConfig, { context: FileContext.message_attachment });
+    const { saveBuffer } = getStrategyFunctions(source);
+
+    const file_id = uuidv4();
+    const filepath = await saveBuffer({
+      userId: requestUserId,
+      fileName: `${file_id}-${filename}`,
+      buffer,
+      basePath: 'uploads',
+      tenantId,
+    });
+    const storageMetadata = getStorageMetadata({ filepath, source });
+
+    const file = await createFile(
+      {
+        user: requestUserId,
+        file_id,
+        bytes: asset.bytes,
+        filepath,
+        ...storageMetadata,
+        filename,
+        context: FileContext.message_attachment,
+        source,
+        type,
+        tenantId,
+      },
+      true,
+    );
+    return sanitizeFileForTransmit(file);
+  };
+
+  /**
+   * Uploads the assets referenced by a conversation that are present in the archive.
+   * Assets that fail to upload are logged and left out, so the conversation still imports.
+   *
+   * @param {ChatGPTConvo} conv
+   * @returns {Promise<Map<string, Partial<MongoFile>>>} Uploaded files keyed by asset ID.
+   */
+  const getFiles = async (conv) => {
+    const files = new Map();
+    for (const [assetId, hints] of collectConversationAssets(conv)) {
+      if (!uploads.has(assetId)) {
+        uploads.set(
+          assetId,
+          uploadAsset(assetId, hints).catch((error) => {
+            logger.error(`user: ${requestUserId} | Failed to import asset ${assetId}`, error);
+            return null;
+          }),
+        );
+      }
+      const file = await uploads.get(assetId);
+      if (file) {
+        files.set(assetId, file);
+      }
+    }
+    return files;
+  };
+
+  return { getFiles };
+}
+
+/** @typedef {ReturnType<typeof createImportAssetStore>} ImportAssetStore */
+
+module.exports = { getAssetPointerId, collectConversationAssets, createImportAssetStore };
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileContext, FileSources } = require('librechat-data-provider');
+
+const mockSaveBuffer = jest.fn(
+  async ({ userId, fileName, basePath }) => `/${basePath}/${userId}/${fileName}`,
+);
+
+jest.mock('~/server/services/Files/strategies', () => ({
+  getStrategyFunctions: jest.fn(() => ({ saveBuffer: mockSaveBuffer })),
+}));
+
+const mockUploadImageBuffer = jest.fn(async ({ req, context, metadata }) => ({
+  _id: 'mongo-id',
+  __v: 0,
+  user: req.user.id,
+  file_id: `image-${req.file.originalname}`,
+  filename: req.file.originalname.replace(/\.\w+$/, '.webp'),
+  filepath: `/images/${req.user.id}/${req.file.originalname}`,
+  bytes: metadata.buffer.length,
+  type: 'image/webp',
+  width: 320,
+  height: 240,
+  context,
+}));
+
+jest.mock('~/server/services/Files/process', () => ({
+  uploadImageBuffer: (...args) => mockUploadImageBuffer(...args),
+}));
+
+jest.mock('~/server/services/Config', () => ({
+  getAppConfig: jest.fn().mockResolvedValue({ fileStrategy: 'local' }),
+}));
+
+jest.mock('~/models', () => ({
+  createFile: jest.fn(async (data) => ({ _id: 'mongo-id', __v: 0, ...data })),
+}));
+
+const { createFile } = require('~/models');
+const { getAppConfig } = require('~/server/services/Config');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const {
+  getAssetPointerId,
+  collectConversationAssets,
+  createImportAssetStore,
+} = require('./importAssets');
+
+const imagePart = (assetPointer) => ({
+  content_type: 'image_asset_pointer',
+  asset_pointer: assetPointer,
+  width: 640,
+  height: 480,
+});
+
+const conversation = {
+  title: 'Assets',
+  mapping: {
+    root: { id: 'root', message: null, parent: null },
+    user: {
+      id: 'user',
+      parent: 'root',
+      message: {
+        author: { role: 'user' },
+        content: {
+          content_type: 'multimodal_text',
+          parts: [imagePart('file-service://file-Photo1'), 'What is in this image?'],
+        },
+        metadata: {
+          attachments: [
+            { id: 'file-Photo1', name: 'holiday.png', mime_type: 'image/png' },
+            { id: 'file-Doc1', name: 'report.pdf', mime_type: 'application/pdf', size: 4 },
+          ],
+        },
+      },
+    },
+    assistant: {
+      id: 'assistant',
+      parent: 'user',
+      message: {
+        author: { role: 'tool' },
+        content: { content_type: 'multimodal_text', parts: [imagePart('sediment://file_0000Gen')] },
+        metadata: {},
+      },
+    },
+  },
+};
+
+describe('importAssets', () => {
+  let tmpDir;
+  let assets;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-assets-'));
+    const writeAsset = (assetId, filename, content) => {
+      const assetPath = path.join(tmpDir, assetId);
+      fs.writeFileSync(assetPath, content);
+      return [assetId, { path: assetPath, filename, bytes: Buffer.byteLength(content) }];
+    };
+    assets = new Map([
+      writeAsset('file-Photo1', 'file-Photo1-holiday.png', 'png!'),
+      writeAsset('file-Doc1', 'file-Doc1-report.pdf', 'pdf!'),
+      writeAsset('file_0000Gen', 'file_0000Gen-1234.webp', 'webp!'),
+    ]);
+    getAppConfig.mockResolvedValue({ fileStrategy: 'local' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('getAssetPointerId', () => {
+    it.each([
+      ['file-service://file-AbC123', 'file-AbC123'],
+      ['sediment://file_0000abcd', 'file_0000abcd'],
+      ['file-AbC123', 'file-AbC123'],
+      ['', null],
+      [undefined, null],
+    ])('should extract the asset ID from %s', (pointer, expected) => {
+      expect(getAssetPointerId(pointer)).toBe(expected);
+    });
+  });
+
+  describe('collectConversationAssets', () => {
+    it('should collect image parts and attachments, merging their details', () => {
+      const collected = collectConversationAssets(conversation);
+
+      expect(Object.fromEntries(collected)).toEqual({
+        'file-Photo1': { name: 'holiday.png', mimeType: 'image/png', width: 640, height: 480 },
+        'file-Doc1': { name: 'report.pdf', mimeType: 'application/pdf' },
+        file_0000Gen: { width: 640, height: 480 },
+      });
+    });
+  });
+
+  describe('createImportAssetStore', () => {
+    it('should store each referenced asset and create its file record', async () => {
+      const assetStore = createImportAssetStore({
+        assets,
+        requestUserId: 'user-123',
+        userRole: 'USER',
+      });
+
+      const files = await assetStore.getFiles(conversation);
+
+      expect(getAppConfig).toHaveBeenCalledTimes(1);
+      expect(getAppConfig).toHaveBeenCalledWith({
+        role: 'USER',
+        userId: 'user-123',
+        tenantId: undefined,
+      });
+      expect(getStrategyFunctions).toHaveBeenCalledWith(FileSources.local);
+      expect([...files.keys()]).toEqual(['file-Photo1', 'file-Doc1', 'file_0000Gen']);
+
+      const photo = files.get('file-Photo1');
+      expect(photo).toEqual(
+        expect.objectContaining({
+          user: 'user-123',
+          filename: 'holiday.webp',
+          type: 'image/webp',
+          width: 320,
+          height: 240,
+          context: FileContext.message_attachment,
+        }),
+      );
+      expect(photo).not.toHaveProperty('_id');
+      expect(mockUploadImageBuffer).toHaveBeenCalledWith({
+        req: {
+          config: { fileStrategy: 'local' },
+          user: { id: 'user-123', tenantId: undefined },
+          file: { originalname: 'holiday.png' },
+        },
+        context: FileContext.message_attachment,
+        metadata: { buffer: Buffer.from('png!') },
+      });
+
+      const doc = files.get('file-Doc1');
+      expect(doc).toEqual(
+        expect.objectContaining({
+          user: 'user-123',
+          filename: 'report.pdf',
+          type: 'application/pdf',
+          bytes: 4,
+          source: FileSources.local,
+          context: FileContext.message_attachment,
+        }),
+      );
+      expect(doc.filepath).toBe(`/uploads/user-123/${doc.file_id}-report.pdf`);
+      expect(doc).not.toHaveProperty('_id');
+      expect(mockSaveBuffer).toHaveBeenCalledTimes(1);
+      expect(createFile).toHaveBeenCalledWith(expect.any(Object), true);
+
+      expect(files.get('file_0000Gen')).toEqual(
+        expect.objectContaining({ filename: 'file_0000Gen-1234.webp', type: 'image/webp' }),
+      );
+      expect(mockUploadImageBuffer).toHaveBeenCalledTimes(2);
+    });
+
+    it('should store SVG assets as private uploads rather than images', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+      const svgPath = path.join(tmpDir, 'file-Svg1');
+      fs.writeFileSync(svgPath, svg);
+      const svgAssets = new Map([
+        ['file-Svg1', { path: svgPath, filename: 'file-Svg1-logo.svg', bytes: svg.length }],
+      ]);
+      const assetStore = createImportAssetStore({ assets: svgAssets, requestUserId: 'user-123' });
+
+      const files = await assetStore.getFiles({
+        mapping: {
+          root: {
+            id: 'root',
+            message: {
+              author: { role: 'user' },
+              content: { content_type: 'multimodal_text', parts: [imagePart('file-Svg1')] },
+              metadata: {},
+            },
+          },
+        },
+      });
+
+      expect(mockUploadImageBuffer).not.toHaveBeenCalled();
+      expect(mockSaveBuffer).toHaveBeenCalledWith(expect.objectContaining({ basePath: 'uploads' }));
+      expect(files.get('file-Svg1')).toEqual(
+        expect.objectContaining({ type: 'image/svg+xml', filename: 'file-Svg1-logo.svg' }),
+      );
+    });
+
+    it('should skip assets exceeding the file size limit', async () => {
+      getAppConfig.mockResolvedValue({
+        fileStrategy: 'local',
+        fileConfig: { endpoints: { default: { fileSizeLimit: 0.000001 } } },
+      });
+      const assetStore = createImportAssetStore({ assets, requestUserId: 'user-123' });
+
+      const files = await assetStore.getFiles(conversation);
+
+      expect(files.size).toBe(0);
+      expect(mockSaveBuffer).not.toHaveBeenCalled();
+      expect(mockUploadImageBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should skip assets of types the file config does not allow', async () => {
+      getAppConfig.mockResolvedValue({
+        fileStrategy: 'local',
+        fileConfig: { endpoints: { default: { supportedMimeTypes: ['^image/(png|webp)$'] } } },
+      });
+      const assetStore = createImportAssetStore({ assets, requestUserId: 'user-123' });
+
+      const files = await assetStore.getFiles(conversation);
+
+      expect([...files.keys()]).toEqual(['file-Photo1', 'file_0000Gen']);
+      expect(mockSaveBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should upload an asset shared by several conversations only once', async () => {
+      const assetStore = createImportAssetStore({ assets, requestUserId: 'user-123' });
+
+      const first = await assetStore.getFiles(conversation);
+      const second = await assetStore.getFiles(conversation);
+
+      expect(mockSaveBuffer).toHaveBeenCalledTimes(1);
+      expect(mockUploadImageBuffer).toHaveBeenCalledTimes(2);
+      expect(second.get('file-Photo1')).toBe(first.get('file-Photo1'));
+    });
+
+    it('should skip assets missing from the archive or failing to upload', async () => {
+      assets.delete('file-Doc1');
+      mockUploadImageBuffer.mockRejectedValueOnce(new Error('Storage unavailable'));
+      const assetStore = createImportAssetStore({ assets, requestUserId: 'user-123' });
+
+      const files = await assetStore.getFiles(conversation);
+
+      expect([...files.keys()]).toEqual(['file_0000Gen']);
+    });
+  });
+});
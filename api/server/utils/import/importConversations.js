@@ -2,15 +2,20 @@ const fs = require('fs').promises;
 const { resolveImportMaxFileSize } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
 const { getImporter } = require('./importers');
+const { createImportAssetStore } = require('./importAssets');
+const { isZipArchive, extractImportArchive } = require('./archive');
 
 const maxFileSize = resolveImportMaxFileSize();
 
 /**
  * Job definition for importing a conversation.
+ * The file is either a JSON export or a ZIP export archive holding a `conversations.json`,
+ * whose referenced assets are stored and attached to the imported messages.
  * @param {{ filepath: string, requestUserId: string, userRole?: string }} job
  */
 const importConversations = async (job) => {
   const { filepath, requestUserId, userRole } = job;
+  let archive;
   try {
     logger.debug(`user: ${requestUserId} | Importing conversation(s) from file...`);
 
@@ -21,10 +26,18 @@ const importConversations = async (job) => {
       );
     }
 
-    const fileData = await fs.readFile(filepath, 'utf8');
+    let jsonPath = filepath;
+    let assetStore;
+    if (await isZipArchive(filepath)) {
+      archive = await extractImportArchive(filepath);
+      jsonPath = archive.conversationsPath;
+      assetStore = createImportAssetStore({ assets: archive.assets, requestUserId, userRole });
+    }
+
+    const fileData = await fs.readFile(jsonPath, 'utf8');
     const jsonData = JSON.parse(fileData);
     const importer = getImporter(jsonData);
-    await importer(jsonData, requestUserId, undefined, userRole);
+    await importer(jsonData, requestUserId, undefined, userRole, { assetStore });
     logger.debug(`user: ${requestUserId} | Finished importing conversations`);
   } catch (error) {
     logger.error(`user: ${requestUserId} | Failed to import conversation: `, error);
@@ -35,6 +48,7 @@ const importConversations = async (job) => {
     } catch (error) {
       logger.error(`user: ${requestUserId} | Failed to delete file: ${filepath}`, error);
     }
+    await archive?.cleanup();
   }
 };
 
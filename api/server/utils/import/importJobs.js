@@ -0,0 +1,325 @@
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { logger, tenantStorage } = require('@librechat/data-schemas');
+const {
+  deleteConvos,
+  deleteMessages,
+  claimImportJob,
+  createImportJob,
+  finishImportJob,
+  getStaleImportJobs,
+  renewImportJobLease,
+  setImportJobPending,
+  recordImportJobProgress,
+} = require('~/models');
+const { getImporter, getConversationProcessor } = require('./importers');
+const { getJsonRootType, streamJsonArray } = require('./streamJsonArray');
+const { isZipArchive, extractImportArchive } = require('./archive');
+const { createImportAssetStore } = require('./importAssets');
+const { createImportBatchBuilder } = require('./importBatchBuilder');
+const { resolveImportDefaultModel } = require('./defaults');
+
+/** Number of conversations written to the database per batch */
+const IMPORT_BATCH_SIZE = 25;
+
+/** Jobs whose lease has not been renewed for this long are considered abandoned by their server */
+const STALE_JOB_MS = 2 * 60 * 1000;
+
+/** How often a running job renews its lease; well within `STALE_JOB_MS` */
+const LEASE_HEARTBEAT_MS = 30 * 1000;
+
+/** Error code thrown once another runner has taken over a job */
+const LEASE_LOST = 'IMPORT_JOB_LEASE_LOST';
+
+/**
+ * Stops the current run when a lease-guarded write no longer matched the job.
+ *
+ * @param {boolean} held - Whether the write matched the job under this runner's lease.
+ * @param {string} jobId
+ */
+function assertLease(held, jobId) {
+  if (!held) {
+    const error = new Error(`Import job ${jobId} was taken over by another runner`);
+    error.code = LEASE_LOST;
+    throw error;
+  }
+}
+
+/**
+ * Renews a claimed job's lease until stopped, so it is not taken over while it runs.
+ *
+ * @param {string} jobId
+ * @param {string} leaseOwner
+ * @returns {NodeJS.Timeout} The heartbeat interval.
+ */
+function startLeaseHeartbeat(jobId, leaseOwner) {
+  const heartbeat = setInterval(() => {
+    renewImportJobLease(jobId, leaseOwner)
+      .then((renewed) => {
+        if (!renewed) {
+          clearInterval(heartbeat);
+        }
+      })
+      .catch((error) => {
+        logger.warn(`[import] Failed to renew the lease of job ${jobId}: ${error.message}`);
+      });
+  }, LEASE_HEARTBEAT_MS);
+  heartbeat.unref();
+  return heartbeat;
+}
+
+/**
+ * Creates an import job for an uploaded file and starts processing it in the background.
+ *
+ * @param {object} params
+ * @param {string} params.filepath - The path of the uploaded file.
+ * @param {string} params.filename - The original name of the uploaded file.
+ * @param {number} params.fileSize - The size of the uploaded file in bytes.
+ * @param {string} params.requestUserId - The ID of the user making the import request.
+ * @param {string} [params.userRole] - The role of the user making the import request.
+ * @returns {Promise<IImportJob>} The created job.
+ */
+async function enqueueImportJob({ filepath, filename, fileSize, requestUserId, userRole }) {
+  const job = await createImportJob({
+    jobId: uuidv4(),
+    user: requestUserId,
+    userRole,
+    filename,
+    filepath,
+    fileSize,
+  });
+
+  runImportJob(job.jobId).catch((error) => {
+    logger.error(`[import] Background import job ${job.jobId} failed`, error);
+  });
+
+  return job;
+}
+
+/**
+ * Deletes the conversations of a batch that may have been partially written
+ * before the server stopped.
+ *
+ * @param {IImportJob} job
+ */
+async function rollbackPendingBatch(job) {
+  const conversationIds = job.pendingConversationIds;
+  logger.info(
+    `[import] Rolling back ${conversationIds.length} partially imported conversations of job ${job.jobId}`,
+  );
+  await deleteMessages({ user: job.user, conversationId: { $in: conversationIds } });
+  try {
+    await deleteConvos(job.user, { conversationId: { $in: conversationIds } });
+  } catch (error) {
+    logger.debug(`[import] No conversations to roll back for job ${job.jobId}: ${error.message}`);
+  }
+}
+
+/**
+ * @typedef {Object} ImportJobSource
+ * @property {string} jsonPath - Path of the conversations JSON; extracted from the upload for archives.
+ * @property {number} contentSize - Size of the conversations JSON in bytes.
+ * @property {ImportAssetStore} [assetStore] - Store for the assets of an uploaded archive.
+ */
+
+/**
+ * Resolves the conversations JSON of an upload, unpacking it first if it is an export archive.
+ *
+ * @param {IImportJob} job
+ * @returns {Promise<ImportJobSource & { cleanup?: () => Promise<void> }>}
+ */
+async function prepareImportSource(job) {
+  const { filepath, user: requestUserId, userRole } = job;
+  if (!(await isZipArchive(filepath))) {
+    return { jsonPath: filepath, contentSize: job.fileSize };
+  }
+
+  const archive = await extractImportArchive(filepath);
+  const { size } = await fs.stat(archive.conversationsPath);
+  return {
+    jsonPath: archive.conversationsPath,
+    contentSize: size,
+    assetStore: createImportAssetStore({ assets: archive.assets, requestUserId, userRole }),
+    cleanup: archive.cleanup,
+  };
+}
+
+/**
+ * Streams the conversations of an array-based export into the database in batches,
+ * recording progress after each batch so the job can resume after a restart.
+ * Conversations that fail to import are recorded on the job and skipped.
+ *
+ * @param {IImportJob} job
+ * @param {ImportJobSource} source
+ */
+async function importArrayStream(job, { jsonPath, contentSize, assetStore }) {
+  const { jobId, leaseOwner, user: requestUserId, userRole } = job;
+
+  /** @type {Map<string, Promise<string>>} */
+  const defaultModels = new Map();
+  const getDefaultModel = (endpoint) => {
+    if (!defaultModels.has(endpoint)) {
+      defaultModels.set(endpoint, resolveImportDefaultModel({ endpoint, requestUserId, userRole }));
+    }
+    return defaultModels.get(endpoint);
+  };
+  const context = { requestUserId, userRole, getDefaultModel, assetStore };
+
+  let importBatchBuilder = createImportBatchBuilder(requestUserId);
+  let processedCount = job.processedCount;
+  let bytesProcessed = job.bytesProcessed;
+  let failures = [];
+
+  const commitBatch = async () => {
+    const conversationIds = importBatchBuilder.conversations.map((c) => c.conversationId);
+    if (conversationIds.length > 0) {
+      assertLease(await setImportJobPending(jobId, leaseOwner, conversationIds), jobId);
+      await importBatchBuilder.saveBatch();
+    }
+    const held = await recordImportJobProgress(jobId, leaseOwner, {
+      processedCount,
+      bytesProcessed,
+      contentSize,
+      imported: conversationIds.length,
+      failures,
+    });
+    assertLease(held, jobId);
+    importBatchBuilder = createImportBatchBuilder(requestUserId);
+    failures = [];
+  };
+
+  for await (const { index, value, error, bytesRead } of streamJsonArray(jsonPath, {
+    skip: job.processedCount,
+  })) {
+    const conversationCount = importBatchBuilder.conversations.length;
+    const messageCount = importBatchBuilder.messages.length;
+    try {
+      if (error) {
+        throw error;
+      }
+      const processConversation = getConversationProcessor(value);
+      await processConversation(value, importBatchBuilder, context);
+    } catch (err) {
+      importBatchBuilder.conversations.length = conversationCount;
+      importBatchBuilder.messages.length = messageCount;
+      const title = value?.title ?? value?.name;
+      failures.push({
+        index,
+        title: typeof title === 'string' ? title : undefined,
+        error: err.message,
+      });
+      logger.warn(`[import] Skipping conversation ${index} of job ${jobId}: ${err.message}`);
+    }
+
+    processedCount = index + 1;
+    bytesProcessed = bytesRead;
+    if (importBatchBuilder.conversations.length + failures.length >= IMPORT_BATCH_SIZE) {
+      await commitBatch();
+    }
+  }
+
+  await commitBatch();
+}
+
+/**
+ * Imports an object-based export (LibreChat or ChatbotUI), which holds a single
+ * document and cannot be streamed by conversation.
+ *
+ * @param {IImportJob} job
+ * @param {ImportJobSource} source
+ */
+async function importDocument(job, { jsonPath, contentSize, assetStore }) {
+  const fileData = await fs.readFile(jsonPath, 'utf8');
+  const jsonData = JSON.parse(fileData);
+  const importer = getImporter(jsonData);
+  await importer(jsonData, job.user, undefined, job.userRole, { assetStore });
+  const held = await recordImportJobProgress(job.jobId, job.leaseOwner, {
+    processedCount: 1,
+    bytesProcessed: contentSize,
+    contentSize,
+    imported: 1,
+    failures: [],
+  });
+  assertLease(held, job.jobId);
+}
+
+/**
+ * Claims and processes an import job, resuming from its last recorded batch.
+ * The job is held under a lease renewed while it runs; if another runner takes it
+ * over, this run stops at its next write and leaves the job and its upload to that runner.
+ *
+ * @param {string} jobId - The ID of the job to run.
+ * @param {object} [options]
+ * @param {Date} [options.staleBefore] - Also claim jobs whose lease was not renewed since this date.
+ * @returns {Promise<void>}
+ */
+async function runImportJob(jobId, { staleBefore } = {}) {
+  const leaseOwner = uuidv4();
+  const job = await claimImportJob(jobId, leaseOwner, staleBefore);
+  if (!job) {
+    return;
+  }
+
+  const { user: requestUserId, filepath } = job;
+  const heartbeat = startLeaseHeartbeat(jobId, leaseOwner);
+  let leaseLost = false;
+  let source;
+  try {
+    if (job.pendingConversationIds?.length) {
+      await rollbackPendingBatch(job);
+    }
+
+    source = await prepareImportSource(job);
+    const rootType = await getJsonRootType(source.jsonPath);
+    if (rootType === 'array') {
+      await importArrayStream(job, source);
+    } else {
+      await importDocument(job, source);
+    }
+
+    assertLease(await finishImportJob(jobId, leaseOwner, { status: 'completed' }), jobId);
+    logger.info(`user: ${requestUserId} | Finished import job ${jobId}`);
+  } catch (error) {
+    if (error.code === LEASE_LOST) {
+      leaseLost = true;
+      logger.warn(`user: ${requestUserId} | Stopped import job ${jobId}: ${error.message}`);
+    } else {
+      logger.error(`user: ${requestUserId} | Import job ${jobId} failed`, error);
+      await finishImportJob(jobId, leaseOwner, { status: 'failed', error: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (!leaseLost) {
+      try {
+        await fs.unlink(filepath);
+      } catch (error) {
+        logger.error(`user: ${requestUserId} | Failed to delete file: ${filepath}`, error);
+      }
+    }
+    await source?.cleanup?.();
+  }
+}
+
+/**
+ * Resumes import jobs left unfinished by a previous server process.
+ * Must be called in a system tenant context; each job then runs in its own tenant's context.
+ * @returns {Promise<void>}
+ */
+async function resumeImportJobs() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+  const jobs = await getStaleImportJobs(staleBefore);
+  for (const job of jobs) {
+    logger.info(`[import] Resuming import job ${job.jobId} at conversation ${job.processedCount}`);
+    await tenantStorage.run({ tenantId: job.tenantId, userId: job.user }, async () =>
+      runImportJob(job.jobId, { staleBefore }),
+    );
+  }
+}
+
+module.exports = {
+  IMPORT_BATCH_SIZE,
+  LEASE_HEARTBEAT_MS,
+  runImportJob,
+  enqueueImportJob,
+  resumeImportJobs,
+};
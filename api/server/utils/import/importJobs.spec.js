@@ -0,0 +1,339 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EModelEndpoint } = require('librechat-data-provider');
+
+const mockGetEndpointsConfig = jest.fn().mockResolvedValue({
+  [EModelEndpoint.openAI]: { userProvide: false },
+});
+
+const mockGetModelsConfig = jest.fn().mockResolvedValue({});
+
+jest.mock('~/server/services/Config', () => ({
+  getEndpointsConfig: (...args) => mockGetEndpointsConfig(...args),
+}));
+
+jest.mock('~/server/controllers/ModelController', () => ({
+  getModelsConfig: (...args) => mockGetModelsConfig(...args),
+}));
+
+jest.mock('~/models', () => ({
+  deleteConvos: jest.fn(),
+  deleteMessages: jest.fn(),
+  bulkSaveConvos: jest.fn(),
+  bulkSaveMessages: jest.fn(),
+  bulkIncrementTagCounts: jest.fn(),
+  claimImportJob: jest.fn(),
+  createImportJob: jest.fn(),
+  finishImportJob: jest.fn().mockResolvedValue(true),
+  getStaleImportJobs: jest.fn(),
+  renewImportJobLease: jest.fn().mockResolvedValue(true),
+  setImportJobPending: jest.fn().mockResolvedValue(true),
+  recordImportJobProgress: jest.fn().mockResolvedValue(true),
+}));
+
+const {
+  deleteConvos,
+  deleteMessages,
+  bulkSaveConvos,
+  bulkSaveMessages,
+  claimImportJob,
+  createImportJob,
+  finishImportJob,
+  getStaleImportJobs,
+  renewImportJobLease,
+  setImportJobPending,
+  recordImportJobProgress,
+} = require('~/models');
+const {
+  IMPORT_BATCH_SIZE,
+  LEASE_HEARTBEAT_MS,
+  runImportJob,
+  enqueueImportJob,
+  resumeImportJobs,
+} = require('./importJobs');
+
+const claudeConversation = (name) => ({
+  uuid: name,
+  name,
+  created_at: '2025-01-01T00:00:00.000Z',
+  chat_messages: [
+    { sender: 'human', text: `Hello from ${name}`, content: [] },
+    { sender: 'assistant', text: `Reply to ${name}`, content: [] },
+  ],
+});
+
+describe('importJobs', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-jobs-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const writeFile = (name, data) => {
+    const filepath = path.join(tmpDir, name);
+    fs.writeFileSync(filepath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filepath;
+  };
+
+  const mockJob = (filepath, overrides = {}) => {
+    const job = {
+      jobId: 'job-1',
+      user: 'user-123',
+      filepath,
+      fileSize: fs.statSync(filepath).size,
+      status: 'running',
+      processedCount: 0,
+      bytesProcessed: 0,
+      pendingConversationIds: [],
+      ...overrides,
+    };
+    claimImportJob.mockImplementation(async (jobId, leaseOwner) => {
+      job.leaseOwner = leaseOwner;
+      return job;
+    });
+    return job;
+  };
+
+  const savedConversations = () => bulkSaveConvos.mock.calls.flatMap(([convos]) => convos);
+
+  describe('runImportJob', () => {
+    it('should stream conversations into the database in batches', async () => {
+      const total = IMPORT_BATCH_SIZE + 5;
+      const data = Array.from({ length: total }, (_, i) => claudeConversation(`Chat ${i}`));
+      const filepath = writeFile('batches.json', data);
+      const job = mockJob(filepath);
+
+      await runImportJob('job-1');
+
+      expect(claimImportJob).toHaveBeenCalledWith('job-1', expect.any(String), undefined);
+      expect(bulkSaveConvos).toHaveBeenCalledTimes(2);
+      expect(savedConversations().map((c) => c.title)).toEqual(data.map((c) => c.name));
+      expect(setImportJobPending).toHaveBeenCalledTimes(2);
+      expect(setImportJobPending.mock.calls[0][2]).toHaveLength(IMPORT_BATCH_SIZE);
+      expect(recordImportJobProgress).toHaveBeenCalledTimes(2);
+      expect(recordImportJobProgress).toHaveBeenLastCalledWith('job-1', job.leaseOwner, {
+        processedCount: total,
+        bytesProcessed: job.fileSize - 1,
+        contentSize: job.fileSize,
+        imported: 5,
+        failures: [],
+      });
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'completed',
+      });
+      expect(fs.existsSync(filepath)).toBe(false);
+    });
+
+    it('should record failed conversations and keep importing the rest', async () => {
+      const good1 = JSON.stringify(claudeConversation('Good 1'));
+      const good2 = JSON.stringify(claudeConversation('Good 2'));
+      const noMapping = JSON.stringify({ title: 'No mapping' });
+      const filepath = writeFile(
+        'failures.json',
+        `[${good1},{"title":"Bad JSON",},${noMapping},${good2}]`,
+      );
+      mockJob(filepath);
+
+      await runImportJob('job-1');
+
+      expect(savedConversations().map((c) => c.title)).toEqual(['Good 1', 'Good 2']);
+      const [, , progress] = recordImportJobProgress.mock.calls[0];
+      expect(progress.imported).toBe(2);
+      expect(progress.processedCount).toBe(4);
+      expect(progress.failures).toEqual([
+        { index: 1, title: undefined, error: expect.any(String) },
+        { index: 2, title: 'No mapping', error: expect.any(String) },
+      ]);
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'completed',
+      });
+    });
+
+    it('should discard messages of a conversation that fails midway', async () => {
+      const valid = claudeConversation('Valid');
+      const invalid = {
+        ...claudeConversation('Invalid'),
+        chat_messages: [{ sender: 'human', text: 'Saved before the failure' }, null],
+      };
+      const filepath = writeFile('midway.json', [valid, invalid]);
+      mockJob(filepath);
+
+      await runImportJob('job-1');
+
+      const [[messages]] = bulkSaveMessages.mock.calls;
+      expect(savedConversations().map((c) => c.title)).toEqual(['Valid']);
+      expect(messages).toHaveLength(2);
+      expect(recordImportJobProgress.mock.calls[0][2].failures).toEqual([
+        { index: 1, title: 'Invalid', error: expect.any(String) },
+      ]);
+    });
+
+    it('should resume after the last recorded batch and roll back the pending one', async () => {
+      const data = Array.from({ length: 4 }, (_, i) => claudeConversation(`Chat ${i}`));
+      const filepath = writeFile('resume.json', data);
+      mockJob(filepath, { processedCount: 2, pendingConversationIds: ['partial-1'] });
+      deleteConvos.mockRejectedValue(new Error('Conversation not found or already deleted.'));
+
+      await runImportJob('job-1', { staleBefore: new Date() });
+
+      expect(deleteMessages).toHaveBeenCalledWith({
+        user: 'user-123',
+        conversationId: { $in: ['partial-1'] },
+      });
+      expect(deleteConvos).toHaveBeenCalledWith('user-123', {
+        conversationId: { $in: ['partial-1'] },
+      });
+      expect(savedConversations().map((c) => c.title)).toEqual(['Chat 2', 'Chat 3']);
+      expect(recordImportJobProgress).toHaveBeenCalledWith(
+        'job-1',
+        expect.any(String),
+        expect.objectContaining({ processedCount: 4, imported: 2 }),
+      );
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'completed',
+      });
+    });
+
+    it('should import object-based exports in one pass', async () => {
+      const filepath = writeFile(
+        'librechat.json',
+        fs.readFileSync(path.join(__dirname, '__data__', 'librechat-export.json'), 'utf8'),
+      );
+      const job = mockJob(filepath);
+
+      await runImportJob('job-1');
+
+      expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+      expect(recordImportJobProgress).toHaveBeenCalledWith('job-1', job.leaseOwner, {
+        processedCount: 1,
+        bytesProcessed: job.fileSize,
+        contentSize: job.fileSize,
+        imported: 1,
+        failures: [],
+      });
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'completed',
+      });
+    });
+
+    it('should mark the job as failed when the file is truncated', async () => {
+      const filepath = writeFile('truncated.json', '[{"name":"a","chat_messages":[]}');
+      mockJob(filepath);
+
+      await runImportJob('job-1');
+
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'failed',
+        error: 'Unexpected end of JSON array',
+      });
+      expect(fs.existsSync(filepath)).toBe(false);
+    });
+
+    it('should stop without finishing the job once its lease is lost', async () => {
+      const data = Array.from({ length: IMPORT_BATCH_SIZE * 2 }, (_, i) =>
+        claudeConversation(`Chat ${i}`),
+      );
+      const filepath = writeFile('lease-lost.json', data);
+      mockJob(filepath);
+      recordImportJobProgress.mockResolvedValueOnce(false);
+
+      await runImportJob('job-1');
+
+      expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+      expect(setImportJobPending).toHaveBeenCalledTimes(1);
+      expect(finishImportJob).not.toHaveBeenCalled();
+      expect(fs.existsSync(filepath)).toBe(true);
+    });
+
+    it('should renew its lease until the job ends', async () => {
+      const setIntervalSpy = jest.spyOn(global, 'setInterval');
+      const clearIntervalSpy = jest.spyOn(global, 'clearInterval');
+      const filepath = writeFile('heartbeat.json', [claudeConversation('Heartbeat')]);
+      const job = mockJob(filepath);
+
+      try {
+        await runImportJob('job-1');
+
+        const call = setIntervalSpy.mock.calls.find(([, ms]) => ms === LEASE_HEARTBEAT_MS);
+        const heartbeat = setIntervalSpy.mock.results[setIntervalSpy.mock.calls.indexOf(call)];
+        expect(clearIntervalSpy).toHaveBeenCalledWith(heartbeat.value);
+        call[0]();
+        expect(renewImportJobLease).toHaveBeenCalledWith('job-1', job.leaseOwner);
+      } finally {
+        setIntervalSpy.mockRestore();
+        clearIntervalSpy.mockRestore();
+      }
+    });
+
+    it('should do nothing when the job cannot be claimed', async () => {
+      claimImportJob.mockResolvedValue(null);
+
+      await runImportJob('job-1');
+
+      expect(bulkSaveConvos).not.toHaveBeenCalled();
+      expect(finishImportJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueueImportJob', () => {
+    it('should create a job and process it in the background', async () => {
+      const filepath = writeFile('enqueue.json', [claudeConversation('Queued')]);
+      createImportJob.mockImplementation(async (data) => ({ ...data, status: 'pending' }));
+      mockJob(filepath);
+
+      const job = await enqueueImportJob({
+        filepath,
+        filename: 'conversations.json',
+        fileSize: 100,
+        requestUserId: 'user-123',
+        userRole: 'USER',
+      });
+
+      expect(job).toEqual(
+        expect.objectContaining({
+          jobId: expect.any(String),
+          user: 'user-123',
+          userRole: 'USER',
+          filename: 'conversations.json',
+          status: 'pending',
+        }),
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(claimImportJob).toHaveBeenCalledWith(job.jobId, expect.any(String), undefined);
+    });
+  });
+
+  describe('resumeImportJobs', () => {
+    it('should rerun stale jobs in their tenant context', async () => {
+      const { getTenantId } = require('@librechat/data-schemas');
+      const filepath = writeFile('stale.json', [claudeConversation('Stale')]);
+      getStaleImportJobs.mockResolvedValue([
+        { jobId: 'job-1', user: 'user-123', tenantId: 'tenant-a', processedCount: 0 },
+      ]);
+      let tenantId;
+      claimImportJob.mockImplementation(async () => {
+        tenantId = getTenantId();
+        return { jobId: 'job-1', user: 'user-123', filepath, processedCount: 0 };
+      });
+
+      await resumeImportJobs();
+
+      const [staleBefore] = getStaleImportJobs.mock.calls[0];
+      expect(staleBefore).toBeInstanceOf(Date);
+      expect(claimImportJob).toHaveBeenCalledWith('job-1', expect.any(String), staleBefore);
+      expect(tenantId).toBe('tenant-a');
+      expect(finishImportJob).toHaveBeenCalledWith('job-1', expect.any(String), {
+        status: 'completed',
+      });
+    });
+  });
+});
@@ -5,6 +5,7 @@ const { getEndpointsConfig } = require('~/server/services/Config');
 const { createImportBatchBuilder } = require('./importBatchBuilder');
 const { resolveImportDefaultModel } = require('./defaults');
 const { cloneMessagesWithTimestamps } = require('./fork');
+const { getAssetPointerId } = require('./importAssets');
 
 /**
  * Returns the appropriate importer function based on the provided JSON data.
@@ -14,13 +15,33 @@ const { cloneMessagesWithTimestamps } = require('./fork');
  * @throws {Error} - If the import type is not supported.
  */
 function getImporter(jsonData) {
-  // For array-based formats (ChatGPT or Claude)
+  // For array-based formats (ChatGPT, Claude, Gemini, Open WebUI or Copilot)
   if (Array.isArray(jsonData)) {
+    // LibreChat bulk export is an array of LibreChat conversations
+    if (jsonData.length > 0 && isLibreChatConvo(jsonData[0])) {
+      logger.info('Importing LibreChat conversations');
+      return importLibreChatConvos;
+    }
     // Claude format has chat_messages array in each conversation
     if (jsonData.length > 0 && jsonData[0]?.chat_messages) {
       logger.info('Importing Claude conversation');
       return importClaudeConvo;
     }
+    // Gemini Takeout activity has a product list and a timestamp in each entry
+    if (jsonData.length > 0 && isGeminiActivity(jsonData[0])) {
+      logger.info('Importing Gemini conversations');
+      return importGeminiConvo;
+    }
+    // Open WebUI format has a chat object with a message history in each entry
+    if (jsonData.length > 0 && isOpenWebUIChat(jsonData[0])) {
+      logger.info('Importing Open WebUI conversations');
+      return importOpenWebUIConvo;
+    }
+    // Copilot format has messages with an author in each conversation
+    if (jsonData.length > 0 && isCopilotConversation(jsonData[0])) {
+      logger.info('Importing Copilot conversations');
+      return importCopilotConvo;
+    }
     // ChatGPT format has mapping object in each conversation
     logger.info('Importing ChatGPT conversation');
     return importChatGptConvo;
@@ -33,14 +54,90 @@ function getImporter(jsonData) {
   }
 
   // For LibreChat
-  if (jsonData.conversationId && (jsonData.messagesTree || jsonData.messages)) {
+  if (isLibreChatConvo(jsonData)) {
     logger.info('Importing LibreChat conversation');
     return importLibreChatConvo;
   }
 
+  // For Copilot exports wrapping their conversations in an object
+  if (Array.isArray(jsonData.conversations) && isCopilotConversation(jsonData.conversations[0])) {
+    logger.info('Importing Copilot conversations');
+    return importCopilotConvo;
+  }
+
   throw new Error('Unsupported import type');
 }
 
+/**
+ * Returns a function that adds a single entry of an array-based export to a batch builder.
+ * Used by streaming imports, which process one conversation at a time instead of the whole file.
+ *
+ * @param {Object} entry - A single conversation from an array-based export.
+ * @returns {(entry: Object, importBatchBuilder: ImportBatchBuilder, context: {
+ *   requestUserId: string,
+ *   userRole?: string,
+ *   getDefaultModel: (endpoint: string) => Promise<string>,
+ *   assetStore?: ImportAssetStore,
+ * }) => Promise<void>} - The conversation processor.
+ */
+function getConversationProcessor(entry) {
+  if (isLibreChatConvo(entry)) {
+    return (convo, importBatchBuilder, { requestUserId, userRole }) =>
+      processLibreChatConvo(convo, importBatchBuilder, requestUserId, userRole);
+  }
+  if (entry?.chat_messages) {
+    return async (conv, importBatchBuilder, { requestUserId, getDefaultModel }) => {
+      const defaultModel = await getDefaultModel(EModelEndpoint.anthropic);
+      processClaudeConversation(conv, importBatchBuilder, requestUserId, defaultModel);
+    };
+  }
+  const converted = getConvertedProcessorOptions(entry);
+  if (converted) {
+    const { endpoint, toConvo } = converted;
+    return async (exportEntry, importBatchBuilder, { requestUserId, getDefaultModel }) => {
+      const conv = toConvo(exportEntry);
+      if (conv) {
+        const defaultModel = await getDefaultModel(endpoint);
+        processConversation(conv, importBatchBuilder, requestUserId, defaultModel, { endpoint });
+      }
+    };
+  }
+  return async (conv, importBatchBuilder, { requestUserId, getDefaultModel, assetStore }) => {
+    const defaultModel = await getDefaultModel(EModelEndpoint.openAI);
+    const files = assetStore ? await assetStore.getFiles(conv) : undefined;
+    processConversation(conv, importBatchBuilder, requestUserId, defaultModel, { files });
+  };
+}
+
+/**
+ * Returns how to convert a single entry of a Gemini, Open WebUI or Copilot export
+ * into a ChatGPT conversation, or null if the entry is in another format.
+ *
+ * @param {Object} entry - A single conversation from an array-based export.
+ * @returns {{ endpoint: string, toConvo: (entry: Object) => ChatGPTConvo | null } | null}
+ */
+function getConvertedProcessorOptions(entry) {
+  if (isGeminiActivity(entry)) {
+    return { endpoint: EModelEndpoint.google, toConvo: geminiActivityToConvo };
+  }
+  if (isOpenWebUIChat(entry)) {
+    return { endpoint: EModelEndpoint.openAI, toConvo: openWebUIChatToConvo };
+  }
+  if (isCopilotConversation(entry)) {
+    return { endpoint: EModelEndpoint.openAI, toConvo: copilotConversationToConvo };
+  }
+  return null;
+}
+
+/**
+ * Checks whether the given object is a LibreChat conversation export.
+ * @param {Object} jsonData - The JSON data to check.
+ * @returns {boolean}
+ */
+function isLibreChatConvo(jsonData) {
+  return Boolean(jsonData?.conversationId && (jsonData.messagesTree || jsonData.messages));
+}
+
 /**
  * Imports a chatbot-ui V1  conversation from a JSON file and saves it to the database.
  *
@@ -133,71 +230,84 @@ async function importClaudeConvo(
     });
 
     for (const conv of jsonData) {
-      importBatchBuilder.startConversation(EModelEndpoint.anthropic);
+      processClaudeConversation(conv, importBatchBuilder, requestUserId, defaultModel);
+    }
+
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Claude conversation imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Claude file`, error);
+  }
+}
 
-      let lastMessageId = Constants.NO_PARENT;
-      let lastTimestamp = null;
+/**
+ * Adds a single Claude conversation and its messages to the batch builder.
+ *
+ * @param {Object} conv - A Claude conversation object with a `chat_messages` array.
+ * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {string} [defaultModel] - Resolved default model for the anthropic endpoint.
+ * @returns {void}
+ */
+function processClaudeConversation(conv, importBatchBuilder, requestUserId, defaultModel) {
+  importBatchBuilder.startConversation(EModelEndpoint.anthropic);
 
-      for (const msg of conv.chat_messages || []) {
-        const isCreatedByUser = msg.sender === 'human';
-        const messageId = uuidv4();
+  let lastMessageId = Constants.NO_PARENT;
+  let lastTimestamp = null;
 
-        const { textContent, thinkingContent } = extractClaudeContent(msg);
+  for (const msg of conv.chat_messages || []) {
+    const isCreatedByUser = msg.sender === 'human';
+    const messageId = uuidv4();
 
-        // Skip empty messages
-        if (!textContent && !thinkingContent) {
-          continue;
-        }
+    const { textContent, thinkingContent } = extractClaudeContent(msg);
 
-        // Parse timestamp, fallback to conversation create_time or current time
-        const messageTime = msg.created_at || conv.created_at;
-        let createdAt = messageTime ? new Date(messageTime) : new Date();
+    // Skip empty messages
+    if (!textContent && !thinkingContent) {
+      continue;
+    }
 
-        // Ensure timestamp is after the previous message.
-        // Messages are sorted by createdAt and buildTree expects parents to appear before children.
-        // This guards against any potential ordering issues in exports.
-        if (lastTimestamp && createdAt <= lastTimestamp) {
-          createdAt = new Date(lastTimestamp.getTime() + 1);
-        }
-        lastTimestamp = createdAt;
-
-        const message = {
-          messageId,
-          parentMessageId: lastMessageId,
-          text: textContent,
-          sender: isCreatedByUser ? 'user' : 'Claude',
-          isCreatedByUser,
-          user: requestUserId,
-          endpoint: EModelEndpoint.anthropic,
-          createdAt,
-        };
+    // Parse timestamp, fallback to conversation create_time or current time
+    const messageTime = msg.created_at || conv.created_at;
+    let createdAt = messageTime ? new Date(messageTime) : new Date();
 
-        // Add content array with thinking if present
-        if (thinkingContent && !isCreatedByUser) {
-          message.content = [
-            { type: 'think', think: thinkingContent },
-            { type: 'text', text: textContent },
-          ];
-        }
+    // Ensure timestamp is after the previous message.
+    // Messages are sorted by createdAt and buildTree expects parents to appear before children.
+    // This guards against any potential ordering issues in exports.
+    if (lastTimestamp && createdAt <= lastTimestamp) {
+      createdAt = new Date(lastTimestamp.getTime() + 1);
+    }
+    lastTimestamp = createdAt;
 
-        importBatchBuilder.saveMessage(message);
-        lastMessageId = messageId;
-      }
+    const message = {
+      messageId,
+      parentMessageId: lastMessageId,
+      text: textContent,
+      sender: isCreatedByUser ? 'user' : 'Claude',
+      isCreatedByUser,
+      user: requestUserId,
+      endpoint: EModelEndpoint.anthropic,
+      createdAt,
+    };
 
-      const createdAt = conv.created_at ? new Date(conv.created_at) : new Date();
-      importBatchBuilder.finishConversation(
-        conv.name || 'Imported Claude Chat',
-        createdAt,
-        {},
-        defaultModel,
-      );
+    // Add content array with thinking if present
+    if (thinkingContent && !isCreatedByUser) {
+      message.content = [
+        { type: 'think', think: thinkingContent },
+        { type: 'text', text: textContent },
+      ];
     }
 
-    await importBatchBuilder.saveBatch();
-    logger.info(`user: ${requestUserId} | Claude conversation imported`);
-  } catch (error) {
-    logger.error(`user: ${requestUserId} | Error creating conversation from Claude file`, error);
+    importBatchBuilder.saveMessage(message);
+    lastMessageId = messageId;
   }
+
+  const createdAt = conv.created_at ? new Date(conv.created_at) : new Date();
+  importBatchBuilder.finishConversation(
+    conv.name || 'Imported Claude Chat',
+    createdAt,
+    {},
+    defaultModel,
+  );
 }
 
 /**
@@ -217,94 +327,127 @@ async function importLibreChatConvo(
   try {
     /** @type {ImportBatchBuilder} */
     const importBatchBuilder = builderFactory(requestUserId);
-    const options = jsonData.options || {};
+    await processLibreChatConvo(jsonData, importBatchBuilder, requestUserId, userRole);
+    await importBatchBuilder.saveBatch();
+    logger.debug(`user: ${requestUserId} | Conversation "${jsonData.title}" imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from LibreChat file`, error);
+  }
+}
 
-    /* Endpoint configuration */
-    let endpoint = jsonData.endpoint ?? options.endpoint ?? EModelEndpoint.openAI;
-    const endpointsConfig = await getEndpointsConfig({
-      user: { id: requestUserId, role: userRole, tenantId: getTenantId() },
-    });
-    const endpointConfig = endpointsConfig?.[endpoint];
-    if (!endpointConfig && endpointsConfig) {
-      endpoint = Object.keys(endpointsConfig)[0];
-    } else if (!endpointConfig) {
-      endpoint = EModelEndpoint.openAI;
-    }
+/**
+ * Adds a single LibreChat conversation export and its messages to the batch builder.
+ *
+ * @param {Object} jsonData - The JSON data representing the conversation.
+ * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance.
+ * @param {string} requestUserId - The ID of the user making the import request.
+ * @param {string} [userRole] - The role of the user making the import request.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the conversation has no messages to import.
+ */
+async function processLibreChatConvo(jsonData, importBatchBuilder, requestUserId, userRole) {
+  const options = jsonData.options || {};
+
+  /* Endpoint configuration */
+  let endpoint = jsonData.endpoint ?? options.endpoint ?? EModelEndpoint.openAI;
+  const endpointsConfig = await getEndpointsConfig({
+    user: { id: requestUserId, role: userRole, tenantId: getTenantId() },
+  });
+  const endpointConfig = endpointsConfig?.[endpoint];
+  if (!endpointConfig && endpointsConfig) {
+    endpoint = Object.keys(endpointsConfig)[0];
+  } else if (!endpointConfig) {
+    endpoint = EModelEndpoint.openAI;
+  }
 
-    importBatchBuilder.startConversation(endpoint);
+  importBatchBuilder.startConversation(endpoint);
+
+  const defaultModel = await resolveImportDefaultModel({
+    endpoint,
+    requestUserId,
+    userRole,
+  });
+
+  let firstMessageDate = null;
+
+  const messagesToImport = jsonData.messagesTree || jsonData.messages;
+
+  if (jsonData.recursive) {
+    /**
+     * Flatten the recursive message tree into a flat array
+     * @param {TMessage[]} messages
+     * @param {string} parentMessageId
+     * @param {TMessage[]} flatMessages
+     */
+    const flattenMessages = (
+      messages,
+      parentMessageId = Constants.NO_PARENT,
+      flatMessages = [],
+    ) => {
+      for (const message of messages) {
+        if (!message.text && !message.content) {
+          continue;
+        }
 
-    const defaultModel = await resolveImportDefaultModel({
-      endpoint,
-      requestUserId,
-      userRole,
-    });
+        const flatMessage = {
+          ...message,
+          parentMessageId: parentMessageId,
+          children: undefined, // Remove children from flat structure
+        };
+        flatMessages.push(flatMessage);
 
-    let firstMessageDate = null;
-
-    const messagesToImport = jsonData.messagesTree || jsonData.messages;
-
-    if (jsonData.recursive) {
-      /**
-       * Flatten the recursive message tree into a flat array
-       * @param {TMessage[]} messages
-       * @param {string} parentMessageId
-       * @param {TMessage[]} flatMessages
-       */
-      const flattenMessages = (
-        messages,
-        parentMessageId = Constants.NO_PARENT,
-        flatMessages = [],
-      ) => {
-        for (const message of messages) {
-          if (!message.text && !message.content) {
-            continue;
-          }
-
-          const flatMessage = {
-            ...message,
-            parentMessageId: parentMessageId,
-            children: undefined, // Remove children from flat structure
-          };
-          flatMessages.push(flatMessage);
-
-          if (!firstMessageDate && message.createdAt) {
-            firstMessageDate = new Date(message.createdAt);
-          }
-
-          if (message.children && message.children.length > 0) {
-            flattenMessages(message.children, message.messageId, flatMessages);
-          }
-        }
-        return flatMessages;
-      };
-
-      const flatMessages = flattenMessages(messagesToImport);
-      cloneMessagesWithTimestamps(flatMessages, importBatchBuilder);
-    } else if (messagesToImport) {
-      cloneMessagesWithTimestamps(messagesToImport, importBatchBuilder);
-      for (const message of messagesToImport) {
         if (!firstMessageDate && message.createdAt) {
           firstMessageDate = new Date(message.createdAt);
         }
+
+        if (message.children && message.children.length > 0) {
+          flattenMessages(message.children, message.messageId, flatMessages);
+        }
       }
-    } else {
-      throw new Error('Invalid LibreChat file format');
-    }
+      return flatMessages;
+    };
 
-    if (firstMessageDate === 'Invalid Date') {
-      firstMessageDate = null;
+    const flatMessages = flattenMessages(messagesToImport);
+    cloneMessagesWithTimestamps(flatMessages, importBatchBuilder);
+  } else if (messagesToImport) {
+    cloneMessagesWithTimestamps(messagesToImport, importBatchBuilder);
+    for (const message of messagesToImport) {
+      if (!firstMessageDate && message.createdAt) {
+        firstMessageDate = new Date(message.createdAt);
+      }
     }
+  } else {
+    throw new Error('Invalid LibreChat file format');
+  }
 
-    importBatchBuilder.finishConversation(
-      jsonData.title,
-      firstMessageDate ?? new Date(),
-      options,
-      defaultModel,
-    );
-    await importBatchBuilder.saveBatch();
-    logger.debug(`user: ${requestUserId} | Conversation "${jsonData.title}" imported`);
-  } catch (error) {
-    logger.error(`user: ${requestUserId} | Error creating conversation from LibreChat file`, error);
+  if (firstMessageDate === 'Invalid Date') {
+    firstMessageDate = null;
+  }
+
+  importBatchBuilder.finishConversation(
+    jsonData.title,
+    firstMessageDate ?? new Date(),
+    options,
+    defaultModel,
+  );
+}
+
+/**
+ * Imports multiple LibreChat conversations, as produced by the bulk conversation export.
+ *
+ * @param {Object[]} jsonData - Array of LibreChat conversation exports.
+ * @param {string} requestUserId - The ID of the user making the import request.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @returns {Promise<void>} - A promise that resolves when all conversations are imported.
+ */
+async function importLibreChatConvos(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  for (const convo of jsonData) {
+    await importLibreChatConvo(convo, requestUserId, builderFactory, userRole);
   }
 }
 
@@ -315,6 +458,8 @@ async function importLibreChatConvo(
  * @param {ChatGPTConvo[]} jsonData - Array of conversation objects to be imported.
  * @param {string} requestUserId - The ID of the user who initiated the import process.
  * @param {Function} builderFactory - Factory function to create a new import batch builder instance, defaults to createImportBatchBuilder.
+ * @param {string} [userRole] - The role of the user who initiated the import process.
+ * @param {{ assetStore?: ImportAssetStore }} [importOptions] - Store for the assets of an uploaded export archive.
  * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
  */
 async function importChatGptConvo(
@@ -322,6 +467,7 @@ async function importChatGptConvo(
   requestUserId,
   builderFactory = createImportBatchBuilder,
   userRole,
+  { assetStore } = {},
 ) {
   try {
     const importBatchBuilder = builderFactory(requestUserId);
@@ -331,7 +477,8 @@ async function importChatGptConvo(
       userRole,
     });
     for (const conv of jsonData) {
-      processConversation(conv, importBatchBuilder, requestUserId, defaultModel);
+      const files = assetStore ? await assetStore.getFiles(conv) : undefined;
+      processConversation(conv, importBatchBuilder, requestUserId, defaultModel, { files });
     }
     await importBatchBuilder.saveBatch();
   } catch (error) {
@@ -346,11 +493,20 @@ async function importChatGptConvo(
  * @param {ChatGPTConvo} conv - A single conversation object that contains multiple messages and other details.
  * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance used to manage and batch conversation data.
  * @param {string} requestUserId - The ID of the user who initiated the import process.
- * @param {string} [defaultModel] - Resolved default model for the openAI endpoint.
+ * @param {string} [defaultModel] - Resolved default model for the conversation's endpoint.
+ * @param {Object} [options]
+ * @param {Map<string, Partial<MongoFile>>} [options.files] - Imported archive assets keyed by asset ID, attached to the messages referencing them.
+ * @param {string} [options.endpoint=EModelEndpoint.openAI] - The endpoint to import the conversation under.
  * @returns {void}
  */
-function processConversation(conv, importBatchBuilder, requestUserId, defaultModel) {
-  importBatchBuilder.startConversation(EModelEndpoint.openAI);
+function processConversation(
+  conv,
+  importBatchBuilder,
+  requestUserId,
+  defaultModel,
+  { files, endpoint = EModelEndpoint.openAI } = {},
+) {
+  importBatchBuilder.startConversation(endpoint);
 
   // Map all message IDs to new UUIDs
   const messageMap = new Map();
@@ -469,7 +625,7 @@ function processConversation(conv, importBatchBuilder, requestUserId, defaultMod
     const newMessageId = messageMap.get(id);
     const parentMessageId = findValidParent(mapping.parent);
 
-    const messageText = formatMessageText(mapping.message);
+    const messageText = formatMessageText(mapping.message, files);
 
     const isCreatedByUser = role === 'user';
     let sender = isCreatedByUser ? 'user' : 'assistant';
@@ -499,10 +655,15 @@ function processConversation(conv, importBatchBuilder, requestUserId, defaultMod
       isCreatedByUser,
       model,
       user: requestUserId,
-      endpoint: EModelEndpoint.openAI,
+      endpoint,
       createdAt,
     };
 
+    const messageFiles = getMessageFiles(mapping.message, files);
+    if (messageFiles.length > 0) {
+      message.files = messageFiles;
+    }
+
     // For assistant messages, check if there's thinking content in the parent chain
     if (!isCreatedByUser) {
       const thinkingContent = findThinkingContent(mapping.parent);
@@ -532,6 +693,359 @@ function processConversation(conv, importBatchBuilder, requestUserId, defaultMod
   );
 }
 
+/** Products under which Google Takeout files Gemini Apps (formerly Bard) activity */
+const GEMINI_PRODUCTS = ['Gemini Apps', 'Bard'];
+
+/** Prefix of Gemini activity titles holding the user's prompt */
+const GEMINI_PROMPT_PREFIX = 'Prompted ';
+
+/** Copilot message authors that represent the user */
+const COPILOT_USER_AUTHORS = ['user', 'human'];
+
+/** Maximum length of titles derived from a prompt, for exports without conversation titles */
+const MAX_DERIVED_TITLE_LENGTH = 80;
+
+/**
+ * Checks whether the given object is an activity entry from a Google Takeout
+ * Gemini export (`My Activity/Gemini Apps/MyActivity.json`).
+ * @param {Object} jsonData - The JSON data to check.
+ * @returns {boolean}
+ */
+function isGeminiActivity(jsonData) {
+  return (
+    typeof jsonData?.time === 'string' &&
+    Array.isArray(jsonData.products) &&
+    jsonData.products.some((product) => GEMINI_PRODUCTS.includes(product))
+  );
+}
+
+/**
+ * Checks whether the given object is a chat from an Open WebUI export.
+ * @param {Object} jsonData - The JSON data to check.
+ * @returns {boolean}
+ */
+function isOpenWebUIChat(jsonData) {
+  const chat = jsonData?.chat;
+  return Boolean(chat?.history?.messages || Array.isArray(chat?.messages));
+}
+
+/**
+ * Checks whether the given object is a conversation from a Microsoft Copilot export.
+ * @param {Object} jsonData - The JSON data to check.
+ * @returns {boolean}
+ */
+function isCopilotConversation(jsonData) {
+  return Array.isArray(jsonData?.messages) && typeof jsonData.messages[0]?.author === 'string';
+}
+
+/**
+ * Converts a timestamp in seconds, milliseconds or ISO format to Unix seconds.
+ * @param {number | string} [value]
+ * @returns {number | undefined}
+ */
+function toUnixSeconds(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value > 1e11 ? value / 1000 : value;
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? undefined : time / 1000;
+}
+
+/**
+ * Converts the HTML of a Gemini response to plain text, keeping paragraph and list breaks.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|pre|blockquote|table|tr)>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] !== '#') {
+        return namedEntities[entity.toLowerCase()] ?? match;
+      }
+      const codePoint =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Derives a conversation title from the first line of a prompt.
+ * @param {string} prompt
+ * @returns {string}
+ */
+function getTitleFromPrompt(prompt) {
+  const [firstLine] = prompt.trim().split('\n');
+  return firstLine.length > MAX_DERIVED_TITLE_LENGTH
+    ? `${firstLine.slice(0, MAX_DERIVED_TITLE_LENGTH - 3)}...`
+    : firstLine;
+}
+
+/**
+ * Creates a node of a ChatGPT conversation mapping, so that other exports can be
+ * imported through `processConversation`.
+ *
+ * @param {Object} params
+ * @param {string} params.id - The ID of the message within the export.
+ * @param {string | null} params.parent - The ID of the parent message.
+ * @param {string} params.role - The author role (`user`, `assistant` or `system`).
+ * @param {string} params.text - The text of the message.
+ * @param {number} [params.createTime] - Unix timestamp in seconds.
+ * @param {string} [params.model] - The model that generated the message.
+ * @returns {Object} The mapping node.
+ */
+function createMappingNode({ id, parent, role, text, createTime, model }) {
+  return {
+    id,
+    parent,
+    message: {
+      id,
+      author: { role },
+      create_time: createTime,
+      content: { content_type: 'text', parts: [text] },
+      metadata: model ? { model_slug: model } : {},
+    },
+  };
+}
+
+/**
+ * Creates a ChatGPT conversation mapping from a linear list of messages, skipping empty ones.
+ * @param {Array<{ role: string, text: string, createTime?: number, model?: string }>} messages
+ * @returns {Record<string, Object>} The mapping.
+ */
+function createLinearMapping(messages) {
+  const mapping = {};
+  let parent = null;
+  for (const message of messages) {
+    if (!message.text) {
+      continue;
+    }
+    const id = `message-${Object.keys(mapping).length}`;
+    mapping[id] = createMappingNode({ ...message, id, parent });
+    parent = id;
+  }
+  return mapping;
+}
+
+/**
+ * Converts a Gemini Takeout activity to a ChatGPT conversation. Takeout records each
+ * prompt as a separate activity without a conversation ID, so each becomes its own conversation.
+ *
+ * @param {Object} activity - A Gemini activity entry.
+ * @returns {ChatGPTConvo | null} The conversation, or null for activity without a prompt and response.
+ */
+function geminiActivityToConvo(activity) {
+  const title = typeof activity.title === 'string' ? activity.title : '';
+  const prompt = (
+    title.startsWith(GEMINI_PROMPT_PREFIX) ? title.slice(GEMINI_PROMPT_PREFIX.length) : title
+  ).trim();
+  const response = (activity.safeHtmlItem ?? [])
+    .map((item) => htmlToText(item?.html ?? ''))
+    .filter(Boolean)
+    .join('\n\n');
+  if (!prompt || !response) {
+    return null;
+  }
+
+  const createTime = toUnixSeconds(activity.time) ?? Date.now() / 1000;
+  return {
+    title: getTitleFromPrompt(prompt),
+    create_time: createTime,
+    mapping: createLinearMapping([
+      { role: 'user', text: prompt, createTime },
+      { role: 'assistant', text: response, createTime },
+    ]),
+  };
+}
+
+/**
+ * Converts an Open WebUI chat to a ChatGPT conversation, keeping its branches.
+ * @param {Object} entry - An Open WebUI chat entry.
+ * @returns {ChatGPTConvo} The conversation.
+ */
+function openWebUIChatToConvo(entry) {
+  const { chat } = entry;
+  const messages =
+    chat.history?.messages ??
+    Object.fromEntries(chat.messages.filter(Boolean).map((message) => [message.id, message]));
+
+  const mapping = {};
+  for (const [id, message] of Object.entries(messages)) {
+    if (!message) {
+      continue;
+    }
+    mapping[id] = createMappingNode({
+      id,
+      parent: message.parentId ?? null,
+      role: message.role,
+      text: typeof message.content === 'string' ? message.content : '',
+      createTime: toUnixSeconds(message.timestamp),
+      model: message.model,
+    });
+  }
+
+  return {
+    title: entry.title || chat.title || 'Imported Open WebUI Chat',
+    create_time: toUnixSeconds(entry.created_at ?? chat.timestamp) ?? Date.now() / 1000,
+    mapping,
+  };
+}
+
+/**
+ * Returns the text of a Copilot message, which holds either a string or text parts.
+ * @param {Object} message - A Copilot message.
+ * @returns {string}
+ */
+function getCopilotText(message) {
+  const content = message.text ?? message.content;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part === 'string' ? part : part?.text))
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Converts a Microsoft Copilot conversation to a ChatGPT conversation.
+ * @param {Object} conversation - A Copilot conversation with a `messages` array.
+ * @returns {ChatGPTConvo} The conversation.
+ */
+function copilotConversationToConvo(conversation) {
+  const messages = conversation.messages.filter(Boolean).map((message) => ({
+    role: COPILOT_USER_AUTHORS.includes(String(message.author).toLowerCase())
+      ? 'user'
+      : 'assistant',
+    text: getCopilotText(message),
+    createTime: toUnixSeconds(message.createdAt ?? message.timestamp),
+  }));
+
+  return {
+    title: conversation.title || 'Imported Copilot Chat',
+    create_time:
+      toUnixSeconds(conversation.createdAt ?? messages[0]?.createTime) ?? Date.now() / 1000,
+    mapping: createLinearMapping(messages),
+  };
+}
+
+/**
+ * Imports conversations from an export whose entries are converted to ChatGPT conversations.
+ *
+ * @param {Object[]} entries - The conversations of the export.
+ * @param {Object} params
+ * @param {string} params.source - The name of the export source, for logging.
+ * @param {string} params.endpoint - The endpoint to import the conversations under.
+ * @param {(entry: Object) => ChatGPTConvo | null} params.toConvo - Converts an entry.
+ * @param {string} params.requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} params.builderFactory - Factory function to create a new import batch builder instance.
+ * @param {string} [params.userRole] - The role of the user who initiated the import process.
+ * @returns {Promise<void>}
+ */
+async function importConvertedConvos(
+  entries,
+  { source, endpoint, toConvo, requestUserId, builderFactory, userRole },
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    const defaultModel = await resolveImportDefaultModel({ endpoint, requestUserId, userRole });
+    for (const entry of entries) {
+      const conv = toConvo(entry);
+      if (conv) {
+        processConversation(conv, importBatchBuilder, requestUserId, defaultModel, { endpoint });
+      }
+    }
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | ${source} conversations imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from ${source} file`, error);
+  }
+}
+
+/**
+ * Imports Gemini conversations from a Google Takeout `MyActivity.json` file.
+ *
+ * @param {Object[]} jsonData - Array of Gemini activity entries.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - Factory function to create a new import batch builder instance.
+ * @param {string} [userRole] - The role of the user who initiated the import process.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importGeminiConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  await importConvertedConvos(jsonData, {
+    source: 'Gemini',
+    endpoint: EModelEndpoint.google,
+    toConvo: geminiActivityToConvo,
+    requestUserId,
+    builderFactory,
+    userRole,
+  });
+}
+
+/**
+ * Imports Open WebUI chats from an exported JSON file.
+ *
+ * @param {Object[]} jsonData - Array of Open WebUI chat entries.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - Factory function to create a new import batch builder instance.
+ * @param {string} [userRole] - The role of the user who initiated the import process.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importOpenWebUIConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  await importConvertedConvos(jsonData, {
+    source: 'Open WebUI',
+    endpoint: EModelEndpoint.openAI,
+    toConvo: openWebUIChatToConvo,
+    requestUserId,
+    builderFactory,
+    userRole,
+  });
+}
+
+/**
+ * Imports Microsoft Copilot conversations, given either as an array or under a `conversations` key.
+ *
+ * @param {Object[] | { conversations: Object[] }} jsonData - The Copilot export.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - Factory function to create a new import batch builder instance.
+ * @param {string} [userRole] - The role of the user who initiated the import process.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importCopilotConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  await importConvertedConvos(Array.isArray(jsonData) ? jsonData : jsonData.conversations, {
+    source: 'Copilot',
+    endpoint: EModelEndpoint.openAI,
+    toConvo: copilotConversationToConvo,
+    requestUserId,
+    builderFactory,
+    userRole,
+  });
+}
+
 /**
  * Processes text content of messages authored by an assistant, inserting citation links as required.
  * Uses citation start and end indices to place links at the correct positions.
@@ -569,12 +1083,45 @@ function processAssistantMessage(messageData, messageText) {
   return result;
 }
 
+/**
+ * Returns the imported files referenced by a message's image parts and attachments.
+ * @param {ChatGPTMessage} messageData - The message data.
+ * @param {Map<string, Partial<MongoFile>>} [files] - Imported archive assets keyed by asset ID.
+ * @returns {Partial<MongoFile>[]} - The files to attach to the message.
+ */
+function getMessageFiles(messageData, files) {
+  if (!files?.size) {
+    return [];
+  }
+
+  const assetIds = new Set();
+  for (const part of messageData.content?.parts ?? []) {
+    if (part && typeof part === 'object' && part.asset_pointer) {
+      assetIds.add(getAssetPointerId(part.asset_pointer));
+    }
+  }
+  for (const attachment of messageData.metadata?.attachments ?? []) {
+    assetIds.add(attachment?.id);
+  }
+
+  const messageFiles = [];
+  for (const assetId of assetIds) {
+    const file = files.get(assetId);
+    if (file) {
+      messageFiles.push(file);
+    }
+  }
+  return messageFiles;
+}
+
 /**
  * Formats the text content of a message based on its content type and author role.
+ * Image parts whose asset was imported are left out, as they are attached to the message instead.
  * @param {ChatGPTMessage} messageData - The message data.
+ * @param {Map<string, Partial<MongoFile>>} [files] - Imported archive assets keyed by asset ID.
  * @returns {string} - The formatted message text.
  */
-function formatMessageText(messageData) {
+function formatMessageText(messageData, files) {
   const contentType = messageData.content.content_type;
   const isText = contentType === 'text';
   let messageText = '';
@@ -589,6 +1136,8 @@ function formatMessageText(messageData) {
     for (const part of messageData.content.parts) {
       if (typeof part === 'string') {
         messageText += part + ' ';
+      } else if (part?.asset_pointer && files?.has(getAssetPointerId(part.asset_pointer))) {
+        continue;
       } else if (typeof part === 'object') {
         messageText = `\`\`\`json\n${JSON.stringify(part, null, 2)}\n\`\`\`\n`;
       }
@@ -686,4 +1235,4 @@ function breakParentCycles(messages) {
   }
 }
 
-module.exports = { getImporter, processAssistantMessage };
+module.exports = { getImporter, getConversationProcessor, processAssistantMessage };
@@ -6,7 +6,7 @@ const {
   openAISettings,
   anthropicSettings,
 } = require('librechat-data-provider');
-const { getImporter, processAssistantMessage } = require('./importers');
+const { getImporter, getConversationProcessor, processAssistantMessage } = require('./importers');
 const { ImportBatchBuilder } = require('./importBatchBuilder');
 const { bulkSaveMessages, bulkSaveConvos: _bulkSaveConvos } = require('~/models');
 
@@ -762,6 +762,67 @@ describe('importChatGptConvo', () => {
     expect(userMsg.createdAt).toEqual(new Date(1000 * 1000));
     expect(assistantMsg.createdAt).toEqual(new Date(2000 * 1000));
   });
+
+  it('should attach imported archive assets to the messages referencing them', async () => {
+    const testData = [
+      {
+        title: 'Image Test',
+        create_time: 1000,
+        mapping: {
+          'root-node': { id: 'root-node', message: null, parent: null, children: ['user-msg-1'] },
+          'user-msg-1': {
+            id: 'user-msg-1',
+            message: {
+              id: 'user-msg-1',
+              author: { role: 'user' },
+              create_time: 1000,
+              content: {
+                content_type: 'multimodal_text',
+                parts: [
+                  {
+                    content_type: 'image_asset_pointer',
+                    asset_pointer: 'file-service://file-Photo1',
+                    width: 640,
+                    height: 480,
+                  },
+                  'What is in this image?',
+                ],
+              },
+              metadata: {
+                attachments: [
+                  { id: 'file-Doc1', name: 'report.pdf', mime_type: 'application/pdf' },
+                ],
+              },
+            },
+            parent: 'root-node',
+            children: [],
+          },
+        },
+      },
+    ];
+    const photo = { file_id: 'photo-id', filename: 'photo.png', type: 'image/png' };
+    const doc = { file_id: 'doc-id', filename: 'report.pdf', type: 'application/pdf' };
+    const assetStore = {
+      getFiles: jest.fn().mockResolvedValue(
+        new Map([
+          ['file-Photo1', photo],
+          ['file-Doc1', doc],
+        ]),
+      ),
+    };
+
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+
+    const importer = getImporter(testData);
+    await importer(testData, requestUserId, () => importBatchBuilder, 'USER', { assetStore });
+
+    expect(assetStore.getFiles).toHaveBeenCalledWith(testData[0]);
+    const [[userMsg]] = importBatchBuilder.saveMessage.mock.calls;
+    expect(userMsg.text).toBe('What is in this image?');
+    expect(userMsg.files).toEqual([photo, doc]);
+  });
 });
 
 describe('importLibreChatConvo', () => {
@@ -1777,3 +1838,222 @@ describe('importClaudeConvo', () => {
     );
   });
 });
+
+describe('importGeminiConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'gemini-export.json'), 'utf8'),
+  );
+
+  it('should import each Takeout prompt as a conversation under the Google endpoint', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledTimes(2);
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.google);
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      1,
+      'How do I reverse a list in Python?',
+      new Date('2025-03-02T09:15:42.318Z'),
+      {},
+      expect.any(String),
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages).toHaveLength(4);
+    const [prompt, response, , haiku] = savedMessages;
+    expect(prompt.isCreatedByUser).toBe(true);
+    expect(prompt.text).toBe('How do I reverse a list in Python?');
+    expect(prompt.endpoint).toBe(EModelEndpoint.google);
+    expect(response.isCreatedByUser).toBe(false);
+    expect(response.parentMessageId).toBe(prompt.messageId);
+    expect(response.createdAt.getTime()).toBeGreaterThan(prompt.createdAt.getTime());
+    expect(response.text).toBe(
+      'You can reverse a list in place with list.reverse(), or create a reversed copy:\n\n' +
+        '- reversed_list = my_list[::-1]\n' +
+        '- reversed_list = list(reversed(my_list))\n\n' +
+        'Both leave the original list untouched & work on any sequence.',
+    );
+    expect(haiku.text).toBe(
+      "Crimson leaves descend\nWhispering to the cold earth\nSummer's last goodbye",
+    );
+  });
+
+  it('should truncate long prompts used as titles', async () => {
+    const prompt = 'Summarize '.repeat(20).trim();
+    const data = [{ ...jsonData[0], title: `Prompted ${prompt}` }];
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(data);
+    await importer(data, 'user-123', () => importBatchBuilder);
+
+    const [[title]] = importBatchBuilder.finishConversation.mock.calls;
+    expect(title).toHaveLength(80);
+    expect(title.endsWith('...')).toBe(true);
+  });
+});
+
+describe('importOpenWebUIConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'openwebui-export.json'), 'utf8'),
+  );
+
+  it('should import chats with their branches and models', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.openAI);
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Docker networking basics',
+      new Date(1717000000 * 1000),
+      {},
+      expect.any(String),
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages).toHaveLength(5);
+    const byText = (text) => savedMessages.find((msg) => msg.text.startsWith(text));
+
+    const question = byText('How do containers');
+    const firstBranch = byText('They can reach');
+    const secondBranch = byText('On a user-defined');
+    const followUp = byText('And on the default');
+
+    expect(question.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(question.createdAt).toEqual(new Date(1717000000 * 1000));
+    expect(firstBranch.parentMessageId).toBe(question.messageId);
+    expect(firstBranch.model).toBe('llama3.1:8b');
+    expect(firstBranch.sender).toBe('llama3.1:8b');
+    expect(secondBranch.parentMessageId).toBe(question.messageId);
+    expect(secondBranch.sender).toBe('GPT-4o');
+    expect(followUp.parentMessageId).toBe(secondBranch.messageId);
+    expect(byText('The default bridge').parentMessageId).toBe(followUp.messageId);
+  });
+
+  it('should fall back to the flat message list of older exports', async () => {
+    const { history, ...chat } = jsonData[0].chat;
+    const data = [
+      { ...jsonData[0], chat: { ...chat, messages: Object.values(history.messages).slice(0, 1) } },
+    ];
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+
+    const importer = getImporter(data);
+    await importer(data, 'user-123', () => importBatchBuilder);
+
+    expect(importBatchBuilder.saveMessage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('importCopilotConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'copilot-export.json'), 'utf8'),
+  );
+
+  it('should import conversations wrapped in an export object', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      1,
+      'Trip planning for Lisbon',
+      new Date('2025-04-10T08:00:00.000Z'),
+      {},
+      expect.any(String),
+    );
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      2,
+      'Imported Copilot Chat',
+      expect.any(Date),
+      {},
+      expect.any(String),
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages.map((msg) => msg.text)).toEqual([
+      'Plan a three day itinerary for Lisbon.',
+      'Day 1: Alfama and São Jorge Castle.\nDay 2: Belém. Day 3: Sintra.',
+      'What should I eat there?',
+      'Try pastéis de nata, bacalhau and grilled sardines.',
+      'Hi!',
+      'Hello! How can I help?',
+    ]);
+    expect(savedMessages.map((msg) => msg.isCreatedByUser)).toEqual([
+      true,
+      false,
+      true,
+      false,
+      true,
+      false,
+    ]);
+    expect(savedMessages[1].parentMessageId).toBe(savedMessages[0].messageId);
+    expect(savedMessages[5].parentMessageId).toBe(savedMessages[4].messageId);
+  });
+
+  it('should import a bare array of conversations', async () => {
+    const data = jsonData.conversations;
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(data);
+    await importer(data, 'user-123', () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('getConversationProcessor', () => {
+  it.each([
+    ['gemini-export.json', (data) => data[0], EModelEndpoint.google],
+    ['openwebui-export.json', (data) => data[0], EModelEndpoint.openAI],
+    ['copilot-export.json', (data) => data.conversations[0], EModelEndpoint.openAI],
+  ])('should process a single entry of %s', async (fixture, getEntry, endpoint) => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '__data__', fixture), 'utf8'));
+    const entry = getEntry(data);
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    const getDefaultModel = jest.fn().mockResolvedValue('default-model');
+
+    const processConversation = getConversationProcessor(entry);
+    await processConversation(entry, importBatchBuilder, {
+      requestUserId: 'user-123',
+      getDefaultModel,
+    });
+
+    expect(getDefaultModel).toHaveBeenCalledWith(endpoint);
+    expect(importBatchBuilder.conversations).toHaveLength(1);
+    expect(importBatchBuilder.conversations[0].endpoint).toBe(endpoint);
+    expect(importBatchBuilder.messages.length).toBeGreaterThan(0);
+  });
+
+  it('should skip Gemini activity without a prompt and response', async () => {
+    const [, activity] = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '__data__', 'gemini-export.json'), 'utf8'),
+    );
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+
+    const processConversation = getConversationProcessor(activity);
+    await processConversation(activity, importBatchBuilder, {
+      requestUserId: 'user-123',
+      getDefaultModel: jest.fn(),
+    });
+
+    expect(importBatchBuilder.conversations).toHaveLength(0);
+  });
+});
@@ -1,7 +1,13 @@
 const importers = require('./importers');
 const importConversations = require('./importConversations');
+const { ExportFormats, exportConversations } = require('./exporters');
+const { enqueueImportJob, resumeImportJobs } = require('./importJobs');
 
 module.exports = {
   ...importers,
+  ExportFormats,
   importConversations,
+  exportConversations,
+  enqueueImportJob,
+  resumeImportJobs,
 };
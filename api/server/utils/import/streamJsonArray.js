@@ -0,0 +1,159 @@
+const fs = require('fs');
+
+const BOM = '\uFEFF';
+const WHITESPACE = /\s/;
+
+/**
+ * Reads the first non-whitespace character of a JSON file to determine its root type.
+ *
+ * @param {string} filepath - The path of the JSON file.
+ * @returns {Promise<'array' | 'object' | null>} The root type, or null if it is neither.
+ */
+async function getJsonRootType(filepath) {
+  const stream = fs.createReadStream(filepath, { encoding: 'utf8', highWaterMark: 1024 });
+  try {
+    for await (const chunk of stream) {
+      for (const char of chunk) {
+        if (char === BOM || WHITESPACE.test(char)) {
+          continue;
+        }
+        if (char === '[') {
+          return 'array';
+        }
+        return char === '{' ? 'object' : null;
+      }
+    }
+    return null;
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Streams the entries of a top-level JSON array without loading the whole file into memory.
+ * Only one entry is held at a time; entries before `skip` are scanned but never parsed.
+ *
+ * Yields one result per entry, with either the parsed `value` or the parse `error`,
+ * and the number of bytes read up to the end of that entry.
+ *
+ * @param {string} filepath - The path of the JSON file.
+ * @param {object} [options]
+ * @param {number} [options.skip=0] - Number of leading entries to skip.
+ * @returns {AsyncGenerator<{ index: number, value?: unknown, error?: Error, bytesRead: number }>}
+ * @throws {Error} If the root of the file is not an array, or the array is not closed.
+ */
+async function* streamJsonArray(filepath, { skip = 0 } = {}) {
+  const stream = fs.createReadStream(filepath, { encoding: 'utf8' });
+
+  let started = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let inEntry = false;
+  let isContainer = false;
+  let index = 0;
+  let entry = '';
+  let bytesRead = 0;
+
+  try {
+    for await (const chunk of stream) {
+      let entryStart = 0;
+      let counted = 0;
+
+      /**
+       * Completes the current entry, ending before `end` in the current chunk.
+       * @param {number} end
+       */
+      const finishEntry = (end) => {
+        bytesRead += Buffer.byteLength(chunk.slice(counted, end), 'utf8');
+        counted = end;
+        inEntry = false;
+        const text = entry + chunk.slice(entryStart, end);
+        entry = '';
+        const result = { index: index++, bytesRead };
+        if (result.index < skip) {
+          return null;
+        }
+        try {
+          result.value = JSON.parse(text);
+        } catch (error) {
+          result.error = error;
+        }
+        return result;
+      };
+
+      for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        if (!started) {
+          if (char === BOM || WHITESPACE.test(char)) {
+            continue;
+          }
+          if (char !== '[') {
+            throw new Error('Expected a JSON array');
+          }
+          started = true;
+          continue;
+        }
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        /* Primitive entries end at the next delimiter, which is then handled below */
+        if (inEntry && !isContainer && (char === ',' || char === ']' || WHITESPACE.test(char))) {
+          const result = finishEntry(i);
+          if (result) {
+            yield result;
+          }
+        }
+
+        if (!inEntry) {
+          if (char === ']') {
+            return;
+          }
+          if (char === ',' || WHITESPACE.test(char)) {
+            continue;
+          }
+          inEntry = true;
+          isContainer = char === '{' || char === '[';
+          entryStart = i;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (!isContainer) {
+          continue;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 0) {
+            const result = finishEntry(i + 1);
+            if (result) {
+              yield result;
+            }
+          }
+        }
+      }
+
+      if (inEntry && index >= skip) {
+        entry += chunk.slice(entryStart);
+      }
+      bytesRead += Buffer.byteLength(chunk.slice(counted), 'utf8');
+    }
+
+    throw new Error(started ? 'Unexpected end of JSON array' : 'Expected a JSON array');
+  } finally {
+    stream.destroy();
+  }
+}
+
+module.exports = { getJsonRootType, streamJsonArray };
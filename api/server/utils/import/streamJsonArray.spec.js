@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getJsonRootType, streamJsonArray } = require('./streamJsonArray');
+
+describe('streamJsonArray', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-json-array-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filepath = path.join(tmpDir, name);
+    fs.writeFileSync(filepath, content);
+    return filepath;
+  };
+
+  const collect = async (filepath, options) => {
+    const results = [];
+    for await (const result of streamJsonArray(filepath, options)) {
+      results.push(result);
+    }
+    return results;
+  };
+
+  it('should yield each entry of the array in order', async () => {
+    const data = [
+      { title: 'first', mapping: { a: { parent: null } } },
+      { title: 'brackets ] and } and "quotes" \\ in strings', nested: [[1], { deep: [] }] },
+      'plain string, with a comma ]',
+      42,
+      null,
+    ];
+    const filepath = writeFile('entries.json', JSON.stringify(data, null, 2));
+
+    const results = await collect(filepath);
+
+    expect(results.map((r) => r.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(results.map((r) => r.value)).toEqual(data);
+    expect(results.every((r) => r.error === undefined)).toBe(true);
+  });
+
+  it('should handle entries spanning multiple read chunks', async () => {
+    const data = [{ text: 'ü'.repeat(100000) }, { text: 'x'.repeat(70000) }, { small: true }];
+    const filepath = writeFile('large.json', JSON.stringify(data));
+
+    const results = await collect(filepath);
+
+    expect(results.map((r) => r.value)).toEqual(data);
+  });
+
+  it('should report the byte offset reached after each entry', async () => {
+    const content = '\uFEFF[{"a":"é"},{"b":2}]';
+    const filepath = writeFile('offsets.json', content);
+
+    const results = await collect(filepath);
+
+    expect(results.map((r) => r.bytesRead)).toEqual([
+      Buffer.byteLength('\uFEFF[{"a":"é"}'),
+      Buffer.byteLength('\uFEFF[{"a":"é"},{"b":2}'),
+    ]);
+  });
+
+  it('should skip leading entries without parsing them', async () => {
+    const filepath = writeFile('skip.json', '[{"a":1},{not valid},{"c":3},{"d":4}]');
+
+    const results = await collect(filepath, { skip: 2 });
+
+    expect(results).toEqual([
+      expect.objectContaining({ index: 2, value: { c: 3 } }),
+      expect.objectContaining({ index: 3, value: { d: 4 } }),
+    ]);
+  });
+
+  it('should yield parse errors per entry and continue', async () => {
+    const filepath = writeFile('invalid-entry.json', '[{"a":1},{not valid},{"c":3}]');
+
+    const results = await collect(filepath);
+
+    expect(results[0].value).toEqual({ a: 1 });
+    expect(results[1].value).toBeUndefined();
+    expect(results[1].error).toBeInstanceOf(SyntaxError);
+    expect(results[2].value).toEqual({ c: 3 });
+  });
+
+  it('should yield nothing for an empty array', async () => {
+    const filepath = writeFile('empty.json', ' [ ] ');
+    expect(await collect(filepath)).toEqual([]);
+  });
+
+  it('should throw when the root is not an array', async () => {
+    const filepath = writeFile('object.json', '{"conversationId":"abc"}');
+    await expect(collect(filepath)).rejects.toThrow('Expected a JSON array');
+  });
+
+  it('should throw when the array is truncated', async () => {
+    const filepath = writeFile('truncated.json', '[{"a":1},{"b":');
+
+    const results = [];
+    await expect(
+      (async () => {
+        for await (const result of streamJsonArray(filepath)) {
+          results.push(result);
+        }
+      })(),
+    ).rejects.toThrow('Unexpected end of JSON array');
+    expect(results.map((r) => r.value)).toEqual([{ a: 1 }]);
+  });
+});
+
+describe('getJsonRootType', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-root-type-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it.each([
+    ['array', '\uFEFF\n  [{"a":1}]', 'array'],
+    ['object', '  {"version":1}', 'object'],
+    ['neither', '"text"', null],
+    ['empty', '   ', null],
+  ])('should detect a root of type %s', async (name, content, expected) => {
+    const filepath = path.join(tmpDir, `${name}.json`);
+    fs.writeFileSync(filepath, content);
+    expect(await getJsonRootType(filepath)).toBe(expected);
+  });
+});
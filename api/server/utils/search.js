@@ -0,0 +1,46 @@
+/**
+ * Parses a date query parameter, ignoring values that are not valid dates.
+ * @param {unknown} value
+ * @returns {Date | undefined}
+ */
+function parseDateParam(value) {
+  if (typeof value !== 'string' || !value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses conversation and message search filters from request query parameters.
+ *
+ * @param {Record<string, unknown>} query - The request query.
+ * @returns {import('@librechat/data-schemas').SearchFilters}
+ */
+function parseSearchFilters({ endpoint, model, tags, startDate, endDate }) {
+  /** @type {import('@librechat/data-schemas').SearchFilters} */
+  const filters = {};
+  if (typeof endpoint === 'string' && endpoint) {
+    filters.endpoint = endpoint;
+  }
+  if (typeof model === 'string' && model) {
+    filters.model = model;
+  }
+  const tagList = (Array.isArray(tags) ? tags : [tags]).filter(
+    (tag) => typeof tag === 'string' && tag,
+  );
+  if (tagList.length) {
+    filters.tags = tagList;
+  }
+  const start = parseDateParam(startDate);
+  if (start) {
+    filters.startDate = start;
+  }
+  const end = parseDateParam(endDate);
+  if (end) {
+    filters.endDate = end;
+  }
+  return filters;
+}
+
+module.exports = { parseSearchFilters };
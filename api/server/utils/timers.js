@@ -0,0 +1,37 @@
+const { logger } = require('@librechat/data-schemas');
+
+/** Longest delay `setInterval` accepts; larger delays fire after 1 ms */
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/** Shortest interval a scheduled job may run at */
+const MIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Reads a scheduling interval given in hours, e.g. from an environment variable.
+ * Invalid values fall back to the default; valid ones are clamped to what timers support.
+ * @param {string | undefined} value - The configured number of hours.
+ * @param {number} defaultHours
+ * @param {string} name - The setting name, for logging.
+ * @returns {number} The interval in milliseconds.
+ */
+function getIntervalMs(value, defaultHours, name) {
+  const defaultMs = defaultHours * 60 * 60 * 1000;
+  if (value == null || value === '') {
+    return defaultMs;
+  }
+
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    logger.warn(`[timers] Invalid ${name} "${value}", using ${defaultHours} hours`);
+    return defaultMs;
+  }
+
+  const requestedMs = hours * 60 * 60 * 1000;
+  const intervalMs = Math.min(Math.max(requestedMs, MIN_INTERVAL_MS), MAX_TIMER_DELAY_MS);
+  if (intervalMs !== requestedMs) {
+    logger.warn(`[timers] ${name} "${value}" is out of range, using ${intervalMs} ms`);
+  }
+  return intervalMs;
+}
+
+module.exports = { getIntervalMs, MAX_TIMER_DELAY_MS };
@@ -0,0 +1,37 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { warn: jest.fn() },
+}));
+
+const { logger } = require('@librechat/data-schemas');
+const { getIntervalMs, MAX_TIMER_DELAY_MS } = require('./timers');
+
+describe('getIntervalMs', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('converts hours to milliseconds', () => {
+    expect(getIntervalMs('1.5', 24, 'SWEEP_HOURS')).toBe(90 * 60 * 1000);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('uses the default when unset', () => {
+    expect(getIntervalMs(undefined, 24, 'SWEEP_HOURS')).toBe(24 * 60 * 60 * 1000);
+    expect(getIntervalMs('', 24, 'SWEEP_HOURS')).toBe(24 * 60 * 60 * 1000);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it.each(['-5', '0', 'daily', 'Infinity'])('falls back to the default for %s', (value) => {
+    expect(getIntervalMs(value, 24, 'SWEEP_HOURS')).toBe(24 * 60 * 60 * 1000);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  it('clamps intervals longer than timers support', () => {
+    expect(getIntervalMs('1000', 24, 'SWEEP_HOURS')).toBe(MAX_TIMER_DELAY_MS);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  it('clamps intervals shorter than a minute', () => {
+    expect(getIntervalMs('0.001', 24, 'SWEEP_HOURS')).toBe(60 * 1000);
+  });
+});
@@ -13,8 +13,14 @@ const jwtLogin = () =>
     async (payload, done) => {
       try {
         const user = await getUserById(payload?.id, '-password -__v -totpSecret -backupCodes');
-        if (user) {
+        if (user?.deactivatedAt) {
+          logger.warn('[jwtLogin] JwtStrategy => user is deactivated: ' + payload?.id);
+          done(null, false);
+        } else if (user) {
           user.id = user._id.toString();
+          if (payload.impersonatedBy) {
+            user.impersonatedBy = payload.impersonatedBy;
+          }
           if (!user.role) {
             user.role = SystemRoles.USER;
             await updateUser(user.id, { role: user.role });
@@ -8,6 +8,12 @@ const {
   isEmailDomainAllowed,
   resolveAppConfigForUser,
 } = require('@librechat/api');
+const {
+  ldapGroupSyncEnabled,
+  getLdapGroupsFromEntry,
+  getLdapGroupSearchOptions,
+} = require('~/server/services/LdapGroupService');
+const { syncUserLdapGroupMemberships } = require('~/server/services/PermissionService');
 const { createUser, findUser, updateUser, countUsers } = require('~/models');
 const { getAppConfig } = require('~/server/services/Config');
 
@@ -55,6 +61,11 @@ if (LDAP_USERNAME) {
 if (LDAP_EMAIL) {
   searchAttributes.push(LDAP_EMAIL);
 }
+const syncGroups = ldapGroupSyncEnabled();
+const groupSearchOptions = syncGroups ? getLdapGroupSearchOptions() : null;
+if (syncGroups && !groupSearchOptions) {
+  searchAttributes.push('memberOf');
+}
 const rejectUnauthorized = isEnabled(LDAP_TLS_REJECT_UNAUTHORIZED);
 const startTLS = isEnabled(LDAP_STARTTLS);
 
@@ -80,6 +91,7 @@ const ldapOptions = {
       },
     }),
     ...(startTLS && { starttls: true }),
+    ...groupSearchOptions,
   },
   usernameField: 'email',
   passwordField: 'password',
@@ -176,6 +188,9 @@ const ldapLogin = new LdapStrategy(ldapOptions, async (userinfo, done) => {
     }
 
     user = await updateUser(user._id, user);
+    if (syncGroups) {
+      await syncUserLdapGroupMemberships(user, getLdapGroupsFromEntry(userinfo));
+    }
     done(null, user);
   } catch (err) {
     logger.error('[ldapStrategy]', err);
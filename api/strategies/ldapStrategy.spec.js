@@ -26,6 +26,16 @@ jest.mock('~/server/services/Config', () => ({
   getAppConfig: jest.fn().mockResolvedValue({}),
 }));
 
+jest.mock('~/server/services/LdapGroupService', () => ({
+  ldapGroupSyncEnabled: jest.fn(() => false),
+  getLdapGroupSearchOptions: jest.fn(() => null),
+  getLdapGroupsFromEntry: jest.fn(() => []),
+}));
+
+jest.mock('~/server/services/PermissionService', () => ({
+  syncUserLdapGroupMemberships: jest.fn(),
+}));
+
 // Mock passport-ldapauth to capture verify callback
 let verifyCallback;
 jest.mock('passport-ldapauth', () => {
@@ -39,6 +49,13 @@ const { ErrorTypes } = require('librechat-data-provider');
 const { isEmailDomainAllowed, resolveAppConfigForUser } = require('@librechat/api');
 const { findUser, createUser, updateUser, countUsers } = require('~/models');
 const { getAppConfig } = require('~/server/services/Config');
+const {
+  ldapGroupSyncEnabled,
+  getLdapGroupsFromEntry,
+  getLdapGroupSearchOptions,
+} = require('~/server/services/LdapGroupService');
+const { syncUserLdapGroupMemberships } = require('~/server/services/PermissionService');
+const LdapStrategy = require('passport-ldapauth');
 
 // Helper to call the verify callback and wrap in a Promise for convenience
 const callVerify = (userinfo) =>
@@ -243,4 +260,63 @@ describe('ldapStrategy', () => {
     expect(user).toBe(false);
     expect(info).toEqual({ message: 'Email domain not allowed' });
   });
+
+  it('does not sync LDAP groups unless enabled', async () => {
+    await callVerify({ uid: 'uid123', mail: 'user@example.com', givenName: 'Test', cn: 'Test' });
+
+    expect(syncUserLdapGroupMemberships).not.toHaveBeenCalled();
+  });
+
+  describe('group sync', () => {
+    /** Requires the strategy again with the current mocks and returns its options */
+    const loadStrategy = () => {
+      jest.isolateModules(() => {
+        require('./ldapStrategy');
+      });
+      return LdapStrategy.mock.calls[LdapStrategy.mock.calls.length - 1][0];
+    };
+
+    beforeEach(() => {
+      ldapGroupSyncEnabled.mockReturnValue(true);
+    });
+
+    afterEach(() => {
+      ldapGroupSyncEnabled.mockReturnValue(false);
+      getLdapGroupSearchOptions.mockReturnValue(null);
+      getLdapGroupsFromEntry.mockReturnValue([]);
+    });
+
+    it('reads memberOf and syncs the groups on login', async () => {
+      const groups = [{ dn: 'cn=engineering,ou=groups,dc=example,dc=com', name: 'Engineering' }];
+      getLdapGroupsFromEntry.mockReturnValue(groups);
+      const options = loadStrategy();
+      const userinfo = {
+        uid: 'uid123',
+        mail: 'user@example.com',
+        givenName: 'Test',
+        cn: 'Test',
+        memberOf: ['cn=Engineering,ou=groups,dc=example,dc=com'],
+      };
+
+      const { user } = await callVerify(userinfo);
+
+      expect(options.server.searchAttributes).toContain('memberOf');
+      expect(getLdapGroupsFromEntry).toHaveBeenCalledWith(userinfo);
+      expect(syncUserLdapGroupMemberships).toHaveBeenCalledWith(user, groups);
+    });
+
+    it('searches for groups on login when a group search base is set', () => {
+      const groupSearch = {
+        groupSearchBase: 'ou=groups,dc=example,dc=com',
+        groupSearchFilter: '(member={{dn}})',
+        groupSearchAttributes: ['dn', 'cn'],
+      };
+      getLdapGroupSearchOptions.mockReturnValue(groupSearch);
+
+      const options = loadStrategy();
+
+      expect(options.server).toMatchObject(groupSearch);
+      expect(options.server.searchAttributes).not.toContain('memberOf');
+    });
+  });
 });
@@ -110,6 +110,12 @@ const openIdJwtLogin = (openIdConfig) => {
           return;
         }
 
+        if (user?.deactivatedAt) {
+          logger.warn(`[openIdJwtLogin] User is deactivated: ${user._id}`);
+          done(null, false);
+          return;
+        }
+
         if (user) {
           user.id = user._id.toString();
 
@@ -21,6 +21,7 @@ const {
   getAvatarSaveParams,
   resolveAppConfigForUser,
 } = require('@librechat/api');
+const { applyIdentityMapping } = require('~/server/services/IdentityMappingService');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
 const { findUser, createUser, updateUser } = require('~/models');
 const { getAppConfig } = require('~/server/services/Config');
@@ -646,6 +647,9 @@ async function processOpenIDAuth(tokenset, existingUsersOnly = false) {
     }
   }
 
+  /** Mapping rules in `identityMapping.openid` take precedence over `OPENID_ADMIN_ROLE` */
+  await applyIdentityMapping(user, userinfo, 'openid', appConfig);
+
   if (!!userinfo && userinfo.picture && !user.avatar?.includes('manual=true')) {
     /** @type {string | undefined} */
     const imageUrl = userinfo.picture;
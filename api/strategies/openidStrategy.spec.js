@@ -5,6 +5,7 @@ const { ErrorTypes, FileSources } = require('librechat-data-provider');
 const { findUser, createUser, updateUser } = require('~/models');
 const { getOpenIdIssuer, resolveAppConfigForUser } = require('@librechat/api');
 const { getAppConfig } = require('~/server/services/Config');
+const { applyIdentityMapping } = require('~/server/services/IdentityMappingService');
 const { setupOpenId } = require('./openidStrategy');
 
 // --- Mocks ---
@@ -22,6 +23,9 @@ jest.mock('~/server/services/Files/strategies', () => ({
 jest.mock('~/server/services/Config', () => ({
   getAppConfig: jest.fn().mockResolvedValue({}),
 }));
+jest.mock('~/server/services/IdentityMappingService', () => ({
+  applyIdentityMapping: jest.fn(),
+}));
 jest.mock('@librechat/api', () => ({
   ...jest.requireActual('@librechat/api'),
   isEnabled: jest.fn(() => false),
@@ -1390,6 +1394,34 @@ describe('setupOpenId', () => {
     );
   });
 
+  it('should apply the OpenID identity mapping after OPENID_ADMIN_ROLE', async () => {
+    const appConfig = {
+      identityMapping: {
+        openid: { rules: [{ claim: 'groups', value: 'researchers', role: 'RESEARCHER' }] },
+      },
+    };
+    getAppConfig.mockResolvedValueOnce(appConfig);
+    applyIdentityMapping.mockImplementationOnce(async (user) => {
+      expect(user.role).toBe('ADMIN');
+      user.role = 'RESEARCHER';
+      user.roleManagedByIdp = true;
+    });
+
+    const { user } = await validate(tokenset);
+
+    expect(applyIdentityMapping).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'newUserId' }),
+      expect.objectContaining({ sub: '1234', email: 'test@example.com' }),
+      'openid',
+      appConfig,
+    );
+    expect(updateUser).toHaveBeenCalledWith(
+      'newUserId',
+      expect.objectContaining({ role: 'RESEARCHER', roleManagedByIdp: true }),
+    );
+    expect(user.role).toBe('RESEARCHER');
+  });
+
   describe('lodash get - nested path extraction', () => {
     it('should extract roles from deeply nested token path', async () => {
       process.env.OPENID_REQUIRED_ROLE = 'app-user';
@@ -12,6 +12,7 @@ const {
   getAvatarSaveParams,
   resolveAppConfigForUser,
 } = require('@librechat/api');
+const { applyIdentityMapping } = require('~/server/services/IdentityMappingService');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
 const { findUser, createUser, updateUser } = require('~/models');
 const { getAppConfig } = require('~/server/services/Config');
@@ -262,6 +263,8 @@ function createSamlCallback(existingUsersOnly = false) {
         user.name = fullName;
       }
 
+      await applyIdentityMapping(user, profile, 'saml', appConfig);
+
       const picture = getPicture(profile);
       if (picture && !user.avatar?.includes('manual=true')) {
         const imageBuffer = await downloadImage(profile.picture);
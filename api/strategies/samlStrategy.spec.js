@@ -45,6 +45,9 @@ jest.mock('@librechat/api', () => ({
   }),
   resolveAppConfigForUser: jest.fn(async (_getAppConfig, _user) => ({})),
 }));
+jest.mock('~/server/services/IdentityMappingService', () => ({
+  applyIdentityMapping: jest.fn(),
+}));
 jest.mock('~/server/services/Config/EndpointService', () => ({
   config: {},
 }));
@@ -65,6 +68,7 @@ const { FileSources } = require('librechat-data-provider');
 const { findUser } = require('~/models');
 const { resolveAppConfigForUser } = require('@librechat/api');
 const { getAppConfig } = require('~/server/services/Config');
+const { applyIdentityMapping } = require('~/server/services/IdentityMappingService');
 const { setupSaml, getCertificateContent } = require('./samlStrategy');
 
 // Configure fs mock
@@ -545,4 +549,33 @@ u7wlOSk+oFzDIO/UILIA
     const { user } = await validate(profile);
     expect(user).toBe(false);
   });
+
+  it('should apply the SAML identity mapping before saving the user', async () => {
+    const { updateUser } = require('~/models');
+    const appConfig = {
+      identityMapping: {
+        saml: { rules: [{ claim: 'groups', value: 'ai-admins', role: 'ADMIN' }] },
+      },
+    };
+    getAppConfig.mockResolvedValueOnce(appConfig);
+    applyIdentityMapping.mockImplementationOnce(async (user) => {
+      user.role = 'ADMIN';
+      user.roleManagedByIdp = true;
+    });
+
+    const profile = { ...baseProfile, groups: ['ai-admins'] };
+    const { user } = await validate(profile);
+
+    expect(applyIdentityMapping).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'mock-user-id', samlId: profile.nameID }),
+      profile,
+      'saml',
+      appConfig,
+    );
+    expect(updateUser).toHaveBeenCalledWith(
+      'mock-user-id',
+      expect.objectContaining({ role: 'ADMIN', roleManagedByIdp: true }),
+    );
+    expect(user.role).toBe('ADMIN');
+  });
 });
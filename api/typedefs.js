@@ -1930,6 +1930,18 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports TMergeConvoResponse
+ * @typedef {import('librechat-data-provider').TMergeConvoResponse} TMergeConvoResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMergeConvoRequest
+ * @typedef {import('librechat-data-provider').TMergeConvoRequest} TMergeConvoRequest
+ * @memberof typedefs
+ */
+
 /** Clients */
 
 /**
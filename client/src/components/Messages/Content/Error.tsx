@@ -25,6 +25,13 @@ type TTokenBalance = {
   violation_count: number;
   date: Date;
   generations?: unknown[];
+  budget?: {
+    principalType: string;
+    principalId: string;
+    hardCap: number;
+    spent: number;
+    period: string;
+  };
 };
 
 type TExpiredKey = {
@@ -36,6 +43,8 @@ type TGenericError = {
   info: string;
 };
 
+const budgetPeriods: Record<string, string> = { day: 'daily', week: 'weekly', month: 'monthly' };
+
 const errorMessages = {
   [ErrorTypes.MODERATION]: 'com_error_moderation',
   [ErrorTypes.NO_USER_KEY]: 'com_error_no_user_key',
@@ -101,8 +110,10 @@ const errorMessages = {
     }.`;
   },
   token_balance: (json: TTokenBalance) => {
-    const { balance, tokenCost, promptTokens, generations } = json;
-    const message = `Insufficient Funds! Balance: ${balance}. Prompt tokens: ${promptTokens}. Cost: ${tokenCost}.`;
+    const { balance, tokenCost, promptTokens, generations, budget } = json;
+    const message = budget
+      ? `Your ${budget.principalType} has reached its ${budgetPeriods[budget.period] ?? budget.period} token budget! Remaining: ${balance}. Prompt tokens: ${promptTokens}. Cost: ${tokenCost}.`
+      : `Insufficient Funds! Balance: ${balance}. Prompt tokens: ${promptTokens}. Cost: ${tokenCost}.`;
     return (
       <>
         {message}
@@ -133,7 +133,7 @@ function ImportConversations() {
         ref={fileInputRef}
         type="file"
         className={cn('hidden')}
-        accept=".json"
+        accept=".json,.zip"
         onChange={handleFileChange}
         aria-hidden="true"
       />
@@ -93,6 +93,10 @@ jest.mock('~/hooks/SSE/useEventHandlers', () =>
   })),
 );
 
+const mockBudgetWarningHandler = jest.fn();
+
+jest.mock('~/hooks/SSE/useBudgetWarningHandler', () => jest.fn(() => mockBudgetWarningHandler));
+
 jest.mock('librechat-data-provider', () => {
   const actual = jest.requireActual('librechat-data-provider');
   return {
@@ -329,3 +333,36 @@ describe('useResumableSSE - 404 error path', () => {
     unmount();
   });
 });
+
+describe('useResumableSSE - budget warnings', () => {
+  beforeEach(() => {
+    mockSSEInstances.length = 0;
+    mockBudgetWarningHandler.mockClear();
+  });
+
+  it('passes budget warnings from the stream to the warning handler', async () => {
+    const submission = buildSubmission();
+    const { unmount } = renderHook(() => useResumableSSE(submission, buildChatHelpers()));
+
+    await act(async () => {
+      await Promise.resolve();
+    });
+
+    const budgetWarnings = [
+      {
+        principalType: 'group',
+        principalId: 'group-1',
+        period: 'month',
+        spent: 850,
+        softCap: 800,
+        hardCap: 1000,
+      },
+    ];
+    await act(async () => {
+      getLastSSE()._emit('message', { data: JSON.stringify({ budgetWarnings }) });
+    });
+
+    expect(mockBudgetWarningHandler).toHaveBeenCalledWith(budgetWarnings);
+    unmount();
+  });
+});
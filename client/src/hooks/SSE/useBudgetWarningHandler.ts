@@ -0,0 +1,27 @@
+import { useCallback } from 'react';
+import { useToastContext } from '@librechat/client';
+import type { TBudgetWarning } from 'librechat-data-provider';
+import useLocalize from '~/hooks/useLocalize';
+
+/** Shows a toast for each group or role budget a request took past its soft cap */
+export default function useBudgetWarningHandler() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+
+  return useCallback(
+    (warnings: TBudgetWarning[]) => {
+      for (const { principalType, period, spent, hardCap } of warnings) {
+        showToast({
+          message: localize('com_ui_budget_soft_cap_warning', {
+            0: principalType,
+            1: spent.toLocaleString(),
+            2: hardCap.toLocaleString(),
+            3: period,
+          }),
+          status: 'warning',
+        });
+      }
+    },
+    [localize, showToast],
+  );
+}
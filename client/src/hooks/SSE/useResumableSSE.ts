@@ -24,6 +24,7 @@ import {
 } from '~/data-provider';
 import type { ActiveJobsResponse } from '~/data-provider';
 import { useAuthContext } from '~/hooks/AuthContext';
+import useBudgetWarningHandler from './useBudgetWarningHandler';
 import useEventHandlers from './useEventHandlers';
 import { clearAllDrafts } from '~/utils';
 import store from '~/store';
@@ -127,6 +128,7 @@ export default function useResumableSSE(
     setShowStopButton,
     resetLatestMessage,
   });
+  const budgetWarningHandler = useBudgetWarningHandler();
 
   const { data: startupConfig } = useGetStartupConfig();
   const balanceQuery = useGetUserBalance({
@@ -206,6 +208,11 @@ export default function useResumableSSE(
             return;
           }
 
+          if (data.budgetWarnings != null) {
+            budgetWarningHandler(data.budgetWarnings);
+            return;
+          }
+
           if (data.event === 'attachment' && data.data) {
             attachmentHandler({
               data: data.data,
@@ -540,6 +547,7 @@ export default function useResumableSSE(
       finalHandler,
       createdHandler,
       attachmentHandler,
+      budgetWarningHandler,
       stepHandler,
       contentHandler,
       resetContentHandler,
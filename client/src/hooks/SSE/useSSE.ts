@@ -8,6 +8,7 @@ import type { EventHandlerParams } from './useEventHandlers';
 import type { TResData } from '~/common';
 import { useGetStartupConfig, useGetUserBalance } from '~/data-provider';
 import { useAuthContext } from '~/hooks/AuthContext';
+import useBudgetWarningHandler from './useBudgetWarningHandler';
 import useEventHandlers from './useEventHandlers';
 import { clearAllDrafts } from '~/utils';
 import store from '~/store';
@@ -66,6 +67,7 @@ export default function useSSE(
     setShowStopButton,
     resetLatestMessage,
   });
+  const budgetWarningHandler = useBudgetWarningHandler();
 
   const { data: startupConfig } = useGetStartupConfig();
   const balanceQuery = useGetUserBalance({
@@ -125,6 +127,8 @@ export default function useSSE(
         };
 
         createdHandler(data, { ...submission, userMessage } as EventSubmission);
+      } else if (data.budgetWarnings != null) {
+        budgetWarningHandler(data.budgetWarnings);
       } else if (data.event != null) {
         stepHandler(data, { ...submission, userMessage } as EventSubmission);
       } else if (data.sync != null) {
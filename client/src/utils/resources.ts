@@ -71,6 +71,17 @@ export const RESOURCE_CONFIGS: Record<ResourceType, ResourceConfig> = {
       `Manage permissions for ${name && name !== '' ? name : 'skill'}`,
     getCopyUrlMessage: () => 'Skill URL copied',
   },
+  [ResourceType.PRESET]: {
+    resourceType: ResourceType.PRESET,
+    defaultViewerRoleId: AccessRoleIds.PRESET_VIEWER,
+    defaultEditorRoleId: AccessRoleIds.PRESET_EDITOR,
+    defaultOwnerRoleId: AccessRoleIds.PRESET_OWNER,
+    getResourceName: (name?: string) => (name && name !== '' ? name : 'preset'),
+    getShareMessage: (name?: string) => (name && name !== '' ? name : 'preset'),
+    getManageMessage: (name?: string) =>
+      `Manage permissions for ${name && name !== '' ? name : 'preset'}`,
+    getCopyUrlMessage: () => 'Preset URL copied',
+  },
 };
 
 export const getResourceConfig = (resourceType: ResourceType): ResourceConfig | undefined => {
@@ -73,6 +73,19 @@ export const ROLE_LOCALIZATIONS = {
     name: 'com_ui_role_owner' as const,
     description: 'com_ui_skill_role_owner_desc' as const,
   } as const,
+  // Preset roles
+  preset_viewer: {
+    name: 'com_ui_role_viewer' as const,
+    description: 'com_ui_role_viewer_desc' as const,
+  } as const,
+  preset_editor: {
+    name: 'com_ui_role_editor' as const,
+    description: 'com_ui_role_editor_desc' as const,
+  } as const,
+  preset_owner: {
+    name: 'com_ui_role_owner' as const,
+    description: 'com_ui_role_owner_desc' as const,
+  } as const,
 };
 
 /**
@@ -1,6 +1,6 @@
 const path = require('path');
 const mongoose = require('mongoose');
-const { Banner } = require('@librechat/data-schemas').createModels(mongoose);
+const { Banner, BannerDismissal } = require('@librechat/data-schemas').createModels(mongoose);
 require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
 const { askQuestion, silentExit } = require('./helpers');
 const connect = require('./connect');
@@ -15,26 +15,43 @@ const connect = require('./connect');
   const now = new Date();
 
   try {
-    const banner = await Banner.findOne({
+    const banners = await Banner.find({
       displayFrom: { $lte: now },
       $or: [{ displayTo: { $gte: now } }, { displayTo: null }],
-    });
+    })
+      .sort({ displayFrom: -1, _id: -1 })
+      .lean();
 
-    if (!banner) {
+    if (banners.length === 0) {
       console.yellow('No banner found to delete.');
       silentExit(0);
     }
 
-    console.purple('Current banner:');
-    console.log(`Message: ${banner.message}`);
-    console.log(`Display From: ${banner.displayFrom}`);
-    console.log(`Display To: ${banner.displayTo || 'Not specified'}`);
-    console.log(`Is Public: ${banner.isPublic}`);
+    console.purple('Active banners:');
+    banners.forEach((banner, index) => {
+      console.log(`${index + 1}. Message: ${banner.message}`);
+      console.log(`   Display From: ${banner.displayFrom}`);
+      console.log(`   Display To: ${banner.displayTo || 'Not specified'}`);
+      console.log(`   Is Public: ${banner.isPublic}`);
+    });
+
+    let banner = banners[0];
+    if (banners.length > 1) {
+      const choice = await askQuestion(
+        `Which banner do you want to delete? (1-${banners.length}): `,
+      );
+      banner = banners[parseInt(choice, 10) - 1];
+      if (!banner) {
+        console.red('Error: Invalid selection.');
+        silentExit(1);
+      }
+    }
 
     const confirmDelete = await askQuestion('Do you want to delete this banner? (y/N): ');
 
     if (confirmDelete.toLowerCase() === 'y') {
-      await Banner.findByIdAndDelete(banner._id);
+      await Banner.deleteOne({ _id: banner._id });
+      await BannerDismissal.deleteMany({ bannerId: banner.bannerId });
       console.green('Banner deleted successfully!');
     } else {
       console.yellow('Banner deletion cancelled.');
@@ -0,0 +1,137 @@
+const path = require('path');
+const { logger } = require('@librechat/data-schemas');
+const { ensureRequiredCollectionsExist } = require('@librechat/api');
+const { AccessRoleIds, ResourceType, PrincipalType } = require('librechat-data-provider');
+
+require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
+const connect = require('./connect');
+
+const { grantPermission } = require('~/server/services/PermissionService');
+const { findRoleByIdentifier } = require('~/models');
+const { Preset, AclEntry } = require('~/db/models');
+
+/** Grants owners permissions on presets saved before presets could be shared */
+async function migrateToPresetPermissions({ dryRun = true, batchSize = 100 } = {}) {
+  await connect();
+
+  logger.info('Starting Preset Permissions Migration', { dryRun, batchSize });
+
+  const mongoose = require('mongoose');
+  /** @type {import('mongoose').mongo.Db | undefined} */
+  const db = mongoose.connection.db;
+  if (db) {
+    await ensureRequiredCollectionsExist(db);
+  }
+
+  const ownerRole = await findRoleByIdentifier(AccessRoleIds.PRESET_OWNER);
+  if (!ownerRole) {
+    throw new Error('Required preset roles not found. Run role seeding first.');
+  }
+
+  const migratedPresetIds = await AclEntry.distinct('resourceId', {
+    resourceType: ResourceType.PRESET,
+    principalType: PrincipalType.USER,
+  });
+
+  const presetsToMigrate = await Preset.find({
+    _id: { $nin: migratedPresetIds },
+    user: { $exists: true, $ne: null },
+  })
+    .select('_id presetId title user')
+    .lean();
+
+  logger.info(`Found ${presetsToMigrate.length} presets without owner permissions`);
+
+  if (dryRun) {
+    return {
+      migrated: 0,
+      errors: 0,
+      dryRun: true,
+      summary: {
+        total: presetsToMigrate.length,
+      },
+      details: presetsToMigrate.map((p) => ({
+        title: p.title,
+        presetId: p.presetId,
+        _id: p._id,
+        user: p.user,
+      })),
+    };
+  }
+
+  const results = {
+    migrated: 0,
+    errors: 0,
+  };
+
+  for (let i = 0; i < presetsToMigrate.length; i += batchSize) {
+    const batch = presetsToMigrate.slice(i, i + batchSize);
+
+    logger.info(
+      `Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(presetsToMigrate.length / batchSize)}`,
+    );
+
+    for (const preset of batch) {
+      try {
+        await grantPermission({
+          principalType: PrincipalType.USER,
+          principalId: preset.user,
+          resourceType: ResourceType.PRESET,
+          resourceId: preset._id,
+          accessRoleId: AccessRoleIds.PRESET_OWNER,
+          grantedBy: preset.user,
+        });
+
+        results.migrated++;
+        logger.debug(`Migrated preset "${preset.title}"`, {
+          presetId: preset.presetId,
+          user: preset.user,
+        });
+      } catch (error) {
+        results.errors++;
+        logger.error(`Failed to migrate preset "${preset.title}"`, {
+          presetId: preset.presetId,
+          user: preset.user,
+          error: error.message,
+        });
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  logger.info('Preset migration completed', results);
+  return results;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const batchSize =
+    parseInt(process.argv.find((arg) => arg.startsWith('--batch-size='))?.split('=')[1]) || 100;
+
+  migrateToPresetPermissions({ dryRun, batchSize })
+    .then((result) => {
+      if (dryRun) {
+        console.log('\n=== DRY RUN RESULTS ===');
+        console.log(`Total presets to migrate: ${result.summary.total}`);
+
+        if (result.details.length > 0) {
+          console.log('\nPresets (first 10):');
+          result.details.slice(0, 10).forEach((preset, i) => {
+            console.log(`  ${i + 1}. "${preset.title}" [${preset.presetId}] (${preset._id})`);
+          });
+        }
+
+        console.log('\nTo run the actual migration, remove the --dry-run flag');
+      } else {
+        console.log('\nMigration Results:', JSON.stringify(result, null, 2));
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Preset migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateToPresetPermissions };
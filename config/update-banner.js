@@ -95,33 +95,20 @@ const connect = require('./connect');
 
   let result;
   try {
-    // There is always only one Banner record in the DB.
-    // If a Banner exists in the DB, it will be updated.
-    // If it doesn't exist, a new one will be added.
-    const existingBanner = await Banner.findOne();
-    if (existingBanner) {
-      result = await Banner.findByIdAndUpdate(
-        existingBanner._id,
-        {
-          displayFrom,
-          displayTo,
-          message,
-          bannerId,
-          isPublic,
-          persistable,
-        },
-        { new: true },
-      );
-    } else {
-      result = await Banner.create({
+    // Several banners can be active at once.
+    // Updating with the same message updates that banner; a new message adds another banner.
+    result = await Banner.findOneAndUpdate(
+      { bannerId },
+      {
         displayFrom,
         displayTo,
         message,
         bannerId,
         isPublic,
         persistable,
-      });
-    }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+    );
   } catch (error) {
     console.red('Error: ' + error.message);
     console.error(error);
@@ -141,6 +128,9 @@ const connect = require('./connect');
   console.purple(`Banner: ${message}`);
   console.purple(`isPublic: ${isPublic}`);
   console.purple(`persistable: ${persistable}`);
+  console.orange(
+    'Other active banners are left unchanged; use `npm run delete-banner` to remove them.',
+  );
   silentExit(0);
 })();
 
@@ -0,0 +1,239 @@
+import { Types } from 'mongoose';
+import type { IAdminAuditLog } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminAuditDeps } from './audit';
+import { createAdminAuditHandlers, createAuditRecorder, parseAuditQuery } from './audit';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const actorId = new Types.ObjectId();
+
+function mockEntry(overrides: Partial<IAdminAuditLog> = {}): IAdminAuditLog {
+  return {
+    _id: new Types.ObjectId(),
+    action: 'role_updated',
+    actorId,
+    targetType: 'role',
+    targetId: 'editor',
+    before: { description: 'Old, "quoted"' },
+    after: { description: 'New' },
+    createdAt: new Date('2025-03-01T12:00:00.000Z'),
+    ...overrides,
+  } as IAdminAuditLog;
+}
+
+async function* toStream(entries: IAdminAuditLog[]) {
+  for (const entry of entries) {
+    yield entry;
+  }
+}
+
+function createReqRes(query: Record<string, unknown> = {}) {
+  const req = { query, user: { _id: actorId, role: 'ADMIN' } } as unknown as ServerRequest;
+
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const chunks: string[] = [];
+  const res = {
+    status,
+    json,
+    headersSent: false,
+    destroyed: false,
+    attachment: jest.fn(),
+    type: jest.fn(),
+    write: jest.fn((chunk: string) => {
+      res.headersSent = true;
+      chunks.push(chunk);
+      return true;
+    }),
+    end: jest.fn(),
+  };
+
+  return { req, res: res as unknown as Response, status, json, chunks, raw: res };
+}
+
+function createDeps(overrides: Partial<AdminAuditDeps> = {}): AdminAuditDeps {
+  return {
+    getAdminAuditLogs: jest.fn().mockResolvedValue({ entries: [], total: 0 }),
+    streamAdminAuditLogs: jest.fn(() => toStream([])),
+    ...overrides,
+  };
+}
+
+describe('parseAuditQuery', () => {
+  it('reads every filter', () => {
+    expect(
+      parseAuditQuery({
+        actorId: actorId.toString(),
+        targetType: 'config',
+        targetId: 'role:ADMIN',
+        action: 'config_deleted, config_toggled',
+        from: '2025-01-01',
+        to: '2025-02-01',
+      }),
+    ).toEqual({
+      filter: {
+        actorId: actorId.toString(),
+        targetType: 'config',
+        targetId: 'role:ADMIN',
+        actions: ['config_deleted', 'config_toggled'],
+        from: new Date('2025-01-01'),
+        to: new Date('2025-02-01'),
+      },
+    });
+  });
+
+  it.each([
+    [{ actorId: 'nope' }, 'Invalid actorId format'],
+    [{ targetType: 'agent' }, 'targetType must be one of: user, role, group, config, resource'],
+    [{ action: 'role_updated,$where' }, 'action must be a comma-separated list of audit actions'],
+    [{ from: 'yesterday' }, 'from must be a valid date'],
+    [{ from: '2025-02-01', to: '2025-01-01' }, 'from must be before to'],
+    [{ targetId: ['a', 'b'] }, 'targetId must be a single value'],
+  ])('rejects %j', (query, error) => {
+    expect(parseAuditQuery(query)).toEqual({ error });
+  });
+});
+
+describe('createAuditRecorder', () => {
+  it('attributes entries to the caller and swallows failures', async () => {
+    const recordAdminAudit = jest.fn().mockRejectedValue(new Error('db down'));
+    const audit = createAuditRecorder(recordAdminAudit, 'test');
+    const { req } = createReqRes();
+
+    await expect(
+      audit(req, { action: 'group_deleted', targetType: 'group', targetId: 'g1' }),
+    ).resolves.toBeUndefined();
+
+    expect(recordAdminAudit).toHaveBeenCalledWith({
+      action: 'group_deleted',
+      actorId: actorId.toString(),
+      targetType: 'group',
+      targetId: 'g1',
+    });
+  });
+
+  it('records the admin impersonating the caller', async () => {
+    const recordAdminAudit = jest.fn().mockResolvedValue(undefined);
+    const audit = createAuditRecorder(recordAdminAudit, 'test');
+    const impersonatedBy = new Types.ObjectId().toString();
+    const req = { user: { _id: actorId, impersonatedBy } } as unknown as ServerRequest;
+
+    await audit(req, { action: 'group_deleted', targetType: 'group', targetId: 'g1' });
+
+    expect(recordAdminAudit).toHaveBeenCalledWith(
+      expect.objectContaining({ actorId: actorId.toString(), impersonatedBy }),
+    );
+  });
+});
+
+describe('createAdminAuditHandlers', () => {
+  describe('listAuditLogs', () => {
+    it('lists filtered entries with pagination', async () => {
+      const entries = [mockEntry()];
+      const deps = createDeps({
+        getAdminAuditLogs: jest.fn().mockResolvedValue({ entries, total: 1 }),
+      });
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, status, json } = createReqRes({ targetType: 'role', limit: '10' });
+
+      await handlers.listAuditLogs(req, res);
+
+      expect(deps.getAdminAuditLogs).toHaveBeenCalledWith(
+        { targetType: 'role' },
+        { limit: 10, offset: 0 },
+      );
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ entries, total: 1, limit: 10, offset: 0 });
+    });
+
+    it('returns 400 for invalid filters', async () => {
+      const deps = createDeps();
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, status, json } = createReqRes({ from: 'soon' });
+
+      await handlers.listAuditLogs(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'from must be a valid date' });
+      expect(deps.getAdminAuditLogs).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      const deps = createDeps({
+        getAdminAuditLogs: jest.fn().mockRejectedValue(new Error('db down')),
+      });
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, status } = createReqRes();
+
+      await handlers.listAuditLogs(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('exportAuditLogs', () => {
+    it('exports CSV with JSON-encoded diffs', async () => {
+      const deps = createDeps({ streamAdminAuditLogs: jest.fn(() => toStream([mockEntry()])) });
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, chunks, raw } = createReqRes({ action: 'role_updated' });
+
+      await handlers.exportAuditLogs(req, res);
+
+      expect(deps.streamAdminAuditLogs).toHaveBeenCalledWith({ actions: ['role_updated'] });
+      expect(raw.type).toHaveBeenCalledWith('text/csv');
+      expect(raw.attachment).toHaveBeenCalledWith(expect.stringMatching(/^admin-audit-.+\.csv$/));
+      expect(chunks.join('')).toBe(
+        'createdAt,action,actorId,impersonatedBy,targetType,targetId,details,before,after\n' +
+          `2025-03-01T12:00:00.000Z,role_updated,${actorId.toString()},,role,editor,,` +
+          '"{""description"":""Old, \\""quoted\\""""}","{""description"":""New""}"\n',
+      );
+      expect(raw.end).toHaveBeenCalled();
+    });
+
+    it('exports JSON Lines', async () => {
+      const entries = [mockEntry(), mockEntry({ action: 'role_deleted' })];
+      const deps = createDeps({ streamAdminAuditLogs: jest.fn(() => toStream(entries)) });
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, chunks, raw } = createReqRes({ format: 'jsonl' });
+
+      await handlers.exportAuditLogs(req, res);
+
+      expect(raw.type).toHaveBeenCalledWith('application/x-ndjson');
+      const lines = chunks.map((chunk) => JSON.parse(chunk));
+      expect(lines.map(({ action }) => action)).toEqual(['role_updated', 'role_deleted']);
+      expect(lines[0].actorId).toBe(actorId.toString());
+    });
+
+    it('rejects unknown formats', async () => {
+      const deps = createDeps();
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, status, json } = createReqRes({ format: 'xlsx' });
+
+      await handlers.exportAuditLogs(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'format must be csv or jsonl' });
+      expect(deps.streamAdminAuditLogs).not.toHaveBeenCalled();
+    });
+
+    it('ends the response when the stream fails midway', async () => {
+      async function* failing() {
+        yield mockEntry();
+        throw new Error('cursor killed');
+      }
+      const deps = createDeps({ streamAdminAuditLogs: jest.fn(() => failing()) });
+      const handlers = createAdminAuditHandlers(deps);
+      const { req, res, status, raw } = createReqRes({ format: 'jsonl' });
+
+      await handlers.exportAuditLogs(req, res);
+
+      expect(status).not.toHaveBeenCalled();
+      expect(raw.end).toHaveBeenCalled();
+    });
+  });
+});
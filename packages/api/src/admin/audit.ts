@@ -0,0 +1,232 @@
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type {
+  AuditAction,
+  IAdminAuditLog,
+  AuditTargetType,
+  AdminAuditLogInput,
+  AdminAuditLogFilter,
+} from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import { csvCell } from '~/balance/ledger';
+import { parsePagination } from './pagination';
+
+/** Rows written by a single export */
+export const MAX_AUDIT_EXPORT_ROWS = 100000;
+
+const AUDIT_TARGET_TYPES: ReadonlySet<string> = new Set<AuditTargetType>([
+  'user',
+  'role',
+  'group',
+  'config',
+  'resource',
+]);
+const ACTION_PATTERN = /^[a-z0-9_]{1,64}$/;
+const MAX_FILTER_ACTIONS = 30;
+const MAX_TARGET_ID_LENGTH = 500;
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorId',
+  'impersonatedBy',
+  'targetType',
+  'targetId',
+  'details',
+  'before',
+  'after',
+] as const;
+
+export type RecordAdminAudit = (input: AdminAuditLogInput) => Promise<unknown>;
+
+export interface AdminAuditDeps {
+  getAdminAuditLogs: (
+    filter: AdminAuditLogFilter,
+    options: { limit?: number; offset?: number },
+  ) => Promise<{ entries: IAdminAuditLog[]; total: number }>;
+  /** Iterates over every matching entry, newest first */
+  streamAdminAuditLogs: (filter: AdminAuditLogFilter) => AsyncIterable<IAdminAuditLog>;
+}
+
+/**
+ * Creates the audit function of an admin handler factory; entries are attributed to the
+ * caller of the request, and to the admin impersonating them if any. Audit failures are
+ * logged; they do not undo an action already performed.
+ */
+export function createAuditRecorder(recordAdminAudit: RecordAdminAudit, scope: string) {
+  return async function audit(
+    req: ServerRequest,
+    entry: Omit<AdminAuditLogInput, 'actorId'>,
+  ): Promise<void> {
+    try {
+      const actorId = req.user?._id?.toString() ?? req.user?.id ?? '';
+      const impersonatedBy = req.user?.impersonatedBy;
+      await recordAdminAudit({ ...entry, actorId, ...(impersonatedBy && { impersonatedBy }) });
+    } catch (error) {
+      logger.error(
+        `[${scope}] Failed to record audit entry "${entry.action}" for ${entry.targetId}:`,
+        error,
+      );
+    }
+  };
+}
+
+function readString(query: Record<string, unknown>, name: string): string | undefined {
+  const value = query[name];
+  return typeof value === 'string' && value !== '' ? value : undefined;
+}
+
+/**
+ * Reads the filters of an audit log request.
+ * Query: { actorId?, targetType?, targetId?, action? (comma-separated), from?, to? }
+ */
+export function parseAuditQuery(query: Record<string, unknown> = {}): {
+  filter?: AdminAuditLogFilter;
+  error?: string;
+} {
+  for (const name of ['actorId', 'targetType', 'targetId', 'action', 'from', 'to']) {
+    if (query[name] != null && typeof query[name] !== 'string') {
+      return { error: `${name} must be a single value` };
+    }
+  }
+
+  const filter: AdminAuditLogFilter = {};
+
+  const actorId = readString(query, 'actorId');
+  if (actorId !== undefined) {
+    if (!isValidObjectIdString(actorId)) {
+      return { error: 'Invalid actorId format' };
+    }
+    filter.actorId = actorId;
+  }
+
+  const targetType = readString(query, 'targetType');
+  if (targetType !== undefined) {
+    if (!AUDIT_TARGET_TYPES.has(targetType)) {
+      return { error: `targetType must be one of: ${[...AUDIT_TARGET_TYPES].join(', ')}` };
+    }
+    filter.targetType = targetType as AuditTargetType;
+  }
+
+  const targetId = readString(query, 'targetId');
+  if (targetId !== undefined) {
+    if (targetId.length > MAX_TARGET_ID_LENGTH) {
+      return { error: `targetId must not exceed ${MAX_TARGET_ID_LENGTH} characters` };
+    }
+    filter.targetId = targetId;
+  }
+
+  const action = readString(query, 'action');
+  if (action !== undefined) {
+    const actions = action.split(',').map((a) => a.trim());
+    if (actions.length > MAX_FILTER_ACTIONS || !actions.every((a) => ACTION_PATTERN.test(a))) {
+      return { error: 'action must be a comma-separated list of audit actions' };
+    }
+    filter.actions = actions as AuditAction[];
+  }
+
+  for (const name of ['from', 'to'] as const) {
+    const value = readString(query, name);
+    if (value === undefined) {
+      continue;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+    filter[name] = date;
+  }
+  if (filter.from && filter.to && filter.from > filter.to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { filter };
+}
+
+function formatAuditCsvRow(entry: IAdminAuditLog): string {
+  return CSV_COLUMNS.map((column) => {
+    const value = entry[column];
+    if (column === 'details' || column === 'before' || column === 'after') {
+      return csvCell(value == null ? value : JSON.stringify(value));
+    }
+    return csvCell(column === 'actorId' || column === 'impersonatedBy' ? value?.toString() : value);
+  }).join(',');
+}
+
+/** Resolves once the response can take more data, or has been closed by the client */
+function waitForDrain(res: Response): Promise<void> {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/** Creates the handlers of the /api/admin/audit routes */
+export function createAdminAuditHandlers(deps: AdminAuditDeps) {
+  const { getAdminAuditLogs, streamAdminAuditLogs } = deps;
+
+  async function listAuditLogsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { filter, error } = parseAuditQuery(req.query as Record<string, unknown>);
+      if (error || !filter) {
+        return res.status(400).json({ error });
+      }
+      const { limit, offset } = parsePagination(req.query);
+      const { entries, total } = await getAdminAuditLogs(filter, { limit, offset });
+      return res.status(200).json({ entries, total, limit, offset });
+    } catch (error) {
+      logger.error('[adminAudit] listAuditLogs error:', error);
+      return res.status(500).json({ error: 'Failed to list audit log' });
+    }
+  }
+
+  /** Streams every matching entry as CSV or JSON Lines, up to `MAX_AUDIT_EXPORT_ROWS` */
+  async function exportAuditLogsHandler(req: ServerRequest, res: Response) {
+    const { filter, error } = parseAuditQuery(req.query as Record<string, unknown>);
+    if (error || !filter) {
+      return res.status(400).json({ error });
+    }
+    const format = (req.query as { format?: unknown }).format ?? 'csv';
+    if (format !== 'csv' && format !== 'jsonl') {
+      return res.status(400).json({ error: 'format must be csv or jsonl' });
+    }
+
+    try {
+      const date = new Date().toISOString().split('T')[0];
+      res.attachment(`admin-audit-${date}.${format}`);
+      res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+      if (format === 'csv') {
+        res.write(`${CSV_COLUMNS.join(',')}\n`);
+      }
+
+      let exported = 0;
+      for await (const entry of streamAdminAuditLogs(filter)) {
+        const line = format === 'csv' ? formatAuditCsvRow(entry) : JSON.stringify(entry);
+        if (!res.write(`${line}\n`)) {
+          await waitForDrain(res);
+        }
+        if (res.destroyed || ++exported >= MAX_AUDIT_EXPORT_ROWS) {
+          break;
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      logger.error('[adminAudit] exportAuditLogs error:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to export audit log' });
+      }
+      res.end();
+    }
+  }
+
+  return {
+    listAuditLogs: listAuditLogsHandler,
+    exportAuditLogs: exportAuditLogsHandler,
+  };
+}
@@ -0,0 +1,185 @@
+import type { IBanner } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminBannersDeps } from './banners';
+import { createAdminBannersHandlers } from './banners';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const banner = {
+  bannerId: 'banner-1',
+  message: 'Maintenance tonight',
+  displayFrom: new Date('2025-01-01T00:00:00.000Z'),
+  type: 'banner',
+  severity: 'info',
+  isPublic: false,
+  persistable: false,
+  roles: [],
+  groups: [],
+  tenantIds: [],
+} as unknown as IBanner;
+
+function createReqRes(
+  overrides: {
+    params?: Record<string, string>;
+    query?: Record<string, string>;
+    body?: Record<string, unknown>;
+  } = {},
+) {
+  const req = {
+    params: overrides.params ?? {},
+    query: overrides.query ?? {},
+    body: overrides.body ?? {},
+    user: { id: 'admin-1', role: 'admin' },
+  } as unknown as ServerRequest;
+
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminBannersDeps> = {}): AdminBannersDeps {
+  return {
+    listBanners: jest.fn().mockResolvedValue({ banners: [banner], total: 1 }),
+    getBannerById: jest.fn().mockResolvedValue(banner),
+    createBanner: jest.fn().mockImplementation(async (data) => ({ ...banner, ...data })),
+    updateBanner: jest.fn().mockImplementation(async (_id, data) => ({ ...banner, ...data })),
+    deleteBanner: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+}
+
+describe('createAdminBannersHandlers', () => {
+  describe('listBanners', () => {
+    it('returns paginated banners, optionally only active ones', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        query: { active: 'true', limit: '10' },
+      });
+
+      await handlers.listBanners(req, res);
+
+      expect(deps.listBanners).toHaveBeenCalledWith({ active: true, limit: 10, offset: 0 });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ banners: [banner], total: 1, limit: 10, offset: 0 });
+    });
+  });
+
+  describe('createBanner', () => {
+    it('creates a targeted banner', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: {
+          message: 'Upgrade on Friday',
+          displayFrom: '2025-02-01T00:00:00.000Z',
+          displayTo: '2025-02-02T00:00:00.000Z',
+          severity: 'warning',
+          roles: ['USER', 'USER'],
+          tenantIds: ['acme'],
+        },
+      });
+
+      await handlers.createBanner(req, res);
+
+      expect(deps.createBanner).toHaveBeenCalledWith({
+        message: 'Upgrade on Friday',
+        displayFrom: new Date('2025-02-01T00:00:00.000Z'),
+        displayTo: new Date('2025-02-02T00:00:00.000Z'),
+        severity: 'warning',
+        roles: ['USER'],
+        tenantIds: ['acme'],
+      });
+      expect(status).toHaveBeenCalledWith(201);
+    });
+
+    it.each([
+      [{}, 'message must be a non-empty string'],
+      [{ message: ' ' }, 'message must be a non-empty string'],
+      [{ message: 'm', displayFrom: 'soon' }, 'displayFrom must be a valid date'],
+      [
+        { message: 'm', displayFrom: '2025-02-02', displayTo: '2025-02-01' },
+        'displayTo must be after displayFrom',
+      ],
+      [{ message: 'm', severity: 'critical' }, 'severity must be one of: info, warning, error'],
+      [{ message: 'm', type: 'toast' }, 'type must be one of: banner, popup'],
+      [{ message: 'm', isPublic: 'yes' }, 'isPublic must be a boolean'],
+      [{ message: 'm', groups: 'g1' }, 'groups must be an array of non-empty strings'],
+    ])('rejects %j', async (body, error) => {
+      const deps = createDeps();
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ body });
+
+      await handlers.createBanner(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error });
+      expect(deps.createBanner).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateBanner', () => {
+    it('checks the display window against the stored banner', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { bannerId: 'banner-1' },
+        body: { displayTo: '2024-12-31T00:00:00.000Z' },
+      });
+
+      await handlers.updateBanner(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'displayTo must be after displayFrom' });
+    });
+
+    it('clears the end of the display window', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { bannerId: 'banner-1' },
+        body: { displayTo: null, persistable: true },
+      });
+
+      await handlers.updateBanner(req, res);
+
+      expect(deps.updateBanner).toHaveBeenCalledWith('banner-1', {
+        displayTo: null,
+        persistable: true,
+      });
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 404 for unknown banners', async () => {
+      const deps = createDeps({ getBannerById: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { bannerId: 'missing' },
+        body: { message: 'x' },
+      });
+
+      await handlers.updateBanner(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.updateBanner).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteBanner', () => {
+    it('returns 404 when nothing was deleted', async () => {
+      const deps = createDeps({ deleteBanner: jest.fn().mockResolvedValue(false) });
+      const handlers = createAdminBannersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { bannerId: 'missing' } });
+
+      await handlers.deleteBanner(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { logger } from '@librechat/data-schemas';
+import type { IBanner, BannerType, BannerInput, BannerSeverity } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import { parsePagination } from './pagination';
+
+const BANNER_TYPES: BannerType[] = ['banner', 'popup'];
+const BANNER_SEVERITIES: BannerSeverity[] = ['info', 'warning', 'error'];
+const AUDIENCE_FIELDS = ['roles', 'groups', 'tenantIds'] as const;
+const BOOLEAN_FIELDS = ['isPublic', 'persistable'] as const;
+
+export interface AdminBannersDeps {
+  listBanners: (options: {
+    active?: boolean;
+    limit?: number;
+    offset?: number;
+  }) => Promise<{ banners: IBanner[]; total: number }>;
+  getBannerById: (bannerId: string) => Promise<IBanner | null>;
+  createBanner: (data: BannerInput & { message: string }) => Promise<IBanner>;
+  updateBanner: (bannerId: string, data: BannerInput) => Promise<IBanner | null>;
+  deleteBanner: (bannerId: string) => Promise<boolean>;
+}
+
+function parseDate(value: unknown): Date | null {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates a banner body. On update every field is optional, and a
+ * `displayTo` of `null` removes the end of the display window.
+ */
+function parseBannerInput(
+  body: unknown,
+  existing?: IBanner,
+): { input?: BannerInput; error?: string } {
+  const raw = (body ?? {}) as Record<string, unknown>;
+  const input: BannerInput = {};
+
+  if (raw.message !== undefined || !existing) {
+    if (typeof raw.message !== 'string' || !raw.message.trim()) {
+      return { error: 'message must be a non-empty string' };
+    }
+    input.message = raw.message;
+  }
+
+  if (raw.displayFrom !== undefined) {
+    const displayFrom = parseDate(raw.displayFrom);
+    if (!displayFrom) {
+      return { error: 'displayFrom must be a valid date' };
+    }
+    input.displayFrom = displayFrom;
+  }
+
+  if (raw.displayTo === null) {
+    input.displayTo = null;
+  } else if (raw.displayTo !== undefined) {
+    const displayTo = parseDate(raw.displayTo);
+    if (!displayTo) {
+      return { error: 'displayTo must be a valid date or null' };
+    }
+    input.displayTo = displayTo;
+  }
+
+  const displayFrom = input.displayFrom ?? existing?.displayFrom;
+  const displayTo = input.displayTo === undefined ? existing?.displayTo : input.displayTo;
+  if (displayFrom && displayTo && new Date(displayTo) <= new Date(displayFrom)) {
+    return { error: 'displayTo must be after displayFrom' };
+  }
+
+  if (raw.type !== undefined) {
+    if (!BANNER_TYPES.includes(raw.type as BannerType)) {
+      return { error: `type must be one of: ${BANNER_TYPES.join(', ')}` };
+    }
+    input.type = raw.type as BannerType;
+  }
+
+  if (raw.severity !== undefined) {
+    if (!BANNER_SEVERITIES.includes(raw.severity as BannerSeverity)) {
+      return { error: `severity must be one of: ${BANNER_SEVERITIES.join(', ')}` };
+    }
+    input.severity = raw.severity as BannerSeverity;
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    const value = raw[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+    input[field] = value;
+  }
+
+  for (const field of AUDIENCE_FIELDS) {
+    const value = raw[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && item)) {
+      return { error: `${field} must be an array of non-empty strings` };
+    }
+    input[field] = [...new Set(value as string[])];
+  }
+
+  return { input };
+}
+
+/**
+ * Creates the handlers that manage banners: scheduled messages shown to all
+ * users or to an audience of roles, groups and tenants.
+ */
+export function createAdminBannersHandlers(deps: AdminBannersDeps) {
+  const { listBanners, getBannerById, createBanner, updateBanner, deleteBanner } = deps;
+
+  async function listBannersHandler(req: ServerRequest, res: Response) {
+    try {
+      const { limit, offset } = parsePagination(req.query);
+      const active = (req.query as { active?: string }).active === 'true';
+      const { banners, total } = await listBanners({ active, limit, offset });
+      return res.status(200).json({ banners, total, limit, offset });
+    } catch (error) {
+      logger.error('[adminBanners] listBanners error:', error);
+      return res.status(500).json({ error: 'Failed to list banners' });
+    }
+  }
+
+  async function getBannerHandler(req: ServerRequest, res: Response) {
+    try {
+      const { bannerId } = req.params as { bannerId: string };
+      const banner = await getBannerById(bannerId);
+      if (!banner) {
+        return res.status(404).json({ error: 'Banner not found' });
+      }
+      return res.status(200).json({ banner });
+    } catch (error) {
+      logger.error('[adminBanners] getBanner error:', error);
+      return res.status(500).json({ error: 'Failed to get banner' });
+    }
+  }
+
+  async function createBannerHandler(req: ServerRequest, res: Response) {
+    try {
+      const { input, error } = parseBannerInput(req.body);
+      if (!input) {
+        return res.status(400).json({ error });
+      }
+      const banner = await createBanner(input as BannerInput & { message: string });
+      return res.status(201).json({ banner });
+    } catch (error) {
+      logger.error('[adminBanners] createBanner error:', error);
+      return res.status(500).json({ error: 'Failed to create banner' });
+    }
+  }
+
+  async function updateBannerHandler(req: ServerRequest, res: Response) {
+    try {
+      const { bannerId } = req.params as { bannerId: string };
+      const existing = await getBannerById(bannerId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Banner not found' });
+      }
+
+      const { input, error } = parseBannerInput(req.body, existing);
+      if (!input) {
+        return res.status(400).json({ error });
+      }
+      if (Object.keys(input).length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+
+      const banner = await updateBanner(bannerId, input);
+      if (!banner) {
+        return res.status(404).json({ error: 'Banner not found' });
+      }
+      return res.status(200).json({ banner });
+    } catch (error) {
+      logger.error('[adminBanners] updateBanner error:', error);
+      return res.status(500).json({ error: 'Failed to update banner' });
+    }
+  }
+
+  async function deleteBannerHandler(req: ServerRequest, res: Response) {
+    try {
+      const { bannerId } = req.params as { bannerId: string };
+      const deleted = await deleteBanner(bannerId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Banner not found' });
+      }
+      return res.status(200).json({ success: true });
+    } catch (error) {
+      logger.error('[adminBanners] deleteBanner error:', error);
+      return res.status(500).json({ error: 'Failed to delete banner' });
+    }
+  }
+
+  return {
+    listBanners: listBannersHandler,
+    getBanner: getBannerHandler,
+    createBanner: createBannerHandler,
+    updateBanner: updateBannerHandler,
+    deleteBanner: deleteBannerHandler,
+  };
+}
@@ -0,0 +1,165 @@
+import { Types } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import type { BudgetUsage, IGroup, IRole } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminBudgetsDeps } from './budgets';
+import { createAdminBudgetsHandlers } from './budgets';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const groupId = new Types.ObjectId().toString();
+
+const budget: BudgetUsage = {
+  principalType: PrincipalType.GROUP,
+  principalId: groupId,
+  hardCap: 1000,
+  softCap: 800,
+  period: 'month',
+  spent: 0,
+  periodStart: new Date('2025-01-01T00:00:00.000Z'),
+};
+
+function createReqRes({
+  params = {},
+  body = {},
+}: { params?: Record<string, string>; body?: Record<string, unknown> } = {}) {
+  const req = {
+    params,
+    body,
+    user: { _id: new Types.ObjectId(), id: 'admin-1', role: 'admin' },
+  } as unknown as ServerRequest;
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminBudgetsDeps> = {}): AdminBudgetsDeps {
+  return {
+    getBudget: jest.fn().mockResolvedValue(budget),
+    setBudget: jest.fn().mockResolvedValue(budget),
+    deleteBudget: jest.fn().mockResolvedValue(true),
+    findGroupById: jest.fn().mockResolvedValue({ _id: new Types.ObjectId(groupId) } as IGroup),
+    getRoleByName: jest.fn().mockResolvedValue({ name: 'STAFF' } as IRole),
+    ...overrides,
+  };
+}
+
+describe('createAdminBudgetsHandlers', () => {
+  describe('group budgets', () => {
+    it('gets the budget of a group', async () => {
+      const deps = createDeps();
+      const { req, res, status, json } = createReqRes({ params: { id: groupId } });
+
+      await createAdminBudgetsHandlers(deps).getGroupBudget(req, res);
+
+      expect(deps.getBudget).toHaveBeenCalledWith(PrincipalType.GROUP, groupId);
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ budget });
+    });
+
+    it('sets the budget of a group', async () => {
+      const deps = createDeps();
+      const body = { hardCap: 1000, softCap: null, period: 'week' };
+      const { req, res, status } = createReqRes({ params: { id: groupId }, body });
+
+      await createAdminBudgetsHandlers(deps).setGroupBudget(req, res);
+
+      expect(deps.setBudget).toHaveBeenCalledWith(PrincipalType.GROUP, groupId, body);
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 404 for an unknown group', async () => {
+      const deps = createDeps({ findGroupById: jest.fn().mockResolvedValue(null) });
+      const { req, res, status, json } = createReqRes({
+        params: { id: groupId },
+        body: { hardCap: 1000 },
+      });
+
+      await createAdminBudgetsHandlers(deps).setGroupBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Group not found' });
+      expect(deps.setBudget).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 for an invalid group ID', async () => {
+      const deps = createDeps();
+      const { req, res, status } = createReqRes({ params: { id: 'not-an-id' } });
+
+      await createAdminBudgetsHandlers(deps).deleteGroupBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(deps.deleteBudget).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, 'hardCap must be a non-negative number'],
+      [{ hardCap: -1 }, 'hardCap must be a non-negative number'],
+      [{ hardCap: 100, softCap: '50' }, 'softCap must be a non-negative number or null'],
+      [{ hardCap: 100, softCap: 200 }, 'softCap must not exceed hardCap'],
+      [{ hardCap: 100, period: 'year' }, 'period must be one of: day, week, month'],
+    ])('rejects invalid budgets (%#)', async (body, error) => {
+      const deps = createDeps();
+      const { req, res, status, json } = createReqRes({ params: { id: groupId }, body });
+
+      await createAdminBudgetsHandlers(deps).setGroupBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error });
+    });
+  });
+
+  describe('role budgets', () => {
+    it('deletes the budget of a role', async () => {
+      const deps = createDeps();
+      const { req, res, status, json } = createReqRes({ params: { name: 'STAFF' } });
+
+      await createAdminBudgetsHandlers(deps).deleteRoleBudget(req, res);
+
+      expect(deps.deleteBudget).toHaveBeenCalledWith(PrincipalType.ROLE, 'STAFF');
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ success: true });
+    });
+
+    it('returns 404 when a role has no budget', async () => {
+      const deps = createDeps({ getBudget: jest.fn().mockResolvedValue(null) });
+      const { req, res, status, json } = createReqRes({ params: { name: 'STAFF' } });
+
+      await createAdminBudgetsHandlers(deps).getRoleBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Budget not found' });
+    });
+
+    it('returns 404 for an unknown role', async () => {
+      const deps = createDeps({ getRoleByName: jest.fn().mockResolvedValue(null) });
+      const { req, res, status, json } = createReqRes({
+        params: { name: 'MISSING' },
+        body: { hardCap: 10 },
+      });
+
+      await createAdminBudgetsHandlers(deps).setRoleBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Role not found' });
+    });
+
+    it('returns 500 on error', async () => {
+      const deps = createDeps({ setBudget: jest.fn().mockRejectedValue(new Error('db down')) });
+      const { req, res, status, json } = createReqRes({
+        params: { name: 'STAFF' },
+        body: { hardCap: 10 },
+      });
+
+      await createAdminBudgetsHandlers(deps).setRoleBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+      expect(json).toHaveBeenCalledWith({ error: 'Failed to set role budget' });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { PrincipalType } from 'librechat-data-provider';
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type {
+  IGroup,
+  IRole,
+  BudgetInput,
+  BudgetUsage,
+  BudgetPeriod,
+  BudgetPrincipalType,
+} from '@librechat/data-schemas';
+import type { Types } from 'mongoose';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+
+const BUDGET_PERIODS: BudgetPeriod[] = ['day', 'week', 'month'];
+
+export interface AdminBudgetsDeps {
+  getBudget: (
+    principalType: BudgetPrincipalType,
+    principalId: string,
+  ) => Promise<BudgetUsage | null>;
+  setBudget: (
+    principalType: BudgetPrincipalType,
+    principalId: string,
+    input: BudgetInput,
+  ) => Promise<BudgetUsage>;
+  deleteBudget: (principalType: BudgetPrincipalType, principalId: string) => Promise<boolean>;
+  findGroupById: (
+    groupId: string | Types.ObjectId,
+    projection?: Record<string, 0 | 1>,
+  ) => Promise<IGroup | null>;
+  getRoleByName: (name: string, fields?: string | string[] | null) => Promise<IRole | null>;
+}
+
+function isNonNegativeNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validates a budget body: `{ hardCap, softCap?, period? }`. A `softCap` of
+ * `null` removes the soft cap.
+ */
+function parseBudgetInput(body: unknown): { input?: BudgetInput; error?: string } {
+  const { hardCap, softCap, period } = (body ?? {}) as Record<string, unknown>;
+  if (!isNonNegativeNumber(hardCap)) {
+    return { error: 'hardCap must be a non-negative number' };
+  }
+  if (softCap !== undefined && softCap !== null) {
+    if (!isNonNegativeNumber(softCap)) {
+      return { error: 'softCap must be a non-negative number or null' };
+    }
+    if (softCap > hardCap) {
+      return { error: 'softCap must not exceed hardCap' };
+    }
+  }
+  if (period !== undefined && !BUDGET_PERIODS.includes(period as BudgetPeriod)) {
+    return { error: `period must be one of: ${BUDGET_PERIODS.join(', ')}` };
+  }
+  return {
+    input: {
+      hardCap,
+      softCap: softCap as number | null | undefined,
+      period: period as BudgetPeriod | undefined,
+    },
+  };
+}
+
+/**
+ * Creates the handlers that manage the token budgets of groups and roles.
+ * Group routes take the group ID as `:id`, role routes the role name as `:name`.
+ */
+export function createAdminBudgetsHandlers(deps: AdminBudgetsDeps) {
+  const { getBudget, setBudget, deleteBudget, findGroupById, getRoleByName } = deps;
+
+  /** Resolves the budget principal of a request, or responds with an error */
+  async function resolvePrincipal(
+    req: ServerRequest,
+    res: Response,
+    principalType: BudgetPrincipalType,
+  ): Promise<string | null> {
+    if (principalType === PrincipalType.GROUP) {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        res.status(400).json({ error: 'Invalid group ID format' });
+        return null;
+      }
+      const group = await findGroupById(id, { _id: 1 });
+      if (!group) {
+        res.status(404).json({ error: 'Group not found' });
+        return null;
+      }
+      return id;
+    }
+
+    const { name } = req.params as { name: string };
+    const role = name ? await getRoleByName(name, '_id') : null;
+    if (!role) {
+      res.status(404).json({ error: 'Role not found' });
+      return null;
+    }
+    return name;
+  }
+
+  function createHandlers(principalType: BudgetPrincipalType, label: 'group' | 'role') {
+    const context = label === 'group' ? 'GroupBudget' : 'RoleBudget';
+
+    async function getBudgetHandler(req: ServerRequest, res: Response) {
+      try {
+        const principalId = await resolvePrincipal(req, res, principalType);
+        if (principalId == null) {
+          return;
+        }
+        const budget = await getBudget(principalType, principalId);
+        if (!budget) {
+          return res.status(404).json({ error: 'Budget not found' });
+        }
+        return res.status(200).json({ budget });
+      } catch (error) {
+        logger.error(`[adminBudgets] get${context} error:`, error);
+        return res.status(500).json({ error: `Failed to get ${label} budget` });
+      }
+    }
+
+    async function setBudgetHandler(req: ServerRequest, res: Response) {
+      try {
+        const { input, error } = parseBudgetInput(req.body);
+        if (!input) {
+          return res.status(400).json({ error });
+        }
+        const principalId = await resolvePrincipal(req, res, principalType);
+        if (principalId == null) {
+          return;
+        }
+        const budget = await setBudget(principalType, principalId, input);
+        return res.status(200).json({ budget });
+      } catch (error) {
+        logger.error(`[adminBudgets] set${context} error:`, error);
+        return res.status(500).json({ error: `Failed to set ${label} budget` });
+      }
+    }
+
+    async function deleteBudgetHandler(req: ServerRequest, res: Response) {
+      try {
+        const principalId = await resolvePrincipal(req, res, principalType);
+        if (principalId == null) {
+          return;
+        }
+        const deleted = await deleteBudget(principalType, principalId);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Budget not found' });
+        }
+        return res.status(200).json({ success: true });
+      } catch (error) {
+        logger.error(`[adminBudgets] delete${context} error:`, error);
+        return res.status(500).json({ error: `Failed to delete ${label} budget` });
+      }
+    }
+
+    return { get: getBudgetHandler, set: setBudgetHandler, delete: deleteBudgetHandler };
+  }
+
+  const group = createHandlers(PrincipalType.GROUP, 'group');
+  const role = createHandlers(PrincipalType.ROLE, 'role');
+
+  return {
+    getGroupBudget: group.get,
+    setGroupBudget: group.set,
+    deleteGroupBudget: group.delete,
+    getRoleBudget: role.get,
+    setRoleBudget: role.set,
+    deleteRoleBudget: role.delete,
+  };
+}
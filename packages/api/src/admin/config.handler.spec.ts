@@ -55,6 +55,7 @@ function createHandlers(overrides = {}) {
     hasConfigCapability: jest.fn().mockResolvedValue(true),
 
     getAppConfig: jest.fn().mockResolvedValue({ interface: { modelSelect: true } }),
+    recordAdminAudit: jest.fn().mockResolvedValue(undefined),
     ...overrides,
   };
   const handlers = createAdminConfigHandlers(deps);
@@ -510,6 +511,81 @@ describe('createAdminConfigHandlers', () => {
     });
   });
 
+  describe('audit log', () => {
+    it('records patched fields as a diff of the override', async () => {
+      const { handlers, deps } = createHandlers({
+        findConfigByPrincipal: jest.fn().mockResolvedValue({
+          priority: 10,
+          isActive: true,
+          overrides: { registration: { enabled: true }, interface: { modelSelect: true } },
+        }),
+        patchConfigFields: jest.fn().mockResolvedValue({
+          priority: 10,
+          isActive: true,
+          overrides: { registration: { enabled: false }, interface: { modelSelect: true } },
+        }),
+      });
+      const req = mockReq({
+        params: { principalType: 'role', principalId: 'admin' },
+        body: { entries: [{ fieldPath: 'registration.enabled', value: false }] },
+      });
+      const res = mockRes();
+
+      await handlers.patchConfigField(req, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith({
+        action: 'config_fields_updated',
+        actorId: 'u1',
+        targetType: 'config',
+        targetId: 'role:admin',
+        before: { overrides: { registration: { enabled: true } } },
+        after: { overrides: { registration: { enabled: false } } },
+      });
+    });
+
+    it('records the deleted override and toggles', async () => {
+      const config = { priority: 10, isActive: true, overrides: { x: 1 } };
+      const { handlers, deps } = createHandlers({
+        findConfigByPrincipal: jest.fn().mockResolvedValue(config),
+        deleteConfig: jest.fn().mockResolvedValue(config),
+        toggleConfigActive: jest.fn().mockResolvedValue({ ...config, isActive: false }),
+      });
+      const params = { principalType: 'group', principalId: 'g1' };
+
+      await handlers.toggleConfig(mockReq({ params, body: { isActive: false } }), mockRes());
+      await handlers.deleteConfigOverrides(mockReq({ params }), mockRes());
+
+      expect(
+        deps.recordAdminAudit.mock.calls.map(([entry]: [Record<string, unknown>]) => entry),
+      ).toEqual([
+        expect.objectContaining({
+          action: 'config_toggled',
+          targetId: 'group:g1',
+          before: { isActive: true },
+          after: { isActive: false },
+        }),
+        expect.objectContaining({
+          action: 'config_deleted',
+          targetId: 'group:g1',
+          before: { priority: 10, isActive: true, overrides: { x: 1 } },
+          after: {},
+        }),
+      ]);
+    });
+
+    it('does not record rejected changes', async () => {
+      const { handlers, deps } = createHandlers({
+        hasConfigCapability: jest.fn().mockResolvedValue(false),
+      });
+      const req = mockReq({ params: { principalType: 'role', principalId: 'admin' } });
+
+      await handlers.deleteConfigOverrides(req, mockRes());
+
+      expect(deps.recordAdminAudit).not.toHaveBeenCalled();
+    });
+  });
+
   describe('upsertConfigOverrides — Bug 2 regression', () => {
     it('returns 403 for empty overrides when user lacks MANAGE_CONFIGS', async () => {
       const { handlers } = createHandlers({
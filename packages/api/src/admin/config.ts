@@ -6,11 +6,14 @@ import {
   PERMISSION_SUB_KEYS,
 } from 'librechat-data-provider';
 import type { TCustomConfig } from 'librechat-data-provider';
-import type { AppConfig, ConfigSection, IConfig } from '@librechat/data-schemas';
+import type { AppConfig, AuditAction, ConfigSection, IConfig } from '@librechat/data-schemas';
 import type { Types, ClientSession } from 'mongoose';
 import type { Response } from 'express';
 import type { CapabilityUser } from '~/middleware/capabilities';
 import type { ServerRequest } from '~/types/http';
+import type { RecordAdminAudit } from './audit';
+import { diffValues } from '~/utils/diff';
+import { createAuditRecorder } from './audit';
 
 const UNSAFE_SEGMENTS = /(?:^|\.)(__[\w]*|constructor|prototype)(?:\.|$)/;
 const MAX_PATCH_ENTRIES = 100;
@@ -111,6 +114,7 @@ export interface AdminConfigDeps {
   }) => Promise<AppConfig>;
   /** Invalidate all config-related caches after a mutation. */
   invalidateConfigCaches?: (tenantId?: string) => Promise<void>;
+  recordAdminAudit: RecordAdminAudit;
 }
 
 // ── Validation helpers ───────────────────────────────────────────────
@@ -143,6 +147,14 @@ function principalModel(type: PrincipalType): PrincipalModel {
   }
 }
 
+/** Config fields recorded in the audit log */
+function auditSnapshot(config: IConfig | null): Record<string, unknown> {
+  if (!config) {
+    return {};
+  }
+  return { priority: config.priority, isActive: config.isActive, overrides: config.overrides };
+}
+
 function getCapabilityUser(req: ServerRequest): CapabilityUser | null {
   if (!req.user) {
     return null;
@@ -168,8 +180,28 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
     hasConfigCapability,
     getAppConfig,
     invalidateConfigCaches,
+    recordAdminAudit,
   } = deps;
 
+  const audit = createAuditRecorder(recordAdminAudit, 'adminConfig');
+
+  /** Records a change to a principal's override as the difference between its two versions */
+  function auditConfigChange(
+    req: ServerRequest,
+    action: AuditAction,
+    principalType: PrincipalType,
+    principalId: string,
+    before: IConfig | null,
+    after: IConfig | null,
+  ) {
+    return audit(req, {
+      action,
+      targetType: 'config',
+      targetId: `${principalType}:${principalId}`,
+      ...diffValues(auditSnapshot(before), auditSnapshot(after)),
+    });
+  }
+
   /**
    * GET / — List all active config overrides.
    */
@@ -349,6 +381,9 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         }
       }
 
+      const existing = await findConfigByPrincipal(principalType, principalId, {
+        includeInactive: true,
+      });
       const config = await upsertConfig(
         principalType,
         principalId,
@@ -356,6 +391,7 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         filteredOverrides,
         priority ?? DEFAULT_PRIORITY,
       );
+      await auditConfigChange(req, 'config_replaced', principalType, principalId, existing, config);
 
       invalidateConfigCaches?.(user.tenantId)?.catch((err) =>
         logger.error('[adminConfig] Cache invalidation failed after upsert:', err),
@@ -453,10 +489,9 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         fields[entry.fieldPath] = entry.value;
       }
 
-      const existing =
-        priority == null
-          ? await findConfigByPrincipal(principalType, principalId, { includeInactive: true })
-          : null;
+      const existing = await findConfigByPrincipal(principalType, principalId, {
+        includeInactive: true,
+      });
 
       const config = await patchConfigFields(
         principalType,
@@ -465,6 +500,14 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         fields,
         priority ?? existing?.priority ?? DEFAULT_PRIORITY,
       );
+      await auditConfigChange(
+        req,
+        'config_fields_updated',
+        principalType,
+        principalId,
+        existing,
+        config,
+      );
 
       invalidateConfigCaches?.(user.tenantId)?.catch((err) =>
         logger.error('[adminConfig] Cache invalidation failed after patch:', err),
@@ -519,10 +562,21 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         return res.status(200).json({ message: 'No actionable field path provided' });
       }
 
+      const existing = await findConfigByPrincipal(principalType, principalId, {
+        includeInactive: true,
+      });
       const config = await unsetConfigField(principalType, principalId, fieldPath);
       if (!config) {
         return res.status(404).json({ error: 'Config not found' });
       }
+      await auditConfigChange(
+        req,
+        'config_field_removed',
+        principalType,
+        principalId,
+        existing,
+        config,
+      );
 
       invalidateConfigCaches?.(user.tenantId)?.catch((err) =>
         logger.error('[adminConfig] Cache invalidation failed after field delete:', err),
@@ -561,6 +615,7 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
       if (!config) {
         return res.status(404).json({ error: 'Config not found' });
       }
+      await auditConfigChange(req, 'config_deleted', principalType, principalId, config, null);
 
       invalidateConfigCaches?.(user.tenantId)?.catch((err) =>
         logger.error('[adminConfig] Cache invalidation failed after config delete:', err),
@@ -600,10 +655,14 @@ export function createAdminConfigHandlers(deps: AdminConfigDeps) {
         return res.status(403).json({ error: 'Insufficient permissions' });
       }
 
+      const existing = await findConfigByPrincipal(principalType, principalId, {
+        includeInactive: true,
+      });
       const config = await toggleConfigActive(principalType, principalId, isActive);
       if (!config) {
         return res.status(404).json({ error: 'Config not found' });
       }
+      await auditConfigChange(req, 'config_toggled', principalType, principalId, existing, config);
 
       invalidateConfigCaches?.(user.tenantId)?.catch((err) =>
         logger.error('[adminConfig] Cache invalidation failed after toggle:', err),
@@ -73,6 +73,7 @@ function createDeps(overrides: Partial<AdminGrantsDeps> = {}): AdminGrantsDeps {
         ]),
       ),
     getCachedPrincipals: jest.fn().mockReturnValue(undefined),
+    recordAdminAudit: jest.fn().mockResolvedValue(undefined),
     ...overrides,
   };
 }
@@ -616,6 +617,23 @@ describe('createAdminGrantsHandlers', () => {
       expect(json).toHaveBeenCalledWith({ grant });
     });
 
+    it('records the assignment in the audit log', async () => {
+      const userId = new Types.ObjectId();
+      const deps = createDeps();
+      const handlers = createAdminGrantsHandlers(deps);
+      const { req, res } = createReqRes({ body: validBody, user: { _id: userId, role: 'admin' } });
+
+      await handlers.assignGrant(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith({
+        action: 'grant_assigned',
+        actorId: userId.toString(),
+        targetType: 'role',
+        targetId: 'editor',
+        details: { capability: SystemCapabilities.READ_USERS },
+      });
+    });
+
     it('passes grantedBy from the authenticated user', async () => {
       const userId = new Types.ObjectId();
       const deps = createDeps();
@@ -980,6 +998,22 @@ describe('createAdminGrantsHandlers', () => {
       expect(json).toHaveBeenCalledWith({ success: true });
     });
 
+    it('records the revocation in the audit log', async () => {
+      const deps = createDeps();
+      const handlers = createAdminGrantsHandlers(deps);
+      const { req, res } = createReqRes({ params: validParams });
+
+      await handlers.revokeGrant(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'grant_removed',
+          targetId: 'editor',
+          details: { capability: SystemCapabilities.READ_USERS },
+        }),
+      );
+    });
+
     it('revokes a grant and returns 200', async () => {
       const deps = createDeps();
       const handlers = createAdminGrantsHandlers(deps);
@@ -10,6 +10,8 @@ import type { Response } from 'express';
 import type { Types } from 'mongoose';
 import type { ResolvedPrincipal } from '~/types/principal';
 import type { ServerRequest } from '~/types/http';
+import type { RecordAdminAudit } from './audit';
+import { createAuditRecorder } from './audit';
 import { parsePagination } from './pagination';
 
 interface GrantRequestBody {
@@ -72,6 +74,7 @@ export interface AdminGrantsDeps {
     tenantId?: string;
   }) => ResolvedPrincipal[] | undefined;
   checkRoleExists?: (roleId: string) => Promise<boolean>;
+  recordAdminAudit: RecordAdminAudit;
 }
 
 /** Currently ROLE-only; Record/Set structure preserved for future principal-type expansion. */
@@ -91,8 +94,11 @@ export function createAdminGrantsHandlers(deps: AdminGrantsDeps) {
     getHeldCapabilities,
     getCachedPrincipals,
     checkRoleExists,
+    recordAdminAudit,
   } = deps;
 
+  const audit = createAuditRecorder(recordAdminAudit, 'adminGrants');
+
   const MANAGE_CAPABILITY_BY_TYPE: Record<GrantPrincipalType, SystemCapability> = {
     [PrincipalType.ROLE]: SystemCapabilities.MANAGE_ROLES,
   };
@@ -346,6 +352,12 @@ export function createAdminGrantsHandlers(deps: AdminGrantsDeps) {
       if (!grant) {
         return res.status(500).json({ error: 'Grant operation returned no result' });
       }
+      await audit(req, {
+        action: 'grant_assigned',
+        targetType: 'role',
+        targetId: principalId,
+        details: { capability },
+      });
       return res.status(201).json({ grant });
     } catch (error) {
       logger.error('[adminGrants] assignGrant error:', error);
@@ -392,6 +404,12 @@ export function createAdminGrantsHandlers(deps: AdminGrantsDeps) {
         capability: capability as SystemCapability,
         tenantId,
       });
+      await audit(req, {
+        action: 'grant_removed',
+        targetType: 'role',
+        targetId: principalId,
+        details: { capability },
+      });
       return res.status(200).json({ success: true });
     } catch (error) {
       logger.error('[adminGrants] revokeGrant error:', error);
@@ -76,6 +76,8 @@ describe('createAdminGroupsHandlers', () => {
       findUsers: jest.fn().mockResolvedValue([]),
       deleteConfig: jest.fn().mockResolvedValue(null),
       deleteAclEntries: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+      deleteBudget: jest.fn().mockResolvedValue(false),
+      recordAdminAudit: jest.fn().mockResolvedValue(undefined),
       ...overrides,
     };
   }
@@ -810,7 +812,7 @@ describe('createAdminGroupsHandlers', () => {
       });
     });
 
-    it('cleans up Config and AclEntry on group delete', async () => {
+    it('cleans up Config, AclEntry and Budget on group delete', async () => {
       const deps = createDeps({ deleteGroup: jest.fn().mockResolvedValue(mockGroup()) });
       const handlers = createAdminGroupsHandlers(deps);
       const { req, res, status } = createReqRes({ params: { id: validId } });
@@ -823,6 +825,7 @@ describe('createAdminGroupsHandlers', () => {
         principalType: PrincipalType.GROUP,
         principalId: new Types.ObjectId(validId),
       });
+      expect(deps.deleteBudget).toHaveBeenCalledWith(PrincipalType.GROUP, validId);
     });
   });
 
@@ -1342,4 +1345,82 @@ describe('createAdminGroupsHandlers', () => {
       expect(json).toHaveBeenCalledWith({ success: true });
     });
   });
+
+  describe('audit log', () => {
+    it('records created groups', async () => {
+      const deps = createDeps();
+      const handlers = createAdminGroupsHandlers(deps);
+      const { req, res } = createReqRes({ body: { name: 'Test Group', memberIds: ['ext-1'] } });
+
+      await handlers.createGroup(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'group_created',
+          targetType: 'group',
+          targetId: validId,
+          details: { memberCount: 1 },
+          after: expect.objectContaining({ name: 'Test Group', source: 'local' }),
+        }),
+      );
+    });
+
+    it('records only the fields an update changed', async () => {
+      const deps = createDeps({
+        findGroupById: jest.fn().mockResolvedValue(mockGroup({ description: 'Old' })),
+        updateGroupById: jest
+          .fn()
+          .mockResolvedValue(mockGroup({ name: 'Renamed', description: 'Old' })),
+      });
+      const handlers = createAdminGroupsHandlers(deps);
+      const { req, res } = createReqRes({ params: { id: validId }, body: { name: 'Renamed' } });
+
+      await handlers.updateGroup(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'group_updated',
+          targetId: validId,
+          before: { name: 'Test Group' },
+          after: { name: 'Renamed' },
+        }),
+      );
+    });
+
+    it('records deleted groups and membership changes', async () => {
+      const deps = createDeps();
+      const handlers = createAdminGroupsHandlers(deps);
+      const added = createReqRes({ params: { id: validId }, body: { userId: validUserId } });
+      const removed = createReqRes({ params: { id: validId, userId: validUserId } });
+      const deleted = createReqRes({ params: { id: validId } });
+
+      await handlers.addGroupMember(added.req, added.res);
+      await handlers.removeGroupMember(removed.req, removed.res);
+      await handlers.deleteGroup(deleted.req, deleted.res);
+
+      const actions = (deps.recordAdminAudit as jest.Mock).mock.calls.map(([entry]) => [
+        entry.action,
+        entry.details,
+      ]);
+      expect(actions).toEqual([
+        ['group_member_added', { userId: validUserId }],
+        ['group_member_removed', { userId: validUserId }],
+        ['group_deleted', { memberCount: 0 }],
+      ]);
+    });
+
+    it('does not record changes that did not happen', async () => {
+      const deps = createDeps({ updateGroupById: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminGroupsHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: validId },
+        body: { name: 'Renamed' },
+      });
+
+      await handlers.updateGroup(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.recordAdminAudit).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -13,11 +13,14 @@ import type { FilterQuery, ClientSession, DeleteResult } from 'mongoose';
 import type { Response } from 'express';
 import type { ValidationError } from '~/types/error';
 import type { ServerRequest } from '~/types/http';
+import type { RecordAdminAudit } from './audit';
+import { diffValues } from '~/utils/diff';
+import { createAuditRecorder } from './audit';
 import { parsePagination } from './pagination';
 
 type GroupListFilter = Pick<GroupFilterOptions, 'source' | 'search'>;
 
-const VALID_GROUP_SOURCES: ReadonlySet<string> = new Set(['local', 'entra']);
+const VALID_GROUP_SOURCES: ReadonlySet<string> = new Set(['local', 'entra', 'ldap']);
 const MAX_CREATE_MEMBER_IDS = 500;
 const MAX_SEARCH_LENGTH = 200;
 const MAX_NAME_LENGTH = 500;
@@ -34,6 +37,15 @@ interface GroupMemberParams extends GroupIdParams {
   userId: string;
 }
 
+/** Group fields recorded in the audit log */
+function auditSnapshot(group: Partial<IGroup> | null): Record<string, unknown> {
+  if (!group) {
+    return {};
+  }
+  const { name, description, email, avatar, source, idOnTheSource } = group;
+  return { name, description, email, avatar, source, idOnTheSource };
+}
+
 export interface AdminGroupsDeps {
   listGroups: (
     filter?: GroupListFilter & { limit?: number; offset?: number },
@@ -82,6 +94,9 @@ export interface AdminGroupsDeps {
     principalType: PrincipalType;
     principalId: string | Types.ObjectId;
   }) => Promise<DeleteResult>;
+  /** Removes the token budget of the group. */
+  deleteBudget: (principalType: PrincipalType.GROUP, principalId: string) => Promise<boolean>;
+  recordAdminAudit: RecordAdminAudit;
 }
 
 export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
@@ -98,8 +113,12 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
     findUsers,
     deleteConfig,
     deleteAclEntries,
+    deleteBudget,
+    recordAdminAudit,
   } = deps;
 
+  const audit = createAuditRecorder(recordAdminAudit, 'adminGroups');
+
   async function listGroupsHandler(req: ServerRequest, res: Response) {
     try {
       const { search, source } = req.query as { search?: string; source?: string };
@@ -213,6 +232,13 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
         memberIds,
         ...(body.idOnTheSource ? { idOnTheSource: body.idOnTheSource } : {}),
       });
+      await audit(req, {
+        action: 'group_created',
+        targetType: 'group',
+        targetId: group._id?.toString() ?? '',
+        details: { memberCount: memberIds.length },
+        after: auditSnapshot(group),
+      });
       return res.status(201).json({ group });
     } catch (error) {
       if ((error as ValidationError).name === 'ValidationError') {
@@ -276,10 +302,17 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
         return res.status(400).json({ error: 'No valid fields to update' });
       }
 
+      const previous = await findGroupById(id);
       const group = await updateGroupById(id, updateData);
       if (!group) {
         return res.status(404).json({ error: 'Group not found' });
       }
+      await audit(req, {
+        action: 'group_updated',
+        targetType: 'group',
+        targetId: id,
+        ...diffValues(auditSnapshot(previous), auditSnapshot(group)),
+      });
       return res.status(200).json({ group });
     } catch (error) {
       if ((error as ValidationError).name === 'ValidationError') {
@@ -311,12 +344,20 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
           principalType: PrincipalType.GROUP,
           principalId: new Types.ObjectId(id),
         }),
+        deleteBudget(PrincipalType.GROUP, id),
       ]);
       for (const result of cleanupResults) {
         if (result.status === 'rejected') {
           logger.error('[adminGroups] cascade cleanup step failed for group:', id, result.reason);
         }
       }
+      await audit(req, {
+        action: 'group_deleted',
+        targetType: 'group',
+        targetId: id,
+        details: { memberCount: deleted.memberIds?.length ?? 0 },
+        before: auditSnapshot(deleted),
+      });
       return res.status(200).json({ success: true, id });
     } catch (error) {
       logger.error('[adminGroups] deleteGroup error:', error);
@@ -411,6 +452,12 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
       if (!group) {
         return res.status(404).json({ error: 'Group not found' });
       }
+      await audit(req, {
+        action: 'group_member_added',
+        targetType: 'group',
+        targetId: id,
+        details: { userId },
+      });
       return res.status(200).json({ group });
     } catch (error) {
       const message = error instanceof Error ? error.message : '';
@@ -455,6 +502,12 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps) {
       if (!group) {
         return res.status(404).json({ error: 'Group not found' });
       }
+      await audit(req, {
+        action: 'group_member_removed',
+        targetType: 'group',
+        targetId: id,
+        details: { userId },
+      });
       return res.status(200).json({ success: true });
     } catch (error) {
       logger.error('[adminGroups] removeGroupMember error:', error);
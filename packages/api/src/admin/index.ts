@@ -1,10 +1,28 @@
+export { createAdminAuditHandlers } from './audit';
+export { createAdminBannersHandlers } from './banners';
+export { createAdminBudgetsHandlers } from './budgets';
 export { createAdminConfigHandlers } from './config';
 export { createAdminGrantsHandlers } from './grants';
 export { createAdminGroupsHandlers } from './groups';
+export { createAdminRetentionHandlers } from './retention';
 export { createAdminRolesHandlers } from './roles';
+export { createAdminSearchHandlers } from './search';
+export { createAdminTransactionsHandlers } from './transactions';
 export { createAdminUsersHandlers } from './users';
+export type { AdminAuditDeps } from './audit';
+export type { AdminBannersDeps } from './banners';
+export type { AdminBudgetsDeps } from './budgets';
 export type { AdminConfigDeps } from './config';
 export type { AdminGrantsDeps, GrantPrincipalType } from './grants';
 export type { AdminGroupsDeps } from './groups';
+export type { AdminRetentionDeps } from './retention';
 export type { AdminRolesDeps } from './roles';
+export type {
+  AdminSearchDeps,
+  SearchIndexStats,
+  SearchIndexStatus,
+  SearchReindexJob,
+  SearchSyncError,
+} from './search';
+export type { AdminTransactionsDeps } from './transactions';
 export type { AdminUsersDeps } from './users';
@@ -0,0 +1,152 @@
+import { Types } from 'mongoose';
+import type { IRetentionRun } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminRetentionDeps } from './retention';
+import { createAdminRetentionHandlers } from './retention';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const run = {
+  runId: 'run-1',
+  status: 'running',
+  trigger: 'manual',
+  dryRun: true,
+} as unknown as IRetentionRun;
+
+function createReqRes(
+  overrides: {
+    params?: Record<string, string>;
+    query?: Record<string, string>;
+    body?: Record<string, unknown>;
+  } = {},
+) {
+  const req = {
+    params: overrides.params ?? {},
+    query: overrides.query ?? {},
+    body: overrides.body ?? {},
+    user: { _id: new Types.ObjectId(), id: 'admin-1', role: 'admin' },
+  } as unknown as ServerRequest;
+
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminRetentionDeps> = {}): AdminRetentionDeps {
+  return {
+    getRetentionRuns: jest.fn().mockResolvedValue({ runs: [run], total: 1 }),
+    getRetentionRun: jest.fn().mockResolvedValue(null),
+    startRetentionRun: jest.fn().mockResolvedValue(run),
+    ...overrides,
+  };
+}
+
+describe('createAdminRetentionHandlers', () => {
+  describe('listRuns', () => {
+    it('returns paginated runs', async () => {
+      const deps = createDeps();
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes({ query: { limit: '10', offset: '5' } });
+
+      await handlers.listRuns(req, res);
+
+      expect(deps.getRetentionRuns).toHaveBeenCalledWith({ limit: 10, offset: 5 });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ runs: [run], total: 1, limit: 10, offset: 5 });
+    });
+
+    it('returns 500 when listing fails', async () => {
+      const deps = createDeps({ getRetentionRuns: jest.fn().mockRejectedValue(new Error('db')) });
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.listRuns(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+      expect(json).toHaveBeenCalledWith({ error: 'Failed to list retention runs' });
+    });
+  });
+
+  describe('getRun', () => {
+    it('returns the run', async () => {
+      const deps = createDeps({ getRetentionRun: jest.fn().mockResolvedValue(run) });
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { runId: 'run-1' } });
+
+      await handlers.getRun(req, res);
+
+      expect(deps.getRetentionRun).toHaveBeenCalledWith('run-1');
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ run });
+    });
+
+    it('returns 404 for an unknown run', async () => {
+      const handlers = createAdminRetentionHandlers(createDeps());
+      const { req, res, status, json } = createReqRes({ params: { runId: 'missing' } });
+
+      await handlers.getRun(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Retention run not found' });
+    });
+  });
+
+  describe('startRun', () => {
+    it('starts a dry run by default', async () => {
+      const deps = createDeps();
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.startRun(req, res);
+
+      expect(deps.startRetentionRun).toHaveBeenCalledWith({
+        triggeredBy: 'admin-1',
+        dryRun: true,
+      });
+      expect(status).toHaveBeenCalledWith(202);
+      expect(json).toHaveBeenCalledWith({ run });
+    });
+
+    it('purges only when dryRun is explicitly false', async () => {
+      const deps = createDeps();
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res } = createReqRes({ body: { dryRun: false } });
+
+      await handlers.startRun(req, res);
+
+      expect(deps.startRetentionRun).toHaveBeenCalledWith({
+        triggeredBy: 'admin-1',
+        dryRun: false,
+      });
+    });
+
+    it('returns 400 for a non-boolean dryRun', async () => {
+      const deps = createDeps();
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes({ body: { dryRun: 'false' } });
+
+      await handlers.startRun(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'dryRun must be a boolean' });
+      expect(deps.startRetentionRun).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 when a run is already in progress', async () => {
+      const deps = createDeps({ startRetentionRun: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminRetentionHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.startRun(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json).toHaveBeenCalledWith({ error: 'A retention run is already in progress' });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { logger } from '@librechat/data-schemas';
+import type { IRetentionRun } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import { parsePagination } from './pagination';
+
+export interface AdminRetentionDeps {
+  getRetentionRuns: (options: {
+    limit?: number;
+    offset?: number;
+  }) => Promise<{ runs: IRetentionRun[]; total: number }>;
+  getRetentionRun: (runId: string) => Promise<IRetentionRun | null>;
+  /** Starts a run in the background; resolves null if one is already running */
+  startRetentionRun: (options: {
+    triggeredBy?: string;
+    dryRun?: boolean;
+  }) => Promise<IRetentionRun | null>;
+}
+
+export function createAdminRetentionHandlers(deps: AdminRetentionDeps) {
+  const { getRetentionRuns, getRetentionRun, startRetentionRun } = deps;
+
+  async function listRunsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { limit, offset } = parsePagination(req.query);
+      const { runs, total } = await getRetentionRuns({ limit, offset });
+      return res.status(200).json({ runs, total, limit, offset });
+    } catch (error) {
+      logger.error('[adminRetention] listRuns error:', error);
+      return res.status(500).json({ error: 'Failed to list retention runs' });
+    }
+  }
+
+  async function getRunHandler(req: ServerRequest, res: Response) {
+    try {
+      const { runId } = req.params as { runId: string };
+      const run = await getRetentionRun(runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Retention run not found' });
+      }
+      return res.status(200).json({ run });
+    } catch (error) {
+      logger.error('[adminRetention] getRun error:', error);
+      return res.status(500).json({ error: 'Failed to get retention run' });
+    }
+  }
+
+  /** Manual runs are dry runs unless `dryRun: false` is sent explicitly */
+  async function startRunHandler(req: ServerRequest, res: Response) {
+    try {
+      const { dryRun } = (req.body ?? {}) as { dryRun?: unknown };
+      if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+        return res.status(400).json({ error: 'dryRun must be a boolean' });
+      }
+
+      const run = await startRetentionRun({
+        triggeredBy: req.user?.id,
+        dryRun: dryRun !== false,
+      });
+      if (!run) {
+        return res.status(409).json({ error: 'A retention run is already in progress' });
+      }
+      return res.status(202).json({ run });
+    } catch (error) {
+      logger.error('[adminRetention] startRun error:', error);
+      return res.status(500).json({ error: 'Failed to start retention run' });
+    }
+  }
+
+  return {
+    listRuns: listRunsHandler,
+    getRun: getRunHandler,
+    startRun: startRunHandler,
+  };
+}
@@ -76,6 +76,8 @@ function createDeps(overrides: Partial<AdminRolesDeps> = {}): AdminRolesDeps {
     deleteConfig: jest.fn().mockResolvedValue(null),
     deleteAclEntries: jest.fn().mockResolvedValue(undefined),
     deleteGrantsForPrincipal: jest.fn().mockResolvedValue(undefined),
+    deleteBudget: jest.fn().mockResolvedValue(false),
+    recordAdminAudit: jest.fn().mockResolvedValue(undefined),
     ...overrides,
   };
 }
@@ -946,6 +948,7 @@ describe('createAdminRolesHandlers', () => {
       expect(deps.deleteGrantsForPrincipal).toHaveBeenCalledWith(PrincipalType.ROLE, 'editor', {
         tenantId: undefined,
       });
+      expect(deps.deleteBudget).toHaveBeenCalledWith(PrincipalType.ROLE, 'editor');
     });
 
     it('passes tenantId to grant cleanup', async () => {
@@ -1367,6 +1370,26 @@ describe('createAdminRolesHandlers', () => {
       expect(status).toHaveBeenCalledWith(500);
       expect(json).toHaveBeenCalledWith({ error: 'Failed to add role member' });
     });
+
+    it('returns 409 when the role is managed by the identity provider', async () => {
+      const deps = createDeps({
+        getRoleByName: jest.fn().mockResolvedValue(mockRole()),
+        findUser: jest.fn().mockResolvedValue(mockUser({ role: 'viewer', roleManagedByIdp: true })),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { name: 'editor' },
+        body: { userId: validUserId },
+      });
+
+      await handlers.addRoleMember(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json).toHaveBeenCalledWith({
+        error: 'The role of this user is managed by their identity provider',
+      });
+      expect(deps.updateUser).not.toHaveBeenCalled();
+    });
   });
 
   describe('removeRoleMember', () => {
@@ -1560,5 +1583,143 @@ describe('createAdminRolesHandlers', () => {
       expect(status).toHaveBeenCalledWith(500);
       expect(json).toHaveBeenCalledWith({ error: 'Failed to remove role member' });
     });
+
+    it('returns 409 when the role is managed by the identity provider', async () => {
+      const deps = createDeps({
+        getRoleByName: jest.fn().mockResolvedValue(mockRole()),
+        findUser: jest.fn().mockResolvedValue(mockUser({ role: 'editor', roleManagedByIdp: true })),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { name: 'editor', userId: validUserId },
+      });
+
+      await handlers.removeRoleMember(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json).toHaveBeenCalledWith({
+        error: 'The role of this user is managed by their identity provider',
+      });
+      expect(deps.updateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('audit log', () => {
+    const adminId = new Types.ObjectId();
+    const admin = { _id: adminId, role: SystemRoles.ADMIN };
+
+    it('records created roles', async () => {
+      const deps = createDeps();
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res } = createReqRes({ body: { name: 'editor' }, user: admin });
+
+      await handlers.createRole(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith({
+        action: 'role_created',
+        actorId: adminId.toString(),
+        targetType: 'role',
+        targetId: 'editor',
+        after: { name: 'editor', description: 'Can edit content', permissions: {} },
+      });
+    });
+
+    it('records only the fields an update changed', async () => {
+      const deps = createDeps({
+        getRoleByName: jest.fn().mockResolvedValue(mockRole()),
+        updateRoleByName: jest.fn().mockResolvedValue(mockRole({ description: 'Reviews' })),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { name: 'editor' },
+        body: { description: 'Reviews' },
+        user: admin,
+      });
+
+      await handlers.updateRole(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'role_updated',
+          targetId: 'editor',
+          before: { description: 'Can edit content' },
+          after: { description: 'Reviews' },
+        }),
+      );
+    });
+
+    it('records permission changes as a diff', async () => {
+      const deps = createDeps({
+        getRoleByName: jest
+          .fn()
+          .mockResolvedValueOnce(
+            mockRole({ permissions: { PROMPTS: { USE: true, CREATE: false } } } as Partial<IRole>),
+          )
+          .mockResolvedValueOnce(
+            mockRole({ permissions: { PROMPTS: { USE: true, CREATE: true } } } as Partial<IRole>),
+          ),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { name: 'editor' },
+        body: { permissions: { PROMPTS: { CREATE: true } } },
+        user: admin,
+      });
+
+      await handlers.updateRolePermissions(req, res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'role_permissions_updated',
+          before: { permissions: { PROMPTS: { CREATE: false } } },
+          after: { permissions: { PROMPTS: { CREATE: true } } },
+        }),
+      );
+    });
+
+    it('records deleted roles and membership changes', async () => {
+      const deps = createDeps({
+        getRoleByName: jest.fn().mockResolvedValue(mockRole()),
+        findUser: jest.fn().mockResolvedValue(mockUser({ role: SystemRoles.USER })),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const added = createReqRes({
+        params: { name: 'editor' },
+        body: { userId: validUserId },
+        user: admin,
+      });
+      const deleted = createReqRes({ params: { name: 'editor' }, user: admin });
+
+      await handlers.addRoleMember(added.req, added.res);
+      await handlers.deleteRole(deleted.req, deleted.res);
+
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'role_member_added',
+          details: { userId: validUserId },
+          before: { role: SystemRoles.USER },
+          after: { role: 'editor' },
+        }),
+      );
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'role_deleted',
+          targetId: 'editor',
+          before: { name: 'editor', description: 'Can edit content', permissions: {} },
+        }),
+      );
+    });
+
+    it('does not fail the request when the audit entry cannot be recorded', async () => {
+      const deps = createDeps({
+        recordAdminAudit: jest.fn().mockRejectedValue(new Error('db down')),
+      });
+      const handlers = createAdminRolesHandlers(deps);
+      const { req, res, status } = createReqRes({ body: { name: 'editor' }, user: admin });
+
+      await handlers.createRole(req, res);
+
+      expect(status).toHaveBeenCalledWith(201);
+    });
   });
 });
@@ -4,6 +4,9 @@ import type { IRole, IUser, IConfig, AdminMember } from '@librechat/data-schemas
 import type { FilterQuery, Types } from 'mongoose';
 import type { Response } from 'express';
 import type { ServerRequest } from '~/types/http';
+import type { RecordAdminAudit } from './audit';
+import { diffValues } from '~/utils/diff';
+import { createAuditRecorder } from './audit';
 import { parsePagination } from './pagination';
 
 const systemRoleValues = new Set<string>(Object.values(SystemRoles));
@@ -22,7 +25,10 @@ const CONTROL_CHAR_RE = /\p{Cc}/u;
  * Express routing resolves this correctly (single vs multi-segment), but the URLs
  * are confusing for API consumers. Keep in sync with sub-path routes in routes/admin/roles.js.
  */
-const RESERVED_ROLE_NAMES = new Set(['members', 'permissions']);
+const RESERVED_ROLE_NAMES = new Set(['members', 'permissions', 'budget']);
+
+/** Roles assigned from identity provider claims are reset at each login, see `identityMapping` */
+const ROLE_MANAGED_BY_IDP_ERROR = 'The role of this user is managed by their identity provider';
 
 function validateNameParam(name: string): string | null {
   if (!name || typeof name !== 'string') {
@@ -121,6 +127,9 @@ export interface AdminRolesDeps {
     principalId: string | Types.ObjectId,
     options?: { tenantId?: string },
   ) => Promise<void>;
+  /** Removes the token budget of the role. */
+  deleteBudget: (principalType: PrincipalType.ROLE, principalId: string) => Promise<boolean>;
+  recordAdminAudit: RecordAdminAudit;
 }
 
 export function createAdminRolesHandlers(deps: AdminRolesDeps) {
@@ -142,8 +151,12 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
     deleteConfig,
     deleteAclEntries,
     deleteGrantsForPrincipal,
+    deleteBudget,
+    recordAdminAudit,
   } = deps;
 
+  const audit = createAuditRecorder(recordAdminAudit, 'adminRoles');
+
   async function listRolesHandler(req: ServerRequest, res: Response) {
     try {
       const { limit, offset } = parsePagination(req.query);
@@ -202,6 +215,12 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         roleData.description = description;
       }
       const role = await createRoleByName(roleData);
+      await audit(req, {
+        action: 'role_created',
+        targetType: 'role',
+        targetId: role.name,
+        after: { name: role.name, description: role.description, permissions: role.permissions },
+      });
       return res.status(201).json({ role });
     } catch (error) {
       logger.error('[adminRoles] createRole error:', error);
@@ -258,6 +277,18 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
     }
   }
 
+  function auditRoleUpdate(req: ServerRequest, existing: IRole, role: IRole) {
+    return audit(req, {
+      action: 'role_updated',
+      targetType: 'role',
+      targetId: role.name,
+      ...diffValues(
+        { name: existing.name, description: existing.description },
+        { name: role.name, description: role.description },
+      ),
+    });
+  }
+
   async function updateRoleHandler(req: ServerRequest, res: Response) {
     try {
       const { name } = req.params as RoleNameParams;
@@ -316,6 +347,7 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         if (!role) {
           return res.status(404).json({ error: 'Role not found' });
         }
+        await auditRoleUpdate(req, existing, role);
         return res.status(200).json({ role });
       }
 
@@ -323,6 +355,7 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
       if (!role) {
         return res.status(404).json({ error: 'Role not found' });
       }
+      await auditRoleUpdate(req, existing, role);
       return res.status(200).json({ role });
     } catch (error) {
       if (error instanceof RoleConflictError) {
@@ -364,6 +397,12 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
       if (!updated) {
         return res.status(404).json({ error: 'Role not found' });
       }
+      await audit(req, {
+        action: 'role_permissions_updated',
+        targetType: 'role',
+        targetId: name,
+        ...diffValues({ permissions: existing.permissions }, { permissions: updated.permissions }),
+      });
       return res.status(200).json({ role: updated });
     } catch (error) {
       logger.error('[adminRoles] updateRolePermissions error:', error);
@@ -392,12 +431,23 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         deleteConfig(PrincipalType.ROLE, name),
         deleteAclEntries({ principalType: PrincipalType.ROLE, principalId: name }),
         deleteGrantsForPrincipal(PrincipalType.ROLE, name, { tenantId }),
+        deleteBudget(PrincipalType.ROLE, name),
       ]);
       for (const result of cleanupResults) {
         if (result.status === 'rejected') {
           logger.error('[adminRoles] cascade cleanup failed for role:', name, result.reason);
         }
       }
+      await audit(req, {
+        action: 'role_deleted',
+        targetType: 'role',
+        targetId: name,
+        before: {
+          name: deleted.name,
+          description: deleted.description,
+          permissions: deleted.permissions,
+        },
+      });
 
       return res.status(200).json({ success: true });
     } catch (error) {
@@ -471,6 +521,10 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         return res.status(200).json({ success: true });
       }
 
+      if (user.roleManagedByIdp) {
+        return res.status(409).json({ error: ROLE_MANAGED_BY_IDP_ERROR });
+      }
+
       if (user.role === SystemRoles.ADMIN && name !== SystemRoles.ADMIN) {
         const adminCount = await countUsersByRole(SystemRoles.ADMIN);
         if (adminCount <= 1) {
@@ -498,6 +552,14 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         }
       }
 
+      await audit(req, {
+        action: 'role_member_added',
+        targetType: 'role',
+        targetId: name,
+        details: { userId },
+        before: { role: user.role },
+        after: { role: name },
+      });
       return res.status(200).json({ success: true });
     } catch (error) {
       logger.error('[adminRoles] addRoleMember error:', error);
@@ -534,6 +596,10 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         return res.status(400).json({ error: 'User is not a member of this role' });
       }
 
+      if (user.roleManagedByIdp) {
+        return res.status(409).json({ error: ROLE_MANAGED_BY_IDP_ERROR });
+      }
+
       if (name === SystemRoles.ADMIN) {
         const adminCount = await countUsersByRole(SystemRoles.ADMIN);
         if (adminCount <= 1) {
@@ -561,6 +627,14 @@ export function createAdminRolesHandlers(deps: AdminRolesDeps) {
         }
       }
 
+      await audit(req, {
+        action: 'role_member_removed',
+        targetType: 'role',
+        targetId: name,
+        details: { userId },
+        before: { role: name },
+        after: { role: SystemRoles.USER },
+      });
       return res.status(200).json({ success: true });
     } catch (error) {
       logger.error('[adminRoles] removeRoleMember error:', error);
@@ -0,0 +1,262 @@
+import { Types } from 'mongoose';
+import type { IUser } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminSearchDeps, SearchIndexStatus, SearchReindexJob } from './search';
+import { createAdminSearchHandlers } from './search';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const validUserId = new Types.ObjectId().toString();
+
+const runningJob: SearchReindexJob = {
+  jobId: 'job-1',
+  userId: null,
+  status: 'running',
+  startedAt: '2025-01-01T00:00:00.000Z',
+};
+
+function createReqRes(
+  overrides: {
+    params?: Record<string, string>;
+    body?: Record<string, unknown>;
+    tenantId?: string;
+  } = {},
+) {
+  const req = {
+    params: overrides.params ?? {},
+    query: {},
+    body: overrides.body ?? {},
+    user: {
+      _id: new Types.ObjectId(),
+      id: 'admin-1',
+      role: 'admin',
+      ...(overrides.tenantId && { tenantId: overrides.tenantId }),
+    },
+  } as unknown as ServerRequest;
+
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminSearchDeps> = {}): AdminSearchDeps {
+  return {
+    getSearchIndexStatus: jest.fn(),
+    startSearchReindex: jest.fn().mockResolvedValue(runningJob),
+    getSearchReindexJob: jest.fn().mockResolvedValue(null),
+    findUser: jest.fn().mockResolvedValue({ _id: validUserId } as unknown as IUser),
+    ...overrides,
+  };
+}
+
+describe('createAdminSearchHandlers', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      MEILI_HOST: 'http://localhost:7700',
+      MEILI_MASTER_KEY: 'key',
+    };
+    delete process.env.SEARCH_BACKEND;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('tenant-scoped admins', () => {
+    const tenantError = { error: 'Search index administration requires a system administrator' };
+
+    it('cannot read the index status', async () => {
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes({ tenantId: 'tenant-a' });
+
+      await handlers.getStatus(req, res);
+
+      expect(status).toHaveBeenCalledWith(403);
+      expect(json).toHaveBeenCalledWith(tenantError);
+      expect(deps.getSearchIndexStatus).not.toHaveBeenCalled();
+    });
+
+    it('cannot start a reindex', async () => {
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes({ tenantId: 'tenant-a' });
+
+      await handlers.reindex(req, res);
+
+      expect(status).toHaveBeenCalledWith(403);
+      expect(json).toHaveBeenCalledWith(tenantError);
+      expect(deps.startSearchReindex).not.toHaveBeenCalled();
+    });
+
+    it('cannot read reindex jobs', async () => {
+      const deps = createDeps({ getSearchReindexJob: jest.fn().mockResolvedValue(runningJob) });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { jobId: 'job-1' },
+        tenantId: 'tenant-a',
+      });
+
+      await handlers.getReindexJob(req, res);
+
+      expect(status).toHaveBeenCalledWith(403);
+      expect(deps.getSearchReindexJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStatus', () => {
+    it('returns the index status', async () => {
+      const status: SearchIndexStatus = {
+        healthy: true,
+        indexes: [
+          {
+            name: 'messages',
+            meiliDocuments: 90,
+            mongoDocuments: 100,
+            mongoIndexed: 100,
+            isIndexing: false,
+            drift: -10,
+          },
+        ],
+        lastErrors: [],
+        activeJob: null,
+      };
+      const deps = createDeps({ getSearchIndexStatus: jest.fn().mockResolvedValue(status) });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status: resStatus, json } = createReqRes();
+
+      await handlers.getStatus(req, res);
+
+      expect(resStatus).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith(status);
+    });
+
+    it('returns 409 when Meilisearch is not the search backend', async () => {
+      process.env.SEARCH_BACKEND = 'mongodb';
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.getStatus(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json).toHaveBeenCalledWith({
+        error: 'Meilisearch is not the configured search backend',
+      });
+      expect(deps.getSearchIndexStatus).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the status cannot be read', async () => {
+      const deps = createDeps({
+        getSearchIndexStatus: jest.fn().mockRejectedValue(new Error('db down')),
+      });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.getStatus(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+      expect(json).toHaveBeenCalledWith({ error: 'Failed to get search index status' });
+    });
+  });
+
+  describe('reindex', () => {
+    it('starts a full reindex', async () => {
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.reindex(req, res);
+
+      expect(deps.startSearchReindex).toHaveBeenCalledWith({
+        userId: undefined,
+        requestedBy: 'admin-1',
+      });
+      expect(deps.findUser).not.toHaveBeenCalled();
+      expect(status).toHaveBeenCalledWith(202);
+      expect(json).toHaveBeenCalledWith({ job: runningJob });
+    });
+
+    it('starts a reindex for an existing user', async () => {
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status } = createReqRes({ body: { userId: validUserId } });
+
+      await handlers.reindex(req, res);
+
+      expect(deps.findUser).toHaveBeenCalledWith({ _id: validUserId }, '_id');
+      expect(deps.startSearchReindex).toHaveBeenCalledWith({
+        userId: validUserId,
+        requestedBy: 'admin-1',
+      });
+      expect(status).toHaveBeenCalledWith(202);
+    });
+
+    it('returns 400 for an invalid user ID', async () => {
+      const deps = createDeps();
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes({ body: { userId: { $ne: null } } });
+
+      await handlers.reindex(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'Invalid user ID format' });
+      expect(deps.startSearchReindex).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the user does not exist', async () => {
+      const deps = createDeps({ findUser: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes({ body: { userId: validUserId } });
+
+      await handlers.reindex(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'User not found' });
+    });
+
+    it('returns 409 when a reindex is already running', async () => {
+      const deps = createDeps({ startSearchReindex: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.reindex(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json).toHaveBeenCalledWith({ error: 'A reindex is already running' });
+    });
+  });
+
+  describe('getReindexJob', () => {
+    it('returns the job', async () => {
+      const deps = createDeps({ getSearchReindexJob: jest.fn().mockResolvedValue(runningJob) });
+      const handlers = createAdminSearchHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { jobId: 'job-1' } });
+
+      await handlers.getReindexJob(req, res);
+
+      expect(deps.getSearchReindexJob).toHaveBeenCalledWith('job-1');
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ job: runningJob });
+    });
+
+    it('returns 404 for an unknown job', async () => {
+      const handlers = createAdminSearchHandlers(createDeps());
+      const { req, res, status, json } = createReqRes({ params: { jobId: 'missing' } });
+
+      await handlers.getReindexJob(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Reindex job not found' });
+    });
+  });
+});
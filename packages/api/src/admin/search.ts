@@ -0,0 +1,150 @@
+import { logger, getSearchBackend, isValidObjectIdString } from '@librechat/data-schemas';
+import type { IUser } from '@librechat/data-schemas';
+import type { FilterQuery } from 'mongoose';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+
+/** Document counts of one Meilisearch index and its MongoDB collection */
+export interface SearchIndexStats {
+  name: string;
+  /** Documents in the Meilisearch index, or null if it could not be read */
+  meiliDocuments: number | null;
+  /** Non-expired documents in MongoDB */
+  mongoDocuments: number;
+  /** Non-expired documents MongoDB has flagged as indexed */
+  mongoIndexed: number;
+  isIndexing: boolean;
+  /** Meilisearch documents minus MongoDB documents; non-zero means the index has drifted */
+  drift: number | null;
+}
+
+export interface SearchSyncError {
+  source: string;
+  message: string;
+  timestamp: string;
+}
+
+export interface SearchReindexJob {
+  jobId: string;
+  /** `null` for a full reindex */
+  userId: string | null;
+  status: 'running' | 'completed' | 'failed';
+  requestedBy?: string;
+  startedAt: string;
+  finishedAt?: string;
+  /** Documents queued for indexing, by index */
+  queued?: Record<string, number>;
+  error?: string;
+}
+
+export interface SearchIndexStatus {
+  healthy: boolean;
+  indexes: SearchIndexStats[];
+  lastErrors: SearchSyncError[];
+  activeJob: SearchReindexJob | null;
+}
+
+export interface AdminSearchDeps {
+  getSearchIndexStatus: () => Promise<SearchIndexStatus>;
+  /** Starts a reindex in the background; resolves null if one is already running */
+  startSearchReindex: (options: {
+    userId?: string;
+    requestedBy?: string;
+  }) => Promise<SearchReindexJob | null>;
+  getSearchReindexJob: (jobId: string) => Promise<SearchReindexJob | null>;
+  findUser: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ) => Promise<IUser | null>;
+}
+
+export function createAdminSearchHandlers(deps: AdminSearchDeps) {
+  const { getSearchIndexStatus, startSearchReindex, getSearchReindexJob, findUser } = deps;
+
+  /** Rejects requests when search is not served by Meilisearch */
+  function requireMeilisearch(res: Response): boolean {
+    if (getSearchBackend() === 'meilisearch') {
+      return true;
+    }
+    res.status(409).json({ error: 'Meilisearch is not the configured search backend' });
+    return false;
+  }
+
+  /**
+   * Rejects tenant-scoped admins: the search indexes, their sync errors and reindex
+   * jobs are shared by every tenant.
+   */
+  function requireSystemAdmin(req: ServerRequest, res: Response): boolean {
+    if (!req.user?.tenantId) {
+      return true;
+    }
+    res.status(403).json({ error: 'Search index administration requires a system administrator' });
+    return false;
+  }
+
+  async function getStatusHandler(req: ServerRequest, res: Response) {
+    if (!requireSystemAdmin(req, res) || !requireMeilisearch(res)) {
+      return;
+    }
+    try {
+      const status = await getSearchIndexStatus();
+      return res.status(200).json(status);
+    } catch (error) {
+      logger.error('[adminSearch] getStatus error:', error);
+      return res.status(500).json({ error: 'Failed to get search index status' });
+    }
+  }
+
+  async function reindexHandler(req: ServerRequest, res: Response) {
+    if (!requireSystemAdmin(req, res) || !requireMeilisearch(res)) {
+      return;
+    }
+    try {
+      const { userId } = (req.body ?? {}) as { userId?: unknown };
+      if (userId != null) {
+        if (typeof userId !== 'string' || !isValidObjectIdString(userId)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+        const user = await findUser({ _id: userId }, '_id');
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+      }
+
+      const job = await startSearchReindex({
+        userId: userId ?? undefined,
+        requestedBy: req.user?.id,
+      });
+      if (!job) {
+        return res.status(409).json({ error: 'A reindex is already running' });
+      }
+      return res.status(202).json({ job });
+    } catch (error) {
+      logger.error('[adminSearch] reindex error:', error);
+      return res.status(500).json({ error: 'Failed to start reindex' });
+    }
+  }
+
+  async function getReindexJobHandler(req: ServerRequest, res: Response) {
+    if (!requireSystemAdmin(req, res)) {
+      return;
+    }
+    try {
+      const { jobId } = req.params as { jobId: string };
+      const job = await getSearchReindexJob(jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Reindex job not found' });
+      }
+      return res.status(200).json({ job });
+    } catch (error) {
+      logger.error('[adminSearch] getReindexJob error:', error);
+      return res.status(500).json({ error: 'Failed to get reindex job' });
+    }
+  }
+
+  return {
+    getStatus: getStatusHandler,
+    reindex: reindexHandler,
+    getReindexJob: getReindexJobHandler,
+  };
+}
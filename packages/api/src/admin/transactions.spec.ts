@@ -0,0 +1,116 @@
+import { Types } from 'mongoose';
+import type { IGroup, IUser } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminTransactionsDeps } from './transactions';
+import { createAdminTransactionsHandlers } from './transactions';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const userId = new Types.ObjectId().toString();
+const groupId = new Types.ObjectId().toString();
+
+function createReqRes(query: Record<string, string> = {}) {
+  const req = {
+    query,
+    user: { _id: new Types.ObjectId(), id: 'admin-1', role: 'admin' },
+  } as unknown as ServerRequest;
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminTransactionsDeps> = {}): AdminTransactionsDeps {
+  return {
+    getTransactionLedger: jest.fn().mockResolvedValue({ transactions: [], nextCursor: null }),
+    getConversationCostRollups: jest.fn().mockResolvedValue({ conversations: [], totals: {} }),
+    findUser: jest.fn().mockResolvedValue({ _id: new Types.ObjectId(userId) } as IUser),
+    findGroupById: jest.fn().mockResolvedValue(null),
+    findUsers: jest.fn().mockResolvedValue([]),
+    ...overrides,
+  };
+}
+
+describe('createAdminTransactionsHandlers', () => {
+  it('lists transactions across all users by default', async () => {
+    const deps = createDeps();
+    const { req, res, status } = createReqRes();
+
+    await createAdminTransactionsHandlers(deps).listTransactions(req, res);
+
+    expect(deps.getTransactionLedger).toHaveBeenCalledWith(
+      expect.objectContaining({ users: undefined }),
+      expect.any(Object),
+    );
+    expect(status).toHaveBeenCalledWith(200);
+  });
+
+  it('narrows the ledger to one user', async () => {
+    const deps = createDeps();
+    const { req, res } = createReqRes({ userId });
+
+    await createAdminTransactionsHandlers(deps).listTransactions(req, res);
+
+    expect(deps.getTransactionLedger).toHaveBeenCalledWith(
+      expect.objectContaining({ users: [userId] }),
+      expect.any(Object),
+    );
+  });
+
+  it('resolves group members from user IDs and external IDs', async () => {
+    const memberId = new Types.ObjectId();
+    const externalMember = new Types.ObjectId();
+    const deps = createDeps({
+      findGroupById: jest
+        .fn()
+        .mockResolvedValue({ memberIds: [memberId.toString(), 'entra-1'] } as IGroup),
+      findUsers: jest
+        .fn()
+        .mockResolvedValue([{ _id: memberId }, { _id: externalMember }] as IUser[]),
+    });
+    const { req, res } = createReqRes({ groupId });
+
+    await createAdminTransactionsHandlers(deps).getConversationCosts(req, res);
+
+    expect(deps.findUsers).toHaveBeenCalledWith(
+      {
+        $or: [
+          { idOnTheSource: { $in: [memberId.toString(), 'entra-1'] } },
+          { _id: { $in: [memberId.toString()] } },
+        ],
+      },
+      '_id',
+    );
+    expect(deps.getConversationCostRollups).toHaveBeenCalledWith(
+      expect.objectContaining({ users: [memberId.toString(), externalMember.toString()] }),
+      { limit: 50 },
+    );
+  });
+
+  it('returns 404 for an unknown group', async () => {
+    const deps = createDeps();
+    const { req, res, status } = createReqRes({ groupId });
+
+    await createAdminTransactionsHandlers(deps).listTransactions(req, res);
+
+    expect(status).toHaveBeenCalledWith(404);
+    expect(deps.getTransactionLedger).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ userId: 'not-an-id' }, 'Invalid user ID format'],
+    [{ userId, groupId }, 'Specify either userId or groupId, not both'],
+  ])('rejects invalid principals (%#)', async (query, error) => {
+    const deps = createDeps();
+    const { req, res, status, json } = createReqRes(query);
+
+    await createAdminTransactionsHandlers(deps).listTransactions(req, res);
+
+    expect(status).toHaveBeenCalledWith(400);
+    expect(json).toHaveBeenCalledWith({ error });
+  });
+});
@@ -0,0 +1,84 @@
+import { isValidObjectIdString } from '@librechat/data-schemas';
+import type { IGroup, IUser } from '@librechat/data-schemas';
+import type { FilterQuery, Types } from 'mongoose';
+import type { ServerRequest } from '~/types/http';
+import type { TransactionLedgerDeps } from '~/balance/ledger';
+import { TransactionLedgerError, createTransactionLedgerHandlers } from '~/balance/ledger';
+
+export interface AdminTransactionsDeps
+  extends Pick<TransactionLedgerDeps, 'getTransactionLedger' | 'getConversationCostRollups'> {
+  findUser: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ) => Promise<IUser | null>;
+  findGroupById: (
+    groupId: string | Types.ObjectId,
+    projection?: Record<string, 0 | 1>,
+  ) => Promise<IGroup | null>;
+  findUsers: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ) => Promise<IUser[]>;
+}
+
+/**
+ * Creates the admin transaction ledger handlers. The ledger spans all users unless
+ * narrowed to one user (`userId`) or the members of a group (`groupId`).
+ */
+export function createAdminTransactionsHandlers(deps: AdminTransactionsDeps) {
+  const { getTransactionLedger, getConversationCostRollups, findUser, findGroupById, findUsers } =
+    deps;
+
+  /** Group `memberIds` hold either user IDs or the users' `idOnTheSource` */
+  async function resolveGroupMembers(groupId: string): Promise<string[]> {
+    const group = await findGroupById(groupId, { memberIds: 1 });
+    if (!group) {
+      throw new TransactionLedgerError('Group not found', 404);
+    }
+
+    const memberIds = [...new Set(group.memberIds || [])];
+    if (memberIds.length === 0) {
+      return [];
+    }
+    const validObjectIds = memberIds.filter(isValidObjectIdString);
+    const conditions: FilterQuery<IUser>[] = [{ idOnTheSource: { $in: memberIds } }];
+    if (validObjectIds.length > 0) {
+      conditions.push({ _id: { $in: validObjectIds } });
+    }
+    const users = await findUsers({ $or: conditions }, '_id');
+    return [...new Set(users.map((user) => user._id.toString()))];
+  }
+
+  async function resolveUsers(req: ServerRequest): Promise<string[] | undefined> {
+    const { userId, groupId } = req.query as { userId?: unknown; groupId?: unknown };
+    if (userId != null && groupId != null) {
+      throw new TransactionLedgerError('Specify either userId or groupId, not both');
+    }
+
+    if (userId != null) {
+      if (typeof userId !== 'string' || !isValidObjectIdString(userId)) {
+        throw new TransactionLedgerError('Invalid user ID format');
+      }
+      const user = await findUser({ _id: userId }, '_id');
+      if (!user) {
+        throw new TransactionLedgerError('User not found', 404);
+      }
+      return [userId];
+    }
+
+    if (groupId != null) {
+      if (typeof groupId !== 'string' || !isValidObjectIdString(groupId)) {
+        throw new TransactionLedgerError('Invalid group ID format');
+      }
+      return resolveGroupMembers(groupId);
+    }
+
+    return undefined;
+  }
+
+  return createTransactionLedgerHandlers({
+    getTransactionLedger,
+    getConversationCostRollups,
+    resolveUsers,
+  });
+}
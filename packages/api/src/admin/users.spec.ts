@@ -1,10 +1,11 @@
 import { Types } from 'mongoose';
 import { PrincipalType, SystemRoles } from 'librechat-data-provider';
+import { SystemCapabilities } from '@librechat/data-schemas';
 import type { IUser, UserDeleteResult } from '@librechat/data-schemas';
 import type { Response } from 'express';
 import type { ServerRequest } from '~/types/http';
 import type { AdminUsersDeps } from './users';
-import { createAdminUsersHandlers } from './users';
+import { createAdminUsersHandlers, IMPERSONATION_TOKEN_EXPIRY_MS } from './users';
 
 jest.mock('@librechat/data-schemas', () => ({
   ...jest.requireActual('@librechat/data-schemas'),
@@ -32,13 +33,14 @@ function createReqRes(
   overrides: {
     params?: Record<string, string>;
     query?: Record<string, string | string[]>;
+    body?: Record<string, unknown>;
     user?: { _id?: Types.ObjectId; id?: string; role?: string; tenantId?: string };
   } = {},
 ) {
   const req = {
     params: overrides.params ?? {},
     query: overrides.query ?? {},
-    body: {},
+    body: overrides.body ?? {},
     user: overrides.user ?? { _id: new Types.ObjectId(), role: 'admin' },
   } as unknown as ServerRequest;
 
@@ -58,6 +60,22 @@ function createDeps(overrides: Partial<AdminUsersDeps> = {}): AdminUsersDeps {
       .mockResolvedValue({ deletedCount: 1, message: 'User was deleted successfully.' }),
     deleteConfig: jest.fn().mockResolvedValue(null),
     deleteAclEntries: jest.fn().mockResolvedValue(undefined),
+    deleteUserData: jest.fn().mockResolvedValue(undefined),
+    registerUser: jest.fn().mockResolvedValue({ status: 200, message: 'ok' }),
+    getRoleByName: jest.fn().mockResolvedValue({ name: 'USER' }),
+    updateUser: jest.fn().mockResolvedValue(mockUser()),
+    deleteAllUserSessions: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+    generateToken: jest.fn().mockResolvedValue('jwt-token'),
+    issuePasswordReset: jest.fn().mockResolvedValue({ link: 'http://reset', emailed: false }),
+    isSuspensionEnforced: jest.fn().mockReturnValue(true),
+    suspendUser: jest.fn().mockResolvedValue({}),
+    unsuspendUser: jest.fn().mockResolvedValue(true),
+    getUserSuspension: jest.fn().mockResolvedValue(null),
+    getUserPrincipals: jest.fn().mockResolvedValue([]),
+    getCapabilitiesForPrincipals: jest.fn().mockResolvedValue([]),
+    getHeldCapabilities: jest.fn().mockResolvedValue(new Set()),
+    recordAdminAudit: jest.fn().mockResolvedValue(undefined),
+    getAdminAuditLogs: jest.fn().mockResolvedValue({ entries: [], total: 0 }),
     ...overrides,
   };
 }
@@ -433,6 +451,10 @@ describe('createAdminUsersHandlers', () => {
         principalType: PrincipalType.USER,
         principalId: expect.any(Types.ObjectId),
       });
+      expect(deps.deleteUserData).toHaveBeenCalledWith(validUserId, req);
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'user_deleted', targetId: validUserId }),
+      );
     });
 
     it('returns success even when cascade cleanup partially fails', async () => {
@@ -502,4 +524,356 @@ describe('createAdminUsersHandlers', () => {
       expect(json).toHaveBeenCalledWith({ error: 'Failed to delete user' });
     });
   });
+
+  describe('createUser', () => {
+    it('creates a user with a generated password', async () => {
+      const created = mockUser({ email: 'new@example.com' });
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValueOnce([]).mockResolvedValueOnce([created]),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        body: { email: ' New@Example.com ', name: 'New User', role: 'USER' },
+      });
+
+      await handlers.createUser(req, res);
+
+      const [[user, additionalData]] = (deps.registerUser as jest.Mock).mock.calls;
+      expect(user).toEqual(expect.objectContaining({ email: 'new@example.com', name: 'New User' }));
+      expect(user.password).toEqual(user.confirm_password);
+      expect(additionalData).toEqual({ emailVerified: true, role: 'USER' });
+      expect(status).toHaveBeenCalledWith(201);
+      expect(json).toHaveBeenCalledWith({
+        user: expect.objectContaining({ email: 'new@example.com' }),
+        generatedPassword: user.password,
+      });
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'user_created' }),
+      );
+    });
+
+    it('returns 409 when the email is taken', async () => {
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([mockUser()]) });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: { email: 'test@example.com', name: 'Test' },
+      });
+
+      await handlers.createUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(deps.registerUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses roles granting capabilities the caller does not hold', async () => {
+      const deps = createDeps({
+        getCapabilitiesForPrincipals: jest
+          .fn()
+          .mockResolvedValue([{ capability: SystemCapabilities.MANAGE_USERS }]),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: { email: 'a@example.com', name: 'A', role: SystemRoles.ADMIN },
+      });
+
+      await handlers.createUser(req, res);
+
+      expect(deps.getCapabilitiesForPrincipals).toHaveBeenCalledWith(
+        expect.objectContaining({
+          principals: [{ principalType: PrincipalType.ROLE, principalId: SystemRoles.ADMIN }],
+        }),
+      );
+      expect(status).toHaveBeenCalledWith(403);
+      expect(deps.registerUser).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown roles and reports registration errors as 400', async () => {
+      const deps = createDeps({ getRoleByName: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminUsersHandlers(deps);
+      const unknownRole = createReqRes({
+        body: { email: 'a@example.com', name: 'A', role: 'NOPE' },
+      });
+
+      await handlers.createUser(unknownRole.req, unknownRole.res);
+
+      expect(unknownRole.status).toHaveBeenCalledWith(400);
+
+      (deps.registerUser as jest.Mock).mockResolvedValue({
+        status: 404,
+        message: 'String must contain at least 8 character(s)',
+      });
+      const weakPassword = createReqRes({
+        body: { email: 'a@example.com', name: 'A', password: 'short' },
+      });
+
+      await handlers.createUser(weakPassword.req, weakPassword.res);
+
+      expect(weakPassword.status).toHaveBeenCalledWith(400);
+      expect(weakPassword.json).toHaveBeenCalledWith({
+        error: 'String must contain at least 8 character(s)',
+      });
+    });
+  });
+
+  describe('suspendUser', () => {
+    it('suspends for a duration and records the reason', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser()]),
+        suspendUser: jest.fn().mockResolvedValue({ expiresAt: Date.parse('2030-01-01') }),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { id: validUserId },
+        body: { durationMinutes: 60, reason: 'Spam' },
+      });
+
+      await handlers.suspendUser(req, res);
+
+      expect(deps.suspendUser).toHaveBeenCalledWith(validUserId, {
+        durationMs: 3600000,
+        reason: 'Spam',
+      });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({
+        suspended: true,
+        expiresAt: '2030-01-01T00:00:00.000Z',
+      });
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'user_suspended', targetId: validUserId }),
+      );
+    });
+
+    it('refuses when bans are not enforced', async () => {
+      const deps = createDeps({ isSuspensionEnforced: jest.fn().mockReturnValue(false) });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.suspendUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(deps.suspendUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses to suspend the caller or accept invalid durations', async () => {
+      const callerId = new Types.ObjectId();
+      const deps = createDeps();
+      const handlers = createAdminUsersHandlers(deps);
+      const self = createReqRes({
+        params: { id: callerId.toString() },
+        user: { _id: callerId, role: 'admin' },
+      });
+      const invalid = createReqRes({ params: { id: validUserId }, body: { durationMinutes: -5 } });
+
+      await handlers.suspendUser(self.req, self.res);
+      await handlers.suspendUser(invalid.req, invalid.res);
+
+      expect(self.status).toHaveBeenCalledWith(403);
+      expect(invalid.status).toHaveBeenCalledWith(400);
+      expect(deps.suspendUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unsuspendUser', () => {
+    it('returns 404 when the user is not suspended', async () => {
+      const deps = createDeps({ unsuspendUser: jest.fn().mockResolvedValue(false) });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.unsuspendUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.recordAdminAudit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forcePasswordReset', () => {
+    it('invalidates the password, ends sessions and returns the link without email', async () => {
+      const user = mockUser({ _id: new Types.ObjectId(validUserId) });
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([user]) });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.forcePasswordReset(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(validUserId, { password: null });
+      expect(deps.deleteAllUserSessions).toHaveBeenCalledWith({ userId: validUserId });
+      expect(deps.issuePasswordReset).toHaveBeenCalledWith(user);
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ emailed: false, link: 'http://reset' });
+    });
+
+    it('rejects accounts without a local password', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser({ provider: 'openid' })]),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.forcePasswordReset(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(deps.issuePasswordReset).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetTwoFactor', () => {
+    it('disables 2FA and ends sessions', async () => {
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([mockUser()]) });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.resetTwoFactor(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(
+        validUserId,
+        expect.objectContaining({ twoFactorEnabled: false, totpSecret: null, backupCodes: [] }),
+      );
+      expect(deps.deleteAllUserSessions).toHaveBeenCalledWith({ userId: validUserId });
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 404 for unknown users', async () => {
+      const deps = createDeps();
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.resetTwoFactor(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.updateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('privileged targets', () => {
+    function createPrivilegedDeps() {
+      return createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser({ role: SystemRoles.ADMIN })]),
+        countUsers: jest.fn().mockResolvedValue(2),
+        getUserPrincipals: jest
+          .fn()
+          .mockResolvedValue([{ principalType: PrincipalType.ROLE, principalId: 'ADMIN' }]),
+        getCapabilitiesForPrincipals: jest
+          .fn()
+          .mockResolvedValue([
+            { capability: SystemCapabilities.READ_USERS },
+            { capability: SystemCapabilities.MANAGE_USERS },
+          ]),
+        getHeldCapabilities: jest.fn().mockResolvedValue(new Set([SystemCapabilities.READ_USERS])),
+      });
+    }
+
+    it.each(['deleteUser', 'suspendUser', 'forcePasswordReset', 'resetTwoFactor'] as const)(
+      '%s refuses users holding capabilities the caller does not hold',
+      async (handler) => {
+        const deps = createPrivilegedDeps();
+        const handlers = createAdminUsersHandlers(deps);
+        const { req, res, status } = createReqRes({
+          params: { id: validUserId },
+          body: { reason: 'Abuse' },
+        });
+
+        await handlers[handler](req, res);
+
+        expect(status).toHaveBeenCalledWith(403);
+        expect(deps.deleteUserById).not.toHaveBeenCalled();
+        expect(deps.suspendUser).not.toHaveBeenCalled();
+        expect(deps.updateUser).not.toHaveBeenCalled();
+        expect(deps.deleteAllUserSessions).not.toHaveBeenCalled();
+      },
+    );
+  });
+
+  describe('impersonateUser', () => {
+    it('issues a short-lived token and audits the reason', async () => {
+      const user = mockUser();
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([user]) });
+      const handlers = createAdminUsersHandlers(deps);
+      const callerId = new Types.ObjectId();
+      const { req, res, status, json } = createReqRes({
+        params: { id: validUserId },
+        body: { reason: 'Ticket #123' },
+        user: { _id: callerId, role: 'admin' },
+      });
+
+      await handlers.impersonateUser(req, res);
+
+      expect(deps.generateToken).toHaveBeenCalledWith(user, IMPERSONATION_TOKEN_EXPIRY_MS, {
+        impersonatedBy: callerId.toString(),
+      });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ token: 'jwt-token', expiresAt: expect.any(String) });
+      expect(deps.recordAdminAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'user_impersonated',
+          details: expect.objectContaining({ reason: 'Ticket #123' }),
+        }),
+      );
+    });
+
+    it('requires a reason and refuses admin accounts', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser({ role: SystemRoles.ADMIN })]),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const noReason = createReqRes({ params: { id: validUserId } });
+      const admin = createReqRes({ params: { id: validUserId }, body: { reason: 'Debug' } });
+
+      await handlers.impersonateUser(noReason.req, noReason.res);
+      await handlers.impersonateUser(admin.req, admin.res);
+
+      expect(noReason.status).toHaveBeenCalledWith(400);
+      expect(admin.status).toHaveBeenCalledWith(403);
+      expect(deps.generateToken).not.toHaveBeenCalled();
+    });
+
+    it('refuses users holding capabilities the caller does not hold', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser()]),
+        getUserPrincipals: jest
+          .fn()
+          .mockResolvedValue([{ principalType: PrincipalType.ROLE, principalId: 'support' }]),
+        getCapabilitiesForPrincipals: jest
+          .fn()
+          .mockResolvedValue([
+            { capability: SystemCapabilities.READ_USERS },
+            { capability: SystemCapabilities.MANAGE_USERS },
+          ]),
+        getHeldCapabilities: jest.fn().mockResolvedValue(new Set([SystemCapabilities.READ_USERS])),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: validUserId },
+        body: { reason: 'Debug' },
+      });
+
+      await handlers.impersonateUser(req, res);
+
+      expect(deps.getHeldCapabilities).toHaveBeenCalledWith(
+        expect.objectContaining({
+          capabilities: [SystemCapabilities.READ_USERS, SystemCapabilities.MANAGE_USERS],
+        }),
+      );
+      expect(status).toHaveBeenCalledWith(403);
+      expect(deps.generateToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAuditLog', () => {
+    it('lists audit entries for the user', async () => {
+      const deps = createDeps();
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: validUserId },
+        query: { limit: '10' },
+      });
+
+      await handlers.getAuditLog(req, res);
+
+      expect(deps.getAdminAuditLogs).toHaveBeenCalledWith(
+        { targetType: 'user', targetId: validUserId },
+        { limit: 10, offset: 0 },
+      );
+      expect(status).toHaveBeenCalledWith(200);
+    });
+  });
 });
@@ -1,22 +1,43 @@
+import crypto from 'crypto';
 import { Types } from 'mongoose';
 import { PrincipalType, SystemRoles } from 'librechat-data-provider';
 import { logger, isValidObjectIdString } from '@librechat/data-schemas';
 import type {
+  IRole,
   IUser,
   IConfig,
+  AuditAction,
+  ISystemGrant,
+  IAdminAuditLog,
+  SystemCapability,
   AdminUserListItem,
+  AdminAuditLogFilter,
   AdminUserSearchResult,
   UserDeleteResult,
 } from '@librechat/data-schemas';
 import type { FilterQuery } from 'mongoose';
 import type { Response } from 'express';
+import type { ResolvedPrincipal } from '~/types/principal';
 import type { ServerRequest } from '~/types/http';
+import type { RecordAdminAudit } from './audit';
+import { createAuditRecorder } from './audit';
 import { parsePagination } from './pagination';
 
 const MAX_SEARCH_LENGTH = 200;
 
 const USER_LIST_FIELDS = '_id name username email avatar role provider createdAt updatedAt';
 
+const MAX_REASON_LENGTH = 500;
+const MAX_SUSPENSION_MINUTES = 60 * 24 * 365;
+/** Impersonation tokens are access tokens only and cannot be refreshed */
+export const IMPERSONATION_TOKEN_EXPIRY_MS = 15 * 60 * 1000;
+
+export interface UserSuspension {
+  type?: string;
+  reason?: string;
+  expiresAt?: number;
+}
+
 export interface AdminUsersDeps {
   findUsers: (
     searchCriteria: FilterQuery<IUser>,
@@ -26,10 +47,8 @@ export interface AdminUsersDeps {
   countUsers: (filter?: FilterQuery<IUser>) => Promise<number>;
   /**
    * Thin data-layer delete — removes the User document only.
-   * Full cascade of user-owned resources (conversations, messages, files, tokens, etc.)
-   * is handled by `UserController.deleteUserController` in the self-delete flow.
-   * This admin endpoint currently cascades Config and AclEntries.
-   * A future iteration should consolidate the full cascade into a shared service function.
+   * User-owned resources are removed afterwards by `deleteUserData`, along with
+   * the user's Config and AclEntries.
    */
   deleteUserById: (userId: string) => Promise<UserDeleteResult>;
   deleteConfig: (
@@ -40,10 +59,171 @@ export interface AdminUsersDeps {
     principalType: PrincipalType;
     principalId: string | Types.ObjectId;
   }) => Promise<void>;
+  /** Deletes everything the user owns; runs after the User document is removed */
+  deleteUserData: (userId: string, req: ServerRequest) => Promise<void>;
+  /** Registers a local user, hashing the password and sending verification email if needed */
+  registerUser: (
+    user: {
+      email: string;
+      name: string;
+      username?: string;
+      password: string;
+      confirm_password: string;
+    },
+    additionalData?: { emailVerified?: boolean; role?: string },
+  ) => Promise<{ status: number; message: string }>;
+  getRoleByName: (name: string, fields?: string | string[] | null) => Promise<IRole | null>;
+  updateUser: (userId: string, update: Partial<IUser>) => Promise<IUser | null>;
+  deleteAllUserSessions: (params: { userId: string }) => Promise<unknown>;
+  generateToken: (
+    user: IUser,
+    expiresIn?: number,
+    claims?: { impersonatedBy?: string },
+  ) => Promise<string>;
+  /** Replaces the user's reset token and emails the link when email is configured */
+  issuePasswordReset: (user: IUser) => Promise<{ link: string; emailed: boolean }>;
+  /** Whether suspensions are enforced; they are stored in the `BAN` log store */
+  isSuspensionEnforced: () => boolean;
+  suspendUser: (
+    userId: string,
+    options: { durationMs?: number; reason?: string },
+  ) => Promise<{ expiresAt?: number }>;
+  /** Resolves whether the user was suspended */
+  unsuspendUser: (userId: string) => Promise<boolean>;
+  getUserSuspension: (userId: string) => Promise<UserSuspension | null>;
+  getUserPrincipals: (params: {
+    userId: string;
+    role?: string | null;
+    tenantId?: string;
+  }) => Promise<ResolvedPrincipal[]>;
+  getCapabilitiesForPrincipals: (params: {
+    principals: Array<{ principalType: PrincipalType; principalId: string | Types.ObjectId }>;
+    tenantId?: string;
+  }) => Promise<ISystemGrant[]>;
+  getHeldCapabilities: (params: {
+    principals: ResolvedPrincipal[];
+    capabilities: SystemCapability[];
+    tenantId?: string;
+  }) => Promise<Set<SystemCapability>>;
+  recordAdminAudit: RecordAdminAudit;
+  getAdminAuditLogs: (
+    filter: AdminAuditLogFilter,
+    options: { limit?: number; offset?: number },
+  ) => Promise<{ entries: IAdminAuditLog[]; total: number }>;
+}
+
+function getCallerId(req: ServerRequest): string | undefined {
+  return req.user?._id?.toString() ?? req.user?.id;
+}
+
+function toListItem(u: IUser): AdminUserListItem {
+  return {
+    id: u._id?.toString() ?? '',
+    name: u.name ?? '',
+    username: u.username ?? '',
+    email: u.email ?? '',
+    avatar: u.avatar ?? '',
+    role: u.role ?? 'USER',
+    provider: u.provider ?? 'local',
+    createdAt: u.createdAt?.toISOString(),
+    updatedAt: u.updatedAt?.toISOString(),
+  };
+}
+
+/** Reads an optional `reason` from a request body */
+function parseReason(body: unknown): { reason?: string; error?: string } {
+  const { reason } = (body ?? {}) as { reason?: unknown };
+  if (reason === undefined) {
+    return {};
+  }
+  if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return { reason: reason.trim() || undefined };
 }
 
 export function createAdminUsersHandlers(deps: AdminUsersDeps) {
-  const { findUsers, countUsers, deleteUserById, deleteConfig, deleteAclEntries } = deps;
+  const {
+    findUsers,
+    countUsers,
+    deleteUserById,
+    deleteConfig,
+    deleteAclEntries,
+    deleteUserData,
+    registerUser,
+    getRoleByName,
+    updateUser,
+    deleteAllUserSessions,
+    generateToken,
+    issuePasswordReset,
+    isSuspensionEnforced,
+    suspendUser,
+    unsuspendUser,
+    getUserSuspension,
+    getUserPrincipals,
+    getCapabilitiesForPrincipals,
+    getHeldCapabilities,
+    recordAdminAudit,
+    getAdminAuditLogs,
+  } = deps;
+
+  const recordAudit = createAuditRecorder(recordAdminAudit, 'adminUsers');
+
+  function audit(
+    req: ServerRequest,
+    action: AuditAction,
+    targetId: string,
+    details?: Record<string, unknown>,
+  ) {
+    return recordAudit(req, { action, targetType: 'user', targetId, details });
+  }
+
+  async function findUser(id: string, fields: string): Promise<IUser | undefined> {
+    const [user] = await findUsers({ _id: id }, fields, { limit: 1 });
+    return user;
+  }
+
+  /** Whether the caller holds every capability granted to the principals */
+  async function holdsCapabilitiesGrantedTo(
+    req: ServerRequest,
+    principals: Array<{ principalType: PrincipalType; principalId: string | Types.ObjectId }>,
+    tenantId?: string,
+  ): Promise<boolean> {
+    const grants = await getCapabilitiesForPrincipals({ principals, tenantId });
+    const capabilities = [...new Set(grants.map((grant) => grant.capability))];
+    if (capabilities.length === 0) {
+      return true;
+    }
+
+    const callerPrincipals = await getUserPrincipals({
+      userId: getCallerId(req) ?? '',
+      role: req.user?.role,
+      tenantId: req.user?.tenantId,
+    });
+    const held = await getHeldCapabilities({
+      principals: callerPrincipals,
+      capabilities,
+      tenantId: req.user?.tenantId,
+    });
+    return capabilities.every((capability) => held.has(capability));
+  }
+
+  /** Whether the caller holds every capability granted to the user */
+  async function holdsCapabilitiesOf(req: ServerRequest, user: IUser): Promise<boolean> {
+    const principals = await getUserPrincipals({
+      userId: user._id?.toString() ?? '',
+      role: user.role,
+      tenantId: user.tenantId,
+    });
+    return holdsCapabilitiesGrantedTo(
+      req,
+      principals.filter(
+        (p): p is ResolvedPrincipal & { principalId: string | Types.ObjectId } =>
+          p.principalId != null,
+      ),
+      user.tenantId,
+    );
+  }
 
   async function listUsersHandler(req: ServerRequest, res: Response) {
     try {
@@ -53,17 +233,7 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps) {
         countUsers(),
       ]);
 
-      const mapped: AdminUserListItem[] = users.map((u) => ({
-        id: u._id?.toString() ?? '',
-        name: u.name ?? '',
-        username: u.username ?? '',
-        email: u.email ?? '',
-        avatar: u.avatar ?? '',
-        role: u.role ?? 'USER',
-        provider: u.provider ?? 'local',
-        createdAt: u.createdAt?.toISOString(),
-        updatedAt: u.updatedAt?.toISOString(),
-      }));
+      const mapped: AdminUserListItem[] = users.map(toListItem);
 
       return res.status(200).json({ users: mapped, total, limit, offset });
     } catch (error) {
@@ -129,12 +299,16 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps) {
         return res.status(400).json({ error: 'Invalid user ID format' });
       }
 
-      const callerId = req.user?._id?.toString() ?? req.user?.id;
-      if (callerId === id) {
+      if (getCallerId(req) === id) {
         return res.status(403).json({ error: 'Cannot delete your own account' });
       }
 
-      const [targetUser] = await findUsers({ _id: id }, 'role', { limit: 1 });
+      const [targetUser] = await findUsers({ _id: id }, '_id role tenantId', { limit: 1 });
+      if (targetUser && !(await holdsCapabilitiesOf(req, targetUser))) {
+        return res
+          .status(403)
+          .json({ error: 'Cannot delete a user with capabilities you do not hold' });
+      }
       if (targetUser?.role === SystemRoles.ADMIN) {
         const adminCount = await countUsers({ role: SystemRoles.ADMIN });
         if (adminCount <= 1) {
@@ -162,6 +336,7 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps) {
       const cleanupResults = await Promise.allSettled([
         deleteConfig(PrincipalType.USER, id),
         deleteAclEntries({ principalType: PrincipalType.USER, principalId: objectId }),
+        deleteUserData(id, req),
       ]);
       for (const r of cleanupResults) {
         if (r.status === 'rejected') {
@@ -169,6 +344,10 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps) {
         }
       }
 
+      await audit(req, 'user_deleted', id, {
+        cleanupFailures: cleanupResults.filter((r) => r.status === 'rejected').length,
+      });
+
       return res.status(200).json({ message: result.message || 'User deleted successfully' });
     } catch (error) {
       logger.error('[adminUsers] deleteUser error:', error);
@@ -176,9 +355,331 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps) {
     }
   }
 
+  /**
+   * Creates a local user. Without a `password`, one is generated and returned
+   * once in the response. `emailVerified` defaults to true. A `role` granting
+   * capabilities the caller does not hold is refused.
+   */
+  async function createUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const body = (req.body ?? {}) as Record<string, unknown>;
+      const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      const username = typeof body.username === 'string' ? body.username.trim() : undefined;
+      const { password, role, emailVerified } = body;
+
+      if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: 'email must be a valid email address' });
+      }
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      if (password !== undefined && typeof password !== 'string') {
+        return res.status(400).json({ error: 'password must be a string' });
+      }
+      if (emailVerified !== undefined && typeof emailVerified !== 'boolean') {
+        return res.status(400).json({ error: 'emailVerified must be a boolean' });
+      }
+      if (role !== undefined) {
+        if (typeof role !== 'string' || !(await getRoleByName(role, '_id'))) {
+          return res.status(400).json({ error: 'role must be the name of an existing role' });
+        }
+        const rolePrincipal = { principalType: PrincipalType.ROLE, principalId: role };
+        if (!(await holdsCapabilitiesGrantedTo(req, [rolePrincipal], req.user?.tenantId))) {
+          return res
+            .status(403)
+            .json({ error: 'Cannot assign a role with capabilities you do not hold' });
+        }
+      }
+
+      const conflicts = await findUsers(
+        { $or: [{ email }, ...(username ? [{ username }] : [])] },
+        '_id',
+        { limit: 1 },
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'A user with that email or username already exists' });
+      }
+
+      const generatedPassword =
+        password === undefined ? crypto.randomBytes(12).toString('base64url') : undefined;
+      const userPassword = (password as string | undefined) ?? (generatedPassword as string);
+      const result = await registerUser(
+        { email, name, username, password: userPassword, confirm_password: userPassword },
+        { emailVerified: emailVerified !== false, ...(role ? { role: role as string } : {}) },
+      );
+      if (result.status !== 200) {
+        /** `registerUser` reports validation errors as 404 */
+        const status = result.status === 404 ? 400 : result.status;
+        return res.status(status).json({ error: result.message });
+      }
+
+      const [user] = await findUsers({ email }, USER_LIST_FIELDS, { limit: 1 });
+      if (!user) {
+        return res.status(500).json({ error: 'Failed to create user' });
+      }
+
+      const userId = user._id?.toString() ?? '';
+      await audit(req, 'user_created', userId, { email, role: user.role });
+      const created: { user: AdminUserListItem; generatedPassword?: string } = {
+        user: toListItem(user),
+      };
+      if (generatedPassword) {
+        created.generatedPassword = generatedPassword;
+      }
+      return res.status(201).json(created);
+    } catch (error) {
+      logger.error('[adminUsers] createUser error:', error);
+      return res.status(500).json({ error: 'Failed to create user' });
+    }
+  }
+
+  async function getSuspensionHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+      const suspension = await getUserSuspension(id);
+      return res.status(200).json({ suspended: suspension != null, suspension });
+    } catch (error) {
+      logger.error('[adminUsers] getSuspension error:', error);
+      return res.status(500).json({ error: 'Failed to get suspension' });
+    }
+  }
+
+  /**
+   * Suspends a user and ends their sessions.
+   * Body: `{ durationMinutes?, reason? }`; without a duration the suspension lasts until lifted.
+   */
+  async function suspendUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+      if (getCallerId(req) === id) {
+        return res.status(403).json({ error: 'Cannot suspend your own account' });
+      }
+
+      const { durationMinutes } = (req.body ?? {}) as { durationMinutes?: unknown };
+      if (
+        durationMinutes !== undefined &&
+        (typeof durationMinutes !== 'number' ||
+          !Number.isFinite(durationMinutes) ||
+          durationMinutes <= 0 ||
+          durationMinutes > MAX_SUSPENSION_MINUTES)
+      ) {
+        return res.status(400).json({
+          error: `durationMinutes must be a positive number of at most ${MAX_SUSPENSION_MINUTES}`,
+        });
+      }
+      const { reason, error } = parseReason(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (!isSuspensionEnforced()) {
+        return res.status(400).json({ error: 'Suspensions require BAN_VIOLATIONS to be enabled' });
+      }
+      const user = await findUser(id, '_id role tenantId');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!(await holdsCapabilitiesOf(req, user))) {
+        return res
+          .status(403)
+          .json({ error: 'Cannot suspend a user with capabilities you do not hold' });
+      }
+
+      const durationMs =
+        typeof durationMinutes === 'number' ? Math.round(durationMinutes * 60 * 1000) : undefined;
+      const { expiresAt } = await suspendUser(id, { durationMs, reason });
+      await audit(req, 'user_suspended', id, { durationMs, reason });
+
+      return res.status(200).json({
+        suspended: true,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      });
+    } catch (error) {
+      logger.error('[adminUsers] suspendUser error:', error);
+      return res.status(500).json({ error: 'Failed to suspend user' });
+    }
+  }
+
+  async function unsuspendUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      const lifted = await unsuspendUser(id);
+      if (!lifted) {
+        return res.status(404).json({ error: 'User is not suspended' });
+      }
+
+      await audit(req, 'user_unsuspended', id);
+      return res.status(200).json({ suspended: false });
+    } catch (error) {
+      logger.error('[adminUsers] unsuspendUser error:', error);
+      return res.status(500).json({ error: 'Failed to unsuspend user' });
+    }
+  }
+
+  /**
+   * Forces a local user to choose a new password: the current password stops
+   * working, sessions end and a reset link is issued. The link is returned
+   * when email is not configured.
+   */
+  async function forcePasswordResetHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      const user = await findUser(id, '_id name username email provider role tenantId');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!(await holdsCapabilitiesOf(req, user))) {
+        return res
+          .status(403)
+          .json({ error: 'Cannot reset the password of a user with capabilities you do not hold' });
+      }
+      if (user.provider !== 'local') {
+        return res.status(400).json({ error: 'Only local accounts have a password to reset' });
+      }
+
+      await updateUser(id, { password: null } as unknown as Partial<IUser>);
+      await deleteAllUserSessions({ userId: id });
+      const { link, emailed } = await issuePasswordReset(user);
+      await audit(req, 'user_password_reset', id, { emailed });
+
+      return res.status(200).json({ emailed, ...(!emailed && { link }) });
+    } catch (error) {
+      logger.error('[adminUsers] forcePasswordReset error:', error);
+      return res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+
+  /** Turns off two-factor authentication so the user can enroll again */
+  async function resetTwoFactorHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      const target = await findUser(id, '_id role tenantId');
+      if (!target) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!(await holdsCapabilitiesOf(req, target))) {
+        return res.status(403).json({
+          error:
+            'Cannot reset two-factor authentication of a user with capabilities you do not hold',
+        });
+      }
+
+      const user = await updateUser(id, {
+        totpSecret: null,
+        backupCodes: [],
+        twoFactorEnabled: false,
+        pendingTotpSecret: null,
+        pendingBackupCodes: [],
+      } as unknown as Partial<IUser>);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await deleteAllUserSessions({ userId: id });
+      await audit(req, 'user_2fa_reset', id);
+      return res.status(200).json({ twoFactorEnabled: false });
+    } catch (error) {
+      logger.error('[adminUsers] resetTwoFactor error:', error);
+      return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+  }
+
+  /**
+   * Issues a short-lived access token for a user so support staff can see what
+   * they see. Requires a `reason`; admin accounts, and users holding capabilities
+   * the caller does not, cannot be impersonated. The token names the caller in its
+   * `impersonatedBy` claim.
+   */
+  async function impersonateUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+      if (getCallerId(req) === id) {
+        return res.status(400).json({ error: 'Cannot impersonate your own account' });
+      }
+
+      const { reason, error } = parseReason(req.body);
+      if (error || !reason) {
+        return res.status(400).json({ error: error ?? 'reason is required' });
+      }
+
+      const user = await findUser(id, '_id username email provider role tenantId');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (user.role === SystemRoles.ADMIN) {
+        return res.status(403).json({ error: 'Admin accounts cannot be impersonated' });
+      }
+      if (!(await holdsCapabilitiesOf(req, user))) {
+        return res
+          .status(403)
+          .json({ error: 'Cannot impersonate a user with capabilities you do not hold' });
+      }
+
+      const token = await generateToken(user, IMPERSONATION_TOKEN_EXPIRY_MS, {
+        impersonatedBy: getCallerId(req),
+      });
+      const expiresAt = new Date(Date.now() + IMPERSONATION_TOKEN_EXPIRY_MS).toISOString();
+      await audit(req, 'user_impersonated', id, { reason, expiresAt });
+      logger.warn(`[adminUsers] User ${id} impersonated by ${getCallerId(req)}: ${reason}`);
+
+      return res.status(200).json({ token, expiresAt });
+    } catch (error) {
+      logger.error('[adminUsers] impersonateUser error:', error);
+      return res.status(500).json({ error: 'Failed to impersonate user' });
+    }
+  }
+
+  async function getAuditLogHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+      const { limit, offset } = parsePagination(req.query);
+      const { entries, total } = await getAdminAuditLogs(
+        { targetType: 'user', targetId: id },
+        { limit, offset },
+      );
+      return res.status(200).json({ entries, total, limit, offset });
+    } catch (error) {
+      logger.error('[adminUsers] getAuditLog error:', error);
+      return res.status(500).json({ error: 'Failed to get audit log' });
+    }
+  }
+
   return {
     listUsers: listUsersHandler,
     searchUsers: searchUsersHandler,
     deleteUser: deleteUserHandler,
+    createUser: createUserHandler,
+    getSuspension: getSuspensionHandler,
+    suspendUser: suspendUserHandler,
+    unsuspendUser: unsuspendUserHandler,
+    forcePasswordReset: forcePasswordResetHandler,
+    resetTwoFactor: resetTwoFactorHandler,
+    impersonateUser: impersonateUserHandler,
+    getAuditLog: getAuditLogHandler,
   };
 }
@@ -185,6 +185,42 @@ describe('createMemoryTool', () => {
       expect(result[1]).toBeUndefined();
     });
 
+    it('should record the source of saved memories', async () => {
+      const source = {
+        type: 'agent' as const,
+        conversationId: 'convo-1',
+        messageId: 'msg-1',
+        agentId: 'agent-1',
+      };
+      const tool = createMemoryTool({
+        userId: 'test-user',
+        setMemory: mockSetMemory,
+        source,
+      });
+
+      await tool.func({ key: 'test', value: 'some value' });
+      expect(mockSetMemory).toHaveBeenCalledWith({
+        userId: 'test-user',
+        key: 'test',
+        value: 'some value',
+        tokenCount: 10,
+        source,
+      });
+    });
+
+    it('should save memories to the configured scope', async () => {
+      const tool = createMemoryTool({
+        userId: 'test-user',
+        setMemory: mockSetMemory,
+        scope: 'agent:agent-1',
+      });
+
+      await tool.func({ key: 'test', value: 'some value' });
+      expect(mockSetMemory).toHaveBeenCalledWith(
+        expect.objectContaining({ key: 'test', scope: 'agent:agent-1' }),
+      );
+    });
+
     it('should handle exceptions', async () => {
       mockSetMemory.mockRejectedValue(new Error('DB error'));
       const tool = createMemoryTool({
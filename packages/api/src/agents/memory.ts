@@ -15,7 +15,7 @@ import type {
 } from '@librechat/agents';
 import type { BaseMessage, ToolMessage } from '@librechat/agents/langchain/messages';
 import type { DynamicStructuredTool } from '@librechat/agents/langchain/tools';
-import type { ObjectId, MemoryMethods, IUser } from '@librechat/data-schemas';
+import type { ObjectId, MemoryMethods, MemorySource, IUser } from '@librechat/data-schemas';
 import type { TAttachment, MemoryArtifact } from 'librechat-data-provider';
 import type { Response as ServerResponse } from 'express';
 import { GenerationJobManager } from '~/stream/GenerationJobManager';
@@ -92,12 +92,19 @@ export const createMemoryTool = ({
   validKeys,
   tokenLimit,
   totalTokens = 0,
+  source,
+  scope,
 }: {
   userId: string | ObjectId;
   setMemory: MemoryMethods['setMemory'];
   validKeys?: string[];
   tokenLimit?: number;
+  /** Tokens already used in the scope the tool writes to */
   totalTokens?: number;
+  /** Provenance recorded with each memory the tool writes */
+  source?: MemorySource;
+  /** Scope the tool writes to, defaults to the global scope */
+  scope?: string;
 }): DynamicStructuredTool => {
   const remainingTokens = tokenLimit ? tokenLimit - totalTokens : Infinity;
   const isOverflowing = tokenLimit ? remainingTokens <= 0 : false;
@@ -164,7 +171,7 @@ export const createMemoryTool = ({
           },
         };
 
-        const result = await setMemory({ userId, key, value, tokenCount });
+        const result = await setMemory({ userId, key, value, tokenCount, source, scope });
         if (result.ok) {
           logger.debug(`Memory set for key "${key}" (${tokenCount} tokens) for user "${userId}"`);
           return [`Memory set for key "${key}" (${tokenCount} tokens)`, artifact];
@@ -205,10 +212,14 @@ const createDeleteMemoryTool = ({
   userId,
   deleteMemory,
   validKeys,
+  source,
+  scope,
 }: {
   userId: string | ObjectId;
   deleteMemory: MemoryMethods['deleteMemory'];
   validKeys?: string[];
+  source?: MemorySource;
+  scope?: string;
 }) => {
   return tool(
     async ({ key }) => {
@@ -229,7 +240,7 @@ const createDeleteMemoryTool = ({
           },
         };
 
-        const result = await deleteMemory({ userId, key });
+        const result = await deleteMemory({ userId, key, source, scope });
         if (result.ok) {
           logger.debug(`Memory deleted for key "${key}" for user "${userId}"`);
           return [`Memory deleted for key "${key}"`, artifact];
@@ -291,6 +302,8 @@ export async function processMemory({
   memory,
   messageId,
   conversationId,
+  agentId,
+  scope,
   validKeys,
   instructions,
   llmConfig,
@@ -306,6 +319,10 @@ export async function processMemory({
   memory: string;
   messageId: string;
   conversationId: string;
+  /** Agent of the conversation, recorded as the source of memory changes */
+  agentId?: string;
+  /** Scope memory changes are saved to */
+  scope?: string;
   messages: BaseMessage[];
   validKeys?: string[];
   instructions: string;
@@ -316,17 +333,22 @@ export async function processMemory({
   user?: IUser;
 }): Promise<(TAttachment | null)[] | undefined> {
   try {
+    const source: MemorySource = { type: 'agent', conversationId, messageId, agentId };
     const memoryTool = createMemoryTool({
       userId,
       tokenLimit,
       setMemory,
       validKeys,
       totalTokens,
+      source,
+      scope,
     });
     const deleteMemoryTool = createDeleteMemoryTool({
       userId,
       validKeys,
       deleteMemory,
+      source,
+      scope,
     });
 
     const currentMemoryTokens = totalTokens;
@@ -510,6 +532,8 @@ export async function createMemoryProcessor({
   messageId,
   memoryMethods,
   conversationId,
+  agentId,
+  scopes,
   config = {},
   streamId = null,
   user,
@@ -517,6 +541,9 @@ export async function createMemoryProcessor({
   res: ServerResponse;
   messageId: string;
   conversationId: string;
+  agentId?: string;
+  /** Memory scopes the run loads; the first one receives new memories. Defaults to the global scope */
+  scopes?: string[];
   userId: string | ObjectId;
   memoryMethods: RequiredMemoryMethods;
   config?: MemoryConfig;
@@ -526,9 +553,11 @@ export async function createMemoryProcessor({
   const { validKeys, instructions, llmConfig, tokenLimit } = config;
   const finalInstructions = instructions || getDefaultInstructions(validKeys, tokenLimit);
 
-  const { withKeys, withoutKeys, totalTokens } = await memoryMethods.getFormattedMemories({
-    userId,
-  });
+  const { withKeys, withoutKeys, totalTokens, scopeTokens } =
+    await memoryMethods.getFormattedMemories({ userId, scopes });
+  /** Token limits apply per scope, so the budget is that of the scope being written */
+  const writeScope = scopes?.[0];
+  const writeScopeTokens = writeScope ? scopeTokens?.[writeScope] : totalTokens;
 
   return [
     withoutKeys,
@@ -544,8 +573,10 @@ export async function createMemoryProcessor({
           tokenLimit,
           streamId,
           conversationId,
+          agentId,
+          scope: writeScope,
           memory: withKeys,
-          totalTokens: totalTokens || 0,
+          totalTokens: writeScopeTokens || 0,
           instructions: finalInstructions,
           setMemory: memoryMethods.setMemory,
           deleteMemory: memoryMethods.deleteMemory,
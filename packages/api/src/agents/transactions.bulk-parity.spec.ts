@@ -12,15 +12,18 @@
  * numerically identical.
  */
 import mongoose from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import {
   tokenValues,
   CANCEL_RATE,
+  createModels,
   createMethods,
   balanceSchema,
   transactionSchema,
   premiumTokenValues,
 } from '@librechat/data-schemas';
+import type { BudgetUsage } from '@librechat/data-schemas';
 import type { PricingFns, TxMetadata } from './transactions';
 import {
   prepareStructuredTokenSpend,
@@ -87,6 +90,7 @@ beforeEach(async () => {
 const dbOps = () => ({
   insertMany: dbMethods.bulkInsertTransactions,
   updateBalance: dbMethods.updateBalance,
+  recordBudgetSpend: dbMethods.recordBudgetSpend,
 });
 
 function txMeta(user: string, extra: Partial<TxMetadata> = {}): TxMetadata {
@@ -578,3 +582,65 @@ describe('Multi-entry batch parity', () => {
     expect(balance.tokenCredits).toBeCloseTo(initialBalance - expectedTotalCost, 0);
   });
 });
+
+describe('Budget parity', () => {
+  beforeAll(() => {
+    createModels(mongoose);
+  });
+
+  /** Creates a user in a group, with budgets on both the group and the user's role */
+  async function createBudgetedUser(role: string): Promise<string> {
+    const user = await mongoose.models.User.create({
+      name: role,
+      email: `${role.toLowerCase()}@example.com`,
+      provider: 'local',
+      role,
+    });
+    const userId = user._id.toString();
+    const group = await mongoose.models.Group.create({
+      name: `${role} group`,
+      source: 'local',
+      memberIds: [userId],
+    });
+    await dbMethods.setBudget(PrincipalType.ROLE, role, { hardCap: 100000000 });
+    await dbMethods.setBudget(PrincipalType.GROUP, group._id.toString(), { hardCap: 100000000 });
+    await Balance.create({ user: userId, tokenCredits: 100000000 });
+    return userId;
+  }
+
+  /** Spend recorded on each budget above a user, groups first */
+  async function getBudgetSpend(userId: string): Promise<number[]> {
+    const budgets: BudgetUsage[] = await dbMethods.getUserBudgets(userId);
+    return budgets.map((budget) => budget.spent);
+  }
+
+  test('group and role budgets are drawn down by the same spend as the legacy path', async () => {
+    const model = 'gpt-3.5-turbo';
+    const tokenUsage = { promptTokens: 100, completionTokens: 50 };
+    const legacyUser = await createBudgetedUser('LEGACY');
+    const bulkUser = await createBudgetedUser('BULK');
+
+    await dbMethods.spendTokens(txMeta(legacyUser, { model }), tokenUsage);
+    const entries = prepareTokenSpend(txMeta(bulkUser, { model }), tokenUsage, pricing);
+    await bulkWriteTransactions({ user: bulkUser, docs: entries }, dbOps());
+
+    const legacySpent = await getBudgetSpend(legacyUser);
+    const bulkSpent = await getBudgetSpend(bulkUser);
+    expect(legacySpent).toHaveLength(2);
+    expect(legacySpent[0]).toBeGreaterThan(0);
+    expect(bulkSpent).toEqual(legacySpent);
+  });
+
+  test('budgets are untouched when balance is disabled — identical to legacy path', async () => {
+    const userId = await createBudgetedUser('DISABLED');
+
+    const entries = prepareTokenSpend(
+      txMeta(userId, { model: 'gpt-3.5-turbo', balance: { enabled: false } }),
+      { promptTokens: 100, completionTokens: 50 },
+      pricing,
+    );
+    await bulkWriteTransactions({ user: userId, docs: entries }, dbOps());
+
+    expect(await getBudgetSpend(userId)).toEqual([0, 0]);
+  });
+});
@@ -87,6 +87,8 @@ export interface TxMetadata {
 export interface BulkWriteDeps {
   insertMany: (docs: TransactionData[]) => Promise<unknown>;
   updateBalance: (params: { user: string; incrementValue: number }) => Promise<unknown>;
+  /** Draws spend down from the group and role budgets above a user */
+  recordBudgetSpend?: (user: string, amount: number) => Promise<unknown>;
 }
 
 function calculateTokenValue(
@@ -341,6 +343,7 @@ export async function bulkWriteTransactions(
 
   if (balanceEnabled) {
     await dbOps.updateBalance({ user, incrementValue: totalTokenValue });
+    await dbOps.recordBudgetSpend?.(user, -totalTokenValue);
   }
 
   await dbOps.insertMany(plainDocs);
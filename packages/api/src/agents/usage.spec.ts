@@ -796,6 +796,7 @@ describe('recordCollectedUsage', () => {
   describe('bulk write path', () => {
     let mockInsertMany: jest.Mock;
     let mockUpdateBalance: jest.Mock;
+    let mockRecordBudgetSpend: jest.Mock;
     let mockPricing: PricingFns;
     let mockBulkWriteOps: BulkWriteDeps;
     let bulkDeps: RecordUsageDeps;
@@ -803,6 +804,7 @@ describe('recordCollectedUsage', () => {
     beforeEach(() => {
       mockInsertMany = jest.fn().mockResolvedValue(undefined);
       mockUpdateBalance = jest.fn().mockResolvedValue({});
+      mockRecordBudgetSpend = jest.fn().mockResolvedValue(undefined);
       mockPricing = {
         getMultiplier: jest.fn().mockReturnValue(1),
         getCacheMultiplier: jest.fn().mockReturnValue(null),
@@ -810,6 +812,7 @@ describe('recordCollectedUsage', () => {
       mockBulkWriteOps = {
         insertMany: mockInsertMany,
         updateBalance: mockUpdateBalance,
+        recordBudgetSpend: mockRecordBudgetSpend,
       };
       bulkDeps = {
         spendTokens: mockSpendTokens,
@@ -886,6 +889,25 @@ describe('recordCollectedUsage', () => {
 
       expect(mockInsertMany).toHaveBeenCalledTimes(1);
       expect(mockUpdateBalance).not.toHaveBeenCalled();
+      expect(mockRecordBudgetSpend).not.toHaveBeenCalled();
+    });
+
+    it('should draw the batch spend down from budgets when balance is enabled', async () => {
+      const collectedUsage: UsageMetadata[] = [
+        { input_tokens: 100, output_tokens: 50, model: 'gpt-4' },
+        { input_tokens: 200, output_tokens: 60, model: 'gpt-4' },
+      ];
+
+      await recordCollectedUsage(bulkDeps, {
+        ...baseParams,
+        balance: { enabled: true },
+        collectedUsage,
+      });
+
+      expect(mockRecordBudgetSpend).toHaveBeenCalledTimes(1);
+      const [{ incrementValue }] = mockUpdateBalance.mock.calls[0];
+      expect(mockRecordBudgetSpend).toHaveBeenCalledWith('user-123', -incrementValue);
+      expect(incrementValue).toBeLessThan(0);
     });
 
     it('should handle cache tokens via bulk path', async () => {
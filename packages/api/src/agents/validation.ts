@@ -1,5 +1,11 @@
 import { z } from 'zod';
-import { MAX_SUBAGENTS, ViolationTypes, ErrorTypes } from 'librechat-data-provider';
+import {
+  ErrorTypes,
+  MAX_SUBAGENTS,
+  ViolationTypes,
+  agentMemoryScopeSchema,
+  MAX_AGENT_MEMORY_SCOPES,
+} from 'librechat-data-provider';
 import type { Agent, TModelsConfig } from 'librechat-data-provider';
 import type { Request, Response } from 'express';
 
@@ -100,6 +106,7 @@ export const agentBaseSchema = z.object({
   tools: z.array(z.string()).optional(),
   skills: z.array(z.string()).optional(),
   skills_enabled: z.boolean().optional(),
+  memory_scopes: z.array(agentMemoryScopeSchema).max(MAX_AGENT_MEMORY_SCOPES).optional(),
   /** @deprecated Use edges instead */
   agent_ids: z.array(z.string()).optional(),
   edges: z.array(graphEdgeSchema).optional(),
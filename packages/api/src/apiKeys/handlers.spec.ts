@@ -0,0 +1,127 @@
+import type { Response } from 'express';
+import type { ApiKeyHandlerDependencies } from './handlers';
+import { createApiKeyHandlers, DEFAULT_API_KEY_GRACE_PERIOD_HOURS } from './handlers';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+function makeRes() {
+  const res = {} as Response;
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+function makeReq(body: Record<string, unknown> = {}, params: Record<string, string> = {}) {
+  return { body, params, user: { id: 'user-1' } } as unknown as Parameters<
+    ReturnType<typeof createApiKeyHandlers>['createApiKey']
+  >[0];
+}
+
+function makeDeps(): jest.Mocked<ApiKeyHandlerDependencies> {
+  const created = {
+    id: 'key-1',
+    name: 'CI',
+    key: 'sk-secret',
+    keyPrefix: 'sk-secre',
+    createdAt: new Date(),
+  };
+  return {
+    createAgentApiKey: jest.fn(async (params) => ({ ...created, ...params, rateLimit: 5 })),
+    listAgentApiKeys: jest.fn(),
+    deleteAgentApiKey: jest.fn(),
+    getAgentApiKeyById: jest.fn(),
+    rotateAgentApiKey: jest.fn().mockResolvedValue({
+      ...created,
+      id: 'key-2',
+      previousKeyExpiresAt: new Date(),
+    }),
+  } as unknown as jest.Mocked<ApiKeyHandlerDependencies>;
+}
+
+describe('createApiKey', () => {
+  it('creates a key restricted to agents with a rate limit', async () => {
+    const deps = makeDeps();
+    const res = makeRes();
+
+    await createApiKeyHandlers(deps).createApiKey(
+      makeReq({ name: ' CI ', agentIds: ['agent_a', 'agent_a'], rateLimit: 5 }),
+      res,
+    );
+
+    expect(deps.createAgentApiKey).toHaveBeenCalledWith({
+      userId: 'user-1',
+      name: 'CI',
+      expiresAt: null,
+      agentIds: ['agent_a'],
+      rateLimit: 5,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it.each([
+    [{ expiresAt: 'not-a-date' }, 'expiresAt must be a valid date'],
+    [{ expiresAt: '2000-01-01T00:00:00.000Z' }, 'expiresAt must be in the future'],
+    [{ agentIds: 'agent_a' }, 'agentIds must be an array of agent ids'],
+    [{ agentIds: [''] }, 'agentIds must be an array of agent ids'],
+    [{ rateLimit: 0 }, 'rateLimit must be a positive integer'],
+    [{ rateLimit: 1.5 }, 'rateLimit must be a positive integer'],
+  ])('rejects %j', async (body, error) => {
+    const deps = makeDeps();
+    const res = makeRes();
+
+    await createApiKeyHandlers(deps).createApiKey(makeReq({ name: 'CI', ...body }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error });
+    expect(deps.createAgentApiKey).not.toHaveBeenCalled();
+  });
+});
+
+describe('rotateApiKey', () => {
+  it('rotates with the default grace period', async () => {
+    const deps = makeDeps();
+    const res = makeRes();
+
+    await createApiKeyHandlers(deps).rotateApiKey(makeReq({}, { id: 'key-1' }), res);
+
+    expect(deps.rotateAgentApiKey).toHaveBeenCalledWith(
+      'key-1',
+      'user-1',
+      DEFAULT_API_KEY_GRACE_PERIOD_HOURS * HOUR,
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('rejects an invalid grace period', async () => {
+    const deps = makeDeps();
+    const res = makeRes();
+
+    await createApiKeyHandlers(deps).rotateApiKey(
+      makeReq({ gracePeriodHours: -1 }, { id: 'key-1' }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(deps.rotateAgentApiKey).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for unknown keys', async () => {
+    const deps = makeDeps();
+    deps.rotateAgentApiKey.mockResolvedValue(null);
+    const res = makeRes();
+
+    await createApiKeyHandlers(deps).rotateApiKey(
+      makeReq({ gracePeriodHours: 0 }, { id: 'missing' }),
+      res,
+    );
+
+    expect(deps.rotateAgentApiKey).toHaveBeenCalledWith('missing', 'user-1', 0);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -1,30 +1,25 @@
 import type { Request, Response } from 'express';
 import type { Types } from 'mongoose';
 import { logger } from '@librechat/data-schemas';
+import type {
+  AgentApiKeyCreateResult,
+  AgentApiKeyRotateResult,
+  AgentApiKeyListItem,
+} from '@librechat/data-schemas';
+
+/** Grace period for a rotated key when none is given */
+export const DEFAULT_API_KEY_GRACE_PERIOD_HOURS = 24;
+export const MAX_API_KEY_GRACE_PERIOD_HOURS = 24 * 30;
 
 export interface ApiKeyHandlerDependencies {
   createAgentApiKey: (params: {
     userId: string | Types.ObjectId;
     name: string;
     expiresAt?: Date | null;
-  }) => Promise<{
-    id: string;
-    name: string;
-    key: string;
-    keyPrefix: string;
-    createdAt: Date;
-    expiresAt?: Date;
-  }>;
-  listAgentApiKeys: (userId: string | Types.ObjectId) => Promise<
-    Array<{
-      id: string;
-      name: string;
-      keyPrefix: string;
-      lastUsedAt?: Date;
-      expiresAt?: Date;
-      createdAt: Date;
-    }>
-  >;
+    agentIds?: string[];
+    rateLimit?: number | null;
+  }) => Promise<AgentApiKeyCreateResult>;
+  listAgentApiKeys: (userId: string | Types.ObjectId) => Promise<AgentApiKeyListItem[]>;
   deleteAgentApiKey: (
     keyId: string | Types.ObjectId,
     userId: string | Types.ObjectId,
@@ -32,14 +27,12 @@ export interface ApiKeyHandlerDependencies {
   getAgentApiKeyById: (
     keyId: string | Types.ObjectId,
     userId: string | Types.ObjectId,
-  ) => Promise<{
-    id: string;
-    name: string;
-    keyPrefix: string;
-    lastUsedAt?: Date;
-    expiresAt?: Date;
-    createdAt: Date;
-  } | null>;
+  ) => Promise<AgentApiKeyListItem | null>;
+  rotateAgentApiKey: (
+    keyId: string | Types.ObjectId,
+    userId: string | Types.ObjectId,
+    gracePeriodMs: number,
+  ) => Promise<AgentApiKeyRotateResult | null>;
 }
 
 interface AuthenticatedRequest extends Request {
@@ -49,10 +42,46 @@ interface AuthenticatedRequest extends Request {
   };
 }
 
+type ApiKeyOptions = { expiresAt: Date | null; agentIds: string[]; rateLimit: number | null };
+
+/** Validates the expiry, agent scopes and rate limit of a key to create */
+function parseApiKeyOptions(body: Record<string, unknown>): ApiKeyOptions | { error: string } {
+  const { expiresAt, agentIds, rateLimit } = body;
+
+  let expiry: Date | null = null;
+  if (expiresAt != null && expiresAt !== '') {
+    expiry = new Date(expiresAt as string);
+    if (Number.isNaN(expiry.getTime())) {
+      return { error: 'expiresAt must be a valid date' };
+    }
+    if (expiry <= new Date()) {
+      return { error: 'expiresAt must be in the future' };
+    }
+  }
+
+  if (
+    agentIds != null &&
+    (!Array.isArray(agentIds) ||
+      agentIds.some((agentId) => typeof agentId !== 'string' || agentId.trim() === ''))
+  ) {
+    return { error: 'agentIds must be an array of agent ids' };
+  }
+
+  if (rateLimit != null && (!Number.isInteger(rateLimit) || (rateLimit as number) < 1)) {
+    return { error: 'rateLimit must be a positive integer' };
+  }
+
+  return {
+    expiresAt: expiry,
+    agentIds: [...new Set((agentIds as string[] | undefined)?.map((agentId) => agentId.trim()))],
+    rateLimit: (rateLimit as number | undefined) ?? null,
+  };
+}
+
 export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies) {
   async function createApiKey(req: AuthenticatedRequest, res: Response) {
     try {
-      const { name, expiresAt } = req.body;
+      const { name } = req.body;
 
       if (!name || typeof name !== 'string' || name.trim() === '') {
         return res.status(400).json({
@@ -60,10 +89,15 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies) {
         });
       }
 
+      const options = parseApiKeyOptions(req.body);
+      if ('error' in options) {
+        return res.status(400).json({ error: options.error });
+      }
+
       const result = await deps.createAgentApiKey({
         userId: req.user?.id || '',
         name: name.trim(),
-        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        ...options,
       });
 
       res.status(201).json({
@@ -71,6 +105,8 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies) {
         name: result.name,
         key: result.key,
         keyPrefix: result.keyPrefix,
+        agentIds: result.agentIds,
+        rateLimit: result.rateLimit,
         createdAt: result.createdAt,
         expiresAt: result.expiresAt,
       });
@@ -120,10 +156,47 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies) {
     }
   }
 
+  /**
+   * Issues a replacement key. The old key keeps working for `gracePeriodHours`
+   * (default 24) so clients can switch over; 0 revokes it immediately.
+   */
+  async function rotateApiKey(req: AuthenticatedRequest, res: Response) {
+    try {
+      const { gracePeriodHours = DEFAULT_API_KEY_GRACE_PERIOD_HOURS } = req.body ?? {};
+
+      if (
+        typeof gracePeriodHours !== 'number' ||
+        !Number.isFinite(gracePeriodHours) ||
+        gracePeriodHours < 0 ||
+        gracePeriodHours > MAX_API_KEY_GRACE_PERIOD_HOURS
+      ) {
+        return res.status(400).json({
+          error: `gracePeriodHours must be a number between 0 and ${MAX_API_KEY_GRACE_PERIOD_HOURS}`,
+        });
+      }
+
+      const result = await deps.rotateAgentApiKey(
+        req.params.id,
+        req.user?.id || '',
+        gracePeriodHours * 60 * 60 * 1000,
+      );
+
+      if (!result) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('[rotateApiKey] Error rotating API key:', error);
+      res.status(500).json({ error: 'Failed to rotate API key' });
+    }
+  }
+
   return {
     createApiKey,
     listApiKeys,
     getApiKey,
     deleteApiKey,
+    rotateApiKey,
   };
 }
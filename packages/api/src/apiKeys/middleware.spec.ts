@@ -0,0 +1,68 @@
+import { Types } from 'mongoose';
+import type { Response } from 'express';
+import type { IUser } from '@librechat/data-schemas';
+import type { ApiKeyAuthDependencies, ApiKeyAuthRequest } from './middleware';
+import { createRequireApiKeyAuth } from './middleware';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+describe('createRequireApiKeyAuth', () => {
+  const userId = new Types.ObjectId();
+  const keyId = new Types.ObjectId();
+
+  function makeDeps(user: Partial<IUser> | null): ApiKeyAuthDependencies {
+    return {
+      validateAgentApiKey: jest.fn().mockResolvedValue({
+        userId,
+        keyId,
+        agentIds: ['agent_1'],
+        rateLimit: 60,
+      }),
+      findUser: jest.fn().mockResolvedValue(user),
+    };
+  }
+
+  function createReqRes() {
+    const req = {
+      headers: { authorization: 'Bearer sk-test' },
+      ip: '127.0.0.1',
+    } as unknown as ApiKeyAuthRequest;
+    const json = jest.fn();
+    const status = jest.fn().mockReturnValue({ json });
+    const res = { status, json } as unknown as Response;
+    const next = jest.fn();
+    return { req, res, status, json, next };
+  }
+
+  test('authenticates the owner of a valid key', async () => {
+    const middleware = createRequireApiKeyAuth(makeDeps({ _id: userId } as Partial<IUser>));
+    const { req, res, status, next } = createReqRes();
+
+    await middleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(status).not.toHaveBeenCalled();
+    expect(req.user?.id).toBe(userId.toString());
+    expect(req.apiKeyId).toBe(keyId);
+    expect(req.apiKeyAgentIds).toEqual(['agent_1']);
+  });
+
+  test('rejects keys of deactivated users', async () => {
+    const middleware = createRequireApiKeyAuth(
+      makeDeps({ _id: userId, deactivatedAt: new Date() } as Partial<IUser>),
+    );
+    const { req, res, status, json, next } = createReqRes();
+
+    await middleware(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(status).toHaveBeenCalledWith(401);
+    expect(json).toHaveBeenCalledWith({
+      error: expect.objectContaining({ code: 'invalid_api_key' }),
+    });
+    expect(req.user).toBeUndefined();
+  });
+});
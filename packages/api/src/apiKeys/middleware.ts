@@ -1,15 +1,15 @@
 import { logger } from '@librechat/data-schemas';
 import { ResourceType, PermissionBits, hasPermissions } from 'librechat-data-provider';
 import type { Request, Response, NextFunction } from 'express';
-import type { IUser } from '@librechat/data-schemas';
+import type { AgentApiKeyValidation, IUser } from '@librechat/data-schemas';
 import type { Types } from 'mongoose';
 import { getRemoteAgentPermissions } from './service';
 
 export interface ApiKeyAuthDependencies {
-  validateAgentApiKey: (apiKey: string) => Promise<{
-    userId: Types.ObjectId;
-    keyId: Types.ObjectId;
-  } | null>;
+  validateAgentApiKey: (
+    apiKey: string,
+    usage?: { ip?: string },
+  ) => Promise<AgentApiKeyValidation | null>;
   findUser: (query: { _id: string | Types.ObjectId }) => Promise<IUser | null>;
 }
 
@@ -28,6 +28,15 @@ export interface RemoteAgentAccessDependencies {
 export interface ApiKeyAuthRequest extends Request {
   user?: IUser & { id: string };
   apiKeyId?: Types.ObjectId;
+  /** Agent ids the API key may call; unrestricted when empty */
+  apiKeyAgentIds?: string[];
+  /** Maximum requests per minute for the API key */
+  apiKeyRateLimit?: number;
+}
+
+/** Whether the API key of the request, if any, may call the agent */
+export function isAgentInApiKeyScope(req: ApiKeyAuthRequest, agentId: string): boolean {
+  return !req.apiKeyAgentIds?.length || req.apiKeyAgentIds.includes(agentId);
 }
 
 export interface RemoteAgentAccessRequest extends ApiKeyAuthRequest {
@@ -62,7 +71,7 @@ export function createRequireApiKeyAuth(deps: ApiKeyAuthDependencies) {
     }
 
     try {
-      const keyValidation = await deps.validateAgentApiKey(apiKey);
+      const keyValidation = await deps.validateAgentApiKey(apiKey, { ip: req.ip });
 
       if (!keyValidation) {
         return res.status(401).json({
@@ -86,9 +95,21 @@ export function createRequireApiKeyAuth(deps: ApiKeyAuthDependencies) {
         });
       }
 
+      if (user.deactivatedAt) {
+        return res.status(401).json({
+          error: {
+            message: 'User for this API key is deactivated',
+            type: 'invalid_request_error',
+            code: 'invalid_api_key',
+          },
+        });
+      }
+
       user.id = (user._id as Types.ObjectId).toString();
       req.user = user as IUser & { id: string };
       req.apiKeyId = keyValidation.keyId;
+      req.apiKeyAgentIds = keyValidation.agentIds;
+      req.apiKeyRateLimit = keyValidation.rateLimit;
 
       next();
     } catch (error) {
@@ -118,6 +139,16 @@ export function createCheckRemoteAgentAccess(deps: RemoteAgentAccessDependencies
       });
     }
 
+    if (!isAgentInApiKeyScope(req, agentId)) {
+      return res.status(403).json({
+        error: {
+          message: `API key is not permitted to access agent: ${agentId}`,
+          type: 'permission_error',
+          code: 'access_denied',
+        },
+      });
+    }
+
     try {
       const agent = await deps.getAgent({ id: agentId });
 
@@ -9,6 +9,7 @@ export interface ApiKeyServiceDependencies {
   listAgentApiKeys: AllMethods['listAgentApiKeys'];
   deleteAgentApiKey: AllMethods['deleteAgentApiKey'];
   getAgentApiKeyById: AllMethods['getAgentApiKeyById'];
+  rotateAgentApiKey: AllMethods['rotateAgentApiKey'];
   findUser: (query: { _id: string | Types.ObjectId }) => Promise<IUser | null>;
 }
 
@@ -25,17 +26,16 @@ export class AgentApiKeyService {
     this.deps = deps;
   }
 
-  async validateApiKey(apiKey: string): Promise<{
-    userId: Types.ObjectId;
-    keyId: Types.ObjectId;
-  } | null> {
-    return this.deps.validateAgentApiKey(apiKey);
+  async validateApiKey(apiKey: string, usage?: { ip?: string }) {
+    return this.deps.validateAgentApiKey(apiKey, usage);
   }
 
   async createApiKey(params: {
     userId: string | Types.ObjectId;
     name: string;
     expiresAt?: Date | null;
+    agentIds?: string[];
+    rateLimit?: number | null;
   }) {
     return this.deps.createAgentApiKey(params);
   }
@@ -52,6 +52,14 @@ export class AgentApiKeyService {
     return this.deps.getAgentApiKeyById(keyId, userId);
   }
 
+  async rotateApiKey(
+    keyId: string | Types.ObjectId,
+    userId: string | Types.ObjectId,
+    gracePeriodMs: number,
+  ) {
+    return this.deps.rotateAgentApiKey(keyId, userId, gracePeriodMs);
+  }
+
   async getUserFromApiKey(apiKey: string): Promise<IUser | null> {
     const keyValidation = await this.validateApiKey(apiKey);
     if (!keyValidation) {
@@ -72,6 +80,7 @@ export function createApiKeyServiceDependencies(
     listAgentApiKeys: methods.listAgentApiKeys,
     deleteAgentApiKey: methods.deleteAgentApiKey,
     getAgentApiKeyById: methods.getAgentApiKeyById,
+    rotateAgentApiKey: methods.rotateAgentApiKey,
     findUser: methods.findUser,
   };
 }
@@ -47,6 +47,8 @@ function hasExplicitConfig(
       return interfaceConfig?.remoteAgents !== undefined;
     case PermissionTypes.SKILLS:
       return interfaceConfig?.skills !== undefined;
+    case PermissionTypes.PRESETS:
+      return interfaceConfig?.presetSharing !== undefined;
     default:
       return false;
   }
@@ -474,6 +476,18 @@ export async function updateInterfacePermissions({
             }
           : {}),
       },
+      [PermissionTypes.PRESETS]: {
+        [Permissions.SHARE]: getPermissionValue(
+          loadedInterface.presetSharing?.share,
+          defaultPerms[PermissionTypes.PRESETS]?.[Permissions.SHARE],
+          defaults.presetSharing?.share,
+        ),
+        [Permissions.SHARE_PUBLIC]: getPermissionValue(
+          loadedInterface.presetSharing?.public,
+          defaultPerms[PermissionTypes.PRESETS]?.[Permissions.SHARE_PUBLIC],
+          defaults.presetSharing?.public,
+        ),
+      },
     };
 
     // Check and add each permission type if needed
@@ -0,0 +1,64 @@
+import { SystemRoles } from 'librechat-data-provider';
+import { getClaimValues, resolveClaimMapping } from './claimMapping';
+
+describe('getClaimValues', () => {
+  it('reads single and multi-valued claims as strings', () => {
+    expect(getClaimValues({ groups: ['a', 'b'] }, 'groups')).toEqual(['a', 'b']);
+    expect(getClaimValues({ department: 'research' }, 'department')).toEqual(['research']);
+    expect(getClaimValues({ admin: true }, 'admin')).toEqual(['true']);
+    expect(getClaimValues({}, 'groups')).toEqual([]);
+  });
+
+  it('reads nested claims by dot path', () => {
+    expect(getClaimValues({ realm_access: { roles: ['editor'] } }, 'realm_access.roles')).toEqual([
+      'editor',
+    ]);
+  });
+
+  it('prefers an exact attribute name over a dot path', () => {
+    const attribute = 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups';
+    expect(getClaimValues({ [attribute]: ['ai-admins'] }, attribute)).toEqual(['ai-admins']);
+  });
+});
+
+describe('resolveClaimMapping', () => {
+  const mapping = {
+    rules: [
+      { claim: 'groups', value: 'ai-admins', role: SystemRoles.ADMIN, groups: ['AI Admins'] },
+      { claim: 'groups', value: 'researchers', role: 'RESEARCHER', groups: ['Research'] },
+      { claim: 'department', value: 'sales', groups: ['Sales'] },
+    ],
+  };
+
+  it('returns null without rules', () => {
+    expect(resolveClaimMapping({ groups: ['ai-admins'] }, undefined)).toBeNull();
+    expect(resolveClaimMapping({ groups: ['ai-admins'] }, { rules: [] })).toBeNull();
+  });
+
+  it('assigns the role of the first matching rule and the groups of every matching rule', () => {
+    expect(
+      resolveClaimMapping({ groups: ['researchers', 'ai-admins'], department: 'sales' }, mapping),
+    ).toEqual({
+      role: SystemRoles.ADMIN,
+      groups: ['AI Admins', 'Research', 'Sales'],
+      managedGroups: ['AI Admins', 'Research', 'Sales'],
+    });
+  });
+
+  it('falls back to the default role when no rule with a role matches', () => {
+    expect(resolveClaimMapping({ department: 'sales' }, mapping)).toEqual({
+      role: SystemRoles.USER,
+      groups: ['Sales'],
+      managedGroups: ['AI Admins', 'Research', 'Sales'],
+    });
+    expect(resolveClaimMapping({}, { ...mapping, defaultRole: 'GUEST' })?.role).toBe('GUEST');
+  });
+
+  it('leaves the role alone when no rule assigns roles', () => {
+    expect(resolveClaimMapping({ department: 'finance' }, { rules: [mapping.rules[2]] })).toEqual({
+      role: undefined,
+      groups: [],
+      managedGroups: ['Sales'],
+    });
+  });
+});
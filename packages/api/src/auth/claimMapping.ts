@@ -0,0 +1,65 @@
+import get from 'lodash/get';
+import { SystemRoles } from 'librechat-data-provider';
+import type { TCustomConfig } from 'librechat-data-provider';
+
+/** Mapping of a single identity provider, as loaded from `identityMapping` in the app config */
+export type IdentityProviderMapping = NonNullable<TCustomConfig['identityMapping']>['openid'];
+
+export interface ClaimMappingResult {
+  /** Role assigned by the mapping; undefined when no rule assigns roles */
+  role?: string;
+  /** Groups the user belongs to under the mapping */
+  groups: string[];
+  /** Every group named by the mapping; memberships of other groups are left alone */
+  managedGroups: string[];
+}
+
+/**
+ * Reads the values of a claim as strings. The claim is looked up by its exact name first,
+ * so SAML attribute URIs containing dots work, then as a dot path for nested OpenID claims.
+ */
+export function getClaimValues(claims: Record<string, unknown>, claim: string): string[] {
+  const value = claim in claims ? claims[claim] : get(claims, claim);
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean')
+    .map(String);
+}
+
+/**
+ * Resolves the role and groups of a user from the claims of a login.
+ * @returns The mapping result, or null when no rules are configured
+ */
+export function resolveClaimMapping(
+  claims: Record<string, unknown>,
+  mapping: IdentityProviderMapping | null | undefined,
+): ClaimMappingResult | null {
+  const rules = mapping?.rules?.filter((rule) => rule.claim && rule.value) ?? [];
+  if (rules.length === 0) {
+    return null;
+  }
+
+  let role: string | undefined;
+  const groups = new Set<string>();
+  const managedGroups = new Set<string>();
+  const managesRole = rules.some((rule) => !!rule.role);
+
+  for (const rule of rules) {
+    const ruleGroups = (rule.groups ?? []).filter((group): group is string => !!group);
+    ruleGroups.forEach((group) => managedGroups.add(group));
+
+    if (!getClaimValues(claims, rule.claim as string).includes(rule.value as string)) {
+      continue;
+    }
+    ruleGroups.forEach((group) => groups.add(group));
+    if (role === undefined && rule.role) {
+      role = rule.role;
+    }
+  }
+
+  return {
+    role: managesRole ? (role ?? mapping?.defaultRole ?? SystemRoles.USER) : undefined,
+    groups: [...groups],
+    managedGroups: [...managedGroups],
+  };
+}
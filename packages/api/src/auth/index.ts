@@ -1,5 +1,6 @@
 export * from './domain';
 export * from './openid';
+export * from './claimMapping';
 export * from './exchange';
 export * from './refresh';
 export * from './agent';
@@ -0,0 +1,154 @@
+import axios from 'axios';
+import { Types } from 'mongoose';
+import type { AppConfig, IUser } from '@librechat/data-schemas';
+import type { BalanceAlertDeps } from './alerts';
+import {
+  BALANCE_ALERT_TEMPLATE,
+  BALANCE_ALERT_SIGNATURE_HEADER,
+  signBalanceAlert,
+  getReachedThresholds,
+  createBalanceAlertNotifier,
+} from './alerts';
+
+jest.mock('axios');
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('~/utils', () => ({
+  ...jest.requireActual('~/utils'),
+  checkEmailConfig: jest.fn(() => true),
+}));
+
+const mockedAxios = axios as jest.Mocked<typeof axios>;
+
+const userId = new Types.ObjectId();
+const lastRefill = new Date('2025-01-01T00:00:00.000Z');
+
+const balance = (tokenCredits: number) => ({
+  user: userId,
+  tokenCredits,
+  autoRefillEnabled: false,
+  refillAmount: 0,
+  lastRefill,
+});
+
+const balanceConfig = {
+  enabled: true,
+  startBalance: 1000,
+  alerts: { enabled: true, thresholds: [80, 95, 100], email: true },
+};
+
+function createDeps(
+  alerts: Record<string, unknown> = balanceConfig.alerts,
+  overrides: Partial<BalanceAlertDeps> = {},
+): BalanceAlertDeps {
+  return {
+    getAppConfig: jest
+      .fn()
+      .mockResolvedValue({ balance: { ...balanceConfig, alerts } } as unknown as AppConfig),
+    getUserById: jest
+      .fn()
+      .mockResolvedValue({ email: 'user@example.com', name: 'User', role: 'USER' } as IUser),
+    claimBalanceAlerts: jest.fn(async (_user, thresholds) => thresholds),
+    sendEmail: jest.fn().mockResolvedValue({}),
+    ...overrides,
+  };
+}
+
+describe('getReachedThresholds', () => {
+  it('measures spend against the start balance', () => {
+    expect(getReachedThresholds(balance(300), balanceConfig)).toEqual([]);
+    expect(getReachedThresholds(balance(150), balanceConfig)).toEqual([80]);
+    expect(getReachedThresholds(balance(0), balanceConfig)).toEqual([80, 95, 100]);
+  });
+
+  it('measures spend against the refill amount with auto-refill', () => {
+    const refilling = { ...balance(200), autoRefillEnabled: true, refillAmount: 5000 };
+    expect(getReachedThresholds(refilling, balanceConfig)).toEqual([80, 95]);
+  });
+
+  it('reaches nothing without an allowance', () => {
+    expect(getReachedThresholds(balance(0), { ...balanceConfig, startBalance: 0 })).toEqual([]);
+  });
+});
+
+describe('createBalanceAlertNotifier', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockedAxios.post.mockResolvedValue({ data: {} });
+  });
+
+  it('emails the highest threshold newly reached', async () => {
+    const deps = createDeps();
+
+    await createBalanceAlertNotifier(deps)(balance(30));
+
+    expect(deps.claimBalanceAlerts).toHaveBeenCalledWith(userId.toString(), [80, 95], lastRefill);
+    expect(deps.sendEmail).toHaveBeenCalledTimes(1);
+    expect(deps.sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'user@example.com',
+        template: BALANCE_ALERT_TEMPLATE,
+        payload: expect.objectContaining({ name: 'User', threshold: '95', tokenCredits: '30' }),
+      }),
+    );
+    expect(mockedAxios.post).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing when the thresholds were already sent this refill period', async () => {
+    const deps = createDeps(balanceConfig.alerts, {
+      claimBalanceAlerts: jest.fn().mockResolvedValue([]),
+    });
+
+    await createBalanceAlertNotifier(deps)(balance(30));
+
+    expect(deps.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing when alerts are disabled', async () => {
+    const deps = createDeps({ ...balanceConfig.alerts, enabled: false });
+
+    await createBalanceAlertNotifier(deps)(balance(0));
+
+    expect(deps.claimBalanceAlerts).not.toHaveBeenCalled();
+    expect(deps.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('posts a signed webhook', async () => {
+    const deps = createDeps({
+      ...balanceConfig.alerts,
+      email: false,
+      webhook: { url: 'https://hooks.example.com/balance', secret: 'shh' },
+    });
+
+    await createBalanceAlertNotifier(deps)(balance(0));
+
+    expect(deps.sendEmail).not.toHaveBeenCalled();
+    const [url, body, options] = mockedAxios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/balance');
+    expect(JSON.parse(body as string)).toEqual(
+      expect.objectContaining({
+        event: 'balance.threshold',
+        threshold: 100,
+        percentSpent: 100,
+        tokenCredits: 0,
+        allowance: 1000,
+        periodStart: lastRefill.toISOString(),
+      }),
+    );
+    expect(options?.headers?.[BALANCE_ALERT_SIGNATURE_HEADER]).toBe(
+      signBalanceAlert(body as string, 'shh'),
+    );
+  });
+
+  it('does not throw when sending fails', async () => {
+    const deps = createDeps(balanceConfig.alerts, {
+      getUserById: jest.fn().mockRejectedValue(new Error('db down')),
+    });
+
+    await expect(createBalanceAlertNotifier(deps)(balance(0))).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { logger } from '@librechat/data-schemas';
+import { extractEnvVariable } from 'librechat-data-provider';
+import type { AppConfig, BalanceConfig, IBalance, IUser } from '@librechat/data-schemas';
+import { logAxiosError, checkEmailConfig } from '~/utils';
+import { getBalanceConfig } from '~/app/config';
+
+export const BALANCE_ALERT_EVENT = 'balance.threshold';
+export const BALANCE_ALERT_TEMPLATE = 'balanceAlert.handlebars';
+export const BALANCE_ALERT_SIGNATURE_HEADER = 'X-LibreChat-Signature';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+type BalanceAlertBalance = Pick<
+  IBalance,
+  'user' | 'tokenCredits' | 'autoRefillEnabled' | 'refillAmount' | 'lastRefill'
+>;
+
+/** Body of the outgoing balance alert webhook */
+export interface BalanceAlertPayload {
+  event: typeof BALANCE_ALERT_EVENT;
+  user: { id: string; email?: string; name?: string };
+  /** Highest threshold reached, in percent */
+  threshold: number;
+  percentSpent: number;
+  tokenCredits: number;
+  allowance: number;
+  periodStart: string;
+  timestamp: string;
+}
+
+export interface BalanceAlertDeps {
+  getAppConfig: (options?: {
+    role?: string;
+    userId?: string;
+    tenantId?: string;
+  }) => Promise<AppConfig>;
+  getUserById: (userId: string, fieldsToSelect?: string | string[] | null) => Promise<IUser | null>;
+  /** Records thresholds as sent for the refill period; resolves those not sent before */
+  claimBalanceAlerts: (user: string, thresholds: number[], periodStart: Date) => Promise<number[]>;
+  sendEmail: (params: {
+    email: string;
+    subject: string;
+    payload: Record<string, string>;
+    template: string;
+    throwError?: boolean;
+  }) => Promise<unknown>;
+}
+
+/**
+ * Token credits a user's spend is measured against: the refill amount when
+ * auto-refill is enabled, otherwise the start balance.
+ */
+export function getBalanceAllowance(
+  balance: BalanceAlertBalance,
+  balanceConfig: BalanceConfig,
+): number {
+  if (balance.autoRefillEnabled && balance.refillAmount > 0) {
+    return balance.refillAmount;
+  }
+  return balanceConfig.startBalance ?? 0;
+}
+
+/** Share of the allowance spent, in percent, or null without an allowance */
+export function getPercentSpent(
+  balance: BalanceAlertBalance,
+  balanceConfig: BalanceConfig,
+): number | null {
+  const allowance = getBalanceAllowance(balance, balanceConfig);
+  if (!(allowance > 0)) {
+    return null;
+  }
+  return ((allowance - balance.tokenCredits) / allowance) * 100;
+}
+
+/** Thresholds the balance has reached, in ascending order */
+export function getReachedThresholds(
+  balance: BalanceAlertBalance,
+  balanceConfig: BalanceConfig,
+): number[] {
+  const thresholds = balanceConfig.alerts?.thresholds ?? [];
+  const percentSpent = getPercentSpent(balance, balanceConfig);
+  if (percentSpent == null) {
+    return [];
+  }
+  return [...new Set(thresholds)]
+    .filter((threshold) => percentSpent >= threshold)
+    .sort((a, b) => a - b);
+}
+
+/** Signs a webhook body with HMAC-SHA256 */
+export function signBalanceAlert(body: string, secret: string): string {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function sendBalanceAlertWebhook(
+  webhook: { url: string; secret?: string },
+  payload: BalanceAlertPayload,
+): Promise<void> {
+  const body = JSON.stringify(payload);
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  const secret = webhook.secret ? extractEnvVariable(webhook.secret) : undefined;
+  if (secret) {
+    headers[BALANCE_ALERT_SIGNATURE_HEADER] = signBalanceAlert(body, secret);
+  }
+
+  try {
+    await axios.post(extractEnvVariable(webhook.url), body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT_MS,
+    });
+  } catch (error) {
+    logAxiosError({ error, message: '[balanceAlerts] Failed to send balance alert webhook' });
+  }
+}
+
+/**
+ * Creates the function that alerts users by email and webhook when their spend
+ * reaches a configured threshold. Each threshold is sent once per refill period;
+ * when several are reached at once, only the highest is sent.
+ */
+export function createBalanceAlertNotifier(deps: BalanceAlertDeps) {
+  const { getAppConfig, getUserById, claimBalanceAlerts, sendEmail } = deps;
+
+  async function notifyBalanceAlerts(balance: BalanceAlertBalance): Promise<void> {
+    try {
+      const userId = balance.user.toString();
+      const user = await getUserById(userId, 'email name username role tenantId');
+      if (!user) {
+        return;
+      }
+
+      const appConfig = await getAppConfig({
+        role: user.role,
+        userId,
+        tenantId: user.tenantId,
+      });
+      const balanceConfig = getBalanceConfig(appConfig);
+      const alerts = balanceConfig?.alerts;
+      if (!balanceConfig?.enabled || !alerts?.enabled) {
+        return;
+      }
+
+      const reached = getReachedThresholds(balance, balanceConfig);
+      if (reached.length === 0) {
+        return;
+      }
+
+      const periodStart = new Date(balance.lastRefill);
+      const claimed = await claimBalanceAlerts(userId, reached, periodStart);
+      if (claimed.length === 0) {
+        return;
+      }
+
+      const threshold = Math.max(...claimed);
+      const allowance = getBalanceAllowance(balance, balanceConfig);
+      const percentSpent = Math.min(getPercentSpent(balance, balanceConfig) ?? 0, 100);
+      const name = user.name || user.username || user.email;
+      logger.info(`[balanceAlerts] User ${userId} reached ${threshold}% of their balance`);
+
+      const tasks: Promise<unknown>[] = [];
+      if (alerts.email !== false && user.email && checkEmailConfig()) {
+        const appName = process.env.APP_TITLE || 'LibreChat';
+        tasks.push(
+          sendEmail({
+            email: user.email,
+            subject:
+              threshold >= 100
+                ? `Your ${appName} balance is used up`
+                : `You have used ${threshold}% of your ${appName} balance`,
+            payload: {
+              appName,
+              name,
+              threshold: String(threshold),
+              exhausted: threshold >= 100 ? 'true' : '',
+              tokenCredits: Math.max(balance.tokenCredits, 0).toLocaleString('en-US'),
+              allowance: allowance.toLocaleString('en-US'),
+              year: String(new Date().getFullYear()),
+            },
+            template: BALANCE_ALERT_TEMPLATE,
+            throwError: false,
+          }),
+        );
+      }
+      const webhookUrl = alerts.webhook?.url;
+      if (webhookUrl) {
+        tasks.push(
+          sendBalanceAlertWebhook(
+            { url: webhookUrl, secret: alerts.webhook?.secret },
+            {
+              event: BALANCE_ALERT_EVENT,
+              user: { id: userId, email: user.email, name },
+              threshold,
+              percentSpent: Math.round(percentSpent * 100) / 100,
+              tokenCredits: balance.tokenCredits,
+              allowance,
+              periodStart: periodStart.toISOString(),
+              timestamp: new Date().toISOString(),
+            },
+          ),
+        );
+      }
+      await Promise.all(tasks);
+    } catch (error) {
+      logger.error('[balanceAlerts] Error sending balance alerts', error);
+    }
+  }
+
+  return notifyBalanceAlerts;
+}
@@ -0,0 +1,48 @@
+import { PrincipalType } from 'librechat-data-provider';
+import type { BudgetUsage } from '@librechat/data-schemas';
+import { evaluateBudgets } from './budgets';
+
+const budget = (overrides: Partial<BudgetUsage> = {}): BudgetUsage => ({
+  principalType: PrincipalType.GROUP,
+  principalId: 'group-1',
+  hardCap: 1000,
+  period: 'month',
+  spent: 0,
+  periodStart: new Date('2025-01-01T00:00:00.000Z'),
+  ...overrides,
+});
+
+describe('evaluateBudgets', () => {
+  it('allows requests within every budget', () => {
+    expect(evaluateBudgets([budget({ softCap: 800 }), budget()], 100)).toEqual({ warnings: [] });
+  });
+
+  it('denies a request by the first budget whose hard cap it exceeds', () => {
+    const role = budget({ principalType: PrincipalType.ROLE, principalId: 'USER', hardCap: 50 });
+    const group = budget({ spent: 950 });
+
+    expect(evaluateBudgets([group, role], 100)).toEqual({ exceeded: group, warnings: [] });
+    expect(evaluateBudgets([budget({ spent: 900 })], 100).exceeded).toBeUndefined();
+  });
+
+  it('warns about every soft cap a request reaches', () => {
+    const { warnings } = evaluateBudgets(
+      [
+        budget({ softCap: 500, spent: 450 }),
+        budget({ principalType: PrincipalType.ROLE, principalId: 'USER', softCap: 900 }),
+      ],
+      100,
+    );
+
+    expect(warnings).toEqual([
+      {
+        principalType: PrincipalType.GROUP,
+        principalId: 'group-1',
+        period: 'month',
+        spent: 450,
+        softCap: 500,
+        hardCap: 1000,
+      },
+    ]);
+  });
+});
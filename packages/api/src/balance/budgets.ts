@@ -0,0 +1,34 @@
+import type { BudgetUsage } from '@librechat/data-schemas';
+
+/** Sent in the chat stream when a request takes a budget past its soft cap */
+export interface BudgetWarning {
+  principalType: BudgetUsage['principalType'];
+  principalId: string;
+  period: BudgetUsage['period'];
+  spent: number;
+  softCap: number;
+  hardCap: number;
+}
+
+/**
+ * Evaluates the cost of a request against the budgets a user draws down, in
+ * hierarchy order. A request is denied by the first budget whose hard cap it
+ * would exceed, and warned about by every budget whose soft cap it reaches.
+ */
+export function evaluateBudgets(
+  budgets: BudgetUsage[],
+  tokenCost: number,
+): { exceeded?: BudgetUsage; warnings: BudgetWarning[] } {
+  const exceeded = budgets.find((budget) => budget.spent + tokenCost > budget.hardCap);
+  if (exceeded) {
+    return { exceeded, warnings: [] };
+  }
+
+  const warnings: BudgetWarning[] = [];
+  for (const { principalType, principalId, period, spent, softCap, hardCap } of budgets) {
+    if (softCap != null && spent + tokenCost >= softCap) {
+      warnings.push({ principalType, principalId, period, spent, softCap, hardCap });
+    }
+  }
+  return { warnings };
+}
@@ -0,0 +1,3 @@
+export * from './ledger';
+export * from './budgets';
+export * from './alerts';
@@ -0,0 +1,173 @@
+import type { TransactionLedgerEntry } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { TransactionLedgerDeps } from './ledger';
+import {
+  TransactionLedgerError,
+  formatTransactionsCsv,
+  parseTransactionLedgerQuery,
+  createTransactionLedgerHandlers,
+} from './ledger';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const transaction = (overrides: Partial<TransactionLedgerEntry> = {}): TransactionLedgerEntry => ({
+  _id: 'tx-1',
+  user: 'user-1',
+  conversationId: 'convo-1',
+  endpoint: 'openAI',
+  tokenType: 'prompt',
+  model: 'gpt-4o',
+  rawAmount: -100,
+  rate: 2.5,
+  tokenValue: -250,
+  createdAt: new Date('2025-01-01T00:00:00.000Z'),
+  ...overrides,
+});
+
+function createReqRes(query: Record<string, unknown> = {}) {
+  const req = { query, user: { id: 'user-1' } } as unknown as ServerRequest;
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = {
+    status,
+    json,
+    attachment: jest.fn(),
+    type: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn(),
+    headersSent: false,
+  } as unknown as Response;
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<TransactionLedgerDeps> = {}): TransactionLedgerDeps {
+  return {
+    getTransactionLedger: jest.fn().mockResolvedValue({ transactions: [], nextCursor: null }),
+    getConversationCostRollups: jest.fn().mockResolvedValue({ conversations: [], totals: {} }),
+    resolveUsers: jest.fn().mockResolvedValue(['user-1']),
+    ...overrides,
+  };
+}
+
+describe('transaction ledger', () => {
+  describe('parseTransactionLedgerQuery', () => {
+    it('reads filters and pagination', () => {
+      expect(
+        parseTransactionLedgerQuery({
+          model: 'gpt-4o',
+          endpoint: 'openAI',
+          tokenType: 'completion',
+          startDate: '2025-01-01',
+          endDate: '2025-02-01',
+          cursor: 'abc',
+          limit: '10',
+        }),
+      ).toEqual({
+        filter: {
+          model: 'gpt-4o',
+          endpoint: 'openAI',
+          conversationId: undefined,
+          tokenType: 'completion',
+          startDate: new Date('2025-01-01'),
+          endDate: new Date('2025-02-01'),
+        },
+        cursor: 'abc',
+        limit: 10,
+      });
+    });
+
+    it('defaults the page size', () => {
+      expect(parseTransactionLedgerQuery({}).limit).toBe(50);
+    });
+
+    it.each([
+      [{ tokenType: 'refund' }, 'tokenType must be one of'],
+      [{ startDate: 'yesterday' }, 'startDate must be a valid date'],
+      [{ startDate: '2025-02-01', endDate: '2025-01-01' }, 'startDate must be before endDate'],
+      [{ limit: '5000' }, 'limit must be an integer'],
+      [{ model: ['a', 'b'] }, 'model must be a single value'],
+    ])('rejects invalid queries (%#)', (query, message) => {
+      expect(() => parseTransactionLedgerQuery(query)).toThrow(TransactionLedgerError);
+      expect(() => parseTransactionLedgerQuery(query)).toThrow(message);
+    });
+  });
+
+  describe('formatTransactionsCsv', () => {
+    it('writes a header and one row per transaction', () => {
+      const csv = formatTransactionsCsv([transaction()]);
+
+      expect(csv.split('\n')).toEqual([
+        'createdAt,user,conversationId,endpoint,model,tokenType,context,rawAmount,rate,tokenValue,inputTokens,writeTokens,readTokens,messageId',
+        '2025-01-01T00:00:00.000Z,user-1,convo-1,openAI,gpt-4o,prompt,,-100,2.5,-250,,,,',
+        '',
+      ]);
+    });
+
+    it('escapes quotes and neutralizes formulas', () => {
+      const csv = formatTransactionsCsv(
+        [transaction({ context: 'say "hi", then', model: '=HYPERLINK("x")' })],
+        false,
+      );
+
+      expect(csv).toContain('"say ""hi"", then"');
+      expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    });
+  });
+
+  describe('handlers', () => {
+    it('lists transactions of the resolved users', async () => {
+      const page = { transactions: [transaction()], nextCursor: 'next' };
+      const deps = createDeps({ getTransactionLedger: jest.fn().mockResolvedValue(page) });
+      const { req, res, status, json } = createReqRes({ model: 'gpt-4o', cursor: 'abc' });
+
+      await createTransactionLedgerHandlers(deps).listTransactions(req, res);
+
+      expect(deps.getTransactionLedger).toHaveBeenCalledWith(
+        expect.objectContaining({ users: ['user-1'], model: 'gpt-4o' }),
+        { cursor: 'abc', limit: 50 },
+      );
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith(page);
+    });
+
+    it('responds with the status of ledger errors', async () => {
+      const deps = createDeps({
+        resolveUsers: jest
+          .fn()
+          .mockRejectedValue(new TransactionLedgerError('Group not found', 404)),
+      });
+      const { req, res, status, json } = createReqRes();
+
+      await createTransactionLedgerHandlers(deps).getConversationCosts(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Group not found' });
+      expect(deps.getConversationCostRollups).not.toHaveBeenCalled();
+    });
+
+    it('exports every page as CSV', async () => {
+      const getTransactionLedger = jest
+        .fn()
+        .mockResolvedValueOnce({ transactions: [transaction()], nextCursor: 'page-2' })
+        .mockResolvedValueOnce({ transactions: [transaction({ _id: 'tx-2' })], nextCursor: null });
+      const deps = createDeps({ getTransactionLedger });
+      const { req, res } = createReqRes();
+
+      await createTransactionLedgerHandlers(deps).exportTransactions(req, res);
+
+      expect(getTransactionLedger).toHaveBeenCalledTimes(2);
+      expect(getTransactionLedger).toHaveBeenLastCalledWith(expect.any(Object), {
+        cursor: 'page-2',
+        limit: 1000,
+      });
+      expect(res.type).toHaveBeenCalledWith('text/csv');
+      const written = (res.write as jest.Mock).mock.calls.map(([chunk]) => chunk).join('');
+      expect(written.split('\n').filter(Boolean)).toHaveLength(3);
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+});
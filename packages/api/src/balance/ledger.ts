@@ -0,0 +1,243 @@
+import { logger } from '@librechat/data-schemas';
+import type {
+  TransactionLedgerEntry,
+  TransactionLedgerFilter,
+  TransactionLedgerPage,
+  TransactionUsageTotals,
+  ConversationCostRollup,
+} from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+
+export const DEFAULT_LEDGER_LIMIT = 50;
+export const MAX_LEDGER_LIMIT = 1000;
+/** Rows written by a single CSV export */
+export const MAX_LEDGER_EXPORT_ROWS = 100000;
+
+const TOKEN_TYPES = ['prompt', 'completion', 'credits'] as const;
+
+export class TransactionLedgerError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = 'TransactionLedgerError';
+    this.status = status;
+  }
+}
+
+export interface TransactionLedgerQuery {
+  filter: Omit<TransactionLedgerFilter, 'users'>;
+  cursor?: string;
+  limit: number;
+}
+
+type LedgerQueryParams = Record<string, unknown>;
+
+function readString(query: LedgerQueryParams, name: string): string | undefined {
+  const value = query[name];
+  if (value == null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new TransactionLedgerError(`${name} must be a single value`);
+  }
+  return value;
+}
+
+function readDate(query: LedgerQueryParams, name: string): Date | undefined {
+  const value = readString(query, name);
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TransactionLedgerError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Reads the filters and pagination of a ledger request.
+ * Query: { model?, endpoint?, conversationId?, tokenType?, startDate?, endDate?, cursor?, limit? }
+ * @throws {TransactionLedgerError}
+ */
+export function parseTransactionLedgerQuery(query: LedgerQueryParams = {}): TransactionLedgerQuery {
+  const tokenType = readString(query, 'tokenType');
+  if (tokenType && !(TOKEN_TYPES as readonly string[]).includes(tokenType)) {
+    throw new TransactionLedgerError(`tokenType must be one of: ${TOKEN_TYPES.join(', ')}`);
+  }
+
+  const startDate = readDate(query, 'startDate');
+  const endDate = readDate(query, 'endDate');
+  if (startDate && endDate && startDate > endDate) {
+    throw new TransactionLedgerError('startDate must be before endDate');
+  }
+
+  const rawLimit = readString(query, 'limit');
+  const limit = rawLimit === undefined ? DEFAULT_LEDGER_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEDGER_LIMIT) {
+    throw new TransactionLedgerError(`limit must be an integer between 1 and ${MAX_LEDGER_LIMIT}`);
+  }
+
+  return {
+    filter: {
+      model: readString(query, 'model'),
+      endpoint: readString(query, 'endpoint'),
+      conversationId: readString(query, 'conversationId'),
+      tokenType: tokenType as TransactionLedgerFilter['tokenType'],
+      startDate,
+      endDate,
+    },
+    cursor: readString(query, 'cursor'),
+    limit,
+  };
+}
+
+const CSV_COLUMNS: Array<keyof TransactionLedgerEntry> = [
+  'createdAt',
+  'user',
+  'conversationId',
+  'endpoint',
+  'model',
+  'tokenType',
+  'context',
+  'rawAmount',
+  'rate',
+  'tokenValue',
+  'inputTokens',
+  'writeTokens',
+  'readTokens',
+  'messageId',
+];
+
+/** Quotes a CSV cell, neutralizing text that spreadsheets would evaluate as a formula */
+export function csvCell(value: unknown): string {
+  if (value == null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Formats ledger transactions as CSV rows, optionally preceded by the header row */
+export function formatTransactionsCsv(
+  transactions: TransactionLedgerEntry[],
+  includeHeader = true,
+): string {
+  const rows = transactions.map((tx) => CSV_COLUMNS.map((column) => csvCell(tx[column])).join(','));
+  if (includeHeader) {
+    rows.unshift(CSV_COLUMNS.join(','));
+  }
+  return rows.length > 0 ? rows.join('\n') + '\n' : '';
+}
+
+export interface TransactionLedgerDeps {
+  getTransactionLedger: (
+    filter: TransactionLedgerFilter,
+    options?: { cursor?: string | null; limit?: number },
+  ) => Promise<TransactionLedgerPage>;
+  getConversationCostRollups: (
+    filter: TransactionLedgerFilter,
+    options?: { limit?: number },
+  ) => Promise<{ conversations: ConversationCostRollup[]; totals: TransactionUsageTotals }>;
+  /**
+   * Resolves the users whose transactions a request may read; `undefined` reads all users.
+   * Throws a `TransactionLedgerError` to reject the request.
+   */
+  resolveUsers: (req: ServerRequest) => Promise<string[] | undefined>;
+}
+
+/**
+ * Creates the handlers of the transaction ledger: a paginated listing, per-conversation
+ * cost rollups and a CSV export, all sharing the same filters.
+ */
+export function createTransactionLedgerHandlers(deps: TransactionLedgerDeps) {
+  const { getTransactionLedger, getConversationCostRollups, resolveUsers } = deps;
+
+  async function parseRequest(req: ServerRequest) {
+    const { filter, cursor, limit } = parseTransactionLedgerQuery(req.query as LedgerQueryParams);
+    const users = await resolveUsers(req);
+    return { filter: { ...filter, users }, cursor, limit };
+  }
+
+  function handleError(res: Response, error: unknown, context: string, message: string) {
+    if (error instanceof TransactionLedgerError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`[transactionLedger] ${context} error:`, error);
+    return res.status(500).json({ error: message });
+  }
+
+  async function listTransactionsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { filter, cursor, limit } = await parseRequest(req);
+      const page = await getTransactionLedger(filter, { cursor, limit });
+      return res.status(200).json(page);
+    } catch (error) {
+      return handleError(res, error, 'listTransactions', 'Failed to list transactions');
+    }
+  }
+
+  async function getConversationCostsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { filter, limit } = await parseRequest(req);
+      const rollups = await getConversationCostRollups(filter, { limit });
+      return res.status(200).json(rollups);
+    } catch (error) {
+      return handleError(res, error, 'getConversationCosts', 'Failed to get conversation costs');
+    }
+  }
+
+  /** Streams every matching transaction as CSV, page by page, up to `MAX_LEDGER_EXPORT_ROWS` */
+  async function exportTransactionsHandler(req: ServerRequest, res: Response) {
+    let filter: TransactionLedgerFilter;
+    try {
+      ({ filter } = await parseRequest(req));
+    } catch (error) {
+      return handleError(res, error, 'exportTransactions', 'Failed to export transactions');
+    }
+
+    try {
+      const date = new Date().toISOString().split('T')[0];
+      res.attachment(`transactions-${date}.csv`);
+      res.type('text/csv');
+
+      let cursor: string | null = null;
+      let exported = 0;
+      do {
+        const page: TransactionLedgerPage = await getTransactionLedger(filter, {
+          cursor,
+          limit: MAX_LEDGER_LIMIT,
+        });
+        const transactions = page.transactions.slice(0, MAX_LEDGER_EXPORT_ROWS - exported);
+        res.write(formatTransactionsCsv(transactions, exported === 0 && cursor === null));
+        exported += transactions.length;
+        cursor = page.nextCursor;
+      } while (cursor && exported < MAX_LEDGER_EXPORT_ROWS);
+
+      res.end();
+    } catch (error) {
+      logger.error('[transactionLedger] exportTransactions error:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to export transactions' });
+      }
+      res.end();
+    }
+  }
+
+  return {
+    listTransactions: listTransactionsHandler,
+    getConversationCosts: getConversationCostsHandler,
+    exportTransactions: exportTransactionsHandler,
+  };
+}
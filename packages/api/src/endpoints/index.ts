@@ -5,3 +5,4 @@ export * from './custom';
 export * from './google';
 export * from './models';
 export * from './openai';
+export * from './providerKeys';
@@ -0,0 +1,158 @@
+import axios from 'axios';
+import type { AppConfig } from '@librechat/data-schemas';
+import { parseUserKeyValue, validateProviderKey, createUserKeyHealthCheck } from './providerKeys';
+import { validateEndpointURL } from '~/auth';
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+}));
+
+jest.mock('~/auth', () => ({
+  validateEndpointURL: jest.fn(),
+}));
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const mockedGet = axios.get as jest.Mock;
+const mockedValidateURL = validateEndpointURL as jest.Mock;
+
+function axiosError(status: number) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status },
+  });
+}
+
+const appConfig = {
+  endpoints: {
+    custom: [
+      {
+        name: 'Local',
+        apiKey: 'user_provided',
+        baseURL: 'user_provided',
+        models: { default: ['llama3'] },
+      },
+    ],
+  },
+} as unknown as AppConfig;
+
+describe('parseUserKeyValue', () => {
+  it('reads JSON values and plain keys', () => {
+    expect(parseUserKeyValue('{"apiKey":"sk-1","baseURL":"http://x"}')).toEqual({
+      apiKey: 'sk-1',
+      baseURL: 'http://x',
+    });
+    expect(parseUserKeyValue('sk-plain')).toEqual({ apiKey: 'sk-plain' });
+  });
+});
+
+describe('validateProviderKey', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.OPENAI_REVERSE_PROXY;
+    delete process.env.PROXY;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('lists the models of an accepted key', async () => {
+    mockedGet.mockResolvedValue({ data: { data: [{ id: 'gpt-4o' }, { id: 'o3' }] } });
+
+    const result = await validateProviderKey({
+      endpoint: 'openAI',
+      value: '{"apiKey":"sk-valid"}',
+    });
+
+    expect(result).toEqual({ status: 'valid', models: ['gpt-4o', 'o3'] });
+    expect(mockedGet).toHaveBeenCalledWith(
+      'https://api.openai.com/v1/models',
+      expect.objectContaining({
+        headers: { Authorization: 'Bearer sk-valid' },
+        maxRedirects: 0,
+      }),
+    );
+  });
+
+  it('checks against the configured reverse proxy', async () => {
+    process.env.OPENAI_REVERSE_PROXY = 'http://localhost:4000/v1';
+    mockedGet.mockResolvedValue({ data: { data: [] } });
+
+    await validateProviderKey({ endpoint: 'openAI', value: '{"apiKey":"sk-1"}' });
+
+    expect(mockedGet.mock.calls[0][0]).toBe('http://localhost:4000/v1/models');
+    expect(mockedValidateURL).not.toHaveBeenCalled();
+  });
+
+  it('reports rejected keys as invalid', async () => {
+    mockedGet.mockRejectedValue(axiosError(401));
+
+    const result = await validateProviderKey({ endpoint: 'anthropic', value: 'sk-ant-revoked' });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'invalid', statusCode: 401 }));
+    expect(mockedGet.mock.calls[0][1].headers['x-api-key']).toBe('sk-ant-revoked');
+  });
+
+  it('reports other failures as unreachable', async () => {
+    mockedGet.mockRejectedValue(axiosError(503));
+
+    const result = await validateProviderKey({ endpoint: 'openAI', value: 'sk-1' });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'unreachable', statusCode: 503 }));
+  });
+
+  it('checks user-provided base URLs of custom endpoints for restricted addresses', async () => {
+    mockedValidateURL.mockRejectedValue(
+      new Error('Base URL for Local targets a restricted address.'),
+    );
+
+    const result = await validateProviderKey({
+      endpoint: 'Local',
+      value: '{"apiKey":"local","baseURL":"http://169.254.169.254"}',
+      appConfig,
+    });
+
+    expect(result).toEqual({
+      status: 'invalid',
+      message: 'Base URL for Local targets a restricted address.',
+    });
+    expect(mockedGet).not.toHaveBeenCalled();
+  });
+
+  it('does not check endpoints it cannot probe', async () => {
+    const result = await validateProviderKey({ endpoint: 'google', value: '{}', appConfig });
+
+    expect(result).toEqual({ status: 'unsupported' });
+    expect(mockedGet).not.toHaveBeenCalled();
+  });
+});
+
+describe('createUserKeyHealthCheck', () => {
+  it('flags expired keys without calling the provider', async () => {
+    mockedGet.mockResolvedValue({ data: { data: [{ id: 'gpt-4o' }] } });
+    const getUserKey = jest.fn().mockResolvedValue('sk-1');
+    const checkUserKeysHealth = createUserKeyHealthCheck({
+      getUserKeys: jest
+        .fn()
+        .mockResolvedValue([
+          { name: 'anthropic', expiresAt: new Date(Date.now() - 1000) },
+          { name: 'openAI' },
+        ]),
+      getUserKey,
+    });
+
+    const [expired, valid] = await checkUserKeysHealth('user-1');
+
+    expect(expired).toEqual(expect.objectContaining({ name: 'anthropic', status: 'expired' }));
+    expect(valid).toEqual(
+      expect.objectContaining({ name: 'openAI', status: 'valid', expiresAt: 'never' }),
+    );
+    expect(valid).not.toHaveProperty('models');
+    expect(getUserKey).toHaveBeenCalledTimes(1);
+  });
+});
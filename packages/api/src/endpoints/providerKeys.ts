@@ -0,0 +1,241 @@
+import axios from 'axios';
+import { logger } from '@librechat/data-schemas';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { EModelEndpoint, extractEnvVariable } from 'librechat-data-provider';
+import type { AppConfig } from '@librechat/data-schemas';
+import { extractBaseURL, isUserProvided } from '~/utils';
+import { getCustomEndpointConfig } from '~/app/config';
+import { validateEndpointURL } from '~/auth';
+
+const PROBE_TIMEOUT_MS = 5000;
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+
+/**
+ * - `valid`: the provider accepted the key
+ * - `invalid`: the provider rejected the key, e.g. it was revoked
+ * - `expired`: the stored key is past its expiry date
+ * - `unreachable`: the provider could not be reached or failed for another reason
+ * - `unsupported`: keys of the endpoint cannot be checked
+ */
+export type ProviderKeyStatus = 'valid' | 'invalid' | 'expired' | 'unreachable' | 'unsupported';
+
+export interface ProviderKeyValidation {
+  status: ProviderKeyStatus;
+  /** Models listed by the provider for the key */
+  models?: string[];
+  /** HTTP status returned by the provider */
+  statusCode?: number;
+  message?: string;
+}
+
+export interface ProviderKeyHealth extends ProviderKeyValidation {
+  name: string;
+  expiresAt: Date | 'never';
+  checkedAt: string;
+}
+
+interface ProbeTarget {
+  baseURL: string;
+  headers: Record<string, string>;
+  /** Whether the base URL was provided by the user and must pass SSRF checks */
+  userProvidedURL: boolean;
+}
+
+export interface UserKeyHealthDeps {
+  getUserKeys: (params: { userId: string }) => Promise<Array<{ name: string; expiresAt?: Date }>>;
+  getUserKey: (params: { userId: string; name: string }) => Promise<string>;
+}
+
+/**
+ * Reads a stored key value: either a JSON object of `apiKey` and `baseURL`,
+ * or the API key itself.
+ */
+export function parseUserKeyValue(value: string): { apiKey?: string; baseURL?: string } {
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return { apiKey: parsed.apiKey, baseURL: parsed.baseURL };
+    }
+  } catch {
+    // Not JSON: the value is the key itself
+  }
+  return { apiKey: value };
+}
+
+function resolveBaseURL(
+  userBaseURL: string | undefined,
+  configuredURL: string | undefined,
+  defaultURL: string,
+): { baseURL?: string; userProvidedURL: boolean } {
+  if (isUserProvided(configuredURL)) {
+    return { baseURL: userBaseURL, userProvidedURL: true };
+  }
+  if (configuredURL) {
+    return { baseURL: extractBaseURL(configuredURL) ?? defaultURL, userProvidedURL: false };
+  }
+  return { baseURL: defaultURL, userProvidedURL: false };
+}
+
+/**
+ * Works out where and how to check a key of an endpoint. Built-in endpoints
+ * use their reverse proxy when configured, so a local stand-in can answer the
+ * check; custom endpoints use their configured base URL.
+ */
+function resolveProbeTarget(
+  endpoint: string,
+  value: string,
+  appConfig?: AppConfig,
+): ProbeTarget | null {
+  const { apiKey, baseURL: userBaseURL } = parseUserKeyValue(value);
+
+  if (endpoint === EModelEndpoint.openAI || endpoint === EModelEndpoint.assistants) {
+    const configuredURL =
+      endpoint === EModelEndpoint.assistants
+        ? process.env.ASSISTANTS_BASE_URL
+        : process.env.OPENAI_REVERSE_PROXY;
+    const { baseURL, userProvidedURL } = resolveBaseURL(
+      userBaseURL,
+      configuredURL,
+      OPENAI_BASE_URL,
+    );
+    if (!baseURL || !apiKey) {
+      return null;
+    }
+    return { baseURL, userProvidedURL, headers: { Authorization: `Bearer ${apiKey}` } };
+  }
+
+  if (endpoint === EModelEndpoint.anthropic) {
+    const { baseURL, userProvidedURL } = resolveBaseURL(
+      userBaseURL,
+      process.env.ANTHROPIC_REVERSE_PROXY,
+      ANTHROPIC_BASE_URL,
+    );
+    if (!baseURL || !apiKey) {
+      return null;
+    }
+    return {
+      baseURL,
+      userProvidedURL,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': process.env.ANTHROPIC_VERSION || '2023-06-01',
+      },
+    };
+  }
+
+  const customConfig = appConfig ? getCustomEndpointConfig({ endpoint, appConfig }) : undefined;
+  if (!customConfig?.baseURL || !customConfig.apiKey) {
+    return null;
+  }
+
+  const configuredKey = extractEnvVariable(customConfig.apiKey);
+  const configuredURL = extractEnvVariable(customConfig.baseURL);
+  const userProvidedURL = isUserProvided(configuredURL);
+  const resolvedKey = isUserProvided(configuredKey) ? apiKey : configuredKey;
+  const baseURL = userProvidedURL ? userBaseURL : configuredURL;
+  if (!baseURL || !resolvedKey) {
+    return null;
+  }
+  return { baseURL, userProvidedURL, headers: { Authorization: `Bearer ${resolvedKey}` } };
+}
+
+/**
+ * Checks a user-provided key with a cheap authenticated call, listing the
+ * provider's models. Only OpenAI, Assistants, Anthropic and custom endpoints
+ * can be checked; keys of other endpoints are reported as `unsupported`.
+ */
+export async function validateProviderKey({
+  endpoint,
+  value,
+  appConfig,
+}: {
+  endpoint: string;
+  value: string;
+  appConfig?: AppConfig;
+}): Promise<ProviderKeyValidation> {
+  const target = resolveProbeTarget(endpoint, value, appConfig);
+  if (!target) {
+    return { status: 'unsupported' };
+  }
+
+  if (target.userProvidedURL) {
+    try {
+      await validateEndpointURL(target.baseURL, endpoint, appConfig?.endpoints?.allowedAddresses);
+    } catch (error) {
+      return { status: 'invalid', message: (error as Error).message };
+    }
+  }
+
+  try {
+    const response = await axios.get<{ data?: Array<{ id: string }> }>(
+      `${target.baseURL.replace(/\/+$/, '')}/models`,
+      {
+        headers: target.headers,
+        timeout: PROBE_TIMEOUT_MS,
+        maxRedirects: 0,
+        ...(process.env.PROXY && { httpsAgent: new HttpsProxyAgent(process.env.PROXY) }),
+      },
+    );
+    const models = Array.isArray(response.data?.data)
+      ? response.data.data.map((model) => model.id)
+      : undefined;
+    return { status: 'valid', models };
+  } catch (error) {
+    const statusCode = (error as { response?: { status?: number } }).response?.status;
+    if (statusCode === 401 || statusCode === 403) {
+      return { status: 'invalid', statusCode, message: 'The provider rejected the key.' };
+    }
+    logger.debug(`[validateProviderKey] Could not check key for "${endpoint}"`, error);
+    return {
+      status: 'unreachable',
+      statusCode,
+      message: statusCode
+        ? `The provider responded with status ${statusCode}.`
+        : 'The provider could not be reached.',
+    };
+  }
+}
+
+/**
+ * Creates the function that checks every key a user has stored, flagging
+ * expired keys and keys the provider no longer accepts.
+ */
+export function createUserKeyHealthCheck(deps: UserKeyHealthDeps) {
+  const { getUserKeys, getUserKey } = deps;
+
+  return async function checkUserKeysHealth(
+    userId: string,
+    appConfig?: AppConfig,
+  ): Promise<ProviderKeyHealth[]> {
+    const keys = await getUserKeys({ userId });
+    const now = new Date();
+
+    return await Promise.all(
+      keys.map(async ({ name, expiresAt }): Promise<ProviderKeyHealth> => {
+        const base = { name, expiresAt: expiresAt ?? ('never' as const) };
+        if (expiresAt && new Date(expiresAt) <= now) {
+          return { ...base, status: 'expired', checkedAt: now.toISOString() };
+        }
+
+        try {
+          const value = await getUserKey({ userId, name });
+          const { models: _models, ...validation } = await validateProviderKey({
+            endpoint: name,
+            value,
+            appConfig,
+          });
+          return { ...base, ...validation, checkedAt: new Date().toISOString() };
+        } catch (error) {
+          logger.error(`[checkUserKeysHealth] Error checking key "${name}"`, error);
+          return {
+            ...base,
+            status: 'unreachable',
+            message: 'The key could not be checked.',
+            checkedAt: new Date().toISOString(),
+          };
+        }
+      }),
+    );
+  };
+}
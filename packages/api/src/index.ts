@@ -6,6 +6,8 @@ export * from './cdn';
 export * from './auth';
 /* API Keys */
 export * from './apiKeys';
+/* Balance */
+export * from './balance';
 /* MCP */
 export * from './mcp/registry/MCPServersRegistry';
 export * from './mcp/MCPManager';
@@ -39,6 +41,10 @@ export * from './modelSpecs';
 export * from './agents';
 /* Prompts */
 export * from './prompts';
+/* Presets */
+export * from './presets';
+/* SCIM */
+export * from './scim';
 /* Skills */
 export * from './skills';
 /* Endpoints */
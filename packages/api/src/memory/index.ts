@@ -1 +1,3 @@
 export * from './config';
+export * from './transfer';
+export * from './scope';
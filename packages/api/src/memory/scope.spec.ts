@@ -0,0 +1,38 @@
+import { MemoryValidationError } from './transfer';
+import { parseMemoryScope, resolveAgentMemoryScopes } from './scope';
+
+describe('memory scopes', () => {
+  describe('parseMemoryScope', () => {
+    it('defaults to the global scope', () => {
+      expect(parseMemoryScope(undefined)).toBe('global');
+      expect(parseMemoryScope('')).toBe('global');
+    });
+
+    it.each(['global', 'agent:agent_abc-123', 'project:novel'])('accepts %s', (scope) => {
+      expect(parseMemoryScope(scope)).toBe(scope);
+    });
+
+    it.each(['agent', 'agent:', 'project:Novel', 'team:core', ['global']])(
+      'rejects %p',
+      (scope) => {
+        expect(() => parseMemoryScope(scope)).toThrow(MemoryValidationError);
+      },
+    );
+  });
+
+  describe('resolveAgentMemoryScopes', () => {
+    it('uses the global scope for agents without configured scopes', () => {
+      expect(resolveAgentMemoryScopes(undefined)).toEqual(['global']);
+      expect(resolveAgentMemoryScopes({ id: 'agent_1', memory_scopes: [] })).toEqual(['global']);
+    });
+
+    it("replaces `agent` with the agent's own scope and keeps the configured order", () => {
+      expect(
+        resolveAgentMemoryScopes({
+          id: 'agent_1',
+          memory_scopes: ['agent', 'project:novel', 'global', 'agent'],
+        }),
+      ).toEqual(['agent:agent_1', 'project:novel', 'global']);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { GLOBAL_MEMORY_SCOPE, memoryScopeSchema } from 'librechat-data-provider';
+import { MemoryValidationError } from './transfer';
+
+/** Scope of the memories of a single agent */
+export const agentMemoryScope = (agentId: string) => `agent:${agentId}`;
+
+/**
+ * Reads a memory scope from a request; a missing scope is the global scope.
+ * @throws {MemoryValidationError}
+ */
+export function parseMemoryScope(value: unknown): string {
+  if (value == null || value === '') {
+    return GLOBAL_MEMORY_SCOPE;
+  }
+  const result = memoryScopeSchema.safeParse(value);
+  if (!result.success) {
+    throw new MemoryValidationError(result.error.issues[0].message);
+  }
+  return result.data;
+}
+
+/**
+ * Resolves the memory scopes an agent run loads from the agent's `memory_scopes`,
+ * replacing `agent` with the agent's own scope. The first scope receives the
+ * memories the agent saves. Agents without configured scopes use the global scope.
+ */
+export function resolveAgentMemoryScopes(agent?: {
+  id?: string;
+  memory_scopes?: string[];
+}): string[] {
+  if (!agent?.memory_scopes?.length) {
+    return [GLOBAL_MEMORY_SCOPE];
+  }
+
+  const scopes = new Set<string>();
+  for (const scope of agent.memory_scopes) {
+    if (scope !== 'agent') {
+      scopes.add(scope);
+    } else if (agent.id) {
+      scopes.add(agentMemoryScope(agent.id));
+    }
+  }
+  return scopes.size > 0 ? [...scopes] : [GLOBAL_MEMORY_SCOPE];
+}
@@ -0,0 +1,205 @@
+import { Types } from 'mongoose';
+import type { IMemoryEntryLean } from '@librechat/data-schemas';
+import {
+  MemoryValidationError,
+  buildMemoryExport,
+  formatMemoriesMarkdown,
+  parseMemoriesMarkdown,
+  parseMemoryImport,
+  planMemoryImport,
+  planMemoryBulkUpdate,
+} from './transfer';
+
+const countTokens = (value: string) => value.length;
+
+const memory = (key: string, value: string): IMemoryEntryLean => ({
+  _id: new Types.ObjectId(),
+  userId: new Types.ObjectId(),
+  key,
+  value,
+  tokenCount: value.length,
+  updated_at: new Date('2025-01-01T00:00:00.000Z'),
+});
+
+describe('memory transfer', () => {
+  describe('export formats', () => {
+    it('exports memories sorted by key', () => {
+      const exported = buildMemoryExport([memory('work', 'Engineer'), memory('name', 'Ada')]);
+
+      expect(exported.version).toBe(1);
+      expect(exported.scope).toBe('global');
+      expect(exported.memories.map(({ key }) => key)).toEqual(['name', 'work']);
+      expect(exported.memories[0]).toEqual({
+        key: 'name',
+        value: 'Ada',
+        updated_at: new Date('2025-01-01T00:00:00.000Z'),
+      });
+    });
+
+    it('round-trips memories through Markdown', () => {
+      const memories = [
+        { key: 'name', value: 'Ada' },
+        { key: 'projects', value: 'Analytical engine\n\n- notes on Bernoulli numbers' },
+      ];
+
+      const markdown = formatMemoriesMarkdown(memories);
+
+      expect(markdown.startsWith('# Memories\n\n## name\n\nAda')).toBe(true);
+      expect(parseMemoriesMarkdown(markdown)).toEqual(memories);
+    });
+  });
+
+  describe('parseMemoryImport', () => {
+    it('accepts a memories array', () => {
+      expect(parseMemoryImport({ memories: [{ key: ' name ', value: ' Ada ' }] })).toEqual([
+        { key: 'name', value: 'Ada' },
+      ]);
+    });
+
+    it('accepts a markdown string', () => {
+      expect(parseMemoryImport({ markdown: '## name\nAda\n' })).toEqual([
+        { key: 'name', value: 'Ada' },
+      ]);
+    });
+
+    it.each([
+      [undefined, 'Provide either'],
+      [{ memories: [] }, 'No memories to import'],
+      [{ memories: [{ key: 'Name', value: 'Ada' }] }, 'Invalid key "Name"'],
+      [{ memories: [{ key: 'name', value: ' ' }] }, 'Value of "name" is required'],
+      [{ memories: [{ key: 'name', value: 'abcdef' }] }, 'exceeds maximum length of 5'],
+      [
+        {
+          memories: [
+            { key: 'name', value: 'Ada' },
+            { key: 'name', value: 'Bob' },
+          ],
+        },
+        'Duplicate memory key "name"',
+      ],
+    ])('rejects invalid imports (%#)', (body, message) => {
+      expect(() => parseMemoryImport(body, 5)).toThrow(MemoryValidationError);
+      expect(() => parseMemoryImport(body, 5)).toThrow(message);
+    });
+  });
+
+  describe('planMemoryImport', () => {
+    const current = [memory('name', 'Ada'), memory('work', 'Engineer')];
+    const incoming = [
+      { key: 'name', value: 'Ada Lovelace' },
+      { key: 'work', value: 'Engineer' },
+      { key: 'city', value: 'London' },
+    ];
+
+    it('keeps existing memories with the skip strategy', () => {
+      const { changes, summary } = planMemoryImport(current, incoming, 'skip', { countTokens });
+
+      expect(changes).toEqual({
+        set: [{ key: 'city', value: 'London', tokenCount: 6 }],
+        delete: [],
+      });
+      expect(summary).toEqual({ created: 1, updated: 0, merged: 0, skipped: 2 });
+    });
+
+    it('replaces existing memories with the overwrite strategy', () => {
+      const { changes, summary } = planMemoryImport(current, incoming, 'overwrite', {
+        countTokens,
+      });
+
+      expect(changes.set).toEqual([
+        { key: 'name', value: 'Ada Lovelace', tokenCount: 12 },
+        { key: 'city', value: 'London', tokenCount: 6 },
+      ]);
+      expect(summary).toEqual({ created: 1, updated: 1, merged: 0, skipped: 1 });
+    });
+
+    it('appends new values with the merge strategy', () => {
+      const { changes, summary } = planMemoryImport(
+        current,
+        [
+          { key: 'name', value: 'Countess of Lovelace' },
+          { key: 'work', value: 'Engineer' },
+        ],
+        'merge',
+        { countTokens },
+      );
+
+      expect(changes.set).toEqual([
+        { key: 'name', value: 'Ada\nCountess of Lovelace', tokenCount: 24 },
+      ]);
+      expect(summary).toEqual({ created: 0, updated: 0, merged: 1, skipped: 1 });
+    });
+
+    it('rejects merges that exceed the character limit', () => {
+      expect(() =>
+        planMemoryImport(current, [{ key: 'name', value: 'Lovelace' }], 'merge', {
+          charLimit: 10,
+          countTokens,
+        }),
+      ).toThrow('Merging "name" would exceed the maximum length of 10 characters.');
+    });
+
+    it('rejects imports that exceed the token budget', () => {
+      expect(() =>
+        planMemoryImport(current, incoming, 'overwrite', { tokenLimit: 25, countTokens }),
+      ).toThrow('would exceed the token limit of 25');
+    });
+  });
+
+  describe('planMemoryBulkUpdate', () => {
+    const current = [memory('name', 'Ada'), memory('work', 'Engineer')];
+
+    it('plans sets and deletes together', () => {
+      const { changes, summary } = planMemoryBulkUpdate(
+        current,
+        {
+          set: [
+            { key: 'name', value: 'Ada L.' },
+            { key: 'city', value: 'London' },
+          ],
+          delete: ['work'],
+        },
+        { countTokens },
+      );
+
+      expect(changes).toEqual({
+        set: [
+          { key: 'name', value: 'Ada L.', tokenCount: 6 },
+          { key: 'city', value: 'London', tokenCount: 6 },
+        ],
+        delete: ['work'],
+      });
+      expect(summary).toEqual({ created: 1, updated: 1, deleted: 1 });
+    });
+
+    it('validates the total budget after deletes free up tokens', () => {
+      const update = { set: [{ key: 'city', value: 'London' }], delete: ['work'] };
+
+      expect(() =>
+        planMemoryBulkUpdate(current, update, { tokenLimit: 10, countTokens }),
+      ).not.toThrow();
+      expect(() =>
+        planMemoryBulkUpdate(current, { set: update.set }, { tokenLimit: 10, countTokens }),
+      ).toThrow('would exceed the token limit of 10');
+    });
+
+    it('allows trimming memories that are already over a lowered limit', () => {
+      expect(() =>
+        planMemoryBulkUpdate(current, { delete: ['name'] }, { tokenLimit: 5, countTokens }),
+      ).not.toThrow();
+    });
+
+    it.each([
+      [{}, 'No changes provided'],
+      [{ set: 'name' }, '`set` and `delete` must be arrays'],
+      [{ delete: ['missing'] }, 'Memory "missing" not found'],
+      [
+        { set: [{ key: 'name', value: 'Ada' }], delete: ['name'] },
+        'Memory "name" cannot be both set and deleted',
+      ],
+      [{ set: [{ key: 'name', value: '' }] }, 'Value of "name" is required'],
+    ])('rejects invalid updates (%#)', (update, message) => {
+      expect(() => planMemoryBulkUpdate(current, update, { countTokens })).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import { GLOBAL_MEMORY_SCOPE } from 'librechat-data-provider';
+import type { IMemoryEntryLean, MemoryChanges, MemoryWrite } from '@librechat/data-schemas';
+
+export const MEMORY_KEY_PATTERN = /^[a-z_]+$/;
+export const MAX_MEMORY_KEY_LENGTH = 1000;
+export const DEFAULT_MEMORY_CHAR_LIMIT = 10000;
+export const MEMORY_EXPORT_VERSION = 1;
+
+export const MEMORY_IMPORT_STRATEGIES = ['skip', 'overwrite', 'merge'] as const;
+export type MemoryImportStrategy = (typeof MEMORY_IMPORT_STRATEGIES)[number];
+
+export class MemoryValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MemoryValidationError';
+  }
+}
+
+export interface MemoryInput {
+  key: string;
+  value: string;
+}
+
+export interface MemoryExport {
+  version: number;
+  exportedAt: string;
+  /** Scope the memories were exported from */
+  scope: string;
+  memories: Array<MemoryInput & { updated_at?: Date }>;
+}
+
+export interface MemoryLimits {
+  /** Maximum characters per value, defaults to 10000 */
+  charLimit?: number;
+  /** Maximum total tokens across the user's memories in one scope */
+  tokenLimit?: number;
+  countTokens: (value: string) => number;
+}
+
+export interface MemoryImportSummary {
+  created: number;
+  updated: number;
+  merged: number;
+  skipped: number;
+}
+
+export interface MemoryBulkUpdate {
+  set?: unknown;
+  delete?: unknown;
+}
+
+export interface MemoryBulkSummary {
+  created: number;
+  updated: number;
+  deleted: number;
+}
+
+const byKey = (a: MemoryInput, b: MemoryInput) => a.key.localeCompare(b.key);
+
+/** Serializes memories into the JSON export format, sorted by key */
+export function buildMemoryExport(
+  memories: IMemoryEntryLean[],
+  scope: string = GLOBAL_MEMORY_SCOPE,
+): MemoryExport {
+  return {
+    version: MEMORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    scope,
+    memories: memories
+      .map(({ key, value, updated_at }) => ({ key, value, updated_at }))
+      .sort(byKey),
+  };
+}
+
+/** Formats memories as Markdown, one `## key` section per memory */
+export function formatMemoriesMarkdown(memories: Array<MemoryInput>): string {
+  const sections = [...memories].sort(byKey).map(({ key, value }) => `## ${key}\n\n${value}`);
+  return ['# Memories', ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Parses memories from the Markdown export format. Each `## key` heading
+ * starts a memory whose value is the text up to the next `## ` heading;
+ * anything before the first heading is ignored.
+ */
+export function parseMemoriesMarkdown(markdown: string): MemoryInput[] {
+  const memories: MemoryInput[] = [];
+  let current: { key: string; lines: string[] } | null = null;
+
+  const flush = () => {
+    if (current) {
+      memories.push({ key: current.key, value: current.lines.join('\n').trim() });
+    }
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = /^##\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      flush();
+      current = { key: heading[1], lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return memories;
+}
+
+/**
+ * Validates a memory and returns it with its key and value trimmed.
+ * @throws {MemoryValidationError}
+ */
+export function validateMemoryInput(input: unknown, charLimit: number): MemoryInput {
+  const { key, value } = (input ?? {}) as Record<string, unknown>;
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new MemoryValidationError('Key is required and must be a non-empty string.');
+  }
+
+  const trimmedKey = key.trim();
+  if (trimmedKey.length > MAX_MEMORY_KEY_LENGTH) {
+    throw new MemoryValidationError(
+      `Key exceeds maximum length of ${MAX_MEMORY_KEY_LENGTH} characters: "${trimmedKey.slice(0, 50)}..."`,
+    );
+  }
+  if (!MEMORY_KEY_PATTERN.test(trimmedKey)) {
+    throw new MemoryValidationError(
+      `Invalid key "${trimmedKey}": keys may only contain lowercase letters and underscores.`,
+    );
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new MemoryValidationError(
+      `Value of "${trimmedKey}" is required and must be a non-empty string.`,
+    );
+  }
+
+  const trimmedValue = value.trim();
+  if (trimmedValue.length > charLimit) {
+    throw new MemoryValidationError(
+      `Value of "${trimmedKey}" exceeds maximum length of ${charLimit} characters. Current length: ${trimmedValue.length} characters.`,
+    );
+  }
+  return { key: trimmedKey, value: trimmedValue };
+}
+
+function validateUniqueKeys(memories: MemoryInput[]): void {
+  const seen = new Set<string>();
+  for (const { key } of memories) {
+    if (seen.has(key)) {
+      throw new MemoryValidationError(`Duplicate memory key "${key}".`);
+    }
+    seen.add(key);
+  }
+}
+
+/**
+ * Reads the memories of an import request body: either a `memories` array,
+ * e.g. the `memories` of a JSON export, or a `markdown` string.
+ * @throws {MemoryValidationError}
+ */
+export function parseMemoryImport(
+  body: { memories?: unknown; markdown?: unknown } | undefined,
+  charLimit: number = DEFAULT_MEMORY_CHAR_LIMIT,
+): MemoryInput[] {
+  let entries: unknown[];
+  if (typeof body?.markdown === 'string') {
+    entries = parseMemoriesMarkdown(body.markdown);
+  } else if (Array.isArray(body?.memories)) {
+    entries = body.memories;
+  } else {
+    throw new MemoryValidationError('Provide either a `memories` array or a `markdown` string.');
+  }
+
+  if (entries.length === 0) {
+    throw new MemoryValidationError('No memories to import.');
+  }
+
+  const memories = entries.map((entry) => validateMemoryInput(entry, charLimit));
+  validateUniqueKeys(memories);
+  return memories;
+}
+
+/**
+ * Rejects changes that would leave the total token count above the limit.
+ * Changes that do not increase usage are allowed, so users over a lowered
+ * limit can still trim their memories.
+ * @throws {MemoryValidationError}
+ */
+function checkTokenBudget(
+  current: IMemoryEntryLean[],
+  changes: MemoryChanges,
+  tokenLimit: number | undefined,
+): void {
+  if (!tokenLimit) {
+    return;
+  }
+
+  const tokens = new Map(current.map((memory) => [memory.key, memory.tokenCount || 0]));
+  const currentTotal = [...tokens.values()].reduce((sum, count) => sum + count, 0);
+  for (const key of changes.delete) {
+    tokens.delete(key);
+  }
+  for (const { key, tokenCount } of changes.set) {
+    tokens.set(key, tokenCount);
+  }
+  const total = [...tokens.values()].reduce((sum, count) => sum + count, 0);
+
+  if (total > tokenLimit && total > currentTotal) {
+    throw new MemoryValidationError(
+      `These changes would exceed the token limit of ${tokenLimit}. Current usage: ${currentTotal} tokens, after changes: ${total} tokens.`,
+    );
+  }
+}
+
+/**
+ * Plans an import against the user's current memories. New keys are always
+ * created; existing keys are kept (`skip`), replaced (`overwrite`) or have the
+ * imported value appended unless it is already contained (`merge`).
+ * @throws {MemoryValidationError}
+ */
+export function planMemoryImport(
+  current: IMemoryEntryLean[],
+  memories: MemoryInput[],
+  strategy: MemoryImportStrategy,
+  limits: MemoryLimits,
+): { changes: MemoryChanges; summary: MemoryImportSummary } {
+  const { tokenLimit, charLimit = DEFAULT_MEMORY_CHAR_LIMIT, countTokens } = limits;
+  const existing = new Map(current.map((memory) => [memory.key, memory]));
+  const summary: MemoryImportSummary = { created: 0, updated: 0, merged: 0, skipped: 0 };
+  const set: MemoryWrite[] = [];
+
+  for (const { key, value } of memories) {
+    const memory = existing.get(key);
+    if (!memory) {
+      set.push({ key, value, tokenCount: countTokens(value) });
+      summary.created++;
+      continue;
+    }
+
+    if (strategy === 'skip' || memory.value === value) {
+      summary.skipped++;
+    } else if (strategy === 'overwrite') {
+      set.push({ key, value, tokenCount: countTokens(value) });
+      summary.updated++;
+    } else if (memory.value.includes(value)) {
+      summary.skipped++;
+    } else {
+      const merged = `${memory.value}\n${value}`;
+      if (merged.length > charLimit) {
+        throw new MemoryValidationError(
+          `Merging "${key}" would exceed the maximum length of ${charLimit} characters.`,
+        );
+      }
+      set.push({ key, value: merged, tokenCount: countTokens(merged) });
+      summary.merged++;
+    }
+  }
+
+  const changes: MemoryChanges = { set, delete: [] };
+  checkTokenBudget(current, changes, tokenLimit);
+  return { changes, summary };
+}
+
+/**
+ * Plans a bulk update: `set` creates or replaces memories and `delete` removes
+ * existing ones. The update is rejected as a whole if any entry is invalid.
+ * @throws {MemoryValidationError}
+ */
+export function planMemoryBulkUpdate(
+  current: IMemoryEntryLean[],
+  update: MemoryBulkUpdate | undefined,
+  limits: MemoryLimits,
+): { changes: MemoryChanges; summary: MemoryBulkSummary } {
+  const { tokenLimit, charLimit = DEFAULT_MEMORY_CHAR_LIMIT, countTokens } = limits;
+  const { set = [], delete: remove = [] } = update ?? {};
+  if (!Array.isArray(set) || !Array.isArray(remove)) {
+    throw new MemoryValidationError('`set` and `delete` must be arrays.');
+  }
+  if (set.length === 0 && remove.length === 0) {
+    throw new MemoryValidationError('No changes provided.');
+  }
+
+  const writes = set.map((entry) => validateMemoryInput(entry, charLimit));
+  validateUniqueKeys(writes);
+
+  const existing = new Set(current.map((memory) => memory.key));
+  const writeKeys = new Set(writes.map(({ key }) => key));
+  const deletes = new Set<string>();
+  for (const key of remove) {
+    if (typeof key !== 'string') {
+      throw new MemoryValidationError('`delete` must only contain memory keys.');
+    }
+    if (!existing.has(key)) {
+      throw new MemoryValidationError(`Memory "${key}" not found.`);
+    }
+    if (writeKeys.has(key)) {
+      throw new MemoryValidationError(`Memory "${key}" cannot be both set and deleted.`);
+    }
+    deletes.add(key);
+  }
+
+  const changes: MemoryChanges = {
+    set: writes.map(({ key, value }) => ({ key, value, tokenCount: countTokens(value) })),
+    delete: [...deletes],
+  };
+  checkTokenBudget(current, changes, tokenLimit);
+
+  const created = writes.filter(({ key }) => !existing.has(key)).length;
+  return {
+    changes,
+    summary: { created, updated: writes.length - created, deleted: deletes.size },
+  };
+}
@@ -1,4 +1,4 @@
-import { ViolationTypes } from 'librechat-data-provider';
+import { PrincipalType, ViolationTypes } from 'librechat-data-provider';
 import type { Response } from 'express';
 import type { CheckBalanceDeps } from './checkBalance';
 import type { ServerRequest } from '~/types/http';
@@ -263,4 +263,68 @@ describe('checkBalance', () => {
       );
     });
   });
+
+  describe('group and role budgets', () => {
+    const budget = {
+      principalType: PrincipalType.GROUP,
+      principalId: 'group-1',
+      hardCap: 1000,
+      softCap: 800,
+      period: 'month' as const,
+      spent: 0,
+      periodStart: new Date('2025-01-01T00:00:00.000Z'),
+    };
+
+    it('should throw a TOKEN_BALANCE violation when a budget hard cap would be exceeded', async () => {
+      const deps = createMockDeps({
+        getUserBudgets: jest.fn().mockResolvedValue([{ ...budget, spent: 950 }]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).rejects.toThrow();
+
+      expect(deps.getUserBudgets).toHaveBeenCalledWith('user-1');
+      expect(deps.logViolation).toHaveBeenCalledWith(
+        req,
+        res,
+        ViolationTypes.TOKEN_BALANCE,
+        expect.objectContaining({
+          balance: 50,
+          tokenCost: 100,
+          budget: {
+            principalType: PrincipalType.GROUP,
+            principalId: 'group-1',
+            hardCap: 1000,
+            spent: 950,
+            period: 'month',
+          },
+        }),
+        0,
+      );
+    });
+
+    it('should warn when a budget soft cap is reached', async () => {
+      const onBudgetWarning = jest.fn();
+      const deps = createMockDeps({
+        getUserBudgets: jest.fn().mockResolvedValue([{ ...budget, spent: 750 }]),
+      });
+
+      const result = await checkBalance({ req, res, txData: baseTxData, onBudgetWarning }, deps);
+
+      expect(result).toBe(true);
+      expect(onBudgetWarning).toHaveBeenCalledWith([
+        expect.objectContaining({ principalId: 'group-1', spent: 750, softCap: 800 }),
+      ]);
+      expect(deps.logViolation).not.toHaveBeenCalled();
+    });
+
+    it('should not check budgets when the user balance is insufficient', async () => {
+      const deps = createMockDeps({
+        findBalanceByUser: jest.fn().mockResolvedValue({ tokenCredits: 10 }),
+        getUserBudgets: jest.fn(),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).rejects.toThrow();
+      expect(deps.getUserBudgets).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -1,9 +1,11 @@
 import { logger } from '@librechat/data-schemas';
 import { getRefillEligibilityDate, ViolationTypes } from 'librechat-data-provider';
-import type { BalanceConfig, IBalanceUpdate } from '@librechat/data-schemas';
+import { evaluateBudgets } from '~/balance/budgets';
+import type { BalanceConfig, BudgetUsage, IBalanceUpdate } from '@librechat/data-schemas';
 import type { RefillIntervalUnit } from 'librechat-data-provider';
 import type { Response } from 'express';
 import type { ServerRequest } from '~/types/http';
+import type { BudgetWarning } from '~/balance/budgets';
 
 interface BalanceRecord {
   tokenCredits: number;
@@ -42,6 +44,8 @@ export interface CheckBalanceDeps {
   balanceConfig?: BalanceConfig;
   /** Upsert function for lazy initialization when no record exists */
   upsertBalanceFields?: (userId: string, fields: IBalanceUpdate) => Promise<BalanceRecord | null>;
+  /** Gets the group and role budgets the user draws down, checked after their own balance */
+  getUserBudgets?: (user: string) => Promise<BudgetUsage[]>;
 }
 
 /** Checks a user's balance record and handles auto-refill if needed. */
@@ -146,24 +150,17 @@ async function checkBalanceRecord(
   return { canSpend: balance >= tokenCost, balance, tokenCost };
 }
 
-/**
- * Checks balance for a user and logs a violation if they cannot spend.
- * Throws an error with the balance info if insufficient funds.
- */
-export async function checkBalance(
-  { req, res, txData }: { req: ServerRequest; res: Response; txData: TxData },
+async function denyBalance(
+  req: ServerRequest,
+  res: Response,
+  txData: TxData,
   deps: CheckBalanceDeps,
-): Promise<boolean> {
-  const { canSpend, balance, tokenCost } = await checkBalanceRecord(txData, deps);
-  if (canSpend) {
-    return true;
-  }
-
+  details: Record<string, unknown>,
+): Promise<never> {
   const type = ViolationTypes.TOKEN_BALANCE;
   const errorMessage: Record<string, unknown> = {
     type,
-    balance,
-    tokenCost,
+    ...details,
     promptTokens: txData.amount,
   };
 
@@ -174,3 +171,50 @@ export async function checkBalance(
   await deps.logViolation(req, res, type, errorMessage, 0);
   throw new Error(JSON.stringify(errorMessage));
 }
+
+/**
+ * Checks balance for a user and logs a violation if they cannot spend.
+ * Throws an error with the balance info if insufficient funds, or if the request
+ * would exceed the hard cap of a group or role budget; `onBudgetWarning` is called
+ * with the soft caps it reaches.
+ */
+export async function checkBalance(
+  {
+    req,
+    res,
+    txData,
+    onBudgetWarning,
+  }: {
+    req: ServerRequest;
+    res: Response;
+    txData: TxData;
+    onBudgetWarning?: (warnings: BudgetWarning[]) => void;
+  },
+  deps: CheckBalanceDeps,
+): Promise<boolean> {
+  const { canSpend, balance, tokenCost } = await checkBalanceRecord(txData, deps);
+  if (!canSpend) {
+    return denyBalance(req, res, txData, deps, { balance, tokenCost });
+  }
+
+  if (!deps.getUserBudgets) {
+    return true;
+  }
+
+  const budgets = await deps.getUserBudgets(txData.user);
+  const { exceeded, warnings } = evaluateBudgets(budgets, tokenCost);
+  if (exceeded) {
+    const { principalType, principalId, hardCap, spent, period } = exceeded;
+    logger.debug('[Balance.check] Budget hard cap reached', { user: txData.user, principalId });
+    return denyBalance(req, res, txData, deps, {
+      balance: Math.max(hardCap - spent, 0),
+      tokenCost,
+      budget: { principalType, principalId, hardCap, spent, period },
+    });
+  }
+
+  if (warnings.length > 0) {
+    onBudgetWarning?.(warnings);
+  }
+  return true;
+}
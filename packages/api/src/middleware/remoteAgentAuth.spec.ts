@@ -261,6 +261,17 @@ describe('createRemoteAgentAuth', () => {
       expect(deps.apiKeyMiddleware).toHaveBeenCalled();
     });
 
+    it('applies the API key rate limiter after API key auth', async () => {
+      const apiKeyRateLimiter = jest.fn((_req: unknown, _res: unknown, next: () => void) => next());
+      const deps = { ...makeDeps(makeConfig({ enabled: false })), apiKeyRateLimiter };
+
+      await createRemoteAgentAuth(deps)(makeReq() as Request, makeRes().res, mockNext);
+
+      expect(deps.apiKeyMiddleware).toHaveBeenCalled();
+      expect(apiKeyRateLimiter).toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledTimes(1);
+    });
+
     it('loads base config before authentication when tenant context is absent', async () => {
       const deps = makeDeps(makeConfig({ enabled: false }));
 
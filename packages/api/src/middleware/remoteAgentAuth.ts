@@ -15,6 +15,8 @@ import { isEnabled, math } from '~/utils';
 
 export interface RemoteAgentAuthDeps {
   apiKeyMiddleware: RequestHandler;
+  /** Enforces the per-key rate limit once a request is authenticated by API key */
+  apiKeyRateLimiter?: RequestHandler;
   findUser: UserMethods['findUser'];
   updateUser: UserMethods['updateUser'];
   getAppConfig: (options?: GetAppConfigOptions) => Promise<AppConfig>;
@@ -289,6 +291,7 @@ async function enforceApiKeyTenantPolicy(
   res: Response,
   next: NextFunction,
   getAppConfig: RemoteAgentAuthDeps['getAppConfig'],
+  apiKeyRateLimiter?: RequestHandler,
 ): Promise<void> {
   const config = await getAppConfig(getConfigOptions(req));
 
@@ -298,6 +301,11 @@ async function enforceApiKeyTenantPolicy(
     return;
   }
 
+  if (apiKeyRateLimiter) {
+    await Promise.resolve(apiKeyRateLimiter(req, res, next));
+    return;
+  }
+
   next();
 }
 
@@ -307,6 +315,7 @@ async function runApiKeyAuth(
   next: NextFunction,
   apiKeyMiddleware: RequestHandler,
   getAppConfig: RemoteAgentAuthDeps['getAppConfig'],
+  apiKeyRateLimiter?: RequestHandler,
 ): Promise<void> {
   let postAuth: Promise<void> | undefined;
 
@@ -316,7 +325,7 @@ async function runApiKeyAuth(
       return;
     }
 
-    postAuth = enforceApiKeyTenantPolicy(req, res, next, getAppConfig);
+    postAuth = enforceApiKeyTenantPolicy(req, res, next, getAppConfig, apiKeyRateLimiter);
   };
 
   await Promise.resolve(apiKeyMiddleware(req, res, wrappedNext));
@@ -467,6 +476,7 @@ async function resolveUser(
  */
 export function createRemoteAgentAuth({
   apiKeyMiddleware,
+  apiKeyRateLimiter,
   findUser,
   updateUser,
   getAppConfig,
@@ -488,7 +498,7 @@ export function createRemoteAgentAuth({
 
       if (authConfig?.oidc?.enabled !== true) {
         if (apiKeyEnabled) {
-          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig);
+          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig, apiKeyRateLimiter);
           return;
         }
         res.status(401).json({ error: 'Authentication required' });
@@ -512,7 +522,7 @@ export function createRemoteAgentAuth({
       const token = extractBearer(req.headers.authorization);
       if (token == null) {
         if (apiKeyEnabled) {
-          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig);
+          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig, apiKeyRateLimiter);
           return;
         }
         res.status(401).json({ error: 'Bearer token required' });
@@ -531,7 +541,7 @@ export function createRemoteAgentAuth({
       } catch (oidcErr) {
         if (apiKeyEnabled) {
           logger.debug('[remoteAgentAuth] OIDC verification failed; trying API key auth:', oidcErr);
-          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig);
+          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig, apiKeyRateLimiter);
           return;
         }
         logger.error('[remoteAgentAuth] OIDC verification failed:', oidcErr);
@@ -550,7 +560,7 @@ export function createRemoteAgentAuth({
       if (userResolution.status === 'missing') {
         logger.warn('[remoteAgentAuth] OIDC token valid but no matching LibreChat user');
         if (apiKeyEnabled) {
-          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig);
+          await runApiKeyAuth(req, res, next, apiKeyMiddleware, getAppConfig, apiKeyRateLimiter);
           return;
         }
         res.status(401).json({ error: 'Unauthorized' });
@@ -45,6 +45,7 @@ const resourceToPermissionType: Record<ResourceType, PermissionTypes> = {
   [ResourceType.MCPSERVER]: PermissionTypes.MCP_SERVERS,
   [ResourceType.REMOTE_AGENT]: PermissionTypes.REMOTE_AGENTS,
   [ResourceType.SKILL]: PermissionTypes.SKILLS,
+  [ResourceType.PRESET]: PermissionTypes.PRESETS,
 };
 
 function formatError(error: unknown): string {
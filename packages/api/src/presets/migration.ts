@@ -0,0 +1,108 @@
+import { logger } from '@librechat/data-schemas';
+import { AccessRoleIds, ResourceType, PrincipalType } from 'librechat-data-provider';
+import { ensureRequiredCollectionsExist } from '../db/utils';
+import type { AccessRoleMethods } from '@librechat/data-schemas';
+import type { Model, Mongoose } from 'mongoose';
+
+export interface PresetMigrationCheckDbMethods {
+  findRoleByIdentifier: AccessRoleMethods['findRoleByIdentifier'];
+}
+
+interface PresetMigrationData {
+  _id: { toString(): string };
+  presetId: string;
+  title?: string;
+  user: string;
+}
+
+export interface PresetMigrationCheckParams {
+  mongoose: Mongoose;
+  methods: PresetMigrationCheckDbMethods;
+  PresetModel: Model<PresetMigrationData>;
+}
+
+export interface PresetMigrationCheckResult {
+  totalToMigrate: number;
+}
+
+/**
+ * Check if presets saved before sharing existed need owner permissions granted
+ * This performs a dry-run check similar to the migration script
+ */
+export async function checkPresetPermissionsMigration({
+  methods,
+  mongoose,
+  PresetModel,
+}: PresetMigrationCheckParams): Promise<PresetMigrationCheckResult> {
+  logger.debug('Checking if preset permissions migration is needed');
+
+  try {
+    const db = mongoose.connection.db;
+    if (db) {
+      await ensureRequiredCollectionsExist(db);
+    }
+
+    const ownerRole = await methods.findRoleByIdentifier(AccessRoleIds.PRESET_OWNER);
+    if (!ownerRole) {
+      logger.warn(
+        'Required preset roles not found. Permission system may not be fully initialized.',
+      );
+      return { totalToMigrate: 0 };
+    }
+
+    const AclEntry = mongoose.model('AclEntry');
+    const migratedPresetIds = await AclEntry.distinct('resourceId', {
+      resourceType: ResourceType.PRESET,
+      principalType: PrincipalType.USER,
+    });
+
+    const totalToMigrate = await PresetModel.countDocuments({
+      _id: { $nin: migratedPresetIds },
+      user: { $exists: true, $ne: null },
+    });
+
+    logger.debug('Preset migration check completed', { totalToMigrate });
+
+    return { totalToMigrate };
+  } catch (error) {
+    logger.error('Failed to check preset permissions migration', error);
+    return { totalToMigrate: 0 };
+  }
+}
+
+/**
+ * Log migration warning to console if presets need migration
+ */
+export function logPresetMigrationWarning(result: PresetMigrationCheckResult): void {
+  if (result.totalToMigrate === 0) {
+    return;
+  }
+
+  const border = '='.repeat(80);
+  const warning = [
+    '',
+    border,
+    '                   IMPORTANT: PRESET PERMISSIONS MIGRATION REQUIRED',
+    border,
+    '',
+    `  Total presets to migrate: ${result.totalToMigrate}`,
+    '',
+    '  Preset sharing requires granting owners permissions on existing presets.',
+    '  Until then, those presets cannot be shared. Please run:',
+    '',
+    '    npm run migrate:preset-permissions',
+    '',
+    '  For a dry run (preview) of what will be migrated:',
+    '',
+    '    npm run migrate:preset-permissions:dry-run',
+    '',
+    border,
+    '',
+  ];
+
+  console.log('\n' + warning.join('\n') + '\n');
+
+  logger.warn('Preset permissions migration required', {
+    totalToMigrate: result.totalToMigrate,
+  });
+}
@@ -0,0 +1,68 @@
+import {
+  PRESET_EXPORT_VERSION,
+  MAX_PRESET_IMPORT_COUNT,
+  PresetValidationError,
+  buildPresetExport,
+  parsePresetImport,
+} from './transfer';
+
+const stored = {
+  _id: 'abc',
+  user: 'user-1',
+  presetId: 'p1',
+  title: 'Reviewer',
+  endpoint: 'openAI',
+  model: 'gpt-4o',
+  temperature: 0.2,
+  defaultPreset: true,
+  order: 2,
+  versions: [{ title: 'Reviewer' }],
+  updatedAt: new Date(),
+};
+
+describe('buildPresetExport', () => {
+  it('keeps the configuration of each preset only', () => {
+    const bundle = buildPresetExport([stored]);
+
+    expect(bundle.version).toBe(PRESET_EXPORT_VERSION);
+    expect(bundle.presets).toEqual([
+      { title: 'Reviewer', endpoint: 'openAI', model: 'gpt-4o', temperature: 0.2 },
+    ]);
+  });
+});
+
+describe('parsePresetImport', () => {
+  it('reads the presets of an export', () => {
+    const presets = parsePresetImport(buildPresetExport([stored]));
+    expect(presets).toEqual([
+      { title: 'Reviewer', endpoint: 'openAI', model: 'gpt-4o', temperature: 0.2 },
+    ]);
+  });
+
+  it('drops identity and ownership fields', () => {
+    const [preset] = parsePresetImport({ presets: [stored] });
+    expect(preset).not.toHaveProperty('user');
+    expect(preset).not.toHaveProperty('presetId');
+    expect(preset).not.toHaveProperty('versions');
+  });
+
+  it.each([
+    [undefined, 'Provide a `presets` array.'],
+    [{ presets: [] }, 'No presets to import.'],
+    [{ version: 2, presets: [stored] }, 'Unsupported preset bundle version "2".'],
+    [{ presets: ['x'] }, 'Preset 0 must be an object.'],
+    [{ presets: [{ title: 'No endpoint' }] }, 'Preset 0 is missing an endpoint.'],
+    [{ presets: [{ endpoint: 'openAI', title: 3 }] }, 'Title of preset 0 must be a string.'],
+  ])('rejects %j', (body, message) => {
+    expect(() => parsePresetImport(body as Parameters<typeof parsePresetImport>[0])).toThrow(
+      new PresetValidationError(message),
+    );
+  });
+
+  it('rejects bundles above the import limit', () => {
+    const presets = Array.from({ length: MAX_PRESET_IMPORT_COUNT + 1 }, () => ({
+      endpoint: 'openAI',
+    }));
+    expect(() => parsePresetImport({ presets })).toThrow(PresetValidationError);
+  });
+});
@@ -0,0 +1,86 @@
+export const PRESET_EXPORT_VERSION = 1;
+export const MAX_PRESET_IMPORT_COUNT = 100;
+
+/** Fields that identify, order or track a preset rather than configure it */
+const NON_PORTABLE_FIELDS = [
+  '_id',
+  '__v',
+  'user',
+  'presetId',
+  'defaultPreset',
+  'order',
+  'versions',
+  'tenantId',
+  'createdAt',
+  'updatedAt',
+];
+
+export class PresetValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PresetValidationError';
+  }
+}
+
+export type PortablePreset = Record<string, unknown> & { title?: string; endpoint?: string };
+
+export interface PresetExport {
+  version: number;
+  exportedAt: string;
+  presets: PortablePreset[];
+}
+
+/** Configuration of a preset without its identity, owner and history */
+export function toPortablePreset(preset: Record<string, unknown>): PortablePreset {
+  const portable: PortablePreset = {};
+  for (const [key, value] of Object.entries(preset)) {
+    if (!NON_PORTABLE_FIELDS.includes(key) && value !== undefined && value !== null) {
+      portable[key] = value;
+    }
+  }
+  return portable;
+}
+
+/** Serializes presets into the JSON bundle format */
+export function buildPresetExport(presets: Record<string, unknown>[]): PresetExport {
+  return {
+    version: PRESET_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets: presets.map(toPortablePreset),
+  };
+}
+
+/**
+ * Reads the presets of an import request body, e.g. a JSON bundle export.
+ * @throws {PresetValidationError}
+ */
+export function parsePresetImport(body: { version?: unknown; presets?: unknown } | undefined) {
+  if (!Array.isArray(body?.presets)) {
+    throw new PresetValidationError('Provide a `presets` array.');
+  }
+  if (body.version != null && body.version !== PRESET_EXPORT_VERSION) {
+    throw new PresetValidationError(`Unsupported preset bundle version "${body.version}".`);
+  }
+  if (body.presets.length === 0) {
+    throw new PresetValidationError('No presets to import.');
+  }
+  if (body.presets.length > MAX_PRESET_IMPORT_COUNT) {
+    throw new PresetValidationError(
+      `A bundle may contain at most ${MAX_PRESET_IMPORT_COUNT} presets.`,
+    );
+  }
+
+  return body.presets.map((entry, index) => {
+    if (entry == null || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new PresetValidationError(`Preset ${index} must be an object.`);
+    }
+    const preset = toPortablePreset(entry as Record<string, unknown>);
+    if (typeof preset.endpoint !== 'string' || preset.endpoint.trim() === '') {
+      throw new PresetValidationError(`Preset ${index} is missing an endpoint.`);
+    }
+    if (preset.title != null && typeof preset.title !== 'string') {
+      throw new PresetValidationError(`Title of preset ${index} must be a string.`);
+    }
+    return preset;
+  });
+}
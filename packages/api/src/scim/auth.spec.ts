@@ -0,0 +1,75 @@
+import { getTenantId } from '@librechat/data-schemas';
+import type { Request, Response } from 'express';
+import { requireScimAuth } from './auth';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+function createReqRes(token = 'scim-secret') {
+  const req = { headers: { authorization: `Bearer ${token}` } } as unknown as Request;
+  const json = jest.fn();
+  const end = jest.fn();
+  const status = jest.fn().mockReturnValue({ json, end });
+  const res = { status } as unknown as Response;
+  return { req, res, status, json };
+}
+
+describe('requireScimAuth', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SCIM_BEARER_TOKEN = 'scim-secret';
+    delete process.env.SCIM_TENANT_ID;
+    delete process.env.TENANT_ISOLATION_STRICT;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('rejects invalid tokens', () => {
+    const { req, res, status } = createReqRes('wrong-secret');
+    const next = jest.fn();
+
+    requireScimAuth(req, res, next);
+
+    expect(status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('runs the handlers in the tenant bound to the token', () => {
+    process.env.SCIM_TENANT_ID = 'tenant-a';
+    const { req, res } = createReqRes();
+    let tenantId: string | undefined;
+
+    requireScimAuth(req, res, () => {
+      tenantId = getTenantId();
+    });
+
+    expect(tenantId).toBe('tenant-a');
+  });
+
+  it('requires a tenant when tenant isolation is strict', () => {
+    process.env.TENANT_ISOLATION_STRICT = 'true';
+    const { req, res, status } = createReqRes();
+    const next = jest.fn();
+
+    requireScimAuth(req, res, next);
+
+    expect(status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses the system tenant', () => {
+    process.env.SCIM_TENANT_ID = '__SYSTEM__';
+    const { req, res, status } = createReqRes();
+    const next = jest.fn();
+
+    requireScimAuth(req, res, next);
+
+    expect(status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+import { timingSafeEqual } from 'crypto';
+import { logger, SYSTEM_TENANT_ID } from '@librechat/data-schemas';
+import type { Request, Response, NextFunction } from 'express';
+import { buildTenantContext, runWithTenantContext } from '~/middleware/tenant';
+
+/** Whether SCIM provisioning is enabled, i.e. `SCIM_BEARER_TOKEN` is set */
+export function isScimEnabled(): boolean {
+  return !!process.env.SCIM_BEARER_TOKEN;
+}
+
+function sendScimError(res: Response, status: number, detail: string): void {
+  res.status(status).json({
+    schemas: ['urn:ietf:params:scim:api:messages:2.0:Error'],
+    status: String(status),
+    detail,
+  });
+}
+
+/**
+ * Authenticates SCIM requests with the static bearer token in `SCIM_BEARER_TOKEN`.
+ * Responds 404 while SCIM is not configured so the endpoint stays hidden.
+ *
+ * The token is bound to the tenant in `SCIM_TENANT_ID`: downstream handlers run in
+ * that tenant's context. With `TENANT_ISOLATION_STRICT=true` the tenant is required.
+ */
+export function requireScimAuth(req: Request, res: Response, next: NextFunction): void {
+  const secret = process.env.SCIM_BEARER_TOKEN;
+  if (!secret) {
+    res.status(404).end();
+    return;
+  }
+
+  const bearerToken = req.headers.authorization?.match(/^bearer\s+(.+)$/i);
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(bearerToken?.[1] ?? '');
+  if (expected.byteLength !== actual.byteLength || !timingSafeEqual(expected, actual)) {
+    sendScimError(res, 401, 'Invalid or missing bearer token');
+    return;
+  }
+
+  const tenantId = process.env.SCIM_TENANT_ID?.trim() || undefined;
+  if (tenantId === SYSTEM_TENANT_ID) {
+    logger.error('[requireScimAuth] SCIM_TENANT_ID must not be the system tenant');
+    sendScimError(res, 403, 'SCIM provisioning is not bound to a valid tenant');
+    return;
+  }
+  if (!tenantId && process.env.TENANT_ISOLATION_STRICT === 'true') {
+    logger.error('[requireScimAuth] SCIM_TENANT_ID is required when TENANT_ISOLATION_STRICT=true');
+    sendScimError(res, 403, 'SCIM provisioning is not bound to a tenant');
+    return;
+  }
+
+  runWithTenantContext(buildTenantContext(req, tenantId), next);
+}
@@ -0,0 +1,83 @@
+import { Types } from 'mongoose';
+import type { ScimAttribute } from './filter';
+import { parseScimFilter, ScimFilterError } from './filter';
+
+const attributes: Record<string, ScimAttribute> = {
+  id: { type: 'objectId', field: '_id' },
+  username: { type: 'string', field: 'username' },
+  'emails.value': { type: 'string', field: 'email' },
+  'meta.created': { type: 'date', field: 'createdAt' },
+  active: {
+    type: 'custom',
+    toQuery: (_op, value) => (value ? { deactivatedAt: null } : { deactivatedAt: { $ne: null } }),
+  },
+};
+
+describe('parseScimFilter', () => {
+  it('converts string comparisons into case-insensitive regular expressions', () => {
+    expect(parseScimFilter('userName eq "Jane.Doe+1@example.com"', attributes)).toEqual({
+      username: /^Jane\.Doe\+1@example\.com$/i,
+    });
+    expect(parseScimFilter('userName sw "ja"', attributes)).toEqual({ username: /^ja/i });
+    expect(parseScimFilter('userName ne "jane"', attributes)).toEqual({
+      username: { $not: /^jane$/i },
+    });
+  });
+
+  it('resolves schema prefixes, value filters and attribute casing', () => {
+    const expected = { email: /^jane@example\.com$/i };
+
+    expect(
+      parseScimFilter('emails[type eq "work"].value eq "jane@example.com"', attributes),
+    ).toEqual(expected);
+    expect(
+      parseScimFilter(
+        'urn:ietf:params:scim:schemas:core:2.0:User:Emails.Value eq "jane@example.com"',
+        attributes,
+      ),
+    ).toEqual(expected);
+  });
+
+  it('combines expressions with and, or, not and parentheses', () => {
+    const query = parseScimFilter(
+      'userName eq "a" or (userName eq "b" and not (active eq false))',
+      attributes,
+    );
+
+    expect(query).toEqual({
+      $or: [
+        { username: /^a$/i },
+        {
+          $and: [{ username: /^b$/i }, { $nor: [{ deactivatedAt: { $ne: null } }] }],
+        },
+      ],
+    });
+  });
+
+  it('handles ids, dates and presence', () => {
+    const id = new Types.ObjectId();
+
+    expect(parseScimFilter(`id eq "${id.toString()}"`, attributes)).toEqual({
+      _id: { $in: [id] },
+    });
+    expect(parseScimFilter('id eq "not-an-id"', attributes)).toEqual({ _id: { $in: [] } });
+    expect(parseScimFilter('meta.created gt "2025-01-01T00:00:00Z"', attributes)).toEqual({
+      createdAt: { $gt: new Date('2025-01-01T00:00:00Z') },
+    });
+    expect(parseScimFilter('userName pr', attributes)).toEqual({
+      username: { $nin: [null, ''] },
+    });
+  });
+
+  it.each([
+    ['displayName eq "x"', 'Filtering on displayName is not supported'],
+    ['userName eq', 'Expected a comparison value'],
+    ['userName is "x"', 'Expected an operator after userName'],
+    ['userName eq jane', 'Invalid comparison value jane'],
+    ['userName gt "x"', 'gt is not supported for string attributes'],
+    ['(userName eq "x"', 'Missing closing parenthesis'],
+    ['userName eq "x" userName', 'Unexpected token userName'],
+  ])('rejects %s', (filter, message) => {
+    expect(() => parseScimFilter(filter, attributes)).toThrow(new ScimFilterError(message));
+  });
+});
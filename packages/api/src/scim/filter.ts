@@ -0,0 +1,232 @@
+import { Types } from 'mongoose';
+import { escapeRegExp } from '@librechat/data-schemas';
+import type { FilterQuery } from 'mongoose';
+
+export type ScimOperator = 'eq' | 'ne' | 'co' | 'sw' | 'ew' | 'gt' | 'ge' | 'lt' | 'le' | 'pr';
+export type ScimValue = string | number | boolean | null;
+
+/**
+ * How a SCIM attribute maps onto a document field. `custom` attributes build
+ * their own query, e.g. `active` which is stored as a deactivation date.
+ */
+export type ScimAttribute =
+  | { type: 'string' | 'objectId' | 'date'; field: string }
+  | { type: 'custom'; toQuery: (op: ScimOperator, value: ScimValue) => FilterQuery<unknown> };
+
+/** Thrown for filters that cannot be parsed or reference unsupported attributes */
+export class ScimFilterError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ScimFilterError';
+  }
+}
+
+const OPERATORS = new Set<string>(['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le', 'pr']);
+const TOKEN_PATTERN = /\s*(\(|\)|"(?:[^"\\]|\\.)*"|[^\s()[]+(?:\[[^\]]*\][^\s()]*)?)/y;
+
+type Token = { value: string; quoted: boolean };
+
+function tokenize(filter: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+  while (filter.slice(position).trim()) {
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(filter);
+    if (!match) {
+      throw new ScimFilterError(`Unexpected input at position ${position}`);
+    }
+    const [, raw] = match;
+    tokens.push({ value: raw, quoted: raw.startsWith('"') });
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+function parseValue(token: Token | undefined): ScimValue {
+  if (!token) {
+    throw new ScimFilterError('Expected a comparison value');
+  }
+  if (token.quoted) {
+    try {
+      return JSON.parse(token.value) as string;
+    } catch {
+      throw new ScimFilterError(`Invalid string value ${token.value}`);
+    }
+  }
+  const keyword = token.value.toLowerCase();
+  if (keyword === 'true' || keyword === 'false') {
+    return keyword === 'true';
+  }
+  if (keyword === 'null') {
+    return null;
+  }
+  const number = Number(token.value);
+  if (token.value !== '' && Number.isFinite(number)) {
+    return number;
+  }
+  throw new ScimFilterError(`Invalid comparison value ${token.value}`);
+}
+
+/**
+ * Normalizes an attribute path for lookup: drops the schema URN prefix and
+ * value filters such as `emails[type eq "work"].value`, and lowercases it.
+ */
+function normalizePath(path: string): string {
+  let normalized = path;
+  if (normalized.toLowerCase().startsWith('urn:')) {
+    normalized = normalized.slice(normalized.lastIndexOf(':') + 1);
+  }
+  return normalized.replace(/\[[^\]]*\]/g, '').toLowerCase();
+}
+
+function stringQuery(field: string, op: ScimOperator, value: ScimValue): FilterQuery<unknown> {
+  if (op === 'pr') {
+    return { [field]: { $nin: [null, ''] } };
+  }
+  if (typeof value !== 'string') {
+    throw new ScimFilterError(`${op} requires a string value`);
+  }
+  const escaped = escapeRegExp(value);
+  const patterns: Partial<Record<ScimOperator, string>> = {
+    eq: `^${escaped}$`,
+    ne: `^${escaped}$`,
+    co: escaped,
+    sw: `^${escaped}`,
+    ew: `${escaped}$`,
+  };
+  const pattern = patterns[op];
+  if (pattern === undefined) {
+    throw new ScimFilterError(`${op} is not supported for string attributes`);
+  }
+  const regex = new RegExp(pattern, 'i');
+  return { [field]: op === 'ne' ? { $not: regex } : regex };
+}
+
+function objectIdQuery(field: string, op: ScimOperator, value: ScimValue): FilterQuery<unknown> {
+  if (op === 'pr') {
+    return {};
+  }
+  if ((op !== 'eq' && op !== 'ne') || typeof value !== 'string') {
+    throw new ScimFilterError('id only supports eq and ne with a string value');
+  }
+  const ids = Types.ObjectId.isValid(value) ? [new Types.ObjectId(value)] : [];
+  return { [field]: op === 'eq' ? { $in: ids } : { $nin: ids } };
+}
+
+function dateQuery(field: string, op: ScimOperator, value: ScimValue): FilterQuery<unknown> {
+  if (op === 'pr') {
+    return { [field]: { $ne: null } };
+  }
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ScimFilterError(`${op} requires a date value`);
+  }
+  const operators: Partial<Record<ScimOperator, string>> = {
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    ge: '$gte',
+    lt: '$lt',
+    le: '$lte',
+  };
+  const operator = operators[op];
+  if (!operator) {
+    throw new ScimFilterError(`${op} is not supported for date attributes`);
+  }
+  return { [field]: { [operator]: date } };
+}
+
+function comparisonQuery(
+  attributes: Record<string, ScimAttribute>,
+  path: string,
+  op: ScimOperator,
+  value: ScimValue,
+): FilterQuery<unknown> {
+  const attribute = attributes[normalizePath(path)];
+  if (!attribute) {
+    throw new ScimFilterError(`Filtering on ${path} is not supported`);
+  }
+  switch (attribute.type) {
+    case 'custom':
+      return attribute.toQuery(op, value);
+    case 'objectId':
+      return objectIdQuery(attribute.field, op, value);
+    case 'date':
+      return dateQuery(attribute.field, op, value);
+    default:
+      return stringQuery(attribute.field, op, value);
+  }
+}
+
+/**
+ * Converts a SCIM filter (RFC 7644 §3.4.2.2) into a MongoDB query.
+ * Supports comparisons, `pr`, `and`, `or`, `not` and grouping; `and` binds tighter than `or`.
+ * @param filter - The filter expression, e.g. `userName eq "jane@example.com"`
+ * @param attributes - Supported attributes keyed by lowercase attribute path
+ * @throws {ScimFilterError} for invalid filters or unsupported attributes
+ */
+export function parseScimFilter(
+  filter: string,
+  attributes: Record<string, ScimAttribute>,
+): FilterQuery<unknown> {
+  const tokens = tokenize(filter);
+  let position = 0;
+
+  const peek = () => tokens[position]?.value.toLowerCase();
+  const next = () => tokens[position++];
+
+  function parseTerm(): FilterQuery<unknown> {
+    const token = next();
+    if (!token) {
+      throw new ScimFilterError('Unexpected end of filter');
+    }
+    const keyword = token.value.toLowerCase();
+    if (keyword === 'not') {
+      if (peek() !== '(') {
+        throw new ScimFilterError('not must be followed by a parenthesized expression');
+      }
+      return { $nor: [parseTerm()] };
+    }
+    if (token.value === '(') {
+      const expression = parseOr();
+      if (next()?.value !== ')') {
+        throw new ScimFilterError('Missing closing parenthesis');
+      }
+      return expression;
+    }
+    if (token.quoted) {
+      throw new ScimFilterError(`Expected an attribute name, got ${token.value}`);
+    }
+
+    const op = next()?.value.toLowerCase();
+    if (!op || !OPERATORS.has(op)) {
+      throw new ScimFilterError(`Expected an operator after ${token.value}`);
+    }
+    const value = op === 'pr' ? null : parseValue(next());
+    return comparisonQuery(attributes, token.value, op as ScimOperator, value);
+  }
+
+  function parseAnd(): FilterQuery<unknown> {
+    const terms = [parseTerm()];
+    while (peek() === 'and') {
+      position++;
+      terms.push(parseTerm());
+    }
+    return terms.length === 1 ? terms[0] : { $and: terms };
+  }
+
+  function parseOr(): FilterQuery<unknown> {
+    const terms = [parseAnd()];
+    while (peek() === 'or') {
+      position++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { $or: terms };
+  }
+
+  const query = parseOr();
+  if (position < tokens.length) {
+    throw new ScimFilterError(`Unexpected token ${tokens[position].value}`);
+  }
+  return query;
+}
@@ -0,0 +1,428 @@
+import { Types } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import type { IGroup, IUser } from '@librechat/data-schemas';
+import type { Request, Response } from 'express';
+import type { ScimDeps } from './handlers';
+import { createScimHandlers, SCIM_USER_SCHEMA } from './handlers';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const baseUrl = 'https://chat.example.com/scim/v2';
+const userId = new Types.ObjectId();
+const memberId = new Types.ObjectId();
+const groupId = new Types.ObjectId();
+
+function mockUser(overrides: Partial<IUser> = {}): IUser {
+  return {
+    _id: userId,
+    name: 'Jane Doe',
+    username: 'jane@example.com',
+    email: 'jane@example.com',
+    provider: 'openid',
+    scimExternalId: 'ext-jane',
+    createdAt: new Date('2025-01-01'),
+    updatedAt: new Date('2025-06-01'),
+    ...overrides,
+  } as IUser;
+}
+
+function mockGroup(overrides: Partial<IGroup> = {}): IGroup {
+  return {
+    _id: groupId,
+    name: 'Engineering',
+    source: 'local',
+    idOnTheSource: 'ext-eng',
+    memberIds: [userId.toString()],
+    ...overrides,
+  } as IGroup;
+}
+
+function createReqRes(
+  overrides: {
+    params?: Record<string, string>;
+    query?: Record<string, string>;
+    body?: unknown;
+  } = {},
+) {
+  const req = {
+    params: overrides.params ?? {},
+    query: overrides.query ?? {},
+    body: overrides.body ?? {},
+  } as unknown as Request;
+
+  const json = jest.fn();
+  const end = jest.fn();
+  const status = jest.fn().mockReturnValue({ json, end });
+  const res = { status, json } as unknown as Response;
+
+  return { req, res, status, json, end };
+}
+
+function createDeps(overrides: Partial<ScimDeps> = {}): ScimDeps {
+  return {
+    findUsers: jest.fn().mockResolvedValue([]),
+    countUsers: jest.fn().mockResolvedValue(0),
+    createUser: jest.fn().mockImplementation(async (data) => mockUser(data)),
+    updateUser: jest.fn().mockImplementation(async (_id, data) => mockUser(data)),
+    deleteUserById: jest.fn().mockResolvedValue({ deletedCount: 1, message: 'deleted' }),
+    deleteUserData: jest.fn().mockResolvedValue(undefined),
+    deleteAllUserSessions: jest.fn().mockResolvedValue(undefined),
+    deleteAllAgentApiKeys: jest.fn().mockResolvedValue(0),
+    findGroups: jest.fn().mockResolvedValue([mockGroup()]),
+    countGroupsByQuery: jest.fn().mockResolvedValue(0),
+    createGroup: jest.fn().mockImplementation(async (data) => mockGroup(data)),
+    updateGroupById: jest.fn().mockImplementation(async (_id, data) => mockGroup(data)),
+    deleteGroup: jest.fn().mockResolvedValue(mockGroup()),
+    deleteConfig: jest.fn().mockResolvedValue(null),
+    deleteAclEntries: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+    deleteBudget: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+}
+
+function createHandlers(deps: ScimDeps) {
+  return createScimHandlers(deps, { baseUrl, provider: 'openid' });
+}
+
+describe('createScimHandlers', () => {
+  describe('users', () => {
+    it('lists users matching a filter with SCIM pagination', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser()]),
+        countUsers: jest.fn().mockResolvedValue(3),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        query: { filter: 'userName eq "Jane@Example.com"', startIndex: '2', count: '1' },
+      });
+
+      await handlers.listUsers(req, res);
+
+      const filter = { $or: [{ username: 'jane@example.com' }, { email: 'jane@example.com' }] };
+      expect(deps.findUsers).toHaveBeenCalledWith(filter, expect.any(String), {
+        limit: 1,
+        offset: 1,
+        sort: { createdAt: 1, _id: 1 },
+      });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith(
+        expect.objectContaining({ totalResults: 3, startIndex: 2, itemsPerPage: 1 }),
+      );
+      expect(json.mock.calls[0][0].Resources[0]).toEqual({
+        schemas: [SCIM_USER_SCHEMA],
+        id: userId.toString(),
+        externalId: 'ext-jane',
+        userName: 'jane@example.com',
+        name: { formatted: 'Jane Doe' },
+        displayName: 'Jane Doe',
+        emails: [{ value: 'jane@example.com', type: 'work', primary: true }],
+        active: true,
+        meta: expect.objectContaining({
+          resourceType: 'User',
+          location: `${baseUrl}/Users/${userId.toString()}`,
+        }),
+      });
+    });
+
+    it('reports invalid filters', async () => {
+      const deps = createDeps();
+      const handlers = createHandlers(deps);
+      const { req, res, status, json } = createReqRes({ query: { filter: 'nickName eq "x"' } });
+
+      await handlers.listUsers(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith(expect.objectContaining({ scimType: 'invalidFilter' }));
+      expect(deps.findUsers).not.toHaveBeenCalled();
+    });
+
+    it('provisions a user from the primary email', async () => {
+      const deps = createDeps();
+      const handlers = createHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: {
+          schemas: [SCIM_USER_SCHEMA],
+          userName: 'JDoe@corp.example.com',
+          externalId: 'ext-1',
+          name: { givenName: 'Jane', familyName: 'Doe' },
+          emails: [
+            { value: 'other@example.com', primary: false },
+            { value: 'Jane@Example.com', primary: true },
+          ],
+          active: true,
+        },
+      });
+
+      await handlers.createUser(req, res);
+
+      expect(deps.createUser).toHaveBeenCalledWith({
+        provider: 'openid',
+        email: 'jane@example.com',
+        username: 'jdoe@corp.example.com',
+        emailVerified: true,
+        name: 'Jane Doe',
+        scimExternalId: 'ext-1',
+      });
+      expect(status).toHaveBeenCalledWith(201);
+    });
+
+    it('returns 409 for existing users and 400 without an email', async () => {
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([mockUser()]) });
+      const handlers = createHandlers(deps);
+      const existing = createReqRes({ body: { userName: 'jane@example.com' } });
+      const noEmail = createReqRes({ body: { userName: 'jane' } });
+
+      await handlers.createUser(existing.req, existing.res);
+      await handlers.createUser(noEmail.req, noEmail.res);
+
+      expect(existing.status).toHaveBeenCalledWith(409);
+      expect(existing.json).toHaveBeenCalledWith(
+        expect.objectContaining({ scimType: 'uniqueness' }),
+      );
+      expect(noEmail.status).toHaveBeenCalledWith(400);
+      expect(deps.createUser).not.toHaveBeenCalled();
+    });
+
+    it('deactivates a user through PATCH and ends their sessions', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValueOnce([mockUser()]).mockResolvedValue([]),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { id: userId.toString() },
+        body: {
+          schemas: ['urn:ietf:params:scim:api:messages:2.0:PatchOp'],
+          Operations: [{ op: 'Replace', path: 'active', value: 'False' }],
+        },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(
+        userId.toString(),
+        expect.objectContaining({ deactivatedAt: expect.any(Date) }),
+      );
+      expect(deps.deleteAllUserSessions).toHaveBeenCalledWith({ userId: userId.toString() });
+      expect(deps.deleteAllAgentApiKeys).toHaveBeenCalledWith(userId.toString());
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith(expect.objectContaining({ active: false }));
+    });
+
+    it('applies PATCH operations without a path and reactivates users', async () => {
+      const deps = createDeps({
+        findUsers: jest
+          .fn()
+          .mockResolvedValueOnce([mockUser({ deactivatedAt: new Date() })])
+          .mockResolvedValue([]),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { id: userId.toString() },
+        body: {
+          Operations: [
+            { op: 'replace', value: { active: true, displayName: 'Jane Smith' } },
+            {
+              op: 'replace',
+              path: 'emails[type eq "work"].value',
+              value: 'jane.smith@example.com',
+            },
+          ],
+        },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(userId.toString(), {
+        email: 'jane.smith@example.com',
+        username: 'jane@example.com',
+        name: 'Jane Smith',
+        scimExternalId: 'ext-jane',
+        deactivatedAt: null,
+      });
+      expect(deps.deleteAllUserSessions).not.toHaveBeenCalled();
+      expect(deps.deleteAllAgentApiKeys).not.toHaveBeenCalled();
+    });
+
+    it('rejects removing required attributes', async () => {
+      const deps = createDeps({ findUsers: jest.fn().mockResolvedValue([mockUser()]) });
+      const handlers = createHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { id: userId.toString() },
+        body: { Operations: [{ op: 'remove', path: 'userName' }] },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith(expect.objectContaining({ scimType: 'mutability' }));
+      expect(deps.updateUser).not.toHaveBeenCalled();
+    });
+
+    it('deletes a user and its data', async () => {
+      const deps = createDeps();
+      const handlers = createHandlers(deps);
+      const { req, res, status, end } = createReqRes({ params: { id: userId.toString() } });
+
+      await handlers.deleteUser(req, res);
+
+      expect(deps.deleteUserById).toHaveBeenCalledWith(userId.toString());
+      expect(deps.deleteConfig).toHaveBeenCalledWith(PrincipalType.USER, userId.toString());
+      expect(deps.deleteUserData).toHaveBeenCalledWith(userId.toString(), req);
+      expect(status).toHaveBeenCalledWith(204);
+      expect(end).toHaveBeenCalled();
+    });
+
+    it('returns 404 for unknown users', async () => {
+      const deps = createDeps({
+        deleteUserById: jest.fn().mockResolvedValue({ deletedCount: 0, message: '' }),
+      });
+      const handlers = createHandlers(deps);
+      const missing = createReqRes({ params: { id: userId.toString() } });
+      const invalid = createReqRes({ params: { id: 'not-an-id' } });
+
+      await handlers.deleteUser(missing.req, missing.res);
+      await handlers.getUser(invalid.req, invalid.res);
+
+      expect(missing.status).toHaveBeenCalledWith(404);
+      expect(invalid.status).toHaveBeenCalledWith(404);
+      expect(deps.deleteUserData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('groups', () => {
+    it('creates a group with members stored by their source id', async () => {
+      const deps = createDeps({
+        findUsers: jest
+          .fn()
+          .mockResolvedValue([{ _id: memberId, idOnTheSource: 'oid-member' } as IUser]),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: {
+          displayName: 'Engineering',
+          externalId: 'ext-eng',
+          members: [{ value: memberId.toString() }],
+        },
+      });
+
+      await handlers.createGroup(req, res);
+
+      expect(deps.createGroup).toHaveBeenCalledWith({
+        name: 'Engineering',
+        source: 'local',
+        idOnTheSource: 'ext-eng',
+        memberIds: ['oid-member'],
+      });
+      expect(status).toHaveBeenCalledWith(201);
+    });
+
+    it('returns members as user ids', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([mockUser()]),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res, json } = createReqRes({ params: { id: groupId.toString() } });
+
+      await handlers.getGroup(req, res);
+
+      expect(json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          displayName: 'Engineering',
+          externalId: 'ext-eng',
+          members: [
+            {
+              value: userId.toString(),
+              display: 'Jane Doe',
+              $ref: `${baseUrl}/Users/${userId.toString()}`,
+            },
+          ],
+        }),
+      );
+    });
+
+    it('omits members when excluded', async () => {
+      const deps = createDeps({ findGroups: jest.fn().mockResolvedValue([mockGroup()]) });
+      const handlers = createHandlers(deps);
+      const { req, res, json } = createReqRes({
+        query: { filter: 'displayName eq "Engineering"', excludedAttributes: 'members' },
+      });
+
+      await handlers.listGroups(req, res);
+
+      expect(deps.findGroups).toHaveBeenCalledWith(
+        { name: /^Engineering$/i, source: 'local' },
+        {
+          limit: 100,
+          offset: 0,
+        },
+      );
+      expect(json.mock.calls[0][0].Resources[0]).not.toHaveProperty('members');
+      expect(deps.findUsers).not.toHaveBeenCalled();
+    });
+
+    it('adds and removes members through PATCH', async () => {
+      const deps = createDeps({
+        findUsers: jest
+          .fn()
+          .mockResolvedValueOnce([{ _id: memberId } as IUser])
+          .mockResolvedValueOnce([{ _id: userId } as IUser])
+          .mockResolvedValue([]),
+      });
+      const handlers = createHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: groupId.toString() },
+        body: {
+          Operations: [
+            { op: 'add', path: 'members', value: [{ value: memberId.toString() }] },
+            { op: 'remove', path: `members[value eq "${userId.toString()}"]` },
+          ],
+        },
+      });
+
+      await handlers.patchGroup(req, res);
+
+      expect(deps.updateGroupById).toHaveBeenCalledWith(groupId.toString(), {
+        name: 'Engineering',
+        memberIds: [memberId.toString()],
+        idOnTheSource: 'ext-eng',
+      });
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('deletes a group and its grants', async () => {
+      const deps = createDeps();
+      const handlers = createHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: groupId.toString() } });
+
+      await handlers.deleteGroup(req, res);
+
+      expect(deps.deleteAclEntries).toHaveBeenCalledWith({
+        principalType: PrincipalType.GROUP,
+        principalId: groupId,
+      });
+      expect(deps.deleteBudget).toHaveBeenCalledWith(PrincipalType.GROUP, groupId.toString());
+      expect(status).toHaveBeenCalledWith(204);
+    });
+
+    it('does not expose or delete groups synced from other sources', async () => {
+      const deps = createDeps({ findGroups: jest.fn().mockResolvedValue([]) });
+      const handlers = createHandlers(deps);
+      const get = createReqRes({ params: { id: groupId.toString() } });
+      const del = createReqRes({ params: { id: groupId.toString() } });
+
+      await handlers.getGroup(get.req, get.res);
+      await handlers.deleteGroup(del.req, del.res);
+
+      expect(deps.findGroups).toHaveBeenCalledWith(
+        { _id: groupId.toString(), source: 'local' },
+        { limit: 1 },
+      );
+      expect(get.status).toHaveBeenCalledWith(404);
+      expect(del.status).toHaveBeenCalledWith(404);
+      expect(deps.deleteGroup).not.toHaveBeenCalled();
+    });
+  });
+});
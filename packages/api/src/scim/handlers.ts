@@ -0,0 +1,958 @@
+import { Types } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type { IUser, IGroup, IConfig, UserDeleteResult } from '@librechat/data-schemas';
+import type { FilterQuery, DeleteResult } from 'mongoose';
+import type { Request, Response } from 'express';
+import type { ScimAttribute } from './filter';
+import { parseScimFilter, ScimFilterError } from './filter';
+
+export const SCIM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+export const SCIM_GROUP_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:Group';
+const LIST_RESPONSE_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const PATCH_OP_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+
+const DEFAULT_COUNT = 100;
+const MAX_COUNT = 200;
+const MAX_OPERATIONS = 100;
+const USER_FIELDS =
+  '_id name username email provider scimExternalId deactivatedAt createdAt updatedAt';
+
+const USER_ATTRIBUTES: Record<string, ScimAttribute> = {
+  id: { type: 'objectId', field: '_id' },
+  externalid: { type: 'string', field: 'scimExternalId' },
+  displayname: { type: 'string', field: 'name' },
+  'name.formatted': { type: 'string', field: 'name' },
+  emails: { type: 'string', field: 'email' },
+  'emails.value': { type: 'string', field: 'email' },
+  'meta.created': { type: 'date', field: 'createdAt' },
+  'meta.lastmodified': { type: 'date', field: 'updatedAt' },
+  /** Identity providers send the UPN, which may only match the email once the user signed in */
+  username: {
+    type: 'custom',
+    toQuery: (op, value) => {
+      if (op !== 'eq' || typeof value !== 'string') {
+        throw new ScimFilterError('userName only supports eq with a string value');
+      }
+      const normalized = value.trim().toLowerCase();
+      return { $or: [{ username: normalized }, { email: normalized }] };
+    },
+  },
+  active: {
+    type: 'custom',
+    toQuery: (op, value) => {
+      if (op === 'pr') {
+        return {};
+      }
+      if ((op !== 'eq' && op !== 'ne') || typeof value !== 'boolean') {
+        throw new ScimFilterError('active only supports eq and ne with a boolean value');
+      }
+      const active = op === 'eq' ? value : !value;
+      return active ? { deactivatedAt: null } : { deactivatedAt: { $ne: null } };
+    },
+  },
+};
+
+/** Attributes a PATCH cannot remove; `externalId` is kept once assigned */
+const NON_REMOVABLE_USER_ATTRIBUTES = [
+  'username',
+  'emails',
+  'emails.value',
+  'active',
+  'externalid',
+];
+
+const GROUP_ATTRIBUTES: Record<string, ScimAttribute> = {
+  id: { type: 'objectId', field: '_id' },
+  externalid: { type: 'string', field: 'idOnTheSource' },
+  displayname: { type: 'string', field: 'name' },
+  'meta.created': { type: 'date', field: 'createdAt' },
+  'meta.lastmodified': { type: 'date', field: 'updatedAt' },
+};
+
+/** A client error reported in the SCIM error format (RFC 7644 §3.12) */
+class ScimRequestError extends Error {
+  constructor(
+    public readonly status: number,
+    message: string,
+    public readonly scimType?: string,
+  ) {
+    super(message);
+    this.name = 'ScimRequestError';
+  }
+}
+
+interface ScimUserState {
+  userName?: string;
+  email?: string;
+  displayName?: string;
+  externalId?: string;
+  active: boolean;
+}
+
+interface ScimGroupState {
+  displayName?: string;
+  externalId?: string;
+  /** Raw `Group.memberIds` values: `idOnTheSource` of the user, or its ObjectId string */
+  memberKeys: string[];
+}
+
+interface PatchOperation {
+  op: 'add' | 'replace' | 'remove';
+  path?: string;
+  value?: unknown;
+}
+
+export interface ScimDeps {
+  findUsers: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+    options?: { limit?: number; offset?: number; sort?: Record<string, 1 | -1> },
+  ) => Promise<IUser[]>;
+  countUsers: (filter?: FilterQuery<IUser>) => Promise<number>;
+  /** Creates the user and its starting balance, returning the created user. */
+  createUser: (data: Partial<IUser> & { email: string }) => Promise<IUser>;
+  updateUser: (userId: string, data: Partial<IUser>) => Promise<IUser | null>;
+  deleteUserById: (userId: string) => Promise<UserDeleteResult>;
+  /** Deletes everything the user owns: conversations, files, agents, memberships, etc. */
+  deleteUserData: (userId: string, req: Request) => Promise<void>;
+  deleteAllUserSessions: (filter: { userId: string }) => Promise<unknown>;
+  /** Revokes the user's agent API keys */
+  deleteAllAgentApiKeys: (userId: string) => Promise<unknown>;
+  findGroups: (
+    filter: FilterQuery<IGroup>,
+    options?: { limit?: number; offset?: number },
+  ) => Promise<IGroup[]>;
+  countGroupsByQuery: (filter: FilterQuery<IGroup>) => Promise<number>;
+  createGroup: (groupData: Partial<IGroup>) => Promise<IGroup>;
+  updateGroupById: (
+    groupId: string | Types.ObjectId,
+    data: Record<string, unknown>,
+  ) => Promise<IGroup | null>;
+  deleteGroup: (groupId: string | Types.ObjectId) => Promise<IGroup | null>;
+  deleteConfig: (
+    principalType: PrincipalType,
+    principalId: string | Types.ObjectId,
+  ) => Promise<IConfig | null>;
+  deleteAclEntries: (filter: {
+    principalType: PrincipalType;
+    principalId: string | Types.ObjectId;
+  }) => Promise<DeleteResult>;
+  deleteBudget: (principalType: PrincipalType.GROUP, principalId: string) => Promise<boolean>;
+}
+
+export interface ScimOptions {
+  /** Public URL of the SCIM root used in resource locations, e.g. `https://host/scim/v2` */
+  baseUrl: string;
+  /** Login provider of provisioned users, so they can sign in through the identity provider */
+  provider: string;
+}
+
+function sendError(res: Response, status: number, detail: string, scimType?: string) {
+  return res.status(status).json({
+    schemas: [ERROR_SCHEMA],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail,
+  });
+}
+
+function handleError(res: Response, error: unknown, action: string) {
+  if (error instanceof ScimRequestError) {
+    return sendError(res, error.status, error.message, error.scimType);
+  }
+  if (error instanceof ScimFilterError) {
+    return sendError(res, 400, error.message, 'invalidFilter');
+  }
+  logger.error(`[scim] ${action} error:`, error);
+  return sendError(res, 500, `Failed to ${action}`);
+}
+
+function parseListParams(query: Record<string, unknown>): { startIndex: number; count: number } {
+  const startIndex = Math.max(1, parseInt(String(query.startIndex ?? ''), 10) || 1);
+  const rawCount = parseInt(String(query.count ?? ''), 10);
+  const count = Number.isNaN(rawCount) ? DEFAULT_COUNT : Math.min(Math.max(rawCount, 0), MAX_COUNT);
+  return { startIndex, count };
+}
+
+function excludesMembers(query: Record<string, unknown>): boolean {
+  const excluded = typeof query.excludedAttributes === 'string' ? query.excludedAttributes : '';
+  return excluded.split(',').some((attribute) => attribute.trim().toLowerCase() === 'members');
+}
+
+function toBoolean(value: unknown, path: string): boolean {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  /** Some identity providers send booleans as strings in PATCH requests */
+  if (value === 'true' || value === 'True' || value === 'false' || value === 'False') {
+    return value.toLowerCase() === 'true';
+  }
+  throw new ScimRequestError(400, `${path} must be a boolean`, 'invalidValue');
+}
+
+function optionalString(value: unknown, path: string): string | undefined {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new ScimRequestError(400, `${path} must be a string`, 'invalidValue');
+  }
+  return value.trim() || undefined;
+}
+
+function primaryEmail(value: unknown): string | undefined {
+  if (!Array.isArray(value)) {
+    throw new ScimRequestError(400, 'emails must be an array', 'invalidValue');
+  }
+  const emails = value as Array<{ value?: unknown; primary?: unknown }>;
+  const email = emails.find((entry) => entry?.primary === true) ?? emails[0];
+  return optionalString(email?.value, 'emails.value');
+}
+
+function nameFromObject(value: unknown): string | undefined {
+  if (value == null || typeof value !== 'object') {
+    throw new ScimRequestError(400, 'name must be an object', 'invalidValue');
+  }
+  const name = value as { formatted?: unknown; givenName?: unknown; familyName?: unknown };
+  const formatted = optionalString(name.formatted, 'name.formatted');
+  if (formatted) {
+    return formatted;
+  }
+  const parts = [
+    optionalString(name.givenName, 'name.givenName'),
+    optionalString(name.familyName, 'name.familyName'),
+  ];
+  return parts.filter(Boolean).join(' ') || undefined;
+}
+
+/** Lowercases an attribute path and drops the schema URN prefix and value filters */
+function normalizePatchPath(path: string): string {
+  let normalized = path.trim();
+  if (normalized.toLowerCase().startsWith('urn:')) {
+    normalized = normalized.slice(normalized.lastIndexOf(':') + 1);
+  }
+  return normalized.replace(/\[[^\]]*\]/g, '').toLowerCase();
+}
+
+function parseOperations(body: unknown): PatchOperation[] {
+  const raw = (body ?? {}) as { schemas?: unknown; Operations?: unknown };
+  if (Array.isArray(raw.schemas) && !raw.schemas.includes(PATCH_OP_SCHEMA)) {
+    throw new ScimRequestError(400, `schemas must include ${PATCH_OP_SCHEMA}`, 'invalidSyntax');
+  }
+  if (!Array.isArray(raw.Operations) || raw.Operations.length === 0) {
+    throw new ScimRequestError(400, 'Operations must be a non-empty array', 'invalidSyntax');
+  }
+  if (raw.Operations.length > MAX_OPERATIONS) {
+    throw new ScimRequestError(400, `At most ${MAX_OPERATIONS} operations are allowed`, 'tooMany');
+  }
+  return raw.Operations.map((operation: { op?: unknown; path?: unknown; value?: unknown }) => {
+    const op = typeof operation?.op === 'string' ? operation.op.toLowerCase() : '';
+    if (op !== 'add' && op !== 'replace' && op !== 'remove') {
+      throw new ScimRequestError(
+        400,
+        `Unsupported operation ${String(operation?.op)}`,
+        'invalidSyntax',
+      );
+    }
+    if (operation.path !== undefined && typeof operation.path !== 'string') {
+      throw new ScimRequestError(400, 'path must be a string', 'invalidPath');
+    }
+    if (op === 'remove' && !operation.path) {
+      throw new ScimRequestError(400, 'remove requires a path', 'noTarget');
+    }
+    return { op, path: operation.path as string | undefined, value: operation.value };
+  });
+}
+
+/** Sets a user attribute from a resource body or a PATCH operation. Unknown attributes are ignored. */
+function applyUserAttribute(state: ScimUserState, path: string, value: unknown, remove = false) {
+  const attribute = normalizePatchPath(path);
+  if (remove) {
+    if (attribute === 'displayname' || attribute === 'name' || attribute === 'name.formatted') {
+      state.displayName = undefined;
+    } else if (NON_REMOVABLE_USER_ATTRIBUTES.includes(attribute)) {
+      throw new ScimRequestError(400, `${path} cannot be removed`, 'mutability');
+    }
+    return;
+  }
+
+  switch (attribute) {
+    case 'active':
+      state.active = toBoolean(value, path);
+      break;
+    case 'username':
+      state.userName = optionalString(value, path);
+      break;
+    case 'displayname':
+    case 'name.formatted':
+      state.displayName = optionalString(value, path);
+      break;
+    case 'name':
+      state.displayName = nameFromObject(value) ?? state.displayName;
+      break;
+    case 'emails':
+      state.email = primaryEmail(value) ?? state.email;
+      break;
+    case 'emails.value':
+      state.email = optionalString(value, path) ?? state.email;
+      break;
+    case 'externalid':
+      state.externalId = optionalString(value, path) ?? state.externalId;
+      break;
+  }
+}
+
+/** Reads the attributes of a full user resource (POST and PUT) */
+function parseUserResource(body: unknown): ScimUserState {
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ScimRequestError(400, 'Request body must be a User resource', 'invalidSyntax');
+  }
+  const raw = body as Record<string, unknown>;
+  const state: ScimUserState = { active: true };
+  if (raw.name !== undefined) {
+    applyUserAttribute(state, 'name', raw.name);
+  }
+  for (const attribute of ['userName', 'emails', 'displayName', 'externalId', 'active']) {
+    if (raw[attribute] !== undefined) {
+      applyUserAttribute(state, attribute, raw[attribute]);
+    }
+  }
+  return state;
+}
+
+function validateUserState(state: ScimUserState): { email: string; username: string } {
+  if (!state.userName) {
+    throw new ScimRequestError(400, 'userName is required', 'invalidValue');
+  }
+  const email = (state.email ?? (state.userName.includes('@') ? state.userName : '')).toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw new ScimRequestError(
+      400,
+      'A user requires an email address in emails or userName',
+      'invalidValue',
+    );
+  }
+  return { email, username: state.userName.toLowerCase() };
+}
+
+function toUserState(user: IUser): ScimUserState {
+  return {
+    userName: user.username || user.email,
+    email: user.email,
+    displayName: user.name || undefined,
+    externalId: user.scimExternalId || undefined,
+    active: !user.deactivatedAt,
+  };
+}
+
+function parseGroupResource(body: unknown): { state: ScimGroupState; memberIds: string[] } {
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ScimRequestError(400, 'Request body must be a Group resource', 'invalidSyntax');
+  }
+  const raw = body as Record<string, unknown>;
+  return {
+    state: {
+      displayName: optionalString(raw.displayName, 'displayName'),
+      externalId: optionalString(raw.externalId, 'externalId'),
+      memberKeys: [],
+    },
+    memberIds: raw.members === undefined ? [] : parseMemberValues(raw.members),
+  };
+}
+
+function parseMemberValues(value: unknown): string[] {
+  const members = Array.isArray(value) ? value : [value];
+  return members.map((member) => {
+    const id = (member as { value?: unknown } | null)?.value;
+    if (typeof id !== 'string' || !id) {
+      throw new ScimRequestError(400, 'members must have a string value', 'invalidValue');
+    }
+    return id;
+  });
+}
+
+/** Extracts the user id of a member filter path such as `members[value eq "<id>"]` */
+function memberIdFromPath(path: string): string | undefined {
+  return path.match(/^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/i)?.[1];
+}
+
+/**
+ * Creates the handlers of the SCIM 2.0 service (RFC 7644) that lets an identity
+ * provider provision users and groups. Users map onto the user model: `active: false`
+ * deactivates the account and ends its sessions. Groups are local groups whose
+ * members are stored like those of groups managed by admins, so they can be used in ACLs.
+ */
+export function createScimHandlers(deps: ScimDeps, options: ScimOptions) {
+  const {
+    findUsers,
+    countUsers,
+    createUser,
+    updateUser,
+    deleteUserById,
+    deleteUserData,
+    deleteAllUserSessions,
+    deleteAllAgentApiKeys,
+    findGroups,
+    countGroupsByQuery,
+    createGroup,
+    updateGroupById,
+    deleteGroup,
+    deleteConfig,
+    deleteAclEntries,
+    deleteBudget,
+  } = deps;
+  const { baseUrl, provider } = options;
+
+  function toScimUser(user: IUser) {
+    const id = user._id.toString();
+    return {
+      schemas: [SCIM_USER_SCHEMA],
+      id,
+      ...(user.scimExternalId ? { externalId: user.scimExternalId } : {}),
+      userName: user.username || user.email,
+      ...(user.name ? { name: { formatted: user.name }, displayName: user.name } : {}),
+      emails: [{ value: user.email, type: 'work', primary: true }],
+      active: !user.deactivatedAt,
+      meta: {
+        resourceType: 'User',
+        created: user.createdAt,
+        lastModified: user.updatedAt,
+        location: `${baseUrl}/Users/${id}`,
+      },
+    };
+  }
+
+  async function findUserById(id: string): Promise<IUser | undefined> {
+    if (!isValidObjectIdString(id)) {
+      return undefined;
+    }
+    const [user] = await findUsers({ _id: id }, USER_FIELDS, { limit: 1 });
+    return user;
+  }
+
+  async function assertUniqueUser(
+    email: string,
+    username: string,
+    externalId?: string,
+    excludeId?: string,
+  ) {
+    const conditions: FilterQuery<IUser>[] = [{ email }, { username }];
+    if (externalId) {
+      conditions.push({ scimExternalId: externalId });
+    }
+    const filter: FilterQuery<IUser> = { $or: conditions };
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+    const conflicts = await findUsers(filter, '_id', { limit: 1 });
+    if (conflicts.length > 0) {
+      throw new ScimRequestError(
+        409,
+        'A user with that userName, email or externalId already exists',
+        'uniqueness',
+      );
+    }
+  }
+
+  /**
+   * Saves a replaced or patched user; deactivation ends all sessions of the user
+   * and revokes their API keys
+   */
+  async function saveUser(user: IUser, state: ScimUserState): Promise<IUser> {
+    const id = user._id.toString();
+    const { email, username } = validateUserState(state);
+    await assertUniqueUser(email, username, state.externalId, id);
+
+    const update: Partial<IUser> = {
+      email,
+      username,
+      name: state.displayName ?? '',
+      ...(state.externalId ? { scimExternalId: state.externalId } : {}),
+    };
+    if (!state.active && !user.deactivatedAt) {
+      update.deactivatedAt = new Date();
+    } else if (state.active && user.deactivatedAt) {
+      update.deactivatedAt = null;
+    }
+
+    const updated = await updateUser(id, update);
+    if (!updated) {
+      throw new ScimRequestError(404, 'User not found');
+    }
+    if (update.deactivatedAt) {
+      await Promise.all([deleteAllUserSessions({ userId: id }), deleteAllAgentApiKeys(id)]);
+      logger.info(`[scim] Deactivated user ${id}`);
+    } else if (update.deactivatedAt === null) {
+      logger.info(`[scim] Reactivated user ${id}`);
+    }
+    return updated;
+  }
+
+  async function listUsersHandler(req: Request, res: Response) {
+    try {
+      const query = req.query as Record<string, unknown>;
+      const { startIndex, count } = parseListParams(query);
+      const filter =
+        typeof query.filter === 'string' && query.filter.trim()
+          ? (parseScimFilter(query.filter, USER_ATTRIBUTES) as FilterQuery<IUser>)
+          : {};
+      const [users, total] = await Promise.all([
+        count === 0
+          ? Promise.resolve([])
+          : findUsers(filter, USER_FIELDS, {
+              limit: count,
+              offset: startIndex - 1,
+              sort: { createdAt: 1, _id: 1 },
+            }),
+        countUsers(filter),
+      ]);
+      return res.status(200).json({
+        schemas: [LIST_RESPONSE_SCHEMA],
+        totalResults: total,
+        startIndex,
+        itemsPerPage: users.length,
+        Resources: users.map(toScimUser),
+      });
+    } catch (error) {
+      return handleError(res, error, 'list users');
+    }
+  }
+
+  async function getUserHandler(req: Request, res: Response) {
+    try {
+      const user = await findUserById((req.params as { id: string }).id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+      return res.status(200).json(toScimUser(user));
+    } catch (error) {
+      return handleError(res, error, 'get user');
+    }
+  }
+
+  async function createUserHandler(req: Request, res: Response) {
+    try {
+      const state = parseUserResource(req.body);
+      const { email, username } = validateUserState(state);
+      await assertUniqueUser(email, username, state.externalId);
+
+      const user = await createUser({
+        provider,
+        email,
+        username,
+        emailVerified: true,
+        ...(state.displayName ? { name: state.displayName } : {}),
+        ...(state.externalId ? { scimExternalId: state.externalId } : {}),
+        ...(state.active ? {} : { deactivatedAt: new Date() }),
+      });
+      logger.info(`[scim] Provisioned user ${user._id.toString()}`);
+      return res.status(201).json(toScimUser(user));
+    } catch (error) {
+      return handleError(res, error, 'create user');
+    }
+  }
+
+  async function replaceUserHandler(req: Request, res: Response) {
+    try {
+      const user = await findUserById((req.params as { id: string }).id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+      const updated = await saveUser(user, parseUserResource(req.body));
+      return res.status(200).json(toScimUser(updated));
+    } catch (error) {
+      return handleError(res, error, 'replace user');
+    }
+  }
+
+  async function patchUserHandler(req: Request, res: Response) {
+    try {
+      const operations = parseOperations(req.body);
+      const user = await findUserById((req.params as { id: string }).id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      const state = toUserState(user);
+      for (const { op, path, value } of operations) {
+        if (path) {
+          applyUserAttribute(state, path, value, op === 'remove');
+          continue;
+        }
+        if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+          throw new ScimRequestError(
+            400,
+            'An operation without path requires an object value',
+            'invalidValue',
+          );
+        }
+        for (const [attribute, attributeValue] of Object.entries(value)) {
+          applyUserAttribute(state, attribute, attributeValue);
+        }
+      }
+
+      const updated = await saveUser(user, state);
+      return res.status(200).json(toScimUser(updated));
+    } catch (error) {
+      return handleError(res, error, 'patch user');
+    }
+  }
+
+  async function deleteUserHandler(req: Request, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return sendError(res, 404, 'User not found');
+      }
+      const { deletedCount } = await deleteUserById(id);
+      if (deletedCount === 0) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      const cleanupResults = await Promise.allSettled([
+        deleteConfig(PrincipalType.USER, id),
+        deleteUserData(id, req),
+      ]);
+      for (const result of cleanupResults) {
+        if (result.status === 'rejected') {
+          logger.error('[scim] cascade cleanup failed for user:', id, result.reason);
+        }
+      }
+      logger.info(`[scim] Deleted user ${id}`);
+      return res.status(204).end();
+    } catch (error) {
+      return handleError(res, error, 'delete user');
+    }
+  }
+
+  /** Maps user ids to the values stored in `Group.memberIds`; unknown users are skipped */
+  async function resolveMemberKeys(userIds: string[]): Promise<string[]> {
+    const ids = userIds.filter((id) => isValidObjectIdString(id));
+    if (ids.length === 0) {
+      return [];
+    }
+    const users = await findUsers({ _id: { $in: ids } }, '_id idOnTheSource');
+    return users.map((user) => user.idOnTheSource || user._id.toString());
+  }
+
+  async function toScimGroup(group: IGroup, includeMembers = true) {
+    const id = group._id.toString();
+    const resource: Record<string, unknown> = {
+      schemas: [SCIM_GROUP_SCHEMA],
+      id,
+      ...(group.idOnTheSource ? { externalId: group.idOnTheSource } : {}),
+      displayName: group.name,
+      meta: {
+        resourceType: 'Group',
+        created: group.createdAt,
+        lastModified: group.updatedAt,
+        location: `${baseUrl}/Groups/${id}`,
+      },
+    };
+    if (!includeMembers) {
+      return resource;
+    }
+
+    const memberKeys = group.memberIds ?? [];
+    const objectIds = memberKeys.filter((key) => isValidObjectIdString(key));
+    const users =
+      memberKeys.length === 0
+        ? []
+        : await findUsers(
+            { $or: [{ _id: { $in: objectIds } }, { idOnTheSource: { $in: memberKeys } }] },
+            '_id name email idOnTheSource',
+          );
+    resource.members = users.map((user) => ({
+      value: user._id.toString(),
+      display: user.name || user.email,
+      $ref: `${baseUrl}/Users/${user._id.toString()}`,
+    }));
+    return resource;
+  }
+
+  /** Finds a local group; groups synced from other sources are not managed over SCIM */
+  async function findGroup(id: string): Promise<IGroup | null> {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const [group] = await findGroups({ _id: id, source: 'local' }, { limit: 1 });
+    return group ?? null;
+  }
+
+  async function assertUniqueGroup(externalId?: string, excludeId?: string) {
+    if (!externalId) {
+      return;
+    }
+    const filter: FilterQuery<IGroup> = { idOnTheSource: externalId, source: 'local' };
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+    if ((await countGroupsByQuery(filter)) > 0) {
+      throw new ScimRequestError(409, 'A group with that externalId already exists', 'uniqueness');
+    }
+  }
+
+  async function saveGroup(id: string, state: ScimGroupState): Promise<IGroup> {
+    if (!state.displayName) {
+      throw new ScimRequestError(400, 'displayName is required', 'invalidValue');
+    }
+    await assertUniqueGroup(state.externalId, id);
+    const updated = await updateGroupById(id, {
+      name: state.displayName,
+      memberIds: [...new Set(state.memberKeys)],
+      ...(state.externalId ? { idOnTheSource: state.externalId } : {}),
+    });
+    if (!updated) {
+      throw new ScimRequestError(404, 'Group not found');
+    }
+    return updated;
+  }
+
+  async function listGroupsHandler(req: Request, res: Response) {
+    try {
+      const query = req.query as Record<string, unknown>;
+      const { startIndex, count } = parseListParams(query);
+      const filter: FilterQuery<IGroup> = {
+        ...(typeof query.filter === 'string' && query.filter.trim()
+          ? (parseScimFilter(query.filter, GROUP_ATTRIBUTES) as FilterQuery<IGroup>)
+          : {}),
+        source: 'local',
+      };
+      const [groups, total] = await Promise.all([
+        count === 0
+          ? Promise.resolve([])
+          : findGroups(filter, { limit: count, offset: startIndex - 1 }),
+        countGroupsByQuery(filter),
+      ]);
+      const includeMembers = !excludesMembers(query);
+      const resources = await Promise.all(
+        groups.map((group) => toScimGroup(group, includeMembers)),
+      );
+      return res.status(200).json({
+        schemas: [LIST_RESPONSE_SCHEMA],
+        totalResults: total,
+        startIndex,
+        itemsPerPage: resources.length,
+        Resources: resources,
+      });
+    } catch (error) {
+      return handleError(res, error, 'list groups');
+    }
+  }
+
+  async function getGroupHandler(req: Request, res: Response) {
+    try {
+      const group = await findGroup((req.params as { id: string }).id);
+      if (!group) {
+        return sendError(res, 404, 'Group not found');
+      }
+      const query = req.query as Record<string, unknown>;
+      return res.status(200).json(await toScimGroup(group, !excludesMembers(query)));
+    } catch (error) {
+      return handleError(res, error, 'get group');
+    }
+  }
+
+  async function createGroupHandler(req: Request, res: Response) {
+    try {
+      const { state, memberIds } = parseGroupResource(req.body);
+      if (!state.displayName) {
+        return sendError(res, 400, 'displayName is required', 'invalidValue');
+      }
+      await assertUniqueGroup(state.externalId);
+
+      const group = await createGroup({
+        name: state.displayName,
+        source: 'local',
+        ...(state.externalId ? { idOnTheSource: state.externalId } : {}),
+        memberIds: [...new Set(await resolveMemberKeys(memberIds))],
+      });
+      logger.info(`[scim] Provisioned group ${group._id.toString()}`);
+      return res.status(201).json(await toScimGroup(group));
+    } catch (error) {
+      return handleError(res, error, 'create group');
+    }
+  }
+
+  async function replaceGroupHandler(req: Request, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!(await findGroup(id))) {
+        return sendError(res, 404, 'Group not found');
+      }
+      const { state, memberIds } = parseGroupResource(req.body);
+      state.memberKeys = await resolveMemberKeys(memberIds);
+      return res.status(200).json(await toScimGroup(await saveGroup(id, state)));
+    } catch (error) {
+      return handleError(res, error, 'replace group');
+    }
+  }
+
+  async function applyGroupOperation(state: ScimGroupState, operation: PatchOperation) {
+    const { op, path, value } = operation;
+    if (!path) {
+      if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ScimRequestError(
+          400,
+          'An operation without path requires an object value',
+          'invalidValue',
+        );
+      }
+      for (const [attribute, attributeValue] of Object.entries(value)) {
+        await applyGroupOperation(state, { op, path: attribute, value: attributeValue });
+      }
+      return;
+    }
+
+    const memberId = memberIdFromPath(path.trim());
+    if (memberId) {
+      if (op !== 'remove') {
+        throw new ScimRequestError(400, `${op} is not supported on ${path}`, 'invalidPath');
+      }
+      const keys = new Set([memberId, ...(await resolveMemberKeys([memberId]))]);
+      state.memberKeys = state.memberKeys.filter((key) => !keys.has(key));
+      return;
+    }
+
+    const attribute = normalizePatchPath(path);
+    if (attribute === 'displayname') {
+      if (op === 'remove') {
+        throw new ScimRequestError(400, 'displayName cannot be removed', 'mutability');
+      }
+      state.displayName = optionalString(value, path);
+    } else if (attribute === 'externalid') {
+      if (op === 'remove') {
+        throw new ScimRequestError(400, 'externalId cannot be removed', 'mutability');
+      }
+      state.externalId = optionalString(value, path) ?? state.externalId;
+    } else if (attribute === 'members') {
+      if (op === 'remove' && value === undefined) {
+        state.memberKeys = [];
+        return;
+      }
+      const userIds = parseMemberValues(value);
+      const keys = await resolveMemberKeys(userIds);
+      if (op === 'add') {
+        state.memberKeys = [...state.memberKeys, ...keys];
+      } else if (op === 'replace') {
+        state.memberKeys = keys;
+      } else {
+        const removed = new Set([...userIds, ...keys]);
+        state.memberKeys = state.memberKeys.filter((key) => !removed.has(key));
+      }
+    }
+  }
+
+  async function patchGroupHandler(req: Request, res: Response) {
+    try {
+      const operations = parseOperations(req.body);
+      const { id } = req.params as { id: string };
+      const group = await findGroup(id);
+      if (!group) {
+        return sendError(res, 404, 'Group not found');
+      }
+
+      const state: ScimGroupState = {
+        displayName: group.name,
+        externalId: group.idOnTheSource,
+        memberKeys: [...(group.memberIds ?? [])],
+      };
+      for (const operation of operations) {
+        await applyGroupOperation(state, operation);
+      }
+
+      const updated = await saveGroup(id, state);
+      const query = req.query as Record<string, unknown>;
+      return res.status(200).json(await toScimGroup(updated, !excludesMembers(query)));
+    } catch (error) {
+      return handleError(res, error, 'patch group');
+    }
+  }
+
+  async function deleteGroupHandler(req: Request, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!(await findGroup(id)) || !(await deleteGroup(id))) {
+        return sendError(res, 404, 'Group not found');
+      }
+      const cleanupResults = await Promise.allSettled([
+        deleteConfig(PrincipalType.GROUP, id),
+        deleteAclEntries({
+          principalType: PrincipalType.GROUP,
+          principalId: new Types.ObjectId(id),
+        }),
+        deleteBudget(PrincipalType.GROUP, id),
+      ]);
+      for (const result of cleanupResults) {
+        if (result.status === 'rejected') {
+          logger.error('[scim] cascade cleanup failed for group:', id, result.reason);
+        }
+      }
+      logger.info(`[scim] Deleted group ${id}`);
+      return res.status(204).end();
+    } catch (error) {
+      return handleError(res, error, 'delete group');
+    }
+  }
+
+  function serviceProviderConfigHandler(_req: Request, res: Response) {
+    return res.status(200).json({
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: MAX_COUNT },
+      changePassword: { supported: false },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [
+        {
+          type: 'oauthbearertoken',
+          name: 'OAuth Bearer Token',
+          description: 'Authentication with the bearer token configured in SCIM_BEARER_TOKEN',
+        },
+      ],
+      meta: { resourceType: 'ServiceProviderConfig', location: `${baseUrl}/ServiceProviderConfig` },
+    });
+  }
+
+  function resourceTypesHandler(_req: Request, res: Response) {
+    const resourceTypes = [
+      { id: 'User', endpoint: '/Users', schema: SCIM_USER_SCHEMA },
+      { id: 'Group', endpoint: '/Groups', schema: SCIM_GROUP_SCHEMA },
+    ].map((resourceType) => ({
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+      ...resourceType,
+      name: resourceType.id,
+      meta: {
+        resourceType: 'ResourceType',
+        location: `${baseUrl}/ResourceTypes/${resourceType.id}`,
+      },
+    }));
+    return res.status(200).json({
+      schemas: [LIST_RESPONSE_SCHEMA],
+      totalResults: resourceTypes.length,
+      startIndex: 1,
+      itemsPerPage: resourceTypes.length,
+      Resources: resourceTypes,
+    });
+  }
+
+  return {
+    listUsers: listUsersHandler,
+    getUser: getUserHandler,
+    createUser: createUserHandler,
+    replaceUser: replaceUserHandler,
+    patchUser: patchUserHandler,
+    deleteUser: deleteUserHandler,
+    listGroups: listGroupsHandler,
+    getGroup: getGroupHandler,
+    createGroup: createGroupHandler,
+    replaceGroup: replaceGroupHandler,
+    patchGroup: patchGroupHandler,
+    deleteGroup: deleteGroupHandler,
+    getServiceProviderConfig: serviceProviderConfigHandler,
+    getResourceTypes: resourceTypesHandler,
+  };
+}
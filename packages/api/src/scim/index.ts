@@ -0,0 +1,3 @@
+export * from './auth';
+export * from './filter';
+export * from './handlers';
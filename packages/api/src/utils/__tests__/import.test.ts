@@ -2,7 +2,12 @@ jest.mock('@librechat/data-schemas', () => ({
   logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
 }));
 
-import { DEFAULT_IMPORT_MAX_FILE_SIZE, resolveImportMaxFileSize } from '../import';
+import {
+  DEFAULT_IMPORT_MAX_FILE_SIZE,
+  DEFAULT_IMPORT_STREAMING_THRESHOLD,
+  resolveImportMaxFileSize,
+  resolveImportStreamingThreshold,
+} from '../import';
 import { logger } from '@librechat/data-schemas';
 
 describe('resolveImportMaxFileSize', () => {
@@ -74,3 +79,39 @@ describe('resolveImportMaxFileSize', () => {
     );
   });
 });
+
+describe('resolveImportStreamingThreshold', () => {
+  let originalEnv: string | undefined;
+
+  beforeEach(() => {
+    originalEnv = process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    if (originalEnv !== undefined) {
+      process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES = originalEnv;
+    } else {
+      delete process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES;
+    }
+  });
+
+  it('returns 10485760 (10 MiB) when env var is not set', () => {
+    delete process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES;
+    expect(resolveImportStreamingThreshold()).toBe(10485760);
+    expect(DEFAULT_IMPORT_STREAMING_THRESHOLD).toBe(10485760);
+  });
+
+  it('respects a custom numeric value', () => {
+    process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES = '1048576';
+    expect(resolveImportStreamingThreshold()).toBe(1048576);
+  });
+
+  it('falls back to default and warns for invalid values', () => {
+    process.env.CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES = '-1';
+    expect(resolveImportStreamingThreshold()).toBe(DEFAULT_IMPORT_STREAMING_THRESHOLD);
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Invalid CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES'),
+    );
+  });
+});
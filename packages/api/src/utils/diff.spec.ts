@@ -0,0 +1,102 @@
+import { diffWords, diffValues } from './diff';
+
+describe('diffWords', () => {
+  it('should report identical texts as a single equal part', () => {
+    expect(diffWords('Hello there, world', 'Hello there, world')).toEqual([
+      { type: 'equal', value: 'Hello there, world' },
+    ]);
+  });
+
+  it('should mark replaced words while keeping the shared prefix and suffix', () => {
+    expect(diffWords('The quick brown fox jumps', 'The slow brown fox leaps')).toEqual([
+      { type: 'equal', value: 'The ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox ' },
+      { type: 'delete', value: 'jumps' },
+      { type: 'insert', value: 'leaps' },
+    ]);
+  });
+
+  it('should mark inserted and deleted words', () => {
+    expect(diffWords('one two three', 'one three four')).toEqual([
+      { type: 'equal', value: 'one ' },
+      { type: 'delete', value: 'two ' },
+      { type: 'equal', value: 'three' },
+      { type: 'insert', value: ' four' },
+    ]);
+  });
+
+  it('should handle empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords('', 'new text')).toEqual([{ type: 'insert', value: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'delete', value: 'old text' }]);
+  });
+
+  it('should reproduce both texts from the parts', () => {
+    const before = 'Line one\nLine  two has   spacing\n\nLine three';
+    const after = 'Line one\nLine two has spacing\nLine 3\n';
+    const parts = diffWords(before, after);
+
+    const join = (types: string[]) =>
+      parts
+        .filter((part) => types.includes(part.type))
+        .map((part) => part.value)
+        .join('');
+    expect(join(['equal', 'delete'])).toBe(before);
+    expect(join(['equal', 'insert'])).toBe(after);
+  });
+
+  it('should fall back to a coarse diff for very long, different texts', () => {
+    const before = Array.from({ length: 2500 }, (_, i) => `a${i}`).join(' ');
+    const after = Array.from({ length: 2500 }, (_, i) => `b${i}`).join(' ');
+
+    expect(diffWords(`Start ${before}`, `Start ${after}`)).toEqual([
+      { type: 'equal', value: 'Start ' },
+      { type: 'delete', value: before },
+      { type: 'insert', value: after },
+    ]);
+  });
+});
+
+describe('diffValues', () => {
+  it('should keep only the fields that changed', () => {
+    expect(
+      diffValues(
+        { name: 'editor', description: 'Edits things', priority: 1 },
+        { name: 'editor', description: 'Edits content', priority: 1 },
+      ),
+    ).toEqual({ before: { description: 'Edits things' }, after: { description: 'Edits content' } });
+  });
+
+  it('should compare nested objects field by field and arrays as a whole', () => {
+    expect(
+      diffValues(
+        { overrides: { registration: { enabled: true, socialLogins: ['github'] }, x: 1 } },
+        {
+          overrides: { registration: { enabled: false, socialLogins: ['github', 'google'] }, x: 1 },
+        },
+      ),
+    ).toEqual({
+      before: { overrides: { registration: { enabled: true, socialLogins: ['github'] } } },
+      after: {
+        overrides: { registration: { enabled: false, socialLogins: ['github', 'google'] } },
+      },
+    });
+  });
+
+  it('should omit fields that are missing on one side', () => {
+    expect(diffValues({ a: 1, b: 2 }, { b: 2, c: 3 })).toEqual({
+      before: { a: 1 },
+      after: { c: 3 },
+    });
+    expect(diffValues({}, {})).toEqual({ before: {}, after: {} });
+  });
+
+  it('should compare dates by value', () => {
+    expect(diffValues({ at: new Date('2025-01-01') }, { at: new Date('2025-01-01') })).toEqual({
+      before: {},
+      after: {},
+    });
+  });
+});
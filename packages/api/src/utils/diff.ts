@@ -0,0 +1,158 @@
+import { isDeepStrictEqual } from 'util';
+
+/** A run of words that is unchanged, added or removed between two texts */
+export type WordDiffPart = {
+  type: 'equal' | 'insert' | 'delete';
+  value: string;
+};
+
+/**
+ * Maximum number of LCS table cells computed by `diffWords` (~16 MB).
+ * Past this, the differing middle of the texts is reported as one deletion and one insertion.
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/** Splits text into alternating word and whitespace tokens, so joining them restores the text */
+function tokenize(text: string): string[] {
+  return text.match(/\s+|\S+/g) ?? [];
+}
+
+/**
+ * Computes a word-level diff between two texts.
+ * Common leading and trailing words are trimmed before the LCS table is built,
+ * which keeps regenerations of a mostly-identical response cheap to compare.
+ *
+ * @param before - The original text.
+ * @param after - The text to compare against.
+ * @returns Consecutive parts that, joined by type, reproduce both texts.
+ */
+export function diffWords(before: string, after: string): WordDiffPart[] {
+  const beforeTokens = tokenize(before);
+  const afterTokens = tokenize(after);
+
+  let start = 0;
+  while (
+    start < beforeTokens.length &&
+    start < afterTokens.length &&
+    beforeTokens[start] === afterTokens[start]
+  ) {
+    start++;
+  }
+
+  let beforeEnd = beforeTokens.length;
+  let afterEnd = afterTokens.length;
+  while (
+    beforeEnd > start &&
+    afterEnd > start &&
+    beforeTokens[beforeEnd - 1] === afterTokens[afterEnd - 1]
+  ) {
+    beforeEnd--;
+    afterEnd--;
+  }
+
+  const parts: WordDiffPart[] = [];
+  const push = (type: WordDiffPart['type'], value: string) => {
+    if (!value) {
+      return;
+    }
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  push('equal', beforeTokens.slice(0, start).join(''));
+
+  const removed = beforeTokens.slice(start, beforeEnd);
+  const added = afterTokens.slice(start, afterEnd);
+  const rows = removed.length;
+  const cols = added.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    push('delete', removed.join(''));
+    push('insert', added.join(''));
+  } else {
+    /** `lcs[i * width + j]` is the LCS length of `removed[i:]` and `added[j:]` */
+    const width = cols + 1;
+    const lcs = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          removed[i] === added[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (removed[i] === added[j]) {
+        push('equal', removed[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        push('delete', removed[i++]);
+      } else {
+        push('insert', added[j++]);
+      }
+    }
+    while (i < rows) {
+      push('delete', removed[i++]);
+    }
+    while (j < cols) {
+      push('insert', added[j++]);
+    }
+  }
+
+  push('equal', beforeTokens.slice(beforeEnd).join(''));
+  return parts;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  if (value == null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Computes which fields differ between two snapshots of an object.
+ * Nested plain objects are compared field by field; arrays and other values are compared whole.
+ *
+ * @param before - The snapshot before a change.
+ * @param after - The snapshot after the change.
+ * @returns The changed fields with their previous and new values; fields missing on a side are omitted.
+ */
+export function diffValues(
+  before: Record<string, unknown>,
+  after: Record<string, unknown>,
+): { before: Record<string, unknown>; after: Record<string, unknown> } {
+  const changedBefore: Record<string, unknown> = {};
+  const changedAfter: Record<string, unknown> = {};
+
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const previous = before[key];
+    const next = after[key];
+    if (isDeepStrictEqual(previous, next)) {
+      continue;
+    }
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      const nested = diffValues(previous, next);
+      changedBefore[key] = nested.before;
+      changedAfter[key] = nested.after;
+      continue;
+    }
+    if (previous !== undefined) {
+      changedBefore[key] = previous;
+    }
+    if (next !== undefined) {
+      changedAfter[key] = next;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
@@ -3,18 +3,32 @@ import { logger } from '@librechat/data-schemas';
 /** 250 MiB — default max file size for conversation imports */
 export const DEFAULT_IMPORT_MAX_FILE_SIZE = 262144000;
 
-/** Resolves the import file-size limit from the env var, falling back to the 250 MiB default */
-export function resolveImportMaxFileSize(): number {
-  const raw = process.env.CONVERSATION_IMPORT_MAX_FILE_SIZE_BYTES;
+/** 10 MiB — default size above which imports are streamed in a background job */
+export const DEFAULT_IMPORT_STREAMING_THRESHOLD = 10485760;
+
+/** Parses a positive byte count from an env var, warning and falling back on invalid values */
+function resolveByteSize(envVar: string, defaultValue: number): number {
+  const raw = process.env[envVar];
   if (!raw) {
-    return DEFAULT_IMPORT_MAX_FILE_SIZE;
+    return defaultValue;
   }
   const parsed = Number(raw);
   if (!Number.isFinite(parsed) || parsed <= 0) {
-    logger.warn(
-      `[imports] Invalid CONVERSATION_IMPORT_MAX_FILE_SIZE_BYTES="${raw}"; using default ${DEFAULT_IMPORT_MAX_FILE_SIZE}`,
-    );
-    return DEFAULT_IMPORT_MAX_FILE_SIZE;
+    logger.warn(`[imports] Invalid ${envVar}="${raw}"; using default ${defaultValue}`);
+    return defaultValue;
   }
   return parsed;
 }
+
+/** Resolves the import file-size limit from the env var, falling back to the 250 MiB default */
+export function resolveImportMaxFileSize(): number {
+  return resolveByteSize('CONVERSATION_IMPORT_MAX_FILE_SIZE_BYTES', DEFAULT_IMPORT_MAX_FILE_SIZE);
+}
+
+/** Resolves the file size at which imports switch to a streamed background job (10 MiB default) */
+export function resolveImportStreamingThreshold(): number {
+  return resolveByteSize(
+    'CONVERSATION_IMPORT_STREAMING_THRESHOLD_BYTES',
+    DEFAULT_IMPORT_STREAMING_THRESHOLD,
+  );
+}
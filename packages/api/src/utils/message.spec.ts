@@ -1,5 +1,7 @@
-import { Constants } from 'librechat-data-provider';
+import { Constants, ContentTypes } from 'librechat-data-provider';
 import {
+  compareBranches,
+  getMessageSearchContext,
   sanitizeMessageForTransmit,
   sanitizeFileForTransmit,
   buildMessageFiles,
@@ -580,3 +582,154 @@ describe('getThreadData', () => {
     });
   });
 });
+
+describe('compareBranches', () => {
+  /**
+   *  root (user)
+   *  └── a1 (assistant)
+   *      └── u2 (user)
+   *          ├── left (assistant)
+   *          └── right (assistant)
+   *              └── u3 (user)
+   *                  └── right2 (assistant)
+   */
+  const messages = [
+    { messageId: 'root', parentMessageId: NO_PARENT, isCreatedByUser: true, text: 'Hi' },
+    { messageId: 'a1', parentMessageId: 'root', isCreatedByUser: false, text: 'Hello!' },
+    { messageId: 'u2', parentMessageId: 'a1', isCreatedByUser: true, text: 'Name a color' },
+    {
+      messageId: 'left',
+      parentMessageId: 'u2',
+      isCreatedByUser: false,
+      text: 'The sky is blue today',
+    },
+    {
+      messageId: 'right',
+      parentMessageId: 'u2',
+      isCreatedByUser: false,
+      text: '',
+      content: [{ type: ContentTypes.TEXT, text: 'The sky is grey today' }],
+    },
+    { messageId: 'u3', parentMessageId: 'right', isCreatedByUser: true, text: 'Why?' },
+    { messageId: 'right2', parentMessageId: 'u3', isCreatedByUser: false, text: 'Clouds' },
+  ] as Parameters<typeof compareBranches>[0];
+
+  it('should return the common ancestor, divergent messages and response diffs', () => {
+    const result = compareBranches(messages, 'left', 'right2');
+
+    expect(result?.commonAncestorId).toBe('u2');
+    expect(result?.common.map((m) => m.messageId)).toEqual(['root', 'a1', 'u2']);
+    expect(result?.left.map((m) => m.messageId)).toEqual(['left']);
+    expect(result?.right.map((m) => m.messageId)).toEqual(['right', 'u3', 'right2']);
+    expect(result?.responses).toEqual([
+      {
+        leftMessageId: 'left',
+        rightMessageId: 'right',
+        diff: [
+          { type: 'equal', value: 'The sky is ' },
+          { type: 'delete', value: 'blue' },
+          { type: 'insert', value: 'grey' },
+          { type: 'equal', value: ' today' },
+        ],
+      },
+      {
+        leftMessageId: null,
+        rightMessageId: 'right2',
+        diff: [{ type: 'insert', value: 'Clouds' }],
+      },
+    ]);
+  });
+
+  it('should report no divergence when one branch contains the other', () => {
+    const result = compareBranches(messages, 'a1', 'left');
+
+    expect(result?.commonAncestorId).toBe('a1');
+    expect(result?.left).toEqual([]);
+    expect(result?.right.map((m) => m.messageId)).toEqual(['u2', 'left']);
+  });
+
+  it('should handle branches without shared messages', () => {
+    const orphan = { messageId: 'orphan', parentMessageId: NO_PARENT, text: 'Other root' };
+    const result = compareBranches([...messages, orphan], 'left', 'orphan');
+
+    expect(result?.commonAncestorId).toBeNull();
+    expect(result?.common).toEqual([]);
+    expect(result?.left).toHaveLength(4);
+  });
+
+  it('should return null when a message is not in the conversation', () => {
+    expect(compareBranches(messages, 'left', 'missing')).toBeNull();
+  });
+});
+
+describe('getMessageSearchContext', () => {
+  /**
+   *  q (user)
+   *  ├── first (assistant, older)
+   *  └── second (assistant, newer)
+   *      ├── follow-up-1 (user, older)
+   *      └── follow-up-2 (user, newer)
+   */
+  const messages = [
+    { messageId: 'q', parentMessageId: NO_PARENT, isCreatedByUser: true, text: 'Question' },
+    {
+      messageId: 'first',
+      parentMessageId: 'q',
+      sender: 'GPT-4o',
+      text: 'First answer',
+      createdAt: '2025-01-01T00:00:01Z',
+    },
+    {
+      messageId: 'second',
+      parentMessageId: 'q',
+      sender: 'GPT-4o',
+      text: '',
+      content: [{ type: ContentTypes.TEXT, text: 'Second answer' }],
+      createdAt: '2025-01-01T00:00:02Z',
+    },
+    {
+      messageId: 'follow-up-2',
+      parentMessageId: 'second',
+      isCreatedByUser: true,
+      text: 'x'.repeat(400),
+      createdAt: '2025-01-01T00:00:04Z',
+    },
+    {
+      messageId: 'follow-up-1',
+      parentMessageId: 'second',
+      isCreatedByUser: true,
+      text: 'Thanks',
+      createdAt: '2025-01-01T00:00:03Z',
+    },
+  ] as Parameters<typeof getMessageSearchContext>[0];
+
+  it('should return the surrounding messages and the branch to the hit', () => {
+    const result = getMessageSearchContext(messages, 'second');
+
+    expect(result?.previous).toEqual({
+      messageId: 'q',
+      sender: undefined,
+      isCreatedByUser: true,
+      text: 'Question',
+      createdAt: undefined,
+    });
+    expect(result?.next?.messageId).toBe('follow-up-2');
+    expect(result?.next?.text).toBe(`${'x'.repeat(300)}…`);
+    expect(result?.path).toEqual([
+      { messageId: 'q', siblingIndex: 0, siblingCount: 1 },
+      { messageId: 'second', siblingIndex: 1, siblingCount: 2 },
+    ]);
+  });
+
+  it('should use content parts for the preview text', () => {
+    const result = getMessageSearchContext(messages, 'follow-up-1');
+
+    expect(result?.previous?.text).toBe('Second answer');
+    expect(result?.next).toBeNull();
+    expect(result?.path.map((step) => step.siblingIndex)).toEqual([0, 1, 0]);
+  });
+
+  it('should return null for a message outside the conversation', () => {
+    expect(getMessageSearchContext(messages, 'missing')).toBeNull();
+  });
+});
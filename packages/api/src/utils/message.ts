@@ -1,5 +1,7 @@
-import { Constants } from 'librechat-data-provider';
+import { Constants, parseTextParts } from 'librechat-data-provider';
 import type { TFile, TMessage } from 'librechat-data-provider';
+import type { WordDiffPart } from './diff';
+import { diffWords } from './diff';
 
 /** Minimal shape for request file entries (from `req.body.files`) */
 type RequestFile = { file_id?: string };
@@ -182,3 +184,226 @@ export function getThreadData(
   result.fileIds = Array.from(fileIdSet);
   return result;
 }
+
+/** Minimal message shape for branch comparison */
+type BranchMessage = Pick<TMessage, 'messageId' | 'parentMessageId' | 'text' | 'content'> & {
+  isCreatedByUser?: boolean;
+};
+
+/** Word-level diff of the assistant responses at the same position of two branches */
+export type BranchResponseDiff = {
+  leftMessageId: string | null;
+  rightMessageId: string | null;
+  diff: WordDiffPart[];
+};
+
+/** Result of comparing two branches of a conversation */
+export type BranchComparison<T extends BranchMessage> = {
+  /** The last message shared by both branches, or null if they share no messages */
+  commonAncestorId: string | null;
+  /** Shared messages, from the root to the common ancestor */
+  common: T[];
+  /** Messages after the common ancestor, down to each leaf */
+  left: T[];
+  right: T[];
+  /** Diffs of the divergent assistant responses, paired in order */
+  responses: BranchResponseDiff[];
+};
+
+/**
+ * Returns the path from the root of the conversation to a message, or null if the message is missing.
+ * @param messageMap - Messages keyed by ID
+ * @param messageId - The ID of the last message of the path
+ */
+function getBranchPath<T extends BranchMessage>(
+  messageMap: Map<string, T>,
+  messageId: string,
+): T[] | null {
+  if (!messageMap.has(messageId)) {
+    return null;
+  }
+
+  const path: T[] = [];
+  const visitedIds = new Set<string>();
+  let currentId: string | null | undefined = messageId;
+  while (currentId && currentId !== Constants.NO_PARENT && !visitedIds.has(currentId)) {
+    visitedIds.add(currentId);
+    const message = messageMap.get(currentId);
+    if (!message) {
+      break;
+    }
+    path.push(message);
+    currentId = message.parentMessageId;
+  }
+  return path.reverse();
+}
+
+/** Returns the visible text of a message, preferring its content parts over `text` */
+function getComparableText(message: BranchMessage): string {
+  if (Array.isArray(message.content) && message.content.length > 0) {
+    return parseTextParts(message.content, true);
+  }
+  return message.text ?? '';
+}
+
+/**
+ * Compares the branches of a conversation ending at two messages, typically two leaves:
+ * finds their common ancestor, the messages unique to each branch, and word-level diffs
+ * of their assistant responses (the first response of one branch against the first of the other, and so on).
+ *
+ * @param messages - All messages in the conversation
+ * @param leftMessageId - The ID of the last message of the left branch
+ * @param rightMessageId - The ID of the last message of the right branch
+ * @returns The comparison, or null if either message is not in the conversation
+ */
+export function compareBranches<T extends BranchMessage>(
+  messages: T[],
+  leftMessageId: string,
+  rightMessageId: string,
+): BranchComparison<T> | null {
+  const messageMap = new Map<string, T>();
+  for (const message of messages) {
+    messageMap.set(message.messageId, message);
+  }
+
+  const leftPath = getBranchPath(messageMap, leftMessageId);
+  const rightPath = getBranchPath(messageMap, rightMessageId);
+  if (!leftPath || !rightPath) {
+    return null;
+  }
+
+  let shared = 0;
+  while (
+    shared < leftPath.length &&
+    shared < rightPath.length &&
+    leftPath[shared].messageId === rightPath[shared].messageId
+  ) {
+    shared++;
+  }
+
+  const left = leftPath.slice(shared);
+  const right = rightPath.slice(shared);
+  const leftResponses = left.filter((message) => !message.isCreatedByUser);
+  const rightResponses = right.filter((message) => !message.isCreatedByUser);
+
+  const responses: BranchResponseDiff[] = [];
+  for (let i = 0; i < Math.max(leftResponses.length, rightResponses.length); i++) {
+    const leftResponse = leftResponses[i];
+    const rightResponse = rightResponses[i];
+    responses.push({
+      leftMessageId: leftResponse?.messageId ?? null,
+      rightMessageId: rightResponse?.messageId ?? null,
+      diff: diffWords(
+        leftResponse ? getComparableText(leftResponse) : '',
+        rightResponse ? getComparableText(rightResponse) : '',
+      ),
+    });
+  }
+
+  return {
+    commonAncestorId: shared > 0 ? leftPath[shared - 1].messageId : null,
+    common: leftPath.slice(0, shared),
+    left,
+    right,
+    responses,
+  };
+}
+
+/** Maximum length of the text previews of context messages in search results */
+const CONTEXT_PREVIEW_LENGTH = 300;
+
+/** A shortened view of a message shown around a search hit */
+export type MessagePreview = {
+  messageId: string;
+  sender?: string;
+  isCreatedByUser?: boolean;
+  text: string;
+  createdAt?: string | Date;
+};
+
+/** One message on the branch leading to a search hit, with its position among its siblings */
+export type MessageBranchStep = {
+  messageId: string;
+  /** Index among messages sharing its parent, ordered by creation */
+  siblingIndex: number;
+  siblingCount: number;
+};
+
+/** Where a search hit sits in its conversation */
+export type MessageSearchContext = {
+  /** The message the hit replies to */
+  previous: MessagePreview | null;
+  /** The latest reply to the hit */
+  next: MessagePreview | null;
+  /** Branch from the root of the conversation to the hit, inclusive */
+  path: MessageBranchStep[];
+};
+
+type ContextMessage = BranchMessage & {
+  sender?: string;
+  createdAt?: string | Date;
+};
+
+const getCreatedTime = (message: ContextMessage) => new Date(message.createdAt ?? 0).getTime();
+
+/** Builds a preview of a message with its visible text shortened to `CONTEXT_PREVIEW_LENGTH` */
+function toMessagePreview(message: ContextMessage): MessagePreview {
+  const text = getComparableText(message);
+  return {
+    messageId: message.messageId,
+    sender: message.sender,
+    isCreatedByUser: message.isCreatedByUser,
+    text: text.length > CONTEXT_PREVIEW_LENGTH ? `${text.slice(0, CONTEXT_PREVIEW_LENGTH)}…` : text,
+    createdAt: message.createdAt,
+  };
+}
+
+/**
+ * Locates a message within its conversation for a search result: the messages before and
+ * after it, and the branch to follow from the root to reach it.
+ *
+ * @param messages - All messages in the conversation
+ * @param messageId - The ID of the matching message
+ * @returns The context, or null if the message is not in the conversation
+ */
+export function getMessageSearchContext<T extends ContextMessage>(
+  messages: T[],
+  messageId: string,
+): MessageSearchContext | null {
+  const messageMap = new Map<string, T>();
+  const childrenMap = new Map<string, T[]>();
+  for (const message of messages) {
+    messageMap.set(message.messageId, message);
+    const parentId = message.parentMessageId ?? Constants.NO_PARENT;
+    const children = childrenMap.get(parentId) ?? [];
+    children.push(message);
+    childrenMap.set(parentId, children);
+  }
+  for (const children of childrenMap.values()) {
+    children.sort((a, b) => getCreatedTime(a) - getCreatedTime(b));
+  }
+
+  const branch = getBranchPath(messageMap, messageId);
+  if (!branch) {
+    return null;
+  }
+
+  const path = branch.map((message) => {
+    const siblings = childrenMap.get(message.parentMessageId ?? Constants.NO_PARENT) ?? [message];
+    return {
+      messageId: message.messageId,
+      siblingIndex: Math.max(siblings.indexOf(message), 0),
+      siblingCount: siblings.length,
+    };
+  });
+
+  const previous = branch.length > 1 ? branch[branch.length - 2] : null;
+  const replies = childrenMap.get(messageId);
+  const next = replies?.length ? replies[replies.length - 1] : null;
+
+  return {
+    previous: previous ? toMessagePreview(previous) : null,
+    next: next ? toMessagePreview(next) : null,
+    path,
+  };
+}
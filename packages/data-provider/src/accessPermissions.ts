@@ -30,9 +30,9 @@ export enum PrincipalModel {
 }
 
 /**
- * Source of the principal (local LibreChat or external Entra ID)
+ * Source of the principal (local LibreChat, external Entra ID or an LDAP directory)
  */
-export type TPrincipalSource = 'local' | 'entra';
+export type TPrincipalSource = 'local' | 'entra' | 'ldap';
 
 /**
  * Access levels for agents
@@ -48,6 +48,7 @@ export enum ResourceType {
   MCPSERVER = 'mcpServer',
   REMOTE_AGENT = 'remoteAgent',
   SKILL = 'skill',
+  PRESET = 'preset',
 }
 
 /**
@@ -83,6 +84,9 @@ export enum AccessRoleIds {
   SKILL_VIEWER = 'skill_viewer',
   SKILL_EDITOR = 'skill_editor',
   SKILL_OWNER = 'skill_owner',
+  PRESET_VIEWER = 'preset_viewer',
+  PRESET_EDITOR = 'preset_editor',
+  PRESET_OWNER = 'preset_owner',
 }
 
 // ===== ZOD SCHEMAS =====
@@ -95,7 +99,7 @@ export const principalSchema = z.object({
   id: z.string().optional(), // undefined for 'public' type, role name for 'role' type
   name: z.string().optional(),
   email: z.string().optional(), // for user and group types
-  source: z.enum(['local', 'entra']).optional(),
+  source: z.enum(['local', 'entra', 'ldap']).optional(),
   avatar: z.string().optional(), // for user and group types
   description: z.string().optional(), // for group and role types
   idOnTheSource: z.string().optional(), // Entra ID for users/groups
@@ -126,7 +130,7 @@ export const permissionEntrySchema = z.object({
   grantedBy: z.string(),
   grantedAt: z.string(), // ISO date string
   inheritedFrom: z.string().optional(), // for project-level inheritance
-  source: z.enum(['local', 'entra']).optional(),
+  source: z.enum(['local', 'entra', 'ldap']).optional(),
 });
 
 /**
@@ -220,7 +224,7 @@ export type TPrincipalSearchResult = {
   username?: string; // for users
   avatar?: string; // for users and groups
   provider?: string; // for users
-  source: 'local' | 'entra';
+  source: TPrincipalSource;
   memberCount?: number; // for groups
   description?: string; // for groups
   idOnTheSource?: string; // Entra ID for users (maps to openidId) and groups (maps to idOnTheSource)
@@ -322,18 +326,21 @@ export function accessRoleToPermBits(accessRoleId: string): number {
     case AccessRoleIds.MCPSERVER_VIEWER:
     case AccessRoleIds.REMOTE_AGENT_VIEWER:
     case AccessRoleIds.SKILL_VIEWER:
+    case AccessRoleIds.PRESET_VIEWER:
       return PermissionBits.VIEW;
     case AccessRoleIds.AGENT_EDITOR:
     case AccessRoleIds.PROMPTGROUP_EDITOR:
     case AccessRoleIds.MCPSERVER_EDITOR:
     case AccessRoleIds.REMOTE_AGENT_EDITOR:
     case AccessRoleIds.SKILL_EDITOR:
+    case AccessRoleIds.PRESET_EDITOR:
       return PermissionBits.VIEW | PermissionBits.EDIT;
     case AccessRoleIds.AGENT_OWNER:
     case AccessRoleIds.PROMPTGROUP_OWNER:
     case AccessRoleIds.MCPSERVER_OWNER:
     case AccessRoleIds.REMOTE_AGENT_OWNER:
     case AccessRoleIds.SKILL_OWNER:
+    case AccessRoleIds.PRESET_OWNER:
       return (
         PermissionBits.VIEW | PermissionBits.EDIT | PermissionBits.DELETE | PermissionBits.SHARE
       );
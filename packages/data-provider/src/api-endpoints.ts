@@ -68,6 +68,9 @@ export const messagesArtifacts = (messageId: string) => `${messagesRoot}/artifac
 
 export const messagesBranch = () => `${messagesRoot}/branch`;
 
+export const messagesBranchDiff = (conversationId: string, left: string, right: string) =>
+  `${messagesRoot}/${conversationId}/diff${buildQuery({ left, right })}`;
+
 const shareRoot = `${BASE_URL}/api/share`;
 export const shareMessages = (shareId: string) => `${shareRoot}/${shareId}`;
 export const getSharedLink = (conversationId: string) => `${shareRoot}/link/${conversationId}`;
@@ -95,12 +98,16 @@ export const revokeUserKey = (name: string) => `${keysEndpoint}/${name}`;
 
 export const revokeAllUserKeys = () => `${keysEndpoint}?all=true`;
 
+export const userKeysHealth = () => `${keysEndpoint}/health`;
+
 const apiKeysEndpoint = `${BASE_URL}/api/api-keys`;
 
 export const apiKeys = () => apiKeysEndpoint;
 
 export const apiKeyById = (id: string) => `${apiKeysEndpoint}/${id}`;
 
+export const rotateApiKey = (id: string) => `${apiKeysEndpoint}/${id}/rotate`;
+
 export const conversationsRoot = `${BASE_URL}/api/convos`;
 
 export const conversations = (params: q.ConversationListParams) => {
@@ -122,15 +129,22 @@ export const deleteAllConversation = () => `${conversationsRoot}/all`;
 
 export const importConversation = () => `${conversationsRoot}/import`;
 
+export const importJob = (jobId: string) => `${conversationsRoot}/import/${jobId}`;
+
 export const forkConversation = () => `${conversationsRoot}/fork`;
 
 export const duplicateConversation = () => `${conversationsRoot}/duplicate`;
 
+export const mergeConversations = () => `${conversationsRoot}/merge`;
+
 export const search = (q: string, cursor?: string | null) =>
   `${BASE_URL}/api/search?q=${q}${cursor ? `&cursor=${cursor}` : ''}`;
 
 export const searchEnabled = () => `${BASE_URL}/api/search/enable`;
 
+export const searchMessages = (params: q.MessageSearchParams) =>
+  `${BASE_URL}/api/search/messages${buildQuery(params)}`;
+
 export const presets = () => `${BASE_URL}/api/presets`;
 
 export const deletePreset = () => `${BASE_URL}/api/presets/delete`;
@@ -440,6 +454,9 @@ export const addTagToConversation = (conversationId: string) =>
 export const userTerms = () => `${BASE_URL}/api/user/terms`;
 export const acceptUserTerms = () => `${BASE_URL}/api/user/terms/accept`;
 export const banner = () => `${BASE_URL}/api/banner`;
+export const activeBanners = () => `${banner()}/active`;
+export const dismissBanner = (bannerId: string) =>
+  `${banner()}/${encodeURIComponent(bannerId)}/dismiss`;
 
 // Message Feedback
 export const feedback = (conversationId: string, messageId: string) =>
@@ -912,6 +912,12 @@ export const interfaceSchema = z
     bookmarks: z.boolean().optional(),
     memories: z.boolean().optional(),
     presets: z.boolean().optional(),
+    presetSharing: z
+      .object({
+        share: z.boolean().optional(),
+        public: z.boolean().optional(),
+      })
+      .optional(),
     prompts: z
       .union([
         z.boolean(),
@@ -978,6 +984,10 @@ export const interfaceSchema = z
     modelSelect: true,
     parameters: true,
     presets: true,
+    presetSharing: {
+      share: false,
+      public: false,
+    },
     multiConvo: true,
     bookmarks: true,
     memories: true,
@@ -1263,12 +1273,87 @@ export const balanceSchema = z.object({
   refillIntervalValue: z.number().optional().default(30),
   refillIntervalUnit: z.enum(REFILL_INTERVAL_UNITS).optional().default('days'),
   refillAmount: z.number().optional().default(10000),
+  /**
+   * Notifies users when their spend reaches a share of their allowance: the refill
+   * amount with auto-refill, otherwise the start balance. Each threshold is sent
+   * at most once per refill period.
+   */
+  alerts: z
+    .object({
+      enabled: z.boolean().optional().default(false),
+      /** Percentages of the allowance spent */
+      thresholds: z.array(z.number().positive().max(100)).optional().default([80, 95, 100]),
+      /** Send alerts by email, when email is configured */
+      email: z.boolean().optional().default(true),
+      webhook: z
+        .object({
+          url: z.string(),
+          /** Signs the payload with HMAC-SHA256 in the `X-LibreChat-Signature` header */
+          secret: z.string().optional(),
+        })
+        .optional(),
+    })
+    .optional(),
 });
 
 export const transactionsSchema = z.object({
   enabled: z.boolean().optional().default(true),
 });
 
+/**
+ * Automatic cleanup of old conversations and files.
+ * Can be overridden per role, group or tenant through admin config overrides.
+ */
+export const retentionSchema = z.object({
+  /** Delete conversations, and their messages, not updated within this many days */
+  conversationDays: z.number().int().positive().optional(),
+  /** Also delete archived conversations; by default archived conversations are kept */
+  includeArchived: z.boolean().optional().default(false),
+  /** Delete chat uploads and generated files not used within this many days */
+  fileDays: z.number().int().positive().optional(),
+  /** Only report what would be deleted */
+  dryRun: z.boolean().optional().default(false),
+  /** Delete admin audit log entries older than this many days; read from the base config only */
+  auditDays: z.number().int().positive().optional(),
+});
+
+export type TRetentionConfig = z.infer<typeof retentionSchema>;
+
+/** Matches a login when the claim lists, or equals, the given value */
+export const identityMappingRuleSchema = z
+  .object({
+    /** OpenID claim (dot paths allowed, e.g. `realm_access.roles`) or SAML attribute name */
+    claim: z.string().min(1),
+    value: z.string().min(1),
+    /** Role assigned on match; the first matching rule with a role wins */
+    role: z.string().min(1).optional(),
+    /** Names of local groups the user belongs to while the rule matches */
+    groups: z.array(z.string().min(1)).optional(),
+  })
+  .refine((rule) => rule.role != null || (rule.groups?.length ?? 0) > 0, {
+    message: 'A mapping rule must assign a role or groups',
+  });
+
+export const identityProviderMappingSchema = z.object({
+  /** Role of users no rule assigns a role to; defaults to USER */
+  defaultRole: z.string().min(1).optional(),
+  rules: z.array(identityMappingRuleSchema).default([]),
+});
+
+/**
+ * Maps identity provider claims to roles and groups, applied at each login.
+ * When rules assign roles, the user's role is managed by the identity provider
+ * and cannot be changed through the admin API.
+ */
+export const identityMappingSchema = z.object({
+  openid: identityProviderMappingSchema.optional(),
+  saml: identityProviderMappingSchema.optional(),
+});
+
+export type TIdentityMappingRule = z.infer<typeof identityMappingRuleSchema>;
+export type TIdentityProviderMapping = z.infer<typeof identityProviderMappingSchema>;
+export type TIdentityMappingConfig = z.infer<typeof identityMappingSchema>;
+
 export const memorySchema = z.object({
   disabled: z.boolean().optional(),
   validKeys: z.array(z.string()).optional(),
@@ -1295,6 +1380,29 @@ export const memorySchema = z.object({
 
 export type TMemoryConfig = DeepPartial<z.infer<typeof memorySchema>>;
 
+/** Memory scope shared by all agents; memories saved before scopes existed belong to it */
+export const GLOBAL_MEMORY_SCOPE = 'global';
+
+/**
+ * Namespace of a memory: `global`, `agent:<agentId>` for memories of a single agent,
+ * or `project:<name>` for memories shared by the agents of a project.
+ */
+export const memoryScopeSchema = z
+  .string()
+  .regex(/^(global|agent:[\w-]{1,128}|project:[a-z0-9_-]{1,64})$/, {
+    message: 'Scope must be "global", "agent:<agentId>" or "project:<name>"',
+  });
+
+/** Maximum number of memory scopes an agent loads */
+export const MAX_AGENT_MEMORY_SCOPES = 10;
+
+/** Memory scope of an agent's configuration; `agent` stands for the agent's own scope */
+export const agentMemoryScopeSchema = z
+  .string()
+  .regex(/^(global|agent|project:[a-z0-9_-]{1,64})$/, {
+    message: 'Scope must be "global", "agent" or "project:<name>"',
+  });
+
 export const summarizationTriggerSchema = z.discriminatedUnion('type', [
   z.object({
     type: z.literal('token_ratio'),
@@ -1372,6 +1480,8 @@ export const configSchema = z.object({
     .default({ socialLogins: defaultSocialLogins }),
   balance: balanceSchema.optional(),
   transactions: transactionsSchema.optional(),
+  retention: retentionSchema.optional(),
+  identityMapping: identityMappingSchema.optional(),
   speech: z
     .object({
       tts: ttsSchema.optional(),
@@ -1856,6 +1966,10 @@ export enum CacheKeys {
    * Key for admin panel OAuth exchange codes (one-time-use, short TTL).
    */
   ADMIN_OAUTH_EXCHANGE = 'ADMIN_OAUTH_EXCHANGE',
+  /**
+   * Key for search index reindex jobs and recent sync errors.
+   */
+  SEARCH_INDEX_JOBS = 'SEARCH_INDEX_JOBS',
 }
 
 /**
@@ -117,6 +117,13 @@ export function deleteAgentApiKey(id: string): Promise<void> {
   return request.delete(endpoints.apiKeyById(id));
 }
 
+export function rotateAgentApiKey({
+  id,
+  ...payload
+}: t.TAgentApiKeyRotateRequest): Promise<t.TAgentApiKeyRotateResponse> {
+  return request.post(endpoints.rotateApiKey(id), payload);
+}
+
 export function getPresets(): Promise<s.TPreset[]> {
   return request.get(endpoints.presets());
 }
@@ -137,6 +144,10 @@ export function getSearchEnabled(): Promise<boolean> {
   return request.get(endpoints.searchEnabled());
 }
 
+export function searchMessages(params: q.MessageSearchParams): Promise<q.MessageSearchResponse> {
+  return request.get(endpoints.searchMessages(params));
+}
+
 export function getUser(): Promise<t.TUser> {
   return request.get(endpoints.user());
 }
@@ -164,6 +175,9 @@ export const register = (payload: t.TRegisterUser) => {
 export const userKeyQuery = (name: string): Promise<t.TCheckUserKeyResponse> =>
   request.get(endpoints.userKeyQuery(name));
 
+export const getUserKeysHealth = (): Promise<t.TUserKeysHealthResponse> =>
+  request.get(endpoints.userKeysHealth());
+
 export const getLoginGoogle = () => {
   return request.get(endpoints.loginGoogle());
 };
@@ -668,6 +682,16 @@ export const importConversationsFile = (data: FormData): Promise<t.TImportRespon
   return request.postMultiPart(endpoints.importConversation(), data);
 };
 
+/**
+ * Retrieves the progress of a background conversation import.
+ *
+ * @param jobId - The ID returned when the import was started.
+ * @returns A Promise that resolves to the import job.
+ */
+export const getImportJob = (jobId: string): Promise<t.TImportJob> => {
+  return request.get(endpoints.importJob(jobId));
+};
+
 export const uploadAvatar = (data: FormData): Promise<f.AvatarUploadResponse> => {
   return request.postMultiPart(endpoints.avatar(), data);
 };
@@ -756,6 +780,10 @@ export function forkConversation(payload: t.TForkConvoRequest): Promise<t.TForkC
   return request.post(endpoints.forkConversation(), payload);
 }
 
+export function mergeConversations(payload: t.TMergeConvoRequest): Promise<t.TMergeConvoResponse> {
+  return request.post(endpoints.mergeConversations(), payload);
+}
+
 export function deleteConversation(payload: t.TDeleteConversationRequest) {
   return request.deleteWithOptions(endpoints.deleteConversation(), { data: { arg: payload } });
 }
@@ -829,6 +857,16 @@ export const branchMessage = async (
   return request.post(endpoints.messagesBranch(), payload);
 };
 
+export function getBranchDiff(params: t.TBranchDiffRequest): Promise<t.TBranchDiffResponse> {
+  return request.get(
+    endpoints.messagesBranchDiff(
+      params.conversationId,
+      params.leftMessageId,
+      params.rightMessageId,
+    ),
+  );
+}
+
 export function getMessagesByConvoId(conversationId: string): Promise<s.TMessage[]> {
   if (
     conversationId === config.Constants.NEW_CONVO ||
@@ -1157,6 +1195,14 @@ export function getBanner(): Promise<t.TBannerResponse> {
   return request.get(endpoints.banner());
 }
 
+export function getActiveBanners(): Promise<t.TActiveBannersResponse> {
+  return request.get(endpoints.activeBanners());
+}
+
+export function dismissBanner(bannerId: string): Promise<void> {
+  return request.post(endpoints.dismissBanner(bannerId));
+}
+
 export function updateFeedback(
   conversationId: string,
   messageId: string,
@@ -64,6 +64,10 @@ export enum PermissionTypes {
    * Type for Skill Permissions
    */
   SKILLS = 'SKILLS',
+  /**
+   * Type for Preset Sharing Permissions
+   */
+  PRESETS = 'PRESETS',
 }
 
 /**
@@ -87,6 +91,7 @@ export const PERMISSION_TYPE_INTERFACE_FIELDS: Record<PermissionTypes, string> =
   [PermissionTypes.MCP_SERVERS]: 'mcpServers',
   [PermissionTypes.REMOTE_AGENTS]: 'remoteAgents',
   [PermissionTypes.SKILLS]: 'skills',
+  [PermissionTypes.PRESETS]: 'presetSharing',
 };
 
 /** Set of interface config field names that correspond to role permissions. */
@@ -100,8 +105,8 @@ export const INTERFACE_PERMISSION_FIELDS = new Set(Object.values(PERMISSION_TYPE
  * Mapping to Permissions enum:
  *   'use'    → Permissions.USE       (agents, prompts, mcpServers, remoteAgents, marketplace)
  *   'create' → Permissions.CREATE    (agents, prompts, mcpServers, remoteAgents)
- *   'share'  → Permissions.SHARE     (agents, prompts, mcpServers, remoteAgents)
- *   'public' → Permissions.SHARE_PUBLIC (agents, prompts, mcpServers, remoteAgents)
+ *   'share'  → Permissions.SHARE     (agents, prompts, mcpServers, remoteAgents, presetSharing)
+ *   'public' → Permissions.SHARE_PUBLIC (agents, prompts, mcpServers, remoteAgents, presetSharing)
  *   'users'  → Permissions.VIEW_USERS   (peoplePicker only)
  *   'groups' → Permissions.VIEW_GROUPS  (peoplePicker only)
  *   'roles'  → Permissions.VIEW_ROLES   (peoplePicker only)
@@ -231,6 +236,12 @@ export const skillPermissionsSchema = z.object({
 });
 export type TSkillPermissions = z.infer<typeof skillPermissionsSchema>;
 
+export const presetPermissionsSchema = z.object({
+  [Permissions.SHARE]: z.boolean().default(false),
+  [Permissions.SHARE_PUBLIC]: z.boolean().default(false),
+});
+export type TPresetPermissions = z.infer<typeof presetPermissionsSchema>;
+
 // Define a single permissions schema that holds all permission types.
 export const permissionsSchema = z.object({
   [PermissionTypes.PROMPTS]: promptPermissionsSchema,
@@ -248,4 +259,5 @@ export const permissionsSchema = z.object({
   [PermissionTypes.MCP_SERVERS]: mcpServersPermissionsSchema,
   [PermissionTypes.REMOTE_AGENTS]: remoteAgentsPermissionsSchema,
   [PermissionTypes.SKILLS]: skillPermissionsSchema,
+  [PermissionTypes.PRESETS]: presetPermissionsSchema,
 });
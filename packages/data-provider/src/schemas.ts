@@ -1314,6 +1314,11 @@ export const tBannerSchema = z.object({
   updatedAt: z.string(),
   isPublic: z.boolean(),
   persistable: z.boolean().default(false),
+  type: z.enum(['banner', 'popup']).optional(),
+  severity: z.enum(['info', 'warning', 'error']).optional(),
+  roles: z.array(z.string()).optional(),
+  groups: z.array(z.string()).optional(),
+  tenantIds: z.array(z.string()).optional(),
 });
 export type TBanner = z.infer<typeof tBannerSchema>;
 
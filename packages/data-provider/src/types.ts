@@ -248,11 +248,38 @@ export type TUpdateUserKeyRequest = {
   name: string;
   value: string;
   expiresAt: string;
+  /** Checks the key with the provider before saving it */
+  validate?: boolean;
+};
+
+export type TUserKeyStatus = 'valid' | 'invalid' | 'expired' | 'unreachable' | 'unsupported';
+
+export type TUserKeyValidation = {
+  status: TUserKeyStatus;
+  models?: string[];
+  statusCode?: number;
+  message?: string;
+};
+
+export type TUserKeyHealth = Omit<TUserKeyValidation, 'models'> & {
+  name: string;
+  expiresAt: string;
+  checkedAt: string;
+};
+
+export type TUserKeysHealthResponse = {
+  /** False when any key is expired or rejected by its provider */
+  healthy: boolean;
+  keys: TUserKeyHealth[];
 };
 
 export type TAgentApiKeyCreateRequest = {
   name: string;
   expiresAt?: string | null;
+  /** Agent ids the key may call; all accessible agents when omitted */
+  agentIds?: string[];
+  /** Maximum requests per minute */
+  rateLimit?: number | null;
 };
 
 export type TAgentApiKeyCreateResponse = {
@@ -260,15 +287,32 @@ export type TAgentApiKeyCreateResponse = {
   name: string;
   key: string;
   keyPrefix: string;
+  agentIds?: string[];
+  rateLimit?: number;
   createdAt: string;
   expiresAt?: string;
 };
 
+export type TAgentApiKeyRotateRequest = {
+  id: string;
+  /** Hours the replaced key keeps working, defaults to 24 */
+  gracePeriodHours?: number;
+};
+
+export type TAgentApiKeyRotateResponse = TAgentApiKeyCreateResponse & {
+  previousKeyExpiresAt: string;
+};
+
 export type TAgentApiKeyListItem = {
   id: string;
   name: string;
   keyPrefix: string;
+  agentIds?: string[];
+  rateLimit?: number;
   lastUsedAt?: string;
+  lastUsedIp?: string;
+  usageCount?: number;
+  rotatedFrom?: string;
   expiresAt?: string;
   createdAt: string;
 };
@@ -365,6 +409,50 @@ export type TForkConvoResponse = {
   messages: TMessage[];
 };
 
+export type TMergeConvoRequest = {
+  /** Conversation to graft onto */
+  targetConversationId: string;
+  /** Message of the target conversation to graft beneath */
+  targetMessageId: string;
+  /** Conversation to graft */
+  sourceConversationId: string;
+  /** Grafts only the branch of this source message, selected by `option` */
+  sourceMessageId?: string;
+  option?: string;
+  /** Title of the merged conversation; defaults to the target's title */
+  title?: string;
+};
+
+export type TMergeConvoResponse = {
+  conversation: TConversation;
+  messages: TMessage[];
+};
+
+export type TBranchDiffRequest = {
+  conversationId: string;
+  leftMessageId: string;
+  rightMessageId: string;
+};
+
+export type TWordDiffPart = {
+  type: 'equal' | 'insert' | 'delete';
+  value: string;
+};
+
+export type TBranchDiffResponse = {
+  /** Last message shared by both branches, or null if they share no messages */
+  commonAncestorId: string | null;
+  common: TMessage[];
+  left: TMessage[];
+  right: TMessage[];
+  /** Word-level diffs of the divergent assistant responses, paired in order */
+  responses: Array<{
+    leftMessageId: string | null;
+    rightMessageId: string | null;
+    diff: TWordDiffPart[];
+  }>;
+};
+
 export type TSearchResults = {
   conversations: TConversation[];
   messages: TMessage[];
@@ -529,6 +617,36 @@ export type TImportResponse = {
    * The message associated with the response.
    */
   message: string;
+  /**
+   * The ID of the background import job, when the file is imported asynchronously.
+   */
+  jobId?: string;
+  /**
+   * The initial status of the background import job.
+   */
+  status?: TImportJobStatus;
+};
+
+export type TImportJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/**
+ * Represents the status and progress of a background conversation import.
+ */
+export type TImportJob = {
+  jobId: string;
+  status: TImportJobStatus;
+  filename?: string;
+  fileSize: number;
+  bytesProcessed: number;
+  /** Ratio of bytes processed, from 0 to 1 */
+  progress: number;
+  processedCount: number;
+  importedCount: number;
+  failedCount: number;
+  failures: { index: number; title?: string; error: string }[];
+  error?: string;
+  createdAt: string;
+  completedAt?: string;
 };
 
 /** Prompts */
@@ -671,6 +789,8 @@ export type TAcceptTermsResponse = {
 
 export type TBannerResponse = TBanner | null;
 
+export type TActiveBannersResponse = TBanner[];
+
 export type TUpdateFeedbackRequest = {
   feedback?: TMinimalFeedback;
 };
@@ -691,6 +811,16 @@ export type TBalanceResponse = {
   refillAmount?: number;
 };
 
+/** Sent in the chat stream when a request takes a group or role budget past its soft cap */
+export type TBudgetWarning = {
+  principalType: 'group' | 'role';
+  principalId: string;
+  period: 'day' | 'week' | 'month';
+  spent: number;
+  softCap: number;
+  hardCap: number;
+};
+
 /* -------------------------------------------------------------------------- */
 /* Skill UI extensions (not yet persisted — phase 2 backend will fill these)  */
 /* -------------------------------------------------------------------------- */
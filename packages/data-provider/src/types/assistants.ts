@@ -293,6 +293,9 @@ export type Agent = {
   /** Master toggle for skill use on this agent. `true` = active (full catalog unless
    *  `skills` narrows it). `false`/undefined = inactive (no skills available). */
   skills_enabled?: boolean;
+  /** Memory scopes the agent loads: `global`, `agent` (its own scope) or `project:<name>`.
+   *  The first scope receives the memories the agent saves. Defaults to `['global']`. */
+  memory_scopes?: string[];
   /** Subagent spawning configuration — isolated-context child agents. */
   subagents?: AgentSubagentsConfig;
 };
@@ -322,6 +325,7 @@ export type AgentCreateParams = {
   | 'tool_options'
   | 'skills'
   | 'skills_enabled'
+  | 'memory_scopes'
   | 'subagents'
 >;
 
@@ -349,6 +353,7 @@ export type AgentUpdateParams = {
   | 'tool_options'
   | 'skills'
   | 'skills_enabled'
+  | 'memory_scopes'
   | 'subagents'
 >;
 
@@ -19,6 +19,12 @@ export type ConversationListParams = {
   sortDirection?: 'asc' | 'desc';
   tags?: string[];
   search?: string;
+  endpoint?: string;
+  model?: string;
+  /** ISO date; only conversations updated on or after it */
+  startDate?: string;
+  /** ISO date; only conversations updated on or before it */
+  endDate?: string;
 };
 
 export type MinimalConversation = Pick<
@@ -46,6 +52,13 @@ export type MessagesListParams = {
   conversationId?: string;
   messageId?: string;
   search?: string;
+  endpoint?: string;
+  model?: string;
+  tags?: string[];
+  /** ISO date; only messages created on or after it */
+  startDate?: string;
+  /** ISO date; only messages created on or before it */
+  endDate?: string;
 };
 
 export type MessagesListResponse = {
@@ -53,6 +66,46 @@ export type MessagesListResponse = {
   nextCursor: string | null;
 };
 
+export type MessageSearchParams = Omit<
+  MessagesListParams,
+  'cursor' | 'sortBy' | 'sortDirection' | 'pageSize' | 'conversationId' | 'messageId' | 'search'
+> & {
+  q: string;
+  /** Maximum number of results, up to 50 */
+  limit?: number;
+  offset?: number;
+};
+
+export type MessagePreview = Pick<s.TMessage, 'messageId' | 'sender' | 'isCreatedByUser'> & {
+  text: string;
+  createdAt?: string;
+};
+
+export type MessageSearchResult = Pick<
+  s.TMessage,
+  'messageId' | 'conversationId' | 'sender' | 'isCreatedByUser' | 'endpoint' | 'model' | 'createdAt'
+> & {
+  title?: string | null;
+  /** Cropped text with matched terms wrapped in `<em>` */
+  snippet: string;
+  /** The message the match replies to */
+  previous: MessagePreview | null;
+  /** The latest reply to the match */
+  next: MessagePreview | null;
+  /** Branch from the root of the conversation to the match, with each message's sibling position */
+  path: Array<{ messageId: string; siblingIndex: number; siblingCount: number }>;
+  /** Client route to the conversation, with the message ID as fragment */
+  anchor: string;
+};
+
+export type MessageSearchResponse = {
+  results: MessageSearchResult[];
+  limit: number;
+  offset: number;
+  /** Offset of the next page, or null after the last page */
+  nextOffset: number | null;
+};
+
 /* Shared Links */
 export type SharedMessagesResponse = Omit<s.TSharedLink, 'messages'> & {
   messages: s.TMessage[];
@@ -131,14 +184,34 @@ export type GetToolCallParams = { conversationId: string };
 export type ToolCallResults = a.ToolCallResult[];
 
 /* Memories */
+export type TMemorySource = {
+  type: 'user' | 'agent' | 'import';
+  conversationId?: string;
+  messageId?: string;
+  agentId?: string;
+};
+
 export type TUserMemory = {
   key: string;
   value: string;
   updated_at: string;
   tokenCount?: number;
+  source?: TMemorySource;
+  /** `global`, `agent:<agentId>` or `project:<name>` */
+  scope?: string;
+};
+
+export type TMemoryScopeUsage = {
+  scope: string;
+  count: number;
+  totalTokens: number;
 };
 
 export type MemoriesResponse = {
+  /** Scope of the returned memories and usage */
+  scope: string;
+  /** Every scope the user has memories in */
+  scopes: TMemoryScopeUsage[];
   memories: TUserMemory[];
   totalTokens: number;
   tokenLimit: number | null;
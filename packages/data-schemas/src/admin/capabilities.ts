@@ -22,6 +22,8 @@ export const SystemCapabilities = {
   ACCESS_ADMIN: 'access:admin',
   READ_USERS: 'read:users',
   MANAGE_USERS: 'manage:users',
+  /** Issue short-lived sessions as another user for support. Not implied by `MANAGE_USERS`. */
+  IMPERSONATE_USERS: 'impersonate:users',
   READ_GROUPS: 'read:groups',
   MANAGE_GROUPS: 'manage:groups',
   READ_ROLES: 'read:roles',
@@ -37,6 +39,16 @@ export const SystemCapabilities = {
   MANAGE_PROMPTS: 'manage:prompts',
   READ_SKILLS: 'read:skills',
   MANAGE_SKILLS: 'manage:skills',
+  READ_PRESETS: 'read:presets',
+  MANAGE_PRESETS: 'manage:presets',
+  READ_SEARCH: 'read:search',
+  MANAGE_SEARCH: 'manage:search',
+  READ_RETENTION: 'read:retention',
+  MANAGE_RETENTION: 'manage:retention',
+  READ_BANNERS: 'read:banners',
+  MANAGE_BANNERS: 'manage:banners',
+  /** View and export the admin audit log. */
+  READ_AUDIT: 'read:audit',
   /** Reserved — not yet enforced by any middleware. */
   READ_ASSISTANTS: 'read:assistants',
   MANAGE_ASSISTANTS: 'manage:assistants',
@@ -55,6 +67,10 @@ export const CapabilityImplications: Partial<Record<BaseSystemCapability, BaseSy
     [SystemCapabilities.MANAGE_AGENTS]: [SystemCapabilities.READ_AGENTS],
     [SystemCapabilities.MANAGE_PROMPTS]: [SystemCapabilities.READ_PROMPTS],
     [SystemCapabilities.MANAGE_SKILLS]: [SystemCapabilities.READ_SKILLS],
+    [SystemCapabilities.MANAGE_PRESETS]: [SystemCapabilities.READ_PRESETS],
+    [SystemCapabilities.MANAGE_SEARCH]: [SystemCapabilities.READ_SEARCH],
+    [SystemCapabilities.MANAGE_RETENTION]: [SystemCapabilities.READ_RETENTION],
+    [SystemCapabilities.MANAGE_BANNERS]: [SystemCapabilities.READ_BANNERS],
     [SystemCapabilities.MANAGE_ASSISTANTS]: [SystemCapabilities.READ_ASSISTANTS],
   };
 
@@ -143,6 +159,7 @@ export const ResourceCapabilityMap: Record<ResourceType, SystemCapability> = {
   [ResourceType.MCPSERVER]: SystemCapabilities.MANAGE_MCP_SERVERS,
   [ResourceType.REMOTE_AGENT]: SystemCapabilities.MANAGE_AGENTS,
   [ResourceType.SKILL]: SystemCapabilities.MANAGE_SKILLS,
+  [ResourceType.PRESET]: SystemCapabilities.MANAGE_PRESETS,
 };
 
 /**
@@ -179,7 +196,11 @@ export const CAPABILITY_CATEGORIES: CapabilityCategory[] = [
   {
     key: 'users',
     labelKey: 'com_cap_cat_users',
-    capabilities: [SystemCapabilities.MANAGE_USERS, SystemCapabilities.READ_USERS],
+    capabilities: [
+      SystemCapabilities.MANAGE_USERS,
+      SystemCapabilities.READ_USERS,
+      SystemCapabilities.IMPERSONATE_USERS,
+    ],
   },
   {
     key: 'groups',
@@ -210,6 +231,8 @@ export const CAPABILITY_CATEGORIES: CapabilityCategory[] = [
       SystemCapabilities.READ_PROMPTS,
       SystemCapabilities.MANAGE_SKILLS,
       SystemCapabilities.READ_SKILLS,
+      SystemCapabilities.MANAGE_PRESETS,
+      SystemCapabilities.READ_PRESETS,
       SystemCapabilities.MANAGE_ASSISTANTS,
       SystemCapabilities.READ_ASSISTANTS,
       SystemCapabilities.MANAGE_MCP_SERVERS,
@@ -218,6 +241,16 @@ export const CAPABILITY_CATEGORIES: CapabilityCategory[] = [
   {
     key: 'system',
     labelKey: 'com_cap_cat_system',
-    capabilities: [SystemCapabilities.ACCESS_ADMIN, SystemCapabilities.READ_USAGE],
+    capabilities: [
+      SystemCapabilities.ACCESS_ADMIN,
+      SystemCapabilities.READ_USAGE,
+      SystemCapabilities.MANAGE_SEARCH,
+      SystemCapabilities.READ_SEARCH,
+      SystemCapabilities.MANAGE_RETENTION,
+      SystemCapabilities.READ_RETENTION,
+      SystemCapabilities.MANAGE_BANNERS,
+      SystemCapabilities.READ_BANNERS,
+      SystemCapabilities.READ_AUDIT,
+    ],
   },
 ];
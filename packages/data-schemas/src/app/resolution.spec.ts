@@ -445,6 +445,7 @@ describe('INTERFACE_PERMISSION_FIELDS', () => {
       'marketplace',
       'mcpServers',
       'remoteAgents',
+      'presetSharing',
     ];
     for (const field of expected) {
       expect(INTERFACE_PERMISSION_FIELDS.has(field)).toBe(true);
@@ -110,6 +110,8 @@ export const AppService = async (params?: {
   const interfaceConfig = await loadDefaultInterface({ config, configDefaults });
   const turnstileConfig = loadTurnstileConfig(config, configDefaults);
   const speech = config.speech;
+  const retention = config.retention;
+  const identityMapping = config.identityMapping;
 
   const defaultConfig = {
     ocr,
@@ -119,11 +121,13 @@ export const AppService = async (params?: {
     speech,
     balance,
     actions,
+    retention,
     webSearch,
     mcpSettings,
     transactions,
     fileStrategy,
     registration,
+    identityMapping,
     filteredTools,
     includedTools,
     summarization,
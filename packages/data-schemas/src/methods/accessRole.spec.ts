@@ -209,6 +209,9 @@ describe('AccessRole Model Tests', () => {
           AccessRoleIds.SKILL_EDITOR,
           AccessRoleIds.SKILL_OWNER,
           AccessRoleIds.SKILL_VIEWER,
+          AccessRoleIds.PRESET_EDITOR,
+          AccessRoleIds.PRESET_OWNER,
+          AccessRoleIds.PRESET_VIEWER,
         ].sort(),
       );
 
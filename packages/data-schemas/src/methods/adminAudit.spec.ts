@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createAdminAuditMethods } from './adminAudit';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: MongoMemoryServer;
+let methods: ReturnType<typeof createAdminAuditMethods>;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const models = createModels(mongoose);
+  Object.assign(mongoose.models, models);
+
+  methods = createAdminAuditMethods(mongoose);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+});
+
+describe('Admin Audit Methods', () => {
+  const actorId = new mongoose.Types.ObjectId();
+
+  test('records entries and lists them newest first', async () => {
+    await methods.recordAdminAudit({
+      action: 'user_created',
+      actorId,
+      targetType: 'user',
+      targetId: 'user-1',
+    });
+    await methods.recordAdminAudit({
+      action: 'user_suspended',
+      actorId,
+      targetType: 'user',
+      targetId: 'user-1',
+      details: { durationMs: 60000 },
+    });
+    await methods.recordAdminAudit({
+      action: 'user_deleted',
+      actorId,
+      targetType: 'user',
+      targetId: 'user-2',
+    });
+
+    const { entries, total } = await methods.getAdminAuditLogs({ targetId: 'user-1' });
+
+    expect(total).toBe(2);
+    expect(entries.map(({ action }) => action)).toEqual(['user_suspended', 'user_created']);
+    expect(entries[0].details).toEqual({ durationMs: 60000 });
+    expect(entries[0].actorId.toString()).toBe(actorId.toString());
+  });
+
+  test('filters by action and paginates', async () => {
+    for (const targetId of ['a', 'b', 'c']) {
+      await methods.recordAdminAudit({
+        action: 'user_2fa_reset',
+        actorId,
+        targetType: 'user',
+        targetId,
+      });
+    }
+    await methods.recordAdminAudit({
+      action: 'user_deleted',
+      actorId,
+      targetType: 'user',
+      targetId: 'd',
+    });
+
+    const page = await methods.getAdminAuditLogs(
+      { actions: ['user_2fa_reset'] },
+      { limit: 2, offset: 1 },
+    );
+
+    expect(page.total).toBe(3);
+    expect(page.entries.map(({ targetId }) => targetId)).toEqual(['b', 'a']);
+  });
+
+  test('filters by actor, target type and time range', async () => {
+    const otherActor = new mongoose.Types.ObjectId();
+    await methods.recordAdminAudit({
+      action: 'role_updated',
+      actorId,
+      targetType: 'role',
+      targetId: 'editor',
+      before: { description: 'old' },
+      after: { description: 'new' },
+    });
+    await methods.recordAdminAudit({
+      action: 'group_created',
+      actorId: otherActor,
+      targetType: 'group',
+      targetId: new mongoose.Types.ObjectId().toString(),
+    });
+
+    const byActor = await methods.getAdminAuditLogs({ actorId: actorId.toString() });
+    expect(byActor.entries.map(({ action }) => action)).toEqual(['role_updated']);
+    expect(byActor.entries[0].before).toEqual({ description: 'old' });
+    expect(byActor.entries[0].after).toEqual({ description: 'new' });
+
+    const byType = await methods.getAdminAuditLogs({ targetType: 'group' });
+    expect(byType.entries.map(({ action }) => action)).toEqual(['group_created']);
+
+    const future = new Date(Date.now() + 60000);
+    expect((await methods.getAdminAuditLogs({ from: future })).total).toBe(0);
+    expect((await methods.getAdminAuditLogs({ to: future })).total).toBe(2);
+  });
+
+  test('streams matching entries newest first', async () => {
+    for (const targetId of ['a', 'b', 'c']) {
+      await methods.recordAdminAudit({
+        action: 'role_deleted',
+        actorId,
+        targetType: 'role',
+        targetId,
+      });
+    }
+
+    const targetIds: string[] = [];
+    for await (const entry of methods.streamAdminAuditLogs({ targetType: 'role' })) {
+      targetIds.push(entry.targetId);
+    }
+
+    expect(targetIds).toEqual(['c', 'b', 'a']);
+  });
+
+  test('rejects updates and deletes outside of the retention purge', async () => {
+    const entry = await methods.recordAdminAudit({
+      action: 'config_deleted',
+      actorId,
+      targetType: 'config',
+      targetId: 'role:editor',
+    });
+    const AdminAuditLog = mongoose.models.AdminAuditLog;
+
+    await expect(
+      AdminAuditLog.updateOne({ _id: entry._id }, { $set: { targetId: 'role:admin' } }),
+    ).rejects.toThrow('append-only');
+    await expect(AdminAuditLog.deleteOne({ _id: entry._id })).rejects.toThrow('append-only');
+    await expect(AdminAuditLog.deleteMany({})).rejects.toThrow('append-only');
+
+    const doc = await AdminAuditLog.findById(entry._id);
+    doc.targetId = 'role:admin';
+    await expect(doc.save()).rejects.toThrow('append-only');
+
+    expect((await methods.getAdminAuditLogs()).entries[0].targetId).toBe('role:editor');
+  });
+
+  test('purges entries older than the cutoff', async () => {
+    await methods.recordAdminAudit({
+      action: 'user_deleted',
+      actorId,
+      targetType: 'user',
+      targetId: 'a',
+    });
+    await mongoose.connection
+      .collection('adminauditlogs')
+      .updateOne({ targetId: 'a' }, { $set: { createdAt: new Date('2020-01-01') } });
+    await methods.recordAdminAudit({
+      action: 'user_deleted',
+      actorId,
+      targetType: 'user',
+      targetId: 'b',
+    });
+
+    const deleted = await methods.purgeAdminAuditLogs(new Date('2021-01-01'));
+
+    expect(deleted).toBe(1);
+    const { entries } = await methods.getAdminAuditLogs();
+    expect(entries.map(({ targetId }) => targetId)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,81 @@
+import type { FilterQuery, Model } from 'mongoose';
+import { AUDIT_RETENTION_PURGE_OPTION } from '~/schema/adminAuditLog';
+import type * as t from '~/types';
+
+function buildAuditQuery(filter: t.AdminAuditLogFilter): FilterQuery<t.IAdminAuditLog> {
+  const query: FilterQuery<t.IAdminAuditLog> = {};
+  if (filter.actorId) {
+    query.actorId = filter.actorId;
+  }
+  if (filter.targetType) {
+    query.targetType = filter.targetType;
+  }
+  if (filter.targetId) {
+    query.targetId = filter.targetId;
+  }
+  if (filter.actions?.length) {
+    query.action = { $in: filter.actions };
+  }
+  if (filter.from || filter.to) {
+    query.createdAt = {
+      ...(filter.from && { $gte: filter.from }),
+      ...(filter.to && { $lt: filter.to }),
+    };
+  }
+  return query;
+}
+
+export function createAdminAuditMethods(mongoose: typeof import('mongoose')) {
+  /** Records an action an admin performed */
+  async function recordAdminAudit(input: t.AdminAuditLogInput): Promise<t.IAdminAuditLog> {
+    const AdminAuditLog = mongoose.models.AdminAuditLog as Model<t.IAdminAuditLog>;
+    const entry = await AdminAuditLog.create(input);
+    return entry.toObject() as t.IAdminAuditLog;
+  }
+
+  /** Lists audit entries, newest first */
+  async function getAdminAuditLogs(
+    filter: t.AdminAuditLogFilter = {},
+    options: { limit?: number; offset?: number } = {},
+  ): Promise<{ entries: t.IAdminAuditLog[]; total: number }> {
+    const AdminAuditLog = mongoose.models.AdminAuditLog as Model<t.IAdminAuditLog>;
+    const query = buildAuditQuery(filter);
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(options.offset ?? 0)
+        .limit(options.limit ?? 50)
+        .lean<t.IAdminAuditLog[]>(),
+      AdminAuditLog.countDocuments(query),
+    ]);
+    return { entries, total };
+  }
+
+  /** Iterates over every matching audit entry, newest first, without loading them all at once */
+  function streamAdminAuditLogs(
+    filter: t.AdminAuditLogFilter = {},
+  ): AsyncIterable<t.IAdminAuditLog> {
+    const AdminAuditLog = mongoose.models.AdminAuditLog as Model<t.IAdminAuditLog>;
+    return AdminAuditLog.find(buildAuditQuery(filter))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean<t.IAdminAuditLog[]>()
+      .cursor();
+  }
+
+  /**
+   * Deletes audit entries created before the given date.
+   * This is the only way entries are removed; see the append-only guards on the schema.
+   */
+  async function purgeAdminAuditLogs(before: Date): Promise<number> {
+    const AdminAuditLog = mongoose.models.AdminAuditLog as Model<t.IAdminAuditLog>;
+    const { deletedCount } = await AdminAuditLog.deleteMany({
+      createdAt: { $lt: before },
+    }).setOptions({ [AUDIT_RETENTION_PURGE_OPTION]: true });
+    return deletedCount;
+  }
+
+  return { recordAdminAudit, getAdminAuditLogs, streamAdminAuditLogs, purgeAdminAuditLogs };
+}
+
+export type AdminAuditMethods = ReturnType<typeof createAdminAuditMethods>;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createAgentApiKeyMethods } from './agentApiKey';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: MongoMemoryServer;
+let methods: ReturnType<typeof createAgentApiKeyMethods>;
+
+const userId = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const models = createModels(mongoose);
+  Object.assign(mongoose.models, models);
+
+  methods = createAgentApiKeyMethods(mongoose);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+});
+
+describe('validateAgentApiKey', () => {
+  test('returns the key restrictions and records its usage', async () => {
+    const created = await methods.createAgentApiKey({
+      userId,
+      name: 'CI',
+      agentIds: ['agent_a'],
+      rateLimit: 30,
+    });
+
+    const validation = await methods.validateAgentApiKey(created.key, { ip: '10.0.0.1' });
+    await methods.validateAgentApiKey(created.key);
+
+    expect(validation).toEqual(
+      expect.objectContaining({ userId, agentIds: ['agent_a'], rateLimit: 30 }),
+    );
+    const key = await methods.getAgentApiKeyById(created.id, userId);
+    expect(key).toEqual(expect.objectContaining({ usageCount: 2, lastUsedIp: '10.0.0.1' }));
+    expect(key?.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects expired keys', async () => {
+    const created = await methods.createAgentApiKey({
+      userId,
+      name: 'Expired',
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    expect(await methods.validateAgentApiKey(created.key)).toBeNull();
+  });
+});
+
+describe('rotateAgentApiKey', () => {
+  test('issues a replacement and keeps the old key for the grace period', async () => {
+    const original = await methods.createAgentApiKey({
+      userId,
+      name: 'Deploy',
+      agentIds: ['agent_a', 'agent_b'],
+      rateLimit: 10,
+    });
+
+    const rotated = await methods.rotateAgentApiKey(original.id, userId, HOUR);
+
+    expect(rotated).toEqual(
+      expect.objectContaining({ name: 'Deploy', agentIds: ['agent_a', 'agent_b'], rateLimit: 10 }),
+    );
+    expect(rotated?.key).not.toBe(original.key);
+    expect(rotated?.previousKeyExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(await methods.validateAgentApiKey(original.key)).not.toBeNull();
+    expect(await methods.validateAgentApiKey(rotated!.key)).not.toBeNull();
+
+    const replacement = await methods.getAgentApiKeyById(rotated!.id, userId);
+    expect(replacement?.rotatedFrom).toBe(original.id);
+  });
+
+  test('does not extend the old key beyond its expiry', async () => {
+    const expiresAt = new Date(Date.now() + HOUR);
+    const original = await methods.createAgentApiKey({ userId, name: 'Short', expiresAt });
+
+    const rotated = await methods.rotateAgentApiKey(original.id, userId, 24 * HOUR);
+
+    expect(rotated?.previousKeyExpiresAt.getTime()).toBe(expiresAt.getTime());
+    expect(rotated?.expiresAt?.getTime()).toBe(expiresAt.getTime());
+  });
+
+  test('revokes the old key immediately without a grace period', async () => {
+    const original = await methods.createAgentApiKey({ userId, name: 'Leaked' });
+
+    await methods.rotateAgentApiKey(original.id, userId, 0);
+
+    expect(await methods.validateAgentApiKey(original.key)).toBeNull();
+  });
+
+  test('returns null for keys of other users', async () => {
+    const original = await methods.createAgentApiKey({ userId, name: 'Mine' });
+
+    const rotated = await methods.rotateAgentApiKey(
+      original.id,
+      new mongoose.Types.ObjectId(),
+      HOUR,
+    );
+
+    expect(rotated).toBeNull();
+  });
+});
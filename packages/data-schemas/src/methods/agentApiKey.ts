@@ -1,6 +1,8 @@
 import type { Types } from 'mongoose';
 import type {
   AgentApiKeyCreateResult,
+  AgentApiKeyRotateResult,
+  AgentApiKeyValidation,
   AgentApiKeyCreateData,
   AgentApiKeyListItem,
   IAgentApiKey,
@@ -11,6 +13,22 @@ import logger from '~/config/winston';
 const API_KEY_PREFIX = 'sk-';
 const API_KEY_LENGTH = 32;
 
+function toListItem(keyDoc: IAgentApiKey): AgentApiKeyListItem {
+  return {
+    id: (keyDoc._id as Types.ObjectId).toString(),
+    name: keyDoc.name,
+    keyPrefix: keyDoc.keyPrefix,
+    agentIds: keyDoc.agentIds,
+    rateLimit: keyDoc.rateLimit,
+    lastUsedAt: keyDoc.lastUsedAt,
+    lastUsedIp: keyDoc.lastUsedIp,
+    usageCount: keyDoc.usageCount,
+    rotatedFrom: keyDoc.rotatedFrom?.toString(),
+    expiresAt: keyDoc.expiresAt,
+    createdAt: keyDoc.createdAt,
+  };
+}
+
 export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
   async function generateApiKey(): Promise<{ key: string; keyHash: string; keyPrefix: string }> {
     const randomPart = await getRandomValues(API_KEY_LENGTH);
@@ -20,7 +38,9 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
     return { key, keyHash, keyPrefix };
   }
 
-  async function createAgentApiKey(data: AgentApiKeyCreateData): Promise<AgentApiKeyCreateResult> {
+  async function createAgentApiKey(
+    data: AgentApiKeyCreateData & { rotatedFrom?: Types.ObjectId },
+  ): Promise<AgentApiKeyCreateResult> {
     try {
       const AgentApiKey = mongoose.models.AgentApiKey;
       const { key, keyHash, keyPrefix } = await generateApiKey();
@@ -30,6 +50,9 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
         name: data.name,
         keyHash,
         keyPrefix,
+        agentIds: data.agentIds?.length ? data.agentIds : undefined,
+        rateLimit: data.rateLimit || undefined,
+        rotatedFrom: data.rotatedFrom,
         expiresAt: data.expiresAt || undefined,
       });
 
@@ -38,6 +61,8 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
         name: apiKeyDoc.name,
         keyPrefix,
         key,
+        agentIds: apiKeyDoc.agentIds,
+        rateLimit: apiKeyDoc.rateLimit,
         createdAt: apiKeyDoc.createdAt,
         expiresAt: apiKeyDoc.expiresAt,
       };
@@ -47,9 +72,14 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
     }
   }
 
+  /**
+   * Resolves the key's owner and restrictions, recording when and from which
+   * IP address the key was used.
+   */
   async function validateAgentApiKey(
     apiKey: string,
-  ): Promise<{ userId: Types.ObjectId; keyId: Types.ObjectId } | null> {
+    usage: { ip?: string } = {},
+  ): Promise<AgentApiKeyValidation | null> {
     try {
       const AgentApiKey = mongoose.models.AgentApiKey;
       const keyHash = await hashToken(apiKey);
@@ -60,15 +90,23 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
         return null;
       }
 
-      if (keyDoc.expiresAt && new Date(keyDoc.expiresAt) < new Date()) {
+      if (keyDoc.expiresAt && new Date(keyDoc.expiresAt) <= new Date()) {
         return null;
       }
 
-      await AgentApiKey.updateOne({ _id: keyDoc._id }, { $set: { lastUsedAt: new Date() } });
+      await AgentApiKey.updateOne(
+        { _id: keyDoc._id },
+        {
+          $set: { lastUsedAt: new Date(), ...(usage.ip && { lastUsedIp: usage.ip }) },
+          $inc: { usageCount: 1 },
+        },
+      );
 
       return {
         userId: keyDoc.userId,
         keyId: keyDoc._id as Types.ObjectId,
+        agentIds: keyDoc.agentIds,
+        rateLimit: keyDoc.rateLimit,
       };
     } catch (error) {
       logger.error('[validateAgentApiKey] Error validating API key:', error);
@@ -83,14 +121,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
         .sort({ createdAt: -1 })
         .lean()) as unknown as IAgentApiKey[];
 
-      return keys.map((key) => ({
-        id: (key._id as Types.ObjectId).toString(),
-        name: key.name,
-        keyPrefix: key.keyPrefix,
-        lastUsedAt: key.lastUsedAt,
-        expiresAt: key.expiresAt,
-        createdAt: key.createdAt,
-      }));
+      return keys.map(toListItem);
     } catch (error) {
       logger.error('[listAgentApiKeys] Error listing API keys:', error);
       throw error;
@@ -137,16 +168,61 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
         return null;
       }
 
-      return {
-        id: (keyDoc._id as Types.ObjectId).toString(),
+      return toListItem(keyDoc);
+    } catch (error) {
+      logger.error('[getAgentApiKeyById] Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issues a replacement for a key with the same name, agents and rate limit.
+   * The replaced key keeps working for the grace period, or until it would
+   * have expired anyway.
+   */
+  async function rotateAgentApiKey(
+    keyId: string | Types.ObjectId,
+    userId: string | Types.ObjectId,
+    gracePeriodMs: number,
+  ): Promise<AgentApiKeyRotateResult | null> {
+    try {
+      const AgentApiKey = mongoose.models.AgentApiKey;
+      const keyDoc = (await AgentApiKey.findOne({
+        _id: keyId,
+        userId,
+      }).lean()) as IAgentApiKey | null;
+
+      if (!keyDoc) {
+        return null;
+      }
+
+      const now = Date.now();
+      if (keyDoc.expiresAt && new Date(keyDoc.expiresAt).getTime() <= now) {
+        return null;
+      }
+
+      const created = await createAgentApiKey({
+        userId: keyDoc.userId,
         name: keyDoc.name,
-        keyPrefix: keyDoc.keyPrefix,
-        lastUsedAt: keyDoc.lastUsedAt,
+        agentIds: keyDoc.agentIds,
+        rateLimit: keyDoc.rateLimit,
         expiresAt: keyDoc.expiresAt,
-        createdAt: keyDoc.createdAt,
-      };
+        rotatedFrom: keyDoc._id as Types.ObjectId,
+      });
+
+      const graceEnd = new Date(now + gracePeriodMs);
+      const previousKeyExpiresAt =
+        keyDoc.expiresAt && new Date(keyDoc.expiresAt) < graceEnd
+          ? new Date(keyDoc.expiresAt)
+          : graceEnd;
+      await AgentApiKey.updateOne(
+        { _id: keyDoc._id },
+        { $set: { expiresAt: previousKeyExpiresAt } },
+      );
+
+      return { ...created, previousKeyExpiresAt };
     } catch (error) {
-      logger.error('[getAgentApiKeyById] Error getting API key:', error);
+      logger.error('[rotateAgentApiKey] Error rotating API key:', error);
       throw error;
     }
   }
@@ -158,6 +234,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')) {
     deleteAgentApiKey,
     deleteAllAgentApiKeys,
     getAgentApiKeyById,
+    rotateAgentApiKey,
   };
 }
 
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type * as t from '~/types';
+import { createBannerMethods } from './banner';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+let mongoServer: MongoMemoryServer;
+let methods: ReturnType<typeof createBannerMethods>;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const models = createModels(mongoose);
+  Object.assign(mongoose.models, models);
+
+  methods = createBannerMethods(mongoose);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+});
+
+describe('Banner Methods', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user: t.BannerAudience = { id: userId.toString(), role: 'USER', tenantId: 'acme' };
+
+  const createBanner = (data: Partial<t.BannerInput> = {}) =>
+    methods.createBanner({ message: 'Hello', ...data });
+
+  test('returns active banners within their display window, most severe first', async () => {
+    await createBanner({ message: 'info' });
+    await createBanner({ message: 'error', severity: 'error' });
+    await createBanner({ message: 'warning', severity: 'warning' });
+    await createBanner({ message: 'ended', displayTo: new Date(Date.now() - HOUR) });
+    await createBanner({ message: 'scheduled', displayFrom: new Date(Date.now() + HOUR) });
+
+    const banners = await methods.getActiveBanners(user);
+
+    expect(banners.map(({ message }) => message)).toEqual(['error', 'warning', 'info']);
+    expect((await methods.getBanner(user))?.message).toBe('error');
+  });
+
+  test('only returns public banners without audience rules to anonymous users', async () => {
+    await createBanner({ message: 'private' });
+    await createBanner({ message: 'public', isPublic: true });
+    await createBanner({ message: 'public admins', isPublic: true, roles: ['ADMIN'] });
+
+    const banners = await methods.getActiveBanners(null);
+
+    expect(banners.map(({ message }) => message)).toEqual(['public']);
+  });
+
+  test('targets banners by role, group and tenant', async () => {
+    const group = await mongoose.models.Group.create({
+      name: 'Support',
+      source: 'local',
+      memberIds: [userId.toString()],
+    });
+    await createBanner({ message: 'users', roles: ['USER'] });
+    await createBanner({ message: 'admins', roles: ['ADMIN'] });
+    await createBanner({ message: 'support', groups: [group._id.toString()] });
+    await createBanner({
+      message: 'other group',
+      groups: [new mongoose.Types.ObjectId().toString()],
+    });
+    await createBanner({ message: 'acme', tenantIds: ['acme'] });
+    await createBanner({ message: 'acme admins', tenantIds: ['acme'], roles: ['ADMIN'] });
+
+    const banners = await methods.getActiveBanners(user);
+
+    expect(banners.map(({ message }) => message).sort()).toEqual(['acme', 'support', 'users']);
+  });
+
+  test('hides dismissed banners from that user only', async () => {
+    const banner = await createBanner({ message: 'dismiss me' });
+    const persistent = await createBanner({ message: 'stays', persistable: true });
+
+    expect(await methods.dismissBanner(banner.bannerId, userId)).toBe(true);
+    expect(await methods.dismissBanner(banner.bannerId, userId)).toBe(true);
+    expect(await methods.dismissBanner(persistent.bannerId, userId)).toBe(false);
+    expect(await methods.dismissBanner('missing', userId)).toBe(false);
+
+    const own = await methods.getActiveBanners(user);
+    const other = await methods.getActiveBanners({ id: new mongoose.Types.ObjectId().toString() });
+
+    expect(own.map(({ message }) => message)).toEqual(['stays']);
+    expect(other).toHaveLength(2);
+  });
+
+  test('updates, lists and deletes banners', async () => {
+    const banner = await createBanner({ displayTo: new Date(Date.now() + HOUR) });
+    await createBanner({ message: 'ended', displayTo: new Date(Date.now() - HOUR) });
+    await methods.dismissBanner(banner.bannerId, userId);
+
+    const updated = await methods.updateBanner(banner.bannerId, {
+      severity: 'warning',
+      displayTo: null,
+    });
+    expect(updated?.severity).toBe('warning');
+    expect(updated?.displayTo).toBeUndefined();
+
+    expect((await methods.listBanners()).total).toBe(2);
+    const active = await methods.listBanners({ active: true });
+    expect(active.banners.map(({ bannerId }) => bannerId)).toEqual([banner.bannerId]);
+
+    expect(await methods.deleteBanner(banner.bannerId)).toBe(true);
+    expect(await methods.deleteBanner(banner.bannerId)).toBe(false);
+    expect(await mongoose.models.BannerDismissal.countDocuments()).toBe(0);
+  });
+});
@@ -1,33 +1,200 @@
-import type { Model } from 'mongoose';
+import { nanoid } from 'nanoid';
+import type { FilterQuery, Model, Types, UpdateQuery } from 'mongoose';
 import logger from '~/config/winston';
-import type { IBanner, IUser } from '~/types';
+import type * as t from '~/types';
+
+const SEVERITY_RANK: Record<t.BannerSeverity, number> = { info: 0, warning: 1, error: 2 };
+
+/** Most severe first, then most recently started */
+function compareBanners(a: t.IBanner, b: t.IBanner): number {
+  const bySeverity = SEVERITY_RANK[b.severity ?? 'info'] - SEVERITY_RANK[a.severity ?? 'info'];
+  if (bySeverity !== 0) {
+    return bySeverity;
+  }
+  return new Date(b.displayFrom).getTime() - new Date(a.displayFrom).getTime();
+}
+
+/** Matches banners whose `field` list is empty or contains one of `values` */
+function audienceRule(field: 'roles' | 'groups' | 'tenantIds', values: string[]) {
+  const unrestricted = { [`${field}.0`]: { $exists: false } };
+  if (values.length === 0) {
+    return unrestricted;
+  }
+  return { $or: [unrestricted, { [field]: { $in: values } }] };
+}
 
 export function createBannerMethods(mongoose: typeof import('mongoose')) {
+  async function findUserGroupIds(user: t.BannerAudience): Promise<string[]> {
+    const userId = user.id ?? user._id?.toString();
+    if (!userId) {
+      return [];
+    }
+    const Group = mongoose.models.Group as Model<t.IGroup>;
+    const groups = await Group.find({ memberIds: user.idOnTheSource || userId }, '_id').lean<
+      Array<{ _id: Types.ObjectId }>
+    >();
+    return groups.map(({ _id }) => _id.toString());
+  }
+
   /**
-   * Retrieves the current active banner.
+   * Retrieves the banners currently shown to a user, most severe first.
+   * Without a user, only public banners with no audience rules are returned.
+   * Banners the user dismissed are left out.
    */
-  async function getBanner(user?: IUser | null): Promise<IBanner | null> {
-    try {
-      const Banner = mongoose.models.Banner as Model<IBanner>;
-      const now = new Date();
-      const banner = (await Banner.findOne({
-        displayFrom: { $lte: now },
-        $or: [{ displayTo: { $gte: now } }, { displayTo: null }],
-        type: 'banner',
-      }).lean()) as IBanner | null;
+  async function getActiveBanners(
+    user?: t.BannerAudience | null,
+    options: { type?: t.BannerType } = {},
+  ): Promise<t.IBanner[]> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const now = new Date();
+    const conditions: FilterQuery<t.IBanner>[] = [
+      { displayFrom: { $lte: now } },
+      { $or: [{ displayTo: { $gte: now } }, { displayTo: null }] },
+    ];
+    if (options.type) {
+      conditions.push({ type: options.type });
+    }
+
+    if (user == null) {
+      conditions.push(
+        { isPublic: true },
+        audienceRule('roles', []),
+        audienceRule('groups', []),
+        audienceRule('tenantIds', []),
+      );
+      const banners = await Banner.find({ $and: conditions }).lean<t.IBanner[]>();
+      return banners.sort(compareBanners);
+    }
+
+    const groupIds = await findUserGroupIds(user);
+    conditions.push(
+      audienceRule('roles', user.role ? [user.role] : []),
+      audienceRule('groups', groupIds),
+      audienceRule('tenantIds', user.tenantId ? [user.tenantId] : []),
+    );
+    const banners = await Banner.find({ $and: conditions }).lean<t.IBanner[]>();
+    if (banners.length === 0) {
+      return banners;
+    }
+
+    const BannerDismissal = mongoose.models.BannerDismissal as Model<t.IBannerDismissal>;
+    const dismissed = await BannerDismissal.find({
+      userId: user.id ?? user._id,
+      bannerId: { $in: banners.map(({ bannerId }) => bannerId) },
+    })
+      .select('bannerId')
+      .lean<Array<{ bannerId: string }>>();
+    const dismissedIds = new Set(dismissed.map(({ bannerId }) => bannerId));
 
-      if (!banner || banner.isPublic || user != null) {
-        return banner;
-      }
+    return banners
+      .filter((banner) => banner.persistable || !dismissedIds.has(banner.bannerId))
+      .sort(compareBanners);
+  }
 
-      return null;
+  /**
+   * Retrieves the current active banner: the most severe banner shown to the user.
+   */
+  async function getBanner(user?: t.IUser | t.BannerAudience | null): Promise<t.IBanner | null> {
+    try {
+      const banners = await getActiveBanners(user as t.BannerAudience | null, { type: 'banner' });
+      return banners[0] ?? null;
     } catch (error) {
       logger.error('[getBanners] Error getting banners', error);
       throw new Error('Error getting banners');
     }
   }
 
-  return { getBanner };
+  /**
+   * Records that a user dismissed a banner.
+   * Returns false if the banner does not exist or cannot be dismissed.
+   */
+  async function dismissBanner(bannerId: string, userId: string | Types.ObjectId) {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const banner = await Banner.findOne({ bannerId }, 'persistable').lean<{
+      persistable?: boolean;
+    }>();
+    if (!banner || banner.persistable) {
+      return false;
+    }
+
+    const BannerDismissal = mongoose.models.BannerDismissal as Model<t.IBannerDismissal>;
+    await BannerDismissal.updateOne(
+      { bannerId, userId },
+      { $setOnInsert: { bannerId, userId } },
+      { upsert: true },
+    );
+    return true;
+  }
+
+  /** Lists banners for administration, newest first */
+  async function listBanners(
+    options: { active?: boolean; limit?: number; offset?: number } = {},
+  ): Promise<{ banners: t.IBanner[]; total: number }> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const filter: FilterQuery<t.IBanner> = {};
+    if (options.active) {
+      const now = new Date();
+      filter.displayFrom = { $lte: now };
+      filter.$or = [{ displayTo: { $gte: now } }, { displayTo: null }];
+    }
+
+    const [banners, total] = await Promise.all([
+      Banner.find(filter)
+        .sort({ displayFrom: -1, _id: -1 })
+        .skip(options.offset ?? 0)
+        .limit(options.limit ?? 50)
+        .lean<t.IBanner[]>(),
+      Banner.countDocuments(filter),
+    ]);
+    return { banners, total };
+  }
+
+  async function getBannerById(bannerId: string): Promise<t.IBanner | null> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    return await Banner.findOne({ bannerId }).lean<t.IBanner>();
+  }
+
+  async function createBanner(data: t.BannerInput & { message: string }): Promise<t.IBanner> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const banner = await Banner.create({ ...data, bannerId: nanoid() });
+    return banner.toObject() as t.IBanner;
+  }
+
+  async function updateBanner(bannerId: string, data: t.BannerInput): Promise<t.IBanner | null> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const { displayTo, ...set } = data;
+    const update: UpdateQuery<t.IBanner> =
+      displayTo === null
+        ? { $set: set, $unset: { displayTo: 1 } }
+        : { $set: displayTo ? { ...set, displayTo } : set };
+    return await Banner.findOneAndUpdate({ bannerId }, update, {
+      new: true,
+      runValidators: true,
+    }).lean<t.IBanner>();
+  }
+
+  /** Deletes a banner along with its dismissals */
+  async function deleteBanner(bannerId: string): Promise<boolean> {
+    const Banner = mongoose.models.Banner as Model<t.IBanner>;
+    const result = await Banner.deleteOne({ bannerId });
+    if (result.deletedCount === 0) {
+      return false;
+    }
+    const BannerDismissal = mongoose.models.BannerDismissal as Model<t.IBannerDismissal>;
+    await BannerDismissal.deleteMany({ bannerId });
+    return true;
+  }
+
+  return {
+    getBanner,
+    getActiveBanners,
+    dismissBanner,
+    listBanners,
+    getBannerById,
+    createBanner,
+    updateBanner,
+    deleteBanner,
+  };
 }
 
 export type BannerMethods = ReturnType<typeof createBannerMethods>;
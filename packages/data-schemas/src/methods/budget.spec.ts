@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type * as t from '~/types';
+import { createBudgetMethods, getBudgetPeriodStart } from './budget';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: MongoMemoryServer;
+let Budget: mongoose.Model<t.IBudget>;
+let methods: ReturnType<typeof createBudgetMethods>;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const models = createModels(mongoose);
+  Object.assign(mongoose.models, models);
+  Budget = mongoose.models.Budget;
+
+  methods = createBudgetMethods(mongoose);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+});
+
+describe('getBudgetPeriodStart', () => {
+  const now = new Date('2025-03-13T15:30:00.000Z');
+
+  test('starts days, weeks and months in UTC', () => {
+    expect(getBudgetPeriodStart('day', now)).toEqual(new Date('2025-03-13T00:00:00.000Z'));
+    expect(getBudgetPeriodStart('week', now)).toEqual(new Date('2025-03-10T00:00:00.000Z'));
+    expect(getBudgetPeriodStart('month', now)).toEqual(new Date('2025-03-01T00:00:00.000Z'));
+  });
+});
+
+describe('Budget Methods', () => {
+  const createUser = (data: Partial<t.IUser> = {}) =>
+    mongoose.models.User.create({
+      name: 'Test',
+      email: `${new mongoose.Types.ObjectId()}@example.com`,
+      provider: 'local',
+      role: 'USER',
+      ...data,
+    });
+
+  test('sets, updates and deletes the budget of a group', async () => {
+    const groupId = new mongoose.Types.ObjectId().toString();
+
+    const created = await methods.setBudget(PrincipalType.GROUP, groupId, {
+      hardCap: 1000,
+      softCap: 800,
+    });
+    expect(created).toEqual(
+      expect.objectContaining({ hardCap: 1000, softCap: 800, period: 'month', spent: 0 }),
+    );
+
+    const updated = await methods.setBudget(PrincipalType.GROUP, groupId, {
+      hardCap: 2000,
+      softCap: null,
+      period: 'week',
+    });
+    expect(updated.hardCap).toBe(2000);
+    expect(updated.softCap).toBeUndefined();
+    expect(updated.period).toBe('week');
+
+    expect(await methods.deleteBudget(PrincipalType.GROUP, groupId)).toBe(true);
+    expect(await methods.getBudget(PrincipalType.GROUP, groupId)).toBeNull();
+  });
+
+  test('finds the budgets of a user, groups before role', async () => {
+    const user = await createUser({ role: 'STAFF' });
+    const group = await mongoose.models.Group.create({
+      name: 'Research',
+      source: 'local',
+      memberIds: [user._id.toString()],
+    });
+    await methods.setBudget(PrincipalType.ROLE, 'STAFF', { hardCap: 5000 });
+    await methods.setBudget(PrincipalType.GROUP, group._id.toString(), { hardCap: 1000 });
+    await methods.setBudget(PrincipalType.ROLE, 'ADMIN', { hardCap: 100 });
+
+    const budgets = await methods.getUserBudgets(user._id);
+
+    expect(budgets.map(({ principalType, principalId }) => [principalType, principalId])).toEqual([
+      [PrincipalType.GROUP, group._id.toString()],
+      [PrincipalType.ROLE, 'STAFF'],
+    ]);
+  });
+
+  test('draws spend down from every budget above the user', async () => {
+    const user = await createUser({ role: 'STAFF' });
+    const group = await mongoose.models.Group.create({
+      name: 'Research',
+      source: 'local',
+      memberIds: [user._id.toString()],
+    });
+    await methods.setBudget(PrincipalType.ROLE, 'STAFF', { hardCap: 5000 });
+    await methods.setBudget(PrincipalType.GROUP, group._id.toString(), { hardCap: 1000 });
+
+    await methods.recordBudgetSpend(user._id, 250);
+    await methods.recordBudgetSpend(user._id, 50);
+
+    const budgets = await methods.getUserBudgets(user._id);
+    expect(budgets.map(({ spent }) => spent)).toEqual([300, 300]);
+  });
+
+  test('starts spend over in a new period', async () => {
+    const user = await createUser({ role: 'STAFF' });
+    await methods.setBudget(PrincipalType.ROLE, 'STAFF', { hardCap: 5000, period: 'day' });
+    await Budget.updateOne(
+      { principalType: PrincipalType.ROLE, principalId: 'STAFF' },
+      { spent: 4000, periodStart: new Date('2020-01-01T00:00:00.000Z') },
+    );
+
+    expect((await methods.getBudget(PrincipalType.ROLE, 'STAFF'))?.spent).toBe(0);
+
+    await methods.recordBudgetSpend(user._id, 100);
+
+    const budget = await Budget.findOne({ principalId: 'STAFF' }).lean();
+    expect(budget?.spent).toBe(100);
+    expect(budget?.periodStart).toEqual(getBudgetPeriodStart('day'));
+  });
+});
@@ -0,0 +1,174 @@
+import { PrincipalType } from 'librechat-data-provider';
+import type { Model, Types } from 'mongoose';
+import type * as t from '~/types';
+import logger from '~/config/winston';
+
+/** Start of the UTC day, week (Monday) or month containing `now` */
+export function getBudgetPeriodStart(period: t.BudgetPeriod, now: Date = new Date()): Date {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+/** Returns a budget's usage, treating spend from a past period as zero */
+function toBudgetUsage(budget: t.IBudget, now: Date): t.BudgetUsage {
+  const periodStart = getBudgetPeriodStart(budget.period, now);
+  const current = budget.periodStart >= periodStart;
+  return {
+    principalType: budget.principalType,
+    principalId: budget.principalId,
+    hardCap: budget.hardCap,
+    softCap: budget.softCap,
+    period: budget.period,
+    spent: current ? budget.spent : 0,
+    periodStart: current ? budget.periodStart : periodStart,
+  };
+}
+
+export function createBudgetMethods(mongoose: typeof import('mongoose')) {
+  /** Gets the budget of a group or role */
+  async function getBudget(
+    principalType: t.BudgetPrincipalType,
+    principalId: string,
+  ): Promise<t.BudgetUsage | null> {
+    const Budget = mongoose.models.Budget as Model<t.IBudget>;
+    const budget = await Budget.findOne({ principalType, principalId }).lean<t.IBudget>();
+    return budget ? toBudgetUsage(budget, new Date()) : null;
+  }
+
+  /**
+   * Creates or updates the budget of a group or role. Spend carries over
+   * within the current period.
+   */
+  async function setBudget(
+    principalType: t.BudgetPrincipalType,
+    principalId: string,
+    { hardCap, softCap, period }: t.BudgetInput,
+  ): Promise<t.BudgetUsage> {
+    const Budget = mongoose.models.Budget as Model<t.IBudget>;
+    const now = new Date();
+    const update: Record<string, unknown> = {
+      $set: { hardCap, ...(period && { period }), ...(softCap != null && { softCap }) },
+      $setOnInsert: {
+        spent: 0,
+        periodStart: getBudgetPeriodStart(period ?? 'month', now),
+        ...(!period && { period: 'month' }),
+      },
+    };
+    if (softCap === null) {
+      update.$unset = { softCap: 1 };
+    }
+
+    const budget = await Budget.findOneAndUpdate({ principalType, principalId }, update, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+    }).lean<t.IBudget>();
+    return toBudgetUsage(budget as t.IBudget, now);
+  }
+
+  /** Deletes the budget of a group or role; resolves whether one existed */
+  async function deleteBudget(
+    principalType: t.BudgetPrincipalType,
+    principalId: string,
+  ): Promise<boolean> {
+    const Budget = mongoose.models.Budget as Model<t.IBudget>;
+    const result = await Budget.deleteOne({ principalType, principalId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Finds the budgets a user draws down: those of the groups they belong to,
+   * followed by that of their role.
+   */
+  async function findUserBudgetDocs(userId: string | Types.ObjectId): Promise<t.IBudget[]> {
+    const User = mongoose.models.User as Model<t.IUser>;
+    const user = await User.findById(userId, 'role idOnTheSource').lean<{
+      role?: string;
+      idOnTheSource?: string;
+    }>();
+    if (!user) {
+      return [];
+    }
+
+    const Group = mongoose.models.Group as Model<t.IGroup>;
+    const groups = await Group.find(
+      { memberIds: user.idOnTheSource || userId.toString() },
+      '_id',
+    ).lean<Array<{ _id: Types.ObjectId }>>();
+
+    const principals: Array<{ principalType: t.BudgetPrincipalType; principalId: unknown }> = [];
+    if (groups.length > 0) {
+      principals.push({
+        principalType: PrincipalType.GROUP,
+        principalId: { $in: groups.map(({ _id }) => _id.toString()) },
+      });
+    }
+    if (user.role) {
+      principals.push({ principalType: PrincipalType.ROLE, principalId: user.role });
+    }
+    if (principals.length === 0) {
+      return [];
+    }
+
+    const Budget = mongoose.models.Budget as Model<t.IBudget>;
+    const budgets = await Budget.find({ $or: principals }).lean<t.IBudget[]>();
+    return budgets.sort(
+      (a, b) =>
+        Number(a.principalType === PrincipalType.ROLE) -
+        Number(b.principalType === PrincipalType.ROLE),
+    );
+  }
+
+  /** Gets the current usage of the budgets a user draws down, groups first */
+  async function getUserBudgets(userId: string | Types.ObjectId): Promise<t.BudgetUsage[]> {
+    const now = new Date();
+    const budgets = await findUserBudgetDocs(userId);
+    return budgets.map((budget) => toBudgetUsage(budget, now));
+  }
+
+  /**
+   * Draws spent token credits down from every budget above a user. Spend from
+   * a past period is discarded in the same atomic update.
+   */
+  async function recordBudgetSpend(userId: string | Types.ObjectId, amount: number) {
+    if (!(amount > 0)) {
+      return;
+    }
+    try {
+      const Budget = mongoose.models.Budget as Model<t.IBudget>;
+      const budgets = await findUserBudgetDocs(userId);
+      const now = new Date();
+      await Promise.all(
+        budgets.map((budget) => {
+          const periodStart = getBudgetPeriodStart(budget.period, now);
+          const isPastPeriod = { $lt: ['$periodStart', periodStart] };
+          return Budget.updateOne({ _id: budget._id }, [
+            {
+              $set: {
+                spent: { $cond: [isPastPeriod, amount, { $add: ['$spent', amount] }] },
+                periodStart: { $cond: [isPastPeriod, periodStart, '$periodStart'] },
+              },
+            },
+          ]);
+        }),
+      );
+    } catch (error) {
+      logger.error('[recordBudgetSpend] Error recording budget spend', { userId, error });
+    }
+  }
+
+  return {
+    getBudget,
+    setBudget,
+    deleteBudget,
+    getUserBudgets,
+    recordBudgetSpend,
+  };
+}
+
+export type BudgetMethods = ReturnType<typeof createBudgetMethods>;
@@ -1,8 +1,9 @@
 import type { FilterQuery, Model, SortOrder } from 'mongoose';
 import { createTempChatExpirationDate } from '~/utils/tempChatRetention';
 import { tenantSafeBulkWrite } from '~/utils/tenantBulkWrite';
+import { getSearchBackend } from '~/utils/search';
 import logger from '~/config/winston';
-import type { AppConfig, IConversation } from '~/types';
+import type { AppConfig, IConversation, IMessage, SearchFilters } from '~/types';
 import type { MessageMethods } from './message';
 import type { DeleteResult } from 'mongoose';
 
@@ -34,7 +35,7 @@ export interface ConversationMethods {
       search?: string;
       sortBy?: string;
       sortDirection?: string;
-    },
+    } & Omit<SearchFilters, 'tags'>,
   ): Promise<{ conversations: IConversation[]; nextCursor: string | null }>;
   getConvosQueried(
     user: string,
@@ -54,6 +55,11 @@ export interface ConversationMethods {
   ): Promise<DeleteResult & { messages: DeleteResult }>;
 }
 
+/** Maximum number of conversations matched by a search, across all pages */
+const MAX_SEARCH_CONVERSATIONS = 1000;
+/** Maximum number of matching messages scanned for their conversations by MongoDB text search */
+const MAX_SEARCH_MESSAGES = 5000;
+
 export function createConversationMethods(
   mongoose: typeof import('mongoose'),
   messageMethods?: Pick<MessageMethods, 'getMessages' | 'deleteMessages'>,
@@ -265,6 +271,48 @@ export function createConversationMethods(
     }
   }
 
+  /**
+   * Finds the conversations of a user matching a search query, through the configured backend.
+   * MongoDB text search matches conversation titles and tags as well as message text.
+   * Matches are capped at `MAX_SEARCH_CONVERSATIONS` so they can be paginated by cursor.
+   */
+  async function searchConversationIds(user: string, search: string): Promise<string[]> {
+    const Conversation = mongoose.models.Conversation as Model<IConversation>;
+    if (getSearchBackend() === 'meilisearch') {
+      const meiliResults = await (
+        Conversation as unknown as {
+          meiliSearch: (
+            query: string,
+            options: Record<string, string | number>,
+          ) => Promise<{
+            hits: Array<{ conversationId: string }>;
+          }>;
+        }
+      ).meiliSearch(search, { filter: `user = "${user}"`, limit: MAX_SEARCH_CONVERSATIONS });
+      return Array.isArray(meiliResults.hits)
+        ? meiliResults.hits.map((result) => result.conversationId)
+        : [];
+    }
+
+    const Message = mongoose.models.Message as Model<IMessage>;
+    const textQuery = { user, $text: { $search: search } };
+    const [conversations, messages] = await Promise.all([
+      Conversation.find(textQuery)
+        .select('conversationId')
+        .limit(MAX_SEARCH_CONVERSATIONS)
+        .lean<Array<Pick<IConversation, 'conversationId'>>>(),
+      Message.find({ ...textQuery, expiredAt: null })
+        .select('conversationId')
+        .limit(MAX_SEARCH_MESSAGES)
+        .lean<Array<Pick<IMessage, 'conversationId'>>>(),
+    ]);
+    const conversationIds = new Set(conversations.map((convo) => convo.conversationId));
+    for (const message of messages) {
+      conversationIds.add(message.conversationId);
+    }
+    return [...conversationIds].slice(0, MAX_SEARCH_CONVERSATIONS);
+  }
+
   /**
    * Retrieves conversations using cursor-based pagination.
    */
@@ -278,6 +326,10 @@ export function createConversationMethods(
       search,
       sortBy = 'updatedAt',
       sortDirection = 'desc',
+      endpoint,
+      model,
+      startDate,
+      endDate,
     }: {
       cursor?: string | null;
       limit?: number;
@@ -286,7 +338,7 @@ export function createConversationMethods(
       search?: string;
       sortBy?: string;
       sortDirection?: string;
-    } = {},
+    } & Omit<SearchFilters, 'tags'> = {},
   ) {
     const Conversation = mongoose.models.Conversation as Model<IConversation>;
     const filters: FilterQuery<IConversation>[] = [{ user } as FilterQuery<IConversation>];
@@ -306,29 +358,33 @@ export function createConversationMethods(
       $or: [{ expiredAt: null }, { expiredAt: { $exists: false } }],
     } as FilterQuery<IConversation>);
 
+    if (endpoint) {
+      filters.push({ endpoint } as FilterQuery<IConversation>);
+    }
+    if (model) {
+      filters.push({ model } as FilterQuery<IConversation>);
+    }
+    if (startDate || endDate) {
+      filters.push({
+        updatedAt: {
+          ...(startDate && { $gte: startDate }),
+          ...(endDate && { $lte: endDate }),
+        },
+      } as FilterQuery<IConversation>);
+    }
+
     if (search) {
+      let matchingIds: string[];
       try {
-        const meiliResults = await (
-          Conversation as unknown as {
-            meiliSearch: (
-              query: string,
-              options: Record<string, string>,
-            ) => Promise<{
-              hits: Array<{ conversationId: string }>;
-            }>;
-          }
-        ).meiliSearch(search, { filter: `user = "${user}"` });
-        const matchingIds = Array.isArray(meiliResults.hits)
-          ? meiliResults.hits.map((result) => result.conversationId)
-          : [];
-        if (!matchingIds.length) {
-          return { conversations: [], nextCursor: null };
-        }
-        filters.push({ conversationId: { $in: matchingIds } } as FilterQuery<IConversation>);
+        matchingIds = await searchConversationIds(user, search);
       } catch (error) {
-        logger.error('[getConvosByCursor] Error during meiliSearch', error);
-        throw new Error('Error during meiliSearch');
+        logger.error('[getConvosByCursor] Error during search', error);
+        throw new Error('Error during search');
+      }
+      if (!matchingIds.length) {
+        return { conversations: [], nextCursor: null };
       }
+      filters.push({ conversationId: { $in: matchingIds } } as FilterQuery<IConversation>);
     }
 
     const validSortFields = ['title', 'createdAt', 'updatedAt'];
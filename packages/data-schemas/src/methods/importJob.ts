@@ -0,0 +1,169 @@
+import type { Model } from 'mongoose';
+import type * as t from '~/types';
+import logger from '~/config/winston';
+
+/** Maximum number of per-conversation failures stored on a job */
+export const MAX_IMPORT_JOB_FAILURES = 500;
+
+/** How long finished jobs remain available for status polling */
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function createImportJobMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Creates a new pending import job.
+   */
+  async function createImportJob(data: t.ImportJobCreateData): Promise<t.IImportJob> {
+    try {
+      const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+      const job = await ImportJob.create({ ...data, status: 'pending' });
+      return job.toObject() as t.IImportJob;
+    } catch (error) {
+      logger.error('[createImportJob] Error creating import job', error);
+      throw new Error('Error creating import job');
+    }
+  }
+
+  /**
+   * Retrieves an import job owned by the given user.
+   */
+  async function getImportJob(user: string, jobId: string): Promise<t.IImportJob | null> {
+    try {
+      const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+      return await ImportJob.findOne({ user, jobId }).lean<t.IImportJob>();
+    } catch (error) {
+      logger.error('[getImportJob] Error getting import job', error);
+      throw new Error('Error getting import job');
+    }
+  }
+
+  /**
+   * Atomically claims a job for processing under a new lease, marking it as running and
+   * incrementing its attempts. Without `staleBefore` only pending jobs are claimed; with it,
+   * jobs left pending or running are taken over once their lease has not been renewed since
+   * that date (e.g. their server crashed).
+   */
+  async function claimImportJob(
+    jobId: string,
+    leaseOwner: string,
+    staleBefore?: Date,
+  ): Promise<t.IImportJob | null> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    const filter = staleBefore
+      ? { jobId, status: { $in: ['pending', 'running'] }, updatedAt: { $lt: staleBefore } }
+      : { jobId, status: 'pending' };
+    return await ImportJob.findOneAndUpdate(
+      filter,
+      { $set: { status: 'running', leaseOwner, startedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true },
+    ).lean<t.IImportJob>();
+  }
+
+  /**
+   * Renews the lease of a running job. Resolves false once another runner has taken it over.
+   */
+  async function renewImportJobLease(jobId: string, leaseOwner: string): Promise<boolean> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    const result = await ImportJob.updateOne(
+      { jobId, leaseOwner, status: 'running' },
+      { $set: { updatedAt: new Date() } },
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Records the conversation IDs of a batch before it is written, so a crash
+   * mid-write can be rolled back when the job resumes.
+   * Resolves false when the lease has been lost.
+   */
+  async function setImportJobPending(
+    jobId: string,
+    leaseOwner: string,
+    conversationIds: string[],
+  ): Promise<boolean> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    const result = await ImportJob.updateOne(
+      { jobId, leaseOwner },
+      { $set: { pendingConversationIds: conversationIds } },
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Commits the progress of a written batch and clears its pending conversation IDs.
+   * Resolves false when the lease has been lost.
+   */
+  async function recordImportJobProgress(
+    jobId: string,
+    leaseOwner: string,
+    { processedCount, bytesProcessed, contentSize, imported, failures }: t.ImportJobProgress,
+  ): Promise<boolean> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    const result = await ImportJob.updateOne(
+      { jobId, leaseOwner },
+      {
+        $set: {
+          processedCount,
+          bytesProcessed,
+          pendingConversationIds: [],
+          ...(contentSize != null && { contentSize }),
+        },
+        $inc: { importedCount: imported, failedCount: failures.length },
+        $push: { failures: { $each: failures, $slice: MAX_IMPORT_JOB_FAILURES } },
+      },
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Marks a job as completed or failed and schedules its removal.
+   * Resolves false when the lease has been lost.
+   */
+  async function finishImportJob(
+    jobId: string,
+    leaseOwner: string,
+    { status, error }: { status: 'completed' | 'failed'; error?: string },
+  ): Promise<boolean> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    const completedAt = new Date();
+    const result = await ImportJob.updateOne(
+      { jobId, leaseOwner },
+      {
+        $set: {
+          status,
+          error,
+          completedAt,
+          pendingConversationIds: [],
+          expiredAt: new Date(completedAt.getTime() + FINISHED_JOB_TTL_MS),
+        },
+      },
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Retrieves pending or running jobs whose lease has not been renewed since `staleBefore`.
+   * Must be called in a system tenant context to cover all tenants.
+   */
+  async function getStaleImportJobs(staleBefore: Date): Promise<t.IImportJob[]> {
+    const ImportJob = mongoose.models.ImportJob as Model<t.IImportJob>;
+    return await ImportJob.find({
+      status: { $in: ['pending', 'running'] },
+      updatedAt: { $lt: staleBefore },
+    })
+      .sort({ createdAt: 1 })
+      .lean<t.IImportJob[]>();
+  }
+
+  return {
+    createImportJob,
+    getImportJob,
+    claimImportJob,
+    renewImportJobLease,
+    setImportJobPending,
+    recordImportJobProgress,
+    finishImportJob,
+    getStaleImportJobs,
+  };
+}
+
+export type ImportJobMethods = ReturnType<typeof createImportJobMethods>;
@@ -32,6 +32,9 @@ import { createPresetMethods, type PresetMethods } from './preset';
 import { createConversationTagMethods, type ConversationTagMethods } from './conversationTag';
 import { createMessageMethods, type MessageMethods } from './message';
 import { createConversationMethods, type ConversationMethods } from './conversation';
+import { createImportJobMethods, type ImportJobMethods } from './importJob';
+import { createRetentionMethods, type RetentionMethods } from './retention';
+import { createBudgetMethods, type BudgetMethods } from './budget';
 /* Tier 3 — Complex (heavier injection) */
 import {
   createTxMethods,
@@ -62,6 +65,9 @@ import {
 import { createAgentMethods, type AgentMethods, type AgentDeps } from './agent';
 /* Config */
 import { createConfigMethods, type ConfigMethods } from './config';
+/* Admin */
+import { createAdminAuditMethods, type AdminAuditMethods } from './adminAudit';
+import type { IBalance } from '~/types';
 
 export { RoleConflictError, DEFAULT_REFRESH_TOKEN_EXPIRY, DEFAULT_SESSION_EXPIRY };
 export { tokenValues, cacheTokenValues, premiumTokenValues, defaultRate };
@@ -92,13 +98,17 @@ export type AllMethods = UserMethods &
   ConversationTagMethods &
   MessageMethods &
   ConversationMethods &
+  ImportJobMethods &
+  RetentionMethods &
+  BudgetMethods &
   TxMethods &
   TransactionMethods &
   SpendTokensMethods &
   PromptMethods &
   SkillMethods &
   AgentMethods &
-  ConfigMethods;
+  ConfigMethods &
+  AdminAuditMethods;
 
 /** Dependencies injected from the api layer into createMethods */
 export interface CreateMethodsDeps {
@@ -113,6 +123,8 @@ export interface CreateMethodsDeps {
   removeAllPermissions?: (params: { resourceType: string; resourceId: unknown }) => Promise<void>;
   /** Returns a cache store for the given key. From getLogStores. */
   getCache?: RoleDeps['getCache'];
+  /** Called with a user's balance after each spend. From BalanceAlertService. */
+  onBalanceUpdate?: (balance: IBalance) => void;
 }
 
 /**
@@ -131,10 +143,15 @@ export function createMethods(
   };
   const txMethods = createTxMethods(mongoose, txDeps);
 
+  const budgetMethods = createBudgetMethods(mongoose);
+
   // Tier 3: transaction methods need tx's getMultiplier/getCacheMultiplier
+  // and draw spend down from group and role budgets
   const transactionMethods = createTransactionMethods(mongoose, {
     getMultiplier: txMethods.getMultiplier,
     getCacheMultiplier: txMethods.getCacheMultiplier,
+    recordBudgetSpend: budgetMethods.recordBudgetSpend,
+    onBalanceUpdate: deps.onBalanceUpdate,
   });
 
   // Tier 3: spendTokens methods need transaction methods
@@ -218,6 +235,9 @@ export function createMethods(
     ...createConversationTagMethods(mongoose),
     ...messageMethods,
     ...conversationMethods,
+    ...createImportJobMethods(mongoose),
+    ...createRetentionMethods(mongoose),
+    ...budgetMethods,
     /* Tier 3 */
     ...txMethods,
     ...transactionMethods,
@@ -228,6 +248,8 @@ export function createMethods(
     ...agentMethods,
     /* Config */
     ...createConfigMethods(mongoose),
+    /* Admin */
+    ...createAdminAuditMethods(mongoose),
   };
 }
 
@@ -257,6 +279,9 @@ export type {
   ConversationTagMethods,
   MessageMethods,
   ConversationMethods,
+  ImportJobMethods,
+  RetentionMethods,
+  BudgetMethods,
   TxMethods,
   TransactionMethods,
   SpendTokensMethods,
@@ -273,4 +298,5 @@ export type {
   ValidationIssue,
   AgentMethods,
   ConfigMethods,
+  AdminAuditMethods,
 };
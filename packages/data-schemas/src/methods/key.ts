@@ -85,6 +85,21 @@ export function createKeyMethods(mongoose: typeof import('mongoose')) {
     return { expiresAt: keyValue.expiresAt || 'never' };
   }
 
+  /**
+   * Lists the names and expiry dates of a user's keys, without their values.
+   * @param params - The parameters object
+   * @param params.userId - The unique identifier for the user
+   * @returns The user's keys, sorted by name
+   */
+  async function getUserKeys(params: {
+    userId: string;
+  }): Promise<Array<{ name: string; expiresAt?: Date }>> {
+    const Key = mongoose.models.Key;
+    return await Key.find({ userId: params.userId }, 'name expiresAt -_id')
+      .sort({ name: 1 })
+      .lean<Array<{ name: string; expiresAt?: Date }>>();
+  }
+
   /**
    * Updates or inserts a new key for a given user identified by userId and name, with a specified value and expiry date.
    * @param params - The parameters object
@@ -150,6 +165,7 @@ export function createKeyMethods(mongoose: typeof import('mongoose')) {
 
   return {
     getUserKey,
+    getUserKeys,
     updateUserKey,
     deleteUserKey,
     getUserKeyValues,
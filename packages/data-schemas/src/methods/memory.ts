@@ -1,4 +1,8 @@
 import { Types } from 'mongoose';
+import { GLOBAL_MEMORY_SCOPE } from 'librechat-data-provider';
+import type { AnyBulkWriteOperation, ClientSession } from 'mongoose';
+import { tenantSafeBulkWrite } from '~/utils/tenantBulkWrite';
+import { supportsTransactions } from '~/utils/transactions';
 import logger from '~/config/winston';
 import type * as t from '~/types';
 
@@ -9,8 +13,130 @@ const formatDate = (date: Date): string => {
   return date.toISOString().split('T')[0];
 };
 
+/** Number of past versions kept per memory key */
+export const MAX_MEMORY_VERSIONS = 50;
+
+/** Attempts at numbering versions when concurrent writes take the same version */
+const MAX_VERSION_WRITE_ATTEMPTS = 3;
+
+interface MemoryVersionWrite {
+  key: string;
+  value: string | null;
+  tokenCount?: number;
+}
+
+/** Memories saved before scopes existed have no scope and belong to the global scope */
+const scopeFilter = (scope: string = GLOBAL_MEMORY_SCOPE) =>
+  scope === GLOBAL_MEMORY_SCOPE ? { scope: { $in: [GLOBAL_MEMORY_SCOPE, null] } } : { scope };
+
+/**
+ * Returns the positions of the documents an unordered insert rejected because their
+ * version was already taken, or null if it failed for any other reason.
+ */
+const getDuplicateVersionIndexes = (error: unknown): Set<number> | null => {
+  const { writeErrors } = error as { writeErrors?: Array<{ code?: number; index: number }> };
+  if (!writeErrors?.length || writeErrors.some(({ code }) => code !== 11000)) {
+    return null;
+  }
+  return new Set(writeErrors.map(({ index }) => index));
+};
+
+/** Sets the value and provenance of a memory; a write without a source clears the previous one */
+const memoryUpdate = (
+  value: string,
+  tokenCount: number,
+  scope: string,
+  source: t.MemorySource | undefined,
+  updated_at: Date,
+) =>
+  source
+    ? { $set: { value, tokenCount, scope, source, updated_at } }
+    : { $set: { value, tokenCount, scope, updated_at }, $unset: { source: 1 } };
+
 // Factory function that takes mongoose instance and returns the methods
 export function createMemoryMethods(mongoose: typeof import('mongoose')) {
+  let transactionSupport: Promise<boolean> | null = null;
+
+  /**
+   * Appends a version for each written key and prunes versions beyond
+   * `MAX_MEMORY_VERSIONS`. Deletions are recorded with a null value.
+   * Versions are unique per key, so a version taken by a concurrent write is
+   * renumbered and retried. Inside a transaction the conflict aborts it instead.
+   */
+  async function recordMemoryVersions(
+    userId: string | Types.ObjectId,
+    writes: MemoryVersionWrite[],
+    options: t.BulkUpdateMemoriesOptions & { session?: ClientSession } = {},
+  ): Promise<void> {
+    if (writes.length === 0) {
+      return;
+    }
+
+    const { scope = GLOBAL_MEMORY_SCOPE, source, revertedFrom, session } = options;
+    const MemoryVersion = mongoose.models.MemoryVersion;
+
+    const getAction = (value: string | null): t.MemoryVersionAction => {
+      if (revertedFrom != null) {
+        return 'revert';
+      }
+      return value == null ? 'delete' : 'set';
+    };
+
+    const numberVersions = async (pending: MemoryVersionWrite[]) => {
+      const latest = await MemoryVersion.aggregate<{ _id: string; version: number }>([
+        {
+          $match: {
+            userId: new Types.ObjectId(userId),
+            key: { $in: pending.map(({ key }) => key) },
+            ...scopeFilter(scope),
+          },
+        },
+        { $group: { _id: '$key', version: { $max: '$version' } } },
+      ]).session(session ?? null);
+      const latestVersions = new Map(latest.map(({ _id, version }) => [_id, version]));
+
+      return pending.map(({ key, value, tokenCount = 0 }) => ({
+        userId,
+        key,
+        scope,
+        version: (latestVersions.get(key) ?? 0) + 1,
+        action: getAction(value),
+        value,
+        tokenCount: value == null ? 0 : tokenCount,
+        source,
+        revertedFrom,
+      }));
+    };
+
+    const recorded: Array<{ key: string; version: number }> = [];
+    let pending = writes;
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      const versions = await numberVersions(pending);
+      try {
+        await MemoryVersion.insertMany(versions, { session, ordered: false });
+        recorded.push(...versions);
+        pending = [];
+      } catch (error) {
+        const conflicts = getDuplicateVersionIndexes(error);
+        if (!conflicts || session || attempt >= MAX_VERSION_WRITE_ATTEMPTS) {
+          throw error;
+        }
+        recorded.push(...versions.filter((_, index) => !conflicts.has(index)));
+        pending = pending.filter((_, index) => conflicts.has(index));
+      }
+    }
+
+    const stale = recorded.filter(({ version }) => version > MAX_MEMORY_VERSIONS);
+    for (const { key, version } of stale) {
+      await MemoryVersion.deleteMany({
+        userId,
+        key,
+        ...scopeFilter(scope),
+        version: { $lte: version - MAX_MEMORY_VERSIONS },
+      }).session(session ?? null);
+    }
+  }
+
   /**
    * Creates a new memory entry for a user
    * Throws an error if a memory with the same key already exists
@@ -20,6 +146,8 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
     key,
     value,
     tokenCount = 0,
+    source,
+    scope = GLOBAL_MEMORY_SCOPE,
   }: t.SetMemoryParams): Promise<t.MemoryResult> {
     try {
       if (key?.toLowerCase() === 'nothing') {
@@ -27,7 +155,7 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
       }
 
       const MemoryEntry = mongoose.models.MemoryEntry;
-      const existingMemory = await MemoryEntry.findOne({ userId, key });
+      const existingMemory = await MemoryEntry.findOne({ userId, key, ...scopeFilter(scope) });
       if (existingMemory) {
         throw new Error('Memory with this key already exists');
       }
@@ -36,9 +164,12 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
         userId,
         key,
         value,
+        scope,
         tokenCount,
+        source,
         updated_at: new Date(),
       });
+      await recordMemoryVersions(userId, [{ key, value, tokenCount }], { scope, source });
 
       return { ok: true };
     } catch (error) {
@@ -49,13 +180,15 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Sets or updates a memory entry for a user
+   * Sets or updates a memory entry for a user, keeping the previous value in its history
    */
   async function setMemory({
     userId,
     key,
     value,
     tokenCount = 0,
+    source,
+    scope = GLOBAL_MEMORY_SCOPE,
   }: t.SetMemoryParams): Promise<t.MemoryResult> {
     try {
       if (key?.toLowerCase() === 'nothing') {
@@ -64,17 +197,14 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
 
       const MemoryEntry = mongoose.models.MemoryEntry;
       await MemoryEntry.findOneAndUpdate(
-        { userId, key },
-        {
-          value,
-          tokenCount,
-          updated_at: new Date(),
-        },
+        { userId, key, ...scopeFilter(scope) },
+        memoryUpdate(value, tokenCount, scope, source, new Date()),
         {
           upsert: true,
           new: true,
         },
       );
+      await recordMemoryVersions(userId, [{ key, value, tokenCount }], { scope, source });
 
       return { ok: true };
     } catch (error) {
@@ -87,10 +217,18 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
   /**
    * Deletes a specific memory entry for a user
    */
-  async function deleteMemory({ userId, key }: t.DeleteMemoryParams): Promise<t.MemoryResult> {
+  async function deleteMemory({
+    userId,
+    key,
+    source,
+    scope = GLOBAL_MEMORY_SCOPE,
+  }: t.DeleteMemoryParams): Promise<t.MemoryResult> {
     try {
       const MemoryEntry = mongoose.models.MemoryEntry;
-      const result = await MemoryEntry.findOneAndDelete({ userId, key });
+      const result = await MemoryEntry.findOneAndDelete({ userId, key, ...scopeFilter(scope) });
+      if (result) {
+        await recordMemoryVersions(userId, [{ key, value: null }], { scope, source });
+      }
       return { ok: !!result };
     } catch (error) {
       throw new Error(
@@ -100,14 +238,18 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Gets all memory entries for a user
+   * Gets all memory entries of a user in a scope, the global scope by default
    */
   async function getAllUserMemories(
     userId: string | Types.ObjectId,
+    scope: string = GLOBAL_MEMORY_SCOPE,
   ): Promise<t.IMemoryEntryLean[]> {
     try {
       const MemoryEntry = mongoose.models.MemoryEntry;
-      return (await MemoryEntry.find({ userId }).lean()) as t.IMemoryEntryLean[];
+      return (await MemoryEntry.find({
+        userId,
+        ...scopeFilter(scope),
+      }).lean()) as t.IMemoryEntryLean[];
     } catch (error) {
       throw new Error(
         `Failed to get all memories: ${error instanceof Error ? error.message : 'Unknown error'}`,
@@ -116,16 +258,29 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Gets and formats all memories for a user in two different formats
+   * Gets and formats the memories of a user in the given scopes in two different formats.
+   * When several scopes are loaded, each memory is labeled with its scope.
    */
   async function getFormattedMemories({
     userId,
+    scopes = [GLOBAL_MEMORY_SCOPE],
   }: t.GetFormattedMemoriesParams): Promise<t.FormattedMemoriesResult> {
     try {
-      const memories = await getAllUserMemories(userId);
+      const memories = (
+        await Promise.all(scopes.map((scope) => getAllUserMemories(userId, scope)))
+      ).flat();
+
+      const scopeTokens: Record<string, number> = {};
+      for (const scope of scopes) {
+        scopeTokens[scope] = 0;
+      }
+      for (const memory of memories) {
+        const scope = memory.scope ?? GLOBAL_MEMORY_SCOPE;
+        scopeTokens[scope] = (scopeTokens[scope] ?? 0) + (memory.tokenCount || 0);
+      }
 
       if (!memories || memories.length === 0) {
-        return { withKeys: '', withoutKeys: '', totalTokens: 0 };
+        return { withKeys: '', withoutKeys: '', totalTokens: 0, scopeTokens };
       }
 
       const sortedMemories = memories.sort(
@@ -140,7 +295,9 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
         .map((memory, index) => {
           const date = formatDate(new Date(memory.updated_at!));
           const tokenInfo = memory.tokenCount ? ` [${memory.tokenCount} tokens]` : '';
-          return `${index + 1}. [${date}]. ["key": "${memory.key}"]${tokenInfo}. ["value": "${memory.value}"]`;
+          const scopeInfo =
+            scopes.length > 1 ? ` ["scope": "${memory.scope ?? GLOBAL_MEMORY_SCOPE}"].` : '';
+          return `${index + 1}. [${date}].${scopeInfo} ["key": "${memory.key}"]${tokenInfo}. ["value": "${memory.value}"]`;
         })
         .join('\n\n');
 
@@ -151,7 +308,7 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
         })
         .join('\n\n');
 
-      return { withKeys, withoutKeys, totalTokens };
+      return { withKeys, withoutKeys, totalTokens, scopeTokens };
     } catch (error) {
       logger.error('Failed to get formatted memories:', error);
       return { withKeys: '', withoutKeys: '', totalTokens: 0 };
@@ -159,12 +316,13 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Deletes all memory entries for a user
+   * Deletes all memory entries for a user, including their history
    */
   async function deleteAllUserMemories(userId: string | Types.ObjectId): Promise<number> {
     try {
       const MemoryEntry = mongoose.models.MemoryEntry;
       const result = await MemoryEntry.deleteMany({ userId });
+      await mongoose.models.MemoryVersion.deleteMany({ userId });
       return result.deletedCount;
     } catch (error) {
       throw new Error(
@@ -173,6 +331,133 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
     }
   }
 
+  /**
+   * Applies a set of memory changes for a user as one unit.
+   * The changes are resolved from the memories read in the same transaction
+   * (when the deployment supports transactions), so validation against the
+   * current state, e.g. the aggregate token budget, holds for what is written.
+   * Each change is recorded in the history of its key.
+   * Returns the user's memories after the update.
+   */
+  async function bulkUpdateMemories(
+    userId: string | Types.ObjectId,
+    resolveChanges: t.ResolveMemoryChanges,
+    options: t.BulkUpdateMemoriesOptions = {},
+  ): Promise<t.IMemoryEntryLean[]> {
+    const { scope = GLOBAL_MEMORY_SCOPE, source } = options;
+    const MemoryEntry = mongoose.models.MemoryEntry;
+    const filter = { userId, ...scopeFilter(scope) };
+
+    const apply = async (session?: ClientSession): Promise<t.IMemoryEntryLean[]> => {
+      const current = (await MemoryEntry.find(filter)
+        .session(session ?? null)
+        .lean()) as t.IMemoryEntryLean[];
+      const changes = await resolveChanges(current);
+
+      const updated_at = new Date();
+      const existing = new Set(current.map(({ key }) => key));
+      const deletes = changes.delete.filter((key) => existing.has(key));
+      const ops: AnyBulkWriteOperation[] = [
+        ...deletes.map((key) => ({ deleteOne: { filter: { ...filter, key } } })),
+        ...changes.set.map(({ key, value, tokenCount }) => ({
+          updateOne: {
+            filter: { ...filter, key },
+            update: memoryUpdate(value, tokenCount, scope, source, updated_at),
+            upsert: true,
+          },
+        })),
+      ];
+      if (ops.length > 0) {
+        await tenantSafeBulkWrite(MemoryEntry, ops, session ? { session } : undefined);
+      }
+      await recordMemoryVersions(
+        userId,
+        [...deletes.map((key) => ({ key, value: null })), ...changes.set],
+        { ...options, session },
+      );
+
+      return (await MemoryEntry.find(filter)
+        .session(session ?? null)
+        .lean()) as t.IMemoryEntryLean[];
+    };
+
+    transactionSupport ??= supportsTransactions(mongoose);
+    if (!(await transactionSupport)) {
+      return await apply();
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const memories = await apply(session);
+      await session.commitTransaction();
+      return memories;
+    } catch (error) {
+      await session.abortTransaction().catch((abortError) => {
+        logger.error('[bulkUpdateMemories] Error aborting transaction:', abortError);
+      });
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Gets the retained versions of a memory key, newest first
+   */
+  async function getMemoryHistory(
+    userId: string | Types.ObjectId,
+    key: string,
+    scope: string = GLOBAL_MEMORY_SCOPE,
+  ): Promise<t.IMemoryVersionLean[]> {
+    const MemoryVersion = mongoose.models.MemoryVersion;
+    return await MemoryVersion.find({ userId, key, ...scopeFilter(scope) })
+      .sort({ version: -1 })
+      .limit(MAX_MEMORY_VERSIONS)
+      .lean<t.IMemoryVersionLean[]>();
+  }
+
+  /**
+   * Gets a single version of a memory key
+   */
+  async function getMemoryVersion(
+    userId: string | Types.ObjectId,
+    key: string,
+    version: number,
+    scope: string = GLOBAL_MEMORY_SCOPE,
+  ): Promise<t.IMemoryVersionLean | null> {
+    const MemoryVersion = mongoose.models.MemoryVersion;
+    return (await MemoryVersion.findOne({
+      userId,
+      key,
+      version,
+      ...scopeFilter(scope),
+    }).lean()) as t.IMemoryVersionLean | null;
+  }
+
+  /**
+   * Lists the scopes a user has memories in, with their token usage
+   */
+  async function getUserMemoryScopes(
+    userId: string | Types.ObjectId,
+  ): Promise<t.MemoryScopeUsage[]> {
+    const MemoryEntry = mongoose.models.MemoryEntry;
+    const scopes = await MemoryEntry.aggregate<{ _id: string; count: number; totalTokens: number }>(
+      [
+        { $match: { userId: new Types.ObjectId(userId) } },
+        {
+          $group: {
+            _id: { $ifNull: ['$scope', GLOBAL_MEMORY_SCOPE] },
+            count: { $sum: 1 },
+            totalTokens: { $sum: { $ifNull: ['$tokenCount', 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ],
+    );
+    return scopes.map(({ _id, count, totalTokens }) => ({ scope: _id, count, totalTokens }));
+  }
+
   return {
     setMemory,
     createMemory,
@@ -180,6 +465,10 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
     getAllUserMemories,
     getFormattedMemories,
     deleteAllUserMemories,
+    bulkUpdateMemories,
+    getMemoryHistory,
+    getMemoryVersion,
+    getUserMemoryScopes,
   };
 }
 
@@ -1,12 +1,31 @@
 import type { DeleteResult, FilterQuery, Model } from 'mongoose';
+import { parseTextParts } from 'librechat-data-provider';
+import type { TMessageContentParts } from 'librechat-data-provider';
 import logger from '~/config/winston';
+import {
+  getSearchTerms,
+  getSearchBackend,
+  createSearchSnippet,
+  SEARCH_SNIPPET_WORDS,
+} from '~/utils/search';
 import { createTempChatExpirationDate } from '~/utils/tempChatRetention';
 import { tenantSafeBulkWrite } from '~/utils/tenantBulkWrite';
-import type { AppConfig, IMessage } from '~/types';
+import type {
+  AppConfig,
+  IMessage,
+  IConversation,
+  SearchFilters,
+  MessageSearchHit,
+  MessageSearchOptions,
+  MessageSearchResult,
+} from '~/types';
 
 /** Simple UUID v4 regex to replace zod validation */
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+/** Maximum Meilisearch pages scanned per filtered search before returning a partial page */
+const MAX_FILTERED_SEARCH_PAGES = 10;
+
 export interface MessageMethods {
   saveMessage(
     ctx: { userId: string; isTemporary?: boolean; interfaceConfig?: AppConfig['interfaceConfig'] },
@@ -46,11 +65,7 @@ export interface MessageMethods {
       cursor?: string | null;
     },
   ): Promise<{ messages: IMessage[]; nextCursor: string | null }>;
-  searchMessages(
-    query: string,
-    searchOptions: Partial<IMessage>,
-    hydrate?: boolean,
-  ): Promise<unknown>;
+  searchMessages(query: string, options: MessageSearchOptions): Promise<MessageSearchResult>;
   deleteMessages(filter: FilterQuery<IMessage>): Promise<DeleteResult>;
 }
 
@@ -369,21 +384,155 @@ export function createMessageMethods(mongoose: typeof import('mongoose')): Messa
   }
 
   /**
-   * Performs a MeiliSearch query on the Message collection.
-   * Requires the meilisearch plugin to be registered on the Message model.
+   * Resolves the conversations of a user carrying any of the given tags.
+   * @returns The conversation IDs, or `null` when no tags are given.
+   */
+  async function getTaggedConversationIds(user: string, tags?: string[]) {
+    if (!tags?.length) {
+      return null;
+    }
+    const Conversation = mongoose.models.Conversation as Model<IConversation>;
+    const conversations = await Conversation.find({ user, tags: { $in: tags } })
+      .select('conversationId')
+      .lean<Array<Pick<IConversation, 'conversationId'>>>();
+    return conversations.map((convo) => convo.conversationId);
+  }
+
+  /** Builds the MongoDB filter for a user's messages matching the given search filters */
+  async function getMessageSearchFilter(
+    user: string,
+    { endpoint, model, tags, startDate, endDate }: SearchFilters = {},
+  ) {
+    const filter: FilterQuery<IMessage> = { user };
+    if (endpoint) {
+      filter.endpoint = endpoint;
+    }
+    if (model) {
+      filter.model = model;
+    }
+    if (startDate || endDate) {
+      filter.createdAt = {
+        ...(startDate && { $gte: startDate }),
+        ...(endDate && { $lte: endDate }),
+      };
+    }
+    const conversationIds = await getTaggedConversationIds(user, tags);
+    if (conversationIds) {
+      filter.conversationId = { $in: conversationIds };
+    }
+    return filter;
+  }
+
+  /**
+   * Searches a user's messages through the configured search backend.
+   * Both backends return hydrated messages with a highlighted `_formatted.text` snippet.
+   * Meilisearch only filters by user, so other filters are applied to its hits afterwards,
+   * fetching further pages until `limit` matches are found. `nextOffset` is the offset of
+   * the first hit not yet consumed, or `null` once the results are exhausted.
    */
   async function searchMessages(
     query: string,
-    searchOptions: Record<string, unknown>,
-    hydrate?: boolean,
-  ) {
+    { user, filters = {}, limit = 20, offset = 0 }: MessageSearchOptions,
+  ): Promise<MessageSearchResult> {
     const Message = mongoose.models.Message as Model<IMessage> & {
-      meiliSearch?: (q: string, opts: Record<string, unknown>, h?: boolean) => Promise<unknown>;
+      meiliSearch?: (
+        q: string,
+        opts: Record<string, unknown>,
+        h?: boolean,
+      ) => Promise<{ hits: MessageSearchHit[] }>;
     };
+    const filter = await getMessageSearchFilter(user, filters);
+
+    if (getSearchBackend() === 'mongodb') {
+      const terms = getSearchTerms(query);
+      const messages = await Message.find(
+        { ...filter, expiredAt: null, $text: { $search: query } },
+        { score: { $meta: 'textScore' } },
+      )
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean<Array<IMessage & { score?: number }>>();
+
+      const hits = messages.map(({ score: _score, ...message }) => {
+        const text =
+          message.text ||
+          (Array.isArray(message.content)
+            ? parseTextParts(message.content as TMessageContentParts[])
+            : '');
+        return {
+          ...message,
+          _formatted: { text: createSearchSnippet(text, terms) },
+        } as MessageSearchHit;
+      });
+      return {
+        hits,
+        query,
+        limit,
+        offset,
+        nextOffset: messages.length === limit ? offset + limit : null,
+      };
+    }
+
     if (typeof Message.meiliSearch !== 'function') {
       throw new Error('MeiliSearch plugin not registered on Message model');
     }
-    return Message.meiliSearch(query, searchOptions, hydrate);
+    const meiliSearch = Message.meiliSearch.bind(Message);
+    const searchPage = async (pageOffset: number) => {
+      const { hits } = await meiliSearch(
+        query,
+        {
+          filter: `user = "${user}"`,
+          limit,
+          offset: pageOffset,
+          attributesToHighlight: ['text'],
+          attributesToCrop: ['text'],
+          cropLength: SEARCH_SNIPPET_WORDS,
+        },
+        true,
+      );
+      return hits;
+    };
+
+    if (Object.keys(filter).length === 1) {
+      const hits = await searchPage(offset);
+      return {
+        hits,
+        query,
+        limit,
+        offset,
+        nextOffset: hits.length === limit ? offset + limit : null,
+      };
+    }
+
+    const hits: MessageSearchHit[] = [];
+    let rawOffset = offset;
+    let exhausted = false;
+    let pages = 0;
+    while (!exhausted && hits.length < limit && pages < MAX_FILTERED_SEARCH_PAGES) {
+      pages++;
+      const pageHits = await searchPage(rawOffset);
+      const matching = pageHits.length
+        ? await Message.find({
+            ...filter,
+            messageId: { $in: pageHits.map((hit) => hit.messageId) },
+          })
+            .select('messageId')
+            .lean<Array<Pick<IMessage, 'messageId'>>>()
+        : [];
+      const matchingIds = new Set(matching.map((message) => message.messageId));
+      for (const hit of pageHits) {
+        if (hits.length === limit) {
+          break;
+        }
+        rawOffset++;
+        if (matchingIds.has(hit.messageId)) {
+          hits.push(hit);
+        }
+      }
+      exhausted = pageHits.length < limit && hits.length < limit;
+    }
+    return { hits, query, limit, offset, nextOffset: exhausted ? null : rawOffset };
   }
 
   return {
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { PrincipalModel, PrincipalType, ResourceType } from 'librechat-data-provider';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createPresetMethods, MAX_PRESET_VERSIONS } from './preset';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: MongoMemoryServer;
+let methods: ReturnType<typeof createPresetMethods>;
+
+const user = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const models = createModels(mongoose);
+  Object.assign(mongoose.models, models);
+
+  methods = createPresetMethods(mongoose);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+});
+
+/** The `_id` of one of the user's presets */
+async function getPresetDocId(presetId: string): Promise<string> {
+  const preset = (await methods.getPreset(user, presetId)) as { _id: mongoose.Types.ObjectId };
+  return preset._id.toString();
+}
+
+describe('preset versions', () => {
+  test('records a version for each changed save', async () => {
+    await methods.savePreset(user, { presetId: 'p1', title: 'Draft', temperature: 0.5 });
+    await methods.savePreset(user, { presetId: 'p1', title: 'Draft', temperature: 0.5 });
+    await methods.savePreset(user, { presetId: 'p1', defaultPreset: true });
+    await methods.savePreset(user, { presetId: 'p1', title: 'Final', temperature: 0.5 });
+
+    const versions = await methods.getPresetVersions(await getPresetDocId('p1'));
+    expect(versions?.map((version) => version.title)).toEqual(['Draft', 'Final']);
+    expect(versions?.[0]).not.toHaveProperty('defaultPreset');
+
+    const presets = await methods.getPresets(user);
+    expect(presets).toHaveLength(1);
+    expect((presets as Record<string, unknown>[])[0]).not.toHaveProperty('versions');
+  });
+
+  test('keeps the latest versions only', async () => {
+    for (let i = 0; i <= MAX_PRESET_VERSIONS; i++) {
+      await methods.savePreset(user, { presetId: 'p1', title: `v${i}` });
+    }
+
+    const versions = await methods.getPresetVersions(await getPresetDocId('p1'));
+    expect(versions).toHaveLength(MAX_PRESET_VERSIONS);
+    expect(versions?.[0].title).toBe('v1');
+  });
+
+  test('reverts to a version and records the revert', async () => {
+    await methods.savePreset(user, { presetId: 'p1', title: 'First', temperature: 0.2 });
+    await methods.savePreset(user, { presetId: 'p1', title: 'Second', topP: 0.9 });
+    const id = await getPresetDocId('p1');
+
+    const reverted = await methods.revertPresetVersion(id, 0, user);
+
+    expect(reverted?.title).toBe('First');
+    expect(reverted?.topP).toBeUndefined();
+    const versions = await methods.getPresetVersions(id);
+    expect(versions).toHaveLength(3);
+    expect(versions?.[2]).toEqual(
+      expect.objectContaining({ title: 'First', revertedFrom: 0, updatedBy: user }),
+    );
+    await expect(methods.revertPresetVersion(id, 9)).rejects.toThrow('Version 9 not found');
+  });
+
+  test('updates the configuration of a shared preset without its ownership', async () => {
+    await methods.savePreset(user, { presetId: 'p1', title: 'Shared', defaultPreset: true });
+    const editor = new mongoose.Types.ObjectId().toString();
+    const id = await getPresetDocId('p1');
+
+    const updated = await methods.updatePresetConfig(
+      id,
+      { title: 'Edited', user: editor, defaultPreset: false },
+      editor,
+    );
+
+    expect(updated).toEqual(
+      expect.objectContaining({ title: 'Edited', user, defaultPreset: true }),
+    );
+    const versions = await methods.getPresetVersions(id);
+    expect(versions?.[1]).toEqual(expect.objectContaining({ title: 'Edited', updatedBy: editor }));
+  });
+
+  test('addresses presets by _id rather than presetId', async () => {
+    await methods.savePreset(user, { presetId: 'p1', title: 'Mine' });
+
+    expect(await methods.getPresetVersions('p1')).toBeNull();
+    expect(await methods.updatePresetConfig('p1', { title: 'Edited' })).toBeNull();
+    expect(await methods.getPresetById(new mongoose.Types.ObjectId().toString())).toBeNull();
+    expect(await methods.getPresetById(await getPresetDocId('p1'))).toEqual(
+      expect.objectContaining({ presetId: 'p1', title: 'Mine' }),
+    );
+  });
+});
+
+describe('createPresets', () => {
+  test('creates presets with an initial version', async () => {
+    const [created] = await methods.createPresets(user, [
+      { presetId: 'imported', title: 'Imported', user: 'someone-else', order: 3 },
+    ]);
+
+    expect(created).toEqual(expect.objectContaining({ presetId: 'imported', user }));
+    expect(created).not.toHaveProperty('order');
+    expect(await methods.getPresetVersions(String(created._id))).toEqual([
+      expect.objectContaining({ title: 'Imported' }),
+    ]);
+  });
+});
+
+describe('preset access entries', () => {
+  test('removes access entries when presets are deleted', async () => {
+    await methods.savePreset(user, { presetId: 'p1', title: 'One' });
+    const shared = await methods.getPresetById(await getPresetDocId('p1'));
+
+    await mongoose.models.AclEntry.create({
+      principalType: PrincipalType.USER,
+      principalId: new mongoose.Types.ObjectId(user),
+      principalModel: PrincipalModel.USER,
+      resourceType: ResourceType.PRESET,
+      resourceId: shared?._id,
+      permBits: 15,
+      grantedBy: new mongoose.Types.ObjectId(user),
+    });
+
+    expect(await mongoose.models.AclEntry.countDocuments()).toBe(1);
+
+    await methods.deletePresets(user, { presetId: 'p1' });
+    expect(await mongoose.models.AclEntry.countDocuments()).toBe(0);
+  });
+});
@@ -1,16 +1,91 @@
-import type { Model } from 'mongoose';
+import { ResourceType } from 'librechat-data-provider';
+import type { Model, Types } from 'mongoose';
+import { isValidObjectIdString } from '~/utils/objectId';
 import logger from '~/config/winston';
 
 interface IPreset {
+  _id?: Types.ObjectId;
   user?: string;
   presetId?: string;
   order?: number;
   defaultPreset?: boolean;
   tools?: (string | { pluginKey?: string })[];
+  versions?: Record<string, unknown>[];
   updatedAt?: Date;
   [key: string]: unknown;
 }
 
+/** Versions kept per preset; older ones are dropped */
+export const MAX_PRESET_VERSIONS = 50;
+
+/** Fields that identify or order a preset rather than configure it */
+const UNVERSIONED_FIELDS = [
+  '_id',
+  '__v',
+  'user',
+  'presetId',
+  'defaultPreset',
+  'order',
+  'versions',
+  'tenantId',
+  'createdAt',
+  'updatedAt',
+  'updatedBy',
+  'revertedFrom',
+];
+
+/** Configuration fields of a preset, as stored in its versions */
+function toPresetVersion(preset: Record<string, unknown>): Record<string, unknown> {
+  const version: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(preset)) {
+    if (!UNVERSIONED_FIELDS.includes(key) && value !== undefined) {
+      version[key] = value;
+    }
+  }
+  return version;
+}
+
+function isSameVersion(a: Record<string, unknown>, b: Record<string, unknown>): boolean {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (UNVERSIONED_FIELDS.includes(key)) {
+      continue;
+    }
+    if (JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Builds the `$push` that records the preset's next state as a version,
+ * or null when it matches the latest version.
+ */
+function buildVersionPush(
+  next: Record<string, unknown>,
+  versions: Record<string, unknown>[] = [],
+  extra: Record<string, unknown> = {},
+): Record<string, unknown> | null {
+  const version = toPresetVersion(next);
+  const latest = versions[versions.length - 1];
+  if (latest && isSameVersion(version, latest) && extra.revertedFrom == null) {
+    return null;
+  }
+  return {
+    versions: {
+      $each: [{ ...version, ...extra, updatedAt: new Date() }],
+      $slice: -MAX_PRESET_VERSIONS,
+    },
+  };
+}
+
+function normalizeTools(tools: unknown): string[] {
+  return (tools as Array<string | { pluginKey?: string }>)
+    .map((tool) => (typeof tool === 'object' && tool?.pluginKey ? tool.pluginKey : tool))
+    .filter((toolName): toolName is string => typeof toolName === 'string');
+}
+
 export function createPresetMethods(mongoose: typeof import('mongoose')) {
   /**
    * Retrieves a single preset by user and presetId.
@@ -31,7 +106,9 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
   async function getPresets(user: string, filter: Record<string, unknown> = {}) {
     try {
       const Preset = mongoose.models.Preset as Model<IPreset>;
-      const presets = await Preset.find({ ...filter, user }).lean();
+      const presets = await Preset.find({ ...filter, user })
+        .select('-versions')
+        .lean();
       const defaultValue = 10000;
 
       presets.sort((a, b) => {
@@ -53,7 +130,8 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Saves a preset. Handles default preset logic and tool normalization.
+   * Saves a preset. Handles default preset logic and tool normalization, and
+   * records the saved configuration as a new version.
    */
   async function savePreset(
     user: string,
@@ -72,13 +150,10 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
     try {
       const Preset = mongoose.models.Preset as Model<IPreset>;
       const setter: Record<string, unknown> = { $set: {} };
-      const { user: _unusedUser, ...cleanPreset } = preset;
+      const { user: _unusedUser, versions: _unusedVersions, ...cleanPreset } = preset;
       const update: Record<string, unknown> = { presetId, ...cleanPreset };
       if (preset.tools && Array.isArray(preset.tools)) {
-        update.tools =
-          (preset.tools as Array<string | { pluginKey?: string }>)
-            .map((tool) => (typeof tool === 'object' && tool?.pluginKey ? tool.pluginKey : tool))
-            .filter((toolName) => typeof toolName === 'string') ?? [];
+        update.tools = normalizeTools(preset.tools);
       }
       if (newPresetId) {
         update.presetId = newPresetId;
@@ -101,10 +176,18 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
         setter['$unset'] = { defaultPreset: '', order: '' };
       }
 
+      const current = await Preset.findOne({ presetId, user }).lean<IPreset>();
+      const { _id, versions, ...currentFields } = current ?? ({} as IPreset);
+      const versionPush = buildVersionPush({ ...currentFields, ...update }, versions);
+      if (versionPush) {
+        setter.$push = versionPush;
+      }
+
       setter.$set = update;
       return await Preset.findOneAndUpdate({ presetId, user }, setter, {
         new: true,
         upsert: true,
+        projection: { versions: 0 },
       });
     } catch (error) {
       logger.error('[savePreset] Error saving preset', error);
@@ -113,11 +196,170 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
   }
 
   /**
-   * Deletes presets matching the given filter for a user.
+   * Retrieves a preset by its `_id`, regardless of owner. Shared presets are
+   * addressed by `_id`, the ID their access entries refer to.
+   */
+  async function getPresetById(id: string) {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    return await Preset.findById(id).select('-versions').lean<IPreset>();
+  }
+
+  /** Retrieves presets by their `_id`s, excluding those of `excludeUser`. */
+  async function getPresetsByIds(
+    ids: Array<string | Types.ObjectId>,
+    excludeUser?: string,
+  ): Promise<IPreset[]> {
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    const filter: Record<string, unknown> = { _id: { $in: ids } };
+    if (excludeUser) {
+      filter.user = { $ne: excludeUser };
+    }
+    return await Preset.find(filter).select('-versions').sort({ updatedAt: -1 }).lean<IPreset[]>();
+  }
+
+  /**
+   * Updates the configuration of a preset by `_id`, as a user it is shared
+   * with may. Ownership, ordering and default status are left untouched.
+   */
+  async function updatePresetConfig(
+    id: string,
+    update: Record<string, unknown>,
+    updatingUserId?: string,
+  ): Promise<IPreset | null> {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    const current = await Preset.findById(id).lean<IPreset>();
+    if (!current) {
+      return null;
+    }
+
+    const fields = toPresetVersion(update);
+    if (Array.isArray(fields.tools)) {
+      fields.tools = normalizeTools(fields.tools);
+    }
+    const { _id, versions, ...currentFields } = current;
+    const versionPush = buildVersionPush(
+      { ...currentFields, ...fields },
+      versions,
+      updatingUserId ? { updatedBy: updatingUserId } : {},
+    );
+    return await Preset.findByIdAndUpdate(
+      current._id,
+      { $set: fields, ...(versionPush && { $push: versionPush }) },
+      { new: true, projection: { versions: 0 } },
+    ).lean<IPreset>();
+  }
+
+  /** Lists the versions of a preset by `_id`, oldest first. */
+  async function getPresetVersions(id: string): Promise<Record<string, unknown>[] | null> {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    const preset = await Preset.findById(id, 'versions').lean<IPreset>();
+    if (!preset) {
+      return null;
+    }
+    return preset.versions ?? [];
+  }
+
+  /**
+   * Restores the configuration of a preset, by `_id`, from one of its versions.
+   * The restored configuration is recorded as a new version.
+   */
+  async function revertPresetVersion(
+    id: string,
+    versionIndex: number,
+    updatingUserId?: string,
+  ): Promise<IPreset | null> {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    const current = await Preset.findById(id).lean<IPreset>();
+    if (!current) {
+      return null;
+    }
+
+    const version = current.versions?.[versionIndex];
+    if (!version) {
+      throw new Error(`Version ${versionIndex} not found`);
+    }
+
+    const restored = toPresetVersion(version);
+    const unset: Record<string, ''> = {};
+    for (const key of Object.keys(toPresetVersion(current))) {
+      if (!(key in restored)) {
+        unset[key] = '';
+      }
+    }
+
+    const { _id, versions: _versions, ...currentFields } = current;
+    const versionPush = buildVersionPush({ ...currentFields, ...restored }, [], {
+      revertedFrom: versionIndex,
+      ...(updatingUserId && { updatedBy: updatingUserId }),
+    });
+    return await Preset.findByIdAndUpdate(
+      _id,
+      {
+        $set: restored,
+        ...(Object.keys(unset).length > 0 && { $unset: unset }),
+        ...(versionPush && { $push: versionPush }),
+      },
+      { new: true, projection: { versions: 0 } },
+    ).lean<IPreset>();
+  }
+
+  /**
+   * Creates presets for a user, each under a new presetId and with an initial
+   * version. Used when importing preset bundles.
+   */
+  async function createPresets(
+    user: string,
+    presets: Array<Record<string, unknown> & { presetId: string }>,
+  ): Promise<IPreset[]> {
+    const Preset = mongoose.models.Preset as Model<IPreset>;
+    const now = new Date();
+    const docs = presets.map((preset) => {
+      const fields = toPresetVersion(preset);
+      if (Array.isArray(fields.tools)) {
+        fields.tools = normalizeTools(fields.tools);
+      }
+      return {
+        ...fields,
+        presetId: preset.presetId,
+        user,
+        versions: [{ ...fields, updatedAt: now }],
+      };
+    });
+    const created = await Preset.create(docs);
+    return created.map((doc) => {
+      const { versions: _versions, ...preset } = doc.toObject() as IPreset;
+      return preset;
+    });
+  }
+
+  /**
+   * Deletes presets matching the given filter for a user, along with the
+   * access entries that share them.
    */
   async function deletePresets(user: string, filter: Record<string, unknown> = {}) {
     const Preset = mongoose.models.Preset as Model<IPreset>;
+    const presets = await Preset.find({ ...filter, user }, '_id').lean<
+      Array<{ _id: Types.ObjectId }>
+    >();
     const deleteCount = await Preset.deleteMany({ ...filter, user });
+    if (presets.length > 0 && mongoose.models.AclEntry) {
+      await mongoose.models.AclEntry.deleteMany({
+        resourceType: ResourceType.PRESET,
+        resourceId: { $in: presets.map(({ _id }) => _id) },
+      });
+    }
     return deleteCount;
   }
 
@@ -125,6 +367,12 @@ export function createPresetMethods(mongoose: typeof import('mongoose')) {
     getPreset,
     getPresets,
     savePreset,
+    getPresetById,
+    getPresetsByIds,
+    updatePresetConfig,
+    getPresetVersions,
+    revertPresetVersion,
+    createPresets,
     deletePresets,
   };
 }
@@ -0,0 +1,179 @@
+import { FileContext } from 'librechat-data-provider';
+import type { Model } from 'mongoose';
+import type { IToolCallData } from '~/schema/toolCall';
+import type * as t from '~/types';
+import logger from '~/config/winston';
+
+/** Maximum number of per-user entries stored on a retention run */
+export const MAX_RETENTION_RUN_USERS = 1000;
+
+/**
+ * File contexts purged by retention: chat uploads and generated output.
+ * Agent, assistant and skill files back configured resources and are never purged.
+ */
+export const RETENTION_FILE_CONTEXTS = [
+  FileContext.message_attachment,
+  FileContext.image_generation,
+  FileContext.execute_code,
+  FileContext.assistants_output,
+];
+
+export function createRetentionMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Creates a running retention run record.
+   */
+  async function createRetentionRun(data: t.RetentionRunCreateData): Promise<t.IRetentionRun> {
+    try {
+      const RetentionRun = mongoose.models.RetentionRun as Model<t.IRetentionRun>;
+      const run = await RetentionRun.create({ ...data, status: 'running', startedAt: new Date() });
+      return run.toObject() as t.IRetentionRun;
+    } catch (error) {
+      logger.error('[createRetentionRun] Error creating retention run', error);
+      throw new Error('Error creating retention run');
+    }
+  }
+
+  /**
+   * Records the outcome of a retention run. Per-user entries beyond
+   * `MAX_RETENTION_RUN_USERS` are dropped; the totals still cover them.
+   */
+  async function finishRetentionRun(
+    runId: string,
+    { status, usersAffected, totals, users, error }: t.RetentionRunResult,
+  ): Promise<t.IRetentionRun | null> {
+    const RetentionRun = mongoose.models.RetentionRun as Model<t.IRetentionRun>;
+    return await RetentionRun.findOneAndUpdate(
+      { runId },
+      {
+        $set: {
+          status,
+          usersAffected,
+          totals,
+          users: users.slice(0, MAX_RETENTION_RUN_USERS),
+          usersTruncated: users.length > MAX_RETENTION_RUN_USERS,
+          error,
+          completedAt: new Date(),
+        },
+      },
+      { new: true },
+    ).lean<t.IRetentionRun>();
+  }
+
+  /**
+   * Retrieves a retention run by its ID.
+   */
+  async function getRetentionRun(runId: string): Promise<t.IRetentionRun | null> {
+    const RetentionRun = mongoose.models.RetentionRun as Model<t.IRetentionRun>;
+    return await RetentionRun.findOne({ runId }).lean<t.IRetentionRun>();
+  }
+
+  /**
+   * Lists retention runs, most recent first, without their per-user breakdown.
+   */
+  async function getRetentionRuns({
+    limit = 20,
+    offset = 0,
+  }: { limit?: number; offset?: number } = {}): Promise<{
+    runs: t.IRetentionRun[];
+    total: number;
+  }> {
+    const RetentionRun = mongoose.models.RetentionRun as Model<t.IRetentionRun>;
+    const [runs, total] = await Promise.all([
+      RetentionRun.find({})
+        .select('-users')
+        .sort({ startedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean<t.IRetentionRun[]>(),
+      RetentionRun.countDocuments({}),
+    ]);
+    return { runs, total };
+  }
+
+  /**
+   * Retrieves the IDs of a user's conversations not updated since `before`.
+   * Archived conversations are skipped unless `includeArchived` is set.
+   */
+  async function findExpiredConversationIds(
+    user: string,
+    { before, includeArchived = false }: { before: Date; includeArchived?: boolean },
+  ): Promise<string[]> {
+    const Conversation = mongoose.models.Conversation as Model<t.IConversation>;
+    const conversations = await Conversation.find({
+      user,
+      updatedAt: { $lt: before },
+      ...(!includeArchived && { isArchived: { $ne: true } }),
+    })
+      .select('conversationId')
+      .lean();
+    return conversations.map((convo) => convo.conversationId);
+  }
+
+  /**
+   * Counts the messages of a user's conversations.
+   */
+  async function countConversationMessages(
+    user: string,
+    conversationIds: string[],
+  ): Promise<number> {
+    if (!conversationIds.length) {
+      return 0;
+    }
+    const Message = mongoose.models.Message as Model<t.IMessage>;
+    return await Message.countDocuments({ user, conversationId: { $in: conversationIds } });
+  }
+
+  /**
+   * Deletes the tool calls and shared links of a user's conversations.
+   */
+  async function deleteConversationArtifacts(
+    user: string,
+    conversationIds: string[],
+  ): Promise<void> {
+    if (!conversationIds.length) {
+      return;
+    }
+    const ToolCall = mongoose.models.ToolCall as Model<IToolCallData>;
+    const SharedLink = mongoose.models.SharedLink as Model<t.ISharedLink>;
+    const filter = { user, conversationId: { $in: conversationIds } };
+    await Promise.all([ToolCall.deleteMany(filter), SharedLink.deleteMany(filter)]);
+  }
+
+  /**
+   * Retrieves a user's chat uploads and generated files not used since `before`.
+   */
+  async function findExpiredFiles(user: string, before: Date): Promise<t.IMongoFile[]> {
+    const File = mongoose.models.File as Model<t.IMongoFile>;
+    return await File.find({
+      user,
+      context: { $in: RETENTION_FILE_CONTEXTS },
+      updatedAt: { $lt: before },
+    }).lean<t.IMongoFile[]>();
+  }
+
+  /**
+   * Whether any active config override sets a retention policy.
+   */
+  async function hasRetentionConfigOverrides(): Promise<boolean> {
+    const Config = mongoose.models.Config as Model<t.IConfig>;
+    const config = await Config.exists({
+      isActive: true,
+      'overrides.retention': { $exists: true },
+    });
+    return config != null;
+  }
+
+  return {
+    createRetentionRun,
+    finishRetentionRun,
+    getRetentionRun,
+    getRetentionRuns,
+    findExpiredConversationIds,
+    countConversationMessages,
+    deleteConversationArtifacts,
+    findExpiredFiles,
+    hasRetentionConfigOverrides,
+  };
+}
+
+export type RetentionMethods = ReturnType<typeof createRetentionMethods>;
@@ -22,9 +22,14 @@ let Transaction: mongoose.Model<ITransaction>;
 let spendTokens: ReturnType<typeof createSpendTokensMethods>['spendTokens'];
 let spendStructuredTokens: ReturnType<typeof createSpendTokensMethods>['spendStructuredTokens'];
 let createTransaction: ReturnType<typeof createTransactionMethods>['createTransaction'];
+let getTransactionLedger: ReturnType<typeof createTransactionMethods>['getTransactionLedger'];
+let getConversationCostRollups: ReturnType<
+  typeof createTransactionMethods
+>['getConversationCostRollups'];
 let createStructuredTransaction: ReturnType<
   typeof createTransactionMethods
 >['createStructuredTransaction'];
+let claimBalanceAlerts: ReturnType<typeof createTransactionMethods>['claimBalanceAlerts'];
 let getMultiplier: ReturnType<typeof createTxMethods>['getMultiplier'];
 let getCacheMultiplier: ReturnType<typeof createTxMethods>['getCacheMultiplier'];
 
@@ -50,6 +55,9 @@ beforeAll(async () => {
   });
   createTransaction = transactionMethods.createTransaction;
   createStructuredTransaction = transactionMethods.createStructuredTransaction;
+  getTransactionLedger = transactionMethods.getTransactionLedger;
+  getConversationCostRollups = transactionMethods.getConversationCostRollups;
+  claimBalanceAlerts = transactionMethods.claimBalanceAlerts;
 
   const spendMethods = createSpendTokensMethods(mongoose, {
     createTransaction: transactionMethods.createTransaction,
@@ -1051,3 +1059,189 @@ describe('Premium Token Pricing Integration Tests', () => {
     expect(updatedBalance?.tokenCredits).toBeCloseTo(initialBalance - expectedCost, 0);
   });
 });
+
+describe('Transaction Ledger Tests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const otherUserId = new mongoose.Types.ObjectId();
+
+  const insertTransaction = (data: Partial<ITransaction>, minutesAgo: number) =>
+    Transaction.create({
+      user: userId,
+      tokenType: 'prompt',
+      model: 'gpt-4o',
+      rawAmount: -100,
+      tokenValue: -250,
+      ...data,
+      createdAt: new Date(Date.now() - minutesAgo * 60000),
+    });
+
+  beforeEach(async () => {
+    await mongoose.models.Conversation.create([
+      { conversationId: 'convo-a', user: userId.toString(), endpoint: 'openAI', title: 'A' },
+      { conversationId: 'convo-b', user: userId.toString(), endpoint: 'anthropic', title: 'B' },
+    ]);
+    await insertTransaction({ conversationId: 'convo-a' }, 5);
+    await insertTransaction(
+      { conversationId: 'convo-a', tokenType: 'completion', rawAmount: -40, tokenValue: -400 },
+      4,
+    );
+    await insertTransaction(
+      { conversationId: 'convo-b', model: 'claude-sonnet-4', rawAmount: -10, tokenValue: -30 },
+      3,
+    );
+    await insertTransaction(
+      { tokenType: 'credits', model: undefined, rawAmount: 1000, tokenValue: 1000 },
+      2,
+    );
+    await insertTransaction({ user: otherUserId, conversationId: 'convo-c' }, 1);
+  });
+
+  test('pages through a user ledger newest first', async () => {
+    const users = [userId.toString()];
+    const first = await getTransactionLedger({ users }, { limit: 3 });
+
+    expect(first.transactions.map((tx) => tx.tokenType)).toEqual([
+      'credits',
+      'prompt',
+      'completion',
+    ]);
+    expect(first.transactions[1].endpoint).toBe('anthropic');
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await getTransactionLedger({ users }, { cursor: first.nextCursor, limit: 3 });
+    expect(second.transactions).toHaveLength(1);
+    expect(second.transactions[0].conversationId).toBe('convo-a');
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('filters by model, endpoint and date', async () => {
+    const users = [userId.toString()];
+
+    const byModel = await getTransactionLedger({ users, model: 'claude-sonnet-4' });
+    expect(byModel.transactions.map((tx) => tx.conversationId)).toEqual(['convo-b']);
+
+    const byEndpoint = await getTransactionLedger({ users, endpoint: 'openAI' });
+    expect(byEndpoint.transactions).toHaveLength(2);
+
+    const byDate = await getTransactionLedger({
+      users,
+      startDate: new Date(Date.now() - 3.5 * 60000),
+    });
+    expect(byDate.transactions).toHaveLength(2);
+
+    const unknownEndpoint = await getTransactionLedger({ users, endpoint: 'google' });
+    expect(unknownEndpoint.transactions).toHaveLength(0);
+  });
+
+  test('rolls up usage and cost per conversation', async () => {
+    const { conversations, totals } = await getConversationCostRollups({
+      users: [userId.toString()],
+    });
+
+    expect(conversations[0]).toEqual(
+      expect.objectContaining({
+        conversationId: 'convo-a',
+        title: 'A',
+        endpoint: 'openAI',
+        promptTokens: 100,
+        completionTokens: 40,
+        cost: 650,
+        transactions: 2,
+      }),
+    );
+    expect(totals).toEqual({
+      promptTokens: 110,
+      completionTokens: 40,
+      cost: 680,
+      credits: 1000,
+      transactions: 4,
+    });
+  });
+});
+
+describe('Balance Alert Claims', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const periodStart = new Date('2025-01-01T00:00:00.000Z');
+
+  beforeEach(async () => {
+    await Balance.create({ user: userId, tokenCredits: 100, lastRefill: periodStart });
+  });
+
+  test('claims each threshold once per refill period', async () => {
+    const user = userId.toString();
+
+    expect(await claimBalanceAlerts(user, [80], periodStart)).toEqual([80]);
+    expect(await claimBalanceAlerts(user, [80, 95], periodStart)).toEqual([95]);
+    expect(await claimBalanceAlerts(user, [80, 95], periodStart)).toEqual([]);
+
+    const nextPeriod = new Date('2025-02-01T00:00:00.000Z');
+    expect(await claimBalanceAlerts(user, [80], nextPeriod)).toEqual([80]);
+
+    const balance = await Balance.findOne({ user: userId }).lean();
+    expect(balance?.alertThresholdsSent).toEqual([80]);
+    expect(balance?.alertPeriodStart).toEqual(nextPeriod);
+  });
+
+  test('never hands the same threshold to concurrent callers', async () => {
+    const user = userId.toString();
+    const results = await Promise.all([
+      claimBalanceAlerts(user, [80, 95], periodStart),
+      claimBalanceAlerts(user, [80, 95], periodStart),
+    ]);
+
+    expect(results.flat().sort()).toEqual([80, 95]);
+  });
+});
+
+describe('Balance Update Notifications', () => {
+  const onBalanceUpdate = jest.fn();
+  let notifyingMethods: ReturnType<typeof createTransactionMethods>;
+
+  beforeAll(() => {
+    notifyingMethods = createTransactionMethods(mongoose, {
+      getMultiplier,
+      getCacheMultiplier,
+      onBalanceUpdate,
+    });
+  });
+
+  beforeEach(() => {
+    onBalanceUpdate.mockClear();
+  });
+
+  test('passes the balance after a spend through updateBalance, as the bulk path does', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await Balance.create({ user: userId, tokenCredits: 1000 });
+
+    await notifyingMethods.updateBalance({ user: userId, incrementValue: -300 });
+
+    expect(onBalanceUpdate).toHaveBeenCalledTimes(1);
+    expect(onBalanceUpdate).toHaveBeenCalledWith(expect.objectContaining({ tokenCredits: 700 }));
+  });
+
+  test('passes the balance after a single transaction', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await Balance.create({ user: userId, tokenCredits: 10000000 });
+
+    await notifyingMethods.createTransaction({
+      user: userId,
+      conversationId: 'test-convo',
+      model: 'gpt-3.5-turbo',
+      context: 'test',
+      tokenType: 'prompt',
+      rawAmount: -100,
+      balance: { enabled: true },
+    });
+
+    expect(onBalanceUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not notify on refills', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await Balance.create({ user: userId, tokenCredits: 0 });
+
+    await notifyingMethods.updateBalance({ user: userId, incrementValue: 500 });
+
+    expect(onBalanceUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -1,10 +1,59 @@
+import { Types } from 'mongoose';
 import logger from '~/config/winston';
-import type { FilterQuery, Model, Types } from 'mongoose';
-import type { IBalance, IBalanceUpdate, TransactionData } from '~/types';
+import type { FilterQuery, Model, PipelineStage } from 'mongoose';
+import type {
+  IBalance,
+  IBalanceUpdate,
+  IConversation,
+  TransactionData,
+  TransactionLedgerEntry,
+  TransactionLedgerFilter,
+  TransactionLedgerPage,
+  TransactionUsageTotals,
+  ConversationCostRollup,
+} from '~/types';
 import type { ITransaction } from '~/schema/transaction';
 
 const cancelRate = 1.15;
 
+/** Largest page of the transaction ledger */
+export const MAX_LEDGER_PAGE_SIZE = 1000;
+
+/** Accumulators of `TransactionUsageTotals` for a `$group` stage */
+const usageAccumulators = {
+  promptTokens: {
+    $sum: {
+      $cond: [{ $eq: ['$tokenType', 'prompt'] }, { $abs: { $ifNull: ['$rawAmount', 0] } }, 0],
+    },
+  },
+  completionTokens: {
+    $sum: {
+      $cond: [{ $eq: ['$tokenType', 'completion'] }, { $abs: { $ifNull: ['$rawAmount', 0] } }, 0],
+    },
+  },
+  cost: {
+    $sum: {
+      $cond: [
+        { $eq: ['$tokenType', 'credits'] },
+        0,
+        { $multiply: [{ $ifNull: ['$tokenValue', 0] }, -1] },
+      ],
+    },
+  },
+  credits: {
+    $sum: { $cond: [{ $eq: ['$tokenType', 'credits'] }, { $ifNull: ['$tokenValue', 0] }, 0] },
+  },
+  transactions: { $sum: 1 },
+};
+
+const emptyTotals = (): TransactionUsageTotals => ({
+  promptTokens: 0,
+  completionTokens: 0,
+  cost: 0,
+  credits: 0,
+  transactions: 0,
+});
+
 type MultiplierParams = {
   model?: string;
   valueKey?: string;
@@ -69,6 +118,10 @@ export function createTransactionMethods(
   txMethods: {
     getMultiplier: (params: MultiplierParams) => number;
     getCacheMultiplier: (params: CacheMultiplierParams) => number | null;
+    /** Draws spend down from the group and role budgets above a user */
+    recordBudgetSpend?: (user: string | Types.ObjectId, amount: number) => Promise<void>;
+    /** Called with the balance after each spend through `updateBalance`; not awaited */
+    onBalanceUpdate?: (balance: IBalance) => void;
   },
 ) {
   /** Calculate and set the tokenValue for a transaction */
@@ -170,10 +223,26 @@ export function createTransactionMethods(
   }
 
   /**
-   * Updates a user's token balance using optimistic concurrency control.
+   * Updates a user's token balance and, for a spend, passes the new balance to
+   * `onBalanceUpdate`. Every spend path, single or bulk, goes through here.
+   */
+  async function updateBalance(params: {
+    user: string;
+    incrementValue: number;
+    setValues?: IBalanceUpdate;
+  }): Promise<IBalance> {
+    const balance = await writeBalance(params);
+    if (params.incrementValue < 0) {
+      txMethods.onBalanceUpdate?.(balance);
+    }
+    return balance;
+  }
+
+  /**
+   * Writes a user's token balance using optimistic concurrency control.
    * Always returns an IBalance or throws after exhausting retries.
    */
-  async function updateBalance({
+  async function writeBalance({
     user,
     incrementValue,
     setValues,
@@ -320,6 +389,7 @@ export function createTransactionMethods(
       user: transaction.user as string,
       incrementValue,
     });
+    await txMethods.recordBudgetSpend?.(transaction.user, -incrementValue);
 
     return {
       rate: transaction.rate as number,
@@ -359,6 +429,7 @@ export function createTransactionMethods(
       user: transaction.user as string,
       incrementValue,
     });
+    await txMethods.recordBudgetSpend?.(transaction.user, -incrementValue);
 
     return {
       rate: transaction.rate as number,
@@ -400,6 +471,35 @@ export function createTransactionMethods(
     ).lean<IBalance>();
   }
 
+  /**
+   * Records spend alert thresholds as sent for a user's refill period, starting
+   * over when the period changes. Resolves the thresholds not sent before, so
+   * concurrent callers never claim the same one.
+   */
+  async function claimBalanceAlerts(
+    user: string,
+    thresholds: number[],
+    periodStart: Date,
+  ): Promise<number[]> {
+    const Balance = mongoose.models.Balance as Model<IBalance>;
+    await Balance.updateOne(
+      { user, alertPeriodStart: { $ne: periodStart } },
+      { $set: { alertPeriodStart: periodStart, alertThresholdsSent: [] } },
+    );
+
+    const claimed: number[] = [];
+    for (const threshold of thresholds) {
+      const result = await Balance.updateOne(
+        { user, alertPeriodStart: periodStart, alertThresholdsSent: { $ne: threshold } },
+        { $addToSet: { alertThresholdsSent: threshold } },
+      );
+      if (result.modifiedCount > 0) {
+        claimed.push(threshold);
+      }
+    }
+    return claimed;
+  }
+
   /** Deletes transactions matching a filter. */
   async function deleteTransactions(filter: FilterQuery<ITransaction>) {
     const Transaction = mongoose.models.Transaction;
@@ -425,11 +525,198 @@ export function createTransactionMethods(
     }
   }
 
+  /**
+   * Builds the query of a ledger filter. Transactions do not store their endpoint,
+   * so an endpoint filter matches the conversations of that endpoint.
+   * Resolves null when no transaction can match.
+   */
+  async function buildLedgerQuery(
+    filter: TransactionLedgerFilter,
+  ): Promise<FilterQuery<ITransaction> | null> {
+    const { users, model, endpoint, conversationId, tokenType, startDate, endDate } = filter;
+    if (users && users.length === 0) {
+      return null;
+    }
+
+    const query: FilterQuery<ITransaction> = {};
+    if (users) {
+      query.user = { $in: users.map((user) => new Types.ObjectId(user)) };
+    }
+    if (model) {
+      query.model = model;
+    }
+    if (tokenType) {
+      query.tokenType = tokenType;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {
+        ...(startDate && { $gte: startDate }),
+        ...(endDate && { $lte: endDate }),
+      };
+    }
+
+    if (endpoint) {
+      const Conversation = mongoose.models.Conversation as Model<IConversation>;
+      const conversationIds: string[] = await Conversation.distinct('conversationId', {
+        endpoint,
+        ...(users && { user: { $in: users } }),
+        ...(conversationId && { conversationId }),
+      });
+      if (conversationIds.length === 0) {
+        return null;
+      }
+      query.conversationId = { $in: conversationIds };
+    } else if (conversationId) {
+      query.conversationId = conversationId;
+    }
+
+    return query;
+  }
+
+  /** Looks up the endpoint and title of the conversations of some transactions */
+  async function getConversationDetails(
+    conversationIds: Array<string | null | undefined>,
+  ): Promise<Map<string, Pick<IConversation, 'endpoint' | 'title'>>> {
+    const ids = [...new Set(conversationIds.filter((id): id is string => !!id))];
+    if (ids.length === 0) {
+      return new Map();
+    }
+    const Conversation = mongoose.models.Conversation as Model<IConversation>;
+    const conversations = await Conversation.find({ conversationId: { $in: ids } })
+      .select('conversationId endpoint title')
+      .lean<Array<Pick<IConversation, 'conversationId' | 'endpoint' | 'title'>>>();
+    return new Map(
+      conversations.map(({ conversationId, endpoint, title }) => [
+        conversationId,
+        { endpoint, title },
+      ]),
+    );
+  }
+
+  /**
+   * Retrieves a page of the transaction ledger, newest first, using cursor-based pagination.
+   * An invalid cursor starts from the beginning.
+   */
+  async function getTransactionLedger(
+    filter: TransactionLedgerFilter,
+    { cursor, limit = 50 }: { cursor?: string | null; limit?: number } = {},
+  ): Promise<TransactionLedgerPage> {
+    const query = await buildLedgerQuery(filter);
+    if (!query) {
+      return { transactions: [], nextCursor: null };
+    }
+
+    const filters: FilterQuery<ITransaction>[] = [query];
+    if (cursor) {
+      try {
+        const { createdAt, _id } = JSON.parse(Buffer.from(cursor, 'base64').toString());
+        const cursorDate = new Date(createdAt);
+        if (Number.isNaN(cursorDate.getTime()) || !Types.ObjectId.isValid(_id)) {
+          throw new Error('Malformed cursor');
+        }
+        filters.push({
+          $or: [
+            { createdAt: { $lt: cursorDate } },
+            { createdAt: cursorDate, _id: { $lt: new Types.ObjectId(_id) } },
+          ],
+        });
+      } catch {
+        logger.warn('[getTransactionLedger] Invalid cursor format, starting from beginning');
+      }
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_LEDGER_PAGE_SIZE);
+    const Transaction = mongoose.models.Transaction as Model<ITransaction>;
+    const transactions = await Transaction.find(filters.length === 1 ? query : { $and: filters })
+      .select('-__v -tenantId')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .lean<ITransaction[]>();
+
+    let nextCursor: string | null = null;
+    if (transactions.length > pageSize) {
+      transactions.pop();
+      const last = transactions[transactions.length - 1];
+      nextCursor = Buffer.from(
+        JSON.stringify({ createdAt: last.createdAt, _id: last._id.toString() }),
+      ).toString('base64');
+    }
+
+    const details = await getConversationDetails(transactions.map((tx) => tx.conversationId));
+    return {
+      transactions: transactions.map(
+        (tx): TransactionLedgerEntry => ({
+          ...tx,
+          _id: tx._id.toString(),
+          user: tx.user.toString(),
+          endpoint: tx.conversationId ? details.get(tx.conversationId)?.endpoint : undefined,
+        }),
+      ),
+      nextCursor,
+    };
+  }
+
+  /**
+   * Rolls up the transactions matching a filter per conversation, most expensive first,
+   * along with the totals across all matching transactions.
+   */
+  async function getConversationCostRollups(
+    filter: TransactionLedgerFilter,
+    { limit = 50 }: { limit?: number } = {},
+  ): Promise<{ conversations: ConversationCostRollup[]; totals: TransactionUsageTotals }> {
+    const query = await buildLedgerQuery(filter);
+    if (!query) {
+      return { conversations: [], totals: emptyTotals() };
+    }
+
+    const Transaction = mongoose.models.Transaction as Model<ITransaction>;
+    const pipeline: PipelineStage[] = [
+      { $match: query },
+      {
+        $facet: {
+          conversations: [
+            {
+              $group: {
+                _id: { $ifNull: ['$conversationId', null] },
+                ...usageAccumulators,
+                models: { $addToSet: '$model' },
+                firstAt: { $min: '$createdAt' },
+                lastAt: { $max: '$createdAt' },
+              },
+            },
+            { $sort: { cost: -1, lastAt: -1 } },
+            { $limit: Math.min(Math.max(limit, 1), MAX_LEDGER_PAGE_SIZE) },
+          ],
+          totals: [{ $group: { _id: null, ...usageAccumulators } }],
+        },
+      },
+    ];
+    const [result] = await Transaction.aggregate<{
+      conversations: Array<Omit<ConversationCostRollup, 'conversationId'> & { _id: string | null }>;
+      totals: Array<TransactionUsageTotals & { _id: null }>;
+    }>(pipeline);
+
+    const groups = result?.conversations ?? [];
+    const details = await getConversationDetails(groups.map(({ _id }) => _id));
+    const conversations = groups.map(({ _id, models, ...usage }) => ({
+      ...usage,
+      conversationId: _id,
+      models: models.filter(Boolean),
+      ...(_id ? details.get(_id) : undefined),
+    }));
+
+    const { _id: _, ...totals } = result?.totals?.[0] ?? { _id: null, ...emptyTotals() };
+    return { conversations, totals };
+  }
+
   return {
     updateBalance,
+    getTransactionLedger,
+    getConversationCostRollups,
     bulkInsertTransactions,
     findBalanceByUser,
     upsertBalanceFields,
+    claimBalanceAlerts,
     getTransactions,
     deleteTransactions,
     deleteBalances,
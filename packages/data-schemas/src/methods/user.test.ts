@@ -107,6 +107,25 @@ describe('User Methods', () => {
       });
     });
 
+    it('should include additional claims in the payload', async () => {
+      process.env.JWT_SECRET = 'test-secret';
+      mockSignPayload.mockResolvedValue('mocked-token');
+
+      await userMethods.generateToken(mockUser, 1000 * 60 * 15, { impersonatedBy: 'admin-id' });
+
+      expect(mockSignPayload).toHaveBeenCalledWith({
+        payload: {
+          id: mockUser._id,
+          username: mockUser.username,
+          provider: mockUser.provider,
+          email: mockUser.email,
+          impersonatedBy: 'admin-id',
+        },
+        secret: 'test-secret',
+        expirationTime: 900,
+      });
+    });
+
     it('should throw error when no user is provided', async () => {
       process.env.JWT_SECRET = 'test-secret';
 
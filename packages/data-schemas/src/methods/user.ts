@@ -191,8 +191,13 @@ export function createUserMethods(mongoose: typeof import('mongoose')) {
    * Generates a JWT token for a given user.
    * @param user - The user object
    * @param expiresIn - Optional expiry time in milliseconds. Default: 15 minutes
+   * @param claims - Optional additional claims, e.g. the admin impersonating the user
    */
-  async function generateToken(user: IUser, expiresIn?: number): Promise<string> {
+  async function generateToken(
+    user: IUser,
+    expiresIn?: number,
+    claims?: { impersonatedBy?: string },
+  ): Promise<string> {
     if (!user) {
       throw new Error('No user provided');
     }
@@ -205,6 +210,7 @@ export function createUserMethods(mongoose: typeof import('mongoose')) {
         username: user.username,
         provider: user.provider,
         email: user.email,
+        ...claims,
       },
       secret: process.env.JWT_SECRET,
       expirationTime: expires / 1000,
@@ -600,6 +600,22 @@ describe('UserGroup Methods - Detailed Tests', () => {
     });
   });
 
+  describe('findGroups', () => {
+    test('finds groups by query in creation order and counts them', async () => {
+      await Group.create({ name: 'First', source: 'local', idOnTheSource: 'scim-1' });
+      await Group.create({ name: 'Second', source: 'local', idOnTheSource: 'scim-2' });
+      await Group.create({ name: 'Other', source: 'local' });
+
+      const filter = { idOnTheSource: { $exists: true } };
+      const groups = await methods.findGroups(filter);
+      const page = await methods.findGroups(filter, { limit: 1, offset: 1 });
+
+      expect(groups.map(({ name }) => name)).toEqual(['First', 'Second']);
+      expect(page.map(({ name }) => name)).toEqual(['Second']);
+      expect(await methods.countGroupsByQuery(filter)).toBe(2);
+    });
+  });
+
   describe('listGroups', () => {
     beforeEach(async () => {
       await Group.create([
@@ -29,14 +29,14 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
   /**
    * Find a group by its external ID (e.g., Entra ID)
    * @param idOnTheSource - The external ID
-   * @param source - The source ('entra' or 'local')
+   * @param source - The source ('entra', 'ldap' or 'local')
    * @param projection - Optional projection of fields to return
    * @param session - Optional MongoDB session for transactions
    * @returns The group document or null if not found
    */
   async function findGroupByExternalId(
     idOnTheSource: string,
-    source: 'entra' | 'local' = 'entra',
+    source: 'entra' | 'local' | 'ldap' = 'entra',
     projection: Record<string, 0 | 1> = {},
     session?: ClientSession,
   ): Promise<IGroup | null> {
@@ -51,13 +51,13 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
   /**
    * Find multiple groups by their external IDs (e.g., Entra IDs) in a single query
    * @param idsOnTheSource - Array of external IDs
-   * @param source - The source ('entra' or 'local')
+   * @param source - The source ('entra', 'ldap' or 'local')
    * @param session - Optional MongoDB session for transactions
    * @returns Array of group documents
    */
   async function findGroupsByExternalIds(
     idsOnTheSource: string[],
-    source: 'entra' | 'local' = 'entra',
+    source: 'entra' | 'local' | 'ldap' = 'entra',
     session?: ClientSession,
   ): Promise<IGroup[]> {
     const Group = mongoose.models.Group as Model<IGroup>;
@@ -149,14 +149,14 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
   /**
    * Update or create a group by external ID
    * @param idOnTheSource - The external ID
-   * @param source - The source ('entra' or 'local')
+   * @param source - The source ('entra', 'ldap' or 'local')
    * @param updateData - Data to update or set if creating
    * @param session - Optional MongoDB session for transactions
    * @returns The updated or created group
    */
   async function upsertGroupByExternalId(
     idOnTheSource: string,
-    source: 'entra' | 'local',
+    source: 'entra' | 'local' | 'ldap',
     updateData: Partial<IGroup>,
     session?: ClientSession,
   ): Promise<IGroup | null> {
@@ -655,6 +655,32 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
     return query.lean<IGroup>();
   }
 
+  /**
+   * Finds groups matching the given filter, oldest first.
+   * @param filter - MongoDB filter query
+   * @param options - Optional limit and offset
+   */
+  async function findGroups(
+    filter: FilterQuery<IGroup>,
+    options: { limit?: number; offset?: number } = {},
+  ): Promise<IGroup[]> {
+    const Group = mongoose.models.Group as Model<IGroup>;
+    return await Group.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(options.offset ?? 0)
+      .limit(options.limit ?? 50)
+      .lean<IGroup[]>();
+  }
+
+  /**
+   * Counts groups matching the given filter.
+   * @param filter - MongoDB filter query
+   */
+  async function countGroupsByQuery(filter: FilterQuery<IGroup>): Promise<number> {
+    const Group = mongoose.models.Group as Model<IGroup>;
+    return await Group.countDocuments(filter);
+  }
+
   /**
    * Updates a group by its ID.
    * @param groupId - The group's ObjectId
@@ -686,7 +712,7 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
   }
 
   function buildGroupQuery(filter: {
-    source?: 'local' | 'entra';
+    source?: 'local' | 'entra' | 'ldap';
     search?: string;
   }): FilterQuery<IGroup> {
     const query: FilterQuery<IGroup> = {};
@@ -708,7 +734,7 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
    */
   async function listGroups(
     filter: {
-      source?: 'local' | 'entra';
+      source?: 'local' | 'entra' | 'ldap';
       search?: string;
       limit?: number;
       offset?: number;
@@ -733,7 +759,7 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
    * @param session - Optional MongoDB session for transactions
    */
   async function countGroups(
-    filter: { source?: 'local' | 'entra'; search?: string } = {},
+    filter: { source?: 'local' | 'entra' | 'ldap'; search?: string } = {},
     session?: ClientSession,
   ): Promise<number> {
     const Group = mongoose.models.Group as Model<IGroup>;
@@ -788,6 +814,8 @@ export function createUserGroupMethods(mongoose: typeof import('mongoose')) {
     removeUserFromGroup,
     removeUserFromAllGroups,
     findGroupByQuery,
+    findGroups,
+    countGroupsByQuery,
     updateGroupById,
     bulkUpdateGroups,
     getUserGroups,
@@ -0,0 +1,11 @@
+import adminAuditLogSchema from '~/schema/adminAuditLog';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IAdminAuditLog } from '~/types';
+
+export function createAdminAuditLogModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(adminAuditLogSchema);
+  return (
+    mongoose.models.AdminAuditLog ||
+    mongoose.model<IAdminAuditLog>('AdminAuditLog', adminAuditLogSchema)
+  );
+}
@@ -0,0 +1,11 @@
+import bannerDismissalSchema from '~/schema/bannerDismissal';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IBannerDismissal } from '~/types';
+
+export function createBannerDismissalModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(bannerDismissalSchema);
+  return (
+    mongoose.models.BannerDismissal ||
+    mongoose.model<IBannerDismissal>('BannerDismissal', bannerDismissalSchema)
+  );
+}
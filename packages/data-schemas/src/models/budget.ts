@@ -0,0 +1,8 @@
+import budgetSchema from '~/schema/budget';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IBudget } from '~/types';
+
+export function createBudgetModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(budgetSchema);
+  return mongoose.models.Budget || mongoose.model<IBudget>('Budget', budgetSchema);
+}
@@ -1,11 +1,16 @@
 import type * as t from '~/types';
 import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
 import mongoMeili from '~/models/plugins/mongoMeili';
+import { getSearchBackend, isMongoTextSearchEnabled } from '~/utils/search';
 import convoSchema from '~/schema/convo';
 
 export function createConversationModel(mongoose: typeof import('mongoose')) {
   applyTenantIsolation(convoSchema);
-  if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+  if (
+    getSearchBackend() === 'meilisearch' &&
+    process.env.MEILI_HOST &&
+    process.env.MEILI_MASTER_KEY
+  ) {
     convoSchema.plugin(mongoMeili, {
       mongoose,
       host: process.env.MEILI_HOST,
@@ -15,6 +20,15 @@ export function createConversationModel(mongoose: typeof import('mongoose')) {
       primaryKey: 'conversationId',
     });
   }
+  if (
+    isMongoTextSearchEnabled() &&
+    !convoSchema.indexes().some(([, options]) => options?.name === 'convo_text_search')
+  ) {
+    convoSchema.index(
+      { title: 'text', tags: 'text' },
+      { name: 'convo_text_search', default_language: 'none' },
+    );
+  }
   return (
     mongoose.models.Conversation || mongoose.model<t.IConversation>('Conversation', convoSchema)
   );
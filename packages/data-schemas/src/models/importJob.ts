@@ -0,0 +1,8 @@
+import importJobSchema from '~/schema/importJob';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IImportJob } from '~/types';
+
+export function createImportJobModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(importJobSchema);
+  return mongoose.models.ImportJob || mongoose.model<IImportJob>('ImportJob', importJobSchema);
+}
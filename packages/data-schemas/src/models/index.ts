@@ -2,8 +2,11 @@ import { createUserModel } from './user';
 import { createTokenModel } from './token';
 import { createSessionModel } from './session';
 import { createBalanceModel } from './balance';
+import { createBudgetModel } from './budget';
 import { createConversationModel } from './convo';
 import { createMessageModel } from './message';
+import { createImportJobModel } from './importJob';
+import { createRetentionRunModel } from './retentionRun';
 import { createAgentModel } from './agent';
 import { createAgentApiKeyModel } from './agentApiKey';
 import { createAgentCategoryModel } from './agentCategory';
@@ -13,6 +16,7 @@ import { createActionModel } from './action';
 import { createAssistantModel } from './assistant';
 import { createFileModel } from './file';
 import { createBannerModel } from './banner';
+import { createBannerDismissalModel } from './bannerDismissal';
 import { createKeyModel } from './key';
 import { createPluginAuthModel } from './pluginAuth';
 import { createTransactionModel } from './transaction';
@@ -25,11 +29,13 @@ import { createConversationTagModel } from './conversationTag';
 import { createSharedLinkModel } from './sharedLink';
 import { createToolCallModel } from './toolCall';
 import { createMemoryModel } from './memory';
+import { createMemoryVersionModel } from './memoryVersion';
 import { createAccessRoleModel } from './accessRole';
 import { createAclEntryModel } from './aclEntry';
 import { createSystemGrantModel } from './systemGrant';
 import { createGroupModel } from './group';
 import { createConfigModel } from './config';
+import { createAdminAuditLogModel } from './adminAuditLog';
 
 /**
  * Creates all database models for all collections
@@ -40,8 +46,11 @@ export function createModels(mongoose: typeof import('mongoose')) {
     Token: createTokenModel(mongoose),
     Session: createSessionModel(mongoose),
     Balance: createBalanceModel(mongoose),
+    Budget: createBudgetModel(mongoose),
     Conversation: createConversationModel(mongoose),
     Message: createMessageModel(mongoose),
+    ImportJob: createImportJobModel(mongoose),
+    RetentionRun: createRetentionRunModel(mongoose),
     Agent: createAgentModel(mongoose),
     AgentApiKey: createAgentApiKeyModel(mongoose),
     AgentCategory: createAgentCategoryModel(mongoose),
@@ -51,6 +60,7 @@ export function createModels(mongoose: typeof import('mongoose')) {
     Assistant: createAssistantModel(mongoose),
     File: createFileModel(mongoose),
     Banner: createBannerModel(mongoose),
+    BannerDismissal: createBannerDismissalModel(mongoose),
     Key: createKeyModel(mongoose),
     PluginAuth: createPluginAuthModel(mongoose),
     Transaction: createTransactionModel(mongoose),
@@ -63,10 +73,12 @@ export function createModels(mongoose: typeof import('mongoose')) {
     SharedLink: createSharedLinkModel(mongoose),
     ToolCall: createToolCallModel(mongoose),
     MemoryEntry: createMemoryModel(mongoose),
+    MemoryVersion: createMemoryVersionModel(mongoose),
     AccessRole: createAccessRoleModel(mongoose),
     AclEntry: createAclEntryModel(mongoose),
     SystemGrant: createSystemGrantModel(mongoose),
     Group: createGroupModel(mongoose),
     Config: createConfigModel(mongoose),
+    AdminAuditLog: createAdminAuditLogModel(mongoose),
   };
 }
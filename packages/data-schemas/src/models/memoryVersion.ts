@@ -0,0 +1,11 @@
+import memoryVersionSchema from '~/schema/memoryVersion';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IMemoryVersion } from '~/types/memory';
+
+export function createMemoryVersionModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(memoryVersionSchema);
+  return (
+    mongoose.models.MemoryVersion ||
+    mongoose.model<IMemoryVersion>('MemoryVersion', memoryVersionSchema)
+  );
+}
@@ -1,11 +1,16 @@
 import type * as t from '~/types';
 import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
 import mongoMeili from '~/models/plugins/mongoMeili';
+import { getSearchBackend, isMongoTextSearchEnabled } from '~/utils/search';
 import messageSchema from '~/schema/message';
 
 export function createMessageModel(mongoose: typeof import('mongoose')) {
   applyTenantIsolation(messageSchema);
-  if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+  if (
+    getSearchBackend() === 'meilisearch' &&
+    process.env.MEILI_HOST &&
+    process.env.MEILI_MASTER_KEY
+  ) {
     messageSchema.plugin(mongoMeili, {
       mongoose,
       host: process.env.MEILI_HOST,
@@ -14,6 +19,15 @@ export function createMessageModel(mongoose: typeof import('mongoose')) {
       primaryKey: 'messageId',
     });
   }
+  if (
+    isMongoTextSearchEnabled() &&
+    !messageSchema.indexes().some(([, options]) => options?.name === 'message_text_search')
+  ) {
+    messageSchema.index(
+      { text: 'text', 'content.text': 'text' },
+      { name: 'message_text_search', default_language: 'none' },
+    );
+  }
 
   return mongoose.models.Message || mongoose.model<t.IMessage>('Message', messageSchema);
 }
@@ -0,0 +1,11 @@
+import retentionRunSchema from '~/schema/retentionRun';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import type { IRetentionRun } from '~/types';
+
+export function createRetentionRunModel(mongoose: typeof import('mongoose')) {
+  applyTenantIsolation(retentionRunSchema);
+  return (
+    mongoose.models.RetentionRun ||
+    mongoose.model<IRetentionRun>('RetentionRun', retentionRunSchema)
+  );
+}
@@ -0,0 +1,84 @@
+import { Schema } from 'mongoose';
+import type { Query } from 'mongoose';
+import type { IAdminAuditLog } from '~/types';
+
+/** Query option that allows `deleteMany`; only set by the retention purge */
+export const AUDIT_RETENTION_PURGE_OPTION = 'auditRetentionPurge';
+
+const adminAuditLogSchema = new Schema<IAdminAuditLog>(
+  {
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    impersonatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    targetType: {
+      type: String,
+      enum: ['user', 'role', 'group', 'config', 'resource'],
+      required: true,
+    },
+    targetId: {
+      type: String,
+      required: true,
+    },
+    details: {
+      type: Schema.Types.Mixed,
+    },
+    before: {
+      type: Schema.Types.Mixed,
+    },
+    after: {
+      type: Schema.Types.Mixed,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+adminAuditLogSchema.index({ targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ actorId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ createdAt: -1 });
+
+/** Entries are append-only: they can be created and read, and only purged by retention */
+function rejectMutation() {
+  throw new Error('[AdminAuditLog] Audit log entries are append-only');
+}
+
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+] as const) {
+  adminAuditLogSchema.pre(operation, rejectMutation);
+}
+
+adminAuditLogSchema.pre('deleteMany', function (this: Query<unknown, IAdminAuditLog>) {
+  const options = this.getOptions() as Record<string, unknown>;
+  if (options[AUDIT_RETENTION_PURGE_OPTION] !== true) {
+    rejectMutation();
+  }
+});
+
+adminAuditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectMutation();
+  }
+});
+
+export default adminAuditLogSchema;
@@ -52,6 +52,10 @@ const agentSchema = new Schema<IAgent>(
       type: Boolean,
       default: undefined,
     },
+    memory_scopes: {
+      type: [String],
+      default: undefined,
+    },
     tool_kwargs: {
       type: [{ type: Schema.Types.Mixed }],
     },
@@ -6,6 +6,11 @@ export interface IAgentApiKey extends Document {
   keyHash: string;
   keyPrefix: string;
   lastUsedAt?: Date;
+  lastUsedIp?: string;
+  usageCount?: number;
+  agentIds?: string[];
+  rateLimit?: number;
+  rotatedFrom?: Types.ObjectId;
   expiresAt?: Date;
   createdAt: Date;
   updatedAt: Date;
@@ -40,6 +45,27 @@ const agentApiKeySchema: Schema<IAgentApiKey> = new Schema(
     lastUsedAt: {
       type: Date,
     },
+    lastUsedIp: {
+      type: String,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    /** Agent ids the key may call; all agents the user can access when empty */
+    agentIds: {
+      type: [String],
+      default: undefined,
+    },
+    /** Maximum requests per minute made with the key */
+    rateLimit: {
+      type: Number,
+      min: 1,
+    },
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AgentApiKey',
+    },
     expiresAt: {
       type: Date,
     },
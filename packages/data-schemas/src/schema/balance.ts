@@ -37,6 +37,14 @@ const balanceSchema = new Schema<t.IBalance>({
     type: Number,
     default: 0,
   },
+  // Spend alerts already sent in the current refill period
+  alertPeriodStart: {
+    type: Date,
+  },
+  alertThresholdsSent: {
+    type: [Number],
+    default: undefined,
+  },
   tenantId: {
     type: String,
     index: true,
@@ -1,17 +1,10 @@
-import { Schema, Document } from 'mongoose';
+import { Schema } from 'mongoose';
+import type * as t from '~/types';
 
-export interface IBanner extends Document {
-  bannerId: string;
-  message: string;
-  displayFrom: Date;
-  displayTo?: Date;
-  type: 'banner' | 'popup';
-  isPublic: boolean;
-  persistable: boolean;
-  tenantId?: string;
-}
+export const BANNER_TYPES: t.BannerType[] = ['banner', 'popup'];
+export const BANNER_SEVERITIES: t.BannerSeverity[] = ['info', 'warning', 'error'];
 
-const bannerSchema = new Schema<IBanner>(
+const bannerSchema = new Schema<t.IBanner>(
   {
     bannerId: {
       type: String,
@@ -31,9 +24,14 @@ const bannerSchema = new Schema<IBanner>(
     },
     type: {
       type: String,
-      enum: ['banner', 'popup'],
+      enum: BANNER_TYPES,
       default: 'banner',
     },
+    severity: {
+      type: String,
+      enum: BANNER_SEVERITIES,
+      default: 'info',
+    },
     isPublic: {
       type: Boolean,
       default: false,
@@ -42,6 +40,18 @@ const bannerSchema = new Schema<IBanner>(
       type: Boolean,
       default: false,
     },
+    roles: {
+      type: [String],
+      default: [],
+    },
+    groups: {
+      type: [String],
+      default: [],
+    },
+    tenantIds: {
+      type: [String],
+      default: [],
+    },
     tenantId: {
       type: String,
       index: true,
@@ -50,4 +60,7 @@ const bannerSchema = new Schema<IBanner>(
   { timestamps: true },
 );
 
+bannerSchema.index({ bannerId: 1 });
+bannerSchema.index({ displayFrom: 1, displayTo: 1 });
+
 export default bannerSchema;
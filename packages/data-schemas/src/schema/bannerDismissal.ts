@@ -0,0 +1,26 @@
+import { Schema } from 'mongoose';
+import type { IBannerDismissal } from '~/types';
+
+const bannerDismissalSchema = new Schema<IBannerDismissal>(
+  {
+    bannerId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+bannerDismissalSchema.index({ userId: 1, bannerId: 1, tenantId: 1 }, { unique: true });
+bannerDismissalSchema.index({ bannerId: 1 });
+
+export default bannerDismissalSchema;
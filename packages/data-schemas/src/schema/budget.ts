@@ -0,0 +1,51 @@
+import { Schema } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import type * as t from '~/types';
+
+export const BUDGET_PERIODS: t.BudgetPeriod[] = ['day', 'week', 'month'];
+
+const budgetSchema = new Schema<t.IBudget>(
+  {
+    principalType: {
+      type: String,
+      enum: [PrincipalType.GROUP, PrincipalType.ROLE],
+      required: true,
+    },
+    principalId: {
+      type: String,
+      required: true,
+    },
+    // 1000 tokenCredits = 1 mill ($0.001 USD)
+    hardCap: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    softCap: {
+      type: Number,
+      min: 0,
+    },
+    period: {
+      type: String,
+      enum: BUDGET_PERIODS,
+      default: 'month',
+    },
+    spent: {
+      type: Number,
+      default: 0,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+budgetSchema.index({ principalType: 1, principalId: 1, tenantId: 1 }, { unique: true });
+
+export default budgetSchema;
@@ -29,10 +29,10 @@ const groupSchema = new Schema<IGroup>(
     ],
     source: {
       type: String,
-      enum: ['local', 'entra'],
+      enum: ['local', 'entra', 'ldap'],
       default: 'local',
     },
-    /** External ID (e.g., Entra ID) */
+    /** External ID (e.g., Entra ID or the DN of an LDAP group) */
     idOnTheSource: {
       type: String,
       sparse: true,
@@ -0,0 +1,103 @@
+import { Schema } from 'mongoose';
+import type { IImportJob, IImportJobFailure } from '~/types';
+
+const importJobFailureSchema = new Schema<IImportJobFailure>(
+  {
+    index: { type: Number, required: true },
+    title: { type: String },
+    error: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+const importJobSchema = new Schema<IImportJob>(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    user: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userRole: {
+      type: String,
+    },
+    filename: {
+      type: String,
+    },
+    filepath: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    processedCount: {
+      type: Number,
+      default: 0,
+    },
+    importedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    bytesProcessed: {
+      type: Number,
+      default: 0,
+    },
+    contentSize: {
+      type: Number,
+    },
+    failures: {
+      type: [importJobFailureSchema],
+      default: [],
+    },
+    pendingConversationIds: {
+      type: [String],
+      default: [],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    leaseOwner: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiredAt: {
+      type: Date,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+/** Finished jobs are kept for status polling, then removed once `expiredAt` passes */
+importJobSchema.index({ expiredAt: 1 }, { expireAfterSeconds: 0 });
+
+export default importJobSchema;
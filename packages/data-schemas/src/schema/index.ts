@@ -5,12 +5,16 @@ export { default as agentCategorySchema } from './agentCategory';
 export { default as assistantSchema } from './assistant';
 export { default as balanceSchema } from './balance';
 export { default as bannerSchema } from './banner';
+export { default as bannerDismissalSchema } from './bannerDismissal';
+export { default as budgetSchema } from './budget';
 export { default as categoriesSchema } from './categories';
 export { default as conversationTagSchema } from './conversationTag';
 export { default as convoSchema } from './convo';
 export { default as fileSchema } from './file';
 export { default as keySchema } from './key';
 export { default as messageSchema } from './message';
+export { default as importJobSchema } from './importJob';
+export { default as retentionRunSchema } from './retentionRun';
 export { default as pluginAuthSchema } from './pluginAuth';
 export { default as presetSchema } from './preset';
 export { default as promptSchema } from './prompt';
@@ -23,6 +27,8 @@ export { default as toolCallSchema } from './toolCall';
 export { default as transactionSchema } from './transaction';
 export { default as userSchema } from './user';
 export { default as memorySchema } from './memory';
+export { default as memoryVersionSchema } from './memoryVersion';
 export { default as groupSchema } from './group';
 export { default as systemGrantSchema } from './systemGrant';
 export { default as configSchema } from './config';
+export { default as adminAuditLogSchema } from './adminAuditLog';
@@ -1,5 +1,6 @@
 import { Schema } from 'mongoose';
 import type { IMemoryEntry } from '~/types/memory';
+import { memorySourceSchema } from './memoryVersion';
 
 const MemoryEntrySchema: Schema<IMemoryEntry> = new Schema({
   userId: {
@@ -20,10 +21,17 @@ const MemoryEntrySchema: Schema<IMemoryEntry> = new Schema({
     type: String,
     required: true,
   },
+  scope: {
+    type: String,
+    default: 'global',
+  },
   tokenCount: {
     type: Number,
     default: 0,
   },
+  source: {
+    type: memorySourceSchema,
+  },
   updated_at: {
     type: Date,
     default: Date.now,
@@ -34,4 +42,6 @@ const MemoryEntrySchema: Schema<IMemoryEntry> = new Schema({
   },
 });
 
+MemoryEntrySchema.index({ userId: 1, scope: 1, key: 1 });
+
 export default MemoryEntrySchema;
@@ -0,0 +1,69 @@
+import { Schema } from 'mongoose';
+import type { IMemoryVersion, MemorySource } from '~/types/memory';
+
+export const memorySourceSchema = new Schema<MemorySource>(
+  {
+    type: {
+      type: String,
+      enum: ['user', 'agent', 'import'],
+      required: true,
+    },
+    conversationId: { type: String },
+    messageId: { type: String },
+    agentId: { type: String },
+  },
+  { _id: false },
+);
+
+const MemoryVersionSchema: Schema<IMemoryVersion> = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      default: 'global',
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['set', 'delete', 'revert'],
+      required: true,
+    },
+    value: {
+      type: String,
+      default: null,
+    },
+    tokenCount: {
+      type: Number,
+      default: 0,
+    },
+    source: {
+      type: memorySourceSchema,
+    },
+    revertedFrom: {
+      type: Number,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+MemoryVersionSchema.index(
+  { userId: 1, scope: 1, key: 1, version: -1, tenantId: 1 },
+  { unique: true },
+);
+
+export default MemoryVersionSchema;
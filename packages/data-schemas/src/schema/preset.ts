@@ -53,6 +53,8 @@ export interface IPreset extends Document {
   web_search?: boolean;
   disableStreaming?: boolean;
   fileTokenLimit?: number;
+  /** Snapshots of the preset after each save, oldest first */
+  versions?: Record<string, unknown>[];
   tenantId?: string;
 }
 
@@ -79,6 +81,10 @@ const presetSchema: Schema<IPreset> = new Schema(
       type: Number,
     },
     ...conversationPreset,
+    versions: {
+      type: [Schema.Types.Mixed],
+      default: undefined,
+    },
     tenantId: {
       type: String,
       index: true,
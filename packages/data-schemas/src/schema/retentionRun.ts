@@ -0,0 +1,88 @@
+import { Schema } from 'mongoose';
+import type { IRetentionRun, IRetentionRunUser, RetentionCounts } from '~/types';
+
+const retentionCountsSchema = new Schema<RetentionCounts>(
+  {
+    conversations: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    files: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+const retentionRunUserSchema = new Schema<IRetentionRunUser>(
+  {
+    user: { type: String, required: true },
+    conversations: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    files: { type: Number, default: 0 },
+    conversationDays: { type: Number },
+    fileDays: { type: Number },
+    includeArchived: { type: Boolean },
+  },
+  { _id: false },
+);
+
+const retentionRunSchema = new Schema<IRetentionRun>(
+  {
+    runId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+      index: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: String,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    usersAffected: {
+      type: Number,
+      default: 0,
+    },
+    totals: {
+      type: retentionCountsSchema,
+      default: () => ({}),
+    },
+    users: {
+      type: [retentionRunUserSchema],
+      default: [],
+    },
+    usersTruncated: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+retentionRunSchema.index({ startedAt: -1, tenantId: 1 });
+
+export default retentionRunSchema;
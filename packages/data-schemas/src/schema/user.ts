@@ -158,6 +158,16 @@ const userSchema = new Schema<IUser>(
       type: String,
       sparse: true,
     },
+    scimExternalId: {
+      type: String,
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    /** Set when the role is assigned from identity provider claims at each login */
+    roleManagedByIdp: {
+      type: Boolean,
+    },
     tenantId: {
       type: String,
       index: true,
@@ -168,6 +178,10 @@ const userSchema = new Schema<IUser>(
 
 userSchema.index({ email: 1, tenantId: 1 }, { unique: true });
 userSchema.index({ role: 1, tenantId: 1 });
+userSchema.index(
+  { scimExternalId: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { scimExternalId: { $exists: true } } },
+);
 
 const oAuthIdFields = [
   'googleId',
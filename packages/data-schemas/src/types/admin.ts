@@ -65,8 +65,37 @@ export type AdminConfigDeleteResponse = {
   success: boolean;
 };
 
-/** Audit action types for grant changes. */
-export type AuditAction = 'grant_assigned' | 'grant_removed';
+/** Audit action types for admin changes and ACL updates. */
+export type AuditAction =
+  | 'grant_assigned'
+  | 'grant_removed'
+  | 'user_created'
+  | 'user_suspended'
+  | 'user_unsuspended'
+  | 'user_password_reset'
+  | 'user_2fa_reset'
+  | 'user_impersonated'
+  | 'user_deleted'
+  | 'role_created'
+  | 'role_updated'
+  | 'role_permissions_updated'
+  | 'role_deleted'
+  | 'role_member_added'
+  | 'role_member_removed'
+  | 'group_created'
+  | 'group_updated'
+  | 'group_deleted'
+  | 'group_member_added'
+  | 'group_member_removed'
+  | 'config_replaced'
+  | 'config_fields_updated'
+  | 'config_field_removed'
+  | 'config_deleted'
+  | 'config_toggled'
+  | 'permissions_updated';
+
+/** Kind of entity an audit entry targets; `resource` covers ACL-managed resources. */
+export type AuditTargetType = 'user' | 'role' | 'group' | 'config' | 'resource';
 
 /** SystemGrant document as returned by the admin API. */
 export type AdminSystemGrant = {
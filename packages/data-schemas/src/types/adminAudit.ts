@@ -0,0 +1,44 @@
+import type { Document, Types } from 'mongoose';
+import type { AuditAction, AuditTargetType } from './admin';
+
+export interface IAdminAuditLog extends Document {
+  action: AuditAction;
+  /** The admin who performed the action */
+  actorId: Types.ObjectId;
+  /** The admin impersonating the actor when the action was performed */
+  impersonatedBy?: Types.ObjectId;
+  targetType: AuditTargetType;
+  /** ID of the affected entity, e.g. a user ID, role name or `role:ADMIN` for a config override */
+  targetId: string;
+  /** Action-specific details, e.g. a suspension's duration */
+  details?: Record<string, unknown>;
+  /** Changed values before the action; only the fields that changed are kept */
+  before?: Record<string, unknown>;
+  /** Changed values after the action */
+  after?: Record<string, unknown>;
+  createdAt?: Date;
+  updatedAt?: Date;
+  tenantId?: string;
+}
+
+export interface AdminAuditLogInput {
+  action: AuditAction;
+  actorId: string | Types.ObjectId;
+  impersonatedBy?: string | Types.ObjectId;
+  targetType: AuditTargetType;
+  targetId: string;
+  details?: Record<string, unknown>;
+  before?: Record<string, unknown>;
+  after?: Record<string, unknown>;
+}
+
+export interface AdminAuditLogFilter {
+  actorId?: string;
+  targetType?: AuditTargetType;
+  targetId?: string;
+  actions?: AuditAction[];
+  /** Inclusive lower bound on `createdAt` */
+  from?: Date;
+  /** Exclusive upper bound on `createdAt` */
+  to?: Date;
+}
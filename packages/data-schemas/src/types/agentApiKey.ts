@@ -6,6 +6,14 @@ export interface IAgentApiKey extends Document {
   keyHash: string;
   keyPrefix: string;
   lastUsedAt?: Date;
+  lastUsedIp?: string;
+  usageCount?: number;
+  /** Agent ids the key may call; all agents the user can access when empty */
+  agentIds?: string[];
+  /** Maximum requests per minute made with the key */
+  rateLimit?: number;
+  /** Key this key replaced when rotated */
+  rotatedFrom?: Types.ObjectId;
   expiresAt?: Date;
   createdAt: Date;
   updatedAt: Date;
@@ -16,6 +24,8 @@ export interface AgentApiKeyCreateData {
   userId: Types.ObjectId | string;
   name: string;
   expiresAt?: Date | null;
+  agentIds?: string[];
+  rateLimit?: number | null;
 }
 
 export interface AgentApiKeyCreateResult {
@@ -23,15 +33,34 @@ export interface AgentApiKeyCreateResult {
   name: string;
   keyPrefix: string;
   key: string;
+  agentIds?: string[];
+  rateLimit?: number;
   createdAt: Date;
   expiresAt?: Date;
 }
 
+export interface AgentApiKeyRotateResult extends AgentApiKeyCreateResult {
+  /** When the replaced key stops working */
+  previousKeyExpiresAt: Date;
+}
+
+export interface AgentApiKeyValidation {
+  userId: Types.ObjectId;
+  keyId: Types.ObjectId;
+  agentIds?: string[];
+  rateLimit?: number;
+}
+
 export interface AgentApiKeyListItem {
   id: string;
   name: string;
   keyPrefix: string;
+  agentIds?: string[];
+  rateLimit?: number;
   lastUsedAt?: Date;
+  lastUsedIp?: string;
+  usageCount?: number;
+  rotatedFrom?: string;
   expiresAt?: Date;
   createdAt: Date;
 }
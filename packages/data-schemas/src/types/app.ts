@@ -86,6 +86,10 @@ export interface AppConfig {
   balance?: Partial<TCustomConfig['balance']>;
   /** Transactions configuration */
   transactions?: TCustomConfig['transactions'];
+  /** Conversation and file retention configuration */
+  retention?: TCustomConfig['retention'];
+  /** Identity provider claim to role and group mapping */
+  identityMapping?: TCustomConfig['identityMapping'];
   /** Speech configuration */
   speech?: TCustomConfig['speech'];
   /** MCP server configuration */
@@ -10,6 +10,10 @@ export interface IBalance extends Document {
   refillIntervalUnit: RefillIntervalUnit;
   lastRefill: Date;
   refillAmount: number;
+  /** Refill period in which `alertThresholdsSent` were sent */
+  alertPeriodStart?: Date;
+  /** Spend thresholds, in percent, already alerted in the current refill period */
+  alertThresholdsSent?: number[];
   tenantId?: string;
 }
 
@@ -1,12 +1,60 @@
-import type { Document } from 'mongoose';
+import type { Document, Types } from 'mongoose';
+
+export type BannerType = 'banner' | 'popup';
+
+/** How prominently a banner is shown; banners are listed most severe first */
+export type BannerSeverity = 'info' | 'warning' | 'error';
 
 export interface IBanner extends Document {
   bannerId: string;
   message: string;
   displayFrom: Date;
   displayTo?: Date;
-  type: 'banner' | 'popup';
+  type: BannerType;
+  severity: BannerSeverity;
   isPublic: boolean;
+  /** Persistable banners cannot be dismissed */
   persistable: boolean;
+  /**
+   * Audience rules. An empty list does not restrict the audience; a user must
+   * match every non-empty list to see the banner.
+   */
+  roles: string[];
+  /** Group IDs */
+  groups: string[];
+  tenantIds: string[];
+  createdAt?: Date;
+  updatedAt?: Date;
+  tenantId?: string;
+}
+
+export interface IBannerDismissal extends Document {
+  bannerId: string;
+  userId: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+  tenantId?: string;
+}
+
+export interface BannerInput {
+  message?: string;
+  displayFrom?: Date;
+  /** `null` removes the end of the display window */
+  displayTo?: Date | null;
+  type?: BannerType;
+  severity?: BannerSeverity;
+  isPublic?: boolean;
+  persistable?: boolean;
+  roles?: string[];
+  groups?: string[];
+  tenantIds?: string[];
+}
+
+/** The user a banner is shown to, as set on `req.user` */
+export interface BannerAudience {
+  id?: string;
+  _id?: Types.ObjectId | string;
+  role?: string;
   tenantId?: string;
+  idOnTheSource?: string;
 }
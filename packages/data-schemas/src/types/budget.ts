@@ -0,0 +1,42 @@
+import type { PrincipalType } from 'librechat-data-provider';
+import type { Document } from 'mongoose';
+
+export type BudgetPrincipalType = PrincipalType.GROUP | PrincipalType.ROLE;
+
+/** Interval after which a budget's spend starts over */
+export type BudgetPeriod = 'day' | 'week' | 'month';
+
+export interface IBudget extends Document {
+  principalType: BudgetPrincipalType;
+  /** Group ID or role name */
+  principalId: string;
+  /** Token credits the principal's members may spend per period; requests beyond it are denied */
+  hardCap: number;
+  /** Token credits per period after which members are warned */
+  softCap?: number;
+  period: BudgetPeriod;
+  /** Token credits spent since `periodStart` */
+  spent: number;
+  periodStart: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+  tenantId?: string;
+}
+
+export interface BudgetInput {
+  hardCap: number;
+  /** `null` removes the soft cap */
+  softCap?: number | null;
+  period?: BudgetPeriod;
+}
+
+/** A budget with its spend for the current period */
+export interface BudgetUsage {
+  principalType: BudgetPrincipalType;
+  principalId: string;
+  hardCap: number;
+  softCap?: number;
+  period: BudgetPeriod;
+  spent: number;
+  periodStart: Date;
+}
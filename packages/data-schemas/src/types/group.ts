@@ -9,8 +9,8 @@ export interface IGroup extends Document {
   avatar?: string;
   /** Array of member IDs (stores idOnTheSource values, not ObjectIds) */
   memberIds?: string[];
-  source: 'local' | 'entra';
-  /** External ID (e.g., Entra ID) - required for non-local sources */
+  source: 'local' | 'entra' | 'ldap';
+  /** External ID (e.g., Entra ID or LDAP DN) - required for non-local sources */
   idOnTheSource?: string;
   createdAt?: Date;
   updatedAt?: Date;
@@ -23,7 +23,7 @@ export interface CreateGroupRequest {
   email?: string;
   avatar?: string;
   memberIds?: string[];
-  source: 'local' | 'entra';
+  source: 'local' | 'entra' | 'ldap';
   idOnTheSource?: string;
 }
 
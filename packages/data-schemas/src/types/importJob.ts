@@ -0,0 +1,58 @@
+import type { Document } from 'mongoose';
+
+export type ImportJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** A single conversation from an archive that could not be imported */
+export interface IImportJobFailure {
+  /** Zero-based position of the conversation in the archive */
+  index: number;
+  title?: string;
+  error: string;
+}
+
+export interface IImportJob extends Document {
+  jobId: string;
+  user: string;
+  userRole?: string;
+  filename?: string;
+  filepath: string;
+  fileSize: number;
+  status: ImportJobStatus;
+  /** Number of archive entries consumed so far; resuming skips this many entries */
+  processedCount: number;
+  importedCount: number;
+  failedCount: number;
+  bytesProcessed: number;
+  /** Size of the conversations JSON, when it differs from the upload (e.g. extracted from an archive) */
+  contentSize?: number;
+  failures: IImportJobFailure[];
+  /** Conversation IDs of the batch being written; cleaned up when resuming after a crash */
+  pendingConversationIds: string[];
+  attempts: number;
+  /** Token of the runner holding the job; renewed through `updatedAt` while it runs */
+  leaseOwner?: string;
+  error?: string;
+  startedAt?: Date;
+  completedAt?: Date;
+  expiredAt?: Date;
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ImportJobCreateData {
+  jobId: string;
+  user: string;
+  userRole?: string;
+  filename?: string;
+  filepath: string;
+  fileSize: number;
+}
+
+export interface ImportJobProgress {
+  processedCount: number;
+  bytesProcessed: number;
+  contentSize?: number;
+  imported: number;
+  failures: IImportJobFailure[];
+}
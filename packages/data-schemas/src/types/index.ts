@@ -7,9 +7,13 @@ export * from './token';
 export * from './convo';
 export * from './session';
 export * from './balance';
+export * from './budget';
 export * from './banner';
 export * from './transaction';
 export * from './message';
+export * from './search';
+export * from './importJob';
+export * from './retention';
 export * from './agent';
 export * from './agentApiKey';
 export * from './agentCategory';
@@ -34,6 +38,7 @@ export * from './group';
 export * from './config';
 /* Admin */
 export * from './admin';
+export * from './adminAudit';
 /* Web */
 export * from './web';
 /* MCP Servers */
@@ -1,11 +1,24 @@
 import type { Types, Document } from 'mongoose';
 
+/** Who wrote a memory value: the user, an agent during a conversation, or an import */
+export type MemorySourceType = 'user' | 'agent' | 'import';
+
+export interface MemorySource {
+  type: MemorySourceType;
+  conversationId?: string;
+  messageId?: string;
+  agentId?: string;
+}
+
 // Base memory interfaces
 export interface IMemoryEntry extends Document {
   userId: Types.ObjectId;
   key: string;
   value: string;
+  /** Namespace of the memory; missing on memories saved before scopes, which are global */
+  scope?: string;
   tokenCount?: number;
+  source?: MemorySource;
   updated_at?: Date;
   tenantId?: string;
 }
@@ -15,26 +28,67 @@ export interface IMemoryEntryLean {
   userId: Types.ObjectId;
   key: string;
   value: string;
+  scope?: string;
   tokenCount?: number;
+  source?: MemorySource;
   updated_at?: Date;
   __v?: number;
 }
 
+export type MemoryVersionAction = 'set' | 'delete' | 'revert';
+
+/** A past state of a memory key; `value` is null for deletions */
+export interface IMemoryVersion extends Document {
+  userId: Types.ObjectId;
+  key: string;
+  scope?: string;
+  version: number;
+  action: MemoryVersionAction;
+  value: string | null;
+  tokenCount?: number;
+  source?: MemorySource;
+  /** Version restored by a revert */
+  revertedFrom?: number;
+  createdAt?: Date;
+  tenantId?: string;
+}
+
+export interface IMemoryVersionLean {
+  _id: Types.ObjectId;
+  userId: Types.ObjectId;
+  key: string;
+  scope?: string;
+  version: number;
+  action: MemoryVersionAction;
+  value: string | null;
+  tokenCount?: number;
+  source?: MemorySource;
+  revertedFrom?: number;
+  createdAt?: Date;
+}
+
 // Method parameter interfaces
 export interface SetMemoryParams {
   userId: string | Types.ObjectId;
   key: string;
   value: string;
   tokenCount?: number;
+  source?: MemorySource;
+  /** Defaults to the global scope */
+  scope?: string;
 }
 
 export interface DeleteMemoryParams {
   userId: string | Types.ObjectId;
   key: string;
+  source?: MemorySource;
+  scope?: string;
 }
 
 export interface GetFormattedMemoriesParams {
   userId: string | Types.ObjectId;
+  /** Scopes to load, defaults to the global scope */
+  scopes?: string[];
 }
 
 // Result interfaces
@@ -46,4 +100,41 @@ export interface FormattedMemoriesResult {
   withKeys: string;
   withoutKeys: string;
   totalTokens?: number;
+  /** Token usage of each loaded scope */
+  scopeTokens?: Record<string, number>;
+}
+
+export interface MemoryScopeUsage {
+  scope: string;
+  count: number;
+  totalTokens: number;
+}
+
+/** A memory to create or replace as part of a bulk update */
+export interface MemoryWrite {
+  key: string;
+  value: string;
+  tokenCount: number;
+}
+
+/** Changes applied together by `bulkUpdateMemories` */
+export interface MemoryChanges {
+  set: MemoryWrite[];
+  delete: string[];
+}
+
+/**
+ * Computes the changes of a bulk update from the user's current memories.
+ * Throwing aborts the update without writing anything.
+ */
+export type ResolveMemoryChanges = (
+  current: IMemoryEntryLean[],
+) => MemoryChanges | Promise<MemoryChanges>;
+
+export interface BulkUpdateMemoriesOptions {
+  /** Scope the changes apply to, defaults to the global scope */
+  scope?: string;
+  source?: MemorySource;
+  /** Records the changes as a revert to this version */
+  revertedFrom?: number;
 }
@@ -0,0 +1,56 @@
+import type { Document } from 'mongoose';
+
+export type RetentionRunStatus = 'running' | 'completed' | 'failed';
+
+export type RetentionRunTrigger = 'scheduled' | 'manual';
+
+/** Number of items purged, or that would be purged in a dry run */
+export interface RetentionCounts {
+  conversations: number;
+  messages: number;
+  files: number;
+}
+
+/** Items purged for a single user, with the policy applied to them */
+export interface IRetentionRunUser extends RetentionCounts {
+  user: string;
+  conversationDays?: number;
+  fileDays?: number;
+  includeArchived?: boolean;
+}
+
+export interface IRetentionRun extends Document {
+  runId: string;
+  status: RetentionRunStatus;
+  trigger: RetentionRunTrigger;
+  /** ID of the admin who started a manual run */
+  triggeredBy?: string;
+  dryRun: boolean;
+  /** Number of users a retention policy applied to */
+  usersAffected: number;
+  totals: RetentionCounts;
+  /** Per-user breakdown; capped, see `usersTruncated` */
+  users: IRetentionRunUser[];
+  usersTruncated: boolean;
+  error?: string;
+  startedAt: Date;
+  completedAt?: Date;
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface RetentionRunCreateData {
+  runId: string;
+  trigger: RetentionRunTrigger;
+  triggeredBy?: string;
+  dryRun: boolean;
+}
+
+export interface RetentionRunResult {
+  status: 'completed' | 'failed';
+  usersAffected: number;
+  totals: RetentionCounts;
+  users: IRetentionRunUser[];
+  error?: string;
+}
@@ -0,0 +1,37 @@
+import type { IMessage } from './message';
+
+/** Engines that can back conversation and message search */
+export type SearchBackend = 'meilisearch' | 'mongodb';
+
+/** Narrows search results; applied identically by every search backend */
+export interface SearchFilters {
+  endpoint?: string;
+  model?: string;
+  /** Matches conversations carrying any of these tags */
+  tags?: string[];
+  /** Inclusive lower bound: message `createdAt`, conversation `updatedAt` */
+  startDate?: Date;
+  /** Inclusive upper bound: message `createdAt`, conversation `updatedAt` */
+  endDate?: Date;
+}
+
+export interface MessageSearchOptions {
+  user: string;
+  filters?: SearchFilters;
+  limit?: number;
+  offset?: number;
+}
+
+/** A matching message with a cropped snippet of its text, matched terms wrapped in `<em>` */
+export type MessageSearchHit = IMessage & {
+  _formatted?: { text?: string };
+};
+
+export interface MessageSearchResult {
+  hits: MessageSearchHit[];
+  query: string;
+  limit: number;
+  offset: number;
+  /** Offset to request the next page from, or `null` when there are no more results */
+  nextOffset: number | null;
+}
@@ -15,3 +15,61 @@ export interface TransactionData {
   inputTokenCount?: number;
   rateDetail?: Record<string, number>;
 }
+
+/** Filters shared by the transaction ledger, its conversation rollups and exports */
+export interface TransactionLedgerFilter {
+  /** Restricts the ledger to these users; all users when omitted */
+  users?: string[];
+  model?: string;
+  /** Matched through the endpoint of each transaction's conversation */
+  endpoint?: string;
+  conversationId?: string;
+  tokenType?: 'prompt' | 'completion' | 'credits';
+  startDate?: Date;
+  endDate?: Date;
+}
+
+export interface TransactionLedgerEntry {
+  _id: string;
+  user: string;
+  conversationId?: string;
+  /** Endpoint of the transaction's conversation, if it still exists */
+  endpoint?: string;
+  tokenType: 'prompt' | 'completion' | 'credits';
+  model?: string;
+  context?: string;
+  rate?: number;
+  rawAmount?: number;
+  tokenValue?: number;
+  inputTokens?: number;
+  writeTokens?: number;
+  readTokens?: number;
+  messageId?: string;
+  createdAt?: Date;
+}
+
+export interface TransactionLedgerPage {
+  transactions: TransactionLedgerEntry[];
+  /** Opaque cursor of the next page, null on the last page */
+  nextCursor: string | null;
+}
+
+/** Token usage and cost of a set of transactions */
+export interface TransactionUsageTotals {
+  promptTokens: number;
+  completionTokens: number;
+  /** Token credits spent on prompts and completions */
+  cost: number;
+  /** Token credits added, e.g. by auto-refills */
+  credits: number;
+  transactions: number;
+}
+
+export interface ConversationCostRollup extends TransactionUsageTotals {
+  conversationId: string | null;
+  title?: string;
+  endpoint?: string;
+  models: string[];
+  firstAt: Date;
+  lastAt: Date;
+}
@@ -1,4 +1,9 @@
-import type { RefillIntervalUnit, TUserFavorite } from 'librechat-data-provider';
+import type {
+  DeepPartial,
+  TBalanceConfig,
+  TUserFavorite,
+  RefillIntervalUnit,
+} from 'librechat-data-provider';
 import type { Document, Types } from 'mongoose';
 import { CursorPaginationParams } from '~/common';
 
@@ -58,7 +63,15 @@ export interface IUser extends Document {
   updatedAt?: Date;
   /** Field for external source identification (for consistency with TPrincipal schema) */
   idOnTheSource?: string;
+  /** Identifier assigned by the identity provider that provisions the user over SCIM */
+  scimExternalId?: string;
+  /** Set when the user is deactivated; deactivated users cannot sign in or use the API */
+  deactivatedAt?: Date | null;
+  /** Set when the role is assigned from identity provider claims; it cannot be edited locally */
+  roleManagedByIdp?: boolean;
   tenantId?: string;
+  /** Set from the access token while an admin impersonates the user; not stored */
+  impersonatedBy?: string;
   federatedTokens?: OIDCTokens;
   openidTokens?: OIDCTokens;
 }
@@ -77,6 +90,7 @@ export interface BalanceConfig {
   refillIntervalValue?: number;
   refillIntervalUnit?: RefillIntervalUnit;
   refillAmount?: number;
+  alerts?: DeepPartial<TBalanceConfig['alerts']>;
 }
 
 export interface CreateUserRequest extends Partial<IUser> {
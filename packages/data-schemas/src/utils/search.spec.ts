@@ -0,0 +1,87 @@
+import {
+  getSearchTerms,
+  getSearchBackend,
+  createSearchSnippet,
+  isMongoTextSearchEnabled,
+} from './search';
+
+describe('search utils', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.SEARCH;
+    delete process.env.SEARCH_BACKEND;
+    delete process.env.MEILI_HOST;
+    delete process.env.MEILI_MASTER_KEY;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getSearchBackend', () => {
+    it('should use Meilisearch when it is configured', () => {
+      process.env.MEILI_HOST = 'http://localhost:7700';
+      process.env.MEILI_MASTER_KEY = 'key';
+      expect(getSearchBackend()).toBe('meilisearch');
+    });
+
+    it('should fall back to MongoDB when Meilisearch is not configured', () => {
+      process.env.MEILI_HOST = 'http://localhost:7700';
+      expect(getSearchBackend()).toBe('mongodb');
+    });
+
+    it('should honor SEARCH_BACKEND over the Meilisearch configuration', () => {
+      process.env.MEILI_HOST = 'http://localhost:7700';
+      process.env.MEILI_MASTER_KEY = 'key';
+      process.env.SEARCH_BACKEND = ' MongoDB ';
+      expect(getSearchBackend()).toBe('mongodb');
+    });
+  });
+
+  describe('isMongoTextSearchEnabled', () => {
+    it('should require search to be enabled', () => {
+      expect(isMongoTextSearchEnabled()).toBe(false);
+      process.env.SEARCH = 'true';
+      expect(isMongoTextSearchEnabled()).toBe(true);
+      process.env.SEARCH_BACKEND = 'meilisearch';
+      expect(isMongoTextSearchEnabled()).toBe(false);
+    });
+  });
+
+  describe('getSearchTerms', () => {
+    it('should return unique lowercased words', () => {
+      expect(getSearchTerms('Deploy "deploy" the café-bar!')).toEqual([
+        'deploy',
+        'the',
+        'café',
+        'bar',
+      ]);
+    });
+  });
+
+  describe('createSearchSnippet', () => {
+    it('should highlight every matched term in short text', () => {
+      expect(createSearchSnippet('Rust or Go? Rust, definitely.', ['rust'])).toBe(
+        '<em>Rust</em> or Go? <em>Rust</em>, definitely.',
+      );
+    });
+
+    it('should crop long text around the first match', () => {
+      const words = Array.from({ length: 40 }, (_, i) => `word${i}`);
+      words[30] = 'Needle';
+      const snippet = createSearchSnippet(words.join(' '), ['needle'], 5);
+      expect(snippet).toBe('…word28 word29 <em>Needle</em> word31 word32…');
+    });
+
+    it('should not crop the end when the match is near it', () => {
+      const snippet = createSearchSnippet('one two three four five six. needle!', ['needle'], 3);
+      expect(snippet).toBe('…five six. <em>needle</em>!');
+    });
+
+    it('should keep the start of the text when nothing matches', () => {
+      expect(createSearchSnippet('alpha beta gamma delta', ['omega'], 2)).toBe('alpha beta…');
+    });
+  });
+});
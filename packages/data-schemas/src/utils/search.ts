@@ -0,0 +1,75 @@
+import type { SearchBackend } from '~/types/search';
+
+/** Wraps each matched term in search snippets, matching Meilisearch's default highlight tags */
+export const SEARCH_HIGHLIGHT_PRE_TAG = '<em>';
+export const SEARCH_HIGHLIGHT_POST_TAG = '</em>';
+/** Marks text cropped from either side of a snippet */
+export const SEARCH_CROP_MARKER = '…';
+/** Number of words kept in a search snippet */
+export const SEARCH_SNIPPET_WORDS = 25;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Resolves the search backend from `SEARCH_BACKEND`.
+ * When unset, Meilisearch is used if it is configured and MongoDB text indexes otherwise.
+ */
+export function getSearchBackend(): SearchBackend {
+  const configured = process.env.SEARCH_BACKEND?.trim().toLowerCase();
+  if (configured === 'meilisearch' || configured === 'mongodb') {
+    return configured;
+  }
+  return process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY ? 'meilisearch' : 'mongodb';
+}
+
+/** Whether search is enabled and served by MongoDB text indexes */
+export function isMongoTextSearchEnabled(): boolean {
+  return process.env.SEARCH?.trim().toLowerCase() === 'true' && getSearchBackend() === 'mongodb';
+}
+
+/** Splits a search query into the unique, lowercased words it matches */
+export function getSearchTerms(query: string): string[] {
+  return [...new Set(query.toLowerCase().match(WORD_PATTERN) ?? [])];
+}
+
+/**
+ * Crops text to a window of words around the first matched term and highlights
+ * every matched term within it, mirroring Meilisearch's `_formatted` output.
+ *
+ * @param text - The text to crop.
+ * @param terms - Lowercased search terms, as returned by `getSearchTerms`.
+ * @param length - Number of words kept in the snippet.
+ */
+export function createSearchSnippet(
+  text: string,
+  terms: string[],
+  length = SEARCH_SNIPPET_WORDS,
+): string {
+  const words = [...text.matchAll(WORD_PATTERN)];
+  if (!words.length) {
+    return text;
+  }
+
+  const termSet = new Set(terms);
+  const isMatch = (word: RegExpMatchArray) => termSet.has(word[0].toLowerCase());
+  const firstMatch = Math.max(words.findIndex(isMatch), 0);
+  const start = Math.max(Math.min(firstMatch - Math.floor(length / 2), words.length - length), 0);
+  const end = Math.min(start + length, words.length);
+
+  let snippet = start > 0 ? SEARCH_CROP_MARKER : '';
+  let position = start > 0 ? (words[start].index ?? 0) : 0;
+  for (let i = start; i < end; i++) {
+    const word = words[i];
+    const wordStart = word.index ?? 0;
+    snippet += text.slice(position, wordStart);
+    snippet += isMatch(word)
+      ? `${SEARCH_HIGHLIGHT_PRE_TAG}${word[0]}${SEARCH_HIGHLIGHT_POST_TAG}`
+      : word[0];
+    position = wordStart + word[0].length;
+  }
+
+  if (end < words.length) {
+    return `${snippet}${SEARCH_CROP_MARKER}`;
+  }
+  return snippet + text.slice(position);
+}